@@ -2,12 +2,22 @@ import AdoptionRequest from '../models/AdoptionRequest.js';
 import Pet from '../models/Pet.js';
 import User from '../models/User.js';
 import logger from '../services/logger.js';
+import { notifyAdoptionStatusChange } from '../services/notificationService.js';
+import { transitionAdoptionRequest, WORKFLOW_ERRORS } from '../services/adoptionWorkflow.js';
 
 /**
  * Adoption Controller
  * Comprehensive adoption request management with enhanced business logic and validation
  */
 
+// HTTP status and error title of each adoption workflow error
+const WORKFLOW_ERROR_RESPONSES = {
+  [WORKFLOW_ERRORS.NOT_FOUND]: [404, 'Request not found'],
+  [WORKFLOW_ERRORS.INVALID_TRANSITION]: [400, 'Invalid status transition'],
+  [WORKFLOW_ERRORS.INVALID_INPUT]: [400, 'Validation failed'],
+  [WORKFLOW_ERRORS.GUARD_FAILED]: [409, 'Transition not allowed']
+};
+
 /**
  * Create a new adoption request
  * @route POST /admin/adoption-requests
@@ -372,7 +382,7 @@ export const updateAdoptionRequestStatus = async (req, res) => {
   try {
     const requestId = req.params.id;
     const adminId = req.user._id;
-    const { status, adminNotes, rejectionReason } = req.body;
+    const { status, adminNotes, rejectionReason, publicNote, competingRequests } = req.body;
 
     // Validate ObjectId format
     if (!requestId.match(/^[0-9a-fA-F]{24}$/)) {
@@ -382,111 +392,37 @@ export const updateAdoptionRequestStatus = async (req, res) => {
       });
     }
 
-    // Find the adoption request
-    const adoptionRequest = await AdoptionRequest.findById(requestId)
-      .populate('user pet');
-
-    if (!adoptionRequest) {
-      return res.status(404).json({
-        error: 'Request not found',
-        message: 'The requested adoption request does not exist'
-      });
-    }
-
-    const oldStatus = adoptionRequest.status;
-
-    // Validate status transition
-    const validTransitions = {
-      pending: ['under_review', 'approved', 'rejected'], // Allow direct approval
-      under_review: ['interview_scheduled', 'approved', 'rejected'],
-      interview_scheduled: ['approved', 'rejected'],
-      approved: ['completed'],
-      rejected: ['under_review', 'pending'], // Allow re-review
-      completed: [],
-      withdrawn: []
-    };
-
-    if (!validTransitions[oldStatus] || !validTransitions[oldStatus].includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status transition',
-        message: `Cannot change status from ${oldStatus} to ${status}. Valid transitions: ${validTransitions[oldStatus]?.join(', ') || 'none'}`
-      });
-    }
-
-    // Validate rejection reason if status is rejected
-    if (status === 'rejected' && (!rejectionReason || rejectionReason.trim().length < 10)) {
-      return res.status(400).json({
-        error: 'Rejection reason required',
-        message: 'A detailed rejection reason is required when rejecting an application (minimum 10 characters)'
-      });
-    }
-
-    // Update the adoption request using the model method
-    const updateData = { status, adminNotes, rejectionReason };
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] !== undefined) {
-        adoptionRequest[key] = updateData[key];
-      }
+    const { adoptionRequest, from: oldStatus, affected } = await transitionAdoptionRequest(requestId, status, {
+      actor: adminId,
+      adminNotes,
+      rejectionReason: status === 'rejected' ? rejectionReason : undefined,
+      competingRequests
     });
 
-    // Set reviewer information
-    adoptionRequest.reviewedBy = adminId;
-    adoptionRequest.reviewedAt = new Date();
-
-    await adoptionRequest.save();
+    await adoptionRequest.populate(['user', 'pet']);
 
-    // Add communication log entry
-    const statusChangeMessage = `Status changed from ${oldStatus} to ${status}`;
-    const logMessage = adminNotes ? `${statusChangeMessage}. Notes: ${adminNotes}` : statusChangeMessage;
-    
-    await adoptionRequest.addCommunicationLog('note_added', logMessage, adminId);
-
-    // Handle business logic based on status change
-    if (status === 'approved') {
-      // Mark pet as pending adoption
-      await Pet.findByIdAndUpdate(adoptionRequest.pet._id, {
-        status: 'pending',
-        $inc: { 'inquiries.total': 1 }
-      });
+    // Let the applicant know (email respects their notification preferences)
+    const notificationResult = await notifyAdoptionStatusChange(adoptionRequest, {
+      status,
+      rejectionReason: status === 'rejected' ? rejectionReason : undefined,
+      note: typeof publicNote === 'string' && publicNote.trim() ? publicNote.trim() : undefined,
+      adminId
+    });
 
-      logger.info('Adoption request approved', {
-        requestId,
-        petId: adoptionRequest.pet._id,
-        petName: adoptionRequest.pet.name,
-        applicantEmail: adoptionRequest.applicantEmail,
-        adminId
-      });
-    } else if (status === 'completed') {
-      // Handle successful adoption
-      const pet = adoptionRequest.pet;
-      
-      // Mark pet as adopted
-      await pet.markAsAdopted(adoptionRequest.user._id, new Date());
-      
-      // Update user's adopted pets
-      await adoptionRequest.user.addAdoptedPet(pet._id, new Date());
-
-      logger.info('Adoption completed', {
-        requestId,
-        petId: pet._id,
-        petName: pet.name,
-        adopterId: adoptionRequest.user._id,
-        adopterEmail: adoptionRequest.applicantEmail,
-        adminId
-      });
-    } else if (status === 'rejected') {
-      // Log rejection
-      logger.info('Adoption request rejected', {
-        requestId,
-        petId: adoptionRequest.pet._id,
-        rejectionReason,
-        applicantEmail: adoptionRequest.applicantEmail,
-        adminId
-      });
+    // And the applicants whose requests moved with it
+    for (const { id, status: affectedStatus } of affected) {
+      const affectedRequest = await AdoptionRequest.findById(id).populate('user pet');
+      if (affectedRequest) {
+        await notifyAdoptionStatusChange(affectedRequest, {
+          status: affectedStatus,
+          rejectionReason: affectedStatus === 'rejected' ? affectedRequest.rejectionReason : undefined,
+          adminId
+        });
+      }
     }
 
     // Populate the updated request for response
-    await adoptionRequest.populate(['user', 'pet', 'reviewedBy']);
+    await adoptionRequest.populate('reviewedBy');
 
     res.json({
       success: true,
@@ -498,7 +434,9 @@ export const updateAdoptionRequestStatus = async (req, res) => {
         reviewedBy: adoptionRequest.reviewedBy,
         reviewedAt: adoptionRequest.reviewedAt,
         adminNotes: adoptionRequest.adminNotes,
-        rejectionReason: adoptionRequest.rejectionReason
+        rejectionReason: adoptionRequest.rejectionReason,
+        applicantNotified: notificationResult,
+        affectedRequests: affected
       }
     });
 
@@ -512,6 +450,22 @@ export const updateAdoptionRequestStatus = async (req, res) => {
     });
 
     // Handle specific errors
+    if (WORKFLOW_ERROR_RESPONSES[error.code]) {
+      const [statusCode, title] = WORKFLOW_ERROR_RESPONSES[error.code];
+      return res.status(statusCode).json({
+        error: title,
+        message: error.message
+      });
+    }
+
+    // Unique index: another request for the pet was approved at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Transition not allowed',
+        message: 'Another request for this pet is already approved'
+      });
+    }
+
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         error: 'Validation failed',
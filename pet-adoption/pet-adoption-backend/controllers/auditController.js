@@ -0,0 +1,148 @@
+import AuditEvent from '../models/AuditEvent.js';
+import logger from '../services/logger.js';
+import { buildAuditQuery, summarizeChanges } from '../services/auditService.js';
+import { EXPORT_FORMATS, streamExport } from '../services/exportService.js';
+
+/**
+ * Audit Controller
+ * Filterable history of admin changes, and its export
+ */
+
+const AUDIT_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', path: '_id', width: 26 },
+  { key: 'createdAt', header: 'Time', width: 22 },
+  { key: 'actorUsername', header: 'Actor' },
+  { key: 'actorRole', header: 'Actor Role', width: 12 },
+  { key: 'action', header: 'Action', width: 28 },
+  { key: 'targetType', header: 'Target Type', width: 16 },
+  { key: 'targetId', header: 'Target ID', width: 26 },
+  { key: 'targetLabel', header: 'Target' },
+  { key: 'changes', header: 'Changes', path: 'changeSummary', width: 60 },
+  { key: 'success', header: 'Succeeded', width: 10 },
+  { key: 'statusCode', header: 'Status', width: 8 },
+  { key: 'ipAddress', header: 'IP Address', width: 18 },
+  { key: 'userAgent', header: 'User Agent', width: 40 }
+];
+
+/**
+ * List audit events, newest first
+ * @route GET /api/audit-events
+ * @access Private (view_audit_log)
+ * @query {string} [actor] - Actor user ID
+ * @query {string} [action] - Action, or resource prefix such as "pet"
+ * @query {string} [targetType] - e.g. Pet, User, AdoptionRequest
+ * @query {string} [targetId] - History of one record
+ * @query {boolean} [success] - Only succeeded or failed attempts
+ * @query {string} [from] - ISO date
+ * @query {string} [to] - ISO date
+ * @query {string} [search] - Actor, target name or changed field
+ * @query {number} [page] - Page number
+ * @query {number} [limit] - Events per page (max 100)
+ */
+export const getAuditEvents = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const query = buildAuditQuery(req.query);
+
+    const [events, total, actions, targetTypes] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(query),
+      AuditEvent.distinct('action'),
+      AuditEvent.distinct('targetType')
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      filters: {
+        actions: actions.sort(),
+        targetTypes: targetTypes.sort()
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getAuditEvents',
+      userId: req.user?._id,
+      filters: req.query
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve audit log',
+      message: 'Unable to fetch the audit log. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Export audit events matching the same filters as the list
+ * @route GET /api/audit-events/export
+ * @access Private (view_audit_log, export_data)
+ * @query {string} [format] - csv, json or xlsx (default csv)
+ */
+export const exportAuditEvents = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid export format',
+      message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const cursor = AuditEvent.find(buildAuditQuery(req.query))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor({
+        batchSize: 500,
+        transform: event => ({ ...event, changeSummary: summarizeChanges(event.changes) })
+      });
+
+    const exported = await streamExport(res, {
+      format,
+      filename: `audit-log-${new Date().toISOString().slice(0, 10)}`,
+      columns: AUDIT_EXPORT_COLUMNS,
+      cursor
+    });
+
+    logger.info('Audit log exported', {
+      requestedBy: req.user._id,
+      format,
+      exported,
+      filters: req.query,
+      ip: req.ip
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'exportAuditEvents',
+      requestedBy: req.user._id,
+      filters: req.query
+    });
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      error: 'Audit log export failed',
+      message: 'Unable to export the audit log. Please try again later.'
+    });
+  }
+};
+
+export default {
+  getAuditEvents,
+  exportAuditEvents
+};
@@ -1,9 +1,32 @@
 import logger from '../services/logger.js';
+import emailService from '../services/emailService.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 import dotenv from 'dotenv';
-import User from '../models/User.js';
+import User, { ACCOUNT_DELETION_GRACE_DAYS } from '../models/User.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import validator from 'validator';
+import {
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  verifyTotp,
+  getOtpAuthUri,
+  generateBackupCodes,
+  hashBackupCode,
+  isTwoFactorRequired,
+  TWO_FACTOR_ISSUER
+} from '../services/twoFactorService.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} from '../services/sessionService.js';
+import { sendDeletionScheduledEmail } from '../services/accountDeletionService.js';
+import { DATA_EXPORT_FORMATS, collectUserData, sendDataExport } from '../services/dataExportService.js';
 
 dotenv.config();
 
@@ -15,52 +38,26 @@ dotenv.config();
 /**
  * Rate limiting for sensitive operations
  */
-const sensitiveOperations = new Map();
 const SENSITIVE_RATE_LIMITS = {
   login: { windowMs: 15 * 60 * 1000, maxAttempts: 5 },
   register: { windowMs: 60 * 60 * 1000, maxAttempts: 3 },
-  passwordReset: { windowMs: 60 * 60 * 1000, maxAttempts: 3 }
+  passwordReset: { windowMs: 60 * 60 * 1000, maxAttempts: 3 },
+  twoFactor: { windowMs: 15 * 60 * 1000, maxAttempts: 5 }
 };
 
 /**
  * Check rate limiting for sensitive operations
  * @param {string} operation - Operation type (login, register, passwordReset)
  * @param {string} identifier - IP address or email
- * @returns {Object} Rate limit status
+ * @returns {Promise<Object>} Rate limit status
  */
 const checkSensitiveRateLimit = (operation, identifier) => {
-  const key = `${operation}:${identifier}`;
-  const now = Date.now();
   const limits = SENSITIVE_RATE_LIMITS[operation];
-  
-  // Clean up old entries
-  for (const [entryKey, data] of sensitiveOperations.entries()) {
-    if (now - data.firstAttempt > limits.windowMs) {
-      sensitiveOperations.delete(entryKey);
-    }
-  }
-  
-  const attempts = sensitiveOperations.get(key);
-  
-  if (!attempts) {
-    sensitiveOperations.set(key, { firstAttempt: now, count: 1 });
-    return { limited: false, remaining: limits.maxAttempts - 1 };
-  }
-  
-  if (now - attempts.firstAttempt > limits.windowMs) {
-    sensitiveOperations.set(key, { firstAttempt: now, count: 1 });
-    return { limited: false, remaining: limits.maxAttempts - 1 };
-  }
-  
-  if (attempts.count >= limits.maxAttempts) {
-    return { 
-      limited: true, 
-      retryAfter: Math.ceil((limits.windowMs - (now - attempts.firstAttempt)) / 1000)
-    };
-  }
-  
-  attempts.count++;
-  return { limited: false, remaining: limits.maxAttempts - attempts.count };
+
+  return rateLimitStore.consume(operation, identifier, {
+    windowMs: limits.windowMs,
+    max: limits.maxAttempts
+  });
 };
 
 /**
@@ -123,22 +120,43 @@ const validateRegistrationInput = (userData) => {
   return { valid: errors.length === 0, errors };
 };
 
+/**
+ * JWT lifetimes by type. 2fa_challenge and 2fa_setup tokens only unlock the
+ * second login step and 2FA enrollment; authenticate rejects them elsewhere.
+ * Refresh tokens are opaque and stored server-side (see sessionService).
+ */
+const TOKEN_LIFETIMES = {
+  access: { expiresIn: '1h', seconds: 3600 },
+  '2fa_challenge': { expiresIn: '5m', seconds: 300 },
+  '2fa_setup': { expiresIn: '15m', seconds: 900 }
+};
+
+// Account statuses that can no longer refresh a session
+const REFRESH_BLOCKED_STATUSES = ['suspended', 'banned', 'inactive'];
+
 /**
  * Generate JWT token with enhanced security
  * @param {Object} user - User object
- * @param {string} tokenType - Type of token (access, refresh)
+ * @param {string} tokenType - Type of token (access, 2fa_challenge, 2fa_setup)
+ * @param {Object} claims - Extra claims, e.g. { sid } for the session of an access token
  * @returns {string} JWT token
  */
-const generateToken = (user, tokenType = 'access') => {
+const generateToken = (user, tokenType = 'access', claims = {}) => {
   const payload = {
+    ...claims,
     userId: user._id,
     role: user.role,
     tokenType,
     iat: Math.floor(Date.now() / 1000)
   };
 
+  // Lets the client show what the user may do; the server checks the stored permissions
+  if (tokenType === 'access') {
+    payload.permissions = user.permissions;
+  }
+
   const options = {
-    expiresIn: tokenType === 'refresh' ? '7d' : '1h',
+    expiresIn: (TOKEN_LIFETIMES[tokenType] || TOKEN_LIFETIMES.access).expiresIn,
     issuer: 'pawsome-homes',
     audience: 'pawsome-homes-users'
   };
@@ -146,19 +164,95 @@ const generateToken = (user, tokenType = 'access') => {
   return jwt.sign(payload, process.env.JWT_SECRET, options);
 };
 
+/**
+ * Start a refresh token session and build the tokens for the response
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { sessionId, tokens }
+ */
+const startSession = async (user, req) => {
+  const session = await createSession(user, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+  return {
+    sessionId: session.sessionId,
+    tokens: {
+      accessToken: generateToken(user, 'access', { sid: session.sessionId }),
+      refreshToken: session.refreshToken,
+      expiresIn: TOKEN_LIFETIMES.access.seconds
+    }
+  };
+};
+
+/**
+ * Record a successful login and build the response body with fresh tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {string} message - Response message
+ * @returns {Promise<Object>} Response body
+ */
+const completeLogin = async (user, req, message = 'Login successful') => {
+  const { sessionId, tokens } = await startSession(user, req);
+  await user.recordLogin(req.ip, req.get('User-Agent'), true, sessionId);
+
+  return {
+    success: true,
+    message,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions: user.permissions,
+      emailVerified: user.emailVerified,
+      status: user.status,
+      fullName: user.fullName,
+      twoFactorEnabled: user.twoFactorEnabled
+    },
+    tokens
+  };
+};
+
+/**
+ * Check a TOTP code or backup code against a user loaded with
+ * +twoFactorSecret +twoFactorLastUsedStep +backupCodes. A backup code is
+ * consumed in the database right away; a TOTP step is recorded on the
+ * document and the caller saves it.
+ * @param {Object} user - User document
+ * @param {Object} input - { code, backupCode }
+ * @returns {Promise<string|null>} 'totp' or 'backup_code' if valid, otherwise null
+ */
+const verifySecondFactor = async (user, { code, backupCode } = {}) => {
+  if (code && user.twoFactorSecret) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+      lastUsedStep: user.twoFactorLastUsedStep
+    });
+    if (step !== null) {
+      user.twoFactorLastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (backupCode && await user.consumeBackupCode(hashBackupCode(backupCode))) {
+    return 'backup_code';
+  }
+
+  return null;
+};
+
 /**
  * Send email verification
  * @param {Object} user - User object
  * @param {string} token - Verification token
  */
 const sendVerificationEmail = async (user, token) => {
-  // Email service integration would go here
-  logger.info('Email verification sent', {
-    userId: user._id,
-    email: user.email,
-    tokenLength: token.length
+  const verificationUrl = `${emailService.getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await emailService.sendTemplate('emailVerification', user.email, {
+    firstName: user.profile?.firstName,
+    username: user.username,
+    verificationUrl,
+    expiresInHours: 24
   });
-  // TODO: Integrate with email service (SendGrid, SES, etc.)
 };
 
 /**
@@ -167,13 +261,14 @@ const sendVerificationEmail = async (user, token) => {
  * @param {string} token - Reset token
  */
 const sendPasswordResetEmail = async (user, token) => {
-  // Email service integration would go here
-  logger.info('Password reset email sent', {
-    userId: user._id,
-    email: user.email,
-    tokenLength: token.length
+  const resetUrl = `${emailService.getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await emailService.sendTemplate('passwordReset', user.email, {
+    firstName: user.profile?.firstName,
+    username: user.username,
+    resetUrl,
+    expiresInMinutes: 15
   });
-  // TODO: Integrate with email service
 };
 
 /**
@@ -186,7 +281,7 @@ export const registerUser = async (req, res) => {
   
   try {
     // Rate limiting check
-    const rateLimit = checkSensitiveRateLimit('register', clientIp);
+    const rateLimit = await checkSensitiveRateLimit('register', clientIp);
     if (rateLimit.limited) {
       logger.warn('Registration rate limit exceeded', {
         ip: clientIp,
@@ -267,8 +362,7 @@ export const registerUser = async (req, res) => {
     await sendVerificationEmail(user, verificationToken);
 
     // Generate tokens
-    const accessToken = generateToken(user, 'access');
-    const refreshToken = generateToken(user, 'refresh');
+    const { tokens } = await startSession(user, req);
 
     logger.info('User registered successfully', {
       userId: user._id,
@@ -286,14 +380,11 @@ export const registerUser = async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: user.permissions,
         emailVerified: user.emailVerified,
         status: user.status
       },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: 3600 // 1 hour
-      }
+      tokens
     });
 
   } catch (error) {
@@ -329,7 +420,7 @@ export const loginUser = async (req, res) => {
   
   try {
     // Rate limiting check
-    const rateLimit = checkSensitiveRateLimit('login', clientIp);
+    const rateLimit = await checkSensitiveRateLimit('login', clientIp);
     if (rateLimit.limited) {
       logger.warn('Login rate limit exceeded', {
         ip: clientIp,
@@ -441,12 +532,55 @@ export const loginUser = async (req, res) => {
       });
     }
 
-    // Record successful login
-    await user.recordLogin(clientIp, userAgent, true);
+    // The cancel link in the deletion email is the way back in
+    if (user.deletionRequested) {
+      logger.warn('Login attempt on account scheduled for deletion', {
+        userId: user._id,
+        ip: clientIp
+      });
 
-    // Generate tokens
-    const accessToken = generateToken(user, 'access');
-    const refreshToken = generateToken(user, 'refresh');
+      return res.status(403).json({
+        error: 'Account scheduled for deletion',
+        message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}. Use the link in the deletion email to cancel it.`,
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    // Second step: the password is correct, but no session until the
+    // authenticator code is confirmed at /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      logger.info('Login awaiting two-factor verification', {
+        userId: user._id,
+        ip: clientIp
+      });
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app',
+        challengeToken: generateToken(user, '2fa_challenge'),
+        expiresIn: TOKEN_LIFETIMES['2fa_challenge'].seconds
+      });
+    }
+
+    // Roles that can edit every pet and user record must enroll first
+    if (isTwoFactorRequired(user)) {
+      logger.warn('Login blocked until two-factor enrollment', {
+        userId: user._id,
+        role: user.role,
+        ip: clientIp
+      });
+
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        message: 'Your role requires two-factor authentication. Set it up to continue.',
+        setupToken: generateToken(user, '2fa_setup'),
+        expiresIn: TOKEN_LIFETIMES['2fa_setup'].seconds
+      });
+    }
+
+    const response = await completeLogin(user, req);
 
     logger.info('User logged in successfully', {
       userId: user._id,
@@ -456,24 +590,7 @@ export const loginUser = async (req, res) => {
       userAgent
     });
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        emailVerified: user.emailVerified,
-        status: user.status,
-        fullName: user.fullName
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: 3600 // 1 hour
-      }
-    });
+    res.json(response);
 
   } catch (error) {
     logger.errorLog(error, {
@@ -498,7 +615,7 @@ export const requestPasswordReset = async (req, res) => {
   
   try {
     // Rate limiting check
-    const rateLimit = checkSensitiveRateLimit('passwordReset', clientIp);
+    const rateLimit = await checkSensitiveRateLimit('passwordReset', clientIp);
     if (rateLimit.limited) {
       return res.status(429).json({
         error: 'Rate limit exceeded',
@@ -614,6 +731,9 @@ export const resetPassword = async (req, res) => {
 
     await user.save();
 
+    // Whoever had the old password may still hold a session
+    await revokeAllSessions(user._id, 'password_changed');
+
     logger.info('Password reset completed', {
       userId: user._id,
       email: user.email,
@@ -703,52 +823,63 @@ export const verifyEmail = async (req, res) => {
 
 /**
  * Refresh Token
- * @route POST /api/refresh-token
+ * Rotates the refresh token: the one presented is used up and a new one is
+ * returned with the access token. Reusing a rotated token signs out its session.
+ * @route POST /api/auth/refresh-token
  */
 export const refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (!refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
       return res.status(400).json({
         error: 'Missing refresh token',
         message: 'Refresh token is required'
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    if (decoded.tokenType !== 'refresh') {
-      return res.status(401).json({
-        error: 'Invalid token type',
-        message: 'Invalid refresh token'
-      });
-    }
+    const session = await rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    // Find user
-    const user = await User.findById(decoded.userId);
-    if (!user || user.status !== 'active') {
+    // Find user; unverified accounts can log in, so they keep their session too
+    const user = await User.findById(session.userId);
+    if (!user || REFRESH_BLOCKED_STATUSES.includes(user.status)) {
+      await revokeSession(session.userId, session.sessionId, 'revoked_by_admin');
       return res.status(401).json({
         error: 'Invalid user',
         message: 'User not found or inactive'
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateToken(user, 'access');
+    if (isTwoFactorRequired(user) && !user.twoFactorEnabled) {
+      await revokeSession(user._id, session.sessionId, 'logout');
+      return res.status(403).json({
+        error: 'Two-factor setup required',
+        message: 'Your role requires two-factor authentication. Please log in again to set it up.'
+      });
+    }
 
     res.json({
       success: true,
-      accessToken: newAccessToken,
-      expiresIn: 3600
+      accessToken: generateToken(user, 'access', { sid: session.sessionId }),
+      refreshToken: session.refreshToken,
+      expiresIn: TOKEN_LIFETIMES.access.seconds
     });
 
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
+    const messages = {
+      INVALID_REFRESH_TOKEN: 'Invalid refresh token. Please log in again.',
+      REFRESH_TOKEN_EXPIRED: 'Refresh token has expired. Please log in again.',
+      REFRESH_TOKEN_REVOKED: 'This session has been signed out. Please log in again.',
+      REFRESH_TOKEN_REUSED: 'This session has been signed out for your security. Please log in again.'
+    };
+
+    if (messages[error.code]) {
       return res.status(401).json({
-        error: 'Token expired',
-        message: 'Refresh token has expired. Please log in again.'
+        error: error.code.toLowerCase(),
+        message: messages[error.code]
       });
     }
 
@@ -764,6 +895,150 @@ export const refreshToken = async (req, res) => {
   }
 };
 
+/**
+ * Logout
+ * Signs out the session of the given refresh token. Succeeds for unknown
+ * tokens so clients can always clear their local state.
+ * @route POST /api/auth/logout
+ */
+export const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = typeof refreshToken === 'string' ? await revokeRefreshToken(refreshToken) : null;
+
+    if (session) {
+      logger.info('User logged out', {
+        userId: session.userId,
+        sessionId: session.sessionId,
+        ip: req.ip
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'logoutUser',
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Unable to log out. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Log Out Everywhere
+ * Signs out every session of the current user, including this one.
+ * @route POST /api/auth/logout-all
+ */
+export const logoutAllSessions = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user._id, 'logout_all');
+
+    logger.info('User logged out everywhere', {
+      userId: req.user._id,
+      revokedSessions,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'logoutAllSessions',
+      userId: req.user?._id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Unable to log out of all sessions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Active Sessions
+ * @route GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('loginHistory');
+    const sessions = await listSessions(user, req.tokenPayload?.sid);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getSessions',
+      userId: req.user?._id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: 'Unable to load your sessions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Sign Out One Session
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+export const deleteSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user._id, sessionId, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'This session does not exist or has already ended'
+      });
+    }
+
+    logger.info('Session revoked', {
+      userId: req.user._id,
+      sessionId,
+      current: sessionId === req.tokenPayload?.sid,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'deleteSession',
+      userId: req.user?._id,
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      message: 'Unable to sign out this session. Please try again later.'
+    });
+  }
+};
+
 /**
  * Get Current User Profile
  * @route GET /api/user
@@ -789,6 +1064,7 @@ export const getCurrentUser = async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: user.permissions,
         emailVerified: user.emailVerified,
         status: user.status,
         profile: user.profile,
@@ -883,6 +1159,544 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Second login step: exchange a challenge token and an authenticator or backup code for a session
+ * @route POST /api/auth/login/2fa
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  const clientIp = req.ip;
+
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        error: 'Missing code',
+        message: 'An authenticator code or a backup code is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login session has expired. Please sign in again.'
+      });
+    }
+
+    if (decoded.tokenType !== '2fa_challenge') {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login session has expired. Please sign in again.'
+      });
+    }
+
+    const rateLimit = await checkSensitiveRateLimit('twoFactor', decoded.userId);
+    if (rateLimit.limited) {
+      logger.warn('Two-factor rate limit exceeded', { userId: decoded.userId, ip: clientIp });
+
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `Too many verification attempts. Please try again in ${Math.ceil(rateLimit.retryAfter / 60)} minutes.`,
+        retryAfter: rateLimit.retryAfter
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +backupCodes +loginAttempts +lockUntil');
+
+    if (!user || !user.twoFactorEnabled || ['suspended', 'banned'].includes(user.status)) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login session has expired. Please sign in again.'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, backupCode });
+
+    if (!method) {
+      await user.incLoginAttempts();
+
+      logger.warn('Invalid two-factor code', {
+        userId: user._id,
+        ip: clientIp,
+        usedBackupCode: !!backupCode
+      });
+
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The verification code is invalid or has already been used'
+      });
+    }
+
+    const response = await completeLogin(user, req);
+    const backupCodesRemaining = user.backupCodes.filter(backup => !backup.used).length;
+
+    logger.info('User logged in with two-factor authentication', {
+      userId: user._id,
+      method,
+      backupCodesRemaining: method === 'backup_code' ? backupCodesRemaining : undefined,
+      ip: clientIp
+    });
+
+    res.json({
+      ...response,
+      ...(method === 'backup_code' && { backupCodesRemaining })
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'verifyTwoFactorLogin',
+      ip: clientIp
+    });
+
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Unable to verify the code. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Two-factor status of the current user
+ * @route GET /api/auth/2fa
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+backupCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: isTwoFactorRequired(user),
+        enabledAt: user.twoFactorEnabledAt,
+        backupCodesRemaining: user.twoFactorEnabled
+          ? user.backupCodes.filter(backup => !backup.used).length
+          : 0
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getTwoFactorStatus',
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to fetch two-factor status',
+      message: 'Unable to retrieve two-factor settings'
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment: create a new secret and return its provisioning URI.
+ * The secret stays inactive until confirmed with enableTwoFactor.
+ * @route POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled. Disable it first to enroll a new device.'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorSecret = encryptSecret(secret);
+    await user.save();
+
+    logger.info('Two-factor enrollment started', {
+      userId: user._id,
+      viaSetupToken: req.tokenPayload?.tokenType === '2fa_setup',
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: getOtpAuthUri({ secret, accountName: user.email }),
+        issuer: TWO_FACTOR_ISSUER,
+        accountName: user.email
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'setupTwoFactor',
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Unable to start two-factor setup. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app and issue backup codes.
+ * When called with a login setup token this also completes the login.
+ * @route POST /api/auth/2fa/enable
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +backupCodes');
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        error: 'Setup not started',
+        message: 'Start two-factor setup before confirming a code'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The code does not match. Check the time on your device and try again.'
+      });
+    }
+
+    const { codes, hashed } = generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    user.backupCodes = hashed;
+
+    logger.info('Two-factor authentication enabled', {
+      userId: user._id,
+      role: user.role,
+      ip: req.ip
+    });
+
+    const message = 'Two-factor authentication enabled. Store your backup codes somewhere safe.';
+
+    if (req.tokenPayload?.tokenType === '2fa_setup') {
+      // recordLogin saves the enrollment together with the login
+      const response = await completeLogin(user, req, message);
+      return res.json({ ...response, backupCodes: codes });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message,
+      backupCodes: codes
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'enableTwoFactor',
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Unable to enable two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Turn off 2FA (not allowed for roles that require it)
+ * @route POST /api/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +backupCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        error: 'Two-factor required',
+        message: 'Two-factor authentication is mandatory for your role. Ask an administrator to reset it if you lost your device.'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, backupCode }))) {
+      logger.warn('Two-factor disable rejected', { userId: user._id, ip: req.ip });
+
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    logger.info('Two-factor authentication disabled', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'disableTwoFactor',
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Two-factor update failed',
+      message: 'Unable to disable two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Replace all backup codes (requires a current authenticator code)
+ * @route POST /api/auth/2fa/backup-codes
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +backupCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The verification code is invalid or has already been used'
+      });
+    }
+
+    const { codes, hashed } = generateBackupCodes();
+    user.backupCodes = hashed;
+    await user.save();
+
+    logger.info('Backup codes regenerated', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your old codes no longer work.',
+      backupCodes: codes
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'regenerateBackupCodes',
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Backup code generation failed',
+      message: 'Unable to generate backup codes. Please try again later.'
+    });
+  }
+};
+
+// ACCOUNT DATA
+
+/**
+ * Download My Data
+ * Everything stored about the current user, as JSON or a ZIP archive
+ * @route GET /api/auth/me/export?format=json|zip
+ */
+export const exportMyData = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!DATA_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${DATA_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const data = await collectUserData(req.user._id);
+    if (!data) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    logger.info('Personal data exported', {
+      userId: req.user._id,
+      format,
+      ip: req.ip
+    });
+
+    await sendDataExport(res, data, {
+      format,
+      filename: `my-data-${new Date().toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'exportMyData',
+      userId: req.user?._id
+    });
+
+    // The archive may already be streaming
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Export failed',
+      message: 'Unable to export your data. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Request Account Deletion
+ * Schedules the current account for deletion after the grace period and
+ * signs out every session. The emailed link cancels it.
+ * @route POST /api/auth/me/deletion
+ */
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!password || !(await user.comparePassword(password))) {
+      logger.warn('Account deletion rejected', { userId: user._id, ip: req.ip });
+
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const cancelToken = await user.requestDeletion();
+    await revokeAllSessions(user._id, 'account_deletion');
+
+    try {
+      await sendDeletionScheduledEmail(user, cancelToken);
+    } catch (emailError) {
+      logger.errorLog(emailError, { operation: 'sendDeletionScheduledEmail', userId: user._id });
+    }
+
+    logger.warn('Account deletion requested', {
+      userId: user._id,
+      scheduledFor: user.deletionScheduledFor,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. We emailed you a link to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'requestAccountDeletion',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Deletion request failed',
+      message: 'Unable to schedule account deletion. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Cancel Account Deletion
+ * @route POST /api/auth/deletion/cancel
+ */
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Cancel token is required'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      deletionCancelToken: hashedToken,
+      deletionRequested: true,
+      anonymizedAt: { $exists: false }
+    }).select('+deletionCancelToken');
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This link is invalid or the account has already been deleted'
+      });
+    }
+
+    await user.cancelDeletion();
+
+    logger.info('Account deletion cancelled', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled. You can log in again.'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'cancelAccountDeletion',
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Deletion cancel failed',
+      message: 'Unable to cancel account deletion. Please try again later.'
+    });
+  }
+};
+
 // Legacy compatibility - keeping for backward compatibility but adding proper error handling
 export const updateUserPassword = async (req, res) => {
   // Redirect to proper password reset flow
@@ -3,7 +3,10 @@ import User from '../models/User.js';
 import { validationResult, body } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 import logger from '../services/logger.js';
+import { createExpressStore } from '../services/rateLimitStore.js';
 import mongoose from 'mongoose';
+import validator from 'validator';
+import emailService from '../services/emailService.js';
 
 /**
  * Enterprise-grade Contact Controller
@@ -24,6 +27,8 @@ class ContactController {
     },
     standardHeaders: true,
     legacyHeaders: false,
+    store: createExpressStore('contactMessage'),
+    passOnStoreError: true,
     keyGenerator: (req) => {
       // Use user ID if authenticated, otherwise IP
       return req.user?.id || req.ip;
@@ -541,6 +546,77 @@ static categorizeMessage(message, subject = '') {
     }
   }
 
+  /**
+   * Reply to a contact message by email (Staff only)
+   * POST /api/contact/messages/:id/reply
+   */
+  static async replyToContactMessage(req, res) {
+    try {
+      const { id } = req.params;
+      const replyContent = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid message ID format'
+        });
+      }
+
+      if (replyContent.length === 0 || replyContent.length > 2000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reply must be between 1 and 2000 characters'
+        });
+      }
+
+      const contactMessage = await ContactMessage.findById(id);
+
+      if (!contactMessage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found'
+        });
+      }
+
+      // Stored fields were HTML-escaped on submission; the template escapes them again
+      const delivery = await emailService.sendTemplate('contactReply', contactMessage.email, {
+        name: validator.unescape(contactMessage.name || ''),
+        originalSubject: validator.unescape(contactMessage.subject || ''),
+        originalMessage: validator.unescape(contactMessage.message || ''),
+        replyContent,
+        staffName: req.user.fullName || req.user.username
+      });
+
+      await contactMessage.addResponse('email', req.user.id, replyContent, delivery.sent || delivery.queued);
+
+      logger.info('Contact message reply sent', {
+        messageId: id,
+        adminId: req.user.id,
+        delivered: delivery.sent,
+        queued: delivery.queued
+      });
+
+      res.json({
+        success: true,
+        message: delivery.sent ? 'Reply sent successfully' : 'Reply queued for delivery',
+        data: {
+          status: contactMessage.status,
+          delivery: {
+            sent: delivery.sent,
+            queued: !!delivery.queued
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error replying to contact message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send reply'
+      });
+    }
+  }
+
   /**
    * Get contact message statistics (Admin only)
    * GET /api/contact/stats
@@ -620,5 +696,6 @@ export const sendContactMessage = ContactController.sendContactMessage;
 export const getAllContactMessages = ContactController.getAllContactMessages;
 export const updateContactMessageStatus = ContactController.updateContactMessageStatus;
 export const getContactStats = ContactController.getContactStats;
+export const replyToContactMessage = ContactController.replyToContactMessage;
 export const contactRateLimit = ContactController.contactRateLimit;
 export const validateContactMessage = ContactController.validateContactMessage;
\ No newline at end of file
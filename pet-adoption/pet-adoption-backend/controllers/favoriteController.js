@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Pet from '../models/Pet.js';
+import logger from '../services/logger.js';
+
+/**
+ * Favorite Controller
+ * Saved pets of the signed-in user. Every add/remove also keeps the pet's
+ * favorites.total counter in step so it can be used in analytics.
+ */
+
+export const MAX_FAVORITES = 200;
+
+const PET_SUMMARY_FIELDS = 'name type species breed age gender size location status image images urgentAdoption isFeatured';
+
+/**
+ * Validate the :petId route parameter, responding with 400 if invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether the ID is valid
+ */
+const validatePetId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+    res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided pet ID is not a valid MongoDB ObjectId'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * List the current user's favorites with pet summaries, newest first
+ * @route GET /api/favorites
+ * @access Private
+ * @query {boolean} [active] - Only pets that have not been adopted yet
+ */
+export const getMyFavorites = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('favorites')
+      .populate({ path: 'favorites.pet', select: PET_SUMMARY_FIELDS });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account no longer exists'
+      });
+    }
+
+    // Entries whose pet has been deleted are skipped
+    const favorites = (req.query.active === 'true' ? user.activeFavorites : user.favorites)
+      .filter(favorite => favorite.pet)
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .map(favorite => ({
+        pet: favorite.pet.toJSON(),
+        addedAt: favorite.addedAt
+      }));
+
+    res.json({
+      success: true,
+      data: favorites,
+      count: favorites.length
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getMyFavorites',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve favorites',
+      message: 'Unable to fetch your favorites. Please try again later.'
+    });
+  }
+};
+
+/**
+ * IDs of the current user's favorite pets, for rendering heart toggles
+ * @route GET /api/favorites/ids
+ * @access Private
+ */
+export const getMyFavoriteIds = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('favorites.pet').lean();
+
+    res.json({
+      success: true,
+      data: (user?.favorites || []).map(favorite => favorite.pet)
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getMyFavoriteIds',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve favorites',
+      message: 'Unable to fetch your favorites. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Add a pet to the current user's favorites (idempotent)
+ * @route POST /api/favorites/:petId
+ * @access Private
+ */
+export const addFavorite = async (req, res) => {
+  try {
+    if (!validatePetId(req, res)) return;
+
+    const petId = new mongoose.Types.ObjectId(req.params.petId);
+
+    const petExists = await Pet.exists({ _id: petId });
+    if (!petExists) {
+      return res.status(404).json({
+        error: 'Pet not found',
+        message: 'The requested pet does not exist'
+      });
+    }
+
+    // Single conditional update so concurrent requests can't add duplicates
+    const result = await User.updateOne(
+      {
+        _id: req.user._id,
+        'favorites.pet': { $ne: petId },
+        [`favorites.${MAX_FAVORITES - 1}`]: { $exists: false }
+      },
+      { $push: { favorites: { pet: petId, addedAt: new Date() } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const alreadyFavorite = await User.exists({ _id: req.user._id, 'favorites.pet': petId });
+      if (!alreadyFavorite) {
+        return res.status(400).json({
+          error: 'Favorites limit reached',
+          message: `You can save at most ${MAX_FAVORITES} favorite pets`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Pet is already in your favorites',
+        data: { petId, isFavorite: true }
+      });
+    }
+
+    await Pet.updateOne(
+      { _id: petId },
+      { $inc: { 'favorites.total': 1 }, $set: { 'favorites.lastFavorited': new Date() } }
+    );
+
+    logger.dbLog('update', 'users', { userId: req.user._id, favoriteAdded: petId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pet added to favorites',
+      data: { petId, isFavorite: true }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'addFavorite',
+      userId: req.user?._id,
+      petId: req.params.petId
+    });
+
+    res.status(500).json({
+      error: 'Failed to add favorite',
+      message: 'Unable to save this pet. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Remove a pet from the current user's favorites (idempotent)
+ * @route DELETE /api/favorites/:petId
+ * @access Private
+ */
+export const removeFavorite = async (req, res) => {
+  try {
+    if (!validatePetId(req, res)) return;
+
+    const petId = new mongoose.Types.ObjectId(req.params.petId);
+
+    const result = await User.updateOne(
+      { _id: req.user._id, 'favorites.pet': petId },
+      { $pull: { favorites: { pet: petId } } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Pet.updateOne(
+        { _id: petId, 'favorites.total': { $gt: 0 } },
+        { $inc: { 'favorites.total': -1 } }
+      );
+
+      logger.dbLog('update', 'users', { userId: req.user._id, favoriteRemoved: petId });
+    }
+
+    res.json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'Pet removed from favorites' : 'Pet was not in your favorites',
+      data: { petId, isFavorite: false }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'removeFavorite',
+      userId: req.user?._id,
+      petId: req.params.petId
+    });
+
+    res.status(500).json({
+      error: 'Failed to remove favorite',
+      message: 'Unable to remove this pet. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,766 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import FosterApplication, { FOSTER_APPLICATION_STATUSES } from '../models/FosterApplication.js';
+import FosterPlacement, { FOSTER_PLACEMENT_STATUSES } from '../models/FosterPlacement.js';
+import FosterCheckIn, { FOSTER_CHECK_IN_STATUSES } from '../models/FosterCheckIn.js';
+import User from '../models/User.js';
+import logger from '../services/logger.js';
+import storageService from '../services/storageService.js';
+import { processImage } from '../services/imageService.js';
+import { createNotification } from '../services/notificationService.js';
+import { reviewFosterApplication, placePet, endPlacement, FOSTER_ERRORS } from '../services/fosterService.js';
+
+/**
+ * Foster Controller
+ * Foster applications, placements and check-in reports: the foster parent's
+ * own portal and the staff side of the program
+ */
+
+// Fields an applicant fills in
+const APPLICATION_FIELDS = [
+  'housingType', 'hasYard', 'otherPets', 'hasChildren', 'preferredPetTypes',
+  'maxPets', 'canHandleMedicalNeeds', 'availableFrom', 'experience', 'motivation'
+];
+const CHECK_IN_FIELDS = ['wellbeing', 'eating', 'behavior', 'health', 'notes'];
+
+// Check-ins shown with each placement in the foster portal
+const RECENT_CHECK_INS = 5;
+
+// HTTP status and error title of each foster service error
+const FOSTER_ERROR_RESPONSES = {
+  [FOSTER_ERRORS.NOT_FOUND]: [404, 'Not found'],
+  [FOSTER_ERRORS.INVALID_INPUT]: [400, 'Validation Error'],
+  [FOSTER_ERRORS.CONFLICT]: [409, 'Conflict']
+};
+
+const PET_SUMMARY = 'name type breed image images status currentLocation';
+
+/**
+ * Page and limit from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} { page, limit }
+ */
+const getPagination = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+/**
+ * Respond with 400 unless a route parameter is a valid ObjectId
+ * @param {Object} res - Express response object
+ * @param {string} id - Parameter value
+ * @param {string} label - What the ID refers to, for the message
+ * @returns {boolean} Whether the ID is valid
+ */
+const requireObjectId = (res, id, label) => {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+
+  res.status(400).json({
+    error: 'Invalid ID format',
+    message: `The provided ${label} ID is not valid`
+  });
+  return false;
+};
+
+/**
+ * Respond to an error from a foster action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {Object} fallback - { error, message } for unexpected errors
+ */
+const sendFosterError = (res, error, fallback) => {
+  if (FOSTER_ERROR_RESPONSES[error.code]) {
+    const [status, title] = FOSTER_ERROR_RESPONSES[error.code];
+    return res.status(status).json({ error: title, message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check the submitted details',
+      details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  // Unique index: the pet already has an active placement
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'This pet already has an active foster placement'
+    });
+  }
+
+  res.status(500).json(fallback);
+};
+
+/**
+ * Apply to become a foster parent
+ * @route POST /api/foster/applications
+ * @access Private
+ */
+export const createFosterApplication = async (req, res) => {
+  try {
+    const existing = await FosterApplication.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'approved'] }
+    }).lean();
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Application exists',
+        message: existing.status === 'pending'
+          ? 'Your foster application is already being reviewed'
+          : 'You are already an approved foster parent'
+      });
+    }
+
+    const data = { user: req.user._id };
+    APPLICATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const application = await FosterApplication.create(data);
+
+    logger.dbLog('create', 'fosterapplications', { userId: req.user._id, applicationId: application._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your foster application has been submitted.',
+      data: application
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'createFosterApplication', userId: req.user?._id });
+
+    sendFosterError(res, error, {
+      error: 'Failed to submit application',
+      message: 'Unable to submit your foster application. Please try again later.'
+    });
+  }
+};
+
+/**
+ * The current user's foster applications, newest first
+ * @route GET /api/foster/applications/me
+ * @access Private
+ */
+export const getMyFosterApplications = async (req, res) => {
+  try {
+    const applications = await FosterApplication.find({ user: req.user._id })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: applications
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getMyFosterApplications', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve applications',
+      message: 'Unable to fetch your foster applications. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Withdraw the current user's pending application
+ * @route DELETE /api/foster/applications/:id
+ * @access Private (own application)
+ */
+export const withdrawFosterApplication = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'application')) return;
+
+  try {
+    const application = await FosterApplication.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Application not found',
+        message: 'No pending foster application to withdraw'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your foster application has been withdrawn',
+      data: application
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'withdrawFosterApplication', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to withdraw application',
+      message: 'Unable to withdraw your foster application. Please try again later.'
+    });
+  }
+};
+
+/**
+ * The current user's placements with the pet and its latest check-ins
+ * @route GET /api/foster/me/placements
+ * @access Private
+ */
+export const getMyPlacements = async (req, res) => {
+  try {
+    const placements = await FosterPlacement.find({ foster: req.user._id })
+      .select('-assignedBy -endedBy')
+      .populate('pet', PET_SUMMARY)
+      .sort({ status: 1, startDate: -1 })
+      .lean();
+
+    const checkIns = await FosterCheckIn.find({ placement: { $in: placements.map(placement => placement._id) } })
+      .select('-photos.storageKeys -reviewedBy')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const checkInsByPlacement = new Map();
+    checkIns.forEach(checkIn => {
+      const key = String(checkIn.placement);
+      const list = checkInsByPlacement.get(key) || [];
+      if (list.length < RECENT_CHECK_INS) list.push(checkIn);
+      checkInsByPlacement.set(key, list);
+    });
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: placements.map(placement => ({
+        ...placement,
+        isCheckInOverdue: placement.status === 'active' && !!placement.nextCheckInDue && new Date(placement.nextCheckInDue) <= now,
+        recentCheckIns: checkInsByPlacement.get(String(placement._id)) || []
+      }))
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getMyPlacements', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve placements',
+      message: 'Unable to fetch your foster pets. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Submit a check-in report for one of the current user's active placements
+ * (multipart: report fields plus up to MAX_CHECK_IN_PHOTOS "photos")
+ * @route POST /api/foster/placements/:id/check-ins
+ * @access Private (the placement's foster parent)
+ */
+export const createCheckIn = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'placement')) return;
+
+  const storedKeys = [];
+
+  try {
+    const placement = await FosterPlacement.findOne({
+      _id: req.params.id,
+      foster: req.user._id,
+      status: 'active'
+    });
+
+    if (!placement) {
+      return res.status(404).json({
+        error: 'Placement not found',
+        message: 'You have no active foster placement with this ID'
+      });
+    }
+
+    // Process everything first so one bad file rejects the whole report
+    const files = req.files || [];
+    const processed = [];
+    const rejected = [];
+    for (const file of files) {
+      try {
+        processed.push(await processImage(file.buffer));
+      } catch (error) {
+        rejected.push({ file: file.originalname, reason: error.message });
+      }
+    }
+
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: 'Only JPEG, PNG, WebP and GIF images can be uploaded',
+        details: rejected
+      });
+    }
+
+    const photos = [];
+    for (const result of processed) {
+      const baseKey = `fosters/${placement._id}/${crypto.randomUUID()}`;
+      const { webp, thumbnail } = result.variants;
+
+      const [displayFile, thumbnailFile] = await Promise.all([
+        storageService.putFile(`${baseKey}.webp`, webp.buffer, { contentType: webp.contentType }),
+        storageService.putFile(`${baseKey}-thumb.webp`, thumbnail.buffer, { contentType: thumbnail.contentType })
+      ]);
+      storedKeys.push(displayFile.key, thumbnailFile.key);
+
+      photos.push({
+        url: displayFile.url,
+        thumbnailUrl: thumbnailFile.url,
+        storageKeys: [displayFile.key, thumbnailFile.key],
+        width: result.width,
+        height: result.height
+      });
+    }
+
+    const data = { placement: placement._id, pet: placement.pet, foster: req.user._id, photos };
+    CHECK_IN_FIELDS.forEach(field => {
+      if (typeof req.body[field] === 'string') data[field] = req.body[field];
+    });
+
+    const checkIn = await FosterCheckIn.create(data);
+
+    const now = new Date();
+    placement.lastCheckInAt = now;
+    placement.scheduleNextCheckIn(now);
+    await placement.save();
+
+    logger.dbLog('create', 'fostercheckins', {
+      checkInId: checkIn._id,
+      placementId: placement._id,
+      photos: photos.length,
+      userId: req.user._id
+    });
+
+    const response = checkIn.toObject();
+    response.photos.forEach(photo => { delete photo.storageKeys; });
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in sent. Thank you for the update!',
+      data: response,
+      nextCheckInDue: placement.nextCheckInDue
+    });
+
+  } catch (error) {
+    // Don't leave orphaned photos behind if the report could not be saved
+    await storageService.deleteFiles(storedKeys);
+
+    logger.errorLog(error, {
+      operation: 'createCheckIn',
+      placementId: req.params.id,
+      files: req.files?.length,
+      userId: req.user?._id
+    });
+
+    sendFosterError(res, error, {
+      error: 'Failed to send check-in',
+      message: 'Unable to send your check-in. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Check-ins of a placement, newest first
+ * @route GET /api/foster/placements/:id/check-ins
+ * @access Private (the placement's foster parent, or manage_fosters)
+ */
+export const getPlacementCheckIns = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'placement')) return;
+
+  try {
+    const filter = { _id: req.params.id };
+    if (!req.user.hasPermission('manage_fosters')) {
+      filter.foster = req.user._id;
+    }
+
+    const placement = await FosterPlacement.exists(filter);
+    if (!placement) {
+      return res.status(404).json({
+        error: 'Placement not found',
+        message: 'The requested foster placement does not exist'
+      });
+    }
+
+    const checkIns = await FosterCheckIn.find({ placement: req.params.id })
+      .select('-photos.storageKeys')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: checkIns
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPlacementCheckIns', placementId: req.params.id, userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve check-ins',
+      message: 'Unable to fetch the check-ins. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Foster applications for staff review, newest first
+ * @route GET /api/foster/applications
+ * @access Private (manage_fosters)
+ * @query {string} [status] - Filter by status
+ */
+export const getFosterApplications = async (req, res) => {
+  try {
+    const { page, limit } = getPagination(req.query);
+    const query = {};
+    if (FOSTER_APPLICATION_STATUSES.includes(req.query.status)) query.status = req.query.status;
+
+    const [applications, total] = await Promise.all([
+      FosterApplication.find(query)
+        .populate('user', 'username email profile.firstName profile.lastName profile.phone')
+        .populate('reviewedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FosterApplication.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: applications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getFosterApplications', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve applications',
+      message: 'Unable to fetch foster applications. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Approve or reject a foster application
+ * @route PATCH /api/foster/applications/:id
+ * @access Private (manage_fosters)
+ */
+export const reviewApplication = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'application')) return;
+
+  try {
+    const { decision, reviewNotes } = req.body;
+    const application = await reviewFosterApplication(req.params.id, {
+      decision,
+      reviewNotes: typeof reviewNotes === 'string' ? reviewNotes : undefined,
+      reviewer: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `Foster application ${application.status}`,
+      data: application
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'reviewFosterApplication', applicationId: req.params.id, userId: req.user?._id });
+
+    sendFosterError(res, error, {
+      error: 'Failed to review application',
+      message: 'Unable to review the foster application. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Approved foster parents with how many pets they are fostering, for placing a pet
+ * @route GET /api/foster/parents
+ * @access Private (manage_fosters)
+ */
+export const getFosterParents = async (req, res) => {
+  try {
+    const [approvedApplications, fosterUsers] = await Promise.all([
+      FosterApplication.find({ status: 'approved' }).select('user maxPets preferredPetTypes canHandleMedicalNeeds').lean(),
+      User.find({ role: 'foster' }).select('_id').lean()
+    ]);
+
+    const applicationByUser = new Map(approvedApplications.map(application => [String(application.user), application]));
+    const userIds = [...new Set([...applicationByUser.keys(), ...fosterUsers.map(user => String(user._id))])];
+
+    const [users, activeCounts] = await Promise.all([
+      User.find({ _id: { $in: userIds }, status: 'active' })
+        .select('username email profile.firstName profile.lastName')
+        .sort({ username: 1 })
+        .lean(),
+      FosterPlacement.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: '$foster', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const activeByUser = new Map(activeCounts.map(entry => [String(entry._id), entry.count]));
+
+    res.json({
+      success: true,
+      data: users.map(user => {
+        const application = applicationByUser.get(String(user._id));
+        return {
+          ...user,
+          activePlacements: activeByUser.get(String(user._id)) || 0,
+          maxPets: application?.maxPets,
+          preferredPetTypes: application?.preferredPetTypes || [],
+          canHandleMedicalNeeds: application?.canHandleMedicalNeeds || false
+        };
+      })
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getFosterParents', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve foster parents',
+      message: 'Unable to fetch foster parents. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Foster placements, active first
+ * @route GET /api/foster/placements
+ * @access Private (manage_fosters)
+ * @query {string} [status] - active or ended
+ */
+export const getPlacements = async (req, res) => {
+  try {
+    const { page, limit } = getPagination(req.query);
+    const query = {};
+    if (FOSTER_PLACEMENT_STATUSES.includes(req.query.status)) query.status = req.query.status;
+
+    const [placements, total] = await Promise.all([
+      FosterPlacement.find(query)
+        .populate('pet', PET_SUMMARY)
+        .populate('foster', 'username email profile.firstName profile.lastName')
+        .populate('assignedBy endedBy', 'username')
+        .sort({ status: 1, startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FosterPlacement.countDocuments(query)
+    ]);
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: placements.map(placement => ({
+        ...placement,
+        isCheckInOverdue: placement.status === 'active' && !!placement.nextCheckInDue && new Date(placement.nextCheckInDue) <= now
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPlacements', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve placements',
+      message: 'Unable to fetch foster placements. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Place a pet with a foster parent
+ * @route POST /api/foster/placements
+ * @access Private (manage_fosters)
+ */
+export const createPlacement = async (req, res) => {
+  try {
+    const { petId, fosterId, expectedEndDate, checkInIntervalDays, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(petId) || !mongoose.Types.ObjectId.isValid(fosterId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'A valid pet and foster parent are required'
+      });
+    }
+
+    const placement = await placePet({
+      petId,
+      fosterId,
+      assignedBy: req.user._id,
+      expectedEndDate: expectedEndDate || undefined,
+      checkInIntervalDays: checkInIntervalDays ? Number(checkInIntervalDays) : undefined,
+      notes: typeof notes === 'string' ? notes : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pet placed in foster',
+      data: placement
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'createPlacement', petId: req.body?.petId, userId: req.user?._id });
+
+    sendFosterError(res, error, {
+      error: 'Failed to place pet',
+      message: 'Unable to place the pet in foster. Please try again later.'
+    });
+  }
+};
+
+/**
+ * End an active placement
+ * @route POST /api/foster/placements/:id/end
+ * @access Private (manage_fosters)
+ */
+export const endFosterPlacement = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'placement')) return;
+
+  try {
+    const { reason, notes } = req.body;
+    const placement = await endPlacement(req.params.id, {
+      reason,
+      notes: typeof notes === 'string' ? notes : undefined,
+      endedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Foster placement ended',
+      data: placement
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'endFosterPlacement', placementId: req.params.id, userId: req.user?._id });
+
+    sendFosterError(res, error, {
+      error: 'Failed to end placement',
+      message: 'Unable to end the foster placement. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Check-ins for staff review, oldest unreviewed first
+ * @route GET /api/foster/check-ins
+ * @access Private (manage_fosters)
+ * @query {string} [status] - submitted, reviewed or needs_follow_up
+ */
+export const getCheckIns = async (req, res) => {
+  try {
+    const { page, limit } = getPagination(req.query);
+    const query = {};
+    if (FOSTER_CHECK_IN_STATUSES.includes(req.query.status)) query.status = req.query.status;
+
+    const [checkIns, total] = await Promise.all([
+      FosterCheckIn.find(query)
+        .select('-photos.storageKeys')
+        .populate('pet', 'name type breed image')
+        .populate('foster', 'username email profile.firstName profile.lastName')
+        .populate('reviewedBy', 'username')
+        .sort({ createdAt: query.status === 'submitted' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FosterCheckIn.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: checkIns,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getCheckIns', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve check-ins',
+      message: 'Unable to fetch foster check-ins. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Mark a check-in as reviewed or as needing a follow-up
+ * @route PATCH /api/foster/check-ins/:id
+ * @access Private (manage_fosters)
+ */
+export const reviewCheckIn = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'check-in')) return;
+
+  try {
+    const { status, staffNotes } = req.body;
+
+    if (!['reviewed', 'needs_follow_up'].includes(status)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Status must be reviewed or needs_follow_up'
+      });
+    }
+
+    const checkIn = await FosterCheckIn.findById(req.params.id);
+    if (!checkIn) {
+      return res.status(404).json({
+        error: 'Check-in not found',
+        message: 'The requested check-in does not exist'
+      });
+    }
+
+    checkIn.status = status;
+    if (typeof staffNotes === 'string') checkIn.staffNotes = staffNotes;
+    checkIn.reviewedBy = req.user._id;
+    checkIn.reviewedAt = new Date();
+    await checkIn.save();
+
+    if (status === 'needs_follow_up') {
+      await createNotification({
+        user: checkIn.foster,
+        type: 'foster_update',
+        title: 'Question about your check-in',
+        message: (checkIn.staffNotes || 'Our team has a question about your latest check-in and will be in touch.').slice(0, 2000),
+        link: '/foster',
+        relatedPet: checkIn.pet
+      });
+    }
+
+    const data = checkIn.toObject();
+    data.photos.forEach(photo => { delete photo.storageKeys; });
+
+    res.json({
+      success: true,
+      message: status === 'reviewed' ? 'Check-in reviewed' : 'Check-in marked for follow-up',
+      data
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'reviewCheckIn', checkInId: req.params.id, userId: req.user?._id });
+
+    sendFosterError(res, error, {
+      error: 'Failed to review check-in',
+      message: 'Unable to review the check-in. Please try again later.'
+    });
+  }
+};
+
+export default {
+  createFosterApplication,
+  getMyFosterApplications,
+  withdrawFosterApplication,
+  getMyPlacements,
+  createCheckIn,
+  getPlacementCheckIns,
+  getFosterApplications,
+  reviewApplication,
+  getFosterParents,
+  getPlacements,
+  createPlacement,
+  endFosterPlacement,
+  getCheckIns,
+  reviewCheckIn
+};
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import logger from '../services/logger.js';
+import {
+  INTAKE_ERRORS,
+  INTAKE_SOURCES,
+  STRAY_HOLD_DAYS,
+  MAX_STRAY_HOLD_DAYS,
+  REQUIRED_BY_SOURCE,
+  intakeAnimal,
+  releaseStrayHold
+} from '../services/intakeService.js';
+
+/**
+ * Intake Controller
+ * The staff intake workflow: taking an animal in with its source-specific
+ * paperwork, and ending a stray hold early
+ */
+
+// HTTP status and error title of each intake service error
+const INTAKE_ERROR_RESPONSES = {
+  [INTAKE_ERRORS.NOT_FOUND]: [404, 'Not found'],
+  [INTAKE_ERRORS.INVALID_INPUT]: [400, 'Validation Error'],
+  [INTAKE_ERRORS.CONFLICT]: [409, 'Conflict']
+};
+
+/**
+ * Respond to an error from an intake action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {Object} fallback - { error, message } for unexpected errors
+ */
+const sendIntakeError = (res, error, fallback) => {
+  if (INTAKE_ERROR_RESPONSES[error.code]) {
+    const [status, title] = INTAKE_ERROR_RESPONSES[error.code];
+    return res.status(status).json({
+      error: title,
+      message: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check the submitted details',
+      details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid value for ${error.path}`
+    });
+  }
+
+  res.status(500).json(fallback);
+};
+
+/**
+ * Intake sources, the fields each one requires and the stray hold settings
+ * @route GET /api/pets/intake/options
+ * @access Private (manage_pets)
+ */
+export const getIntakeOptions = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      sources: INTAKE_SOURCES,
+      requiredFields: Object.fromEntries(
+        Object.entries(REQUIRED_BY_SOURCE).map(([source, fields]) => [source, fields.map(([path]) => path)])
+      ),
+      strayHoldDays: STRAY_HOLD_DAYS,
+      maxStrayHoldDays: MAX_STRAY_HOLD_DAYS
+    }
+  });
+};
+
+/**
+ * Take an animal in
+ * @route POST /api/pets/intake
+ * @access Private (manage_pets)
+ */
+export const intakePet = async (req, res) => {
+  try {
+    const { pet, intakeForm } = await intakeAnimal(req.body, req.user);
+
+    const data = pet.toJSON();
+    delete data.documents;
+
+    res.status(201).json({
+      success: true,
+      message: pet.strayHold?.until
+        ? `${pet.name} was taken in and is on stray hold until ${pet.strayHold.until.toISOString().slice(0, 10)}`
+        : `${pet.name} was taken in`,
+      data,
+      intakeForm: {
+        _id: intakeForm._id,
+        name: intakeForm.name,
+        url: intakeForm.url
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'intakePet', intakeSource: req.body?.intakeSource, userId: req.user?._id });
+
+    sendIntakeError(res, error, {
+      error: 'Intake failed',
+      message: 'Unable to record the intake. Please try again later.'
+    });
+  }
+};
+
+/**
+ * End a pet's stray hold early
+ * @route POST /api/pets/:id/stray-hold/release
+ * @access Private (manage_pets)
+ */
+export const releasePetStrayHold = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided pet ID is not valid'
+    });
+  }
+
+  try {
+    const pet = await releaseStrayHold(req.params.id, { staff: req.user, reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      message: `Stray hold for ${pet.name} ended`,
+      data: pet
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'releasePetStrayHold', petId: req.params.id, userId: req.user?._id });
+
+    sendIntakeError(res, error, {
+      error: 'Release failed',
+      message: 'Unable to end the stray hold. Please try again later.'
+    });
+  }
+};
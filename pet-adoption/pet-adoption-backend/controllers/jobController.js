@@ -0,0 +1,205 @@
+import JobRun from '../models/JobRun.js';
+import logger from '../services/logger.js';
+import { listJobs, runJob, setJobEnabled, isRegisteredJob } from '../services/jobScheduler.js';
+
+/**
+ * Job Controller
+ * Admin view of the background jobs: schedule, last result, run history,
+ * running a job now and pausing its schedule
+ */
+
+/**
+ * Respond with 404 unless the job is registered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether the job exists
+ */
+const requireJob = (req, res) => {
+  if (isRegisteredJob(req.params.name)) return true;
+
+  res.status(404).json({
+    error: 'Job not found',
+    message: `No background job named ${req.params.name}`
+  });
+  return false;
+};
+
+/**
+ * Every background job with its schedule and last run
+ * @route GET /api/jobs
+ * @access Private (manage_jobs)
+ */
+export const getJobs = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listJobs()
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getJobs',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve jobs',
+      message: 'Unable to fetch background jobs. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Run history of a job, newest first
+ * @route GET /api/jobs/:name/runs
+ * @access Private (manage_jobs)
+ * @query {number} [page] - Page number
+ * @query {number} [limit] - Runs per page (max 100)
+ */
+export const getJobRuns = async (req, res) => {
+  if (!requireJob(req, res)) return;
+
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { job: req.params.name };
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'username')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getJobRuns',
+      userId: req.user?._id,
+      job: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve job runs',
+      message: 'Unable to fetch the job history. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Run a job now, outside its schedule
+ * @route POST /api/jobs/:name/run
+ * @access Private (manage_jobs)
+ */
+export const runJobNow = async (req, res) => {
+  if (!requireJob(req, res)) return;
+
+  try {
+    const run = await runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user._id });
+
+    if (!run) {
+      return res.status(409).json({
+        error: 'Job running',
+        message: 'This job is already running. Try again when it has finished.'
+      });
+    }
+
+    logger.info('Background job run manually', {
+      job: req.params.name,
+      userId: req.user._id,
+      status: run.status,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: run.status === 'succeeded' ? 'Job finished' : 'Job failed',
+      data: run
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'runJobNow',
+      userId: req.user._id,
+      job: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Job run failed',
+      message: 'Unable to run the job. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Pause or resume a job's schedule
+ * @route PATCH /api/jobs/:name
+ * @access Private (manage_jobs)
+ * @body {boolean} enabled - Whether the job runs on schedule
+ */
+export const updateJob = async (req, res) => {
+  if (!requireJob(req, res)) return;
+
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'enabled must be true or false'
+    });
+  }
+
+  try {
+    const job = await setJobEnabled(req.params.name, enabled);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The job has not been scheduled yet'
+      });
+    }
+
+    logger.info(`Background job ${enabled ? 'resumed' : 'paused'}`, {
+      job: req.params.name,
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: enabled ? 'Job resumed' : 'Job paused',
+      data: job
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'updateJob',
+      userId: req.user._id,
+      job: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Job update failed',
+      message: 'Unable to update the job. Please try again later.'
+    });
+  }
+};
+
+export default {
+  getJobs,
+  getJobRuns,
+  runJobNow,
+  updateJob
+};
@@ -0,0 +1,245 @@
+import mongoose from 'mongoose';
+import Kennel from '../models/Kennel.js';
+import logger from '../services/logger.js';
+import {
+  KENNEL_ERRORS,
+  KENNEL_AREAS,
+  movePet,
+  getLocationHistory,
+  createKennel,
+  updateKennel,
+  getOccupancyBoard
+} from '../services/kennelService.js';
+
+/**
+ * Kennel Controller
+ * The kennel registry, the occupancy board and moving pets between areas
+ * and kennels
+ */
+
+// HTTP status and error title of each kennel service error
+const KENNEL_ERROR_RESPONSES = {
+  [KENNEL_ERRORS.NOT_FOUND]: [404, 'Not found'],
+  [KENNEL_ERRORS.INVALID_INPUT]: [400, 'Validation Error'],
+  [KENNEL_ERRORS.CONFLICT]: [409, 'Conflict']
+};
+
+/**
+ * Respond with 400 unless a route parameter is a valid ObjectId
+ * @param {Object} res - Express response object
+ * @param {string} id - Parameter value
+ * @param {string} label - What the ID refers to, for the message
+ * @returns {boolean} Whether the ID is valid
+ */
+const requireObjectId = (res, id, label) => {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+
+  res.status(400).json({
+    error: 'Invalid ID format',
+    message: `The provided ${label} ID is not valid`
+  });
+  return false;
+};
+
+/**
+ * Respond to an error from a kennel action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {Object} fallback - { error, message } for unexpected errors
+ */
+const sendKennelError = (res, error, fallback) => {
+  if (KENNEL_ERROR_RESPONSES[error.code]) {
+    const [status, title] = KENNEL_ERROR_RESPONSES[error.code];
+    return res.status(status).json({ error: title, message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check the submitted details',
+      details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid value for ${error.path}`
+    });
+  }
+
+  res.status(500).json(fallback);
+};
+
+/**
+ * Occupancy board: kennels with occupants and open spots, totals per area
+ * and open spots per species
+ * @route GET /api/kennels/board
+ * @access Private (manage_pets)
+ */
+export const getBoard = async (req, res) => {
+  const { area } = req.query;
+  if (area && !KENNEL_AREAS.includes(area)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Area must be one of: ${KENNEL_AREAS.join(', ')}`
+    });
+  }
+
+  try {
+    const board = await getOccupancyBoard({ area });
+
+    res.json({
+      success: true,
+      data: board
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getKennelBoard', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to load the occupancy board'
+    });
+  }
+};
+
+/**
+ * Registered kennels
+ * @route GET /api/kennels
+ * @access Private (manage_pets)
+ */
+export const getKennels = async (req, res) => {
+  try {
+    const filter = {};
+    if (KENNEL_AREAS.includes(req.query.area)) filter.area = req.query.area;
+    if (req.query.active !== 'all') filter.active = true;
+
+    const kennels = await Kennel.find(filter).sort({ area: 1, code: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: kennels
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getKennels', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to load kennels'
+    });
+  }
+};
+
+/**
+ * Register a kennel
+ * @route POST /api/kennels
+ * @access Private (manage_pets)
+ */
+export const addKennel = async (req, res) => {
+  try {
+    const kennel = await createKennel(req.body, req.user._id);
+
+    logger.dbLog('create', 'kennels', { kennelId: kennel._id, code: kennel.code, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `Kennel ${kennel.code} added`,
+      data: kennel
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'addKennel', userId: req.user?._id });
+
+    sendKennelError(res, error, {
+      error: 'Failed to add kennel',
+      message: 'Unable to add the kennel. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Change a kennel's code, area, species, capacity or notes, or retire it
+ * @route PATCH /api/kennels/:id
+ * @access Private (manage_pets)
+ */
+export const editKennel = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'kennel')) return;
+
+  try {
+    const kennel = await updateKennel(req.params.id, req.body);
+
+    logger.dbLog('update', 'kennels', { kennelId: kennel._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Kennel ${kennel.code} updated`,
+      data: kennel
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'editKennel', kennelId: req.params.id, userId: req.user?._id });
+
+    sendKennelError(res, error, {
+      error: 'Failed to update kennel',
+      message: 'Unable to update the kennel. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Move a pet to another area and/or kennel
+ * @route POST /api/pets/:id/move
+ * @access Private (manage_pets)
+ */
+export const movePetById = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'pet')) return;
+
+  try {
+    const { location, kennelNumber, reason } = req.body;
+    const pet = await movePet(req.params.id, { location, kennelNumber, reason, movedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: pet.kennelNumber
+        ? `${pet.name} moved to kennel ${pet.kennelNumber} (${pet.currentLocation})`
+        : `${pet.name} moved to ${pet.currentLocation}`,
+      data: pet
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'movePet', petId: req.params.id, userId: req.user?._id });
+
+    sendKennelError(res, error, {
+      error: 'Move failed',
+      message: 'Unable to move the pet. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Where a pet has been housed, newest first
+ * @route GET /api/pets/:id/location-history
+ * @access Private (manage_pets)
+ */
+export const getPetLocationHistory = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'pet')) return;
+
+  try {
+    const { pet, history } = await getLocationHistory(req.params.id);
+
+    res.json({
+      success: true,
+      data: { pet, history }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPetLocationHistory', petId: req.params.id, userId: req.user?._id });
+
+    sendKennelError(res, error, {
+      error: 'Server Error',
+      message: 'Failed to load the location history'
+    });
+  }
+};
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import logger from '../services/logger.js';
+import {
+  MEDICAL_ERRORS,
+  recordMedicalEvent,
+  updateMedicalEvent,
+  completeMedicalEvent,
+  cancelMedicalEvent,
+  getMedicalTimeline,
+  getDueMedicalEvents
+} from '../services/medicalService.js';
+
+/**
+ * Medical Controller
+ * Pets' medical timelines, recording and completing medical events, and the
+ * staff list of treatments due this week
+ */
+
+// HTTP status and error title of each medical service error
+const MEDICAL_ERROR_RESPONSES = {
+  [MEDICAL_ERRORS.NOT_FOUND]: [404, 'Not found'],
+  [MEDICAL_ERRORS.INVALID_INPUT]: [400, 'Validation Error'],
+  [MEDICAL_ERRORS.CONFLICT]: [409, 'Conflict']
+};
+
+/**
+ * Respond with 400 unless a route parameter is a valid ObjectId
+ * @param {Object} res - Express response object
+ * @param {string} id - Parameter value
+ * @param {string} label - What the ID refers to, for the message
+ * @returns {boolean} Whether the ID is valid
+ */
+const requireObjectId = (res, id, label) => {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+
+  res.status(400).json({
+    error: 'Invalid ID format',
+    message: `The provided ${label} ID is not valid`
+  });
+  return false;
+};
+
+/**
+ * Respond to an error from a medical action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {Object} fallback - { error, message } for unexpected errors
+ */
+const sendMedicalError = (res, error, fallback) => {
+  if (MEDICAL_ERROR_RESPONSES[error.code]) {
+    const [status, title] = MEDICAL_ERROR_RESPONSES[error.code];
+    return res.status(status).json({ error: title, message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check the submitted details',
+      details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid value for ${error.path}`
+    });
+  }
+
+  res.status(500).json(fallback);
+};
+
+/**
+ * A pet's medical timeline and outstanding required treatments
+ * @route GET /api/pets/:id/medical
+ * @access Private (manage_pets)
+ */
+export const getPetMedicalTimeline = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'pet')) return;
+
+  try {
+    const timeline = await getMedicalTimeline(req.params.id);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPetMedicalTimeline', petId: req.params.id, userId: req.user?._id });
+
+    sendMedicalError(res, error, {
+      error: 'Server Error',
+      message: 'Failed to load the medical timeline'
+    });
+  }
+};
+
+/**
+ * Record a medical event for a pet
+ * @route POST /api/pets/:id/medical
+ * @access Private (manage_pets)
+ */
+export const addMedicalEvent = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'pet')) return;
+
+  try {
+    const { event, followUp } = await recordMedicalEvent(req.params.id, req.body, req.user._id);
+
+    logger.dbLog('create', 'medicalevents', { eventId: event._id, petId: event.pet, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: followUp
+        ? `${event.name} recorded; the next one is due ${followUp.dueDate.toISOString().slice(0, 10)}`
+        : `${event.name} ${event.status === 'completed' ? 'recorded' : 'scheduled'}`,
+      data: event,
+      followUp
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'addMedicalEvent', petId: req.params.id, userId: req.user?._id });
+
+    sendMedicalError(res, error, {
+      error: 'Failed to record medical event',
+      message: 'Unable to record the medical event. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Change a scheduled event, e.g. move its due date
+ * @route PATCH /api/medical/events/:id
+ * @access Private (manage_pets)
+ */
+export const editMedicalEvent = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'medical event')) return;
+
+  try {
+    const event = await updateMedicalEvent(req.params.id, req.body);
+
+    logger.dbLog('update', 'medicalevents', { eventId: event._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${event.name} updated`,
+      data: event
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'editMedicalEvent', eventId: req.params.id, userId: req.user?._id });
+
+    sendMedicalError(res, error, {
+      error: 'Failed to update medical event',
+      message: 'Unable to update the medical event. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Mark a scheduled event as done
+ * @route POST /api/medical/events/:id/complete
+ * @access Private (manage_pets)
+ */
+export const completeEvent = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'medical event')) return;
+
+  try {
+    const { performedAt, nextDueDate, dosage, veterinarian, notes } = req.body;
+    const { event, followUp } = await completeMedicalEvent(req.params.id, {
+      performedAt, nextDueDate, dosage, veterinarian, notes, staff: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: followUp
+        ? `${event.name} done; the next one is due ${followUp.dueDate.toISOString().slice(0, 10)}`
+        : `${event.name} done`,
+      data: event,
+      followUp
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'completeMedicalEvent', eventId: req.params.id, userId: req.user?._id });
+
+    sendMedicalError(res, error, {
+      error: 'Failed to complete medical event',
+      message: 'Unable to complete the medical event. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled event
+ * @route POST /api/medical/events/:id/cancel
+ * @access Private (manage_pets)
+ */
+export const cancelEvent = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'medical event')) return;
+
+  try {
+    const event = await cancelMedicalEvent(req.params.id, { reason: req.body.reason, staff: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${event.name} cancelled`,
+      data: event
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'cancelMedicalEvent', eventId: req.params.id, userId: req.user?._id });
+
+    sendMedicalError(res, error, {
+      error: 'Failed to cancel medical event',
+      message: 'Unable to cancel the medical event. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Scheduled events due soon or overdue, for pets in care
+ * @route GET /api/medical/due
+ * @access Private (manage_pets)
+ */
+export const getDueList = async (req, res) => {
+  try {
+    const { days, type } = req.query;
+    const events = await getDueMedicalEvents({ days, type });
+
+    res.json({
+      success: true,
+      data: events
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getDueMedicalEvents', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to load due medical events'
+    });
+  }
+};
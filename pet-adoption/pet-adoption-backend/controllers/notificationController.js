@@ -0,0 +1,125 @@
+import Notification from '../models/Notification.js';
+import logger from '../services/logger.js';
+
+/**
+ * Notification Controller
+ * In-app notifications for the signed-in user
+ */
+
+/**
+ * Get current user's notifications
+ * @route GET /api/notifications
+ * @access Private
+ */
+export const getMyNotifications = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const unreadOnly = req.query.unread === 'true';
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.findForUser(req.user._id, {
+        unreadOnly,
+        skip: (page - 1) * limit,
+        limit
+      }).lean(),
+      Notification.countDocuments({ user: req.user._id, ...(unreadOnly && { isRead: false }) }),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getMyNotifications',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve notifications',
+      message: 'Unable to fetch notifications. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route PATCH /api/notifications/:id/read
+ * @access Private
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid notification ID',
+        message: 'The provided notification ID is not valid'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested notification does not exist'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'markNotificationRead',
+      notificationId: req.params.id,
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to update notification',
+      message: 'Unable to mark notification as read. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Mark all notifications as read
+ * @route PATCH /api/notifications/read-all
+ * @access Private
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'markAllNotificationsRead',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to update notifications',
+      message: 'Unable to mark notifications as read. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,201 @@
+import User from '../models/User.js';
+import RolePermissionPreset, {
+  ROLES,
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  DEFAULT_ROLE_PERMISSIONS
+} from '../models/RolePermissionPreset.js';
+import logger from '../services/logger.js';
+
+/**
+ * Permission Controller
+ * Permission catalog and the editable role presets. Changing a preset
+ * recomputes the permissions of every user with that role, keeping their
+ * individual grants and revocations.
+ */
+
+/**
+ * Validate the :role route parameter, responding with 400 if invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether the role is valid
+ */
+const validateRole = (req, res) => {
+  if (!ROLES.includes(req.params.role)) {
+    res.status(400).json({
+      error: 'Invalid role',
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Permission catalog, roles and their presets
+ * @route GET /api/permissions
+ * @access Private (view_users)
+ */
+export const getPermissionCatalog = async (req, res) => {
+  try {
+    const presets = await RolePermissionPreset.getPresets();
+
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS.map(key => ({ key, description: PERMISSION_DESCRIPTIONS[key] })),
+        roles: ROLES,
+        presets,
+        defaults: DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getPermissionCatalog',
+      userId: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve permissions',
+      message: 'Unable to fetch permissions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Store a preset and apply it to every user with the role
+ * @param {string} role - Role
+ * @param {string[]|null} permissions - New preset, or null to restore the default
+ * @param {Object} admin - User making the change
+ * @returns {Promise<Object>} { permissions, usersUpdated }
+ */
+const applyRolePreset = async (role, permissions, admin) => {
+  if (permissions) {
+    await RolePermissionPreset.findOneAndUpdate(
+      { role },
+      { $set: { permissions, updatedBy: admin._id } },
+      { upsert: true, runValidators: true }
+    );
+  } else {
+    await RolePermissionPreset.deleteOne({ role });
+  }
+
+  RolePermissionPreset.clearCache();
+  const usersUpdated = await User.syncPermissions({ role });
+
+  logger.dbLog('update', 'rolepermissionpresets', {
+    role,
+    permissions: permissions || DEFAULT_ROLE_PERMISSIONS[role],
+    restoredDefault: !permissions,
+    updatedBy: admin._id,
+    usersUpdated
+  });
+
+  return { permissions: permissions || DEFAULT_ROLE_PERMISSIONS[role], usersUpdated };
+};
+
+/**
+ * Replace the permission preset of a role
+ * @route PUT /api/permissions/presets/:role
+ * @access Private (system_admin)
+ * @body {string[]} permissions - Permissions the role grants
+ */
+export const updateRolePreset = async (req, res) => {
+  if (!validateRole(req, res)) return;
+
+  const { permissions } = req.body;
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'permissions must be an array'
+    });
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Unknown permissions',
+      details: unknown.map(permission => `${permission} is not a permission`)
+    });
+  }
+
+  // Keeps at least one account able to edit presets
+  if (req.params.role === 'super_admin' && !permissions.includes('system_admin')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'The super_admin role must keep the system_admin permission'
+    });
+  }
+
+  try {
+    const result = await applyRolePreset(
+      req.params.role,
+      PERMISSIONS.filter(permission => permissions.includes(permission)),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: `Permissions of the ${req.params.role} role updated`,
+      data: { role: req.params.role, ...result }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'updateRolePreset',
+      role: req.params.role,
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to update role permissions',
+      message: 'Unable to update the role permissions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Restore the default permission preset of a role
+ * @route DELETE /api/permissions/presets/:role
+ * @access Private (system_admin)
+ */
+export const resetRolePreset = async (req, res) => {
+  if (!validateRole(req, res)) return;
+
+  try {
+    const result = await applyRolePreset(req.params.role, null, req.user);
+
+    res.json({
+      success: true,
+      message: `Default permissions of the ${req.params.role} role restored`,
+      data: { role: req.params.role, ...result }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'resetRolePreset',
+      role: req.params.role,
+      userId: req.user._id
+    });
+
+    res.status(500).json({
+      error: 'Failed to reset role permissions',
+      message: 'Unable to restore the role permissions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Bring stored user permissions in line with the current presets, e.g. after
+ * the permission catalog changed. Called once at startup.
+ * @returns {Promise<number>} Number of users updated
+ */
+export const syncAllUserPermissions = async () => {
+  const usersUpdated = await User.syncPermissions();
+  if (usersUpdated > 0) {
+    logger.info('User permissions synced with role presets', { usersUpdated });
+  }
+  return usersUpdated;
+};
@@ -2,6 +2,9 @@ import Pet from '../models/Pet.js';
 import User from '../models/User.js';
 import AdoptionRequest from '../models/AdoptionRequest.js';
 import logger from '../services/logger.js';
+import { notifyMatchingSearches } from '../services/savedSearchService.js';
+import { isOnStrayHold } from '../services/intakeService.js';
+import { findOutstandingTreatments, outstandingTreatmentsMessage } from '../services/medicalService.js';
 import { validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 
@@ -10,6 +13,51 @@ import mongoose from 'mongoose';
  * Enhanced version of your existing pet management system
  */
 
+/**
+ * Build the pet filter shared by listing and search
+ * @param {Object} query - Request query (breed, location, age, type, species, size, gender, status, minAge, maxAge)
+ * @returns {Object} MongoDB filter
+ */
+const buildPetFilter = (query = {}) => {
+  const {
+    breed,
+    location,
+    age,
+    type,
+    species,
+    size,
+    gender,
+    status,
+    minAge,
+    maxAge
+  } = query;
+
+  const filter = {};
+
+  // Your original filters
+  if (breed) filter.breed = { $regex: breed, $options: 'i' };
+  if (location) filter.location = { $regex: location, $options: 'i' };
+  if (age) filter.age = parseInt(age);
+
+  // Enhanced filters
+  if (type) filter.type = { $regex: type, $options: 'i' };
+  if (species) filter.species = { $regex: species, $options: 'i' };
+  if (size) filter.size = size;
+  if (gender) filter.gender = gender;
+
+  // ✅ FIXED: Only filter by status if explicitly provided
+  if (status && status !== 'all') filter.status = status;
+
+  // Age range filtering
+  if (minAge || maxAge) {
+    filter.age = {};
+    if (minAge) filter.age.$gte = parseInt(minAge);
+    if (maxAge) filter.age.$lte = parseInt(maxAge);
+  }
+
+  return filter;
+};
+
 /**
  * Get all pets with advanced filtering, search, and pagination
  * Enhanced version of your original getAllPets function
@@ -20,44 +68,14 @@ export const getAllPets = async (req, res) => {
     const {
       page = 1,
       limit = 12,
-      breed,
-      location,
-      age,
-      type,
-      species,
-      size,
-      gender,
       status, // ✅ FIXED: Removed default value, now optional
       search,
       sortBy = 'createdAt',
-      sortOrder = 'desc',
-      minAge,
-      maxAge
+      sortOrder = 'desc'
     } = req.query;
 
     // Build dynamic filter object
-    const filter = {};
-    
-    // Your original filters
-    if (breed) filter.breed = { $regex: breed, $options: 'i' };
-    if (location) filter.location = { $regex: location, $options: 'i' };
-    if (age) filter.age = parseInt(age);
-    
-    // Enhanced filters
-    if (type) filter.type = { $regex: type, $options: 'i' };
-    if (species) filter.species = { $regex: species, $options: 'i' };
-    if (size) filter.size = size;
-    if (gender) filter.gender = gender;
-    
-    // ✅ FIXED: Only filter by status if explicitly provided
-    if (status && status !== 'all') filter.status = status;
-
-    // Age range filtering
-    if (minAge || maxAge) {
-      filter.age = {};
-      if (minAge) filter.age.$gte = parseInt(minAge);
-      if (maxAge) filter.age.$lte = parseInt(maxAge);
-    }
+    const filter = buildPetFilter(req.query);
 
     // Text search across multiple fields
     if (search) {
@@ -148,6 +166,216 @@ export const getAllPets = async (req, res) => {
   }
 };
 
+/**
+ * Search pets by name/description with facets and relevance ranking
+ * Accepts the same filters as getAllPets
+ * GET /api/pets/search
+ */
+export const searchPets = async (req, res) => {
+  try {
+    const {
+      q,
+      search,
+      page = 1,
+      limit = 12,
+      sortBy,
+      sortOrder = 'desc'
+    } = req.query;
+
+    const text = String(q || search || '').trim();
+
+    if (text.length > 100) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Search query must be less than 100 characters'
+      });
+    }
+
+    const filter = buildPetFilter(req.query);
+    if (text) {
+      filter.$text = { $search: text };
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 12));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Relevance first when searching by text, featured/urgent pets break ties
+    const sortOptions = {};
+    const validSortFields = ['createdAt', 'name', 'age', 'breed', 'type'];
+    if (validSortFields.includes(sortBy)) {
+      sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    } else if (text) {
+      sortOptions.score = -1;
+    }
+    ['isFeatured', 'urgentAdoption', 'createdAt'].forEach(field => {
+      if (!(field in sortOptions)) sortOptions[field] = -1;
+    });
+
+    const countBy = (field) => [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+
+    const [result] = await Pet.aggregate([
+      { $match: filter },
+      ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          pets: [
+            { $sort: sortOptions },
+            { $skip: skip },
+            { $limit: limitNum },
+            // Aggregates ignore select: false, so staff-only fields are dropped here
+            { $project: { __v: 0, internalNotes: 0, documents: 0, intakeDetails: 0, previousOwner: 0, locationHistory: 0, 'views.uniqueViewers': 0 } }
+          ],
+          total: [{ $count: 'count' }],
+          type: countBy('type'),
+          size: countBy('size'),
+          gender: countBy('gender'),
+          status: countBy('status'),
+          ageGroup: [
+            {
+              $group: {
+                _id: {
+                  $switch: {
+                    branches: [
+                      { case: { $ne: ['$ageUnit', 'years'] }, then: 'young' },
+                      { case: { $lt: ['$age', 2] }, then: 'young' },
+                      { case: { $lt: ['$age', 7] }, then: 'adult' }
+                    ],
+                    default: 'senior'
+                  }
+                },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, value: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totalPets = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalPets / limitNum);
+
+    logger.info('Pet search completed', {
+      userId: req.user?.id,
+      query: text,
+      totalCount: totalPets,
+      page: pageNum
+    });
+
+    res.json({
+      success: true,
+      data: result.pets,
+      facets: {
+        type: result.type,
+        size: result.size,
+        gender: result.gender,
+        status: result.status,
+        ageGroup: result.ageGroup
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalPets,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      },
+      query: text
+    });
+
+  } catch (error) {
+    logger.error('Error searching pets:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      query: req.query
+    });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to search pets'
+    });
+  }
+};
+
+/**
+ * Get pet statistics: status totals and per-type analytics
+ * GET /api/pets/statistics
+ */
+export const getPetStatistics = async (req, res) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+
+    const [byType, byStatus, featured, urgent, mostFavorited] = await Promise.all([
+      Pet.getAnalytics(days),
+      Pet.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Pet.countDocuments({ isFeatured: true, status: { $in: ['available', 'pending'] } }),
+      Pet.countDocuments({ urgentAdoption: true, status: { $in: ['available', 'pending'] } }),
+      Pet.find({ 'favorites.total': { $gt: 0 } })
+        .sort({ 'favorites.total': -1 })
+        .limit(5)
+        .select('name type breed status favorites.total')
+        .lean()
+    ]);
+
+    const statusCounts = Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]));
+    const total = byStatus.reduce((sum, entry) => sum + entry.count, 0);
+
+    res.json({
+      success: true,
+      data: {
+        period: { days },
+        totals: {
+          total,
+          available: statusCounts.available || 0,
+          pending: statusCounts.pending || 0,
+          adopted: statusCounts.adopted || 0,
+          featured,
+          urgent
+        },
+        byStatus: statusCounts,
+        byType: byType.map(entry => ({
+          type: entry._id,
+          total: entry.total,
+          adopted: entry.adopted,
+          adoptionRate: entry.total > 0 ? Math.round((entry.adopted / entry.total) * 100) : 0,
+          avgViews: Math.round(entry.avgViews || 0),
+          avgFavorites: Math.round((entry.avgFavorites || 0) * 10) / 10,
+          avgTimeInCare: Math.round(entry.avgTimeInCare || 0)
+        })),
+        mostFavorited: mostFavorited.map(pet => ({
+          _id: pet._id,
+          name: pet.name,
+          type: pet.type,
+          breed: pet.breed,
+          status: pet.status,
+          favorites: pet.favorites?.total || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving pet statistics:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to retrieve pet statistics'
+    });
+  }
+};
+
 /**
  * Create a new pet listing
  * Enhanced version of your original createPet function
@@ -219,6 +447,9 @@ export const createPet = async (req, res) => {
       createdBy: req.user?.id
     });
 
+    // Alert owners of matching saved searches without delaying the response
+    notifyMatchingSearches(pet);
+
     res.status(201).json(pet);
 
   } catch (error) {
@@ -363,6 +594,27 @@ export const updatePet = async (req, res) => {
     if (gender !== undefined) updateData.gender = gender;
     if (status !== undefined) updateData.status = status;
 
+    // Strays can't be listed until their owner has had the chance to reclaim them
+    if (['available', 'pending'].includes(status)) {
+      const current = await Pet.findById(id).select('name status strayHold').lean();
+      if (isOnStrayHold(current)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `${current.name} is on stray hold until ${current.strayHold.until.toISOString().slice(0, 10)} and can't be listed yet`
+        });
+      }
+
+      // Nor can pets due required treatments; editing a pet that is already listed is fine
+      const outstanding = current && current.status !== status ? await findOutstandingTreatments(current._id) : [];
+      if (outstanding.length > 0) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: outstandingTreatmentsMessage(current.name, outstanding),
+          outstanding
+        });
+      }
+    }
+
     const pet = await Pet.findByIdAndUpdate(
       id,
       updateData,
@@ -383,6 +635,11 @@ export const updatePet = async (req, res) => {
       changesCount: Object.keys(updateData).length
     });
 
+    // Searches that already alerted about this pet are skipped by the service
+    if (updateData.status === 'available') {
+      notifyMatchingSearches(pet);
+    }
+
     res.json(pet);
 
   } catch (error) {
@@ -0,0 +1,475 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { pipeline } from 'stream/promises';
+import Pet from '../models/Pet.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import logger from '../services/logger.js';
+import storageService from '../services/storageService.js';
+import {
+  DOCUMENT_TYPES,
+  ADOPTER_SHARED_TYPES,
+  sniffDocumentType,
+  getDocumentExtension,
+  toDocumentName,
+  toContentDisposition
+} from '../services/documentService.js';
+
+/**
+ * Pet Document Controller
+ * Medical records, vaccination cards and other paperwork attached to a pet.
+ * Files live in private storage and are only ever streamed through these
+ * endpoints: staff see everything, adopters see the documents shared with
+ * them once their adoption of the pet is completed.
+ */
+
+export const MAX_DOCUMENTS_PER_PET = parseInt(process.env.MAX_DOCUMENTS_PER_PET, 10) || 50;
+
+const PRIVATE = { visibility: 'private' };
+
+/**
+ * Whether the authenticated user is shelter staff (may manage pets)
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const isStaffUser = (user) => !!user?.hasPermission?.('manage_pets');
+
+/**
+ * Serialize a document for API responses (storage details stay internal)
+ * @param {Object} document - Pet document subdocument
+ * @returns {Object} Client representation
+ */
+const toClient = (document) => ({
+  _id: document._id,
+  type: document.type,
+  name: document.name,
+  mimeType: document.mimeType,
+  size: document.size,
+  sharedWithAdopter: document.sharedWithAdopter,
+  uploadedAt: document.uploadedAt,
+  uploadedBy: document.uploadedBy,
+  url: document.url
+});
+
+/**
+ * Parse a boolean sent as JSON or as a multipart string
+ * @param {*} value - Raw value
+ * @returns {boolean|undefined} Parsed value, undefined if absent or invalid
+ */
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+/**
+ * Find a pet with its documents, responding with 400/404 if not possible
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Pet document or null if a response was sent
+ */
+const findPet = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided ID is not a valid MongoDB ObjectId'
+    });
+    return null;
+  }
+
+  const pet = await Pet.findById(id).select('+documents');
+  if (!pet) {
+    res.status(404).json({
+      error: 'Pet not found',
+      message: 'The requested pet does not exist'
+    });
+    return null;
+  }
+
+  return pet;
+};
+
+/**
+ * Find a document of a pet, responding with 404 if it does not exist
+ * @param {Object} pet - Pet document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Document or null if a response was sent
+ */
+const findDocument = (pet, req, res) => {
+  const document = mongoose.Types.ObjectId.isValid(req.params.documentId)
+    ? pet.documents.id(req.params.documentId)
+    : null;
+
+  if (!document) {
+    res.status(404).json({
+      error: 'Document not found',
+      message: 'The requested document does not exist for this pet'
+    });
+    return null;
+  }
+
+  return document;
+};
+
+/**
+ * Resolve which documents the current user may access, responding with 403 if none
+ * @param {Object} pet - Pet document with documents selected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Array|null>} Accessible documents or null if a response was sent
+ */
+const getAccessibleDocuments = async (pet, req, res) => {
+  if (isStaffUser(req.user)) {
+    return pet.documents;
+  }
+
+  const hasCompletedAdoption = await AdoptionRequest.exists({
+    user: req.user._id,
+    pet: pet._id,
+    status: 'completed'
+  });
+
+  if (!hasCompletedAdoption) {
+    logger.warn('Pet document access denied', {
+      petId: pet._id,
+      userId: req.user._id,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Pet documents are available to the adopter once the adoption is completed'
+    });
+    return null;
+  }
+
+  return pet.documents.filter(document => document.sharedWithAdopter);
+};
+
+/**
+ * List the documents of a pet the current user may access
+ * GET /api/pets/:id/documents
+ */
+export const getPetDocuments = async (req, res) => {
+  try {
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const documents = await getAccessibleDocuments(pet, req, res);
+    if (!documents) return;
+
+    res.json({
+      success: true,
+      data: documents.map(toClient)
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPetDocuments', petId: req.params.id, userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to retrieve pet documents'
+    });
+  }
+};
+
+/**
+ * Upload one or more documents (multipart field "documents")
+ * Body fields: type (required), name (single upload only), sharedWithAdopter
+ * POST /api/pets/:id/documents
+ */
+export const uploadPetDocuments = async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Please attach at least one file in the "documents" field'
+      });
+    }
+
+    const { type } = req.body;
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name.length > 100) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Document name must be less than 100 characters'
+      });
+    }
+
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    if (pet.documents.length + files.length > MAX_DOCUMENTS_PER_PET) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `A pet can have at most ${MAX_DOCUMENTS_PER_PET} documents (currently ${pet.documents.length})`
+      });
+    }
+
+    // Check every file first so one bad file rejects the whole upload
+    const rejected = files
+      .filter(file => !sniffDocumentType(file.buffer))
+      .map(file => ({ file: file.originalname, reason: 'File content is not a PDF, JPEG, PNG or WebP' }));
+
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: 'Only PDF, JPEG, PNG and WebP documents can be uploaded',
+        details: rejected
+      });
+    }
+
+    const sharedWithAdopter = parseBoolean(req.body.sharedWithAdopter) ?? ADOPTER_SHARED_TYPES.includes(type);
+    const newDocuments = [];
+
+    for (const file of files) {
+      const mimeType = sniffDocumentType(file.buffer);
+      const documentId = new mongoose.Types.ObjectId();
+      const key = `pets/${pet._id}/documents/${crypto.randomUUID()}.${getDocumentExtension(mimeType)}`;
+
+      await storageService.putFile(key, file.buffer, { contentType: mimeType, ...PRIVATE });
+      storedKeys.push(key);
+
+      newDocuments.push({
+        _id: documentId,
+        type,
+        name: (files.length === 1 && name) || toDocumentName(file.originalname),
+        url: `/api/pets/${pet._id}/documents/${documentId}/download`,
+        storageKey: key,
+        mimeType,
+        size: file.size,
+        sharedWithAdopter,
+        uploadedBy: req.user?._id
+      });
+    }
+
+    pet.documents.push(...newDocuments);
+    await pet.save();
+
+    logger.dbLog('update', 'pets', { petId: pet._id, documentsAdded: newDocuments.length, uploadedBy: req.user?._id });
+    logger.info('Pet documents uploaded', {
+      petId: pet._id,
+      count: newDocuments.length,
+      type,
+      driver: storageService.getDriverName(),
+      uploadedBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${newDocuments.length} document${newDocuments.length === 1 ? '' : 's'} uploaded`,
+      data: pet.documents.map(toClient)
+    });
+
+  } catch (error) {
+    // Don't leave orphaned files behind if the pet could not be saved
+    await storageService.deleteFiles(storedKeys, PRIVATE);
+
+    logger.errorLog(error, {
+      operation: 'uploadPetDocuments',
+      petId: req.params.id,
+      files: req.files?.length,
+      uploadedBy: req.user?._id
+    });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while uploading the documents'
+    });
+  }
+};
+
+/**
+ * Rename, retype or change adopter sharing of a document
+ * PATCH /api/pets/:id/documents/:documentId
+ */
+export const updatePetDocument = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+    const sharedWithAdopter = req.body.sharedWithAdopter === undefined
+      ? undefined
+      : parseBoolean(req.body.sharedWithAdopter);
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Document name must be between 1 and 100 characters'
+      });
+    }
+    if (type !== undefined && !DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+    if (req.body.sharedWithAdopter !== undefined && sharedWithAdopter === undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'sharedWithAdopter must be a boolean'
+      });
+    }
+
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const document = findDocument(pet, req, res);
+    if (!document) return;
+
+    if (name !== undefined) document.name = name.trim();
+    if (type !== undefined) document.type = type;
+    if (sharedWithAdopter !== undefined) document.sharedWithAdopter = sharedWithAdopter;
+
+    await pet.save();
+
+    logger.dbLog('update', 'pets', { petId: pet._id, documentId: document._id, updatedBy: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Document updated',
+      data: pet.documents.map(toClient)
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'updatePetDocument',
+      petId: req.params.id,
+      documentId: req.params.documentId,
+      updatedBy: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Update failed',
+      message: 'An error occurred while updating the document'
+    });
+  }
+};
+
+/**
+ * Download a document (staff, or the adopter after a completed adoption)
+ * GET /api/pets/:id/documents/:documentId/download
+ */
+export const downloadPetDocument = async (req, res) => {
+  try {
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const documents = await getAccessibleDocuments(pet, req, res);
+    if (!documents) return;
+
+    const document = documents.find(doc => doc._id.toString() === req.params.documentId);
+    if (!document || !document.storageKey) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist for this pet'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await storageService.getFileStream(document.storageKey, PRIVATE);
+    } catch (error) {
+      logger.errorLog(error, { operation: 'downloadPetDocument', petId: pet._id, documentId: document._id });
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The document file is no longer available'
+      });
+    }
+
+    logger.info('Pet document downloaded', {
+      petId: pet._id,
+      documentId: document._id,
+      type: document.type,
+      userId: req.user._id,
+      asStaff: isStaffUser(req.user)
+    });
+
+    res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', toContentDisposition(document.name, getDocumentExtension(document.mimeType)));
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (document.size) {
+      res.setHeader('Content-Length', document.size);
+    }
+
+    await pipeline(stream, res);
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'downloadPetDocument',
+      petId: req.params.id,
+      documentId: req.params.documentId,
+      userId: req.user?._id
+    });
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      error: 'Download failed',
+      message: 'An error occurred while downloading the document'
+    });
+  }
+};
+
+/**
+ * Delete a document and its stored file
+ * DELETE /api/pets/:id/documents/:documentId
+ */
+export const deletePetDocument = async (req, res) => {
+  try {
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const document = findDocument(pet, req, res);
+    if (!document) return;
+
+    const { storageKey } = document;
+
+    pet.documents.pull(document._id);
+    await pet.save();
+
+    // The file goes after the database update so a failed save never leaves a broken record
+    await storageService.deleteFiles([storageKey], PRIVATE);
+
+    logger.dbLog('update', 'pets', { petId: pet._id, documentDeleted: req.params.documentId, deletedBy: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Document deleted',
+      data: pet.documents.map(toClient)
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'deletePetDocument',
+      petId: req.params.id,
+      documentId: req.params.documentId,
+      deletedBy: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Delete operation failed',
+      message: 'An error occurred while deleting the document'
+    });
+  }
+};
@@ -0,0 +1,393 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Pet from '../models/Pet.js';
+import logger from '../services/logger.js';
+import storageService from '../services/storageService.js';
+import { processImage } from '../services/imageService.js';
+
+/**
+ * Pet Image Controller
+ * Upload, ordering, primary selection and deletion of pet gallery images
+ */
+
+export const MAX_IMAGES_PER_PET = parseInt(process.env.MAX_IMAGES_PER_PET, 10) || 20;
+
+/**
+ * Mark exactly one image as primary (the first one if none is) and mirror it
+ * into the legacy `image` field that cards and older clients still read
+ * @param {Object} pet - Pet document
+ * @param {string} previousPrimaryUrl - Primary URL before the change
+ */
+const syncPrimaryImage = (pet, previousPrimaryUrl) => {
+  if (pet.images.length === 0) {
+    if (pet.image && pet.image === previousPrimaryUrl) {
+      pet.image = undefined;
+    }
+    return;
+  }
+
+  const primaryIndex = Math.max(0, pet.images.findIndex(image => image.isPrimary));
+  pet.images.forEach((image, index) => {
+    image.isPrimary = index === primaryIndex;
+  });
+
+  // Only replace `image` if it was empty or came from the gallery
+  if (!pet.image || pet.image === previousPrimaryUrl || pet.images.some(image => image.url === pet.image)) {
+    pet.image = pet.images[primaryIndex].url;
+  }
+};
+
+/**
+ * Find a pet for an image operation, responding with 400/404 if not possible
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Pet document or null if a response was sent
+ */
+const findPet = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided ID is not a valid MongoDB ObjectId'
+    });
+    return null;
+  }
+
+  const pet = await Pet.findById(id);
+  if (!pet) {
+    res.status(404).json({
+      error: 'Pet not found',
+      message: 'The requested pet does not exist'
+    });
+    return null;
+  }
+
+  return pet;
+};
+
+/**
+ * Get the images of a pet in display order
+ * GET /api/pets/:id/images
+ */
+export const getPetImages = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID format',
+        message: 'The provided ID is not a valid MongoDB ObjectId'
+      });
+    }
+
+    const pet = await Pet.findById(req.params.id).select('images image').lean();
+    if (!pet) {
+      return res.status(404).json({
+        error: 'Pet not found',
+        message: 'The requested pet does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pet.images || []
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getPetImages', petId: req.params.id });
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to retrieve pet images'
+    });
+  }
+};
+
+/**
+ * Upload one or more images (multipart field "images")
+ * Optional body fields: alt, makePrimary ("true" makes the first upload primary)
+ * POST /api/pets/:id/images
+ */
+export const uploadPetImages = async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Please attach at least one image in the "images" field'
+      });
+    }
+
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    if (pet.images.length + files.length > MAX_IMAGES_PER_PET) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `A pet can have at most ${MAX_IMAGES_PER_PET} images (currently ${pet.images.length})`
+      });
+    }
+
+    // Process everything first so one bad file rejects the whole upload
+    const processed = [];
+    const rejected = [];
+    for (const file of files) {
+      try {
+        processed.push({ file, result: await processImage(file.buffer) });
+      } catch (error) {
+        rejected.push({ file: file.originalname, reason: error.message });
+      }
+    }
+
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: 'Only JPEG, PNG, WebP and GIF images can be uploaded',
+        details: rejected
+      });
+    }
+
+    const alt = typeof req.body.alt === 'string' ? req.body.alt.trim().slice(0, 200) : '';
+    const previousPrimaryUrl = pet.images.find(image => image.isPrimary)?.url || pet.image;
+    const newImages = [];
+
+    for (const { file, result } of processed) {
+      const baseKey = `pets/${pet._id}/${crypto.randomUUID()}`;
+      const { original, webp, thumbnail } = result.variants;
+
+      const [originalFile, webpFile, thumbnailFile] = await Promise.all([
+        storageService.putFile(`${baseKey}.${original.extension}`, original.buffer, { contentType: original.contentType }),
+        storageService.putFile(`${baseKey}-display.webp`, webp.buffer, { contentType: webp.contentType }),
+        storageService.putFile(`${baseKey}-thumb.webp`, thumbnail.buffer, { contentType: thumbnail.contentType })
+      ]);
+      storedKeys.push(originalFile.key, webpFile.key, thumbnailFile.key);
+
+      newImages.push({
+        url: originalFile.url,
+        webpUrl: webpFile.url,
+        thumbnailUrl: thumbnailFile.url,
+        storageKeys: [originalFile.key, webpFile.key, thumbnailFile.key],
+        alt: alt || `${pet.name} photo`,
+        width: result.width,
+        height: result.height,
+        size: file.size,
+        mimeType: result.mimeType,
+        uploadedBy: req.user?._id,
+        isPrimary: false
+      });
+    }
+
+    if (req.body.makePrimary === 'true' || pet.images.length === 0) {
+      pet.images.forEach(image => { image.isPrimary = false; });
+      newImages[0].isPrimary = true;
+    }
+
+    pet.images.push(...newImages);
+    syncPrimaryImage(pet, previousPrimaryUrl);
+    await pet.save();
+
+    logger.dbLog('update', 'pets', { petId: pet._id, imagesAdded: newImages.length, uploadedBy: req.user?._id });
+    logger.info('Pet images uploaded', {
+      petId: pet._id,
+      count: newImages.length,
+      driver: storageService.getDriverName(),
+      uploadedBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${newImages.length} image${newImages.length === 1 ? '' : 's'} uploaded`,
+      data: pet.images
+    });
+
+  } catch (error) {
+    // Don't leave orphaned files behind if the pet could not be saved
+    await storageService.deleteFiles(storedKeys);
+
+    logger.errorLog(error, {
+      operation: 'uploadPetImages',
+      petId: req.params.id,
+      files: req.files?.length,
+      uploadedBy: req.user?._id
+    });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while uploading the images'
+    });
+  }
+};
+
+/**
+ * Update alt text or make an image primary
+ * PATCH /api/pets/:id/images/:imageId
+ */
+export const updatePetImage = async (req, res) => {
+  try {
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const image = pet.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        error: 'Image not found',
+        message: 'The requested image does not exist for this pet'
+      });
+    }
+
+    const { alt, isPrimary } = req.body;
+    const previousPrimaryUrl = pet.images.find(img => img.isPrimary)?.url || pet.image;
+
+    if (alt !== undefined) {
+      if (typeof alt !== 'string' || alt.length > 200) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Image alt text must be a string of at most 200 characters'
+        });
+      }
+      image.alt = alt.trim();
+    }
+
+    if (isPrimary === true) {
+      pet.images.forEach(img => { img.isPrimary = img._id.equals(image._id); });
+    }
+
+    syncPrimaryImage(pet, previousPrimaryUrl);
+    await pet.save();
+
+    logger.dbLog('update', 'pets', { petId: pet._id, imageId: image._id, updatedBy: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Image updated',
+      data: pet.images
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'updatePetImage',
+      petId: req.params.id,
+      imageId: req.params.imageId,
+      updatedBy: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Update failed',
+      message: 'An error occurred while updating the image'
+    });
+  }
+};
+
+/**
+ * Reorder images; the body lists every image ID in the new order
+ * PUT /api/pets/:id/images/order
+ */
+export const reorderPetImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'imageIds must be an array of image IDs'
+      });
+    }
+
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const currentIds = pet.images.map(image => image._id.toString());
+    const requestedIds = imageIds.map(String);
+
+    if (requestedIds.length !== currentIds.length
+      || new Set(requestedIds).size !== requestedIds.length
+      || !requestedIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'imageIds must contain each of the pet\'s image IDs exactly once'
+      });
+    }
+
+    const byId = new Map(pet.images.map(image => [image._id.toString(), image.toObject()]));
+    pet.images = requestedIds.map(id => byId.get(id));
+    await pet.save();
+
+    logger.dbLog('update', 'pets', { petId: pet._id, reorderedImages: requestedIds.length, updatedBy: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Images reordered',
+      data: pet.images
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'reorderPetImages',
+      petId: req.params.id,
+      updatedBy: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Update failed',
+      message: 'An error occurred while reordering the images'
+    });
+  }
+};
+
+/**
+ * Delete an image and its stored files
+ * DELETE /api/pets/:id/images/:imageId
+ */
+export const deletePetImage = async (req, res) => {
+  try {
+    const pet = await findPet(req, res);
+    if (!pet) return;
+
+    const image = pet.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        error: 'Image not found',
+        message: 'The requested image does not exist for this pet'
+      });
+    }
+
+    const previousPrimaryUrl = pet.images.find(img => img.isPrimary)?.url || pet.image;
+    const storageKeys = [...(image.storageKeys || [])];
+
+    pet.images.pull(image._id);
+    syncPrimaryImage(pet, previousPrimaryUrl);
+    await pet.save();
+
+    // Files go after the database update so a failed save never leaves broken links
+    await storageService.deleteFiles(storageKeys);
+
+    logger.dbLog('update', 'pets', { petId: pet._id, imageDeleted: req.params.imageId, deletedBy: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Image deleted',
+      data: pet.images
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'deletePetImage',
+      petId: req.params.id,
+      imageId: req.params.imageId,
+      deletedBy: req.user?._id
+    });
+
+    res.status(500).json({
+      error: 'Delete operation failed',
+      message: 'An error occurred while deleting the image'
+    });
+  }
+};
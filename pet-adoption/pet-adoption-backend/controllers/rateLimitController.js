@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import net from 'net';
+import User from '../models/User.js';
+import logger from '../services/logger.js';
+import { listEntries, clearEntries } from '../services/rateLimitStore.js';
+
+/**
+ * Rate Limit Controller
+ * Admin view of rate limit counters and lockouts, by IP address or user.
+ * For a user this also covers the account lock set after failed logins.
+ */
+
+/**
+ * Read and validate the ip/userId/limiter query, responding with 400 if invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} requireTarget - Whether an ip or userId is required
+ * @returns {Object|null} { ip, userId, limiter } or null
+ */
+const parseTarget = (req, res, requireTarget) => {
+  const { ip, userId, limiter } = req.query;
+
+  if (ip && !net.isIP(ip)) {
+    res.status(400).json({
+      error: 'Invalid IP address',
+      message: 'The ip parameter must be an IPv4 or IPv6 address'
+    });
+    return null;
+  }
+
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided user ID is not a valid MongoDB ObjectId'
+    });
+    return null;
+  }
+
+  if (ip && userId) {
+    res.status(400).json({
+      error: 'Validation failed',
+      message: 'Provide either ip or userId, not both'
+    });
+    return null;
+  }
+
+  if (requireTarget && !ip && !userId) {
+    res.status(400).json({
+      error: 'Validation failed',
+      message: 'An ip or userId is required'
+    });
+    return null;
+  }
+
+  return { ip, userId, limiter };
+};
+
+/**
+ * Account lock of a user (failed logins), or null if the user does not exist
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { userId, username, loginAttempts, lockUntil, locked }
+ */
+const getAccountLock = async (userId) => {
+  const user = await User.findById(userId).select('username +loginAttempts +lockUntil');
+  if (!user) return null;
+
+  return {
+    userId: user._id,
+    username: user.username,
+    loginAttempts: user.loginAttempts || 0,
+    lockUntil: user.lockUntil || null,
+    locked: user.isLocked
+  };
+};
+
+/**
+ * Rate limit counters and lockouts
+ * @route GET /api/rate-limits
+ * @access Private (manage_users)
+ * @query {string} [ip] - Only entries of this IP address
+ * @query {string} [userId] - Only entries of this user, plus their account lock
+ * @query {string} [limiter] - Only entries of this limiter (e.g. login, auth, contact)
+ * @query {boolean} [limitedOnly] - Only clients that are currently limited or locked out
+ */
+export const getRateLimits = async (req, res) => {
+  const target = parseTarget(req, res, false);
+  if (!target) return;
+
+  try {
+    const entries = await listEntries({
+      limiter: target.limiter,
+      identifier: target.ip || target.userId,
+      limitedOnly: req.query.limitedOnly === 'true'
+    });
+
+    const response = {
+      success: true,
+      data: entries,
+      count: entries.length
+    };
+
+    if (target.userId) {
+      response.account = await getAccountLock(target.userId);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getRateLimits',
+      adminId: req.user?._id,
+      query: req.query
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve rate limits',
+      message: 'Unable to fetch rate limits. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Clear rate limit counters and lockouts of an IP address or user.
+ * For a user the account lock from failed logins is lifted too.
+ * @route DELETE /api/rate-limits
+ * @access Private (manage_users)
+ * @query {string} [ip] - IP address (ip or userId is required)
+ * @query {string} [userId] - User ID
+ * @query {string} [limiter] - Only clear this limiter
+ */
+export const clearRateLimits = async (req, res) => {
+  const target = parseTarget(req, res, true);
+  if (!target) return;
+
+  try {
+    const cleared = await clearEntries({
+      limiter: target.limiter,
+      identifier: target.ip || target.userId
+    });
+
+    let accountUnlocked = false;
+    if (target.userId && !target.limiter) {
+      const result = await User.updateOne(
+        { _id: target.userId },
+        { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+      );
+      accountUnlocked = result.modifiedCount > 0;
+    }
+
+    logger.info('Rate limits cleared', {
+      adminId: req.user._id,
+      ip: target.ip,
+      userId: target.userId,
+      limiter: target.limiter,
+      cleared,
+      accountUnlocked
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate limits cleared',
+      cleared,
+      accountUnlocked
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'clearRateLimits',
+      adminId: req.user?._id,
+      query: req.query
+    });
+
+    res.status(500).json({
+      error: 'Failed to clear rate limits',
+      message: 'Unable to clear rate limits. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,369 @@
+import mongoose from 'mongoose';
+import SavedSearch, { MAX_SAVED_SEARCHES_PER_USER } from '../models/SavedSearch.js';
+import Pet from '../models/Pet.js';
+import User from '../models/User.js';
+import logger from '../services/logger.js';
+
+/**
+ * Saved Search Controller
+ * Named pet filter sets of the signed-in user and their alert preferences
+ */
+
+const FILTER_FIELDS = ['type', 'breed', 'size', 'gender', 'location', 'ageMin', 'ageMax'];
+const NUMERIC_FILTERS = ['ageMin', 'ageMax'];
+const ALERT_FREQUENCIES = ['instant', 'daily'];
+const MATCHES_LIMIT = 50;
+
+/**
+ * Keep only known filters; empty values mean "any"
+ * @param {Object} filters - Raw filters from the request body
+ * @returns {Object} Cleaned filters
+ */
+const sanitizeFilters = (filters = {}) => {
+  const cleaned = {};
+
+  FILTER_FIELDS.forEach(field => {
+    const value = filters[field];
+    if (value === undefined || value === null || value === '') return;
+
+    if (NUMERIC_FILTERS.includes(field)) {
+      const number = Number(value);
+      cleaned[field] = Number.isFinite(number) ? number : value;
+    } else {
+      cleaned[field] = String(value).trim();
+    }
+  });
+
+  return cleaned;
+};
+
+/**
+ * Whether at least one filter is set
+ * @param {Object} filters - Cleaned filters
+ * @returns {boolean}
+ */
+const hasFilters = (filters) => Object.keys(filters).length > 0;
+
+/**
+ * Find one of the current user's saved searches, responding with 400/404 if not possible
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} SavedSearch document or null if a response was sent
+ */
+const findOwnSearch = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Invalid saved search ID',
+      message: 'The provided saved search ID is not valid'
+    });
+    return null;
+  }
+
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id })
+    .select('-notifiedPets -pendingMatches');
+
+  if (!search) {
+    res.status(404).json({
+      error: 'Saved search not found',
+      message: 'The requested saved search does not exist'
+    });
+    return null;
+  }
+
+  return search;
+};
+
+/**
+ * Respond to a Mongoose validation error
+ * @param {Object} res - Express response object
+ * @param {Object} error - ValidationError
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Validation Error',
+  message: 'Please check the search filters',
+  details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+/**
+ * List the current user's saved searches
+ * @route GET /api/saved-searches
+ * @access Private
+ */
+export const getMySavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .select('-notifiedPets -pendingMatches')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: searches,
+      limit: MAX_SAVED_SEARCHES_PER_USER
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getMySavedSearches', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve saved searches',
+      message: 'Unable to fetch your saved searches. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Save a named filter set
+ * @route POST /api/saved-searches
+ * @access Private
+ */
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { name, alertsEnabled } = req.body;
+    const filters = sanitizeFilters(req.body.filters);
+
+    if (!hasFilters(filters)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Choose at least one filter before saving a search'
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(400).json({
+        error: 'Saved search limit reached',
+        message: `You can save at most ${MAX_SAVED_SEARCHES_PER_USER} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name: typeof name === 'string' ? name : undefined,
+      filters,
+      alertsEnabled: alertsEnabled !== false
+    });
+
+    logger.dbLog('create', 'savedsearches', { userId: req.user._id, searchId: search._id });
+
+    const data = search.toObject();
+    delete data.notifiedPets;
+    delete data.pendingMatches;
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.errorLog(error, { operation: 'createSavedSearch', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: 'Unable to save this search. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Rename a saved search, change its filters or toggle its alerts
+ * @route PATCH /api/saved-searches/:id
+ * @access Private
+ */
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const { name, alertsEnabled } = req.body;
+
+    if (name !== undefined) search.name = name;
+    if (typeof alertsEnabled === 'boolean') search.alertsEnabled = alertsEnabled;
+
+    if (req.body.filters !== undefined) {
+      const filters = sanitizeFilters(req.body.filters);
+      if (!hasFilters(filters)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'A saved search needs at least one filter'
+        });
+      }
+      search.filters = filters;
+    }
+
+    await search.save();
+
+    logger.dbLog('update', 'savedsearches', { userId: req.user._id, searchId: search._id });
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      data: search
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    logger.errorLog(error, { operation: 'updateSavedSearch', userId: req.user?._id, searchId: req.params.id });
+
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      message: 'Unable to update this search. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Delete a saved search
+ * @route DELETE /api/saved-searches/:id
+ * @access Private
+ */
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    await search.deleteOne();
+
+    logger.dbLog('delete', 'savedsearches', { userId: req.user._id, searchId: search._id });
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'deleteSavedSearch', userId: req.user?._id, searchId: req.params.id });
+
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: 'Unable to delete this search. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Pets that are currently available and match a saved search
+ * @route GET /api/saved-searches/:id/matches
+ * @access Private
+ */
+export const getSavedSearchMatches = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const pets = await Pet.find(search.toPetQuery())
+      .select('name type breed age ageUnit gender size location status image images urgentAdoption')
+      .sort({ createdAt: -1 })
+      .limit(MATCHES_LIMIT);
+
+    res.json({
+      success: true,
+      data: pets.filter(pet => search.matchesPet(pet))
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getSavedSearchMatches', userId: req.user?._id, searchId: req.params.id });
+
+    res.status(500).json({
+      error: 'Failed to run saved search',
+      message: 'Unable to find matching pets. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Get the current user's saved search alert preferences
+ * @route GET /api/saved-searches/preferences
+ * @access Private
+ */
+export const getAlertPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notifications').lean();
+
+    res.json({
+      success: true,
+      data: {
+        emailAlerts: user?.notifications?.email?.savedSearchAlerts !== false,
+        frequency: user?.notifications?.savedSearchFrequency || 'instant'
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getAlertPreferences', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve preferences',
+      message: 'Unable to fetch your alert preferences. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Update the current user's saved search alert preferences
+ * @route PATCH /api/saved-searches/preferences
+ * @access Private
+ */
+export const updateAlertPreferences = async (req, res) => {
+  try {
+    const { emailAlerts, frequency } = req.body;
+    const updates = {};
+
+    if (emailAlerts !== undefined) {
+      if (typeof emailAlerts !== 'boolean') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'emailAlerts must be a boolean'
+        });
+      }
+      updates['notifications.email.savedSearchAlerts'] = emailAlerts;
+    }
+
+    if (frequency !== undefined) {
+      if (!ALERT_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`
+        });
+      }
+      updates['notifications.savedSearchFrequency'] = frequency;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No valid updates',
+        message: 'Provide emailAlerts and/or frequency'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true })
+      .select('notifications')
+      .lean();
+
+    logger.info('Saved search alert preferences updated', { userId: req.user._id, updates });
+
+    res.json({
+      success: true,
+      message: 'Alert preferences updated',
+      data: {
+        emailAlerts: user?.notifications?.email?.savedSearchAlerts !== false,
+        frequency: user?.notifications?.savedSearchFrequency || 'instant'
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'updateAlertPreferences', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to update preferences',
+      message: 'Unable to update your alert preferences. Please try again later.'
+    });
+  }
+};
@@ -1,7 +1,11 @@
 import logger from '../services/logger.js';
-import User from '../models/User.js';
+import User, { ACCOUNT_DELETION_GRACE_DAYS } from '../models/User.js';
+import RolePermissionPreset, { PERMISSIONS } from '../models/RolePermissionPreset.js';
 import validator from 'validator';
 import mongoose from 'mongoose';
+import { EXPORT_FORMATS, streamExport } from '../services/exportService.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { deleteUserAccount, sendDeletionScheduledEmail } from '../services/accountDeletionService.js';
 
 /**
  * User Management Controller
@@ -101,36 +105,42 @@ const validateUserInput = (userData, isUpdate = false) => {
   return { valid: errors.length === 0, errors };
 };
 
+// Permission each user management operation requires
+const OPERATION_PERMISSIONS = {
+  view: 'view_users',
+  create: 'manage_users',
+  update: 'manage_users',
+  delete: 'manage_users',
+  export: 'export_data'
+};
+
+// Users can only act on accounts whose role does not outrank their own
+const ROLE_RANK = {
+  user: 0,
+  volunteer: 1,
+  foster: 1,
+  staff: 2,
+  admin: 3,
+  super_admin: 4
+};
+
 /**
  * Check if user has permission to perform operation
  * @param {Object} currentUser - User making the request
- * @param {string} operation - Operation being performed
+ * @param {string} operation - Operation being performed (view, create, update, delete, export)
  * @param {Object} targetUser - User being operated on (optional)
  * @returns {boolean} Whether user has permission
  */
 const hasPermission = (currentUser, operation, targetUser = null) => {
-  // Super admin can do anything
-  if (currentUser.role === 'super_admin') {
-    return true;
-  }
-
-  // Admin can manage all users except super_admin
-  if (currentUser.role === 'admin') {
-    if (targetUser && targetUser.role === 'super_admin') {
-      return false;
-    }
-    return ['view', 'create', 'update', 'delete'].includes(operation);
+  if (!currentUser.hasPermission(OPERATION_PERMISSIONS[operation] || operation)) {
+    return false;
   }
 
-  // Staff can view and create regular users
-  if (currentUser.role === 'staff') {
-    if (targetUser && ['admin', 'super_admin'].includes(targetUser.role)) {
-      return false;
-    }
-    return ['view', 'create'].includes(operation);
+  if (targetUser && (ROLE_RANK[targetUser.role] || 0) > (ROLE_RANK[currentUser.role] || 0)) {
+    return false;
   }
 
-  return false;
+  return true;
 };
 
 /**
@@ -184,8 +194,8 @@ const buildUserQuery = (filters) => {
  */
 export const getAllUsers = async (req, res) => {
   try {
-    // Check permissions - FIXED: Use correct permission name
-    if (!hasPermission(req.user, 'manage_users')) {
+    // Check permissions
+    if (!hasPermission(req.user, 'view')) {
       return res.status(403).json({
         error: 'Insufficient permissions',
         message: 'You do not have permission to view users'
@@ -348,6 +358,10 @@ export const createUser = async (req, res) => {
     }
 
     const { username, email, password, role = 'user', ...otherData } = req.body;
+
+    // Permissions come from the role preset; per-user changes use PUT /api/users/:id/permissions
+    delete otherData.permissions;
+    delete otherData.permissionOverrides;
     const trimmedUsername = username.trim();
     const trimmedEmail = email.trim().toLowerCase();
 
@@ -493,6 +507,10 @@ export const updateUser = async (req, res) => {
       delete updates.password;
     }
 
+    // Permissions follow the role; per-user changes use PUT /api/users/:id/permissions
+    delete updates.permissions;
+    delete updates.permissionOverrides;
+
     // Check role change permissions
     if (updates.role && updates.role !== existingUser.role) {
     // Only super_admin can create super_admin
@@ -555,6 +573,13 @@ export const updateUser = async (req, res) => {
       }
     );
 
+    // findByIdAndUpdate skips the save hook that applies the role preset
+    if (updates.role && updates.role !== existingUser.role) {
+      await User.syncPermissions({ _id: updatedUser._id });
+      const { permissions } = await User.findById(id).select('permissions').lean();
+      updatedUser.permissions = permissions;
+    }
+
     logger.info('User updated successfully', {
       updatedBy: req.user._id,
       targetUserId: id,
@@ -652,65 +677,58 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    let result;
-    
     if (permanent && req.user.role === 'super_admin') {
-      // Hard delete (only super admin can do this)
-      result = await User.findByIdAndDelete(id);
+      // Hard delete (only super admin can do this), with everything the user owns
+      const result = await deleteUserAccount(existingUser, { reason: 'admin', notify: false });
       
       logger.warn('User permanently deleted', {
         deletedBy: req.user._id,
         deletedUserId: id,
         deletedUsername: existingUser.username,
+        anonymized: result.anonymized,
         reason: reason || 'No reason provided',
         ip: req.ip
       });
 
       res.json({
         success: true,
-        message: 'User permanently deleted',
-        permanent: true
+        message: result.anonymized
+          ? 'User anonymized; adoption records were kept'
+          : 'User permanently deleted',
+        permanent: true,
+        anonymized: result.anonymized
       });
     } else {
-      // Soft delete (mark for deletion)
-      const deletionDate = new Date();
-      const scheduledDeletion = new Date(deletionDate.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
-
-      result = await User.findByIdAndUpdate(
-        id,
-        {
-          $set: {
-            status: 'inactive',
-            deletionRequested: true,
-            deletionRequestedAt: deletionDate,
-            deletionScheduledFor: scheduledDeletion
-          },
-          $push: {
-            internalNotes: {
-              note: `Account marked for deletion. Reason: ${reason || 'No reason provided'}`,
-              addedBy: req.user._id,
-              category: 'general',
-              addedAt: deletionDate
-            }
-          }
-        },
-        { new: true }
-      );
+      // Soft delete (mark for deletion); the deletion schedule removes the account later
+      existingUser.internalNotes.push({
+        note: `Account marked for deletion. Reason: ${reason || 'No reason provided'}`,
+        addedBy: req.user._id,
+        category: 'general',
+        addedAt: new Date()
+      });
+      const cancelToken = await existingUser.requestDeletion();
+      await revokeAllSessions(existingUser._id, 'account_deletion');
+
+      try {
+        await sendDeletionScheduledEmail(existingUser, cancelToken);
+      } catch (emailError) {
+        logger.errorLog(emailError, { operation: 'sendDeletionScheduledEmail', userId: existingUser._id });
+      }
 
       logger.info('User marked for deletion', {
         deletedBy: req.user._id,
         targetUserId: id,
         targetUsername: existingUser.username,
-        scheduledFor: scheduledDeletion,
+        scheduledFor: existingUser.deletionScheduledFor,
         reason: reason || 'No reason provided',
         ip: req.ip
       });
 
       res.json({
         success: true,
-        message: 'User marked for deletion and will be permanently removed in 30 days',
+        message: `User marked for deletion and will be permanently removed in ${ACCOUNT_DELETION_GRACE_DAYS} days`,
         permanent: false,
-        scheduledDeletion
+        scheduledDeletion: existingUser.deletionScheduledFor
       });
     }
 
@@ -727,4 +745,614 @@ export const deleteUser = async (req, res) => {
       message: 'Unable to delete user. Please try again later.'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Cancel a user's scheduled deletion and restore their previous status
+ * @route DELETE /api/users/:id/deletion
+ */
+export const cancelUserDeletion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        message: 'Please provide a valid user ID'
+      });
+    }
+
+    const existingUser = await User.findById(id);
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID does not exist'
+      });
+    }
+
+    if (!hasPermission(req.user, 'update', existingUser)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You do not have permission to update this user'
+      });
+    }
+
+    if (!existingUser.deletionRequested || existingUser.anonymizedAt) {
+      return res.status(400).json({
+        error: 'Not scheduled',
+        message: 'This account is not scheduled for deletion'
+      });
+    }
+
+    existingUser.internalNotes.push({
+      note: 'Scheduled account deletion cancelled by an administrator',
+      addedBy: req.user._id,
+      category: 'general',
+      addedAt: new Date()
+    });
+    await existingUser.cancelDeletion();
+
+    logger.info('User deletion cancelled', {
+      cancelledBy: req.user._id,
+      targetUserId: id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled deletion cancelled',
+      data: existingUser
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'cancelUserDeletion',
+      requestedBy: req.user._id,
+      targetUserId: req.params.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Deletion cancel failed',
+      message: 'Unable to cancel the scheduled deletion. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (lost device). Users whose role
+ * requires 2FA must enroll again at their next login.
+ * @route DELETE /api/users/:id/two-factor
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        message: 'Please provide a valid user ID'
+      });
+    }
+
+    const existingUser = await User.findById(id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +backupCodes');
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID does not exist'
+      });
+    }
+
+    if (!hasPermission(req.user, 'update', existingUser)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You do not have permission to reset two-factor authentication for this user'
+      });
+    }
+
+    // Resetting your own 2FA would let a stolen session remove the second factor
+    if (existingUser._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'You cannot reset your own two-factor authentication'
+      });
+    }
+
+    if (!existingUser.twoFactorEnabled && !existingUser.twoFactorSecret) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'This user has not set up two-factor authentication'
+      });
+    }
+
+    existingUser.clearTwoFactor();
+    await existingUser.addInternalNote('Two-factor authentication reset by an administrator', req.user._id);
+
+    logger.warn('User two-factor authentication reset', {
+      resetBy: req.user._id,
+      targetUserId: id,
+      targetRole: existingUser.role,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must set it up again at next login if their role requires it.'
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'resetUserTwoFactor',
+      requestedBy: req.user._id,
+      targetUserId: req.params.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Two-factor reset failed',
+      message: 'Unable to reset two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Sign a user out of every session
+ * @route DELETE /api/users/:id/sessions
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        message: 'Please provide a valid user ID'
+      });
+    }
+
+    const existingUser = await User.findById(id);
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User with the specified ID does not exist'
+      });
+    }
+
+    if (!hasPermission(req.user, 'update', existingUser)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You do not have permission to sign out this user'
+      });
+    }
+
+    const revokedSessions = await revokeAllSessions(existingUser._id, 'revoked_by_admin');
+
+    logger.warn('User sessions revoked by administrator', {
+      revokedBy: req.user._id,
+      targetUserId: id,
+      revokedSessions,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'User has been signed out of all sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'revokeUserSessions',
+      requestedBy: req.user._id,
+      targetUserId: req.params.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Session revocation failed',
+      message: 'Unable to sign out this user. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Set a user's permission overrides, responding with the result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string[]|null} desired - Effective permissions wanted, or null to restore the role preset
+ */
+const setUserPermissions = async (req, res, desired) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: 'Invalid user ID',
+      message: 'Please provide a valid user ID'
+    });
+  }
+
+  const existingUser = await User.findById(id);
+  if (!existingUser) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'User with the specified ID does not exist'
+    });
+  }
+
+  if (!hasPermission(req.user, 'update', existingUser)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You do not have permission to change this user\'s permissions'
+    });
+  }
+
+  if (existingUser._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      error: 'Invalid operation',
+      message: 'You cannot change your own permissions'
+    });
+  }
+
+  const presets = await RolePermissionPreset.getPresets();
+  const preset = presets[existingUser.role] || presets.user;
+  const wanted = desired || preset;
+
+  // Only permissions the administrator holds can be granted or revoked
+  const changed = PERMISSIONS.filter(permission =>
+    wanted.includes(permission) !== existingUser.permissions.includes(permission));
+  const notHeld = changed.filter(permission => !req.user.hasPermission(permission));
+  if (notHeld.length > 0) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'You can only grant or revoke permissions you have yourself',
+      details: notHeld.map(permission => `${permission} is not one of your permissions`)
+    });
+  }
+
+  existingUser.permissionOverrides = {
+    granted: wanted.filter(permission => !preset.includes(permission)),
+    revoked: preset.filter(permission => !wanted.includes(permission))
+  };
+  await existingUser.save();
+
+  logger.info('User permissions updated', {
+    updatedBy: req.user._id,
+    targetUserId: id,
+    targetRole: existingUser.role,
+    changed,
+    restoredPreset: !desired,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: desired ? 'Permissions updated' : 'Permissions reset to the role defaults',
+    data: {
+      permissions: existingUser.permissions,
+      permissionOverrides: existingUser.permissionOverrides,
+      rolePermissions: preset
+    }
+  });
+};
+
+/**
+ * Grant and revoke permissions of a user. The differences from the user's
+ * role preset are stored, so later preset changes still apply to them.
+ * @route PUT /api/users/:id/permissions
+ * @body {string[]} permissions - Effective permissions the user should have
+ */
+export const updateUserPermissions = async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'permissions must be an array'
+      });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Unknown permissions',
+        details: unknown.map(permission => `${permission} is not a permission`)
+      });
+    }
+
+    await setUserPermissions(req, res, [...new Set(permissions)]);
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'updateUserPermissions',
+      requestedBy: req.user._id,
+      targetUserId: req.params.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Permission update failed',
+      message: 'Unable to update permissions. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Drop a user's individual grants and revocations (back to the role preset)
+ * @route DELETE /api/users/:id/permissions
+ */
+export const resetUserPermissions = async (req, res) => {
+  try {
+    await setUserPermissions(req, res, null);
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'resetUserPermissions',
+      requestedBy: req.user._id,
+      targetUserId: req.params.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Permission reset failed',
+      message: 'Unable to reset permissions. Please try again later.'
+    });
+  }
+};
+
+// Columns included in user exports. An explicit whitelist, so passwords,
+// tokens, 2FA secrets and other `select: false` fields never leave the server.
+const USER_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', path: '_id', width: 26 },
+  { key: 'username', header: 'Username' },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'firstName', header: 'First Name', path: 'profile.firstName' },
+  { key: 'lastName', header: 'Last Name', path: 'profile.lastName' },
+  { key: 'phone', header: 'Phone', path: 'profile.phone' },
+  { key: 'role', header: 'Role', width: 12 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'emailVerified', header: 'Email Verified', width: 14 },
+  { key: 'isVolunteer', header: 'Volunteer', path: 'volunteerInfo.isVolunteer', width: 12 },
+  { key: 'city', header: 'City', path: 'address.city' },
+  { key: 'country', header: 'Country', path: 'address.country' },
+  { key: 'createdAt', header: 'Joined', width: 22 }
+];
+
+// Fields that may be changed for many users at once
+const BULK_UPDATABLE_FIELDS = ['status', 'role', 'emailVerified'];
+
+/**
+ * Export users matching the getAllUsers filters as CSV, JSON or XLSX
+ * @route GET /api/users/export
+ */
+export const exportUsers = async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'export')) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You do not have permission to export users'
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const query = buildUserQuery(req.query);
+
+    // Only super admins may see super admin accounts
+    if (req.user.role !== 'super_admin') {
+      query.$and = [{ role: { $ne: 'super_admin' } }];
+    }
+
+    const sortBy = ['username', 'email', 'role', 'status', 'createdAt'].includes(req.query.sortBy) ? req.query.sortBy : 'createdAt';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const projection = Object.fromEntries(
+      USER_EXPORT_COLUMNS.map(column => [(column.path || column.key).split('.')[0], 1])
+    );
+
+    const cursor = User.find(query)
+      .select(projection)
+      .sort({ [sortBy]: sortOrder, _id: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    const filename = `users-${new Date().toISOString().slice(0, 10)}`;
+    const exported = await streamExport(res, {
+      format,
+      filename,
+      columns: USER_EXPORT_COLUMNS,
+      cursor
+    });
+
+    logger.info('Users exported', {
+      requestedBy: req.user._id,
+      format,
+      exported,
+      filters: req.query,
+      ip: req.ip
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'exportUsers',
+      requestedBy: req.user._id,
+      filters: req.query,
+      ip: req.ip
+    });
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      error: 'User export failed',
+      message: 'Unable to export users. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Update status, role or email verification for many users at once
+ * @route PATCH /api/users/bulk
+ */
+export const bulkUpdateUsers = async (req, res) => {
+  try {
+    const { userIds = [], updateData = {} } = req.body;
+
+    const disallowed = Object.keys(updateData).filter(field => !BULK_UPDATABLE_FIELDS.includes(field));
+    if (disallowed.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Only ${BULK_UPDATABLE_FIELDS.join(', ')} can be updated in bulk`,
+        details: disallowed.map(field => `${field} cannot be updated in bulk`)
+      });
+    }
+
+    // Same rule as updateUser: nobody can hand out a role above their own
+    if (updateData.role !== undefined && (ROLE_RANK[updateData.role] || 0) > (ROLE_RANK[req.user.role] || 0)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: updateData.role === 'super_admin'
+          ? 'Only super administrators can promote users to super admin'
+          : `You cannot promote users to ${updateData.role} privileges`
+      });
+    }
+
+    const uniqueIds = [...new Set(userIds.map(String))];
+    const users = await User.find({ _id: { $in: uniqueIds } }).select('_id username role').lean();
+    const foundIds = new Set(users.map(user => user._id.toString()));
+
+    const skipped = uniqueIds
+      .filter(id => !foundIds.has(id))
+      .map(id => ({ id, reason: 'User not found' }));
+    const targetIds = [];
+
+    users.forEach(user => {
+      const id = user._id.toString();
+      if (id === req.user._id.toString()) {
+        skipped.push({ id, reason: 'You cannot bulk update your own account' });
+      } else if (!hasPermission(req.user, 'update', user)) {
+        skipped.push({ id, reason: 'Insufficient permissions' });
+      } else {
+        targetIds.push(user._id);
+      }
+    });
+
+    const result = targetIds.length > 0
+      ? await User.updateMany({ _id: { $in: targetIds } }, { $set: updateData }, { runValidators: true })
+      : { matchedCount: 0, modifiedCount: 0 };
+
+    if (updateData.role && targetIds.length > 0) {
+      await User.syncPermissions({ _id: { $in: targetIds } });
+    }
+
+    logger.dbLog('updateMany', 'users', { updatedBy: req.user._id, count: result.modifiedCount });
+    logger.info('Users bulk updated', {
+      updatedBy: req.user._id,
+      updatedFields: Object.keys(updateData),
+      requested: uniqueIds.length,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      skipped: skipped.length,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} user${result.modifiedCount === 1 ? '' : 's'} updated`,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      skipped
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'bulkUpdateUsers',
+      requestedBy: req.user._id,
+      updateData: req.body?.updateData,
+      ip: req.ip
+    });
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please correct the following errors',
+        details: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      error: 'Bulk update failed',
+      message: 'Unable to update users. Please try again later.'
+    });
+  }
+};
+
+/**
+ * User statistics: totals by role and status, verification and signups over a period
+ * @route GET /api/users/stats
+ */
+export const getUserStats = async (req, res) => {
+  try {
+    const days = req.query.days || 30;
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const [result] = await User.aggregate([
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byRole: [{ $group: { _id: '$role', count: { $sum: 1 } } }],
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          emailVerified: [{ $match: { emailVerified: true } }, { $count: 'count' }],
+          volunteers: [{ $match: { 'volunteerInfo.isVolunteer': true } }, { $count: 'count' }],
+          activeInPeriod: [{ $match: { lastLogin: { $gte: startDate } } }, { $count: 'count' }],
+          signups: [
+            { $match: { createdAt: { $gte: startDate } } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const toCounts = (entries) => Object.fromEntries(entries.map(entry => [entry._id || 'unknown', entry.count]));
+    const signupsByDay = result.signups.map(entry => ({ date: entry._id, count: entry.count }));
+
+    res.json({
+      success: true,
+      stats: {
+        period: { days, startDate },
+        totalUsers: result.total[0]?.count || 0,
+        byRole: toCounts(result.byRole),
+        byStatus: toCounts(result.byStatus),
+        emailVerified: result.emailVerified[0]?.count || 0,
+        volunteers: result.volunteers[0]?.count || 0,
+        activeInPeriod: result.activeInPeriod[0]?.count || 0,
+        newUsers: signupsByDay.reduce((sum, entry) => sum + entry.count, 0),
+        signupsByDay
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'getUserStats',
+      requestedBy: req.user._id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve user statistics',
+      message: 'Unable to fetch user statistics. Please try again later.'
+    });
+  }
+};
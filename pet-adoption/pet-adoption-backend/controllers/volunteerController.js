@@ -0,0 +1,590 @@
+import mongoose from 'mongoose';
+import VolunteerShift, { SHIFT_STATUSES, SHIFT_TYPES } from '../models/VolunteerShift.js';
+import VolunteerShiftSignup from '../models/VolunteerShiftSignup.js';
+import User from '../models/User.js';
+import logger from '../services/logger.js';
+import {
+  VOLUNTEER_ERRORS,
+  getEligibility,
+  getBackgroundCheckExpiry,
+  updateVolunteerProfile,
+  recordBackgroundCheck,
+  signUpForShift,
+  cancelSignup,
+  checkIn,
+  checkOut,
+  updateShift,
+  cancelShift,
+  recordAttendance
+} from '../services/volunteerService.js';
+
+/**
+ * Volunteer Controller
+ * Volunteer shifts: the volunteer's own schedule, sign-ups and check-in/out,
+ * and the staff side of scheduling shifts and keeping the roster
+ */
+
+const SHIFT_FIELDS = ['title', 'type', 'description', 'location', 'startTime', 'endTime', 'capacity'];
+
+// Default and longest date range of the shift list
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 92;
+const MAX_SHIFTS_LISTED = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// HTTP status and error title of each volunteer service error
+const VOLUNTEER_ERROR_RESPONSES = {
+  [VOLUNTEER_ERRORS.NOT_FOUND]: [404, 'Not found'],
+  [VOLUNTEER_ERRORS.INVALID_INPUT]: [400, 'Validation Error'],
+  [VOLUNTEER_ERRORS.CONFLICT]: [409, 'Conflict'],
+  [VOLUNTEER_ERRORS.NOT_ELIGIBLE]: [403, 'Not eligible']
+};
+
+const VOLUNTEER_SUMMARY = 'username email profile.firstName profile.lastName profile.phone volunteerInfo stats.volunteerHours';
+
+/**
+ * Respond with 400 unless a route parameter is a valid ObjectId
+ * @param {Object} res - Express response object
+ * @param {string} id - Parameter value
+ * @param {string} label - What the ID refers to, for the message
+ * @returns {boolean} Whether the ID is valid
+ */
+const requireObjectId = (res, id, label) => {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+
+  res.status(400).json({
+    error: 'Invalid ID format',
+    message: `The provided ${label} ID is not valid`
+  });
+  return false;
+};
+
+/**
+ * Respond to an error from a volunteer action
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {Object} fallback - { error, message } for unexpected errors
+ */
+const sendVolunteerError = (res, error, fallback) => {
+  if (VOLUNTEER_ERROR_RESPONSES[error.code]) {
+    const [status, title] = VOLUNTEER_ERROR_RESPONSES[error.code];
+    return res.status(status).json({ error: title, message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Please check the submitted details',
+      details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid value for ${error.path}`
+    });
+  }
+
+  res.status(500).json(fallback);
+};
+
+/**
+ * Background check date, expiry and whether it is current now
+ * @param {Object} user - User with volunteerInfo
+ * @returns {Object} { date, expiresAt, isCurrent }
+ */
+const describeBackgroundCheck = (user) => {
+  const expiresAt = getBackgroundCheckExpiry(user);
+  return {
+    date: user.volunteerInfo?.backgroundCheckDate || null,
+    expiresAt,
+    isCurrent: !!expiresAt && expiresAt > new Date()
+  };
+};
+
+/**
+ * Date range of the shift list from ?from and ?to
+ * @param {Object} query - req.query
+ * @returns {Object|null} { from, to }, or null when invalid
+ */
+const getDateRange = (query) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_RANGE_DAYS * DAY);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) return null;
+  if (to - from > MAX_RANGE_DAYS * DAY) return null;
+  return { from, to };
+};
+
+// ----------------------------------------------------------------
+// Volunteers
+// ----------------------------------------------------------------
+
+/**
+ * Shifts in a date range with open spots and, for the current user, their
+ * sign-up and whether they can sign up
+ * @route GET /api/volunteer/shifts
+ * @access Private (volunteer roles)
+ */
+export const getShifts = async (req, res) => {
+  try {
+    const range = getDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provide a valid date range of at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    // Staff can look at cancelled and completed shifts too
+    const isScheduler = req.user.hasPermission('manage_volunteers');
+    const status = isScheduler && SHIFT_STATUSES.includes(req.query.status) ? req.query.status : 'scheduled';
+
+    const query = { status, startTime: { $gte: range.from, $lt: range.to } };
+    if (SHIFT_TYPES.includes(req.query.type)) query.type = req.query.type;
+
+    const shifts = await VolunteerShift.find(query)
+      .sort({ startTime: 1 })
+      .limit(MAX_SHIFTS_LISTED);
+
+    const mySignups = await VolunteerShiftSignup.find({
+      volunteer: req.user._id,
+      shift: { $in: shifts.map(shift => shift._id) }
+    }).select('shift status').lean();
+    const signupByShift = new Map(mySignups.map(signup => [String(signup.shift), signup]));
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: shifts.map(shift => {
+        const mySignup = signupByShift.get(String(shift._id));
+        const isOpen = shift.status === 'scheduled' && shift.startTime > now;
+        return {
+          ...shift.toJSON(),
+          mySignupStatus: mySignup?.status || null,
+          eligibility: isOpen ? getEligibility(req.user, shift) : null
+        };
+      }),
+      range
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getShifts', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve shifts',
+      message: 'Unable to fetch volunteer shifts. Please try again later.'
+    });
+  }
+};
+
+/**
+ * The current user's volunteer profile, background check, hours and shifts
+ * @route GET /api/volunteer/me
+ * @access Private (volunteer roles)
+ */
+export const getMyVolunteerProfile = async (req, res) => {
+  try {
+    const signups = await VolunteerShiftSignup.find({ volunteer: req.user._id, status: { $ne: 'cancelled' } })
+      .populate('shift', 'title type location startTime endTime status cancelReason')
+      .sort({ signedUpAt: -1 })
+      .limit(100)
+      .lean();
+
+    const now = new Date();
+    const withShift = signups.filter(signup => signup.shift);
+    const upcoming = withShift
+      .filter(signup => ['signed_up', 'checked_in'].includes(signup.status) && new Date(signup.shift.endTime) > now)
+      .sort((a, b) => new Date(a.shift.startTime) - new Date(b.shift.startTime));
+    const upcomingIds = new Set(upcoming.map(signup => String(signup._id)));
+
+    res.json({
+      success: true,
+      data: {
+        volunteerInfo: req.user.volunteerInfo,
+        backgroundCheck: describeBackgroundCheck(req.user),
+        volunteerHours: req.user.stats?.volunteerHours || 0,
+        upcoming,
+        history: withShift.filter(signup => !upcomingIds.has(String(signup._id)))
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getMyVolunteerProfile', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve volunteer profile',
+      message: 'Unable to fetch your volunteer profile. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Update the current user's volunteer type, availability, skills and emergency contact
+ * @route PUT /api/volunteer/me
+ * @access Private (volunteer roles)
+ */
+export const updateMyVolunteerProfile = async (req, res) => {
+  try {
+    const { volunteerType, availability, skills, emergencyContact } = req.body;
+    const volunteerInfo = await updateVolunteerProfile(req.user._id, { volunteerType, availability, skills, emergencyContact });
+
+    logger.dbLog('update', 'users', { userId: req.user._id, fields: ['volunteerInfo'] });
+
+    res.json({
+      success: true,
+      message: 'Volunteer profile saved',
+      data: volunteerInfo
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'updateMyVolunteerProfile', userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to save volunteer profile',
+      message: 'Unable to save your volunteer profile. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Sign up for a shift
+ * @route POST /api/volunteer/shifts/:id/signup
+ * @access Private (volunteer roles)
+ */
+export const signUp = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const signup = await signUpForShift(req.params.id, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'You are signed up for this shift',
+      data: signup
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'signUpForShift', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to sign up',
+      message: 'Unable to sign you up for this shift. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Cancel the current user's sign-up before the shift starts
+ * @route DELETE /api/volunteer/shifts/:id/signup
+ * @access Private (volunteer roles)
+ */
+export const cancelMySignup = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const signup = await cancelSignup(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Your sign-up has been cancelled',
+      data: signup
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'cancelSignup', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to cancel sign-up',
+      message: 'Unable to cancel your sign-up. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Check in to a shift
+ * @route POST /api/volunteer/shifts/:id/check-in
+ * @access Private (volunteer roles)
+ */
+export const checkInToShift = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const signup = await checkIn(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Checked in. Thank you for volunteering!',
+      data: signup
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'checkIn', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to check in',
+      message: 'Unable to check you in. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Check out of a shift and log the hours worked
+ * @route POST /api/volunteer/shifts/:id/check-out
+ * @access Private (volunteer roles)
+ */
+export const checkOutOfShift = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const signup = await checkOut(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Checked out. ${signup.hours} hours logged.`,
+      data: signup
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'checkOut', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to check out',
+      message: 'Unable to check you out. Please try again later.'
+    });
+  }
+};
+
+// ----------------------------------------------------------------
+// Staff
+// ----------------------------------------------------------------
+
+/**
+ * Schedule a shift
+ * @route POST /api/volunteer/shifts
+ * @access Private (manage_volunteers)
+ */
+export const createShift = async (req, res) => {
+  try {
+    const data = { createdBy: req.user._id };
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (data.startTime && new Date(data.startTime) <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Shifts must start in the future'
+      });
+    }
+
+    const shift = await VolunteerShift.create(data);
+
+    logger.dbLog('create', 'volunteershifts', { shiftId: shift._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift scheduled',
+      data: shift
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'createShift', userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to create shift',
+      message: 'Unable to schedule the shift. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Edit a scheduled shift
+ * @route PATCH /api/volunteer/shifts/:id
+ * @access Private (manage_volunteers)
+ */
+export const updateShiftDetails = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const updates = {};
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const shift = await updateShift(req.params.id, updates);
+
+    res.json({
+      success: true,
+      message: 'Shift updated',
+      data: shift
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'updateShift', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to update shift',
+      message: 'Unable to update the shift. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled shift and notify the volunteers signed up
+ * @route POST /api/volunteer/shifts/:id/cancel
+ * @access Private (manage_volunteers)
+ */
+export const cancelShiftById = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : undefined;
+    const { shift, cancelledSignups } = await cancelShift(req.params.id, { reason: reason || undefined });
+
+    res.json({
+      success: true,
+      message: `Shift cancelled${cancelledSignups ? `; ${cancelledSignups} volunteer(s) notified` : ''}`,
+      data: shift,
+      cancelledSignups
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'cancelShift', shiftId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to cancel shift',
+      message: 'Unable to cancel the shift. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Roster of a shift: who is signed up, their contact details and attendance
+ * @route GET /api/volunteer/shifts/:id/roster
+ * @access Private (manage_volunteers)
+ */
+export const getShiftRoster = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'shift')) return;
+
+  try {
+    const shift = await VolunteerShift.findById(req.params.id).populate('createdBy', 'username');
+    if (!shift) {
+      return res.status(404).json({
+        error: 'Shift not found',
+        message: 'The requested shift does not exist'
+      });
+    }
+
+    const signups = await VolunteerShiftSignup.find({ shift: shift._id })
+      .populate('volunteer', VOLUNTEER_SUMMARY)
+      .populate('attendanceRecordedBy', 'username')
+      .sort({ signedUpAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        shift,
+        signups: signups.map(signup => ({
+          ...signup,
+          backgroundCheck: signup.volunteer ? describeBackgroundCheck(signup.volunteer) : null
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getShiftRoster', shiftId: req.params.id, userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve roster',
+      message: 'Unable to fetch the shift roster. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Record a volunteer's attendance: completed with hours, or no-show
+ * @route PATCH /api/volunteer/signups/:id
+ * @access Private (manage_volunteers)
+ */
+export const recordSignupAttendance = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'sign-up')) return;
+
+  try {
+    const { status, hours } = req.body;
+    const signup = await recordAttendance(req.params.id, { status, hours, recordedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Attendance recorded',
+      data: signup
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'recordAttendance', signupId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to record attendance',
+      message: 'Unable to record the attendance. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Active volunteers with availability, skills, background check and hours
+ * @route GET /api/volunteer/volunteers
+ * @access Private (manage_volunteers)
+ */
+export const getVolunteers = async (req, res) => {
+  try {
+    const volunteers = await User.findVolunteers()
+      .select(VOLUNTEER_SUMMARY + ' role')
+      .sort({ username: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: volunteers.map(volunteer => ({
+        ...volunteer,
+        backgroundCheck: describeBackgroundCheck(volunteer)
+      }))
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'getVolunteers', userId: req.user?._id });
+
+    res.status(500).json({
+      error: 'Failed to retrieve volunteers',
+      message: 'Unable to fetch volunteers. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Record the date a volunteer's background check was completed
+ * @route PUT /api/volunteer/volunteers/:id/background-check
+ * @access Private (manage_volunteers)
+ */
+export const updateBackgroundCheck = async (req, res) => {
+  if (!requireObjectId(res, req.params.id, 'volunteer')) return;
+
+  try {
+    const result = await recordBackgroundCheck(req.params.id, req.body.checkedAt);
+
+    res.json({
+      success: true,
+      message: 'Background check recorded',
+      data: result
+    });
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'recordBackgroundCheck', volunteerId: req.params.id, userId: req.user?._id });
+
+    sendVolunteerError(res, error, {
+      error: 'Failed to record background check',
+      message: 'Unable to record the background check. Please try again later.'
+    });
+  }
+};
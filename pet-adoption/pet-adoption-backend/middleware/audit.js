@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import logger from '../services/logger.js';
+import { recordAuditEvent } from '../services/auditService.js';
+
+/**
+ * Audit middleware
+ * Wraps a mutating admin route: the target is loaded before the handler
+ * runs and again once the response has been sent, and the difference is
+ * stored as an AuditEvent. Must run after authenticate.
+ */
+
+// ID of a record the handler created, from the usual response shapes
+const getCreatedId = (body) => body?.data?._id || body?.user?._id || body?._id;
+
+/**
+ * Load a snapshot of the target, logging instead of failing the request
+ * @param {Function} load - (targetId) => Promise<Object|null>
+ * @param {string} targetId - Target ID
+ * @param {string} action - Audit action, for the log
+ * @returns {Promise<Object|null>} Snapshot
+ */
+const loadSnapshot = async (load, targetId, action) => {
+  try {
+    return await load(targetId);
+  } catch (error) {
+    logger.errorLog(error, { operation: 'auditSnapshot', action, targetId });
+    return null;
+  }
+};
+
+/**
+ * Snapshot loader for auditTrail that reads a record by its ObjectId
+ * @param {Object} Model - Mongoose model
+ * @param {string} [select] - Projection
+ * @returns {Function} (id) => Promise<Object|null>
+ */
+export const loadById = (Model, select) => (id) => (
+  mongoose.Types.ObjectId.isValid(id) ? Model.findById(id).select(select).lean() : null
+);
+
+/**
+ * Record an AuditEvent for the route
+ * @param {string} action - e.g. pet.update, user.delete
+ * @param {Object} options
+ * @param {string} options.targetType - e.g. Pet, User
+ * @param {Function} [options.load] - (targetId) => Promise<Object|null>, lean snapshot of the target
+ * @param {Function} [options.getTargetId] - (req) => target ID; defaults to req.params.id
+ * @param {Function} [options.getMetadata] - (req, responseBody) => Object stored with the event
+ * @returns {Function} Express middleware
+ */
+export const auditTrail = (action, { targetType, load, getTargetId = req => req.params.id, getMetadata } = {}) => {
+  return async (req, res, next) => {
+    // Read params now; they are not guaranteed once the router has moved on
+    const targetId = getTargetId(req);
+    const before = load && targetId ? await loadSnapshot(load, targetId, action) : null;
+
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function(data) {
+      responseBody = data;
+      return originalJson.call(this, data);
+    };
+
+    res.on('finish', async () => {
+      const succeeded = res.statusCode < 400;
+      const id = targetId || (succeeded ? getCreatedId(responseBody) : undefined);
+      const after = load && id && succeeded ? await loadSnapshot(load, id, action) : null;
+
+      await recordAuditEvent(req, {
+        action,
+        targetType,
+        targetId: id,
+        before,
+        after,
+        metadata: getMetadata ? getMetadata(req, responseBody) : {},
+        statusCode: res.statusCode
+      });
+    });
+
+    next();
+  };
+};
+
+export default auditTrail;
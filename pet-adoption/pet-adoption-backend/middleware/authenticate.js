@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import logger from '../services/logger.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 
 /**
  * Authentication Middleware
@@ -9,89 +10,40 @@ import logger from '../services/logger.js';
 
 /**
  * Rate limiting for authentication attempts
- * Track failed authentication attempts per IP
+ * Failed authentication attempts per IP, kept in the shared rate limit store
  */
-const authAttempts = new Map();
 const AUTH_RATE_LIMIT = {
   windowMs: 15 * 60 * 1000, // 15 minutes
   maxAttempts: 10, // 10 failed attempts per window
   lockoutMs: 30 * 60 * 1000 // 30 minute lockout
 };
 
-/**
- * Clean up old authentication attempt records
- */
-const cleanupAuthAttempts = () => {
-  const now = Date.now();
-  for (const [ip, data] of authAttempts.entries()) {
-    if (now - data.firstAttempt > AUTH_RATE_LIMIT.windowMs) {
-      authAttempts.delete(ip);
-    }
-  }
-};
-
 /**
  * Check if IP is rate limited for authentication
  * @param {string} ip - Client IP address
- * @returns {Object} Rate limit status
+ * @returns {Promise<Object>} Rate limit status
  */
-const checkAuthRateLimit = (ip) => {
-  cleanupAuthAttempts();
-  
-  const now = Date.now();
-  const attempts = authAttempts.get(ip);
-  
-  if (!attempts) {
-    return { limited: false, remaining: AUTH_RATE_LIMIT.maxAttempts };
-  }
-  
-  // Check if in lockout period
-  if (attempts.lockedUntil && now < attempts.lockedUntil) {
-    return { 
-      limited: true, 
-      lockoutRemaining: Math.ceil((attempts.lockedUntil - now) / 1000),
-      reason: 'lockout'
-    };
-  }
-  
-  // Reset if window expired
-  if (now - attempts.firstAttempt > AUTH_RATE_LIMIT.windowMs) {
-    authAttempts.delete(ip);
-    return { limited: false, remaining: AUTH_RATE_LIMIT.maxAttempts };
-  }
-  
-  // Check if limit exceeded
-  if (attempts.count >= AUTH_RATE_LIMIT.maxAttempts) {
-    attempts.lockedUntil = now + AUTH_RATE_LIMIT.lockoutMs;
-    return { 
-      limited: true, 
-      lockoutRemaining: Math.ceil(AUTH_RATE_LIMIT.lockoutMs / 1000),
-      reason: 'rate_limit'
-    };
-  }
-  
-  return { 
-    limited: false, 
-    remaining: AUTH_RATE_LIMIT.maxAttempts - attempts.count 
-  };
+const checkAuthRateLimit = async (ip) => {
+  const status = await rateLimitStore.check('auth', ip, {
+    max: AUTH_RATE_LIMIT.maxAttempts,
+    lockoutMs: AUTH_RATE_LIMIT.lockoutMs
+  });
+
+  return status.limited
+    ? { limited: true, lockoutRemaining: status.retryAfter, reason: status.reason }
+    : { limited: false, remaining: status.remaining };
 };
 
 /**
- * Record failed authentication attempt
+ * Record failed authentication attempt. Not awaited by callers; store errors are logged.
  * @param {string} ip - Client IP address
+ * @returns {Promise<void>}
  */
-const recordFailedAuth = (ip) => {
-  const now = Date.now();
-  const attempts = authAttempts.get(ip);
-  
-  if (!attempts || now - attempts.firstAttempt > AUTH_RATE_LIMIT.windowMs) {
-    authAttempts.set(ip, {
-      firstAttempt: now,
-      count: 1
-    });
-  } else {
-    attempts.count++;
-  }
+const recordFailedAuth = async (ip) => {
+  await rateLimitStore.consume('auth', ip, {
+    windowMs: AUTH_RATE_LIMIT.windowMs,
+    max: AUTH_RATE_LIMIT.maxAttempts
+  });
 };
 
 /**
@@ -196,32 +148,41 @@ const validateUserAccount = (user) => {
 };
 
 /**
- * Check if token was issued before password change
+ * Check if token was issued before a password change or "log out everywhere"
  * @param {Object} decoded - Decoded JWT payload
  * @param {Object} user - User object from database
  * @returns {boolean} Whether token is still valid
  */
 const isTokenStillValid = (decoded, user) => {
-  if (!user.passwordChangedAt || !decoded.iat) {
+  if (!decoded.iat) {
     return true;
   }
-  
-  const passwordChangedTimestamp = Math.floor(user.passwordChangedAt.getTime() / 1000);
-  return decoded.iat > passwordChangedTimestamp;
+
+  return [user.passwordChangedAt, user.sessionsRevokedAt]
+    .filter(Boolean)
+    .every(changedAt => decoded.iat > Math.floor(changedAt.getTime() / 1000));
 };
 
 /**
- * Main authentication middleware
- * Validates JWT tokens and sets user context
+ * Token type of a decoded JWT. Tokens issued before token types existed are access tokens.
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {string} Token type
  */
-export const authenticate = async (req, res, next) => {
+const getTokenType = (decoded) => decoded.tokenType || 'access';
+
+/**
+ * Build an authentication middleware that accepts the given token types
+ * @param {string[]} allowedTokenTypes - e.g. ['access']
+ * @returns {Function} Express middleware
+ */
+const authenticateWith = (allowedTokenTypes) => async (req, res, next) => {
   const startTime = Date.now();
   const clientIp = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent');
   
   try {
     // Check rate limiting
-    const rateLimit = checkAuthRateLimit(clientIp);
+    const rateLimit = await checkAuthRateLimit(clientIp);
     if (rateLimit.limited) {
       logger.warn('Authentication rate limit exceeded', {
         ip: clientIp,
@@ -319,9 +280,26 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Refresh and two-factor tokens must not be usable as sessions
+    if (!allowedTokenTypes.includes(getTokenType(decoded))) {
+      recordFailedAuth(clientIp);
+      logger.warn('Token type not accepted for this route', {
+        ip: clientIp,
+        userAgent,
+        userId: decoded.userId,
+        tokenType: getTokenType(decoded),
+        path: req.path
+      });
+
+      return res.status(401).json({
+        error: 'invalid_token_type',
+        message: 'This token cannot be used to access this resource'
+      });
+    }
+
     // Fetch user from database
     const user = await User.findById(decoded.userId)
-      .select('+passwordChangedAt +lockUntil +loginAttempts');
+      .select('+passwordChangedAt +sessionsRevokedAt +lockUntil +loginAttempts');
     
     // Validate user account
     const userValidation = validateUserAccount(user);
@@ -356,12 +334,13 @@ export const authenticate = async (req, res, next) => {
     // Check if token is still valid (not issued before password change)
     if (!isTokenStillValid(decoded, user)) {
       recordFailedAuth(clientIp);
-      logger.warn('Token invalidated by password change', {
+      logger.warn('Token invalidated by password change or sign-out', {
         ip: clientIp,
         userAgent,
         userId: user._id,
         tokenIat: decoded.iat,
-        passwordChangedAt: user.passwordChangedAt
+        passwordChangedAt: user.passwordChangedAt,
+        sessionsRevokedAt: user.sessionsRevokedAt
       });
       
       return res.status(401).json({
@@ -408,6 +387,19 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Main authentication middleware
+ * Validates JWT access tokens and sets user context
+ */
+export const authenticate = authenticateWith(['access']);
+
+/**
+ * Authentication for two-factor enrollment. Also accepts the short-lived setup
+ * token issued at login to users whose role requires 2FA but who have not
+ * enrolled yet, so they can finish enrollment before getting a session.
+ */
+export const authenticateTwoFactorSetup = authenticateWith(['access', '2fa_setup']);
+
 /**
  * Optional authentication middleware
  * Sets user context if token is provided and valid, but doesn't require authentication
@@ -421,7 +413,11 @@ export const optionalAuth = async (req, res, next) => {
   
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    if (getTokenType(decoded) !== 'access') {
+      return next();
+    }
+
+    const user = await User.findById(decoded.userId).select('+sessionsRevokedAt');
     
     if (user && isTokenStillValid(decoded, user)) {
       const userValidation = validateUserAccount(user);
@@ -0,0 +1,83 @@
+import multer from 'multer';
+import logger from '../services/logger.js';
+
+/**
+ * Multipart upload middleware
+ * Files are buffered in memory so their content can be sniffed and processed
+ * before anything reaches storage. The declared MIME type is only a first
+ * filter; controllers must verify the actual bytes.
+ */
+
+const MB = 1024 * 1024;
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: (limits) => `Each file must be smaller than ${+(limits.fileSize / MB).toFixed(1)} MB`,
+  LIMIT_FILE_COUNT: (limits) => `You can upload at most ${limits.files} files at once`,
+  LIMIT_UNEXPECTED_FILE: () => 'Unexpected file field',
+  LIMIT_PART_COUNT: () => 'Too many form parts',
+  LIMIT_FIELD_COUNT: () => 'Too many form fields'
+};
+
+/**
+ * Create an upload middleware for one multipart field
+ * @param {Object} options - { field, maxFiles, maxBytes, allowedTypes }
+ * @returns {Function} Express middleware that sets req.files
+ */
+export const createUploader = ({ field, maxFiles = 10, maxBytes = 5 * MB, allowedTypes = [] }) => {
+  const limits = { fileSize: maxBytes, files: maxFiles, fields: 20 };
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits,
+    fileFilter: (req, file, callback) => {
+      if (allowedTypes.length > 0 && !allowedTypes.includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return callback(error);
+      }
+      callback(null, true);
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({
+        error: 'Invalid Content-Type',
+        message: 'Content-Type must be multipart/form-data'
+      });
+    }
+
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      logger.warn('File upload rejected', {
+        code: error.code,
+        message: error.message,
+        userId: req.user?._id,
+        path: req.originalUrl,
+        ip: req.ip
+      });
+
+      if (error instanceof multer.MulterError) {
+        const message = UPLOAD_ERROR_MESSAGES[error.code]?.(limits) || error.message;
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          error: 'Upload rejected',
+          message
+        });
+      }
+
+      if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(415).json({
+          error: 'Unsupported file type',
+          message: `Allowed types: ${allowedTypes.join(', ')}`
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+export default createUploader;
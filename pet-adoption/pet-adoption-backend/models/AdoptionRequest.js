@@ -204,8 +204,8 @@ const adoptionRequestSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['pending', 'under_review', 'interview_scheduled', 'approved', 'rejected', 'completed', 'withdrawn'],
-      message: 'Status must be one of: pending, under_review, interview_scheduled, approved, rejected, completed, withdrawn'
+      values: ['pending', 'under_review', 'interview_scheduled', 'waitlisted', 'approved', 'rejected', 'completed', 'withdrawn'],
+      message: 'Status must be one of: pending, under_review, interview_scheduled, waitlisted, approved, rejected, completed, withdrawn'
     },
     default: 'pending',
     lowercase: true,
@@ -321,7 +321,10 @@ const adoptionRequestSchema = new mongoose.Schema({
       },
       message: 'Follow-up date must be in the future when follow-up is required'
     }
-  }
+  },
+
+  // Last follow-up reminder sent to staff (follow_up_reminders job)
+  followUpRemindedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -331,6 +334,10 @@ const adoptionRequestSchema = new mongoose.Schema({
 // Indexes for performance
 adoptionRequestSchema.index({ user: 1, pet: 1 }, { unique: true }); // Prevent duplicate applications
 adoptionRequestSchema.index({ status: 1, createdAt: -1 }); // For admin dashboard
+adoptionRequestSchema.index(
+  { pet: 1 },
+  { unique: true, partialFilterExpression: { status: 'approved' }, name: 'one_approved_request_per_pet' }
+); // At most one approved request per pet
 // adoptionRequestSchema.index({ applicantEmail: 1 }); // REMOVED - Already exists in database
 adoptionRequestSchema.index({ followUpDate: 1 }, { sparse: true }); // For follow-up queries
 adoptionRequestSchema.index({ createdAt: -1 }); // For chronological sorting
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditEvent Model
+ * One admin mutation: who did what to which record, the fields it changed
+ * and where the request came from. Written by the auditTrail middleware.
+ */
+
+const changeSchema = new mongoose.Schema({
+  // Dot-separated path, e.g. "status" or "profile.firstName"
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+
+  // Copied so the entry stays readable if the account changes or is deleted
+  actorUsername: String,
+  actorRole: String,
+
+  // "<resource>.<verb>", e.g. pet.update, user.delete, adoption_request.status_change
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+
+  // ObjectId of the record, or another key such as a role name
+  targetId: String,
+
+  // Human readable name of the target (pet name, username, ...)
+  targetLabel: String,
+
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+
+  // Action specific context, e.g. the user IDs of a bulk update
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  method: String,
+  path: String,
+  statusCode: Number,
+  success: {
+    type: Boolean,
+    default: true
+  },
+
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditEvent', auditEventSchema);
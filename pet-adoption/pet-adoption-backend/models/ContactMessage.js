@@ -211,6 +211,9 @@ const contactMessageSchema = new mongoose.Schema({
     }
   },
 
+  // Set by the overdue_contact_messages job when the deadline passed unanswered
+  overdueFlaggedAt: Date,
+
   // Admin Notes and Actions
   adminNotes: [{
     note: {
@@ -303,6 +306,9 @@ const contactMessageSchema = new mongoose.Schema({
     }
   },
 
+  // Last follow-up reminder sent to staff (follow_up_reminders job)
+  followUpRemindedAt: Date,
+
   // Satisfaction Tracking
   satisfactionRating: {
     type: Number,
@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+
+/**
+ * ConversationLog Model
+ * Stores chatbot conversations turn by turn for transcripts and analytics
+ */
+
+const RETENTION_DAYS = parseInt(process.env.CHAT_LOG_RETENTION_DAYS, 10) || 180;
+const MAX_TURNS = 500;
+
+const entitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  value: {
+    type: String,
+    trim: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  }
+}, { _id: false });
+
+const turnSchema = new mongoose.Schema({
+  userMessage: {
+    type: String,
+    required: [true, 'User message is required'],
+    trim: true,
+    maxlength: [1000, 'User message must be less than 1000 characters']
+  },
+  botResponse: {
+    type: String,
+    trim: true,
+    maxlength: [4000, 'Bot response must be less than 4000 characters']
+  },
+  responseType: {
+    type: String,
+    trim: true
+  },
+  intent: {
+    type: String,
+    default: 'unknown',
+    trim: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  intentSource: {
+    type: String,
+    enum: ['wit', 'classifier', 'none'],
+    default: 'none'
+  },
+  entities: [entitySchema],
+  responseTime: {
+    type: Number,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationLogSchema = new mongoose.Schema({
+  // Stable identifier supplied by the client (UUID v4)
+  conversationId: {
+    type: String,
+    required: [true, 'Conversation ID is required'],
+    unique: true,
+    trim: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  turns: [turnSchema],
+
+  turnCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Distinct intents seen in the conversation, for filtering
+  intents: [{
+    type: String,
+    trim: true
+  }],
+
+  // Accumulated slots for multi-turn pet search
+  dialogueState: {
+    activeIntent: {
+      type: String,
+      trim: true
+    },
+    slots: {
+      type: {
+        type: String,
+        trim: true
+      },
+      size: {
+        type: String,
+        trim: true
+      },
+      ageRange: {
+        min: Number,
+        max: Number
+      },
+      goodWith: [{
+        type: String,
+        trim: true
+      }],
+      location: {
+        type: String,
+        trim: true
+      }
+    },
+    updatedAt: Date
+  },
+
+  metadata: {
+    userAgent: String,
+    ipAddress: String
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+conversationLogSchema.index({ lastMessageAt: -1 });
+conversationLogSchema.index({ intents: 1, lastMessageAt: -1 });
+conversationLogSchema.index({ lastMessageAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static methods
+/**
+ * Append a turn to a conversation, creating it on the first message
+ * @param {string} conversationId - Conversation UUID
+ * @param {Object} turn - Turn data (userMessage, botResponse, intent, ...)
+ * @param {Object} context - { userId, userAgent, ipAddress }
+ * @returns {Promise<Object>} Updated conversation
+ */
+conversationLogSchema.statics.appendTurn = function(conversationId, turn, context = {}) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { conversationId },
+    {
+      $push: { turns: { $each: [{ ...turn, timestamp: now }], $slice: -MAX_TURNS } },
+      $inc: { turnCount: 1 },
+      $addToSet: { intents: turn.intent || 'unknown' },
+      $set: {
+        lastMessageAt: now,
+        ...(context.userId && { user: context.userId }),
+        ...(context.dialogueState && { dialogueState: { ...context.dialogueState, updatedAt: now } })
+      },
+      $setOnInsert: {
+        startedAt: now,
+        metadata: {
+          userAgent: context.userAgent,
+          ipAddress: context.ipAddress
+        }
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Load the dialogue state of a conversation
+ * @param {string} conversationId - Conversation UUID
+ * @returns {Promise<Object>} { activeIntent, slots } (empty for new conversations)
+ */
+conversationLogSchema.statics.getDialogueState = async function(conversationId) {
+  const conversation = await this.findOne({ conversationId })
+    .select('dialogueState')
+    .lean();
+
+  return conversation?.dialogueState || { activeIntent: null, slots: {} };
+};
+
+conversationLogSchema.statics.getAnalytics = async function(days = 30) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const [overview, topIntents, fallbacks] = await Promise.all([
+    this.aggregate([
+      { $match: { lastMessageAt: { $gte: startDate } } },
+      { $unwind: '$turns' },
+      { $match: { 'turns.timestamp': { $gte: startDate } } },
+      {
+        $group: {
+          _id: null,
+          conversations: { $addToSet: '$_id' },
+          totalTurns: { $sum: 1 },
+          averageConfidence: { $avg: '$turns.confidence' },
+          responseTimeAvg: { $avg: '$turns.responseTime' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          totalConversations: { $size: '$conversations' },
+          totalTurns: 1,
+          averageConfidence: 1,
+          responseTimeAvg: 1
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { lastMessageAt: { $gte: startDate } } },
+      { $unwind: '$turns' },
+      { $match: { 'turns.timestamp': { $gte: startDate } } },
+      { $group: { _id: '$turns.intent', count: { $sum: 1 }, avgConfidence: { $avg: '$turns.confidence' } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ]),
+    this.aggregate([
+      { $match: { lastMessageAt: { $gte: startDate } } },
+      { $unwind: '$turns' },
+      { $match: { 'turns.timestamp': { $gte: startDate }, 'turns.responseType': 'fallback' } },
+      { $group: { _id: { $toLower: '$turns.userMessage' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ])
+  ]);
+
+  return {
+    totalConversations: 0,
+    totalTurns: 0,
+    averageConfidence: 0,
+    responseTimeAvg: 0,
+    ...overview[0],
+    topIntents: topIntents.map(i => ({ intent: i._id, count: i.count, avgConfidence: i.avgConfidence })),
+    commonFailures: fallbacks.map(f => ({ message: f._id, count: f.count }))
+  };
+};
+
+export default mongoose.model('ConversationLog', conversationLogSchema);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+/**
+ * FosterApplication Model
+ * A user's application to become a foster parent. Approval gives the user
+ * the foster role, after which staff can place pets with them
+ * (see FosterPlacement).
+ */
+
+export const FOSTER_APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+export const FOSTER_HOUSING_TYPES = ['house', 'apartment', 'condo', 'townhouse', 'farm', 'other'];
+export const FOSTER_PET_TYPES = ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'];
+
+const fosterApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: FOSTER_APPLICATION_STATUSES,
+      message: `Status must be one of: ${FOSTER_APPLICATION_STATUSES.join(', ')}`
+    },
+    default: 'pending',
+    index: true
+  },
+
+  // Home
+  housingType: {
+    type: String,
+    enum: {
+      values: FOSTER_HOUSING_TYPES,
+      message: `Housing type must be one of: ${FOSTER_HOUSING_TYPES.join(', ')}`
+    },
+    required: [true, 'Housing type is required']
+  },
+
+  hasYard: {
+    type: Boolean,
+    default: false
+  },
+
+  otherPets: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Other pets description must be less than 500 characters']
+  },
+
+  hasChildren: {
+    type: Boolean,
+    default: false
+  },
+
+  // What the applicant can take on
+  preferredPetTypes: [{
+    type: String,
+    enum: {
+      values: FOSTER_PET_TYPES,
+      message: 'Invalid pet type'
+    }
+  }],
+
+  maxPets: {
+    type: Number,
+    min: [1, 'Must be able to foster at least one pet'],
+    max: [10, 'Maximum of 10 pets at once'],
+    default: 1
+  },
+
+  canHandleMedicalNeeds: {
+    type: Boolean,
+    default: false
+  },
+
+  availableFrom: Date,
+
+  experience: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Experience must be less than 2000 characters']
+  },
+
+  motivation: {
+    type: String,
+    required: [true, 'Please tell us why you would like to foster'],
+    trim: true,
+    minlength: [20, 'Please write at least 20 characters about why you would like to foster'],
+    maxlength: [2000, 'Motivation must be less than 2000 characters']
+  },
+
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: Date,
+
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes must be less than 1000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+fosterApplicationSchema.index({ status: 1, createdAt: -1 });
+
+const FosterApplication = mongoose.model('FosterApplication', fosterApplicationSchema);
+
+export default FosterApplication;
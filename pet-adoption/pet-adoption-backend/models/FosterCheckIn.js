@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+/**
+ * FosterCheckIn Model
+ * A foster parent's periodic report on a fostered pet: how it is doing,
+ * notes and photos. Staff review each report and can ask for a follow-up.
+ */
+
+export const FOSTER_CHECK_IN_STATUSES = ['submitted', 'reviewed', 'needs_follow_up'];
+export const FOSTER_WELLBEING_LEVELS = ['great', 'good', 'fair', 'concerning'];
+export const MAX_CHECK_IN_PHOTOS = 5;
+
+const fosterCheckInSchema = new mongoose.Schema({
+  placement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FosterPlacement',
+    required: [true, 'Placement reference is required'],
+    index: true
+  },
+
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: [true, 'Pet reference is required']
+  },
+
+  foster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Foster parent is required']
+  },
+
+  // Report
+  wellbeing: {
+    type: String,
+    enum: {
+      values: FOSTER_WELLBEING_LEVELS,
+      message: `Wellbeing must be one of: ${FOSTER_WELLBEING_LEVELS.join(', ')}`
+    },
+    required: [true, 'Please rate how the pet is doing']
+  },
+
+  eating: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Eating notes must be less than 300 characters']
+  },
+
+  behavior: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Behavior notes must be less than 1000 characters']
+  },
+
+  health: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Health notes must be less than 1000 characters']
+  },
+
+  notes: {
+    type: String,
+    required: [true, 'Please add a few words about the pet'],
+    trim: true,
+    maxlength: [2000, 'Notes must be less than 2000 characters']
+  },
+
+  photos: {
+    type: [{
+      url: { type: String, required: true },
+      thumbnailUrl: String,
+      storageKeys: [String],
+      width: Number,
+      height: Number
+    }],
+    validate: {
+      validator: photos => photos.length <= MAX_CHECK_IN_PHOTOS,
+      message: `A check-in can have at most ${MAX_CHECK_IN_PHOTOS} photos`
+    }
+  },
+
+  // Staff review
+  status: {
+    type: String,
+    enum: {
+      values: FOSTER_CHECK_IN_STATUSES,
+      message: `Status must be one of: ${FOSTER_CHECK_IN_STATUSES.join(', ')}`
+    },
+    default: 'submitted',
+    index: true
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: Date,
+
+  staffNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Staff notes must be less than 1000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+fosterCheckInSchema.index({ placement: 1, createdAt: -1 });
+fosterCheckInSchema.index({ status: 1, createdAt: -1 }); // Staff review queue
+
+const FosterCheckIn = mongoose.model('FosterCheckIn', fosterCheckInSchema);
+
+export default FosterCheckIn;
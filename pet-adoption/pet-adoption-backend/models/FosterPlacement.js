@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+/**
+ * FosterPlacement Model
+ * A pet staying with a foster parent. While the placement is active the pet
+ * is `fostered`, located at `foster` and Pet.fosterFamily points at the
+ * foster parent. The foster parent sends a check-in report (FosterCheckIn)
+ * every `checkInIntervalDays`.
+ */
+
+export const FOSTER_PLACEMENT_STATUSES = ['active', 'ended'];
+export const FOSTER_END_REASONS = ['returned_to_shelter', 'adopted', 'medical', 'foster_request', 'other'];
+export const DEFAULT_CHECK_IN_INTERVAL_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const fosterPlacementSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: [true, 'Pet reference is required'],
+    index: true
+  },
+
+  foster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Foster parent is required'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: FOSTER_PLACEMENT_STATUSES,
+      message: `Status must be one of: ${FOSTER_PLACEMENT_STATUSES.join(', ')}`
+    },
+    default: 'active',
+    index: true
+  },
+
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  expectedEndDate: Date,
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes must be less than 2000 characters']
+  },
+
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Check-in schedule
+  checkInIntervalDays: {
+    type: Number,
+    min: [1, 'Check-ins are due at most daily'],
+    max: [90, 'Check-ins are due at least every 90 days'],
+    default: DEFAULT_CHECK_IN_INTERVAL_DAYS
+  },
+
+  nextCheckInDue: Date,
+  lastCheckInAt: Date,
+  checkInRemindedAt: Date,
+
+  // End of the placement
+  endDate: Date,
+
+  endReason: {
+    type: String,
+    enum: {
+      values: FOSTER_END_REASONS,
+      message: `End reason must be one of: ${FOSTER_END_REASONS.join(', ')}`
+    }
+  },
+
+  endNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'End notes must be less than 1000 characters']
+  },
+
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// At most one active placement per pet
+fosterPlacementSchema.index(
+  { pet: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_placement_per_pet' }
+);
+fosterPlacementSchema.index({ status: 1, nextCheckInDue: 1 }); // For check-in reminders
+
+fosterPlacementSchema.virtual('isCheckInOverdue').get(function() {
+  return this.status === 'active' && !!this.nextCheckInDue && this.nextCheckInDue <= new Date();
+});
+
+/**
+ * Move the next check-in due date on from a given time
+ * @param {Date} [from] - Reference time
+ */
+fosterPlacementSchema.methods.scheduleNextCheckIn = function(from = new Date()) {
+  this.nextCheckInDue = new Date(from.getTime() + this.checkInIntervalDays * DAY);
+};
+
+const FosterPlacement = mongoose.model('FosterPlacement', fosterPlacementSchema);
+
+export default FosterPlacement;
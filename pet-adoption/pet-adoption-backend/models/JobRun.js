@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { JOB_RUN_STATUSES } from './ScheduledJob.js';
+
+/**
+ * JobRun Model
+ * History of background job runs, kept for JOB_RUN_RETENTION_DAYS
+ */
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+
+  status: {
+    type: String,
+    enum: JOB_RUN_STATUSES,
+    default: 'running'
+  },
+
+  // schedule, or manual when started from the admin dashboard
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  instance: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+
+  // Summary returned by the job, e.g. { expired: 3 }
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+/**
+ * Kennel Model
+ * A registered kennel, run or room in one of the shelter's housing areas.
+ * Pets are in a kennel when Pet.kennelNumber is its code and
+ * Pet.currentLocation is its area; `capacity` is how many animals it can
+ * take. `lastAssignedAt` is written by every move into the kennel so
+ * concurrent moves conflict (see kennelService).
+ */
+
+// Pet.currentLocation values that are housing areas with kennels
+export const KENNEL_AREAS = ['shelter', 'medical', 'quarantine'];
+
+// Same values as Pet.type
+export const KENNEL_SPECIES = ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'];
+
+const kennelSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Kennel code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Kennel code must be less than 20 characters'],
+    match: [/^[A-Z0-9][A-Z0-9 \-]*$/, 'Kennel code can only contain letters, numbers, spaces and hyphens'],
+    unique: true
+  },
+
+  area: {
+    type: String,
+    enum: {
+      values: KENNEL_AREAS,
+      message: `Area must be one of: ${KENNEL_AREAS.join(', ')}`
+    },
+    required: [true, 'Area is required']
+  },
+
+  // Species the kennel is suitable for; empty means any
+  species: {
+    type: [{
+      type: String,
+      enum: {
+        values: KENNEL_SPECIES,
+        message: 'Species must be one of the supported animal types'
+      }
+    }],
+    default: []
+  },
+
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [50, 'Capacity must be at most 50'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Capacity must be a whole number'
+    },
+    default: 1
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes must be less than 500 characters']
+  },
+
+  // Retired kennels keep their history but take no new animals
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  lastAssignedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+kennelSchema.index({ area: 1, code: 1 });
+
+/**
+ * Whether the kennel is suitable for a pet type
+ * @param {string} type - Pet.type
+ * @returns {boolean}
+ */
+kennelSchema.methods.accepts = function(type) {
+  return this.species.length === 0 || this.species.includes(type);
+};
+
+const Kennel = mongoose.model('Kennel', kennelSchema);
+
+export default Kennel;
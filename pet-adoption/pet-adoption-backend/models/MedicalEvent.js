@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+/**
+ * MedicalEvent Model
+ * One entry in a pet's medical record: a vaccination, treatment, medication,
+ * vet visit or spay/neuter surgery. An event is `scheduled` with a due date
+ * until it is `completed` (with the date it was done) or `cancelled`.
+ * `required` events that are due and not done keep the pet from being
+ * listed as available (see medicalService).
+ */
+
+export const MEDICAL_EVENT_TYPES = ['vaccination', 'treatment', 'medication', 'vet_visit', 'spay_neuter'];
+export const MEDICAL_EVENT_STATUSES = ['scheduled', 'completed', 'cancelled'];
+
+const medicalEventSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: [true, 'Pet reference is required'],
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: MEDICAL_EVENT_TYPES,
+      message: `Type must be one of: ${MEDICAL_EVENT_TYPES.join(', ')}`
+    },
+    required: [true, 'Type is required']
+  },
+
+  // e.g. "Rabies", "Deworming", "Annual check-up"
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: MEDICAL_EVENT_STATUSES,
+      message: `Status must be one of: ${MEDICAL_EVENT_STATUSES.join(', ')}`
+    },
+    default: 'scheduled'
+  },
+
+  // Must be done before the pet can be listed for adoption
+  required: {
+    type: Boolean,
+    default: false
+  },
+
+  dueDate: {
+    type: Date,
+    required: [function() { return this.status === 'scheduled'; }, 'Due date is required for scheduled events']
+  },
+
+  performedAt: {
+    type: Date,
+    required: [function() { return this.status === 'completed'; }, 'Date performed is required for completed events'],
+    validate: {
+      validator: date => !date || date <= new Date(),
+      message: 'Date performed cannot be in the future'
+    }
+  },
+
+  // Medications and treatments
+  dosage: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Dosage must be less than 200 characters']
+  },
+
+  veterinarian: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Veterinarian must be less than 200 characters']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes must be less than 1000 characters']
+  },
+
+  // Follow-up scheduled when this one was completed (e.g. a booster)
+  followUp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalEvent'
+  },
+
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason must be less than 500 characters']
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Set by the due reminder job; cleared when the due date changes
+  reminderSentAt: Date
+}, {
+  timestamps: true
+});
+
+medicalEventSchema.index({ status: 1, dueDate: 1 }); // Due list and reminders
+medicalEventSchema.index({ pet: 1, status: 1, required: 1 }); // Listing guard
+
+const MedicalEvent = mongoose.model('MedicalEvent', medicalEventSchema);
+
+export default MedicalEvent;
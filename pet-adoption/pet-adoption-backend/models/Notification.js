@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+/**
+ * Notification Model
+ * In-app notifications shown to users (adoption updates, system messages)
+ */
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: ['adoption_update', 'saved_search_match', 'staff_reminder', 'foster_update', 'volunteer_update', 'system'],
+      message: 'Invalid notification type'
+    },
+    required: [true, 'Notification type is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title must be less than 200 characters']
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [2000, 'Message must be less than 2000 characters']
+  },
+
+  // Frontend path the notification links to (e.g. /pets/:id)
+  link: {
+    type: String,
+    trim: true
+  },
+
+  // Related documents for context
+  relatedAdoptionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdoptionRequest'
+  },
+  relatedPet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+// Static methods
+notificationSchema.statics.findForUser = function(userId, options = {}) {
+  const query = { user: userId };
+  if (options.unreadOnly) {
+    query.isRead = false;
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .skip(options.skip || 0)
+    .limit(options.limit || 20);
+};
+
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { user: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+// Instance methods
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -223,6 +223,30 @@ const petSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Generated variants for uploaded images (pasted URLs have none)
+    webpUrl: {
+      type: String,
+      trim: true
+    },
+    thumbnailUrl: {
+      type: String,
+      trim: true
+    },
+    storageKeys: [{
+      type: String,
+      trim: true
+    }],
+    width: Number,
+    height: Number,
+    size: Number,
+    mimeType: {
+      type: String,
+      trim: true
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -251,31 +275,43 @@ const petSchema = new mongoose.Schema({
     }
   }],
 
-  documents: [{
-    type: {
-      type: String,
-      enum: ['medical_record', 'vaccination_record', 'behavioral_assessment', 'intake_form', 'other'],
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    },
-    name: {
-      type: String,
-      required: true,
-      trim: true,
-      maxlength: [100, 'Document name must be less than 100 characters']
-    },
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    },
-    uploadedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }
-  }],
+  // Medical and adoption paperwork; never selected by default so it can't
+  // leak through public pet queries (see petDocumentController)
+  documents: {
+    type: [{
+      type: {
+        type: String,
+        enum: ['medical_record', 'vaccination_record', 'behavioral_assessment', 'intake_form', 'other'],
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'Document name must be less than 100 characters']
+      },
+      storageKey: String,
+      mimeType: String,
+      size: Number,
+      sharedWithAdopter: {
+        type: Boolean,
+        default: false
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      },
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    select: false
+  },
 
   // Adoption Status and History
   status: {
@@ -425,22 +461,85 @@ const petSchema = new mongoose.Schema({
     maxlength: [500, 'Intake reason must be less than 500 characters']
   },
 
+  // Filled in by surrender intakes (staff only, like intakeDetails)
   previousOwner: {
-    name: {
-      type: String,
-      trim: true,
-      maxlength: [100, 'Previous owner name must be less than 100 characters']
+    type: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Previous owner name must be less than 100 characters']
+      },
+      contact: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Previous owner contact must be less than 200 characters']
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Surrender reason must be less than 500 characters']
+      }
     },
-    contact: {
-      type: String,
-      trim: true,
-      maxlength: [200, 'Previous owner contact must be less than 200 characters']
+    select: false
+  },
+
+  // Source-specific details captured at intake (staff only, see intakeService)
+  intakeDetails: {
+    type: {
+      foundLocation: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Found location must be less than 200 characters']
+      },
+      foundAt: Date,
+      finderName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Finder name must be less than 100 characters']
+      },
+      finderContact: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Finder contact must be less than 200 characters']
+      },
+      transferOrganization: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Transfer organization must be less than 100 characters']
+      },
+      transferReference: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Transfer reference must be less than 50 characters']
+      },
+      authority: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Authority must be less than 100 characters']
+      },
+      caseNumber: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Case number must be less than 50 characters']
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Intake notes must be less than 1000 characters']
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     },
-    reason: {
-      type: String,
-      trim: true,
-      maxlength: [500, 'Surrender reason must be less than 500 characters']
-    }
+    select: false
+  },
+
+  // Strays are held for their owner to reclaim before they can be adopted
+  strayHold: {
+    startedAt: Date,
+    until: Date,
+    releasedAt: Date
   },
 
   // Location and Housing
@@ -458,6 +557,36 @@ const petSchema = new mongoose.Schema({
     sparse: true // Allow multiple pets without kennel numbers
   },
 
+  // Moves between areas and kennels, oldest first (see kennelService)
+  locationHistory: {
+    type: [{
+      location: {
+        type: String,
+        enum: ['shelter', 'foster', 'medical', 'quarantine', 'adopted'],
+        required: true
+      },
+      kennelNumber: {
+        type: String,
+        trim: true,
+        maxlength: 20
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Move reason must be less than 300 characters']
+      },
+      movedAt: {
+        type: Date,
+        default: Date.now
+      },
+      movedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    select: false
+  },
+
   fosterFamily: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -565,6 +694,16 @@ const petSchema = new mongoose.Schema({
     lastInquiry: Date
   },
 
+  // Number of users who currently have the pet in their favorites
+  favorites: {
+    total: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastFavorited: Date
+  },
+
   // Internal Management
   priority: {
     type: String,
@@ -647,7 +786,10 @@ petSchema.index({ intakeDate: -1 }); // Chronological intake queries
 petSchema.index({ name: 'text', description: 'text' }); // Text search
 petSchema.index({ tags: 1 }); // Tag-based searches
 petSchema.index({ 'views.total': -1 }); // Popular pets
+petSchema.index({ 'favorites.total': -1 }); // Most favorited pets
 petSchema.index({ currentLocation: 1, status: 1 }); // Location-based queries
+petSchema.index({ kennelNumber: 1, currentLocation: 1 }); // Kennel occupancy
+petSchema.index({ 'strayHold.until': 1 }, { sparse: true }); // Stray holds to release
 
 // Virtual fields
 petSchema.virtual('ageInMonths').get(function() {
@@ -778,7 +920,16 @@ petSchema.statics.getAnalytics = function(days = 30) {
         total: { $sum: 1 },
         adopted: { $sum: { $cond: [{ $eq: ['$status', 'adopted'] }, 1, 0] } },
         avgViews: { $avg: '$views.total' },
-        avgTimeInCare: { $avg: '$timeInCare' }
+        avgFavorites: { $avg: '$favorites.total' },
+        // timeInCare is a virtual, so compute days since intake here
+        avgTimeInCare: {
+          $avg: {
+            $divide: [
+              { $subtract: [new Date(), { $ifNull: ['$intakeDate', '$createdAt'] }] },
+              1000 * 60 * 60 * 24
+            ]
+          }
+        }
       }
     }
   ]);
@@ -820,6 +971,8 @@ petSchema.methods.markAsAdopted = function(adopterId, adoptionDate = new Date())
   this.status = 'adopted';
   this.currentAdopter = adopterId;
   this.adoptionDate = adoptionDate;
+  this.currentLocation = 'adopted';
+  this.kennelNumber = undefined; // Frees the kennel
   
   // Add to adoption history
   this.adoptionHistory.push({
@@ -842,6 +995,7 @@ petSchema.methods.markAsReturned = function(returnReason, returnDate = new Date(
   this.status = 'returned';
   this.currentAdopter = null;
   this.adoptionDate = null;
+  this.currentLocation = 'shelter';
   
   return this.save();
 };
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * RateLimitEntry Model
+ * Hit counter of one client for one limiter, used by the MongoDB rate limit
+ * store so limits and lockouts survive restarts and are shared by every
+ * instance (see rateLimitStore).
+ */
+
+const rateLimitEntrySchema = new mongoose.Schema({
+  // "<limiter>:<identifier>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // e.g. login, auth, contact
+  limiter: {
+    type: String,
+    required: true
+  },
+
+  // IP address, user ID or a combination such as "<userId>:<ip>"
+  identifier: {
+    type: String,
+    required: true
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Limit that applied when the entry was last hit, for the admin view
+  max: Number,
+
+  resetAt: {
+    type: Date,
+    required: true
+  },
+
+  lockedUntil: Date,
+
+  // Latest of resetAt and lockedUntil; MongoDB removes the entry after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rateLimitEntrySchema.index({ limiter: 1, identifier: 1 });
+rateLimitEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitEntry', rateLimitEntrySchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * RefreshToken Model
+ * Server-side record of an issued refresh token. Only the SHA-256 hash of the
+ * token is stored. Every token belongs to a session (one login on one device);
+ * refreshing rotates the token within the session, and presenting a rotated
+ * token again revokes the whole session (see sessionService).
+ */
+
+export const REVOCATION_REASONS = ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'revoked_by_user', 'revoked_by_admin', 'account_deletion'];
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Shared by every token rotated from the same login
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: {
+      values: REVOCATION_REASONS,
+      message: 'Invalid revocation reason'
+    }
+  },
+
+  // Hash of the token that replaced this one on rotation
+  replacedByHash: String,
+
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+// Expired tokens are removed by MongoDB a day after expiry; reuse of a rotated
+// token is detected until then
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+
+/**
+ * Revoke every active token matching a filter
+ * @param {Object} filter - e.g. { user } or { user, sessionId }
+ * @param {string} reason - One of REVOCATION_REASONS
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+refreshTokenSchema.statics.revokeWhere = async function(filter, reason) {
+  const result = await this.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+/**
+ * RolePermissionPreset Model
+ * Permissions a role grants by default. Admins can edit the preset of each
+ * role; roles without a stored preset use DEFAULT_ROLE_PERMISSIONS.
+ *
+ * A user's effective permissions are the preset of their role, minus the
+ * permissions revoked from them, plus the permissions granted to them
+ * (User.permissionOverrides). They are stored in User.permissions.
+ */
+
+export const ROLES = ['user', 'volunteer', 'foster', 'staff', 'admin', 'super_admin'];
+
+export const PERMISSION_DESCRIPTIONS = {
+  view_pets: 'Browse pets',
+  create_adoption_request: 'Apply to adopt',
+  view_own_requests: 'See their own adoption requests',
+  moderate_content: 'Moderate community content',
+  manage_pets: 'Add, edit and remove pets, photos and documents',
+  manage_adoption_requests: 'Review and update adoption requests',
+  manage_contact_messages: 'Reply to contact form messages',
+  manage_fosters: 'Review foster applications, place pets in foster and review check-ins',
+  manage_volunteers: 'Schedule volunteer shifts, keep rosters and record background checks',
+  view_users: 'View user accounts and statistics',
+  manage_users: 'Create, edit and delete users, sign them out and clear lockouts',
+  export_data: 'Export user data',
+  bulk_manage_users: 'Update many users at once',
+  view_analytics: 'View pet statistics and chatbot analytics',
+  view_audit_log: 'View and export the audit log of admin changes',
+  manage_jobs: 'View background jobs, run them now and pause them',
+  system_admin: 'Full access, including role permission presets'
+};
+
+export const PERMISSIONS = Object.keys(PERMISSION_DESCRIPTIONS);
+
+const USER_PERMISSIONS = ['view_pets', 'create_adoption_request', 'view_own_requests'];
+const VOLUNTEER_PERMISSIONS = [...USER_PERMISSIONS, 'moderate_content'];
+const STAFF_PERMISSIONS = [...VOLUNTEER_PERMISSIONS, 'manage_pets', 'manage_adoption_requests', 'manage_contact_messages', 'manage_fosters', 'manage_volunteers', 'view_users'];
+const ADMIN_PERMISSIONS = [...STAFF_PERMISSIONS, 'manage_users', 'export_data', 'view_analytics', 'view_audit_log', 'manage_jobs'];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  volunteer: VOLUNTEER_PERMISSIONS,
+  foster: VOLUNTEER_PERMISSIONS,
+  staff: STAFF_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+  super_admin: [...ADMIN_PERMISSIONS, 'bulk_manage_users', 'system_admin']
+};
+
+/**
+ * Effective permissions from a role preset and per-user overrides
+ * @param {string[]} preset - Permissions of the user's role
+ * @param {Object} overrides - { granted, revoked }
+ * @returns {string[]} Permissions in catalog order
+ */
+export const resolvePermissions = (preset = [], overrides = {}) => {
+  const revoked = new Set(overrides?.revoked || []);
+  const effective = new Set([
+    ...preset.filter(permission => !revoked.has(permission)),
+    ...(overrides?.granted || [])
+  ]);
+  return PERMISSIONS.filter(permission => effective.has(permission));
+};
+
+const PRESET_CACHE_TTL = 60 * 1000;
+
+const rolePermissionPresetSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true
+  },
+
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Presets change rarely and are read on every user save, so they are cached
+// per instance. Other instances pick up changes within PRESET_CACHE_TTL.
+let presetCache = null;
+let presetCacheLoadedAt = 0;
+
+/**
+ * Presets of every role (stored or default), cached
+ * @returns {Promise<Object>} { role: permissions }
+ */
+rolePermissionPresetSchema.statics.getPresets = async function() {
+  if (presetCache && Date.now() - presetCacheLoadedAt < PRESET_CACHE_TTL) {
+    return presetCache;
+  }
+
+  const stored = await this.find().select('role permissions').lean();
+  presetCache = {
+    ...DEFAULT_ROLE_PERMISSIONS,
+    ...Object.fromEntries(stored.map(preset => [preset.role, preset.permissions]))
+  };
+  presetCacheLoadedAt = Date.now();
+  return presetCache;
+};
+
+/**
+ * Last loaded presets without a database round trip (defaults before the first load)
+ * @returns {Object} { role: permissions }
+ */
+rolePermissionPresetSchema.statics.getCachedPresets = function() {
+  return presetCache || DEFAULT_ROLE_PERMISSIONS;
+};
+
+/**
+ * Drop the cached presets so the next read reloads them
+ */
+rolePermissionPresetSchema.statics.clearCache = function() {
+  presetCache = null;
+};
+
+export default mongoose.model('RolePermissionPreset', rolePermissionPresetSchema);
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+
+/**
+ * SavedSearch Model
+ * A named set of pet filters saved by a user. Newly available pets that
+ * match are announced to the owner (see savedSearchService).
+ */
+
+export const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+// How many alerted pet IDs to remember per search, to avoid repeat alerts
+const NOTIFIED_PETS_LIMIT = 500;
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name must be less than 100 characters']
+  },
+
+  filters: {
+    type: {
+      type: String,
+      enum: {
+        values: ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'],
+        message: 'Invalid pet type'
+      },
+      lowercase: true
+    },
+    breed: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Breed must be less than 50 characters']
+    },
+    size: {
+      type: String,
+      enum: {
+        values: ['extra_small', 'small', 'medium', 'large', 'extra_large'],
+        message: 'Invalid size'
+      },
+      lowercase: true
+    },
+    gender: {
+      type: String,
+      enum: {
+        values: ['male', 'female'],
+        message: 'Invalid gender'
+      },
+      lowercase: true
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Location must be less than 100 characters']
+    },
+    // Age range in years, inclusive
+    ageMin: {
+      type: Number,
+      min: [0, 'Minimum age cannot be negative'],
+      max: [50, 'Minimum age seems unrealistic']
+    },
+    ageMax: {
+      type: Number,
+      min: [0, 'Maximum age cannot be negative'],
+      max: [50, 'Maximum age seems unrealistic']
+    }
+  },
+
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Matches waiting for the owner's daily digest
+  pendingMatches: [{
+    pet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      required: true
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+
+  notifiedPets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  }],
+
+  lastAlertedAt: Date,
+  matchCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ alertsEnabled: 1, 'filters.type': 1 });
+
+savedSearchSchema.pre('validate', function(next) {
+  const { ageMin, ageMax } = this.filters || {};
+  if (ageMin !== undefined && ageMin !== null && ageMax !== undefined && ageMax !== null && ageMin > ageMax) {
+    this.invalidate('filters.ageMax', 'Maximum age must be greater than or equal to minimum age');
+  }
+  next();
+});
+
+// Static methods
+
+/**
+ * Searches with alerts enabled whose exact-match filters fit a pet.
+ * Breed, location and age are checked with matchesPet afterwards.
+ */
+savedSearchSchema.statics.findCandidatesForPet = function(pet) {
+  const anyOr = (field, value) => ({
+    $or: [
+      { [`filters.${field}`]: { $exists: false } },
+      { [`filters.${field}`]: null },
+      { [`filters.${field}`]: value }
+    ]
+  });
+
+  return this.find({
+    alertsEnabled: true,
+    notifiedPets: { $ne: pet._id },
+    $and: [
+      anyOr('type', pet.type),
+      anyOr('size', pet.size),
+      anyOr('gender', pet.gender)
+    ]
+  });
+};
+
+// Instance methods
+
+/**
+ * Whether a pet matches every filter of this search
+ * @param {Object} pet - Pet document
+ * @returns {boolean}
+ */
+savedSearchSchema.methods.matchesPet = function(pet) {
+  const filters = this.filters || {};
+  const includes = (value, term) => String(value || '').toLowerCase().includes(String(term).toLowerCase());
+
+  if (filters.type && filters.type !== pet.type) return false;
+  if (filters.size && filters.size !== pet.size) return false;
+  if (filters.gender && filters.gender !== pet.gender) return false;
+  if (filters.breed && !includes(pet.breed, filters.breed)) return false;
+  if (filters.location && !includes(pet.location, filters.location)) return false;
+
+  const ageYears = (pet.ageInMonths ?? pet.age * 12) / 12;
+  if (filters.ageMin !== undefined && filters.ageMin !== null && ageYears < filters.ageMin) return false;
+  if (filters.ageMax !== undefined && filters.ageMax !== null && ageYears > filters.ageMax) return false;
+
+  return true;
+};
+
+/**
+ * Record that the owner was (or will be) told about a pet
+ * @param {Object} petId - Pet ObjectId
+ */
+savedSearchSchema.methods.rememberPet = function(petId) {
+  this.notifiedPets.push(petId);
+  if (this.notifiedPets.length > NOTIFIED_PETS_LIMIT) {
+    this.notifiedPets.splice(0, this.notifiedPets.length - NOTIFIED_PETS_LIMIT);
+  }
+  this.matchCount += 1;
+};
+
+/**
+ * MongoDB filter for currently available pets matching this search
+ * @returns {Object} Pet query
+ */
+savedSearchSchema.methods.toPetQuery = function() {
+  const filters = this.filters || {};
+  const escape = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const query = { status: 'available' };
+
+  if (filters.type) query.type = filters.type;
+  if (filters.size) query.size = filters.size;
+  if (filters.gender) query.gender = filters.gender;
+  if (filters.breed) query.breed = { $regex: escape(filters.breed), $options: 'i' };
+  if (filters.location) query.location = { $regex: escape(filters.location), $options: 'i' };
+
+  // Ages are stored in years for almost every pet; the match check handles other units
+  if (filters.ageMin !== undefined && filters.ageMin !== null) query.age = { ...query.age, $gte: filters.ageMin };
+  if (filters.ageMax !== undefined && filters.ageMax !== null) query.age = { ...query.age, $lte: filters.ageMax };
+
+  return query;
+};
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
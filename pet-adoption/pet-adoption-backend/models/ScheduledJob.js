@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * ScheduledJob Model
+ * State of one background job, shared by every instance. An instance runs a
+ * job only after taking its lock (lockedBy/lockedUntil) with an atomic
+ * update, so each run happens once even with several instances. The job
+ * itself (handler and schedule) is registered in code, see jobScheduler.
+ */
+
+export const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+
+  // Paused jobs are skipped by the schedule but can still be run by hand
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+
+  // "<hostname>:<pid>" of the instance running the job
+  lockedBy: String,
+
+  // A crashed instance's lock expires, so another one takes over
+  lockedUntil: Date,
+
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: JOB_RUN_STATUSES
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastDurationMs: Number,
+
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ScheduledJob', scheduledJobSchema);
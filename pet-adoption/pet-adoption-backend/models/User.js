@@ -2,12 +2,16 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import validator from 'validator';
 import crypto from 'crypto';
+import RolePermissionPreset, { PERMISSIONS, resolvePermissions } from './RolePermissionPreset.js';
 
 /**
  * User Model
  * Comprehensive user management with security, validation, and profile features
  */
 
+// Days between a deletion request and the account being removed
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
 const userSchema = new mongoose.Schema({
   // Authentication Information
   username: {
@@ -180,15 +184,18 @@ const userSchema = new mongoose.Schema({
     index: true
   },
 
+  // Effective permissions: role preset adjusted by permissionOverrides (kept in sync on save)
   permissions: [{
     type: String,
-    enum: [
-      'view_pets', 'create_adoption_request', 'view_own_requests',
-      'moderate_content', 'manage_pets', 'manage_adoption_requests',
-      'manage_users', 'view_analytics', 'system_admin'
-    ]
+    enum: PERMISSIONS
   }],
 
+  // Per-user changes to the role preset
+  permissionOverrides: {
+    granted: [{ type: String, enum: PERMISSIONS }],
+    revoked: [{ type: String, enum: PERMISSIONS }]
+  },
+
   // Account Status
   status: {
     type: String,
@@ -252,6 +259,12 @@ const userSchema = new mongoose.Schema({
     select: false
   },
 
+  // Access tokens issued before this are rejected ("log out everywhere")
+  sessionsRevokedAt: {
+    type: Date,
+    select: false
+  },
+
   loginHistory: [{
     timestamp: {
       type: Date,
@@ -263,6 +276,8 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Refresh token session started by this login (see sessionService)
+    sessionId: String,
     location: {
       country: String,
       city: String
@@ -280,13 +295,26 @@ const userSchema = new mongoose.Schema({
     default: false
   },
 
-  backupCodes: [{
-    code: String,
-    used: {
-      type: Boolean,
-      default: false
-    }
-  }],
+  twoFactorEnabledAt: Date,
+
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+
+  // SHA-256 hashes of single-use recovery codes
+  backupCodes: {
+    type: [{
+      code: String,
+      used: {
+        type: Boolean,
+        default: false
+      },
+      usedAt: Date
+    }],
+    select: false
+  },
 
   // Pet-Related Information
   favorites: [{
@@ -391,8 +419,18 @@ const userSchema = new mongoose.Schema({
       systemNotifications: {
         type: Boolean,
         default: true
+      },
+      savedSearchAlerts: {
+        type: Boolean,
+        default: true
       }
     },
+    // Email alerts for saved searches: one email per match, or a daily digest
+    savedSearchFrequency: {
+      type: String,
+      enum: ['instant', 'daily'],
+      default: 'instant'
+    },
     sms: {
       enabled: {
         type: Boolean,
@@ -480,7 +518,19 @@ const userSchema = new mongoose.Schema({
 
   deletionRequestedAt: Date,
 
-  deletionScheduledFor: Date
+  deletionScheduledFor: Date,
+
+  // Status restored when the deletion is cancelled
+  statusBeforeDeletion: String,
+
+  // SHA-256 hash of the token in the "cancel deletion" email link
+  deletionCancelToken: {
+    type: String,
+    select: false
+  },
+
+  // Set when the account was anonymized rather than removed (see accountDeletionService)
+  anonymizedAt: Date
 }, {
   timestamps: true,
   toJSON: { 
@@ -495,8 +545,11 @@ const userSchema = new mongoose.Schema({
       delete ret.loginAttempts;
       delete ret.lockUntil;
       delete ret.twoFactorSecret;
+      delete ret.twoFactorLastUsedStep;
       delete ret.backupCodes;
       delete ret.loginHistory;
+      delete ret.sessionsRevokedAt;
+      delete ret.deletionCancelToken;
       return ret;
     }
   },
@@ -568,9 +621,14 @@ userSchema.pre('save', async function(next) {
     this.profile.phone = this.profile.phone.replace(/[\s\-\(\)\.]/g, '');
   }
 
-  // Set default permissions based on role
-  if (this.isModified('role') || this.isNew) {
-    this.permissions = this.getDefaultPermissions();
+  // Recompute permissions from the role preset and per-user overrides
+  if (this.isNew || this.isModified('role') || this.isModified('permissionOverrides')) {
+    try {
+      const presets = await RolePermissionPreset.getPresets();
+      this.permissions = resolvePermissions(presets[this.role] || presets.user, this.permissionOverrides);
+    } catch (error) {
+      return next(error);
+    }
   }
 
   // Auto-verify admin accounts
@@ -588,20 +646,23 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Permissions of the user's role preset (see RolePermissionPreset), from the preset cache
+ * @returns {string[]} Permissions
+ */
 userSchema.methods.getDefaultPermissions = function() {
-  const rolePermissions = {
-    user: ['view_pets', 'create_adoption_request', 'view_own_requests'],
-    volunteer: ['view_pets', 'create_adoption_request', 'view_own_requests', 'moderate_content'],
-    foster: ['view_pets', 'create_adoption_request', 'view_own_requests', 'moderate_content'],
-    staff: ['view_pets', 'create_adoption_request', 'view_own_requests', 'moderate_content', 'manage_pets', 'manage_adoption_requests'],
-    admin: ['view_pets', 'create_adoption_request', 'view_own_requests', 'moderate_content', 'manage_pets', 'manage_adoption_requests', 'manage_users', 'view_analytics'],
-    super_admin: ['view_pets', 'create_adoption_request', 'view_own_requests', 'moderate_content', 'manage_pets', 'manage_adoption_requests', 'manage_users', 'view_analytics', 'system_admin']
-  };
-  return rolePermissions[this.role] || rolePermissions.user;
+  const presets = RolePermissionPreset.getCachedPresets();
+  return presets[this.role] || presets.user;
 };
 
+/**
+ * Whether the user has a permission. system_admin includes every permission.
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
 userSchema.methods.hasPermission = function(permission) {
-  return this.permissions.includes(permission);
+  const permissions = this.permissions || [];
+  return permissions.includes(permission) || permissions.includes('system_admin');
 };
 
 userSchema.methods.generateEmailVerificationToken = function() {
@@ -618,13 +679,14 @@ userSchema.methods.generatePasswordResetToken = function() {
   return token;
 };
 
-userSchema.methods.recordLogin = function(ipAddress, userAgent, successful = true) {
+userSchema.methods.recordLogin = function(ipAddress, userAgent, successful = true, sessionId = undefined) {
   this.lastLogin = new Date();
   this.loginHistory.push({
     timestamp: new Date(),
     ipAddress,
     userAgent,
-    successful
+    successful,
+    sessionId
   });
 
   // Keep only last 10 login records
@@ -659,6 +721,42 @@ userSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
+/**
+ * Mark a backup code as used in the database, only if it is still unused, so
+ * two requests racing with the same code cannot both succeed
+ * @param {string} codeHash - Hash of the entered code
+ * @returns {Promise<boolean>} Whether an unused code matched
+ */
+userSchema.methods.consumeBackupCode = async function(codeHash) {
+  const usedAt = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, backupCodes: { $elemMatch: { code: codeHash, used: false } } },
+    { $set: { 'backupCodes.$.used': true, 'backupCodes.$.usedAt': usedAt } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // Keep this document in step when it was loaded with +backupCodes
+  const entry = (this.backupCodes || []).find(backup => !backup.used && backup.code === codeHash);
+  if (entry) {
+    entry.used = true;
+    entry.usedAt = usedAt;
+  }
+  return true;
+};
+
+/**
+ * Turn off two-factor authentication and drop its secret and backup codes
+ */
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorLastUsedStep = undefined;
+  this.backupCodes = [];
+};
+
 userSchema.methods.addToFavorites = function(petId) {
   const exists = this.favorites.some(fav => fav.pet.toString() === petId.toString());
   if (!exists) {
@@ -702,15 +800,71 @@ userSchema.methods.addInternalNote = function(note, addedBy, category = 'general
   return this.save();
 };
 
-userSchema.methods.requestDeletion = function() {
+/**
+ * Schedule the account for deletion after the grace period
+ * @returns {Promise<string>} Token for the "cancel deletion" link
+ */
+userSchema.methods.requestDeletion = async function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  if (!this.deletionRequested) {
+    this.statusBeforeDeletion = this.status;
+  }
   this.deletionRequested = true;
   this.deletionRequestedAt = new Date();
-  this.deletionScheduledFor = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+  this.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  this.deletionCancelToken = crypto.createHash('sha256').update(token).digest('hex');
   this.status = 'inactive';
+
+  await this.save();
+  return token;
+};
+
+/**
+ * Cancel a scheduled deletion and restore the previous status
+ */
+userSchema.methods.cancelDeletion = function() {
+  this.status = this.statusBeforeDeletion || 'active';
+  this.deletionRequested = false;
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  this.deletionCancelToken = undefined;
+  this.statusBeforeDeletion = undefined;
   return this.save();
 };
 
 // Static methods
+/**
+ * Recompute stored permissions from the current role presets and each user's
+ * overrides, e.g. after a preset changed. Runs as one update per role.
+ * @param {Object} filter - Limit to matching users (e.g. { role: 'staff' })
+ * @returns {Promise<number>} Number of users whose permissions changed
+ */
+userSchema.statics.syncPermissions = async function(filter = {}) {
+  const presets = await RolePermissionPreset.getPresets();
+  const roles = filter.role ? [filter.role] : Object.keys(presets);
+  let modified = 0;
+
+  for (const role of roles) {
+    const preset = presets[role] || presets.user;
+    const result = await this.updateMany({ ...filter, role }, [
+      {
+        $set: {
+          permissions: {
+            $setUnion: [
+              { $setDifference: [preset, { $ifNull: ['$permissionOverrides.revoked', []] }] },
+              { $ifNull: ['$permissionOverrides.granted', []] }
+            ]
+          }
+        }
+      }
+    ]);
+    modified += result.modifiedCount || 0;
+  }
+
+  return modified;
+};
+
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+/**
+ * VolunteerShift Model
+ * A block of volunteer work staff schedule (dog walking, cat socializing,
+ * events, transport). Volunteers sign up (VolunteerShiftSignup) up to
+ * `capacity`; `signedUpCount` is kept in step with the active sign-ups so a
+ * seat can be taken atomically.
+ */
+
+export const SHIFT_TYPES = ['dog_walking', 'cat_socializing', 'events', 'transport', 'other'];
+export const SHIFT_STATUSES = ['scheduled', 'cancelled', 'completed'];
+
+const volunteerShiftSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Shift title is required'],
+    trim: true,
+    maxlength: [120, 'Title must be less than 120 characters']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: SHIFT_TYPES,
+      message: `Shift type must be one of: ${SHIFT_TYPES.join(', ')}`
+    },
+    required: [true, 'Shift type is required'],
+    index: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description must be less than 2000 characters']
+  },
+
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location must be less than 200 characters']
+  },
+
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'A shift needs at least one volunteer'],
+    max: [100, 'A shift can have at most 100 volunteers']
+  },
+
+  signedUpCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: SHIFT_STATUSES,
+      message: `Status must be one of: ${SHIFT_STATUSES.join(', ')}`
+    },
+    default: 'scheduled'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  cancelledAt: Date,
+
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancel reason must be less than 500 characters']
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+volunteerShiftSchema.index({ status: 1, startTime: 1 });
+volunteerShiftSchema.index({ status: 1, endTime: 1 }); // Closing past shifts
+
+volunteerShiftSchema.virtual('spotsLeft').get(function() {
+  return Math.max(0, this.capacity - this.signedUpCount);
+});
+
+volunteerShiftSchema.virtual('durationHours').get(function() {
+  return Math.round(((this.endTime - this.startTime) / (60 * 60 * 1000)) * 100) / 100;
+});
+
+const VolunteerShift = mongoose.model('VolunteerShift', volunteerShiftSchema);
+
+export default VolunteerShift;
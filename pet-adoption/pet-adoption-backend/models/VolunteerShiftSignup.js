@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * VolunteerShiftSignup Model
+ * A volunteer's place on a shift and their attendance. There is one sign-up
+ * per volunteer and shift; cancelling and signing up again reuses it.
+ * `hours` is what was added to the volunteer's stats.volunteerHours.
+ */
+
+export const SIGNUP_STATUSES = ['signed_up', 'checked_in', 'completed', 'cancelled', 'no_show'];
+
+const volunteerShiftSignupSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VolunteerShift',
+    required: [true, 'Shift reference is required']
+  },
+
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Volunteer is required'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: SIGNUP_STATUSES,
+      message: `Status must be one of: ${SIGNUP_STATUSES.join(', ')}`
+    },
+    default: 'signed_up'
+  },
+
+  signedUpAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  cancelledAt: Date,
+
+  // Attendance
+  checkedInAt: Date,
+  checkedOutAt: Date,
+
+  hours: {
+    type: Number,
+    min: [0, 'Hours cannot be negative'],
+    max: [24, 'A shift cannot be longer than 24 hours'],
+    default: 0
+  },
+
+  // Set when staff recorded the attendance instead of the volunteer
+  attendanceRecordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+volunteerShiftSignupSchema.index({ shift: 1, volunteer: 1 }, { unique: true });
+volunteerShiftSignupSchema.index({ shift: 1, status: 1 });
+
+const VolunteerShiftSignup = mongoose.model('VolunteerShiftSignup', volunteerShiftSignupSchema);
+
+export default VolunteerShiftSignup;
@@ -8,8 +8,11 @@ import {
   getAdoptionRequestStats,
   getFollowUpRequests
 } from '../controllers/adoptionController.js';
-import { authenticate, requireRole } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
 import logger from '../services/logger.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 
 // DECLARE ROUTER IMMEDIATELY AFTER IMPORTS - BEFORE ANY MIDDLEWARE
 const router = express.Router();
@@ -32,8 +35,8 @@ const adoptionAuthorizationMiddleware = (req, res, next) => {
 
   // For GET requests (viewing requests)
   if (req.method === 'GET') {
-    // Only admins and staff can view all adoption requests
-    if (!['admin', 'super_admin', 'staff'].includes(userRole)) {
+    // Only users who manage adoption requests can view all of them
+    if (!req.user?.hasPermission('manage_adoption_requests')) {
       logger.warn('Unauthorized attempt to view adoption requests', {
         userId,
         userRole,
@@ -48,8 +51,8 @@ const adoptionAuthorizationMiddleware = (req, res, next) => {
 
   // For PATCH requests (status updates)
   if (req.method === 'PATCH') {
-    // Only admins and staff can update adoption request status
-    if (!['admin', 'super_admin', 'staff'].includes(userRole)) {
+    // Only users who manage adoption requests can update their status
+    if (!req.user?.hasPermission('manage_adoption_requests')) {
       logger.warn('Unauthorized attempt to update adoption request', {
         userId,
         userRole,
@@ -81,7 +84,6 @@ const asyncHandler = (fn) => {
  * Rate limiting for adoption requests
  * Prevents spam applications while allowing legitimate users
  */
-const adoptionRateLimitMap = new Map();
 const ADOPTION_RATE_LIMITS = {
   create: { window: 60 * 60 * 1000, maxAttempts: 3 }, // 3 applications per hour
   update: { window: 5 * 60 * 1000, maxAttempts: 10 }, // 10 updates per 5 minutes (admin)
@@ -93,52 +95,33 @@ const ADOPTION_RATE_LIMITS = {
  * @param {string} operation - Type of operation (create, update, view)
  */
 const adoptionRateLimitMiddleware = (operation = 'view') => {
-  return (req, res, next) => {
+  const limits = ADOPTION_RATE_LIMITS[operation];
+
+  return asyncHandler(async (req, res, next) => {
     const clientIp = req.ip;
-    const now = Date.now();
-    const limits = ADOPTION_RATE_LIMITS[operation];
-    
-    // Clean up old entries
-    for (const [key, data] of adoptionRateLimitMap.entries()) {
-      if (now - data.firstAttempt > limits.window) {
-        adoptionRateLimitMap.delete(key);
-      }
-    }
-    
-    const rateLimitKey = `${clientIp}:${operation}`;
-    const attemptData = adoptionRateLimitMap.get(rateLimitKey);
-    
-    if (!attemptData) {
-      adoptionRateLimitMap.set(rateLimitKey, {
-        firstAttempt: now,
-        attempts: 1
-      });
-      next();
-    } else if (now - attemptData.firstAttempt > limits.window) {
-      adoptionRateLimitMap.set(rateLimitKey, {
-        firstAttempt: now,
-        attempts: 1
-      });
-      next();
-    } else if (attemptData.attempts >= limits.maxAttempts) {
+    const rateLimit = await rateLimitStore.consume(`adoption:${operation}`, clientIp, {
+      windowMs: limits.window,
+      max: limits.maxAttempts
+    });
+
+    if (rateLimit.limited) {
       logger.warn(`Adoption ${operation} rate limit exceeded`, {
         ip: clientIp,
         operation,
-        attempts: attemptData.attempts,
+        attempts: rateLimit.count,
         userAgent: req.get('User-Agent'),
         userId: req.user?.id
       });
       
-      res.status(429).json({
+      return res.status(429).json({
         error: 'Rate limit exceeded',
         message: `Too many ${operation} requests. Please try again later.`,
-        retryAfter: Math.ceil((limits.window - (now - attemptData.firstAttempt)) / 1000)
+        retryAfter: rateLimit.retryAfter
       });
-    } else {
-      attemptData.attempts++;
-      next();
     }
-  };
+
+    next();
+  });
 };
 
 /**
@@ -321,7 +304,7 @@ const adoptionValidationMiddleware = () => {
 
     // Validate status updates (PATCH requests)
     if (req.method === 'PATCH' && req.body.status) {
-      const validStatuses = ['pending', 'under_review', 'interview_scheduled', 'approved', 'rejected', 'completed', 'withdrawn'];
+      const validStatuses = ['pending', 'under_review', 'interview_scheduled', 'waitlisted', 'approved', 'rejected', 'completed', 'withdrawn'];
       if (!validStatuses.includes(req.body.status.toLowerCase())) {
         logger.warn('Invalid status update attempted', {
           providedStatus: req.body.status,
@@ -408,12 +391,12 @@ const routeErrorHandler = (error, req, res, next) => {
 /**
  * @route   GET /admin/adoption-requests/stats
  * @desc    Get adoption request statistics
- * @access  Admin/Staff
+ * @access  Private (manage_adoption_requests)
  * @query   {number} [period] - Period in days (default: 30)
  */
 router.get('/adoption-requests/stats',
   authenticate,
-  requireRole(['admin', 'super_admin', 'staff']),
+  requirePermission('manage_adoption_requests'),
   adoptionRateLimitMiddleware('view'),
   asyncHandler(getAdoptionRequestStats)
 );
@@ -421,11 +404,11 @@ router.get('/adoption-requests/stats',
 /**
  * @route   GET /admin/adoption-requests/follow-up
  * @desc    Get adoption requests requiring follow-up
- * @access  Admin/Staff
+ * @access  Private (manage_adoption_requests)
  */
 router.get('/adoption-requests/follow-up',
   authenticate,
-  requireRole(['admin', 'super_admin', 'staff']),
+  requirePermission('manage_adoption_requests'),
   adoptionRateLimitMiddleware('view'),
   asyncHandler(getFollowUpRequests)
 );
@@ -455,7 +438,7 @@ router.post('/adoption-requests',
 /**
  * @route   GET /admin/adoption-requests
  * @desc    Get all adoption requests with filtering and pagination
- * @access  Admin
+ * @access  Private (manage_adoption_requests)
  * @query   {string} [status] - Filter by status (pending, approved, rejected, interview, completed)
  * @query   {string} [petId] - Filter by specific pet
  * @query   {number} [page] - Page number for pagination
@@ -472,7 +455,7 @@ router.get('/adoption-requests',
 /**
  * @route   GET /admin/adoption-requests/:id
  * @desc    Get specific adoption request by ID
- * @access  Admin/Staff
+ * @access  Private (manage_adoption_requests)
  * @param   {string} id - Adoption request ObjectId
  */
 router.get('/adoption-requests/:id',
@@ -485,23 +468,30 @@ router.get('/adoption-requests/:id',
 /**
  * @route   PATCH /admin/adoption-requests/:id
  * @desc    Update adoption request status
- * @access  Admin
+ * @access  Private (manage_adoption_requests)
  * @param   {string} id - Adoption request ObjectId
- * @body    {string} status - New status (pending, approved, rejected, interview, completed)
+ * @desc    Allowed transitions, guards and side effects are in services/adoptionWorkflow.js
+ * @body    {string} status - New status (see TRANSITIONS in the workflow)
  * @body    {string} [adminNotes] - Admin notes for the status change
  * @body    {string} [rejectionReason] - Reason for rejection (required if status is 'rejected')
+ * @body    {string} [publicNote] - Message shared with the applicant in the status notification
+ * @body    {string} [competingRequests] - On approval: 'waitlist' or 'reject' the pet's other open requests
  */
 router.patch('/adoption-requests/:id',
   authenticate,
   adoptionAuthorizationMiddleware,
   adoptionRateLimitMiddleware('update'),
   adoptionValidationMiddleware(),
+  auditTrail('adoption_request.status_change', {
+    targetType: 'AdoptionRequest',
+    load: loadById(AdoptionRequest)
+  }),
   asyncHandler(updateAdoptionRequestStatus)
 );
 /**
  * @route   POST /admin/adoption-requests/:id/communication
  * @desc    Add communication log entry
- * @access  Admin/Staff
+ * @access  Private (manage_adoption_requests)
  * @param   {string} id - Adoption request ObjectId
  * @body    {string} type - Communication type
  * @body    {string} message - Communication message
@@ -510,6 +500,10 @@ router.post('/adoption-requests/:id/communication',
   authenticate,
   adoptionAuthorizationMiddleware,
   adoptionRateLimitMiddleware('update'),
+  auditTrail('adoption_request.communication_add', {
+    targetType: 'AdoptionRequest',
+    load: loadById(AdoptionRequest)
+  }),
   asyncHandler(addCommunicationLog)
 );
 
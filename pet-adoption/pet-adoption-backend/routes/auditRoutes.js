@@ -0,0 +1,34 @@
+import express from 'express';
+import { getAuditEvents, exportAuditEvents } from '../controllers/auditController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('view_audit_log'));
+
+/**
+ * @route   GET /api/audit-events
+ * @desc    Audit log of admin changes, newest first
+ * @access  Private (view_audit_log)
+ * @query   {string} [actor] - Actor user ID
+ * @query   {string} [action] - Action (pet.update) or resource prefix (pet)
+ * @query   {string} [targetType] - Pet, User, AdoptionRequest, ...
+ * @query   {string} [targetId] - History of one record
+ * @query   {boolean} [success] - Only succeeded or failed attempts
+ * @query   {string} [from] - ISO date
+ * @query   {string} [to] - ISO date
+ * @query   {string} [search] - Actor, target name or changed field
+ * @query   {number} [page] - Page number
+ * @query   {number} [limit] - Events per page (max 100)
+ */
+router.get('/', getAuditEvents);
+
+/**
+ * @route   GET /api/audit-events/export
+ * @desc    Export the audit log (same filters as the list)
+ * @access  Private (view_audit_log, export_data)
+ * @query   {string} [format] - csv, json or xlsx
+ */
+router.get('/export', requirePermission('export_data'), exportAuditEvents);
+
+export default router;
@@ -6,11 +6,25 @@ import {
   resetPassword,
   verifyEmail,
   refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession,
   getCurrentUser,
-  updateProfile
+  updateProfile,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion
 } from '../controllers/authController.js';
-import { authenticate, requireRole } from '../middleware/authenticate.js';
+import { authenticate, authenticateTwoFactorSetup, requireRole } from '../middleware/authenticate.js';
 import logger from '../services/logger.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 
 const router = express.Router();
 
@@ -28,11 +42,12 @@ const asyncHandler = (fn) => {
 /**
  * Rate limiting for authentication endpoints
  */
-const authRateLimitMap = new Map();
 const RATE_LIMITS = {
   login: { window: 15 * 60 * 1000, maxAttempts: 5 },
+  twoFactor: { window: 15 * 60 * 1000, maxAttempts: 10 },
   register: { window: 60 * 60 * 1000, maxAttempts: 3 },
   forgotPassword: { window: 60 * 60 * 1000, maxAttempts: 3 },
+  accountData: { window: 60 * 60 * 1000, maxAttempts: 5 },
   general: { window: 60 * 1000, maxAttempts: 10 }
 };
 
@@ -40,51 +55,32 @@ const RATE_LIMITS = {
  * Rate limiting middleware for authentication routes
  */
 const authRateLimitMiddleware = (operation = 'general') => {
-  return (req, res, next) => {
+  const limits = RATE_LIMITS[operation];
+
+  return asyncHandler(async (req, res, next) => {
     const clientIp = req.ip;
-    const now = Date.now();
-    const limits = RATE_LIMITS[operation];
-    
-    // Clean up old entries
-    for (const [key, data] of authRateLimitMap.entries()) {
-      if (now - data.firstAttempt > limits.window) {
-        authRateLimitMap.delete(key);
-      }
-    }
-    
-    const rateLimitKey = `${clientIp}:${operation}`;
-    const attemptData = authRateLimitMap.get(rateLimitKey);
-    
-    if (!attemptData) {
-      authRateLimitMap.set(rateLimitKey, {
-        firstAttempt: now,
-        attempts: 1
-      });
-      next();
-    } else if (now - attemptData.firstAttempt > limits.window) {
-      authRateLimitMap.set(rateLimitKey, {
-        firstAttempt: now,
-        attempts: 1
-      });
-      next();
-    } else if (attemptData.attempts >= limits.maxAttempts) {
+    const rateLimit = await rateLimitStore.consume(`authRoute:${operation}`, clientIp, {
+      windowMs: limits.window,
+      max: limits.maxAttempts
+    });
+
+    if (rateLimit.limited) {
       logger.warn(`Auth rate limit exceeded for ${operation}`, {
         ip: clientIp,
         operation,
-        attempts: attemptData.attempts,
+        attempts: rateLimit.count,
         userAgent: req.get('User-Agent')
       });
       
-      res.status(429).json({
+      return res.status(429).json({
         error: 'Rate limit exceeded',
         message: `Too many ${operation} attempts. Please try again later.`,
-        retryAfter: Math.ceil((limits.window - (now - attemptData.firstAttempt)) / 1000)
+        retryAfter: rateLimit.retryAfter
       });
-    } else {
-      attemptData.attempts++;
-      next();
     }
-  };
+
+    next();
+  });
 };
 
 /**
@@ -186,6 +182,20 @@ router.post('/login',
   asyncHandler(loginUser)
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step for accounts with two-factor authentication
+ * @access  Public (requires the challenge token returned by /login)
+ * @body    {string} challengeToken - Token from the first login step
+ * @body    {string} [code] - 6-digit authenticator code
+ * @body    {string} [backupCode] - Single-use backup code instead of a code
+ */
+router.post('/login/2fa',
+  authRateLimitMiddleware('twoFactor'),
+  basicValidationMiddleware(['challengeToken']),
+  asyncHandler(verifyTwoFactorLogin)
+);
+
 /**
  * @route   POST /api/forgot-password
  * @desc    Request password reset
@@ -220,9 +230,10 @@ router.post('/verify-email',
 );
 
 /**
- * @route   POST /api/refresh-token
- * @desc    Refresh access token
- * @access  Public
+ * @route   POST /api/auth/refresh-token
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a refresh token)
+ * @body    {string} refreshToken - Current refresh token; it cannot be used again
  */
 router.post('/refresh-token', 
   authRateLimitMiddleware('general'),
@@ -230,6 +241,30 @@ router.post('/refresh-token',
   asyncHandler(refreshToken)
 );
 
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the session of a refresh token
+ * @access  Public (requires a refresh token)
+ * @body    {string} refreshToken - Refresh token of the session
+ */
+router.post('/logout',
+  authRateLimitMiddleware('general'),
+  basicValidationMiddleware(['refreshToken']),
+  asyncHandler(logoutUser)
+);
+
+/**
+ * @route   POST /api/auth/deletion/cancel
+ * @desc    Cancel a scheduled account deletion with the emailed token
+ * @access  Public (requires the cancel token)
+ * @body    {string} token - Token from the deletion email
+ */
+router.post('/deletion/cancel',
+  authRateLimitMiddleware('accountData'),
+  basicValidationMiddleware(['token']),
+  asyncHandler(cancelAccountDeletion)
+);
+
 // PROTECTED ROUTES - Authentication required
 
 /**
@@ -254,6 +289,134 @@ router.patch('/user/profile',
   asyncHandler(updateProfile)
 );
 
+// SESSIONS
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticate,
+  authRateLimitMiddleware(),
+  asyncHandler(getSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one session of the current user
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+  authenticate,
+  authRateLimitMiddleware(),
+  asyncHandler(deleteSession)
+);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out every session of the current user, including this one
+ * @access  Private
+ */
+router.post('/logout-all',
+  authenticate,
+  authRateLimitMiddleware(),
+  asyncHandler(logoutAllSessions)
+);
+
+// TWO-FACTOR AUTHENTICATION
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa',
+  authenticate,
+  authRateLimitMiddleware(),
+  asyncHandler(getTwoFactorStatus)
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment: new secret and otpauth:// provisioning URI
+ * @access  Private (or the setup token returned by /login for roles that require 2FA)
+ */
+router.post('/2fa/setup',
+  authenticateTwoFactorSetup,
+  authRateLimitMiddleware(),
+  asyncHandler(setupTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with an authenticator code; returns backup codes
+ *          (and session tokens when called with a setup token)
+ * @access  Private (or the setup token returned by /login)
+ * @body    {string} code - 6-digit authenticator code
+ */
+router.post('/2fa/enable',
+  authenticateTwoFactorSetup,
+  authRateLimitMiddleware('twoFactor'),
+  basicValidationMiddleware(['code']),
+  asyncHandler(enableTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (not for roles that require it)
+ * @access  Private
+ * @body    {string} password - Current password
+ * @body    {string} [code] - Authenticator code
+ * @body    {string} [backupCode] - Backup code instead of a code
+ */
+router.post('/2fa/disable',
+  authenticate,
+  authRateLimitMiddleware('twoFactor'),
+  basicValidationMiddleware(['password']),
+  asyncHandler(disableTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace all backup codes
+ * @access  Private
+ * @body    {string} code - Authenticator code
+ */
+router.post('/2fa/backup-codes',
+  authenticate,
+  authRateLimitMiddleware('twoFactor'),
+  basicValidationMiddleware(['code']),
+  asyncHandler(regenerateBackupCodes)
+);
+
+// ACCOUNT DATA
+
+/**
+ * @route   GET /api/auth/me/export
+ * @desc    Download everything stored about the current user
+ * @access  Private
+ * @query   {string} [format=json] - json or zip
+ */
+router.get('/me/export',
+  authenticate,
+  authRateLimitMiddleware('accountData'),
+  asyncHandler(exportMyData)
+);
+
+/**
+ * @route   POST /api/auth/me/deletion
+ * @desc    Schedule the current account for deletion and sign out everywhere
+ * @access  Private
+ * @body    {string} password - Current password
+ */
+router.post('/me/deletion',
+  authenticate,
+  authRateLimitMiddleware('accountData'),
+  basicValidationMiddleware(['password']),
+  asyncHandler(requestAccountDeletion)
+);
+
 // Apply error handler after all routes
 router.use(routeErrorHandler);
 
@@ -1,6 +1,14 @@
 import express from 'express';
-import { handleChatbotMessage } from '../controllers/chatbotController.js';
+import validator from 'validator';
+import {
+  handleChatbotMessage,
+  getChatbotAnalytics,
+  getConversations,
+  getConversationTranscript
+} from '../controllers/chatbotController.js';
+import { authenticate, optionalAuth, requirePermission } from '../middleware/authenticate.js';
 import logger from '../services/logger.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 
 const router = express.Router();
 router.use(express.json());
@@ -19,10 +27,10 @@ const asyncHandler = (fn) => {
  * Rate limiting for chatbot interactions
  * Prevents abuse while allowing normal conversation flow
  */
-const chatRateLimitMap = new Map();
 const CHAT_RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 const MAX_MESSAGES_PER_WINDOW = 20; // 20 messages per minute per IP
 const BURST_LIMIT = 5; // Allow 5 rapid messages, then apply rate limiting
+const BURST_INTERVAL = 2000; // Minimum gap between messages after the burst
 
 /**
  * Rate limiting middleware for chatbot messages
@@ -30,73 +38,54 @@ const BURST_LIMIT = 5; // Allow 5 rapid messages, then apply rate limiting
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const chatRateLimitMiddleware = (req, res, next) => {
+const chatRateLimitMiddleware = asyncHandler(async (req, res, next) => {
   const clientIp = req.ip;
-  const now = Date.now();
-  
-  // Clean up old entries
-  for (const [ip, data] of chatRateLimitMap.entries()) {
-    if (now - data.windowStart > CHAT_RATE_LIMIT_WINDOW) {
-      chatRateLimitMap.delete(ip);
-    }
-  }
-  
-  const clientData = chatRateLimitMap.get(clientIp);
-  
-  if (!clientData) {
-    // First message from this IP
-    chatRateLimitMap.set(clientIp, {
-      windowStart: now,
-      messageCount: 1,
-      lastMessage: now
-    });
-    next();
-  } else if (now - clientData.windowStart > CHAT_RATE_LIMIT_WINDOW) {
-    // Window has expired, reset
-    chatRateLimitMap.set(clientIp, {
-      windowStart: now,
-      messageCount: 1,
-      lastMessage: now
-    });
-    next();
-  } else if (clientData.messageCount >= MAX_MESSAGES_PER_WINDOW) {
+
+  const [rateLimit, burst] = await Promise.all([
+    rateLimitStore.consume('chatbot', clientIp, {
+      windowMs: CHAT_RATE_LIMIT_WINDOW,
+      max: MAX_MESSAGES_PER_WINDOW
+    }),
+    // At most one message per BURST_INTERVAL
+    rateLimitStore.consume('chatbotBurst', clientIp, {
+      windowMs: BURST_INTERVAL,
+      max: 1
+    })
+  ]);
+
+  if (rateLimit.limited) {
     // Rate limit exceeded
     logger.warn('Chatbot rate limit exceeded', {
       ip: clientIp,
-      messageCount: clientData.messageCount,
+      messageCount: rateLimit.count,
       userAgent: req.get('User-Agent'),
       sessionId: req.body?.sessionId
     });
     
-    res.status(429).json({
+    return res.status(429).json({
       error: 'Rate limit exceeded',
       message: 'Too many messages sent. Please slow down and try again in a moment.',
-      retryAfter: Math.ceil((CHAT_RATE_LIMIT_WINDOW - (now - clientData.windowStart)) / 1000),
+      retryAfter: rateLimit.retryAfter,
       suggestion: 'Take a moment to read my previous responses before continuing our conversation.'
     });
-  } else {
-    // Check for rapid-fire messages (potential spam)
-    const timeSinceLastMessage = now - clientData.lastMessage;
-    if (clientData.messageCount > BURST_LIMIT && timeSinceLastMessage < 2000) {
-      logger.warn('Rapid chatbot message detected', {
-        ip: clientIp,
-        timeSinceLastMessage,
-        messageCount: clientData.messageCount
-      });
-      
-      return res.status(429).json({
-        error: 'Sending too quickly',
-        message: 'Please wait a moment between messages to ensure quality conversation.',
-        retryAfter: 2
-      });
-    }
+  }
+
+  // Check for rapid-fire messages (potential spam)
+  if (rateLimit.count > BURST_LIMIT + 1 && burst.limited) {
+    logger.warn('Rapid chatbot message detected', {
+      ip: clientIp,
+      messageCount: rateLimit.count
+    });
     
-    // Within rate limit, update counters
-    clientData.messageCount++;
-    clientData.lastMessage = now;
-    next();
+    return res.status(429).json({
+      error: 'Sending too quickly',
+      message: 'Please wait a moment between messages to ensure quality conversation.',
+      retryAfter: burst.retryAfter
+    });
   }
-};
+
+  next();
+});
 
 /**
  * Chatbot message validation middleware
@@ -138,8 +127,11 @@ const chatValidationMiddleware = (req, res, next) => {
     });
   }
 
-  // Validate required fields
-  const { message, sessionId } = req.body;
+  // Validate required fields (message may be a string or { text, userId })
+  const { sessionId, conversationId } = req.body;
+  const message = typeof req.body.message === 'object' && req.body.message !== null
+    ? req.body.message.text
+    : req.body.message;
   const errors = [];
 
   if (!message || typeof message !== 'string') {
@@ -155,6 +147,11 @@ const chatValidationMiddleware = (req, res, next) => {
     }
   }
 
+  // Conversation ID keeps turns of one conversation together
+  if (conversationId !== undefined && (typeof conversationId !== 'string' || !validator.isUUID(conversationId))) {
+    errors.push('Conversation ID must be a valid UUID');
+  }
+
   // Session ID validation (optional but recommended)
   if (sessionId && typeof sessionId !== 'string') {
     errors.push('Session ID must be a string');
@@ -171,7 +168,7 @@ const chatValidationMiddleware = (req, res, next) => {
     /(\bfuck\b|\bshit\b|\bdamn\b|\bass\b)/gi // Basic profanity filter
   ];
 
-  const hasSuspiciousContent = suspiciousPatterns.some(pattern => pattern.test(message));
+  const hasSuspiciousContent = typeof message === 'string' && suspiciousPatterns.some(pattern => pattern.test(message));
   if (hasSuspiciousContent) {
     logger.warn('Suspicious chatbot message content detected', {
       ip: req.ip,
@@ -192,7 +189,7 @@ const chatValidationMiddleware = (req, res, next) => {
     /^\s*[A-Z\s!]{20,}\s*$/g // All caps with excessive length
   ];
 
-  const isSpam = spamPatterns.some(pattern => pattern.test(message));
+  const isSpam = typeof message === 'string' && spamPatterns.some(pattern => pattern.test(message));
   if (isSpam) {
     logger.warn('Spam pattern detected in chatbot message', {
       ip: req.ip,
@@ -220,7 +217,11 @@ const chatValidationMiddleware = (req, res, next) => {
   }
 
   // Sanitize inputs
-  req.body.message = message.trim();
+  if (typeof req.body.message === 'object') {
+    req.body.message.text = message.trim();
+  } else {
+    req.body.message = message.trim();
+  }
   if (sessionId) {
     req.body.sessionId = sessionId.trim();
   }
@@ -294,16 +295,59 @@ const routeErrorHandler = (error, req, res, next) => {
  * @access  Public
  * @body    {Object} messageData - Chatbot message data
  * @body    {string} messageData.message - User message (required, 1-1000 chars)
+ * @body    {string} [messageData.conversationId] - Conversation UUID returned by the previous reply
  * @body    {string} [messageData.sessionId] - Session identifier for conversation context
  * @body    {Object} [messageData.context] - Additional context for the conversation
  * @body    {string} [messageData.userId] - User identifier (if authenticated)
  */
 router.post('/message', 
   chatRateLimitMiddleware,
+  optionalAuth,
   chatValidationMiddleware,
   asyncHandler(handleChatbotMessage)
 );
 
+/**
+ * @route   GET /chatbot/analytics
+ * @desc    Conversation analytics (volume, top intents, common fallbacks)
+ * @access  Private (view_analytics)
+ * @query   {number} [days=30] - Reporting period in days
+ */
+router.get('/analytics',
+  authenticate,
+  requirePermission('view_analytics'),
+  asyncHandler(getChatbotAnalytics)
+);
+
+/**
+ * @route   GET /chatbot/conversations
+ * @desc    Browse chatbot conversations
+ * @access  Private (view_analytics)
+ * @query   {number} [page=1] - Page number
+ * @query   {number} [limit=20] - Items per page (max 100)
+ * @query   {string} [intent] - Only conversations containing this intent
+ * @query   {string} [userId] - Only conversations of this user
+ * @query   {string} [search] - Search user messages
+ * @query   {string} [startDate] - Last message on or after this date
+ * @query   {string} [endDate] - Last message on or before this date
+ */
+router.get('/conversations',
+  authenticate,
+  requirePermission('view_analytics'),
+  asyncHandler(getConversations)
+);
+
+/**
+ * @route   GET /chatbot/conversations/:conversationId
+ * @desc    Full transcript of a conversation
+ * @access  Private (view_analytics)
+ */
+router.get('/conversations/:conversationId',
+  authenticate,
+  requirePermission('view_analytics'),
+  asyncHandler(getConversationTranscript)
+);
+
 /**
  * @route   GET /chatbot/health
  * @desc    Check chatbot service health
@@ -1,6 +1,10 @@
 import express from 'express';
-import { sendContactMessage } from '../controllers/contactController.js';
+import { sendContactMessage, replyToContactMessage } from '../controllers/contactController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import ContactMessage from '../models/ContactMessage.js';
 import logger from '../services/logger.js';
+import rateLimitStore from '../services/rateLimitStore.js';
 
 const router = express.Router();
 
@@ -16,10 +20,9 @@ const asyncHandler = (fn) => {
 };
 
 /**
- * Rate limiting tracking for contact form submissions
- * Simple in-memory rate limiting (consider Redis for production scaling)
+ * Rate limiting for contact form submissions
+ * Counted in the shared rate limit store
  */
-const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
 const MAX_REQUESTS_PER_WINDOW = 3; // 3 requests per 15 minutes per IP
 
@@ -29,52 +32,30 @@ const MAX_REQUESTS_PER_WINDOW = 3; // 3 requests per 15 minutes per IP
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const rateLimitMiddleware = (req, res, next) => {
+const rateLimitMiddleware = asyncHandler(async (req, res, next) => {
   const clientIp = req.ip;
-  const now = Date.now();
-  
-  // Clean up old entries
-  for (const [ip, data] of rateLimitMap.entries()) {
-    if (now - data.firstRequest > RATE_LIMIT_WINDOW) {
-      rateLimitMap.delete(ip);
-    }
-  }
-  
-  const clientData = rateLimitMap.get(clientIp);
-  
-  if (!clientData) {
-    // First request from this IP
-    rateLimitMap.set(clientIp, {
-      firstRequest: now,
-      requestCount: 1
-    });
-    next();
-  } else if (now - clientData.firstRequest > RATE_LIMIT_WINDOW) {
-    // Window has expired, reset
-    rateLimitMap.set(clientIp, {
-      firstRequest: now,
-      requestCount: 1
-    });
-    next();
-  } else if (clientData.requestCount >= MAX_REQUESTS_PER_WINDOW) {
+  const rateLimit = await rateLimitStore.consume('contact', clientIp, {
+    windowMs: RATE_LIMIT_WINDOW,
+    max: MAX_REQUESTS_PER_WINDOW
+  });
+
+  if (rateLimit.limited) {
     // Rate limit exceeded
     logger.warn('Contact form rate limit exceeded', {
       ip: clientIp,
-      requestCount: clientData.requestCount,
+      requestCount: rateLimit.count,
       userAgent: req.get('User-Agent')
     });
     
-    res.status(429).json({
+    return res.status(429).json({
       error: 'Rate limit exceeded',
-      message: `Too many contact requests. Please wait ${Math.ceil((RATE_LIMIT_WINDOW - (now - clientData.firstRequest)) / 60000)} minutes before trying again.`,
-      retryAfter: Math.ceil((RATE_LIMIT_WINDOW - (now - clientData.firstRequest)) / 1000)
+      message: `Too many contact requests. Please wait ${Math.ceil(rateLimit.retryAfter / 60)} minutes before trying again.`,
+      retryAfter: rateLimit.retryAfter
     });
-  } else {
-    // Within rate limit, increment counter
-    clientData.requestCount++;
-    next();
   }
-};
+
+  next();
+});
 
 /**
  * Contact form validation middleware
@@ -258,6 +239,22 @@ router.post('/',
   asyncHandler(sendContactMessage)
 );
 
+/**
+ * @route   POST /contact/messages/:id/reply
+ * @desc    Reply to a contact message by email
+ * @access  Private (manage_contact_messages)
+ * @body    {string} message - Reply content (required, max 2000 chars)
+ */
+router.post('/messages/:id/reply',
+  authenticate,
+  requirePermission('manage_contact_messages'),
+  auditTrail('contact_message.reply', {
+    targetType: 'ContactMessage',
+    load: loadById(ContactMessage)
+  }),
+  asyncHandler(replyToContactMessage)
+);
+
 // Apply error handler after all routes
 router.use(routeErrorHandler);
 
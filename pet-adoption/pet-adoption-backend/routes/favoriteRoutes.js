@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getMyFavorites,
+  getMyFavoriteIds,
+  addFavorite,
+  removeFavorite
+} from '../controllers/favoriteController.js';
+import { authenticate } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/favorites
+ * @desc    List the current user's favorite pets with pet summaries
+ * @access  Private
+ * @query   {boolean} [active] - Only pets that have not been adopted yet
+ */
+router.get('/', getMyFavorites);
+
+/**
+ * @route   GET /api/favorites/ids
+ * @desc    IDs of the current user's favorite pets
+ * @access  Private
+ */
+router.get('/ids', getMyFavoriteIds);
+
+/**
+ * @route   POST /api/favorites/:petId
+ * @desc    Add a pet to favorites
+ * @access  Private
+ */
+router.post('/:petId', addFavorite);
+
+/**
+ * @route   DELETE /api/favorites/:petId
+ * @desc    Remove a pet from favorites
+ * @access  Private
+ */
+router.delete('/:petId', removeFavorite);
+
+export default router;
@@ -0,0 +1,199 @@
+import express from 'express';
+import {
+  createFosterApplication,
+  getMyFosterApplications,
+  withdrawFosterApplication,
+  getMyPlacements,
+  createCheckIn,
+  getPlacementCheckIns,
+  getFosterApplications,
+  reviewApplication,
+  getFosterParents,
+  getPlacements,
+  createPlacement,
+  endFosterPlacement,
+  getCheckIns,
+  reviewCheckIn
+} from '../controllers/fosterController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import { createUploader } from '../middleware/upload.js';
+import { ALLOWED_IMAGE_TYPES } from '../services/imageService.js';
+import FosterApplication from '../models/FosterApplication.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import FosterCheckIn, { MAX_CHECK_IN_PHOTOS } from '../models/FosterCheckIn.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const staffOnly = requirePermission('manage_fosters');
+
+const uploadPhotos = createUploader({
+  field: 'photos',
+  maxFiles: MAX_CHECK_IN_PHOTOS,
+  maxBytes: (parseInt(process.env.IMAGE_MAX_UPLOAD_MB, 10) || 8) * 1024 * 1024,
+  allowedTypes: ALLOWED_IMAGE_TYPES
+});
+
+// ----------------------------------------------------------------
+// Foster parents
+// ----------------------------------------------------------------
+
+/**
+ * @route   POST /api/foster/applications
+ * @desc    Apply to become a foster parent
+ * @access  Private
+ * @body    {string} housingType - house, apartment, condo, townhouse, farm or other
+ * @body    {string} motivation - Why the applicant would like to foster (min 20 characters)
+ * @body    {boolean} [hasYard] / [hasChildren] / [canHandleMedicalNeeds]
+ * @body    {string} [otherPets] / [experience]
+ * @body    {string[]} [preferredPetTypes] - Pet types the applicant can take
+ * @body    {number} [maxPets=1] - Pets at once
+ * @body    {string} [availableFrom] - ISO date
+ */
+router.post('/applications', createFosterApplication);
+
+/**
+ * @route   GET /api/foster/applications/me
+ * @desc    The current user's foster applications, newest first
+ * @access  Private
+ */
+router.get('/applications/me', getMyFosterApplications);
+
+/**
+ * @route   DELETE /api/foster/applications/:id
+ * @desc    Withdraw the current user's pending application
+ * @access  Private (own application)
+ */
+router.delete('/applications/:id', withdrawFosterApplication);
+
+/**
+ * @route   GET /api/foster/me/placements
+ * @desc    The current user's foster pets with their latest check-ins
+ * @access  Private
+ */
+router.get('/me/placements', getMyPlacements);
+
+/**
+ * @route   POST /api/foster/placements/:id/check-ins
+ * @desc    Send a check-in report for one of the current user's foster pets
+ * @access  Private (the placement's foster parent)
+ * @body    multipart/form-data: wellbeing (great, good, fair, concerning), notes,
+ *          [eating], [behavior], [health], [photos] (up to 5 images)
+ */
+router.post('/placements/:id/check-ins', uploadPhotos, createCheckIn);
+
+/**
+ * @route   GET /api/foster/placements/:id/check-ins
+ * @desc    Check-ins of a placement, newest first
+ * @access  Private (the placement's foster parent, or manage_fosters)
+ */
+router.get('/placements/:id/check-ins', getPlacementCheckIns);
+
+// ----------------------------------------------------------------
+// Staff
+// ----------------------------------------------------------------
+
+/**
+ * @route   GET /api/foster/applications
+ * @desc    Foster applications for review, newest first
+ * @access  Private (manage_fosters)
+ * @query   {string} [status] - pending, approved, rejected or withdrawn
+ * @query   {number} [page] / [limit]
+ */
+router.get('/applications', staffOnly, getFosterApplications);
+
+/**
+ * @route   PATCH /api/foster/applications/:id
+ * @desc    Approve or reject a foster application; approval gives the applicant the foster role
+ * @access  Private (manage_fosters)
+ * @body    {string} decision - approved or rejected
+ * @body    {string} [reviewNotes] - Shared with the applicant when rejected
+ */
+router.patch('/applications/:id',
+  staffOnly,
+  auditTrail('foster_application.review', {
+    targetType: 'FosterApplication',
+    load: loadById(FosterApplication, 'user status reviewNotes')
+  }),
+  reviewApplication
+);
+
+/**
+ * @route   GET /api/foster/parents
+ * @desc    Approved foster parents with their number of foster pets
+ * @access  Private (manage_fosters)
+ */
+router.get('/parents', staffOnly, getFosterParents);
+
+/**
+ * @route   GET /api/foster/placements
+ * @desc    Foster placements, active first
+ * @access  Private (manage_fosters)
+ * @query   {string} [status] - active or ended
+ * @query   {number} [page] / [limit]
+ */
+router.get('/placements', staffOnly, getPlacements);
+
+/**
+ * @route   POST /api/foster/placements
+ * @desc    Place a pet with a foster parent (pet becomes fostered, located at foster)
+ * @access  Private (manage_fosters)
+ * @body    {string} petId - Pet ObjectId
+ * @body    {string} fosterId - User ObjectId of the foster parent
+ * @body    {string} [expectedEndDate] - ISO date
+ * @body    {number} [checkInIntervalDays=7] - Days between check-in reports
+ * @body    {string} [notes] - Notes for the foster parent
+ */
+router.post('/placements',
+  staffOnly,
+  auditTrail('foster.place', {
+    targetType: 'FosterPlacement',
+    load: loadById(FosterPlacement, 'pet foster status checkInIntervalDays')
+  }),
+  createPlacement
+);
+
+/**
+ * @route   POST /api/foster/placements/:id/end
+ * @desc    End a placement and bring the pet back
+ * @access  Private (manage_fosters)
+ * @body    {string} reason - returned_to_shelter, adopted, medical, foster_request or other
+ * @body    {string} [notes]
+ */
+router.post('/placements/:id/end',
+  staffOnly,
+  auditTrail('foster.end', {
+    targetType: 'FosterPlacement',
+    load: loadById(FosterPlacement, 'pet foster status endReason')
+  }),
+  endFosterPlacement
+);
+
+/**
+ * @route   GET /api/foster/check-ins
+ * @desc    Check-in reports for review
+ * @access  Private (manage_fosters)
+ * @query   {string} [status] - submitted, reviewed or needs_follow_up
+ * @query   {number} [page] / [limit]
+ */
+router.get('/check-ins', staffOnly, getCheckIns);
+
+/**
+ * @route   PATCH /api/foster/check-ins/:id
+ * @desc    Mark a check-in as reviewed or as needing a follow-up
+ * @access  Private (manage_fosters)
+ * @body    {string} status - reviewed or needs_follow_up
+ * @body    {string} [staffNotes] - Shared with the foster parent on follow-up
+ */
+router.patch('/check-ins/:id',
+  staffOnly,
+  auditTrail('foster_check_in.review', {
+    targetType: 'FosterCheckIn',
+    load: loadById(FosterCheckIn, 'placement status staffNotes')
+  }),
+  reviewCheckIn
+);
+
+export default router;
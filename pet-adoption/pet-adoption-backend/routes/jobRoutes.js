@@ -0,0 +1,53 @@
+import express from 'express';
+import { getJobs, getJobRuns, runJobNow, updateJob } from '../controllers/jobController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail } from '../middleware/audit.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('manage_jobs'));
+
+/**
+ * Record a job action in the audit trail
+ * @param {string} action - e.g. job.run
+ */
+const auditJob = (action) => auditTrail(action, {
+  targetType: 'ScheduledJob',
+  getTargetId: req => req.params.name,
+  load: name => ScheduledJob.findOne({ name }).select('name enabled').lean(),
+  getMetadata: (req, body) => (body?.data?.status ? { runStatus: body.data.status } : {})
+});
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Background jobs with their schedule, state and last run
+ * @access  Private (manage_jobs)
+ */
+router.get('/', getJobs);
+
+/**
+ * @route   GET /api/jobs/:name/runs
+ * @desc    Run history of a job, newest first
+ * @access  Private (manage_jobs)
+ * @query   {number} [page] - Page number
+ * @query   {number} [limit] - Runs per page (max 100)
+ */
+router.get('/:name/runs', getJobRuns);
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a job now; responds when it has finished
+ * @access  Private (manage_jobs)
+ */
+router.post('/:name/run', auditJob('job.run'), runJobNow);
+
+/**
+ * @route   PATCH /api/jobs/:name
+ * @desc    Pause or resume a job's schedule
+ * @access  Private (manage_jobs)
+ * @body    {boolean} enabled - Whether the job runs on schedule
+ */
+router.patch('/:name', auditJob('job.update'), updateJob);
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import { getBoard, getKennels, addKennel, editKennel } from '../controllers/kennelController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import Kennel from '../models/Kennel.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('manage_pets'));
+
+const KENNEL_SNAPSHOT = 'code area species capacity notes active';
+
+/**
+ * @route   GET /api/kennels/board
+ * @desc    Occupancy board: each kennel with its occupants (days in care) and open spots,
+ *          capacity per area, open spots per species and pets without a kennel
+ * @access  Private (manage_pets)
+ * @query   {string} [area] - shelter, medical or quarantine
+ */
+router.get('/board', getBoard);
+
+/**
+ * @route   GET /api/kennels
+ * @desc    Registered kennels
+ * @access  Private (manage_pets)
+ * @query   {string} [area] - shelter, medical or quarantine
+ * @query   {string} [active] - "all" to include retired kennels
+ */
+router.get('/', getKennels);
+
+/**
+ * @route   POST /api/kennels
+ * @desc    Register a kennel
+ * @access  Private (manage_pets)
+ * @body    {string} code - Unique, e.g. "D-12"
+ * @body    {string} area - shelter, medical or quarantine
+ * @body    {number} [capacity] - Animals it can house (1-50, default 1)
+ * @body    {string[]} [species] - Pet types it suits; empty for any
+ * @body    {string} [notes]
+ */
+router.post('/',
+  auditTrail('kennel.create', {
+    targetType: 'Kennel',
+    load: loadById(Kennel, KENNEL_SNAPSHOT)
+  }),
+  addKennel
+);
+
+/**
+ * @route   PATCH /api/kennels/:id
+ * @desc    Change a kennel or retire it (active: false); occupied kennels keep their code and area
+ *          and can't shrink below their occupancy
+ * @access  Private (manage_pets)
+ * @body    Any of code, area, capacity, species, notes, active
+ */
+router.patch('/:id',
+  auditTrail('kennel.update', {
+    targetType: 'Kennel',
+    load: loadById(Kennel, KENNEL_SNAPSHOT)
+  }),
+  editKennel
+);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import { getDueList, editMedicalEvent, completeEvent, cancelEvent } from '../controllers/medicalController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import MedicalEvent from '../models/MedicalEvent.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('manage_pets'));
+
+const MEDICAL_EVENT_SNAPSHOT = 'pet type name status required dueDate performedAt dosage veterinarian notes cancelReason';
+
+/**
+ * Audit a change to a medical event
+ * @param {string} action - e.g. medical_event.complete
+ * @returns {Function} Express middleware
+ */
+const auditMedicalEvent = (action) => auditTrail(action, {
+  targetType: 'MedicalEvent',
+  load: loadById(MedicalEvent, MEDICAL_EVENT_SNAPSHOT)
+});
+
+/**
+ * @route   GET /api/medical/due
+ * @desc    Scheduled medical events due within the next days (default 7) and those overdue,
+ *          for pets still in care, soonest first
+ * @access  Private (manage_pets)
+ * @query   {number} [days] - Window in days (1-90)
+ * @query   {string} [type] - vaccination, treatment, medication, vet_visit or spay_neuter
+ */
+router.get('/due', getDueList);
+
+/**
+ * @route   PATCH /api/medical/events/:id
+ * @desc    Change a scheduled event; moving the due date re-arms its reminder
+ * @access  Private (manage_pets)
+ * @body    Any of name, dueDate, required, dosage, veterinarian, notes
+ */
+router.patch('/events/:id', auditMedicalEvent('medical_event.update'), editMedicalEvent);
+
+/**
+ * @route   POST /api/medical/events/:id/complete
+ * @desc    Mark a scheduled event as done, optionally scheduling its follow-up
+ * @access  Private (manage_pets)
+ * @body    {string} [performedAt] - Defaults to now
+ * @body    {string} [nextDueDate] - Schedules the same event again (e.g. a booster)
+ * @body    {string} [dosage]
+ * @body    {string} [veterinarian]
+ * @body    {string} [notes]
+ */
+router.post('/events/:id/complete', auditMedicalEvent('medical_event.complete'), completeEvent);
+
+/**
+ * @route   POST /api/medical/events/:id/cancel
+ * @desc    Cancel a scheduled event that is no longer needed
+ * @access  Private (manage_pets)
+ * @body    {string} reason
+ */
+router.post('/events/:id/cancel', auditMedicalEvent('medical_event.cancel'), cancelEvent);
+
+export default router;
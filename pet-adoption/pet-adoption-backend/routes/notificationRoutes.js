@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js';
+import { authenticate } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications
+ * @access  Private
+ * @query   {number} [page=1] - Page number
+ * @query   {number} [limit=20] - Items per page (max 50)
+ * @query   {boolean} [unread] - Only unread notifications
+ */
+router.get('/', getMyNotifications);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark every notification as read
+ * @access  Private
+ */
+router.patch('/read-all', markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a single notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', markNotificationRead);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getPermissionCatalog,
+  updateRolePreset,
+  resetRolePreset
+} from '../controllers/permissionController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail } from '../middleware/audit.js';
+import RolePermissionPreset from '../models/RolePermissionPreset.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Record a preset change in the audit trail
+ * @param {string} action - e.g. role_preset.update
+ */
+const auditPreset = (action) => auditTrail(action, {
+  targetType: 'RolePermissionPreset',
+  getTargetId: req => req.params.role,
+  load: async (role) => {
+    RolePermissionPreset.clearCache();
+    const presets = await RolePermissionPreset.getPresets();
+    return presets[role] ? { role, permissions: presets[role] } : null;
+  },
+  getMetadata: (req, body) => ({ usersUpdated: body?.data?.usersUpdated })
+});
+
+/**
+ * @route   GET /api/permissions
+ * @desc    Permission catalog, roles and the permission preset of each role
+ * @access  Private (view_users)
+ */
+router.get('/', requirePermission('view_users'), getPermissionCatalog);
+
+/**
+ * @route   PUT /api/permissions/presets/:role
+ * @desc    Replace a role's permission preset and apply it to users with the role
+ * @access  Private (system_admin)
+ * @body    {string[]} permissions - Permissions the role grants
+ */
+router.put('/presets/:role', requirePermission('system_admin'), auditPreset('role_preset.update'), updateRolePreset);
+
+/**
+ * @route   DELETE /api/permissions/presets/:role
+ * @desc    Restore a role's default permission preset
+ * @access  Private (system_admin)
+ */
+router.delete('/presets/:role', requirePermission('system_admin'), auditPreset('role_preset.reset'), resetRolePreset);
+
+export default router;
@@ -1,11 +1,51 @@
 import express from 'express';
-import { getAllPets, createPet, getPetById, updatePet, submitInquiry } from '../controllers/petController.js';
+import { getAllPets, searchPets, getPetStatistics, createPet, getPetById, updatePet, submitInquiry } from '../controllers/petController.js';
 import Pet from '../models/Pet.js';
 import logger from '../services/logger.js';
-import { authenticate, isAdmin } from '../middleware/authenticate.js';
+import rateLimitStore from '../services/rateLimitStore.js';
+import storageService from '../services/storageService.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import { createUploader } from '../middleware/upload.js';
+import { getPetImages, uploadPetImages, updatePetImage, reorderPetImages, deletePetImage, MAX_IMAGES_PER_PET } from '../controllers/petImageController.js';
+import { ALLOWED_IMAGE_TYPES } from '../services/imageService.js';
+import { getPetDocuments, uploadPetDocuments, updatePetDocument, downloadPetDocument, deletePetDocument } from '../controllers/petDocumentController.js';
+import { ALLOWED_DOCUMENT_MIME_TYPES } from '../services/documentService.js';
+import { getIntakeOptions, intakePet, releasePetStrayHold } from '../controllers/intakeController.js';
+import { movePetById, getPetLocationHistory } from '../controllers/kennelController.js';
+import { getPetMedicalTimeline, addMedicalEvent } from '../controllers/medicalController.js';
 
 const router = express.Router();
 
+/**
+ * Audit a pet mutation; the image or document ID is kept with the event
+ * @param {string} action - e.g. pet.update
+ * @returns {Function} Express middleware
+ */
+const auditPet = (action) => auditTrail(action, {
+  targetType: 'Pet',
+  load: loadById(Pet),
+  getMetadata: req => ({
+    ...(req.params.imageId && { imageId: req.params.imageId }),
+    ...(req.params.documentId && { documentId: req.params.documentId }),
+    ...(req.files?.length && { files: req.files.map(file => file.originalname) })
+  })
+});
+
+const uploadImages = createUploader({
+  field: 'images',
+  maxFiles: Math.min(10, MAX_IMAGES_PER_PET),
+  maxBytes: (parseInt(process.env.IMAGE_MAX_UPLOAD_MB, 10) || 8) * 1024 * 1024,
+  allowedTypes: ALLOWED_IMAGE_TYPES
+});
+
+const uploadDocuments = createUploader({
+  field: 'documents',
+  maxFiles: 5,
+  maxBytes: (parseInt(process.env.DOCUMENT_MAX_UPLOAD_MB, 10) || 10) * 1024 * 1024,
+  allowedTypes: ALLOWED_DOCUMENT_MIME_TYPES
+});
+
 /**
  * Middleware to wrap async route handlers with error handling
  * @param {Function} fn - Async route handler function
@@ -17,6 +57,38 @@ const asyncHandler = (fn) => {
   };
 };
 
+/**
+ * Rate limiting for pet inquiries
+ * Counted per IP in the shared rate limit store
+ */
+const INQUIRY_RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_INQUIRIES_PER_WINDOW = 5; // 5 inquiries per hour per IP
+
+const inquiryRateLimitMiddleware = asyncHandler(async (req, res, next) => {
+  const clientIp = req.ip;
+  const rateLimit = await rateLimitStore.consume('inquiry', clientIp, {
+    windowMs: INQUIRY_RATE_LIMIT_WINDOW,
+    max: MAX_INQUIRIES_PER_WINDOW
+  });
+
+  if (rateLimit.limited) {
+    logger.warn('Pet inquiry rate limit exceeded', {
+      ip: clientIp,
+      petId: req.params.petId,
+      requestCount: rateLimit.count,
+      userAgent: req.get('User-Agent')
+    });
+
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: `Too many inquiries. Please wait ${Math.ceil(rateLimit.retryAfter / 60)} minutes before trying again.`,
+      retryAfter: rateLimit.retryAfter
+    });
+  }
+
+  next();
+});
+
 /**
  * Middleware for request validation and logging
  * @param {Object} req - Express request object
@@ -52,8 +124,8 @@ const requestMiddleware = (req, res, next) => {
     }
   }
 
-  // Validate Content-Type for POST/PUT requests
-  if (['POST', 'PUT'].includes(req.method)) {
+  // Validate Content-Type for POST/PUT requests (uploads are checked by their own middleware)
+  if (['POST', 'PUT'].includes(req.method) && !req.is('multipart/form-data')) {
     const contentType = req.get('Content-Type');
     if (!contentType || !contentType.includes('application/json')) {
       logger.warn('Invalid Content-Type for request', {
@@ -88,7 +160,7 @@ const deletePet = async (req, res) => {
     });
 
     // Check if pet exists before deletion
-    const pet = await Pet.findById(petId);
+    const pet = await Pet.findById(petId).select('+documents');
     if (!pet) {
       logger.warn('Pet not found for deletion', { 
         petId, 
@@ -112,6 +184,10 @@ const deletePet = async (req, res) => {
     await Pet.findByIdAndDelete(petId);
     logger.dbLog('delete', 'pets', { petId, deletedBy: req.user?.id });
 
+    // Files go after the database delete so a failed delete never leaves broken links
+    await storageService.deleteFiles(pet.images.flatMap(image => image.storageKeys || []));
+    await storageService.deleteFiles(pet.documents.map(document => document.storageKey), { visibility: 'private' });
+
     logger.info('Pet deleted successfully', { 
       petId, 
       adminUser: req.user?.id 
@@ -216,10 +292,55 @@ router.get('/', asyncHandler(getAllPets));
 /**
  * @route   POST /api/pets
  * @desc    Create a new pet listing
- * @access  Admin
+ * @access  Private (manage_pets)
  * @body    {Object} petData - The pet information
  */
-router.post('/', authenticate, isAdmin, asyncHandler(createPet));
+router.post('/', authenticate, requirePermission('manage_pets'), auditPet('pet.create'), asyncHandler(createPet));
+
+/**
+ * @route   GET /api/pets/search
+ * @desc    Full-text search on name and description with facets and relevance ranking
+ * @access  Public
+ * @query   {string} q - Search text (also accepted as `search`)
+ * @query   {string} type - Same filters as GET /api/pets
+ * @query   {number} page - Page number for pagination
+ * @query   {number} limit - Number of items per page
+ */
+router.get('/search', asyncHandler(searchPets));
+
+/**
+ * @route   GET /api/pets/statistics
+ * @desc    Pet totals by status and per-type adoption analytics
+ * @access  Private (view_analytics)
+ * @query   {number} days - Analytics period in days (default 30)
+ */
+router.get('/statistics', authenticate, requirePermission('view_analytics'), asyncHandler(getPetStatistics));
+
+/**
+ * @route   GET /api/pets/intake/options
+ * @desc    Intake sources, the fields each one requires and the stray hold settings
+ * @access  Private (manage_pets)
+ */
+router.get('/intake/options', authenticate, requirePermission('manage_pets'), getIntakeOptions);
+
+/**
+ * @route   POST /api/pets/intake
+ * @desc    Take an animal in: the pet starts unavailable in quarantine, strays go on hold,
+ *          and a PDF intake form is added to its documents
+ * @access  Private (manage_pets)
+ * @body    {Object} animal - name, type, breed, age, ageUnit, gender, size, color, description,
+ *                            healthStatus, medicalNotes, specialNeeds
+ * @body    {string} intakeSource - stray, surrender, transfer, born_in_care, confiscation or other
+ * @body    {string} [intakeDate] - ISO date, default now
+ * @body    {string} [intakeReason] - Required for other
+ * @body    {Object} [previousOwner] - { name, contact, reason }, required for surrender
+ * @body    {Object} [details] - Stray: foundLocation (required), foundAt, finderName, finderContact;
+ *                             transfer: transferOrganization (required), transferReference;
+ *                             confiscation: authority, caseNumber (both required); notes for any source
+ * @body    {string} [kennelNumber] - Code of a registered quarantine kennel with room
+ * @body    {number} [strayHoldDays] - Strays only, default STRAY_HOLD_DAYS
+ */
+router.post('/intake', authenticate, requirePermission('manage_pets'), auditPet('pet.intake'), asyncHandler(intakePet));
 
 /**
  * @route   GET /api/pets/:id
@@ -236,24 +357,171 @@ router.get('/:id', asyncHandler(getPetById));
  * @param   {string} petId - Pet ObjectId
  * @body    {Object} inquiryData - The inquiry information
  */
-router.post('/:petId/inquiry', asyncHandler(submitInquiry));
+router.post('/:petId/inquiry', inquiryRateLimitMiddleware, asyncHandler(submitInquiry));
 
 /**
  * @route   PUT /api/pets/:id
  * @desc    Update a pet listing
- * @access  Admin
+ * @access  Private (manage_pets)
  * @param   {string} id - Pet ObjectId
  * @body    {Object} updateData - The updated pet information
  */
-router.put('/:id', authenticate, isAdmin, asyncHandler(updatePet));
+router.put('/:id', authenticate, requirePermission('manage_pets'), auditPet('pet.update'), asyncHandler(updatePet));
 
 /**
  * @route   DELETE /api/pets/:id
  * @desc    Delete a pet listing
- * @access  Admin
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ */
+router.delete('/:id', authenticate, requirePermission('manage_pets'), auditPet('pet.delete'), asyncHandler(deletePet));
+
+/**
+ * @route   GET /api/pets/:id/images
+ * @desc    Get a pet's gallery images in display order
+ * @access  Public
  * @param   {string} id - Pet ObjectId
  */
-router.delete('/:id', authenticate, isAdmin, asyncHandler(deletePet));
+router.get('/:id/images', asyncHandler(getPetImages));
+
+/**
+ * @route   POST /api/pets/:id/images
+ * @desc    Upload images (multipart field "images"); generates WebP and thumbnail variants
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @body    {string} alt - Optional alt text for the uploaded images
+ * @body    {string} makePrimary - "true" to make the first uploaded image primary
+ */
+router.post('/:id/images', authenticate, requirePermission('manage_pets'), uploadImages, auditPet('pet.images_upload'), asyncHandler(uploadPetImages));
+
+/**
+ * @route   PUT /api/pets/:id/images/order
+ * @desc    Reorder a pet's images
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @body    {string[]} imageIds - Every image ID in the new order
+ */
+router.put('/:id/images/order', authenticate, requirePermission('manage_pets'), auditPet('pet.images_reorder'), asyncHandler(reorderPetImages));
+
+/**
+ * @route   PATCH /api/pets/:id/images/:imageId
+ * @desc    Update image alt text or make it the primary image
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @param   {string} imageId - Image ObjectId
+ * @body    {string} alt - Alt text
+ * @body    {boolean} isPrimary - true to make this the primary image
+ */
+router.patch('/:id/images/:imageId', authenticate, requirePermission('manage_pets'), auditPet('pet.image_update'), asyncHandler(updatePetImage));
+
+/**
+ * @route   DELETE /api/pets/:id/images/:imageId
+ * @desc    Delete an image and its stored files
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @param   {string} imageId - Image ObjectId
+ */
+router.delete('/:id/images/:imageId', authenticate, requirePermission('manage_pets'), auditPet('pet.image_delete'), asyncHandler(deletePetImage));
+
+/**
+ * @route   GET /api/pets/:id/documents
+ * @desc    List a pet's documents; adopters only see shared documents after a completed adoption
+ * @access  Staff, or the adopter of the pet
+ * @param   {string} id - Pet ObjectId
+ */
+router.get('/:id/documents', authenticate, asyncHandler(getPetDocuments));
+
+/**
+ * @route   POST /api/pets/:id/documents
+ * @desc    Upload documents (multipart field "documents"); PDF, JPEG, PNG or WebP
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @body    {string} type - medical_record, vaccination_record, behavioral_assessment, intake_form or other
+ * @body    {string} name - Optional display name (single file uploads only)
+ * @body    {string} sharedWithAdopter - "true"/"false"; defaults to true for medical and vaccination records
+ */
+router.post('/:id/documents', authenticate, requirePermission('manage_pets'), uploadDocuments, auditPet('pet.documents_upload'), asyncHandler(uploadPetDocuments));
+
+/**
+ * @route   GET /api/pets/:id/documents/:documentId/download
+ * @desc    Download a document file
+ * @access  Staff, or the adopter of the pet for shared documents
+ * @param   {string} id - Pet ObjectId
+ * @param   {string} documentId - Document ObjectId
+ */
+router.get('/:id/documents/:documentId/download', authenticate, asyncHandler(downloadPetDocument));
+
+/**
+ * @route   PATCH /api/pets/:id/documents/:documentId
+ * @desc    Rename, retype or change adopter sharing of a document
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @param   {string} documentId - Document ObjectId
+ * @body    {string} name - Display name
+ * @body    {string} type - Document type
+ * @body    {boolean} sharedWithAdopter - Whether the adopter can download it
+ */
+router.patch('/:id/documents/:documentId', authenticate, requirePermission('manage_pets'), auditPet('pet.document_update'), asyncHandler(updatePetDocument));
+
+/**
+ * @route   DELETE /api/pets/:id/documents/:documentId
+ * @desc    Delete a document and its stored file
+ * @access  Private (manage_pets)
+ * @param   {string} id - Pet ObjectId
+ * @param   {string} documentId - Document ObjectId
+ */
+router.delete('/:id/documents/:documentId', authenticate, requirePermission('manage_pets'), auditPet('pet.document_delete'), asyncHandler(deletePetDocument));
+
+/**
+ * @route   POST /api/pets/:id/stray-hold/release
+ * @desc    End a stray hold early (e.g. the owner came forward); the pet keeps its status
+ * @access  Private (manage_pets)
+ * @body    {string} reason - Kept as an internal note
+ */
+router.post('/:id/stray-hold/release', authenticate, requirePermission('manage_pets'), auditPet('pet.stray_hold_release'), asyncHandler(releasePetStrayHold));
+
+/**
+ * @route   POST /api/pets/:id/move
+ * @desc    Move a pet to another area and/or kennel; checks the kennel's area, species and
+ *          capacity and records the move in the pet's location history
+ * @access  Private (manage_pets)
+ * @body    {string} location - shelter, medical or quarantine
+ * @body    {string} [kennelNumber] - Registered kennel in that area; omit for no kennel
+ * @body    {string} [reason]
+ */
+router.post('/:id/move', authenticate, requirePermission('manage_pets'), auditPet('pet.move'), asyncHandler(movePetById));
+
+/**
+ * @route   GET /api/pets/:id/location-history
+ * @desc    Where a pet has been housed, newest first
+ * @access  Private (manage_pets)
+ */
+router.get('/:id/location-history', authenticate, requirePermission('manage_pets'), asyncHandler(getPetLocationHistory));
+
+/**
+ * @route   GET /api/pets/:id/medical
+ * @desc    Medical timeline: scheduled events by due date, past events newest first, and the
+ *          required treatments that keep the pet from being listed
+ * @access  Private (manage_pets)
+ */
+router.get('/:id/medical', authenticate, requirePermission('manage_pets'), asyncHandler(getPetMedicalTimeline));
+
+/**
+ * @route   POST /api/pets/:id/medical
+ * @desc    Record a vaccination, treatment, medication, vet visit or spay/neuter surgery;
+ *          scheduled with a due date, or completed with the date it was done
+ * @access  Private (manage_pets)
+ * @body    {string} type - vaccination, treatment, medication, vet_visit or spay_neuter
+ * @body    {string} name - e.g. "Rabies"
+ * @body    {string} [dueDate] - Required unless performedAt is given
+ * @body    {string} [performedAt] - Date it was done
+ * @body    {string} [nextDueDate] - With performedAt: schedules the follow-up
+ * @body    {boolean} [required] - Must be done before the pet can be listed
+ * @body    {string} [dosage]
+ * @body    {string} [veterinarian]
+ * @body    {string} [notes]
+ */
+router.post('/:id/medical', authenticate, requirePermission('manage_pets'), auditPet('pet.medical_event'), asyncHandler(addMedicalEvent));
 
 // Apply error handler after all routes
 router.use(routeErrorHandler);
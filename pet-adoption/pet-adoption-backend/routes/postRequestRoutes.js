@@ -170,7 +170,7 @@ const validateGetUserRequests = [
   
   query('status')
     .optional()
-    .isIn(['pending', 'under_review', 'interview_scheduled', 'approved', 'rejected', 'cancelled', 'completed'])
+    .isIn(['pending', 'under_review', 'interview_scheduled', 'waitlisted', 'approved', 'rejected', 'cancelled', 'completed'])
     .withMessage('Invalid status filter'),
   
   query('page')
@@ -271,7 +271,7 @@ router.patch('/:requestId/cancel',
 
 router.get('/my-requests',
   authenticate,
-  query('status').optional().isIn(['pending', 'under_review', 'interview_scheduled', 'approved', 'rejected', 'cancelled', 'completed']),
+  query('status').optional().isIn(['pending', 'under_review', 'interview_scheduled', 'waitlisted', 'approved', 'rejected', 'cancelled', 'completed']),
   query('page').optional().isInt({ min: 1, max: 1000 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   async (req, res, next) => {
@@ -0,0 +1,41 @@
+import express from 'express';
+import { getRateLimits, clearRateLimits } from '../controllers/rateLimitController.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail } from '../middleware/audit.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('manage_users'));
+
+/**
+ * @route   GET /api/rate-limits
+ * @desc    Rate limit counters and lockouts, optionally of one IP or user
+ * @access  Private (manage_users)
+ * @query   {string} [ip] - IP address
+ * @query   {string} [userId] - User ID (also returns the account lock)
+ * @query   {string} [limiter] - Limiter name, e.g. login, auth, contact, inquiry
+ * @query   {boolean} [limitedOnly] - Only currently limited or locked out clients
+ */
+router.get('/', getRateLimits);
+
+/**
+ * @route   DELETE /api/rate-limits
+ * @desc    Clear counters and lockouts of an IP or user (and unlock the user's account)
+ * @access  Private (manage_users)
+ * @query   {string} [ip] - IP address (ip or userId is required)
+ * @query   {string} [userId] - User ID
+ * @query   {string} [limiter] - Only clear this limiter
+ */
+router.delete('/', auditTrail('rate_limit.clear', {
+  targetType: 'RateLimit',
+  getTargetId: req => req.query.userId || req.query.ip,
+  getMetadata: (req, body) => ({
+    ip: req.query.ip,
+    userId: req.query.userId,
+    limiter: req.query.limiter,
+    cleared: body?.cleared,
+    accountUnlocked: body?.accountUnlocked
+  })
+}), clearRateLimits);
+
+export default router;
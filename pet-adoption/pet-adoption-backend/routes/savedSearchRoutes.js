@@ -0,0 +1,71 @@
+import express from 'express';
+import {
+  getMySavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches,
+  getAlertPreferences,
+  updateAlertPreferences
+} from '../controllers/savedSearchController.js';
+import { authenticate } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    List the current user's saved searches
+ * @access  Private
+ */
+router.get('/', getMySavedSearches);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a named set of pet filters
+ * @access  Private
+ * @body    {string} name - Search name
+ * @body    {Object} filters - { type, breed, size, gender, location, ageMin, ageMax }
+ * @body    {boolean} [alertsEnabled=true] - Alert when matching pets become available
+ */
+router.post('/', createSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/preferences
+ * @desc    Get email alert preferences for saved searches
+ * @access  Private
+ */
+router.get('/preferences', getAlertPreferences);
+
+/**
+ * @route   PATCH /api/saved-searches/preferences
+ * @desc    Update email alert preferences for saved searches
+ * @access  Private
+ * @body    {boolean} [emailAlerts] - Whether to email matches
+ * @body    {string} [frequency] - "instant" or "daily" (digest)
+ */
+router.patch('/preferences', updateAlertPreferences);
+
+/**
+ * @route   GET /api/saved-searches/:id/matches
+ * @desc    Currently available pets matching a saved search
+ * @access  Private
+ */
+router.get('/:id/matches', getSavedSearchMatches);
+
+/**
+ * @route   PATCH /api/saved-searches/:id
+ * @desc    Rename a saved search, change its filters or toggle alerts
+ * @access  Private
+ */
+router.patch('/:id', updateSavedSearch);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private
+ */
+router.delete('/:id', deleteSavedSearch);
+
+export default router;
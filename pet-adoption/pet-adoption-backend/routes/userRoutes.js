@@ -2,6 +2,7 @@
 import rateLimit from 'express-rate-limit';
 import { body, param, query, validationResult } from 'express-validator';
 import logger from '../services/logger.js';
+import { createExpressStore } from '../services/rateLimitStore.js';
 
 // Import user management controllers (not auth controllers)
 import {
@@ -10,11 +11,21 @@ import {
   createUser,
   updateUser,
   deleteUser,
+  exportUsers,
+  bulkUpdateUsers,
+  getUserStats,
+  resetUserTwoFactor,
+  cancelUserDeletion,
+  revokeUserSessions,
+  updateUserPermissions,
+  resetUserPermissions,
 } from '../controllers/userController.js';
 import express from 'express';
 
 // Import middleware (adjust paths based on your structure)
-import { authenticate, requireRole } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import User from '../models/User.js';
 
 const router = express.Router();
 
@@ -34,7 +45,7 @@ const asyncHandler = (fn) => {
 /**
  * Rate limiting configurations for user management
  */
-const createRateLimit = (windowMs, max, message, skipSuccessfulRequests = false) => 
+const createRateLimit = (name, windowMs, max, message, skipSuccessfulRequests = false) => 
   rateLimit({
     windowMs,
     max,
@@ -46,6 +57,8 @@ const createRateLimit = (windowMs, max, message, skipSuccessfulRequests = false)
     standardHeaders: true,
     legacyHeaders: false,
     skipSuccessfulRequests,
+    store: createExpressStore(name),
+    passOnStoreError: true,
     keyGenerator: (req) => {
       // Use user ID + IP for authenticated requests, just IP for others
       return req.user ? `${req.user._id}:${req.ip}` : req.ip;
@@ -68,30 +81,35 @@ const createRateLimit = (windowMs, max, message, skipSuccessfulRequests = false)
 
 // Different rate limits for different operation types
 const generalRateLimit = createRateLimit(
+  'users:general',
   15 * 60 * 1000, // 15 minutes
   100, // 100 requests per window
   'Too many requests, please try again later'
 );
 
 const adminRateLimit = createRateLimit(
+  'users:admin',
   60 * 60 * 1000, // 1 hour
   50, // 50 admin operations per hour
   'Too many administrative operations, please try again later'
 );
 
 const bulkRateLimit = createRateLimit(
+  'users:bulk',
   60 * 60 * 1000, // 1 hour
   5, // 5 bulk operations per hour
   'Too many bulk operations, please try again later'
 );
 
 const sensitiveRateLimit = createRateLimit(
+  'users:sensitive',
   60 * 60 * 1000, // 1 hour
   10, // 10 sensitive operations per hour
   'Too many sensitive operations, please try again later'
 );
 
 const exportRateLimit = createRateLimit(
+  'users:export',
   60 * 60 * 1000, // 1 hour
   3, // 3 exports per hour
   'Too many export requests, please try again later'
@@ -124,44 +142,7 @@ const validateRequest = (req, res, next) => {
 };
 
 /**
- * Permission middleware for different operations
- */
-const requirePermission = (operation) => {
-  return (req, res, next) => {
-    const userRole = req.user?.role;
-    
-    const permissions = {
-      'view_users': ['staff', 'admin', 'super_admin'],
-      'create_users': ['admin', 'super_admin'],
-      'update_users': ['admin', 'super_admin'],
-      'delete_users': ['admin', 'super_admin'],
-      'bulk_operations': ['super_admin'],
-      'sensitive_operations': ['super_admin'],
-      'export_data': ['admin', 'super_admin'],
-      'view_stats': ['staff', 'admin', 'super_admin']
-    };
-    
-    if (!permissions[operation] || !permissions[operation].includes(userRole)) {
-      logger.warn('Insufficient permissions', {
-        userId: req.user._id,
-        userRole,
-        requiredOperation: operation,
-        endpoint: req.originalUrl,
-        ip: req.ip
-      });
-      
-      return res.status(403).json({
-        error: 'Insufficient permissions',
-        message: `You do not have permission to ${operation.replace('_', ' ')}`
-      });
-    }
-    
-    next();
-  };
-};
-
-/**
- * Audit logging middleware for important operations
+ * Log read access to user data; changes are recorded by auditTrail
  */
 const auditLog = (operation) => {
   return (req, res, next) => {
@@ -191,6 +172,17 @@ const auditLog = (operation) => {
   };
 };
 
+/**
+ * Record a user mutation in the audit trail
+ * @param {string} action - e.g. user.update
+ * @param {Function} [getMetadata] - (req, responseBody) => Object
+ */
+const auditUser = (action, getMetadata) => auditTrail(action, {
+  targetType: 'User',
+  load: loadById(User),
+  getMetadata
+});
+
 // ================================================================
 // VALIDATION SCHEMAS
 // ================================================================
@@ -425,15 +417,40 @@ const statusToggleValidation = [
 const exportValidation = [
   query('format')
     .optional()
-    .isIn(['csv', 'json'])
-    .withMessage('Export format must be csv or json'),
+    .isIn(['csv', 'json', 'xlsx'])
+    .withMessage('Export format must be csv, json or xlsx'),
   
   query('search')
     .optional()
     .isLength({ max: 100 })
     .withMessage('Search query must be less than 100 characters')
     .trim()
-    .escape()
+    .escape(),
+  
+  query('role')
+    .optional()
+    .isIn(['user', 'volunteer', 'foster', 'staff', 'admin', 'super_admin'])
+    .withMessage('Invalid role filter'),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'suspended', 'banned', 'pending_verification'])
+    .withMessage('Invalid status filter'),
+  
+  query('emailVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('Email verified filter must be boolean'),
+  
+  query('isVolunteer')
+    .optional()
+    .isBoolean()
+    .withMessage('Volunteer filter must be boolean'),
+  
+  query(['createdAfter', 'createdBefore'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be ISO 8601 dates')
 ];
 
 // Statistics validation
@@ -459,7 +476,7 @@ router.use(authenticate);
 /**
  * @route   GET /api/users
  * @desc    Get all users with pagination and filtering
- * @access  Private (Staff+)
+ * @access  Private (view_users)
  */
 router.get('/',
   generalRateLimit,
@@ -470,6 +487,55 @@ router.get('/',
   asyncHandler(getAllUsers)
 );
 
+/**
+ * @route   GET /api/users/stats
+ * @desc    User totals by role and status, verification and signups
+ * @access  Private (view_users)
+ */
+router.get('/stats',
+  generalRateLimit,
+  requirePermission('view_users'),
+  statsValidation,
+  validateRequest,
+  asyncHandler(getUserStats)
+);
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Export users as CSV, JSON or XLSX (same filters as GET /api/users)
+ * @access  Private (export_data)
+ */
+router.get('/export',
+  exportRateLimit,
+  requirePermission('export_data'),
+  exportValidation,
+  validateRequest,
+  auditLog('export_users'),
+  asyncHandler(exportUsers)
+);
+
+/**
+ * @route   PATCH /api/users/bulk
+ * @desc    Update status, role or email verification for many users
+ * @access  Private (bulk_manage_users)
+ */
+router.patch('/bulk',
+  bulkRateLimit,
+  requirePermission('bulk_manage_users'),
+  bulkUpdateValidation,
+  validateRequest,
+  auditTrail('user.bulk_update', {
+    targetType: 'User',
+    getTargetId: () => undefined,
+    getMetadata: (req, body) => ({
+      userIds: req.body.userIds,
+      updateData: req.body.updateData,
+      modifiedCount: body?.modifiedCount,
+      skipped: body?.skipped
+    })
+  }),
+  asyncHandler(bulkUpdateUsers)
+);
 
 // ================================================================
 // INDIVIDUAL USER ROUTES
@@ -478,7 +544,7 @@ router.get('/',
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private (Staff+)
+ * @access  Private (view_users)
  */
 router.get('/:id',
   generalRateLimit,
@@ -492,45 +558,119 @@ router.get('/:id',
 /**
  * @route   POST /api/users
  * @desc    Create new user
- * @access  Private (Admin+)
+ * @access  Private (manage_users)
  */
 router.post('/',
   adminRateLimit,
-  requirePermission('create_users'),
+  requirePermission('manage_users'),
   createUserValidation,
   validateRequest,
-  auditLog('create_user'),
+  auditUser('user.create'),
   asyncHandler(createUser)
 );
 
 /**
  * @route   PATCH /api/users/:id
  * @desc    Update user by ID
- * @access  Private (Admin+)
+ * @access  Private (manage_users)
  */
 router.patch('/:id',
   adminRateLimit,
-  requirePermission('update_users'),
+  requirePermission('manage_users'),
   updateUserValidation,
   validateRequest,
-  auditLog('update_user'),
+  auditUser('user.update'),
   asyncHandler(updateUser)
 );
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user by ID (soft delete by default)
- * @access  Private (Admin+)
+ * @access  Private (manage_users)
  */
 router.delete('/:id',
   sensitiveRateLimit,
-  requirePermission('delete_users'),
+  requirePermission('manage_users'),
   objectIdValidation,
   validateRequest,
-  auditLog('delete_user'),
+  auditUser('user.delete', req => ({ permanent: Boolean(req.body?.permanent), reason: req.body?.reason })),
   asyncHandler(deleteUser)
 );
 
+/**
+ * @route   DELETE /api/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @access  Private (manage_users)
+ */
+router.delete('/:id/two-factor',
+  sensitiveRateLimit,
+  requirePermission('manage_users'),
+  objectIdValidation,
+  validateRequest,
+  auditUser('user.two_factor_reset'),
+  asyncHandler(resetUserTwoFactor)
+);
+
+/**
+ * @route   DELETE /api/users/:id/deletion
+ * @desc    Cancel a user's scheduled account deletion
+ * @access  Private (manage_users)
+ */
+router.delete('/:id/deletion',
+  sensitiveRateLimit,
+  requirePermission('manage_users'),
+  objectIdValidation,
+  validateRequest,
+  auditUser('user.deletion_cancel'),
+  asyncHandler(cancelUserDeletion)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Sign a user out of every session (e.g. lost device, compromised account)
+ * @access  Private (manage_users)
+ */
+router.delete('/:id/sessions',
+  sensitiveRateLimit,
+  requirePermission('manage_users'),
+  objectIdValidation,
+  validateRequest,
+  auditUser('user.sessions_revoke', (req, body) => ({ revokedSessions: body?.revokedSessions })),
+  asyncHandler(revokeUserSessions)
+);
+
+/**
+ * @route   PUT /api/users/:id/permissions
+ * @desc    Grant and revoke a user's permissions (stored as changes to their role preset)
+ * @access  Private (manage_users)
+ * @body    {string[]} permissions - Effective permissions the user should have
+ */
+router.put('/:id/permissions',
+  sensitiveRateLimit,
+  requirePermission('manage_users'),
+  objectIdValidation,
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  validateRequest,
+  auditUser('user.permissions_update'),
+  asyncHandler(updateUserPermissions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/permissions
+ * @desc    Reset a user's permissions to their role preset
+ * @access  Private (manage_users)
+ */
+router.delete('/:id/permissions',
+  sensitiveRateLimit,
+  requirePermission('manage_users'),
+  objectIdValidation,
+  validateRequest,
+  auditUser('user.permissions_reset'),
+  asyncHandler(resetUserPermissions)
+);
+
 // ================================================================
 // ERROR HANDLING
 // ================================================================
@@ -0,0 +1,196 @@
+import express from 'express';
+import {
+  getShifts,
+  getMyVolunteerProfile,
+  updateMyVolunteerProfile,
+  signUp,
+  cancelMySignup,
+  checkInToShift,
+  checkOutOfShift,
+  createShift,
+  updateShiftDetails,
+  cancelShiftById,
+  getShiftRoster,
+  recordSignupAttendance,
+  getVolunteers,
+  updateBackgroundCheck
+} from '../controllers/volunteerController.js';
+import { authenticate, isVolunteer, requirePermission } from '../middleware/authenticate.js';
+import { auditTrail, loadById } from '../middleware/audit.js';
+import VolunteerShift from '../models/VolunteerShift.js';
+import VolunteerShiftSignup from '../models/VolunteerShiftSignup.js';
+import User from '../models/User.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const staffOnly = requirePermission('manage_volunteers');
+
+// Schedulers see the shift list without being volunteers themselves
+const volunteerOrScheduler = (req, res, next) => (
+  req.user.hasPermission('manage_volunteers') ? next() : isVolunteer(req, res, next)
+);
+
+const SHIFT_SNAPSHOT = 'title type location startTime endTime capacity signedUpCount status';
+
+// ----------------------------------------------------------------
+// Staff
+// ----------------------------------------------------------------
+
+/**
+ * @route   GET /api/volunteer/volunteers
+ * @desc    Active volunteers with availability, skills, background check and hours
+ * @access  Private (manage_volunteers)
+ */
+router.get('/volunteers', staffOnly, getVolunteers);
+
+/**
+ * @route   PUT /api/volunteer/volunteers/:id/background-check
+ * @desc    Record the date a volunteer's background check was completed
+ * @access  Private (manage_volunteers)
+ * @body    {string} checkedAt - ISO date, not in the future
+ */
+router.put('/volunteers/:id/background-check',
+  staffOnly,
+  auditTrail('volunteer.background_check', {
+    targetType: 'User',
+    load: loadById(User, 'volunteerInfo.backgroundCheckDate')
+  }),
+  updateBackgroundCheck
+);
+
+/**
+ * @route   POST /api/volunteer/shifts
+ * @desc    Schedule a shift
+ * @access  Private (manage_volunteers)
+ * @body    {string} title
+ * @body    {string} type - dog_walking, cat_socializing, events, transport or other
+ * @body    {string} startTime / endTime - ISO date-times
+ * @body    {number} capacity - Volunteers needed (1-100)
+ * @body    {string} [description] / [location]
+ */
+router.post('/shifts',
+  staffOnly,
+  auditTrail('volunteer_shift.create', {
+    targetType: 'VolunteerShift',
+    load: loadById(VolunteerShift, SHIFT_SNAPSHOT)
+  }),
+  createShift
+);
+
+/**
+ * @route   PATCH /api/volunteer/shifts/:id
+ * @desc    Edit a scheduled shift; volunteers signed up hear about a time change
+ * @access  Private (manage_volunteers)
+ * @body    Any of title, type, description, location, startTime, endTime, capacity
+ */
+router.patch('/shifts/:id',
+  staffOnly,
+  auditTrail('volunteer_shift.update', {
+    targetType: 'VolunteerShift',
+    load: loadById(VolunteerShift, SHIFT_SNAPSHOT)
+  }),
+  updateShiftDetails
+);
+
+/**
+ * @route   POST /api/volunteer/shifts/:id/cancel
+ * @desc    Cancel a scheduled shift and notify the volunteers signed up
+ * @access  Private (manage_volunteers)
+ * @body    {string} [reason] - Shared with the volunteers
+ */
+router.post('/shifts/:id/cancel',
+  staffOnly,
+  auditTrail('volunteer_shift.cancel', {
+    targetType: 'VolunteerShift',
+    load: loadById(VolunteerShift, SHIFT_SNAPSHOT)
+  }),
+  cancelShiftById
+);
+
+/**
+ * @route   GET /api/volunteer/shifts/:id/roster
+ * @desc    Who is signed up for a shift, with contact details and attendance
+ * @access  Private (manage_volunteers)
+ */
+router.get('/shifts/:id/roster', staffOnly, getShiftRoster);
+
+/**
+ * @route   PATCH /api/volunteer/signups/:id
+ * @desc    Record attendance once the shift has started; adjusts the volunteer's hours
+ * @access  Private (manage_volunteers)
+ * @body    {string} status - completed or no_show
+ * @body    {number} [hours] - Hours worked (0-24), required when completed
+ */
+router.patch('/signups/:id',
+  staffOnly,
+  auditTrail('volunteer_signup.attendance', {
+    targetType: 'VolunteerShiftSignup',
+    load: loadById(VolunteerShiftSignup, 'shift volunteer status hours')
+  }),
+  recordSignupAttendance
+);
+
+// ----------------------------------------------------------------
+// Volunteers
+// ----------------------------------------------------------------
+
+/**
+ * @route   GET /api/volunteer/shifts
+ * @desc    Shifts in a date range with open spots and the current user's sign-up and eligibility
+ * @access  Private (volunteer roles or manage_volunteers)
+ * @query   {string} [from] - ISO date, default now
+ * @query   {string} [to] - ISO date, default 30 days after from (range at most 92 days)
+ * @query   {string} [type] - Shift type
+ * @query   {string} [status] - scheduled (default), cancelled or completed; manage_volunteers only
+ */
+router.get('/shifts', volunteerOrScheduler, getShifts);
+
+/**
+ * @route   GET /api/volunteer/me
+ * @desc    The current user's volunteer profile, background check, hours and shifts
+ * @access  Private (volunteer roles)
+ */
+router.get('/me', isVolunteer, getMyVolunteerProfile);
+
+/**
+ * @route   PUT /api/volunteer/me
+ * @desc    Save the current user's volunteer profile; makes them a volunteer
+ * @access  Private (volunteer roles)
+ * @body    {string} [volunteerType] - general, dog_walker, cat_socializer, events, transport, admin or other
+ * @body    {Object[]} [availability] - [{ day: 'monday', startTime: '09:00', endTime: '12:00' }]
+ * @body    {string[]} [skills]
+ * @body    {Object} [emergencyContact] - { name, phone, relationship }
+ */
+router.put('/me', isVolunteer, updateMyVolunteerProfile);
+
+/**
+ * @route   POST /api/volunteer/shifts/:id/signup
+ * @desc    Sign up for a shift; needs a current background check and matching availability
+ * @access  Private (volunteer roles)
+ */
+router.post('/shifts/:id/signup', isVolunteer, signUp);
+
+/**
+ * @route   DELETE /api/volunteer/shifts/:id/signup
+ * @desc    Cancel the current user's sign-up before the shift starts
+ * @access  Private (volunteer roles)
+ */
+router.delete('/shifts/:id/signup', isVolunteer, cancelMySignup);
+
+/**
+ * @route   POST /api/volunteer/shifts/:id/check-in
+ * @desc    Check in, from 30 minutes before the shift until it ends
+ * @access  Private (volunteer roles)
+ */
+router.post('/shifts/:id/check-in', isVolunteer, checkInToShift);
+
+/**
+ * @route   POST /api/volunteer/shifts/:id/check-out
+ * @desc    Check out and log the hours worked
+ * @access  Private (volunteer roles)
+ */
+router.post('/shifts/:id/check-out', isVolunteer, checkOutOfShift);
+
+export default router;
@@ -1,5 +1,6 @@
+// Load environment variables before any module below reads them at import time
+import 'dotenv/config';
 import logger from './services/logger.js';
-import dotenv from 'dotenv';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -9,12 +10,25 @@ import adoptionRoutes from './routes/adoptionRoutes.js';
 import postRequestRoutes from './routes/postRequestRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import chatbotRoutes from './routes/chatbotRoutes.js';
-import { authenticate, isAdmin } from './middleware/authenticate.js';
+import { authenticate, requirePermission } from './middleware/authenticate.js';
 import contactRoutes from './routes/contactRoutes.js';
 import userRoutes from './routes/userRoutes.js';
-
-// Load environment variables
-dotenv.config();
+import notificationRoutes from './routes/notificationRoutes.js';
+import favoriteRoutes from './routes/favoriteRoutes.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import rateLimitRoutes from './routes/rateLimitRoutes.js';
+import permissionRoutes from './routes/permissionRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import fosterRoutes from './routes/fosterRoutes.js';
+import volunteerRoutes from './routes/volunteerRoutes.js';
+import kennelRoutes from './routes/kennelRoutes.js';
+import medicalRoutes from './routes/medicalRoutes.js';
+import { syncAllUserPermissions } from './controllers/permissionController.js';
+import { startScheduler, stopScheduler } from './services/jobScheduler.js';
+import { registerHousekeepingJobs } from './services/housekeepingJobs.js';
+import { UPLOAD_DIR, UPLOAD_URL_PREFIX } from './services/storageService.js';
+import emailService from './services/emailService.js';
 
 // Validate required environment variables
 const requiredEnvVars = ['MONGO_URI'];
@@ -25,6 +39,14 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Verification and password reset depend on email actually going out
+try {
+  logger.info(`Email transport: ${emailService.initTransport()}`);
+} catch (error) {
+  logger.error(`Email is not configured: ${error.message}`);
+  process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 
@@ -81,6 +103,11 @@ const connectToMongoDB = async () => {
       host: process.env.MONGO_URI?.split('@')[1]?.split('/')[0],
       database: process.env.MONGO_URI?.split('/').pop()?.split('?')[0]
     });
+
+    // Stored permissions may predate the current role presets
+    syncAllUserPermissions().catch(error => {
+      logger.errorLog(error, { operation: 'syncUserPermissions' });
+    });
   } catch (error) {
     logger.errorLog(error, {
       operation: 'mongodb_connection',
@@ -120,15 +147,38 @@ app.get('/health', (req, res) => {
   res.status(200).json(healthStatus);
 });
 
+// Uploaded files (local storage driver). Helmet's same-origin resource policy
+// would stop the frontend from displaying them, so relax it for this path only.
+app.use(UPLOAD_URL_PREFIX, (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}, express.static(UPLOAD_DIR, {
+  fallthrough: false,
+  index: false,
+  maxAge: '30d',
+  immutable: true
+}));
+
 // API Routes
 app.use('/api/pets', petRoutes);
-app.use('/admin', authenticate, isAdmin, adoptionRoutes);
+app.use('/admin', authenticate, requirePermission('manage_adoption_requests'), adoptionRoutes);
 app.use('/api/auth', authRoutes); 
 app.use('/api/users', userRoutes);
 app.use('/api/adoption-requests', postRequestRoutes);
 app.use('/api/chatbot', chatbotRoutes);
 app.use('/api/forgot-password', authRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/rate-limits', rateLimitRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/audit-events', auditRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/foster', fosterRoutes);
+app.use('/api/volunteer', volunteerRoutes);
+app.use('/api/kennels', kennelRoutes);
+app.use('/api/medical', medicalRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -170,6 +220,8 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = (signal) => {
   logger.info(`🛑 Received ${signal}. Starting graceful shutdown...`);
   
+  stopScheduler();
+
   server.close(() => {
     logger.info('✅ HTTP server closed');
     
@@ -210,4 +262,7 @@ const server = app.listen(PORT, () => {
     nodeVersion: process.version,
     timestamp: new Date().toISOString()
   });
+
+  registerHousekeepingJobs();
+  startScheduler();
 });
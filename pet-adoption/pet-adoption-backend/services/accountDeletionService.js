@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Pet from '../models/Pet.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import ContactMessage from '../models/ContactMessage.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Notification from '../models/Notification.js';
+import ConversationLog from '../models/ConversationLog.js';
+import RefreshToken from '../models/RefreshToken.js';
+import AuditEvent from '../models/AuditEvent.js';
+import FosterApplication from '../models/FosterApplication.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import VolunteerShift from '../models/VolunteerShift.js';
+import VolunteerShiftSignup from '../models/VolunteerShiftSignup.js';
+import emailService from './emailService.js';
+import logger from './logger.js';
+
+/**
+ * Account Deletion Service
+ * Deletes accounts whose scheduled deletion date has passed. Accounts tied
+ * to an approved or completed adoption, recorded as a pet's adopter, or that
+ * fostered a pet are anonymized so the adoption and foster records stay
+ * intact; all other accounts are removed. Either way the user's open
+ * applications, foster applications, volunteer shift sign-ups, contact
+ * messages, favorites, saved searches, notifications, chatbot conversations
+ * and sessions are removed.
+ */
+
+// Adoption requests kept (without personal details) as the record of an adoption
+const RETAINED_ADOPTION_STATUSES = ['approved', 'completed'];
+const DELETION_BATCH_SIZE = 50;
+const DELETED_LABEL = 'Deleted user';
+
+/**
+ * Whether the user has adoption records that must be kept
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const hasAdoptionRecords = async (user) => {
+  if (user.adoptedPets?.length > 0) return true;
+
+  const [request, pet, placement] = await Promise.all([
+    AdoptionRequest.exists({ user: user._id, status: { $in: RETAINED_ADOPTION_STATUSES } }),
+    Pet.exists({ $or: [{ currentAdopter: user._id }, { 'adoptionHistory.adopter': user._id }] }),
+    FosterPlacement.exists({ foster: user._id })
+  ]);
+  return Boolean(request || pet || placement);
+};
+
+/**
+ * Remove open applications and strip personal details from retained ones
+ * @param {Object} userId - User ObjectId
+ * @returns {Promise<Object>} { deleted, anonymized }
+ */
+const cleanUpAdoptionRequests = async (userId) => {
+  const deleted = await AdoptionRequest.deleteMany({
+    user: userId,
+    status: { $nin: RETAINED_ADOPTION_STATUSES }
+  });
+
+  // Validators are skipped on purpose; the placeholders do not need to look real
+  const anonymized = await AdoptionRequest.updateMany(
+    { user: userId, status: { $in: RETAINED_ADOPTION_STATUSES } },
+    {
+      $set: {
+        applicantName: DELETED_LABEL,
+        applicantEmail: `deleted-${userId}@deleted.invalid`,
+        applicantPhone: '0000000000',
+        address: { street: 'Removed', city: 'Removed', region: 'Removed', zip: '00000', country: 'Removed' },
+        reason: 'Removed at the applicant\'s request'
+      },
+      $unset: { yardDetails: 1, currentPets: 1, petExperience: 1, preferredMeetingTime: 1 }
+    }
+  );
+
+  return { deleted: deleted.deletedCount, anonymized: anonymized.modifiedCount };
+};
+
+/**
+ * Remove the user's favorites and keep the pets' favorite counters in step
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Number of favorites removed
+ */
+const removeFavorites = async (user) => {
+  const petIds = (user.favorites || []).map(favorite => favorite.pet).filter(Boolean);
+  if (petIds.length === 0) return 0;
+
+  await Pet.updateMany(
+    { _id: { $in: petIds }, 'favorites.total': { $gt: 0 } },
+    { $inc: { 'favorites.total': -1 } }
+  );
+  return petIds.length;
+};
+
+/**
+ * Remove the user's shift sign-ups, giving their seats on upcoming shifts back
+ * @param {Object} userId - User ObjectId
+ * @returns {Promise<number>} Number of sign-ups removed
+ */
+const removeShiftSignups = async (userId) => {
+  const seats = await VolunteerShiftSignup.find({ volunteer: userId, status: { $in: ['signed_up', 'checked_in'] } })
+    .select('shift')
+    .lean();
+
+  for (const seat of seats) {
+    await VolunteerShift.updateOne(
+      { _id: seat.shift, status: 'scheduled', signedUpCount: { $gt: 0 } },
+      { $inc: { signedUpCount: -1 } }
+    );
+  }
+
+  const { deletedCount } = await VolunteerShiftSignup.deleteMany({ volunteer: userId });
+  return deletedCount;
+};
+
+/**
+ * Strip personal data from an account that has to be kept
+ * @param {Object} user - User document
+ */
+const anonymizeUser = (user) => User.updateOne(
+  { _id: user._id },
+  {
+    $set: {
+      username: `deleted_${crypto.randomBytes(8).toString('hex')}`,
+      email: `deleted-${user._id}@deleted.invalid`,
+      status: 'inactive',
+      emailVerified: false,
+      twoFactorEnabled: false,
+      marketingConsent: false,
+      profile: {},
+      favorites: [],
+      loginHistory: [],
+      internalNotes: [],
+      anonymizedAt: new Date()
+    },
+    $unset: {
+      password: 1,
+      address: 1,
+      volunteerInfo: 1,
+      adoptionApplications: 1,
+      twoFactorSecret: 1,
+      twoFactorEnabledAt: 1,
+      backupCodes: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+      deletionCancelToken: 1,
+      statusBeforeDeletion: 1
+    }
+  }
+);
+
+/**
+ * Delete or anonymize an account and everything that belongs to it
+ * @param {Object} user - User document
+ * @param {Object} [options] - { reason, notify }
+ * @returns {Promise<Object>} { userId, anonymized, adoptionRequests, contactMessages, favorites, shiftSignups }
+ */
+export const deleteUserAccount = async (user, { reason = 'scheduled', notify = true } = {}) => {
+  const userId = user._id;
+  const { email, username } = user;
+  const firstName = user.profile?.firstName;
+  const retain = await hasAdoptionRecords(user);
+
+  const adoptionRequests = await cleanUpAdoptionRequests(userId);
+  const favorites = await removeFavorites(user);
+  const contactMessages = await ContactMessage.deleteMany({ email: email.toLowerCase() });
+  const shiftSignups = await removeShiftSignups(userId);
+
+  await Promise.all([
+    SavedSearch.deleteMany({ user: userId }),
+    FosterApplication.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    ConversationLog.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId })
+  ]);
+
+  if (retain) {
+    await anonymizeUser(user);
+  } else {
+    await User.deleteOne({ _id: userId });
+  }
+
+  // The audit trail stays, without the name
+  await Promise.all([
+    AuditEvent.updateMany({ targetType: 'User', targetId: String(userId) }, { $set: { targetLabel: DELETED_LABEL } }),
+    AuditEvent.updateMany({ actor: userId }, { $set: { actorUsername: DELETED_LABEL } })
+  ]);
+
+  const result = {
+    userId,
+    anonymized: retain,
+    adoptionRequests,
+    contactMessages: contactMessages.deletedCount,
+    favorites,
+    shiftSignups
+  };
+
+  logger.warn('User account deleted', { ...result, reason });
+
+  if (notify) {
+    try {
+      await emailService.sendTemplate('accountDeleted', email, { firstName, username });
+    } catch (error) {
+      logger.errorLog(error, { operation: 'sendAccountDeletedEmail', userId });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Email the user that their account is scheduled for deletion, with the
+ * link that cancels it
+ * @param {Object} user - User document (after requestDeletion)
+ * @param {string} token - Raw cancel token returned by requestDeletion
+ */
+export const sendDeletionScheduledEmail = async (user, token) => {
+  const cancelUrl = `${emailService.getFrontendUrl()}/cancel-deletion?token=${encodeURIComponent(token)}`;
+
+  await emailService.sendTemplate('accountDeletionScheduled', user.email, {
+    firstName: user.profile?.firstName,
+    username: user.username,
+    scheduledFor: user.deletionScheduledFor,
+    cancelUrl
+  });
+};
+
+/**
+ * Delete every account whose scheduled deletion date has passed
+ * @param {Object} [options] - { now, limit }
+ * @returns {Promise<Object>} { processed, deleted, anonymized, failed }
+ */
+export const processScheduledDeletions = async ({ now = new Date(), limit = DELETION_BATCH_SIZE } = {}) => {
+  const summary = { processed: 0, deleted: 0, anonymized: 0, failed: 0 };
+
+  const users = await User.find({
+    deletionRequested: true,
+    deletionScheduledFor: { $lte: now },
+    anonymizedAt: { $exists: false }
+  })
+    .sort({ deletionScheduledFor: 1 })
+    .limit(limit);
+
+  for (const user of users) {
+    summary.processed++;
+    try {
+      const result = await deleteUserAccount(user);
+      summary[result.anonymized ? 'anonymized' : 'deleted']++;
+    } catch (error) {
+      summary.failed++;
+      logger.errorLog(error, { operation: 'processScheduledDeletion', userId: user._id });
+    }
+  }
+
+  if (summary.processed > 0) {
+    logger.info('Scheduled account deletions processed', summary);
+  }
+  return summary;
+};
+
+export default {
+  deleteUserAccount,
+  sendDeletionScheduledEmail,
+  processScheduledDeletions
+};
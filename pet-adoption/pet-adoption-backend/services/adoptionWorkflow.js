@@ -0,0 +1,320 @@
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import Pet from '../models/Pet.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { withTransaction } from './transactionService.js';
+import { findOutstandingTreatments } from './medicalService.js';
+
+/**
+ * Adoption Workflow
+ * The adoption request life cycle: which status changes are allowed
+ * (TRANSITIONS), what must hold before one happens (guards) and what else
+ * changes with it (side effects on the pet and on competing requests).
+ *
+ * A transition runs in a MongoDB transaction, so the request, the pet and the
+ * competing requests change together or not at all. Only one request per pet
+ * can be approved: when one is, the other open requests for the pet are
+ * wait-listed (or rejected, see COMPETING_REQUEST_POLICIES). When it is
+ * withdrawn or rejected, the wait list reopens and the pet is available again.
+ *
+ * Errors carry a `code` (see WORKFLOW_ERRORS) for the controller to map.
+ */
+
+// Requests still being considered
+export const OPEN_STATUSES = ['pending', 'under_review', 'interview_scheduled'];
+
+export const TRANSITIONS = {
+  pending: ['under_review', 'approved', 'rejected', 'waitlisted', 'withdrawn'],
+  under_review: ['interview_scheduled', 'approved', 'rejected', 'waitlisted', 'withdrawn'],
+  interview_scheduled: ['approved', 'rejected', 'waitlisted', 'withdrawn'],
+  waitlisted: ['pending', 'under_review', 'rejected', 'withdrawn'],
+  approved: ['completed', 'rejected', 'withdrawn'],
+  rejected: ['under_review', 'pending'], // Re-review
+  completed: [],
+  withdrawn: []
+};
+
+// What happens to the other open requests for a pet when one is approved
+export const COMPETING_REQUEST_POLICIES = ['waitlist', 'reject'];
+const DEFAULT_COMPETING_POLICY = COMPETING_REQUEST_POLICIES.includes(process.env.ADOPTION_COMPETING_REQUEST_POLICY)
+  ? process.env.ADOPTION_COMPETING_REQUEST_POLICY
+  : 'waitlist';
+
+export const WORKFLOW_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  INVALID_INPUT: 'INVALID_INPUT',
+  GUARD_FAILED: 'GUARD_FAILED'
+};
+
+// Pet statuses an application can be approved or reopened for
+const ADOPTABLE_PET_STATUSES = ['available', 'pending'];
+const MIN_REJECTION_REASON_LENGTH = 10;
+
+/**
+ * Error with a workflow code
+ * @param {string} code - One of WORKFLOW_ERRORS
+ * @param {string} message - Message for the client
+ * @returns {Error}
+ */
+const workflowError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Statuses a request can move to from a status
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Whether another request for the pet is approved
+ * @param {Object} ctx - Transition context
+ * @returns {Promise<boolean>}
+ */
+const hasOtherApprovedRequest = async ({ adoptionRequest, session }) => Boolean(
+  await AdoptionRequest.exists({
+    pet: adoptionRequest.pet._id,
+    status: 'approved',
+    _id: { $ne: adoptionRequest._id }
+  }).session(session)
+);
+
+/**
+ * The pet can still be adopted through this request
+ * @param {Object} ctx - Transition context
+ * @returns {Promise<string|null>} Reason the transition is blocked, or null
+ */
+const petStillAdoptable = async (ctx) => {
+  const { pet } = ctx;
+  if (!pet) return 'The pet of this request no longer exists';
+  if (!ADOPTABLE_PET_STATUSES.includes(pet.status)) {
+    return `${pet.name} is ${pet.status} and cannot be adopted`;
+  }
+  if (await hasOtherApprovedRequest(ctx)) {
+    return `Another request for ${pet.name} is already approved`;
+  }
+  return null;
+};
+
+/**
+ * Checks that must pass before entering a status. Each returns the reason
+ * the transition is blocked, or null.
+ */
+const GUARDS = {
+  approved: petStillAdoptable,
+  pending: ({ from, ...ctx }) => (from === 'rejected' || from === 'waitlisted' ? petStillAdoptable(ctx) : null),
+  under_review: ({ from, ...ctx }) => (from === 'rejected' || from === 'waitlisted' ? petStillAdoptable(ctx) : null),
+  completed: ({ pet }) => {
+    if (!pet) return 'The pet of this request no longer exists';
+    if (pet.status === 'adopted') return `${pet.name} has already been adopted`;
+    return null;
+  }
+};
+
+/**
+ * Move other requests for the same pet to a status. Plain updates, so stale
+ * dates on old applications (meeting time, follow-up) do not fail validation.
+ * @param {Object} ctx - Transition context
+ * @param {string[]} fromStatuses - Statuses of the requests to move
+ * @param {string} status - New status
+ * @param {string} note - Communication log entry and, when rejecting, the reason
+ * @returns {Promise<Array>} [{ id, status }]
+ */
+const moveCompetingRequests = async ({ adoptionRequest, actor, session }, fromStatuses, status, note) => {
+  const competing = await AdoptionRequest.find({
+    pet: adoptionRequest.pet._id,
+    status: { $in: fromStatuses },
+    _id: { $ne: adoptionRequest._id }
+  })
+    .select('_id')
+    .session(session)
+    .lean();
+
+  if (competing.length === 0) return [];
+
+  const ids = competing.map(request => request._id);
+  const now = new Date();
+  await AdoptionRequest.updateMany(
+    { _id: { $in: ids } },
+    {
+      $set: {
+        status,
+        ...(status === 'rejected' && { rejectionReason: note }),
+        reviewedBy: actor,
+        reviewedAt: now
+      },
+      $push: { communicationLog: { type: 'note_added', message: note, adminUser: actor, timestamp: now } }
+    },
+    { session }
+  );
+
+  return ids.map(id => ({ id, status }));
+};
+
+/**
+ * Keep the pet's status in line with its requests: pending while a request
+ * is approved, available again once none is, unless it is due required
+ * treatments it has not had
+ * @param {Object} ctx - Transition context
+ */
+const syncPetStatus = async (ctx) => {
+  const { pet, session } = ctx;
+  if (!pet || !ADOPTABLE_PET_STATUSES.includes(pet.status)) return;
+
+  const approved = ctx.adoptionRequest.status === 'approved' || await hasOtherApprovedRequest(ctx);
+  let status = approved ? 'pending' : 'available';
+
+  // Same rule as updatePet and ending a foster placement: not listed until treated
+  if (status === 'available' && pet.status !== status
+    && (await findOutstandingTreatments(pet._id, { session })).length > 0) {
+    status = 'unavailable';
+  }
+
+  if (pet.status !== status) {
+    await Pet.updateOne({ _id: pet._id }, { $set: { status } }, { session });
+    pet.status = status;
+  }
+};
+
+/**
+ * Side effects of entering a status, run after the request is saved.
+ * Each returns the competing requests it changed.
+ */
+const ON_ENTER = {
+  approved: async (ctx) => {
+    const policy = ctx.competingPolicy;
+    const petName = ctx.pet.name;
+    const affected = policy === 'reject'
+      ? await moveCompetingRequests(ctx, OPEN_STATUSES, 'rejected',
+        `Another applicant was approved to adopt ${petName}.`)
+      : await moveCompetingRequests(ctx, OPEN_STATUSES, 'waitlisted',
+        `Wait-listed: another applicant was approved to adopt ${petName}.`);
+
+    await Pet.updateOne(
+      { _id: ctx.pet._id },
+      { $set: { status: 'pending' }, $inc: { 'inquiries.total': 1 } },
+      { session: ctx.session }
+    );
+    return affected;
+  },
+
+  completed: async (ctx) => {
+    const { adoptionRequest, pet, session } = ctx;
+    const adoptedAt = new Date();
+
+    // Both documents were loaded in the session, so their saves join the transaction
+    await pet.markAsAdopted(adoptionRequest.user._id, adoptedAt);
+    const adopter = await User.findById(adoptionRequest.user._id).session(session);
+    if (adopter) await adopter.addAdoptedPet(pet._id, adoptedAt);
+
+    return moveCompetingRequests(ctx, [...OPEN_STATUSES, 'waitlisted'], 'rejected',
+      `${pet.name} has been adopted by another applicant.`);
+  }
+};
+
+/**
+ * Side effects of leaving a status
+ */
+const ON_LEAVE = {
+  // The adoption fell through: the wait list reopens and the pet is available again
+  approved: (ctx) => moveCompetingRequests(ctx, ['waitlisted'], 'pending',
+    `Reopened: the approved application for ${ctx.pet?.name || 'this pet'} was ${ctx.to}.`)
+};
+
+/**
+ * Change the status of an adoption request, with its guards and side effects
+ * @param {string} requestId - AdoptionRequest ID
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {Object} options.actor - User ID of the staff member
+ * @param {string} [options.rejectionReason] - Required when rejecting
+ * @param {string} [options.adminNotes] - Internal notes stored on the request
+ * @param {string} [options.competingRequests] - waitlist or reject (approvals only)
+ * @returns {Promise<Object>} { adoptionRequest, from, affected: [{ id, status }] }
+ */
+export const transitionAdoptionRequest = async (requestId, to, { actor, rejectionReason, adminNotes, competingRequests } = {}) => {
+  const competingPolicy = competingRequests || DEFAULT_COMPETING_POLICY;
+  if (!COMPETING_REQUEST_POLICIES.includes(competingPolicy)) {
+    throw workflowError(WORKFLOW_ERRORS.INVALID_INPUT,
+      `competingRequests must be one of: ${COMPETING_REQUEST_POLICIES.join(', ')}`);
+  }
+
+  return withTransaction(async (session) => {
+    const adoptionRequest = await AdoptionRequest.findById(requestId).session(session);
+    if (!adoptionRequest) {
+      throw workflowError(WORKFLOW_ERRORS.NOT_FOUND, 'The requested adoption request does not exist');
+    }
+
+    const from = adoptionRequest.status;
+    const allowed = getAllowedTransitions(from);
+    if (!allowed.includes(to)) {
+      throw workflowError(WORKFLOW_ERRORS.INVALID_TRANSITION,
+        `Cannot change status from ${from} to ${to}. Valid transitions: ${allowed.join(', ') || 'none'}`);
+    }
+
+    if (to === 'rejected' && (!rejectionReason || rejectionReason.trim().length < MIN_REJECTION_REASON_LENGTH)) {
+      throw workflowError(WORKFLOW_ERRORS.INVALID_INPUT,
+        `A detailed rejection reason is required when rejecting an application (minimum ${MIN_REJECTION_REASON_LENGTH} characters)`);
+    }
+
+    const pet = await Pet.findById(adoptionRequest.pet).session(session);
+    adoptionRequest.pet = pet || adoptionRequest.pet;
+
+    const ctx = { adoptionRequest, pet, from, to, actor, competingPolicy, session };
+
+    const blocked = GUARDS[to] ? await GUARDS[to](ctx) : null;
+    if (blocked) {
+      throw workflowError(WORKFLOW_ERRORS.GUARD_FAILED, blocked);
+    }
+
+    adoptionRequest.status = to;
+    if (rejectionReason !== undefined) adoptionRequest.rejectionReason = rejectionReason;
+    if (adminNotes !== undefined) adoptionRequest.adminNotes = adminNotes;
+    adoptionRequest.reviewedBy = actor;
+    adoptionRequest.reviewedAt = new Date();
+
+    const statusChangeMessage = `Status changed from ${from} to ${to}`;
+    adoptionRequest.communicationLog.push({
+      type: 'note_added',
+      message: (adminNotes ? `${statusChangeMessage}. Notes: ${adminNotes}` : statusChangeMessage).slice(0, 1000),
+      adminUser: actor,
+      timestamp: new Date()
+    });
+
+    // Old applications can carry dates that are now in the past
+    await adoptionRequest.save({ session, validateModifiedOnly: true });
+
+    const affected = [
+      ...(ON_LEAVE[from] ? await ON_LEAVE[from](ctx) : []),
+      ...(ON_ENTER[to] ? await ON_ENTER[to](ctx) : [])
+    ];
+
+    if (!ON_ENTER[to]) {
+      await syncPetStatus(ctx);
+    }
+
+    logger.info('Adoption request transitioned', {
+      requestId: adoptionRequest._id,
+      petId: pet?._id,
+      from,
+      to,
+      affected: affected.length,
+      actor
+    });
+
+    return { adoptionRequest, from, affected };
+  }, { operation: 'transitionAdoptionRequest' });
+};
+
+export default {
+  OPEN_STATUSES,
+  TRANSITIONS,
+  COMPETING_REQUEST_POLICIES,
+  WORKFLOW_ERRORS,
+  getAllowedTransitions,
+  transitionAdoptionRequest
+};
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import logger from './logger.js';
+
+/**
+ * Audit Service
+ * Records admin mutations as AuditEvents with a field-level diff of the
+ * target record, and builds the filters of the audit log view and export.
+ */
+
+// Changes to these are recorded without their values
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'twoFactorSecret',
+  'twoFactorLastUsedStep',
+  'backupCodes',
+  'sessionsRevokedAt'
+];
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'loginHistory', 'loginAttempts', 'lockUntil', 'lastLogin'];
+
+const REDACTED = '[redacted]';
+
+// Longer values (e.g. image or communication arrays) are summarized
+const MAX_VALUE_LENGTH = 1000;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a value to something comparable and storable
+ * @param {*} value - Raw document value
+ * @returns {*} Plain value
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten nested objects to dot-separated paths; arrays are kept as values
+ * @param {Object} doc - Normalized document
+ * @param {string} prefix - Path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} { path: value }
+ */
+const flatten = (doc, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(doc || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Shorten values that are too large to keep in an audit entry
+ * @param {*} value - Normalized value
+ * @returns {*} Value or a summary of it
+ */
+const compact = (value) => {
+  const text = JSON.stringify(value);
+  if (text === undefined || text.length <= MAX_VALUE_LENGTH) return value;
+  if (Array.isArray(value)) return `[${value.length} items]`;
+  return `${text.slice(0, MAX_VALUE_LENGTH)}…`;
+};
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+export const diffDocuments = (before, after) => {
+  const oldFields = flatten(normalize(before));
+  const newFields = flatten(normalize(after));
+  const paths = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])];
+
+  return paths
+    .filter(path => !IGNORED_FIELDS.includes(path.split('.')[0]) && path !== '_id')
+    .filter(path => JSON.stringify(oldFields[path] ?? null) !== JSON.stringify(newFields[path] ?? null))
+    .sort()
+    .map(path => {
+      if (SENSITIVE_FIELDS.includes(path.split('.')[0])) {
+        return { field: path, before: REDACTED, after: REDACTED };
+      }
+      return {
+        field: path,
+        before: compact(oldFields[path] ?? null),
+        after: compact(newFields[path] ?? null)
+      };
+    });
+};
+
+/**
+ * Readable name of a record for the audit log
+ * @param {Object|null} doc - Target record
+ * @returns {string|undefined} Label
+ */
+export const getTargetLabel = (doc) => {
+  if (!doc) return undefined;
+  return doc.name || doc.username || doc.applicantName || doc.role || doc.email || undefined;
+};
+
+/**
+ * Store an audit event. Failures are logged and never reach the request.
+ * @param {Object} req - Express request (actor, IP, user agent, route)
+ * @param {Object} event - { action, targetType, targetId, targetLabel, before, after, metadata, statusCode }
+ * @returns {Promise<Object|null>} Stored event or null
+ */
+export const recordAuditEvent = async (req, event) => {
+  const { action, targetType, targetId, targetLabel, before = null, after = null, metadata = {}, statusCode } = event;
+  const success = !statusCode || statusCode < 400;
+
+  try {
+    const auditEvent = await AuditEvent.create({
+      actor: req.user._id,
+      actorUsername: req.user.username,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      targetLabel: targetLabel || getTargetLabel(after) || getTargetLabel(before),
+      changes: success ? diffDocuments(before, after) : [],
+      metadata,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode,
+      success,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    logger.info('Audit event recorded', {
+      auditEventId: auditEvent._id,
+      action,
+      targetType,
+      targetId,
+      actorId: req.user._id,
+      success,
+      changedFields: auditEvent.changes.length
+    });
+
+    return auditEvent;
+
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'recordAuditEvent',
+      action,
+      targetType,
+      targetId,
+      actorId: req.user?._id
+    });
+    return null;
+  }
+};
+
+/**
+ * MongoDB filter for the audit log view and export
+ * @param {Object} filters - { actor, action, targetType, targetId, success, from, to, search }
+ * @returns {Object} Query
+ */
+export const buildAuditQuery = (filters = {}) => {
+  const query = {};
+
+  if (filters.actor && mongoose.Types.ObjectId.isValid(filters.actor)) {
+    query.actor = filters.actor;
+  }
+  if (filters.action) {
+    // "pet" matches every pet.* action
+    query.action = filters.action.includes('.')
+      ? filters.action
+      : new RegExp(`^${escapeRegex(filters.action)}\\.`);
+  }
+  if (filters.targetType) query.targetType = filters.targetType;
+  if (filters.targetId) query.targetId = String(filters.targetId);
+  if (filters.success === 'true' || filters.success === 'false') {
+    query.success = filters.success === 'true';
+  }
+
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    query.createdAt = {};
+    if (from && !isNaN(from)) query.createdAt.$gte = from;
+    if (to && !isNaN(to)) query.createdAt.$lte = to;
+  }
+
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search.trim()), 'i');
+    query.$or = [
+      { actorUsername: pattern },
+      { targetLabel: pattern },
+      { 'changes.field': pattern }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * One-line summary of the changes of an event, for exports
+ * @param {Array<Object>} changes - [{ field, before, after }]
+ * @returns {string} e.g. "status: pending -> approved"
+ */
+export const summarizeChanges = (changes = []) => changes
+  .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+  .join('; ');
+
+export default {
+  diffDocuments,
+  getTargetLabel,
+  recordAuditEvent,
+  buildAuditQuery,
+  summarizeChanges
+};
@@ -0,0 +1,184 @@
+import archiver from 'archiver';
+import User from '../models/User.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import ContactMessage from '../models/ContactMessage.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Notification from '../models/Notification.js';
+import ConversationLog from '../models/ConversationLog.js';
+import FosterApplication from '../models/FosterApplication.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import FosterCheckIn from '../models/FosterCheckIn.js';
+import VolunteerShiftSignup from '../models/VolunteerShiftSignup.js';
+import logger from './logger.js';
+
+/**
+ * Data Export Service
+ * Collects everything stored about a user for the self-service
+ * "download my data" request, as one JSON document or a ZIP archive with
+ * one JSON file per section. Staff-only notes and security secrets
+ * (password hash, 2FA secret, tokens) are left out.
+ */
+
+export const DATA_EXPORT_FORMATS = ['json', 'zip'];
+
+// Profile fields that are internal or secret
+const EXCLUDED_USER_FIELDS = [
+  '-password',
+  '-passwordResetToken',
+  '-passwordResetExpires',
+  '-emailVerificationToken',
+  '-emailVerificationExpires',
+  '-twoFactorSecret',
+  '-twoFactorLastUsedStep',
+  '-backupCodes',
+  '-deletionCancelToken',
+  '-internalNotes',
+  '-permissionOverrides',
+  '-loginAttempts',
+  '-lockUntil',
+  '-__v'
+].join(' ');
+
+// ZIP file name of each section
+const SECTION_FILES = {
+  profile: 'profile.json',
+  favorites: 'favorites.json',
+  adoptionRequests: 'adoption-requests.json',
+  contactMessages: 'contact-messages.json',
+  loginHistory: 'login-history.json',
+  savedSearches: 'saved-searches.json',
+  notifications: 'notifications.json',
+  chatbotConversations: 'chatbot-conversations.json',
+  fosterApplications: 'foster-applications.json',
+  fosterPlacements: 'foster-placements.json',
+  fosterCheckIns: 'foster-check-ins.json',
+  volunteerShifts: 'volunteer-shifts.json'
+};
+
+/**
+ * Everything stored about a user, by section
+ * @param {Object} userId - User ObjectId
+ * @returns {Promise<Object|null>} { exportedAt, profile, favorites, ... } or null if the user does not exist
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select(EXCLUDED_USER_FIELDS)
+    .populate('favorites.pet', 'name type breed')
+    .lean();
+
+  if (!user) return null;
+
+  const { loginHistory = [], favorites = [], ...profile } = user;
+
+  const [
+    adoptionRequests, contactMessages, savedSearches, notifications, chatbotConversations,
+    fosterApplications, fosterPlacements, fosterCheckIns, volunteerShifts
+  ] = await Promise.all([
+    AdoptionRequest.find({ user: userId })
+      .select('-adminNotes -reviewedBy -priority -__v')
+      .populate('pet', 'name type breed')
+      .sort({ createdAt: -1 })
+      .lean(),
+    ContactMessage.find({ email: user.email })
+      .select('name email phone subject message preferredContactMethod category status ipAddress userAgent createdAt responses.method responses.responseContent responses.respondedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    SavedSearch.find({ user: userId })
+      .select('name filters alertsEnabled matchCount createdAt updatedAt')
+      .lean(),
+    Notification.find({ user: userId })
+      .select('type title message link isRead readAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    ConversationLog.find({ user: userId })
+      .select('conversationId turns.userMessage turns.botResponse turns.timestamp startedAt lastMessageAt')
+      .sort({ startedAt: -1 })
+      .lean(),
+    FosterApplication.find({ user: userId })
+      .select('-reviewedBy -__v')
+      .sort({ createdAt: -1 })
+      .lean(),
+    FosterPlacement.find({ foster: userId })
+      .select('pet status startDate expectedEndDate endDate endReason checkInIntervalDays lastCheckInAt')
+      .populate('pet', 'name type breed')
+      .sort({ startDate: -1 })
+      .lean(),
+    FosterCheckIn.find({ foster: userId })
+      .select('pet wellbeing eating behavior health notes photos.url status createdAt')
+      .populate('pet', 'name')
+      .sort({ createdAt: -1 })
+      .lean(),
+    VolunteerShiftSignup.find({ volunteer: userId })
+      .select('shift status signedUpAt cancelledAt checkedInAt checkedOutAt hours')
+      .populate('shift', 'title type location startTime endTime status')
+      .sort({ signedUpAt: -1 })
+      .lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    favorites: favorites.map(favorite => ({ pet: favorite.pet, addedAt: favorite.addedAt })),
+    adoptionRequests,
+    contactMessages,
+    loginHistory,
+    savedSearches,
+    notifications,
+    chatbotConversations,
+    fosterApplications,
+    fosterPlacements,
+    fosterCheckIns,
+    volunteerShifts
+  };
+};
+
+/**
+ * Send collected data as a download
+ * @param {Object} res - Express response
+ * @param {Object} data - Result of collectUserData
+ * @param {Object} options - { format, filename }
+ * @returns {Promise<void>}
+ */
+export const sendDataExport = async (res, data, { format, filename }) => {
+  if (!DATA_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported data export format: ${format}`);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.send(JSON.stringify(data, null, 2));
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', error => logger.warn('Data export archive warning', { error: error.message }));
+
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    res.on('close', resolve);
+  });
+
+  archive.pipe(res);
+  archive.append(
+    `Personal data export, created ${data.exportedAt}.\nEach file holds one part of your account data as JSON.\n`,
+    { name: 'README.txt' }
+  );
+  Object.entries(SECTION_FILES).forEach(([section, name]) => {
+    archive.append(JSON.stringify(data[section] ?? null, null, 2), { name });
+  });
+
+  await archive.finalize();
+  await finished;
+};
+
+export default {
+  DATA_EXPORT_FORMATS,
+  collectUserData,
+  sendDataExport
+};
@@ -0,0 +1,273 @@
+import intentClassifier from './intentClassifier.js';
+
+/**
+ * Dialogue State
+ * Slot extraction and accumulation for multi-turn chatbot pet searches.
+ * Slots: type, size, ageRange { min, max } (years), goodWith[], location
+ */
+
+const SIZE_PATTERNS = [
+  { value: 'extra_small', pattern: /\b(extra[\s-]?small|tiny|toy|teacup)\b/ },
+  { value: 'extra_large', pattern: /\b(extra[\s-]?large|giant|huge|very big)\b/ },
+  { value: 'small', pattern: /\b(small|little|smaller)\b/ },
+  { value: 'medium', pattern: /\b(medium|mid[\s-]?sized|average size)\b/ },
+  { value: 'large', pattern: /\b(large|big|bigger)\b/ }
+];
+
+const GOOD_WITH_PATTERNS = [
+  { value: 'children', pattern: /\b(kids?|child(ren)?|toddlers?|family|families|kid[\s-]?friendly)\b/ },
+  { value: 'dogs', pattern: /\b(good|ok|okay|fine|gets along|friendly)\s+with\s+(other\s+)?dogs?\b|\bdog[\s-]?friendly\b/ },
+  { value: 'cats', pattern: /\b(good|ok|okay|fine|gets along|friendly)\s+with\s+(other\s+)?cats?\b|\bcat[\s-]?friendly\b/ },
+  { value: 'smallAnimals', pattern: /\bsmall (animals|pets)\b/ }
+];
+
+const AGE_WORDS = [
+  { pattern: /\b(puppy|puppies|kitten|kittens|baby|babies|young|juvenile)\b/, range: { min: null, max: 2 } },
+  { pattern: /\b(adult|grown|mature)\b/, range: { min: 2, max: 7 } },
+  { pattern: /\b(senior|elderly|old(er)? (dogs?|cats?|pets?|ones?))\b/, range: { min: 7, max: null } }
+];
+
+const RESET_PATTERN = /\b(start over|reset|clear (filters|search)|new search|forget (it|that))\b/;
+
+export const SLOT_NAMES = ['type', 'size', 'ageRange', 'goodWith', 'location'];
+
+/**
+ * Empty slot set
+ * @returns {Object} Slots
+ */
+export const emptySlots = () => ({
+  type: null,
+  size: null,
+  ageRange: null,
+  goodWith: [],
+  location: null
+});
+
+/**
+ * Parse an explicit age range such as "under 3", "between 2 and 5 years" or "older than 8"
+ * @param {string} text - Lowercased message
+ * @returns {Object|null} { min, max } in years
+ */
+const parseAgeRange = (text) => {
+  let match = text.match(/\bbetween\s+(\d{1,2})\s*(?:and|-|to)\s*(\d{1,2})\b/);
+  if (match) {
+    const [a, b] = [Number(match[1]), Number(match[2])].sort((x, y) => x - y);
+    return { min: a, max: b };
+  }
+
+  match = text.match(/\b(?:under|less than|younger than|below|at most|up to)\s+(\d{1,2})\b/);
+  if (match) {
+    return { min: null, max: Number(match[1]) };
+  }
+
+  match = text.match(/\b(?:over|more than|older than|above|at least)\s+(\d{1,2})\b/);
+  if (match) {
+    return { min: Number(match[1]), max: null };
+  }
+
+  match = text.match(/\b(\d{1,2})\s*(?:years?|yrs?)(?:\s*old)?\b/);
+  if (match) {
+    return { min: Number(match[1]), max: Number(match[1]) };
+  }
+
+  const word = AGE_WORDS.find(entry => entry.pattern.test(text));
+  return word ? { ...word.range } : null;
+};
+
+/**
+ * Parse a location such as "in Berlin" or "near New York" (capitalized place names)
+ * @param {string} text - Original message
+ * @returns {string|null} Location
+ */
+const parseLocation = (text) => {
+  const match = text.match(/\b(?:in|near|around)\s+([A-Z][a-zA-ZÀ-ÿ'-]+(?:\s+[A-Z][a-zA-ZÀ-ÿ'-]+)*)/);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Extract slot values from a message and its NLU entities
+ * @param {string} text - User message
+ * @param {Array<Object>} entities - Entities from Wit.ai or the offline classifier
+ * @returns {Object} Partial slots (only the values found in this message)
+ */
+export const extractSlots = (text, entities = []) => {
+  const lower = String(text || '').toLowerCase();
+  const slots = {};
+
+  // Pet type: prefer NLU entities, normalized through the classifier synonyms.
+  // "good with cats" describes compatibility, not the pet being searched for.
+  const typeText = text.replace(/\b(good|ok|okay|fine|gets along|friendly)\s+with\s+(other\s+)?\w+|\b\w+[\s-]friendly\b/gi, ' ');
+  const typeEntity = entities.find(entity => entity.name === 'pet_type' || entity.name?.startsWith('pet_type'));
+  const typeSource = typeEntity ? String(typeEntity.value ?? typeEntity.body ?? '') : typeText;
+  const typeMatch = intentClassifier.extractEntities(typeSource).find(entity => entity.name === 'pet_type')
+    || intentClassifier.extractEntities(typeText).find(entity => entity.name === 'pet_type');
+  if (typeMatch) {
+    slots.type = typeMatch.value;
+  }
+
+  const size = SIZE_PATTERNS.find(entry => entry.pattern.test(lower));
+  if (size) {
+    slots.size = size.value;
+  }
+
+  const ageRange = parseAgeRange(lower);
+  if (ageRange) {
+    slots.ageRange = ageRange;
+  }
+
+  const goodWith = GOOD_WITH_PATTERNS.filter(entry => entry.pattern.test(lower)).map(entry => entry.value);
+  if (goodWith.length > 0) {
+    slots.goodWith = goodWith;
+  }
+
+  const locationEntity = entities.find(entity => entity.name === 'location' || entity.name?.startsWith('wit$location'));
+  const location = locationEntity?.value || locationEntity?.body || parseLocation(text);
+  if (location && typeof location === 'string') {
+    slots.location = location.trim().slice(0, 100);
+  }
+
+  return slots;
+};
+
+/**
+ * Whether the message asks to clear the current search
+ * @param {string} text - User message
+ * @returns {boolean} True to reset slots
+ */
+export const isResetRequest = (text) => RESET_PATTERN.test(String(text || '').toLowerCase());
+
+/**
+ * Merge newly extracted slots into the accumulated state
+ * @param {Object} previous - Accumulated slots
+ * @param {Object} updates - Slots from the latest message
+ * @returns {Object} Merged slots
+ */
+export const mergeSlots = (previous = {}, updates = {}) => {
+  const merged = { ...emptySlots(), ...previous };
+
+  // A new pet type starts a new search; type-specific filters no longer apply
+  if (updates.type && previous.type && updates.type !== previous.type) {
+    merged.size = null;
+  }
+
+  ['type', 'size', 'ageRange', 'location'].forEach(slot => {
+    if (updates[slot]) {
+      merged[slot] = updates[slot];
+    }
+  });
+
+  if (updates.goodWith) {
+    merged.goodWith = [...new Set([...(merged.goodWith || []), ...updates.goodWith])];
+  }
+
+  return merged;
+};
+
+/**
+ * Whether any slot has a value
+ * @param {Object} slots - Slots
+ * @returns {boolean} True if at least one slot is filled
+ */
+export const hasSlots = (slots = {}) => SLOT_NAMES.some(slot => {
+  const value = slots[slot];
+  return Array.isArray(value) ? value.length > 0 : !!value;
+});
+
+/**
+ * Build a Pet query filter from slots, for Pet.findAvailable
+ * @param {Object} slots - Accumulated slots
+ * @returns {Object} MongoDB filter
+ */
+export const buildPetFilters = (slots = {}) => {
+  const filters = {};
+  const and = [];
+
+  if (slots.type) filters.type = slots.type;
+  if (slots.size) filters.size = slots.size;
+
+  (slots.goodWith || []).forEach(animal => {
+    filters[`goodWith.${animal}`] = true;
+  });
+
+  // Pets have no place field to match slots.location against, so it is
+  // kept for the conversation but not used to filter
+
+  // Ages are stored with a unit; anything in weeks or months is under a year
+  if (slots.ageRange) {
+    const { min, max } = slots.ageRange;
+    const years = {};
+    if (min !== null && min !== undefined) years.$gte = min;
+    if (max !== null && max !== undefined) years.$lte = max;
+
+    const conditions = [{ ageUnit: 'years', ...(Object.keys(years).length > 0 && { age: years }) }];
+    if (!min) {
+      conditions.push({ ageUnit: { $in: ['months', 'weeks'] } });
+    }
+    and.push({ $or: conditions });
+  }
+
+  if (and.length > 0) {
+    filters.$and = and;
+  }
+
+  return filters;
+};
+
+/**
+ * Human readable summary of the current slots
+ * @param {Object} slots - Accumulated slots
+ * @returns {string} Summary, e.g. "small dogs good with children"
+ */
+export const describeSlots = (slots = {}) => {
+  const parts = [];
+
+  if (slots.size) parts.push(slots.size.replace('_', ' '));
+  parts.push(slots.type ? `${slots.type.replace('_', ' ')}s` : 'pets');
+
+  if (slots.ageRange) {
+    const { min, max } = slots.ageRange;
+    if (min && max) parts.push(min === max ? `aged ${min}` : `aged ${min}-${max}`);
+    else if (max) parts.push(`up to ${max} years old`);
+    else if (min) parts.push(`${min}+ years old`);
+  }
+
+  if (slots.goodWith?.length) {
+    const labels = { children: 'children', dogs: 'dogs', cats: 'cats', smallAnimals: 'small animals' };
+    parts.push(`good with ${slots.goodWith.map(animal => labels[animal] || animal).join(' and ')}`);
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Suggest a follow-up question for the first unfilled slot
+ * @param {Object} slots - Accumulated slots
+ * @returns {Object|null} { slot, question, quickReplies }
+ */
+export const nextSlotPrompt = (slots = {}) => {
+  if (!slots.type) {
+    return { slot: 'type', question: 'What kind of pet are you looking for?', quickReplies: ['Dog', 'Cat', 'Rabbit', 'Bird'] };
+  }
+  if (!slots.size && ['dog', 'cat', 'rabbit'].includes(slots.type)) {
+    return { slot: 'size', question: 'Any preferred size?', quickReplies: ['Small', 'Medium', 'Large'] };
+  }
+  if (!slots.ageRange) {
+    return { slot: 'ageRange', question: 'Do you prefer a young, adult or senior pet?', quickReplies: ['Young', 'Adult', 'Senior'] };
+  }
+  if (!slots.goodWith?.length) {
+    return { slot: 'goodWith', question: 'Should they be good with kids or other pets?', quickReplies: ['Good with kids', 'Good with dogs', 'Good with cats'] };
+  }
+  return null;
+};
+
+export default {
+  SLOT_NAMES,
+  emptySlots,
+  extractSlots,
+  isResetRequest,
+  mergeSlots,
+  hasSlots,
+  buildPetFilters,
+  describeSlots,
+  nextSlotPrompt
+};
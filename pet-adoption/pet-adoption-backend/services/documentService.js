@@ -0,0 +1,76 @@
+import { sniffImageType } from './imageService.js';
+
+/**
+ * Document Service
+ * Content sniffing and naming helpers for uploaded pet documents
+ * (medical records, vaccination cards, scanned forms).
+ */
+
+export const DOCUMENT_TYPES = ['medical_record', 'vaccination_record', 'behavioral_assessment', 'intake_form', 'other'];
+
+// Types that are shared with the adopter by default once an adoption completes
+export const ADOPTER_SHARED_TYPES = ['medical_record', 'vaccination_record'];
+
+export const ALLOWED_DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * Detect the real document type from magic bytes, ignoring the declared MIME type
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type or null if not a supported document
+ */
+export const sniffDocumentType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 5) return null;
+
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+
+  const imageType = sniffImageType(buffer);
+  return ALLOWED_DOCUMENT_MIME_TYPES.includes(imageType) ? imageType : null;
+};
+
+/**
+ * File extension for a supported MIME type
+ * @param {string} mimeType - Sniffed MIME type
+ * @returns {string} Extension without the dot
+ */
+export const getDocumentExtension = (mimeType) => EXTENSIONS[mimeType] || 'bin';
+
+/**
+ * Build a display name from an uploaded file name, without path or extension
+ * @param {string} originalName - Name sent by the client
+ * @returns {string} Name of at most 100 characters
+ */
+export const toDocumentName = (originalName = '') => {
+  const base = String(originalName).split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  const cleaned = base.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return (cleaned || 'Document').slice(0, 100);
+};
+
+/**
+ * Content-Disposition header value that is safe for any file name
+ * @param {string} name - Document name
+ * @param {string} extension - File extension
+ * @returns {string} Header value
+ */
+export const toContentDisposition = (name, extension) => {
+  const filename = `${name}.${extension}`;
+  const fallback = filename.replace(/[^\w.\- ]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+export default {
+  DOCUMENT_TYPES,
+  ADOPTER_SHARED_TYPES,
+  ALLOWED_DOCUMENT_MIME_TYPES,
+  sniffDocumentType,
+  getDocumentExtension,
+  toDocumentName,
+  toContentDisposition
+};
@@ -0,0 +1,352 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+import { renderTemplate } from './emailTemplates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Email Service
+ * Sends templated email through a pluggable transport with a retry queue
+ *
+ * Transports are selected with EMAIL_TRANSPORT:
+ *   - smtp:    delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   - file:    writes each message as JSON into EMAIL_OUTBOX_DIR (dev and tests)
+ *   - console: logs recipient and subject through winston, never the body
+ *
+ * Production refuses to fall back to console: messages carry login tokens,
+ * and quietly not sending them looks like success to the user.
+ */
+
+const EMAIL_CONFIG = {
+  from: process.env.EMAIL_FROM || 'Pawsome Homes <no-reply@pawsomehomes.org>',
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  baseRetryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 30 * 1000,
+  maxRetryDelayMs: 30 * 60 * 1000,
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../outbox')
+};
+
+/**
+ * Public URL of the frontend, used to build links in emails
+ * @returns {string} Base URL without trailing slash
+ */
+export const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+/**
+ * Each transport factory returns an object with an async send(message) method
+ * resolving to { messageId }. Register additional transports with registerTransport.
+ */
+const transportFactories = {
+  smtp: () => {
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => {
+        const info = await mailer.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  file: () => ({
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+      await fs.mkdir(EMAIL_CONFIG.outboxDir, { recursive: true });
+      await fs.writeFile(
+        path.join(EMAIL_CONFIG.outboxDir, `${messageId}.json`),
+        JSON.stringify({ messageId, createdAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { messageId };
+    }
+  }),
+
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      const messageId = `console-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      // The body is left out: verification and reset links must not reach the logs
+      logger.info('Email (console transport)', {
+        messageId,
+        to: message.to,
+        subject: message.subject
+      });
+      return { messageId };
+    }
+  })
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve the configured transport name
+ * @returns {string} Transport name
+ */
+const resolveTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT.toLowerCase();
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No email transport configured: set SMTP_HOST or EMAIL_TRANSPORT');
+  }
+  return process.env.NODE_ENV === 'test' ? 'file' : 'console';
+};
+
+/**
+ * Get (and lazily create) the active transport
+ * @returns {Object} Transport instance
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = resolveTransportName();
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`Unknown email transport: ${name}`);
+      }
+      logger.warn('Unknown email transport, falling back to console', { transport: name });
+      activeTransport = transportFactories.console();
+    } else {
+      activeTransport = factory();
+    }
+  }
+  return activeTransport;
+};
+
+/**
+ * Create the configured transport up front, so a production server without
+ * one fails at startup instead of on the first sign-up
+ * @returns {string} Transport name
+ */
+const initTransport = () => getTransport().name;
+
+/**
+ * Register a custom transport factory
+ * @param {string} name - Transport name used in EMAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with async send(message)
+ */
+const registerTransport = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error('Transport factory must be a function');
+  }
+  transportFactories[name] = factory;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom instance in scripts)
+ * @param {Object|string} transport - Transport instance or registered name
+ */
+const setTransport = (transport) => {
+  if (typeof transport === 'string') {
+    const factory = transportFactories[transport];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${transport}`);
+    }
+    activeTransport = factory();
+    return;
+  }
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+// ==========================================
+// RETRY QUEUE
+// ==========================================
+
+const retryQueue = [];
+let retryTimer = null;
+
+/**
+ * Exponential backoff delay for a given attempt number
+ * @param {number} attempt - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) =>
+  Math.min(EMAIL_CONFIG.baseRetryDelayMs * 2 ** (attempt - 1), EMAIL_CONFIG.maxRetryDelayMs);
+
+/**
+ * Schedule the queue processor for the earliest pending job
+ */
+const scheduleRetry = () => {
+  if (retryTimer || retryQueue.length === 0) {
+    return;
+  }
+
+  const nextAt = Math.min(...retryQueue.map(job => job.nextAttemptAt));
+  retryTimer = setTimeout(processRetryQueue, Math.max(nextAt - Date.now(), 0));
+  // Never keep the process alive just for pending retries
+  retryTimer.unref();
+};
+
+/**
+ * Attempt delivery of a single job
+ * @param {Object} job - Queue job
+ * @returns {Promise<Object>} Delivery result
+ */
+const attemptDelivery = async (job) => {
+  job.attempts += 1;
+  const transport = getTransport();
+
+  try {
+    const { messageId } = await transport.send(job.message);
+
+    logger.info('Email sent', {
+      jobId: job.id,
+      messageId,
+      transport: transport.name,
+      to: job.message.to,
+      subject: job.message.subject,
+      template: job.template,
+      attempts: job.attempts
+    });
+
+    return { sent: true, messageId, jobId: job.id };
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= EMAIL_CONFIG.maxAttempts) {
+      logger.errorLog(error, {
+        operation: 'sendEmail',
+        jobId: job.id,
+        to: job.message.to,
+        template: job.template,
+        attempts: job.attempts,
+        gaveUp: true
+      });
+      return { sent: false, queued: false, jobId: job.id, error: error.message };
+    }
+
+    job.nextAttemptAt = Date.now() + getRetryDelay(job.attempts);
+    retryQueue.push(job);
+    scheduleRetry();
+
+    logger.warn('Email delivery failed, queued for retry', {
+      jobId: job.id,
+      to: job.message.to,
+      template: job.template,
+      attempts: job.attempts,
+      nextAttemptAt: new Date(job.nextAttemptAt).toISOString(),
+      error: error.message
+    });
+
+    return { sent: false, queued: true, jobId: job.id, error: error.message };
+  }
+};
+
+/**
+ * Process every due job in the retry queue
+ */
+async function processRetryQueue() {
+  retryTimer = null;
+  const now = Date.now();
+  const due = [];
+
+  for (let i = retryQueue.length - 1; i >= 0; i--) {
+    if (retryQueue[i].nextAttemptAt <= now) {
+      due.push(...retryQueue.splice(i, 1));
+    }
+  }
+
+  for (const job of due) {
+    await attemptDelivery(job);
+  }
+
+  scheduleRetry();
+}
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Send an email. Failed deliveries are retried in the background, so callers
+ * never need to handle transport errors themselves.
+ * @param {Object} options - { to, subject, html, text, replyTo, template }
+ * @returns {Promise<Object>} { sent, queued, messageId, jobId }
+ */
+const sendEmail = async ({ to, subject, html, text, replyTo, template } = {}) => {
+  if (!to || !subject || (!html && !text)) {
+    throw new Error('Email requires a recipient, subject and body');
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    template: template || null,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    message: {
+      from: EMAIL_CONFIG.from,
+      to,
+      subject,
+      html,
+      text,
+      ...(replyTo && { replyTo })
+    }
+  };
+
+  return attemptDelivery(job);
+};
+
+/**
+ * Render a template and send it
+ * @param {string} template - Template name from emailTemplates.js
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @param {Object} options - Extra message options (e.g. replyTo)
+ * @returns {Promise<Object>} Delivery result
+ */
+const sendTemplate = async (template, to, data = {}, options = {}) => {
+  const { subject, html, text } = renderTemplate(template, data);
+  return sendEmail({ to, subject, html, text, template, ...options });
+};
+
+/**
+ * Snapshot of the retry queue for health checks
+ * @returns {Object} Queue status
+ */
+const getQueueStatus = () => ({
+  transport: getTransport().name,
+  pending: retryQueue.length,
+  jobs: retryQueue.map(job => ({
+    id: job.id,
+    to: job.message.to,
+    template: job.template,
+    attempts: job.attempts,
+    nextAttemptAt: new Date(job.nextAttemptAt).toISOString(),
+    lastError: job.lastError
+  }))
+});
+
+export default {
+  sendEmail,
+  sendTemplate,
+  initTransport,
+  registerTransport,
+  setTransport,
+  getQueueStatus,
+  getFrontendUrl
+};
@@ -0,0 +1,337 @@
+/**
+ * Email Templates
+ * Builds subject, HTML and plain-text bodies for outbound email
+ */
+
+const APP_NAME = process.env.APP_NAME || 'Pawsome Homes';
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap template content in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML content
+ * @returns {string} Complete HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+            <tr><td><h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(title)}</h1></td></tr>
+            <tr><td style="font-size:15px;line-height:1.6;">${body}</td></tr>
+            <tr><td style="padding-top:32px;font-size:12px;color:#6b7280;">&copy; ${new Date().getFullYear()} ${escapeHtml(APP_NAME)}</td></tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {string} url - Target URL
+ * @param {string} label - Button text
+ * @returns {string} Button HTML
+ */
+const button = (url, label) =>
+  `<p style="margin:24px 0;"><a href="${escapeHtml(url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Friendly greeting name for a recipient
+ * @param {Object} data - Template data
+ * @returns {string} Name to greet
+ */
+const greetingName = (data) => data.firstName || data.username || 'there';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  under_review: 'Under Review',
+  interview_scheduled: 'Interview Scheduled',
+  waitlisted: 'Wait-listed',
+  approved: 'Approved',
+  rejected: 'Not Approved',
+  completed: 'Completed',
+  withdrawn: 'Withdrawn'
+};
+
+const templates = {
+  /**
+   * Account email verification
+   * @param {Object} data - { firstName, username, verificationUrl, expiresInHours }
+   */
+  emailVerification: (data) => {
+    const subject = `Verify your ${APP_NAME} account`;
+    const name = greetingName(data);
+    const expires = data.expiresInHours || 24;
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Thanks for signing up with ${escapeHtml(APP_NAME)}. Please confirm your email address to activate your account.</p>
+        ${button(data.verificationUrl, 'Verify email address')}
+        <p>This link expires in ${escapeHtml(expires)} hours. If you did not create an account, you can ignore this email.</p>`),
+      text: [
+        `Hi ${name},`,
+        '',
+        `Thanks for signing up with ${APP_NAME}. Please confirm your email address to activate your account:`,
+        data.verificationUrl,
+        '',
+        `This link expires in ${expires} hours. If you did not create an account, you can ignore this email.`
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Password reset request
+   * @param {Object} data - { firstName, username, resetUrl, expiresInMinutes }
+   */
+  passwordReset: (data) => {
+    const subject = `Reset your ${APP_NAME} password`;
+    const name = greetingName(data);
+    const expires = data.expiresInMinutes || 15;
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>We received a request to reset your password. Use the button below to choose a new one.</p>
+        ${button(data.resetUrl, 'Reset password')}
+        <p>This link expires in ${escapeHtml(expires)} minutes. If you did not request a reset, no action is needed and your password will stay the same.</p>`),
+      text: [
+        `Hi ${name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        data.resetUrl,
+        '',
+        `This link expires in ${expires} minutes. If you did not request a reset, no action is needed and your password will stay the same.`
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Adoption request status change
+   * @param {Object} data - { firstName, username, petName, status, rejectionReason, note, requestUrl }
+   */
+  adoptionStatusUpdate: (data) => {
+    const statusLabel = STATUS_LABELS[data.status] || data.status;
+    const subject = `Your adoption request for ${data.petName || 'your pet'}: ${statusLabel}`;
+    const name = greetingName(data);
+
+    const htmlParts = [
+      `<p>Hi ${escapeHtml(name)},</p>`,
+      `<p>The status of your adoption request for <strong>${escapeHtml(data.petName || 'your pet')}</strong> is now <strong>${escapeHtml(statusLabel)}</strong>.</p>`
+    ];
+    const textParts = [
+      `Hi ${name},`,
+      '',
+      `The status of your adoption request for ${data.petName || 'your pet'} is now: ${statusLabel}.`
+    ];
+
+    if (data.rejectionReason) {
+      htmlParts.push(`<p><strong>Reason:</strong> ${escapeHtml(data.rejectionReason)}</p>`);
+      textParts.push('', `Reason: ${data.rejectionReason}`);
+    }
+    if (data.note) {
+      htmlParts.push(`<p><strong>Message from our team:</strong><br>${escapeHtml(data.note)}</p>`);
+      textParts.push('', 'Message from our team:', data.note);
+    }
+    if (data.requestUrl) {
+      htmlParts.push(button(data.requestUrl, 'View your request'));
+      textParts.push('', `View your request: ${data.requestUrl}`);
+    }
+
+    return {
+      subject,
+      html: layout(subject, htmlParts.join('\n')),
+      text: textParts.join('\n')
+    };
+  },
+
+  /**
+   * A newly available pet matches one or more saved searches
+   * @param {Object} data - { firstName, username, petName, petType, petBreed, petUrl, searchNames, manageUrl }
+   */
+  savedSearchAlert: (data) => {
+    const subject = `New match: ${data.petName} is available for adoption`;
+    const name = greetingName(data);
+    const searches = (data.searchNames || []).join(', ');
+    const description = [data.petBreed, data.petType].filter(Boolean).join(' ');
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p><strong>${escapeHtml(data.petName)}</strong>${description ? ` (${escapeHtml(description)})` : ''} was just listed and matches your saved search <strong>${escapeHtml(searches)}</strong>.</p>
+        ${data.petUrl ? button(data.petUrl, `Meet ${data.petName}`) : ''}
+        ${data.manageUrl ? `<p style="font-size:13px;color:#6b7280;">You can change or turn off these alerts in your <a href="${escapeHtml(data.manageUrl)}">saved searches</a>.</p>` : ''}`),
+      text: [
+        `Hi ${name},`,
+        '',
+        `${data.petName}${description ? ` (${description})` : ''} was just listed and matches your saved search "${searches}".`,
+        ...(data.petUrl ? ['', `Meet ${data.petName}: ${data.petUrl}`] : []),
+        ...(data.manageUrl ? ['', `Manage your alerts: ${data.manageUrl}`] : [])
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Daily digest of saved search matches
+   * @param {Object} data - { firstName, username, searches: [{ name, pets: [{ name, type, breed, url }] }], manageUrl }
+   */
+  savedSearchDigest: (data) => {
+    const searches = data.searches || [];
+    const total = searches.reduce((sum, search) => sum + search.pets.length, 0);
+    const subject = `${total} new ${total === 1 ? 'pet matches' : 'pets match'} your saved searches`;
+    const name = greetingName(data);
+    const describe = (pet) => [pet.breed, pet.type].filter(Boolean).join(' ');
+
+    const htmlSections = searches.map(search => `
+        <h2 style="font-size:17px;margin:24px 0 8px;">${escapeHtml(search.name)}</h2>
+        <ul style="padding-left:20px;margin:0;">
+          ${search.pets.map(pet => `<li><a href="${escapeHtml(pet.url)}">${escapeHtml(pet.name)}</a>${describe(pet) ? ` &ndash; ${escapeHtml(describe(pet))}` : ''}</li>`).join('\n          ')}
+        </ul>`).join('');
+
+    const textSections = searches.flatMap(search => [
+      '',
+      `${search.name}:`,
+      ...search.pets.map(pet => `- ${pet.name}${describe(pet) ? ` (${describe(pet)})` : ''}: ${pet.url}`)
+    ]);
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Here are the pets listed since your last digest that match your saved searches.</p>
+        ${htmlSections}
+        ${data.manageUrl ? `<p style="font-size:13px;color:#6b7280;margin-top:24px;">You can change or turn off these alerts in your <a href="${escapeHtml(data.manageUrl)}">saved searches</a>.</p>` : ''}`),
+      text: [
+        `Hi ${name},`,
+        '',
+        'Here are the pets listed since your last digest that match your saved searches.',
+        ...textSections,
+        ...(data.manageUrl ? ['', `Manage your alerts: ${data.manageUrl}`] : [])
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Staff reply to a contact form message
+   * @param {Object} data - { name, originalSubject, originalMessage, replyContent, staffName }
+   */
+  contactReply: (data) => {
+    const subject = `Re: ${data.originalSubject || 'Your message to ' + APP_NAME}`;
+    const name = data.name || 'there';
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p style="white-space:pre-line;">${escapeHtml(data.replyContent)}</p>
+        <p>Kind regards,<br>${escapeHtml(data.staffName || `The ${APP_NAME} team`)}</p>
+        ${data.originalMessage ? `<hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0;">
+        <p style="font-size:13px;color:#6b7280;white-space:pre-line;">${escapeHtml(data.originalMessage)}</p>` : ''}`),
+      text: [
+        `Hi ${name},`,
+        '',
+        data.replyContent,
+        '',
+        'Kind regards,',
+        data.staffName || `The ${APP_NAME} team`,
+        ...(data.originalMessage ? ['', '-----', data.originalMessage] : [])
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Account deletion requested by the user
+   * @param {Object} data - { firstName, username, scheduledFor, cancelUrl }
+   */
+  accountDeletionScheduled: (data) => {
+    const subject = `Your ${APP_NAME} account will be deleted`;
+    const name = greetingName(data);
+    const date = new Date(data.scheduledFor).toDateString();
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>We received your request to delete your account. It will be deleted on <strong>${escapeHtml(date)}</strong>, together with your applications, messages and favorites.</p>
+        <p>Changed your mind? You can cancel the deletion until then.</p>
+        ${button(data.cancelUrl, 'Keep my account')}
+        <p>If you did not request this, cancel the deletion and change your password.</p>`),
+      text: [
+        `Hi ${name},`,
+        '',
+        `We received your request to delete your account. It will be deleted on ${date}, together with your applications, messages and favorites.`,
+        '',
+        'Changed your mind? You can cancel the deletion until then:',
+        data.cancelUrl,
+        '',
+        'If you did not request this, cancel the deletion and change your password.'
+      ].join('\n')
+    };
+  },
+
+  /**
+   * Account deleted after the grace period
+   * @param {Object} data - { firstName, username }
+   */
+  accountDeleted: (data) => {
+    const subject = `Your ${APP_NAME} account has been deleted`;
+    const name = greetingName(data);
+
+    return {
+      subject,
+      html: layout(subject, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>As requested, your account and personal data have been deleted. Records of completed adoptions are kept without your personal details.</p>
+        <p>Thank you for being part of ${escapeHtml(APP_NAME)}.</p>`),
+      text: [
+        `Hi ${name},`,
+        '',
+        'As requested, your account and personal data have been deleted. Records of completed adoptions are kept without your personal details.',
+        '',
+        `Thank you for being part of ${APP_NAME}.`
+      ].join('\n')
+    };
+  }
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, html: string, text: string}} Rendered message parts
+ * @throws {Error} If the template does not exist
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+export const hasTemplate = (name) => Object.prototype.hasOwnProperty.call(templates, name);
+
+export { escapeHtml, STATUS_LABELS };
+
+export default { renderTemplate, hasTemplate };
@@ -0,0 +1,167 @@
+import ExcelJS from 'exceljs';
+import logger from './logger.js';
+
+/**
+ * Export Service
+ * Streams query results to the response as CSV, JSON or XLSX so large
+ * exports never have to be held in memory.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Read a (possibly nested) value from a document
+ * @param {Object} doc - Source document
+ * @param {string} path - Dot-separated path, e.g. "profile.firstName"
+ * @returns {*} Value or undefined
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Normalize a value for tabular output
+ * @param {*} value - Raw value
+ * @returns {string|number|boolean|Date|null} Cell value
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return String(value._id ?? value);
+  return String(value);
+};
+
+/**
+ * Escape a CSV field; formula prefixes are neutralized so spreadsheets don't execute them
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  const cell = toCell(value);
+  if (cell === null) return '';
+
+  let text = cell instanceof Date ? cell.toISOString() : String(cell);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Map a document to a flat row
+ * @param {Object} doc - Source document
+ * @param {Array<Object>} columns - { key, header, path }
+ * @returns {Object} Row keyed by column key
+ */
+const toRow = (doc, columns) => Object.fromEntries(
+  columns.map(column => [column.key, toCell(getPath(doc, column.path || column.key))])
+);
+
+/**
+ * Write respecting backpressure
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ */
+const write = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  // Resolve on close too, otherwise an aborted download would wait for drain forever
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * Stream a Mongoose cursor to the response
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filename, columns, cursor }
+ * @returns {Promise<number>} Number of exported records
+ */
+export const streamExport = async (res, { format, filename, columns, cursor }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let count = 0;
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const worksheet = workbook.addWorksheet('Export');
+      worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 20 }));
+      worksheet.getRow(1).font = { bold: true };
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        worksheet.addRow(toRow(doc, columns)).commit();
+        count++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return count;
+    }
+
+    if (format === 'csv') {
+      // BOM so Excel detects UTF-8
+      await write(res, `\uFEFF${columns.map(column => toCsvField(column.header)).join(',')}\n`);
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        const row = toRow(doc, columns);
+        await write(res, `${columns.map(column => toCsvField(row[column.key])).join(',')}\n`);
+        count++;
+      }
+    } else {
+      await write(res, '[');
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        await write(res, `${count > 0 ? ',' : ''}\n${JSON.stringify(toRow(doc, columns))}`);
+        count++;
+      }
+
+      await write(res, '\n]\n');
+    }
+
+    res.end();
+    return count;
+
+  } catch (error) {
+    logger.errorLog(error, { operation: 'streamExport', format, filename, exported: count });
+
+    // Headers are already sent; cut the stream so the client sees a failed download
+    res.destroy(error);
+    throw error;
+  }
+};
+
+export default {
+  EXPORT_FORMATS,
+  streamExport
+};
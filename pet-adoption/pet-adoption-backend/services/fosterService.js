@@ -0,0 +1,293 @@
+import FosterApplication from '../models/FosterApplication.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import Pet from '../models/Pet.js';
+import User from '../models/User.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import { createNotification } from './notificationService.js';
+import { withTransaction } from './transactionService.js';
+import { locationEntry } from './kennelService.js';
+import { findOutstandingTreatments } from './medicalService.js';
+import logger from './logger.js';
+
+/**
+ * Foster Service
+ * The foster program: reviewing foster applications, placing pets with
+ * approved foster parents and ending placements. A placement sets the pet to
+ * `fostered` at location `foster` (freeing its kennel) with Pet.fosterFamily
+ * and User.fosterPets pointing at each other; ending it undoes both.
+ * Both moves are kept in Pet.locationHistory. A pet that comes back due
+ * required treatments stays `unavailable` until they are done.
+ *
+ * Errors carry a `code` (see FOSTER_ERRORS) for the controller to map.
+ */
+
+export const FOSTER_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  CONFLICT: 'CONFLICT'
+};
+
+// Pet statuses a pet can go into foster from
+const PLACEABLE_PET_STATUSES = ['available', 'on_hold', 'returned', 'unavailable'];
+
+// Roles that already outrank foster and keep their role on approval
+const ROLES_KEPT_ON_APPROVAL = ['foster', 'staff', 'admin', 'super_admin'];
+
+// Where the pet goes when a placement ends, by reason
+const END_OUTCOMES = {
+  returned_to_shelter: { status: 'available', currentLocation: 'shelter' },
+  foster_request: { status: 'available', currentLocation: 'shelter' },
+  medical: { status: 'unavailable', currentLocation: 'medical' },
+  adopted: { status: 'available', currentLocation: 'shelter' }, // Ready for the adoption to go through
+  other: { status: 'available', currentLocation: 'shelter' }
+};
+
+/**
+ * Error with a foster code
+ * @param {string} code - One of FOSTER_ERRORS
+ * @param {string} message - Message for the client
+ * @returns {Error}
+ */
+const fosterError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * In-app notification for a foster parent; failures are logged, not thrown
+ * @param {Object} userId - User ObjectId
+ * @param {Object} data - { title, message, relatedPet }
+ */
+const notifyFoster = (userId, { title, message, relatedPet }) => createNotification({
+  user: userId,
+  type: 'foster_update',
+  title,
+  message,
+  link: '/foster',
+  relatedPet
+});
+
+/**
+ * Approve or reject a pending foster application. Approval gives the
+ * applicant the foster role unless their role already covers it.
+ * @param {string} applicationId - FosterApplication ID
+ * @param {Object} options - { decision: 'approved' | 'rejected', reviewNotes, reviewer }
+ * @returns {Promise<Object>} Updated application
+ */
+export const reviewFosterApplication = async (applicationId, { decision, reviewNotes, reviewer }) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw fosterError(FOSTER_ERRORS.INVALID_INPUT, 'Decision must be approved or rejected');
+  }
+
+  const application = await FosterApplication.findById(applicationId);
+  if (!application) {
+    throw fosterError(FOSTER_ERRORS.NOT_FOUND, 'The requested foster application does not exist');
+  }
+  if (application.status !== 'pending') {
+    throw fosterError(FOSTER_ERRORS.CONFLICT, `This application is already ${application.status}`);
+  }
+
+  application.status = decision;
+  application.reviewNotes = reviewNotes;
+  application.reviewedBy = reviewer;
+  application.reviewedAt = new Date();
+  await application.save();
+
+  if (decision === 'approved') {
+    const user = await User.findById(application.user);
+    if (user && !ROLES_KEPT_ON_APPROVAL.includes(user.role)) {
+      // Saving recomputes the user's permissions for the new role
+      user.role = 'foster';
+      await user.save();
+    }
+  }
+
+  await notifyFoster(application.user, decision === 'approved'
+    ? {
+      title: 'Foster application approved',
+      message: 'Welcome to the foster program! We will be in touch when a pet needs a foster home.'
+    }
+    : {
+      title: 'Foster application not approved',
+      message: `Your foster application was not approved.${reviewNotes ? ` ${reviewNotes}` : ''}`.slice(0, 2000)
+    });
+
+  logger.info('Foster application reviewed', {
+    applicationId: application._id,
+    userId: application.user,
+    decision,
+    reviewer
+  });
+
+  return application;
+};
+
+/**
+ * Place a pet with an approved foster parent
+ * @param {Object} options
+ * @param {string} options.petId - Pet ID
+ * @param {string} options.fosterId - User ID of the foster parent
+ * @param {Object} options.assignedBy - User ID of the staff member
+ * @param {Date} [options.expectedEndDate] - Planned end of the placement
+ * @param {number} [options.checkInIntervalDays] - Days between check-in reports
+ * @param {string} [options.notes] - Notes for the foster parent
+ * @returns {Promise<Object>} Created placement
+ */
+export const placePet = async ({ petId, fosterId, assignedBy, expectedEndDate, checkInIntervalDays, notes }) => {
+  const placement = await withTransaction(async (session) => {
+    // One operation at a time: a transaction's session does not run them in parallel
+    const pet = await Pet.findById(petId).session(session);
+    const foster = await User.findById(fosterId).session(session);
+    const application = await FosterApplication.findOne({ user: fosterId, status: 'approved' })
+      .sort({ reviewedAt: -1 })
+      .session(session);
+
+    if (!pet) throw fosterError(FOSTER_ERRORS.NOT_FOUND, 'The requested pet does not exist');
+    if (!foster) throw fosterError(FOSTER_ERRORS.NOT_FOUND, 'The requested foster parent does not exist');
+
+    if (foster.status !== 'active') {
+      throw fosterError(FOSTER_ERRORS.CONFLICT, `${foster.username}'s account is not active`);
+    }
+    if (!application && foster.role !== 'foster') {
+      throw fosterError(FOSTER_ERRORS.CONFLICT, `${foster.username} is not an approved foster parent`);
+    }
+    if (!PLACEABLE_PET_STATUSES.includes(pet.status)) {
+      throw fosterError(FOSTER_ERRORS.CONFLICT, `${pet.name} is ${pet.status} and cannot go into foster`);
+    }
+
+    const approvedRequest = await AdoptionRequest.exists({ pet: pet._id, status: 'approved' }).session(session);
+    const activePlacements = await FosterPlacement.countDocuments({ foster: foster._id, status: 'active' }).session(session);
+    if (approvedRequest) {
+      throw fosterError(FOSTER_ERRORS.CONFLICT, `${pet.name} has an approved adoption request`);
+    }
+    if (application && activePlacements >= application.maxPets) {
+      throw fosterError(FOSTER_ERRORS.CONFLICT,
+        `${foster.username} is already fostering ${activePlacements} of at most ${application.maxPets} pets`);
+    }
+
+    const startDate = new Date();
+    const [created] = await FosterPlacement.create([{
+      pet: pet._id,
+      foster: foster._id,
+      startDate,
+      expectedEndDate,
+      checkInIntervalDays,
+      notes,
+      assignedBy
+    }], { session });
+    created.scheduleNextCheckIn(startDate);
+    await created.save({ session });
+
+    await Pet.updateOne(
+      { _id: pet._id },
+      {
+        $set: { status: 'fostered', currentLocation: 'foster', fosterFamily: foster._id },
+        $unset: { kennelNumber: 1 },
+        $push: { locationHistory: locationEntry({ location: 'foster', reason: 'Foster placement', movedBy: assignedBy }) }
+      },
+      { session }
+    );
+
+    // Loaded in the session, so this save joins the transaction
+    await foster.addFosterPet(pet._id, startDate);
+
+    return created;
+  }, { operation: 'placePet' });
+
+  const pet = await Pet.findById(placement.pet).select('name').lean();
+  await notifyFoster(placement.foster, {
+    title: `${pet?.name || 'A pet'} is coming to stay`,
+    message: `${pet?.name || 'A pet'} has been placed with you. Please send a check-in report every ${placement.checkInIntervalDays} days from your foster portal.`,
+    relatedPet: placement.pet
+  });
+
+  logger.info('Pet placed in foster', {
+    placementId: placement._id,
+    petId: placement.pet,
+    fosterId: placement.foster,
+    assignedBy
+  });
+
+  return placement;
+};
+
+/**
+ * End an active placement and bring the pet's status and location back
+ * @param {string} placementId - FosterPlacement ID
+ * @param {Object} options - { reason, notes, endedBy }
+ * @returns {Promise<Object>} Ended placement
+ */
+export const endPlacement = async (placementId, { reason, notes, endedBy }) => {
+  const outcome = END_OUTCOMES[reason];
+  if (!outcome) {
+    throw fosterError(FOSTER_ERRORS.INVALID_INPUT,
+      `End reason must be one of: ${Object.keys(END_OUTCOMES).join(', ')}`);
+  }
+
+  const placement = await withTransaction(async (session) => {
+    const current = await FosterPlacement.findById(placementId).session(session);
+    if (!current) {
+      throw fosterError(FOSTER_ERRORS.NOT_FOUND, 'The requested foster placement does not exist');
+    }
+    if (current.status !== 'active') {
+      throw fosterError(FOSTER_ERRORS.CONFLICT, 'This placement has already ended');
+    }
+
+    const endDate = new Date();
+    current.status = 'ended';
+    current.endDate = endDate;
+    current.endReason = reason;
+    current.endNotes = notes;
+    current.endedBy = endedBy;
+    current.nextCheckInDue = undefined;
+    await current.save({ session });
+
+    // Back at the shelter but due required treatments: not listed until they are done
+    const untreated = outcome.status === 'available'
+      && (await findOutstandingTreatments(current.pet, { session })).length > 0;
+
+    // Only undo what the placement set; staff may have moved the pet meanwhile
+    await Pet.updateOne(
+      { _id: current.pet, status: 'fostered', fosterFamily: current.foster },
+      {
+        $set: untreated ? { ...outcome, status: 'unavailable' } : outcome,
+        $unset: { fosterFamily: 1 },
+        $push: { locationHistory: locationEntry({ location: outcome.currentLocation, reason: 'Foster placement ended', movedBy: endedBy }) }
+      },
+      { session }
+    );
+
+    await User.updateOne(
+      { _id: current.foster },
+      { $set: { 'fosterPets.$[entry].endDate': endDate, 'fosterPets.$[entry].isActive': false } },
+      { arrayFilters: [{ 'entry.pet': current.pet, 'entry.isActive': true }], session }
+    );
+
+    return current;
+  }, { operation: 'endPlacement' });
+
+  const pet = await Pet.findById(placement.pet).select('name').lean();
+  await notifyFoster(placement.foster, {
+    title: `${pet?.name || 'Your foster pet'}'s placement has ended`,
+    message: `Thank you for fostering ${pet?.name || 'this pet'}! The placement has been closed.`,
+    relatedPet: placement.pet
+  });
+
+  logger.info('Foster placement ended', {
+    placementId: placement._id,
+    petId: placement.pet,
+    fosterId: placement.foster,
+    reason,
+    endedBy
+  });
+
+  return placement;
+};
+
+export default {
+  FOSTER_ERRORS,
+  reviewFosterApplication,
+  placePet,
+  endPlacement
+};
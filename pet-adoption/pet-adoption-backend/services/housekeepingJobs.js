@@ -0,0 +1,435 @@
+import Pet from '../models/Pet.js';
+import User from '../models/User.js';
+import AdoptionRequest from '../models/AdoptionRequest.js';
+import ContactMessage from '../models/ContactMessage.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import MedicalEvent from '../models/MedicalEvent.js';
+import { registerJob } from './jobScheduler.js';
+import { createNotification } from './notificationService.js';
+import { processScheduledDeletions } from './accountDeletionService.js';
+import { sendDailyDigests, notifyMatchingSearches, DIGEST_HOUR } from './savedSearchService.js';
+import { closePastShifts } from './volunteerService.js';
+import { releaseExpiredStrayHolds } from './intakeService.js';
+import { lapseOverdueVaccinations } from './medicalService.js';
+
+/**
+ * Housekeeping Jobs
+ * Time-based work implied by date fields on the models: expiring featured
+ * pets, ending stray holds, flagging overdue contact messages, follow-up
+ * reminders for staff, medical due reminders, foster check-in reminders,
+ * closing past volunteer shifts, clearing expired tokens and account locks, scheduled account
+ * deletions and the saved search digest. Registered with the job scheduler at
+ * startup.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Contact messages that have not been answered, and those still open
+const UNANSWERED_CONTACT_STATUSES = ['new', 'read', 'in_progress'];
+const CLOSED_CONTACT_STATUSES = ['resolved', 'closed', 'spam'];
+const CLOSED_ADOPTION_STATUSES = ['rejected', 'completed', 'withdrawn'];
+
+// Titles listed in one reminder before it says "and N more"
+const REMINDER_LIST_LIMIT = 5;
+
+/**
+ * Active staff with a permission
+ * @param {string} permission - Permission name
+ * @returns {Promise<Array>} User IDs
+ */
+const findStaffWith = async (permission) => {
+  const staff = await User.find({ permissions: permission, status: 'active' }).select('_id').lean();
+  return staff.map(user => user._id);
+};
+
+/**
+ * Group items by who should hear about them: the assigned staff member, or
+ * everyone with the fallback permission when nobody is assigned
+ * @param {Array} items - Documents
+ * @param {Function} getAssignee - Item -> user ID or undefined
+ * @param {string} permission - Permission of the fallback recipients
+ * @returns {Promise<Map>} user ID -> items
+ */
+const groupByRecipient = async (items, getAssignee, permission) => {
+  const recipients = new Map();
+  const add = (userId, item) => {
+    const key = String(userId);
+    recipients.set(key, [...(recipients.get(key) || []), item]);
+  };
+
+  const unassigned = items.filter(item => !getAssignee(item));
+  if (unassigned.length > 0) {
+    const staff = await findStaffWith(permission);
+    unassigned.forEach(item => staff.forEach(userId => add(userId, item)));
+  }
+  items.filter(getAssignee).forEach(item => add(getAssignee(item), item));
+
+  return recipients;
+};
+
+/**
+ * One reminder per recipient listing their items
+ * @param {Map} recipients - user ID -> items
+ * @param {Object} options - { title, describe, getLabel, link, type }
+ * @returns {Promise<number>} Notifications created
+ */
+const sendReminders = async (recipients, { title, describe, getLabel, link, type = 'staff_reminder' }) => {
+  let notified = 0;
+
+  for (const [userId, items] of recipients) {
+    const labels = items.slice(0, REMINDER_LIST_LIMIT).map(getLabel);
+    const more = items.length - labels.length;
+
+    const notification = await createNotification({
+      user: userId,
+      type,
+      title,
+      message: `${describe(items.length)}: ${labels.join(', ')}${more > 0 ? ` and ${more} more` : ''}.`.slice(0, 2000),
+      link,
+      data: { ids: items.map(item => String(item._id)) }
+    });
+    if (notification) notified++;
+  }
+
+  return notified;
+};
+
+/**
+ * Unfeature pets whose featuredUntil date has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { expired }
+ */
+export const expireFeaturedPets = async ({ now = new Date() } = {}) => {
+  const result = await Pet.updateMany(
+    { isFeatured: true, featuredUntil: { $lte: now } },
+    { $set: { isFeatured: false }, $unset: { featuredUntil: 1 } }
+  );
+
+  return { expired: result.modifiedCount };
+};
+
+/**
+ * End stray holds that have run out, list the held pets for adoption and
+ * tell pet staff which pets are now available
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { released, listed, notified }
+ */
+export const endStrayHolds = async ({ now = new Date() } = {}) => {
+  const { released, listed } = await releaseExpiredStrayHolds({ now });
+  if (released.length === 0) return { released: 0, listed: 0, notified: 0 };
+
+  // Never throws; saved search alerts must not fail the job
+  await Promise.all(listed.map(pet => notifyMatchingSearches(pet)));
+
+  const staff = await findStaffWith('manage_pets');
+  const recipients = new Map(staff.map(userId => [String(userId), released]));
+  const notified = await sendReminders(recipients, {
+    title: 'Stray holds ended',
+    describe: count => `The stray hold ended for ${count} ${count === 1 ? 'pet' : 'pets'}`,
+    getLabel: pet => (pet.status === 'available' ? `${pet.name} (now available)` : `${pet.name} (${pet.status})`),
+    link: '/admin'
+  });
+
+  return { released: released.length, listed: listed.length, notified };
+};
+
+/**
+ * Flag open contact messages past their response deadline and tell the
+ * assigned staff member (or everyone who handles contact messages)
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { flagged, notified }
+ */
+export const flagOverdueContactMessages = async ({ now = new Date() } = {}) => {
+  const messages = await ContactMessage.find({
+    responseDeadline: { $lte: now },
+    status: { $in: UNANSWERED_CONTACT_STATUSES },
+    overdueFlaggedAt: { $exists: false }
+  })
+    .select('name subject assignedTo')
+    .lean();
+
+  if (messages.length === 0) return { flagged: 0, notified: 0 };
+
+  // Plain update: saving would fail the "deadline in the future" validator
+  await ContactMessage.updateMany(
+    { _id: { $in: messages.map(message => message._id) } },
+    { $set: { overdueFlaggedAt: now } }
+  );
+
+  const recipients = await groupByRecipient(messages, message => message.assignedTo, 'manage_contact_messages');
+  const notified = await sendReminders(recipients, {
+    title: 'Contact messages overdue',
+    describe: count => `${count} contact ${count === 1 ? 'message is' : 'messages are'} past the response deadline`,
+    getLabel: message => `"${message.subject || 'No subject'}" from ${message.name}`,
+    link: '/admin'
+  });
+
+  return { flagged: messages.length, notified };
+};
+
+// Due follow-ups that were not reminded about since the follow-up date was set
+const dueFollowUpFilter = (now) => ({
+  followUpRequired: true,
+  followUpDate: { $lte: now },
+  $or: [
+    { followUpRemindedAt: { $exists: false } },
+    { $expr: { $lt: ['$followUpRemindedAt', '$followUpDate'] } }
+  ]
+});
+
+/**
+ * Remind staff of adoption requests and contact messages whose follow-up
+ * date has arrived. Each follow-up date is reminded about once.
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { adoptionRequests, contactMessages, notified }
+ */
+export const remindFollowUps = async ({ now = new Date() } = {}) => {
+  const [requests, messages] = await Promise.all([
+    AdoptionRequest.find({ ...dueFollowUpFilter(now), status: { $nin: CLOSED_ADOPTION_STATUSES } })
+      .select('applicantName reviewedBy pet')
+      .populate('pet', 'name')
+      .lean(),
+    ContactMessage.find({ ...dueFollowUpFilter(now), status: { $nin: CLOSED_CONTACT_STATUSES } })
+      .select('name subject assignedTo')
+      .lean()
+  ]);
+
+  let notified = 0;
+
+  if (requests.length > 0) {
+    await AdoptionRequest.updateMany(
+      { _id: { $in: requests.map(request => request._id) } },
+      { $set: { followUpRemindedAt: now } }
+    );
+
+    const recipients = await groupByRecipient(requests, request => request.reviewedBy, 'manage_adoption_requests');
+    notified += await sendReminders(recipients, {
+      title: 'Adoption follow-ups due',
+      describe: count => `${count} adoption ${count === 1 ? 'request needs' : 'requests need'} a follow-up`,
+      getLabel: request => `${request.applicantName} for ${request.pet?.name || 'a pet'}`,
+      link: '/admin'
+    });
+  }
+
+  if (messages.length > 0) {
+    await ContactMessage.updateMany(
+      { _id: { $in: messages.map(message => message._id) } },
+      { $set: { followUpRemindedAt: now } }
+    );
+
+    const recipients = await groupByRecipient(messages, message => message.assignedTo, 'manage_contact_messages');
+    notified += await sendReminders(recipients, {
+      title: 'Contact follow-ups due',
+      describe: count => `${count} contact ${count === 1 ? 'message needs' : 'messages need'} a follow-up`,
+      getLabel: message => `"${message.subject || 'No subject'}" from ${message.name}`,
+      link: '/admin'
+    });
+  }
+
+  return { adoptionRequests: requests.length, contactMessages: messages.length, notified };
+};
+
+/**
+ * Remind pet staff of medical events due within a day, and mark
+ * vaccinations as not current once one is overdue. Each event is reminded
+ * about once per due date.
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { events, lapsedVaccinations, notified }
+ */
+export const remindMedicalEventsDue = async ({ now = new Date() } = {}) => {
+  const lapsedVaccinations = await lapseOverdueVaccinations({ now });
+
+  const events = await MedicalEvent.find({
+    status: 'scheduled',
+    dueDate: { $lte: new Date(now.getTime() + DAY) },
+    reminderSentAt: { $exists: false }
+  })
+    .select('name pet')
+    .populate('pet', 'name status')
+    .lean();
+
+  if (events.length === 0) return { events: 0, lapsedVaccinations, notified: 0 };
+
+  await MedicalEvent.updateMany(
+    { _id: { $in: events.map(event => event._id) } },
+    { $set: { reminderSentAt: now } }
+  );
+
+  // Adopted pets' care has moved to the adopter's vet
+  const inCare = events.filter(event => event.pet && event.pet.status !== 'adopted');
+  if (inCare.length === 0) return { events: 0, lapsedVaccinations, notified: 0 };
+
+  const staff = await findStaffWith('manage_pets');
+  const recipients = new Map(staff.map(userId => [String(userId), inCare]));
+  const notified = await sendReminders(recipients, {
+    title: 'Medical care due',
+    describe: count => `${count} medical ${count === 1 ? 'event is' : 'events are'} due`,
+    getLabel: event => `${event.name} for ${event.pet.name}`,
+    link: '/admin'
+  });
+
+  return { events: inCare.length, lapsedVaccinations, notified };
+};
+
+/**
+ * Remind foster parents whose check-in report is due. Each due date is
+ * reminded about once.
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { placements, notified }
+ */
+export const remindFosterCheckIns = async ({ now = new Date() } = {}) => {
+  const placements = await FosterPlacement.find({
+    status: 'active',
+    nextCheckInDue: { $lte: now },
+    $or: [
+      { checkInRemindedAt: { $exists: false } },
+      { $expr: { $lt: ['$checkInRemindedAt', '$nextCheckInDue'] } }
+    ]
+  })
+    .select('foster pet')
+    .populate('pet', 'name')
+    .lean();
+
+  if (placements.length === 0) return { placements: 0, notified: 0 };
+
+  await FosterPlacement.updateMany(
+    { _id: { $in: placements.map(placement => placement._id) } },
+    { $set: { checkInRemindedAt: now } }
+  );
+
+  const recipients = new Map();
+  placements.forEach(placement => {
+    const key = String(placement.foster);
+    recipients.set(key, [...(recipients.get(key) || []), placement]);
+  });
+
+  const notified = await sendReminders(recipients, {
+    title: 'Foster check-in due',
+    describe: count => `Please send a check-in report for ${count === 1 ? 'your foster pet' : `${count} foster pets`}`,
+    getLabel: placement => placement.pet?.name || 'your foster pet',
+    link: '/foster',
+    type: 'foster_update'
+  });
+
+  return { placements: placements.length, notified };
+};
+
+/**
+ * Clear expired password reset and email verification tokens, and account
+ * locks (failed logins) that have run out. Refresh tokens are removed by
+ * their TTL index.
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { passwordResetTokens, verificationTokens, accountLocks }
+ */
+export const purgeExpiredTokens = async ({ now = new Date() } = {}) => {
+  const [passwordReset, verification, locks] = await Promise.all([
+    User.updateMany(
+      { passwordResetExpires: { $lte: now } },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    ),
+    User.updateMany(
+      { emailVerificationExpires: { $lte: now } },
+      { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+    ),
+    User.updateMany(
+      { lockUntil: { $lte: now } },
+      { $unset: { lockUntil: 1 }, $set: { loginAttempts: 0 } }
+    )
+  ]);
+
+  return {
+    passwordResetTokens: passwordReset.modifiedCount,
+    verificationTokens: verification.modifiedCount,
+    accountLocks: locks.modifiedCount
+  };
+};
+
+/**
+ * Register every housekeeping job with the scheduler
+ */
+export const registerHousekeepingJobs = () => {
+  registerJob({
+    name: 'featured_pets_expiry',
+    description: 'Unfeature pets whose featured period has ended',
+    intervalMs: 15 * MINUTE,
+    handler: expireFeaturedPets
+  });
+
+  registerJob({
+    name: 'stray_hold_release',
+    description: 'List strays whose hold has ended and notify pet staff',
+    intervalMs: 15 * MINUTE,
+    handler: endStrayHolds
+  });
+
+  registerJob({
+    name: 'overdue_contact_messages',
+    description: 'Flag contact messages past their response deadline and notify staff',
+    intervalMs: 15 * MINUTE,
+    handler: flagOverdueContactMessages
+  });
+
+  registerJob({
+    name: 'follow_up_reminders',
+    description: 'Remind staff of due adoption and contact follow-ups',
+    intervalMs: HOUR,
+    handler: remindFollowUps
+  });
+
+  registerJob({
+    name: 'medical_due_reminders',
+    description: 'Remind pet staff of medical events due and lapse overdue vaccinations',
+    intervalMs: HOUR,
+    handler: remindMedicalEventsDue
+  });
+
+  registerJob({
+    name: 'foster_check_in_reminders',
+    description: 'Remind foster parents whose check-in report is due',
+    intervalMs: HOUR,
+    handler: remindFosterCheckIns
+  });
+
+  registerJob({
+    name: 'volunteer_shift_close',
+    description: 'Close ended volunteer shifts, logging hours and marking no-shows',
+    intervalMs: HOUR,
+    handler: closePastShifts
+  });
+
+  registerJob({
+    name: 'expired_token_purge',
+    description: 'Clear expired reset and verification tokens and account locks',
+    intervalMs: HOUR,
+    handler: purgeExpiredTokens
+  });
+
+  registerJob({
+    name: 'account_deletions',
+    description: 'Delete or anonymize accounts past their scheduled deletion date',
+    intervalMs: HOUR,
+    lockTimeoutMs: 30 * MINUTE,
+    handler: ({ now }) => processScheduledDeletions({ now })
+  });
+
+  registerJob({
+    name: 'saved_search_digest',
+    description: 'Email the daily digest of saved search matches',
+    dailyAtHourUtc: DIGEST_HOUR,
+    lockTimeoutMs: 30 * MINUTE,
+    handler: () => sendDailyDigests()
+  });
+};
+
+export default {
+  expireFeaturedPets,
+  endStrayHolds,
+  flagOverdueContactMessages,
+  remindFollowUps,
+  remindMedicalEventsDue,
+  remindFosterCheckIns,
+  purgeExpiredTokens,
+  registerHousekeepingJobs
+};
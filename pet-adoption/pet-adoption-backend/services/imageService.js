@@ -0,0 +1,103 @@
+import sharp from 'sharp';
+
+/**
+ * Image Service
+ * Content sniffing and variant generation for uploaded images.
+ * Every upload produces a re-encoded original (EXIF/GPS stripped), a WebP
+ * version for display and a square WebP thumbnail.
+ */
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1600;
+const THUMBNAIL_SIZE = parseInt(process.env.IMAGE_THUMBNAIL_SIZE, 10) || 400;
+
+// Decompression bomb guard (roughly 8000 x 5000)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+/**
+ * Detect the real image type from magic bytes, ignoring the declared MIME type
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type or null if not a supported image
+ */
+export const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+  return null;
+};
+
+/**
+ * Generate the stored variants of an image
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} { mimeType, width, height, variants: { original, webp, thumbnail } }
+ *   where each variant is { buffer, extension, contentType }
+ */
+export const processImage = async (buffer) => {
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) {
+    throw Object.assign(new Error('File is not a supported image'), { code: 'UNSUPPORTED_IMAGE' });
+  }
+
+  // Only the first frame of animated images is kept; rotate() applies the EXIF orientation
+  const source = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false }).rotate();
+
+  let metadata;
+  try {
+    metadata = await source().metadata();
+  } catch (error) {
+    throw Object.assign(new Error('Image could not be decoded'), { code: 'INVALID_IMAGE', cause: error });
+  }
+
+  const resized = () => source().resize({
+    width: MAX_DIMENSION,
+    height: MAX_DIMENSION,
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+
+  // GIFs are stored as PNG so the original is a still image like the other variants
+  const original = mimeType === 'image/jpeg'
+    ? { pipeline: resized().jpeg({ quality: 85, mozjpeg: true }), extension: 'jpg', contentType: 'image/jpeg' }
+    : mimeType === 'image/webp'
+      ? { pipeline: resized().webp({ quality: 85 }), extension: 'webp', contentType: 'image/webp' }
+      : { pipeline: resized().png({ compressionLevel: 9 }), extension: 'png', contentType: 'image/png' };
+
+  let originalBuffer, webpResult, thumbnailBuffer;
+  try {
+    [originalBuffer, webpResult, thumbnailBuffer] = await Promise.all([
+      original.pipeline.toBuffer(),
+      resized().webp({ quality: 80 }).toBuffer({ resolveWithObject: true }),
+      source()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: sharp.strategy.attention })
+        .webp({ quality: 75 })
+        .toBuffer()
+    ]);
+  } catch (error) {
+    // Truncated or corrupt data can pass the header check and fail while decoding
+    throw Object.assign(new Error('Image could not be decoded'), { code: 'INVALID_IMAGE', cause: error });
+  }
+
+  return {
+    mimeType,
+    width: webpResult.info.width,
+    height: webpResult.info.height,
+    originalWidth: metadata.autoOrient?.width || metadata.width,
+    originalHeight: metadata.autoOrient?.height || metadata.height,
+    variants: {
+      original: { buffer: originalBuffer, extension: original.extension, contentType: original.contentType },
+      webp: { buffer: webpResult.data, extension: 'webp', contentType: 'image/webp' },
+      thumbnail: { buffer: thumbnailBuffer, extension: 'webp', contentType: 'image/webp' }
+    }
+  };
+};
+
+export default {
+  ALLOWED_IMAGE_TYPES,
+  sniffImageType,
+  processImage
+};
@@ -0,0 +1,470 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Pet from '../models/Pet.js';
+import storageService from './storageService.js';
+import { renderTextPdf } from './pdfService.js';
+import { withTransaction } from './transactionService.js';
+import { claimKennelSpot, locationEntry, normalizeKennelCode } from './kennelService.js';
+import { petsWithOutstandingTreatments } from './medicalService.js';
+import logger from './logger.js';
+
+/**
+ * Intake Service
+ * Bringing an animal into the shelter. Each intake source needs its own
+ * paperwork (who surrendered it, where a stray was found, which agency
+ * transferred or confiscated it); the animal starts out `unavailable` in
+ * `quarantine`, optionally in a registered quarantine kennel, and a PDF
+ * intake form is filed with its documents.
+ *
+ * Strays are held for STRAY_HOLD_DAYS (default 5) from the intake date so an
+ * owner can reclaim them. A held pet cannot be listed for adoption; the
+ * housekeeping job lists it once the hold has run out, unless staff release
+ * the hold early (e.g. the owner came forward).
+ *
+ * Errors carry a `code` (see INTAKE_ERRORS) for the controller to map.
+ */
+
+export const INTAKE_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  CONFLICT: 'CONFLICT'
+};
+
+export const INTAKE_SOURCES = ['stray', 'surrender', 'transfer', 'born_in_care', 'confiscation', 'other'];
+
+export const STRAY_HOLD_DAYS = parseInt(process.env.STRAY_HOLD_DAYS, 10) || 5;
+export const MAX_STRAY_HOLD_DAYS = 60;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SHELTER_TIMEZONE = process.env.SHELTER_TIMEZONE || undefined;
+const APP_NAME = process.env.APP_NAME || 'Pawsome Homes';
+
+// Animal fields the intake form accepts; everything else is set by the workflow
+const ANIMAL_FIELDS = [
+  'name', 'type', 'breed', 'age', 'ageUnit', 'gender', 'size', 'color', 'description',
+  'healthStatus', 'medicalNotes', 'specialNeeds'
+];
+
+// Source-specific fields kept in Pet.intakeDetails; notes apply to every source
+const SOURCE_DETAIL_FIELDS = {
+  stray: ['foundLocation', 'foundAt', 'finderName', 'finderContact'],
+  surrender: [],
+  transfer: ['transferOrganization', 'transferReference'],
+  born_in_care: [],
+  confiscation: ['authority', 'caseNumber'],
+  other: []
+};
+
+// Fields that must be filled in for a source, as [path, label]
+export const REQUIRED_BY_SOURCE = {
+  stray: [['details.foundLocation', 'Where the animal was found']],
+  surrender: [
+    ['previousOwner.name', 'Previous owner name'],
+    ['previousOwner.contact', 'Previous owner contact'],
+    ['previousOwner.reason', 'Reason for surrender']
+  ],
+  transfer: [['details.transferOrganization', 'Transferring organization']],
+  born_in_care: [],
+  confiscation: [
+    ['details.authority', 'Confiscating authority'],
+    ['details.caseNumber', 'Case number']
+  ],
+  other: [['intakeReason', 'Intake reason']]
+};
+
+const DETAIL_LABELS = {
+  foundLocation: 'Found at',
+  foundAt: 'Found on',
+  finderName: 'Finder',
+  finderContact: 'Finder contact',
+  transferOrganization: 'Transferred from',
+  transferReference: 'Transfer reference',
+  authority: 'Authority',
+  caseNumber: 'Case number'
+};
+
+const SOURCE_LABELS = {
+  stray: 'Stray',
+  surrender: 'Owner surrender',
+  transfer: 'Transfer',
+  born_in_care: 'Born in care',
+  confiscation: 'Confiscation',
+  other: 'Other'
+};
+
+const PRIVATE = { visibility: 'private' };
+
+/**
+ * Error with an intake code
+ * @param {string} code - One of INTAKE_ERRORS
+ * @param {string} message - Message for the client
+ * @param {Array} [details] - [{ field, message }]
+ * @returns {Error}
+ */
+const intakeError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Trimmed string, or undefined when empty or not a string
+ * @param {*} value - Raw value
+ * @returns {string|undefined}
+ */
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Read a dotted path from the intake input
+ * @param {Object} input - Intake input
+ * @param {string} path - e.g. previousOwner.name
+ * @returns {*}
+ */
+const readPath = (input, path) => path.split('.').reduce((value, key) => value?.[key], input);
+
+/**
+ * Date from user input
+ * @param {*} value - ISO string or Date
+ * @param {string} field - Field name for the error
+ * @returns {Date|undefined} Undefined when absent
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw intakeError(INTAKE_ERRORS.INVALID_INPUT, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Date and time in the shelter's time zone, for the intake form
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => (date
+  ? new Date(date).toLocaleString('en-US', { timeZone: SHELTER_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' })
+  : undefined);
+
+/**
+ * Display name of a staff member
+ * @param {Object} staff - User document
+ * @returns {string}
+ */
+const staffName = (staff) => [staff?.profile?.firstName, staff?.profile?.lastName].filter(Boolean).join(' ')
+  || staff?.username
+  || 'Staff';
+
+/**
+ * Whether a pet is held as a stray right now
+ * @param {Object} pet - Pet with strayHold
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOnStrayHold = (pet, now = new Date()) => !!(
+  pet?.strayHold?.until && !pet.strayHold.releasedAt && new Date(pet.strayHold.until) > now
+);
+
+/**
+ * Check the intake input and build the Pet fields from it
+ * @param {Object} input - See intakeAnimal
+ * @param {Object} staff - User performing the intake
+ * @param {Date} now
+ * @returns {Object} Pet data
+ */
+const buildPetData = (input, staff, now) => {
+  const source = input.intakeSource;
+  if (!INTAKE_SOURCES.includes(source)) {
+    throw intakeError(INTAKE_ERRORS.INVALID_INPUT, `Intake source must be one of: ${INTAKE_SOURCES.join(', ')}`);
+  }
+
+  const missing = REQUIRED_BY_SOURCE[source]
+    .filter(([path]) => !cleanString(readPath(input, path)))
+    .map(([path, label]) => ({ field: path, message: `${label} is required for this intake source` }));
+
+  if (missing.length > 0) {
+    throw intakeError(INTAKE_ERRORS.INVALID_INPUT, 'Please fill in the details required for this intake source', missing);
+  }
+
+  const intakeDate = parseDate(input.intakeDate, 'intakeDate') || now;
+  const details = input.details || {};
+
+  const intakeDetails = { recordedBy: staff?._id };
+  SOURCE_DETAIL_FIELDS[source].forEach(field => {
+    intakeDetails[field] = field === 'foundAt' ? parseDate(details.foundAt, 'details.foundAt') : cleanString(details[field]);
+  });
+  intakeDetails.notes = cleanString(details.notes);
+
+  const animal = input.animal || {};
+  const petData = {};
+  ANIMAL_FIELDS.forEach(field => {
+    const value = typeof animal[field] === 'string' ? animal[field].trim() : animal[field];
+    if (value !== undefined && value !== null && value !== '') petData[field] = value;
+  });
+  if (petData.age !== undefined) petData.age = Number(petData.age);
+
+  Object.assign(petData, {
+    intakeSource: source,
+    intakeDate,
+    intakeReason: cleanString(input.intakeReason),
+    intakeDetails,
+    status: 'unavailable',
+    currentLocation: 'quarantine',
+    kennelNumber: normalizeKennelCode(input.kennelNumber),
+    locationHistory: [locationEntry({
+      location: 'quarantine',
+      kennelNumber: normalizeKennelCode(input.kennelNumber),
+      reason: 'Intake',
+      movedBy: staff?._id
+    })]
+  });
+
+  if (source === 'surrender') {
+    petData.previousOwner = {
+      name: cleanString(input.previousOwner.name),
+      contact: cleanString(input.previousOwner.contact),
+      reason: cleanString(input.previousOwner.reason)
+    };
+  }
+
+  if (source === 'stray') {
+    const holdDays = input.strayHoldDays === undefined || input.strayHoldDays === null || input.strayHoldDays === ''
+      ? STRAY_HOLD_DAYS
+      : Number(input.strayHoldDays);
+
+    if (!Number.isInteger(holdDays) || holdDays < 1 || holdDays > MAX_STRAY_HOLD_DAYS) {
+      throw intakeError(INTAKE_ERRORS.INVALID_INPUT, `Stray hold must be between 1 and ${MAX_STRAY_HOLD_DAYS} days`);
+    }
+
+    petData.strayHold = {
+      startedAt: intakeDate,
+      until: new Date(intakeDate.getTime() + holdDays * DAY)
+    };
+  }
+
+  return petData;
+};
+
+/**
+ * Lay out the intake form for a pet
+ * @param {Object} pet - Pet document (not yet saved)
+ * @param {Object} staff - User performing the intake
+ * @param {Date} now
+ * @returns {Buffer} PDF
+ */
+export const renderIntakeForm = (pet, staff, now = new Date()) => {
+  const details = pet.intakeDetails || {};
+  const detailRows = SOURCE_DETAIL_FIELDS[pet.intakeSource]
+    .map(field => ({
+      label: DETAIL_LABELS[field],
+      value: field === 'foundAt' ? formatDateTime(details.foundAt) : details[field]
+    }));
+
+  const blocks = [
+    { title: 'Animal Intake Form' },
+    { text: `${APP_NAME} - intake record ${pet._id}`, small: true },
+
+    { heading: 'Intake' },
+    { label: 'Source', value: SOURCE_LABELS[pet.intakeSource] },
+    { label: 'Intake date', value: formatDateTime(pet.intakeDate) },
+    { label: 'Reason', value: pet.intakeReason },
+    ...detailRows,
+
+    ...(pet.intakeSource === 'surrender' ? [
+      { heading: 'Previous owner' },
+      { label: 'Name', value: pet.previousOwner?.name },
+      { label: 'Contact', value: pet.previousOwner?.contact },
+      { label: 'Reason for surrender', value: pet.previousOwner?.reason }
+    ] : []),
+
+    { heading: 'Animal' },
+    { label: 'Name', value: pet.name },
+    { label: 'Type / breed', value: `${pet.type} / ${pet.breed}` },
+    { label: 'Age', value: pet.age !== undefined ? `${pet.age} ${pet.ageUnit}` : undefined },
+    { label: 'Sex', value: pet.gender },
+    { label: 'Size', value: pet.size },
+    { label: 'Color', value: pet.color },
+    { label: 'Health', value: pet.healthStatus },
+    { label: 'Medical notes', value: pet.medicalNotes },
+    { label: 'Special needs', value: pet.specialNeeds },
+    { label: 'Description', value: pet.description },
+
+    { heading: 'Housing' },
+    { label: 'Location', value: 'Quarantine' },
+    { label: 'Kennel', value: pet.kennelNumber },
+    { label: 'Stray hold', value: pet.strayHold?.until ? `Until ${formatDateTime(pet.strayHold.until)}` : 'None' },
+
+    ...(details.notes ? [{ heading: 'Notes' }, { text: details.notes }] : []),
+
+    { heading: 'Received by' },
+    { label: 'Staff member', value: staffName(staff) },
+    { label: 'Recorded', value: formatDateTime(now) },
+    { text: ' ' },
+    { label: 'Signature', value: '______________________________' }
+  ];
+
+  return renderTextPdf(blocks, { footer: `${APP_NAME} intake form - ${pet.name}` });
+};
+
+/**
+ * Take an animal in: create the pet in quarantine, start a stray hold for
+ * strays and file the intake form with its documents
+ * @param {Object} input
+ * @param {Object} input.animal - name, type, breed, age, ageUnit, gender, size, color, description, healthStatus, medicalNotes, specialNeeds
+ * @param {string} input.intakeSource - One of INTAKE_SOURCES
+ * @param {string} [input.intakeDate] - ISO date, default now
+ * @param {string} [input.intakeReason]
+ * @param {Object} [input.previousOwner] - { name, contact, reason }, surrenders
+ * @param {Object} [input.details] - Source-specific fields (see SOURCE_DETAIL_FIELDS) and notes
+ * @param {string} [input.kennelNumber] - Code of a registered quarantine kennel with room
+ * @param {number} [input.strayHoldDays] - Strays only, default STRAY_HOLD_DAYS
+ * @param {Object} staff - User performing the intake
+ * @returns {Promise<Object>} { pet, intakeForm }
+ */
+export const intakeAnimal = async (input, staff) => {
+  const now = new Date();
+  const petData = { _id: new mongoose.Types.ObjectId(), ...buildPetData(input || {}, staff, now) };
+  const draft = new Pet(petData);
+
+  // Fail on bad animal details before anything is stored
+  await draft.validate();
+
+  const pdf = renderIntakeForm(draft, staff, now);
+  const documentId = new mongoose.Types.ObjectId();
+  const key = `pets/${draft._id}/documents/${crypto.randomUUID()}.pdf`;
+
+  await storageService.putFile(key, pdf, { contentType: 'application/pdf', ...PRIVATE });
+
+  const intakeForm = {
+    _id: documentId,
+    type: 'intake_form',
+    name: `Intake form - ${draft.name}`.slice(0, 100),
+    url: `/api/pets/${draft._id}/documents/${documentId}/download`,
+    storageKey: key,
+    mimeType: 'application/pdf',
+    size: pdf.length,
+    // Holds the previous owner's and finder's details
+    sharedWithAdopter: false,
+    uploadedBy: staff?._id
+  };
+
+  let pet;
+  try {
+    pet = await withTransaction(async (session) => {
+      if (petData.kennelNumber) {
+        await claimKennelSpot(petData.kennelNumber, draft, { area: 'quarantine', session });
+      }
+
+      // A new document per attempt, as the transaction may be retried
+      const created = new Pet({ ...petData, documents: [intakeForm] });
+      await created.save({ session });
+      return created;
+    }, { operation: 'intakeAnimal' });
+  } catch (error) {
+    await storageService.deleteFiles([key], PRIVATE);
+    throw error;
+  }
+
+  logger.dbLog('create', 'pets', { petId: pet._id, intakeSource: pet.intakeSource, recordedBy: staff?._id });
+  logger.info('Animal intake recorded', {
+    petId: pet._id,
+    intakeSource: pet.intakeSource,
+    kennelNumber: pet.kennelNumber,
+    strayHoldUntil: pet.strayHold?.until,
+    recordedBy: staff?._id
+  });
+
+  return { pet, intakeForm: pet.documents[0] };
+};
+
+/**
+ * End a stray hold before it runs out, e.g. when the owner came forward.
+ * The pet keeps its status; staff decide what happens next.
+ * @param {string} petId - Pet ID
+ * @param {Object} options - { staff, reason }
+ * @returns {Promise<Object>} Pet
+ */
+export const releaseStrayHold = async (petId, { staff, reason } = {}) => {
+  const note = cleanString(reason);
+  if (!note) {
+    throw intakeError(INTAKE_ERRORS.INVALID_INPUT, 'Please give a reason for ending the stray hold');
+  }
+  if (note.length > 500) {
+    throw intakeError(INTAKE_ERRORS.INVALID_INPUT, 'Reason must be less than 500 characters');
+  }
+
+  const pet = await Pet.findById(petId).select('name status strayHold');
+  if (!pet) {
+    throw intakeError(INTAKE_ERRORS.NOT_FOUND, 'Pet not found');
+  }
+  if (!pet.strayHold?.until || pet.strayHold.releasedAt) {
+    throw intakeError(INTAKE_ERRORS.CONFLICT, `${pet.name} is not on a stray hold`);
+  }
+
+  const now = new Date();
+
+  // Plain update: saving would re-validate fields of older pets
+  await Pet.updateOne({ _id: pet._id }, {
+    $set: { 'strayHold.releasedAt': now },
+    $push: {
+      internalNotes: {
+        note: `Stray hold ended early: ${note}`,
+        addedBy: staff?._id,
+        category: 'general',
+        addedAt: now
+      }
+    }
+  });
+
+  logger.info('Stray hold released early', { petId: pet._id, releasedBy: staff?._id });
+
+  return Pet.findById(pet._id);
+};
+
+/**
+ * Mark stray holds that have run out as released and list the pets that
+ * are still `unavailable` and have no outstanding required treatments
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { released, listed } with the pet documents
+ */
+export const releaseExpiredStrayHolds = async ({ now = new Date() } = {}) => {
+  const pets = await Pet.find({
+    'strayHold.until': { $lte: now },
+    'strayHold.releasedAt': { $exists: false }
+  });
+
+  if (pets.length === 0) return { released: [], listed: [] };
+
+  await Pet.updateMany(
+    { _id: { $in: pets.map(pet => pet._id) } },
+    { $set: { 'strayHold.releasedAt': now } }
+  );
+
+  // Staff may have moved the pet on (medical, foster) while it was held, and
+  // pets due required treatments wait until those are done
+  const untreated = await petsWithOutstandingTreatments(pets.map(pet => pet._id), { now });
+  const listed = pets.filter(pet => pet.status === 'unavailable' && !untreated.has(String(pet._id)));
+  if (listed.length > 0) {
+    await Pet.updateMany(
+      { _id: { $in: listed.map(pet => pet._id) }, status: 'unavailable' },
+      { $set: { status: 'available' } }
+    );
+    listed.forEach(pet => { pet.status = 'available'; });
+  }
+
+  return { released: pets, listed };
+};
+
+export default {
+  INTAKE_ERRORS,
+  INTAKE_SOURCES,
+  STRAY_HOLD_DAYS,
+  REQUIRED_BY_SOURCE,
+  isOnStrayHold,
+  renderIntakeForm,
+  intakeAnimal,
+  releaseStrayHold,
+  releaseExpiredStrayHolds
+};
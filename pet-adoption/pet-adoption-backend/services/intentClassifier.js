@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Intent Classifier
+ * Offline keyword + TF-IDF intent matching used when Wit.ai is unavailable.
+ * Trained from a JSON utterance file (data/intentUtterances.json by default,
+ * override with CHATBOT_TRAINING_FILE).
+ */
+
+const DEFAULT_TRAINING_FILE = path.join(__dirname, '../data/intentUtterances.json');
+
+// Weight of an exact keyword/phrase hit relative to TF-IDF similarity
+const KEYWORD_WEIGHT = 0.35;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'i', 'im', 'me', 'my', 'you', 'your', 'we', 'our', 'is', 'are', 'am', 'be',
+  'to', 'of', 'for', 'in', 'on', 'at', 'and', 'or', 'it', 'this', 'that', 'there', 'any',
+  'do', 'does', 'can', 'could', 'would', 'like', 'please', 'some', 'with', 'about', 'what',
+  'who', 'if', 'so', 'just', 'd'
+]);
+
+let model = null;
+
+/**
+ * Split text into normalized tokens
+ * @param {string} text - Input text
+ * @returns {string[]} Tokens
+ */
+export const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[’']/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !STOPWORDS.has(token))
+  .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+/**
+ * Normalize text for phrase matching
+ * @param {string} text - Input text
+ * @returns {string} Lowercased text padded with spaces
+ */
+const normalizePhrase = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+
+/**
+ * Build a term-frequency map from tokens
+ * @param {string[]} tokens - Tokens
+ * @returns {Map<string, number>} Term counts
+ */
+const termFrequencies = (tokens) => {
+  const tf = new Map();
+  tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+  return tf;
+};
+
+/**
+ * Build a normalized TF-IDF vector
+ * @param {string[]} tokens - Tokens
+ * @param {Map<string, number>} idf - Inverse document frequencies
+ * @returns {Map<string, number>} Unit-length vector
+ */
+const vectorize = (tokens, idf) => {
+  const vector = new Map();
+  let norm = 0;
+
+  for (const [term, count] of termFrequencies(tokens)) {
+    const weight = count * (idf.get(term) || 0);
+    if (weight > 0) {
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+  }
+  return vector;
+};
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {Map<string, number>} a - Vector
+ * @param {Map<string, number>} b - Vector
+ * @returns {number} Similarity in [0, 1]
+ */
+const cosine = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return dot;
+};
+
+/**
+ * Train the classifier from utterance data
+ * @param {Object} data - { intents: { name: { keywords, utterances } }, entities }
+ * @returns {Object} Training summary
+ */
+const train = (data) => {
+  if (!data || typeof data.intents !== 'object') {
+    throw new Error('Training data must contain an intents object');
+  }
+
+  const documents = [];
+  const keywords = {};
+
+  for (const [intent, definition] of Object.entries(data.intents)) {
+    (definition.utterances || []).forEach(utterance => {
+      documents.push({ intent, tokens: tokenize(utterance) });
+    });
+    keywords[intent] = (definition.keywords || []).map(normalizePhrase);
+  }
+
+  if (documents.length === 0) {
+    throw new Error('Training data contains no utterances');
+  }
+
+  // Inverse document frequency across all utterances
+  const documentFrequency = new Map();
+  documents.forEach(doc => {
+    new Set(doc.tokens).forEach(token => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    });
+  });
+
+  const idf = new Map();
+  for (const [term, df] of documentFrequency) {
+    idf.set(term, Math.log((documents.length + 1) / (df + 1)) + 1);
+  }
+
+  // Entity synonyms, longest first so "guinea pig" wins over "pig"
+  const entities = {};
+  for (const [entityName, values] of Object.entries(data.entities || {})) {
+    entities[entityName] = Object.entries(values)
+      .flatMap(([value, synonyms]) => synonyms.map(synonym => ({ value, phrase: normalizePhrase(synonym) })))
+      .sort((a, b) => b.phrase.length - a.phrase.length);
+  }
+
+  model = {
+    idf,
+    keywords,
+    entities,
+    documents: documents.map(doc => ({ intent: doc.intent, vector: vectorize(doc.tokens, idf) })),
+    intents: Object.keys(data.intents),
+    trainedAt: new Date()
+  };
+
+  logger.info('Intent classifier trained', {
+    intents: model.intents.length,
+    utterances: documents.length,
+    vocabulary: idf.size
+  });
+
+  return getStatus();
+};
+
+/**
+ * Train from a JSON file
+ * @param {string} filePath - Path to the utterance file
+ * @returns {Object} Training summary
+ */
+const trainFromFile = (filePath = process.env.CHATBOT_TRAINING_FILE || DEFAULT_TRAINING_FILE) => {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return train(data);
+};
+
+/**
+ * Lazily train from the default file on first use
+ * @returns {Object|null} Trained model, or null if training failed
+ */
+const ensureTrained = () => {
+  if (!model) {
+    try {
+      trainFromFile();
+    } catch (error) {
+      logger.errorLog(error, { operation: 'trainIntentClassifier' });
+      return null;
+    }
+  }
+  return model;
+};
+
+/**
+ * Extract entities by synonym lookup, in the same shape Wit.ai returns
+ * @param {string} text - Input text
+ * @returns {Array<Object>} Entities { name, value, confidence, body }
+ */
+const extractEntities = (text) => {
+  if (!ensureTrained()) {
+    return [];
+  }
+
+  const phrase = normalizePhrase(text);
+  const found = [];
+
+  for (const [name, synonyms] of Object.entries(model.entities)) {
+    const match = synonyms.find(synonym => phrase.includes(synonym.phrase));
+    if (match) {
+      found.push({ name, value: match.value, confidence: 1, body: match.phrase.trim() });
+    }
+  }
+  return found;
+};
+
+/**
+ * Classify a message
+ * @param {string} text - User message
+ * @returns {Object} { intent, confidence, entities, scores }
+ */
+const classify = (text) => {
+  if (!ensureTrained()) {
+    return { intent: 'unknown', confidence: 0, entities: [], scores: {} };
+  }
+
+  const vector = vectorize(tokenize(text), model.idf);
+  const phrase = normalizePhrase(text);
+  const scores = {};
+
+  model.intents.forEach(intent => { scores[intent] = 0; });
+
+  // Best TF-IDF similarity to any training utterance of each intent
+  model.documents.forEach(doc => {
+    const similarity = cosine(vector, doc.vector);
+    if (similarity > scores[doc.intent]) {
+      scores[doc.intent] = similarity;
+    }
+  });
+
+  // Keyword hits boost the matching intent
+  for (const [intent, phrases] of Object.entries(model.keywords)) {
+    if (phrases.some(keyword => phrase.includes(keyword))) {
+      scores[intent] = Math.min(1, scores[intent] + KEYWORD_WEIGHT);
+    }
+  }
+
+  const [intent, confidence] = Object.entries(scores)
+    .sort((a, b) => b[1] - a[1])[0] || ['unknown', 0];
+
+  return {
+    intent: confidence > 0 ? intent : 'unknown',
+    confidence: Math.round(confidence * 1000) / 1000,
+    entities: extractEntities(text),
+    scores
+  };
+};
+
+/**
+ * Classifier status for health checks
+ * @returns {Object} Status summary
+ */
+const getStatus = () => ({
+  trained: !!model,
+  intents: model?.intents || [],
+  utterances: model?.documents.length || 0,
+  vocabulary: model?.idf.size || 0,
+  trainedAt: model?.trainedAt || null
+});
+
+export default {
+  train,
+  trainFromFile,
+  classify,
+  extractEntities,
+  getStatus,
+  tokenize
+};
@@ -0,0 +1,297 @@
+import os from 'os';
+import ScheduledJob from '../models/ScheduledJob.js';
+import JobRun from '../models/JobRun.js';
+import logger from './logger.js';
+
+/**
+ * Job Scheduler
+ * Runs registered background jobs in-process. Every instance checks the
+ * schedule each minute; the ScheduledJob collection holds each job's next
+ * run and a lock, so with several instances only the one that takes the lock
+ * runs the job. Every run is recorded in JobRun.
+ *
+ * Jobs run every `intervalMs`, or once a day at `dailyAtHourUtc`.
+ */
+
+const SCHEDULER_TICK = 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT = 10 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let schedulerTimer = null;
+let ticking = false;
+let statesReady = false;
+
+/**
+ * Register a job. Call before startScheduler.
+ * @param {Object} definition - { name, description, intervalMs | dailyAtHourUtc, handler, lockTimeoutMs }
+ *   handler receives { now, trigger } and returns a summary object for the run history
+ */
+export const registerJob = (definition) => {
+  const { name, handler, intervalMs, dailyAtHourUtc } = definition;
+
+  if (!name || typeof handler !== 'function') {
+    throw new Error('A job needs a name and a handler');
+  }
+  if (!intervalMs && dailyAtHourUtc === undefined) {
+    throw new Error(`Job ${name} needs intervalMs or dailyAtHourUtc`);
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, { lockTimeoutMs: DEFAULT_LOCK_TIMEOUT, ...definition });
+};
+
+/**
+ * Whether a job with this name is registered
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+export const isRegisteredJob = (name) => jobs.has(name);
+
+/**
+ * When a job runs next after a given time
+ * @param {Object} job - Job definition
+ * @param {Date} from - Reference time
+ * @returns {Date}
+ */
+const computeNextRun = (job, from) => {
+  if (job.intervalMs) {
+    return new Date(from.getTime() + job.intervalMs);
+  }
+
+  const next = new Date(from);
+  next.setUTCHours(job.dailyAtHourUtc, 0, 0, 0);
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+};
+
+/**
+ * Human-readable schedule of a job
+ * @param {Object} job - Job definition
+ * @returns {string}
+ */
+const describeSchedule = (job) => {
+  if (!job.intervalMs) {
+    return `Daily at ${String(job.dailyAtHourUtc).padStart(2, '0')}:00 UTC`;
+  }
+
+  const minutes = Math.round(job.intervalMs / 60000);
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? 'Every hour' : `Every ${hours} hours`;
+  }
+  return `Every ${minutes} minutes`;
+};
+
+/**
+ * Create the state document of every registered job that has none yet.
+ * Interval jobs run at the first tick, daily jobs at their next hour.
+ */
+const ensureJobStates = async () => {
+  const now = new Date();
+
+  await Promise.all([...jobs.values()].map(job => ScheduledJob.updateOne(
+    { name: job.name },
+    { $setOnInsert: { nextRunAt: job.intervalMs ? now : computeNextRun(job, now) } },
+    { upsert: true }
+  ).catch(error => {
+    // Another instance created it first
+    if (error.code !== 11000) throw error;
+  })));
+  statesReady = true;
+};
+
+/**
+ * Take the lock of a job
+ * @param {Object} job - Job definition
+ * @param {Object} options - { now, force } (force skips the due and enabled checks)
+ * @returns {Promise<Object|null>} Job state, or null if the job is not due or is locked
+ */
+const acquireLock = (job, { now, force }) => {
+  const filter = {
+    name: job.name,
+    $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (!force) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return ScheduledJob.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockTimeoutMs),
+        lastRunAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a job if this instance gets its lock
+ * @param {string} name - Job name
+ * @param {Object} [options] - { trigger: 'schedule' | 'manual', triggeredBy }
+ * @returns {Promise<Object|null>} JobRun document, or null if the job was not due or already running
+ */
+export const runJob = async (name, { trigger = 'schedule', triggeredBy } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const startedAt = new Date();
+  const state = await acquireLock(job, { now: startedAt, force: trigger === 'manual' });
+  if (!state) return null;
+
+  const run = await JobRun.create({
+    job: name,
+    trigger,
+    triggeredBy,
+    instance: INSTANCE_ID,
+    startedAt
+  });
+
+  try {
+    run.result = await job.handler({ now: startedAt, trigger });
+    run.status = 'succeeded';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = String(error.message || error).slice(0, MAX_ERROR_LENGTH);
+    logger.errorLog(error, { operation: 'runJob', job: name, trigger });
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - startedAt;
+  await run.save();
+
+  const update = {
+    $set: {
+      lastFinishedAt: run.finishedAt,
+      lastStatus: run.status,
+      lastResult: run.result,
+      lastDurationMs: run.durationMs
+    },
+    $unset: { lockedBy: 1, lockedUntil: 1 },
+    $inc: { runCount: 1, failureCount: run.status === 'failed' ? 1 : 0 }
+  };
+
+  if (run.status === 'failed') {
+    update.$set.lastError = run.error;
+  } else {
+    update.$unset.lastError = 1;
+  }
+
+  // A manual run does not move the schedule
+  if (trigger === 'schedule') {
+    update.$set.nextRunAt = computeNextRun(job, startedAt);
+  }
+
+  await ScheduledJob.updateOne({ name, lockedBy: INSTANCE_ID }, update);
+
+  logger.info('Background job finished', {
+    job: name,
+    trigger,
+    status: run.status,
+    durationMs: run.durationMs
+  });
+
+  return run;
+};
+
+/**
+ * Run every due job, one after another
+ */
+const tick = async () => {
+  if (ticking) return;
+
+  ticking = true;
+  try {
+    // Retried each tick until the database is reachable
+    if (!statesReady) await ensureJobStates();
+
+    for (const name of jobs.keys()) {
+      try {
+        await runJob(name);
+      } catch (error) {
+        logger.errorLog(error, { operation: 'jobSchedulerTick', job: name });
+      }
+    }
+  } catch (error) {
+    logger.errorLog(error, { operation: 'jobSchedulerTick' });
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start checking the schedule every minute
+ */
+export const startScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(tick, SCHEDULER_TICK);
+  schedulerTimer.unref();
+  tick();
+
+  logger.info('Job scheduler started', {
+    instance: INSTANCE_ID,
+    jobs: [...jobs.keys()]
+  });
+};
+
+export const stopScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+/**
+ * Pause or resume the schedule of a job
+ * @param {string} name - Job name
+ * @param {boolean} enabled - Whether the job runs on schedule
+ * @returns {Promise<Object|null>} Updated job state
+ */
+export const setJobEnabled = (name, enabled) => ScheduledJob.findOneAndUpdate(
+  { name },
+  { $set: { enabled } },
+  { new: true }
+).lean();
+
+/**
+ * Every registered job with its schedule and stored state
+ * @returns {Promise<Array>} [{ name, description, schedule, enabled, running, nextRunAt, lastStatus, ... }]
+ */
+export const listJobs = async () => {
+  const states = await ScheduledJob.find({ name: { $in: [...jobs.keys()] } }).lean();
+  const stateByName = new Map(states.map(state => [state.name, state]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const { _id, __v, ...state } = stateByName.get(job.name) || {};
+    return {
+      ...state,
+      name: job.name,
+      description: job.description,
+      schedule: describeSchedule(job),
+      enabled: state.enabled !== false,
+      running: Boolean(state.lockedUntil && state.lockedUntil > now)
+    };
+  });
+};
+
+export default {
+  INSTANCE_ID,
+  registerJob,
+  isRegisteredJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  setJobEnabled,
+  listJobs
+};
@@ -0,0 +1,344 @@
+import Kennel, { KENNEL_AREAS, KENNEL_SPECIES } from '../models/Kennel.js';
+import Pet from '../models/Pet.js';
+import { withTransaction } from './transactionService.js';
+import logger from './logger.js';
+
+/**
+ * Kennel Service
+ * The kennel registry and where pets are housed. A pet is in a kennel when
+ * its kennelNumber is the kennel's code and its currentLocation is the
+ * kennel's area; a kennel never holds more pets than its capacity. Moves go
+ * through movePet so each one is checked and kept in Pet.locationHistory.
+ *
+ * Moves into a kennel run in a transaction that also writes the kennel, so
+ * two moves racing for its last spot conflict instead of both succeeding.
+ *
+ * Errors carry a `code` (see KENNEL_ERRORS) for the controller to map.
+ */
+
+export const KENNEL_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  CONFLICT: 'CONFLICT'
+};
+
+export { KENNEL_AREAS, KENNEL_SPECIES };
+
+// Pet fields shown on the occupancy board
+const OCCUPANT_FIELDS = 'name type breed image images status intakeDate createdAt kennelNumber currentLocation';
+
+const KENNEL_FIELDS = ['code', 'area', 'species', 'capacity', 'notes', 'active'];
+
+/**
+ * Error with a kennel code
+ * @param {string} code - One of KENNEL_ERRORS
+ * @param {string} message - Message for the client
+ * @returns {Error}
+ */
+const kennelError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Kennel code as stored: trimmed and upper case
+ * @param {*} code - Raw code
+ * @returns {string|undefined} Undefined when empty
+ */
+export const normalizeKennelCode = (code) => (
+  typeof code === 'string' && code.trim() ? code.trim().toUpperCase() : undefined
+);
+
+/**
+ * Filter for the pets housed in a kennel
+ * @param {Object} kennel - { code, area }
+ * @returns {Object} Pet filter
+ */
+const occupantFilter = (kennel) => ({
+  kennelNumber: kennel.code,
+  currentLocation: kennel.area,
+  status: { $ne: 'adopted' }
+});
+
+/**
+ * Entry for Pet.locationHistory
+ * @param {Object} move - { location, kennelNumber, reason, movedBy }
+ * @returns {Object}
+ */
+export const locationEntry = ({ location, kennelNumber, reason, movedBy }) => ({
+  location,
+  kennelNumber,
+  reason,
+  movedBy,
+  movedAt: new Date()
+});
+
+/**
+ * Check that a pet can go into a kennel and claim the spot for this
+ * transaction. Call inside withTransaction and write the pet with the same session.
+ * @param {string} code - Kennel code
+ * @param {Object} pet - { _id, type, name }
+ * @param {Object} options
+ * @param {string} options.area - Area the pet is moving to
+ * @param {Object} [options.session] - Transaction session
+ * @returns {Promise<Object>} Kennel
+ */
+export const claimKennelSpot = async (code, pet, { area, session } = {}) => {
+  const kennel = await Kennel.findOne({ code: normalizeKennelCode(code) }).session(session || null);
+  if (!kennel) {
+    throw kennelError(KENNEL_ERRORS.INVALID_INPUT, `Kennel ${code} is not registered`);
+  }
+  if (!kennel.active) {
+    throw kennelError(KENNEL_ERRORS.CONFLICT, `Kennel ${kennel.code} is retired`);
+  }
+  if (kennel.area !== area) {
+    throw kennelError(KENNEL_ERRORS.INVALID_INPUT, `Kennel ${kennel.code} is in ${kennel.area}, not ${area}`);
+  }
+  if (!kennel.accepts(pet.type)) {
+    throw kennelError(KENNEL_ERRORS.INVALID_INPUT, `Kennel ${kennel.code} is not suitable for a ${pet.type}`);
+  }
+
+  const occupants = await Pet.countDocuments({ ...occupantFilter(kennel), _id: { $ne: pet._id } }).session(session || null);
+  if (occupants >= kennel.capacity) {
+    throw kennelError(KENNEL_ERRORS.CONFLICT,
+      `Kennel ${kennel.code} is full (${occupants} of ${kennel.capacity})`);
+  }
+
+  // Concurrent transactions claiming this kennel now conflict on this write
+  await Kennel.updateOne({ _id: kennel._id }, { $set: { lastAssignedAt: new Date() } }, { session });
+
+  return kennel;
+};
+
+/**
+ * Move a pet to another area, optionally into a kennel there
+ * @param {string} petId - Pet ID
+ * @param {Object} move
+ * @param {string} move.location - One of KENNEL_AREAS
+ * @param {string} [move.kennelNumber] - Kennel code in that area; omit to leave the pet without a kennel
+ * @param {string} [move.reason] - Kept in the location history
+ * @param {Object} [move.movedBy] - Staff user ID
+ * @returns {Promise<Object>} Updated pet
+ */
+export const movePet = async (petId, { location, kennelNumber, reason, movedBy } = {}) => {
+  if (!KENNEL_AREAS.includes(location)) {
+    throw kennelError(KENNEL_ERRORS.INVALID_INPUT,
+      `Location must be one of: ${KENNEL_AREAS.join(', ')}. Foster placements and adoptions have their own workflows.`);
+  }
+  const code = normalizeKennelCode(kennelNumber);
+  const note = typeof reason === 'string' && reason.trim() ? reason.trim() : undefined;
+  if (note && note.length > 300) {
+    throw kennelError(KENNEL_ERRORS.INVALID_INPUT, 'Reason must be less than 300 characters');
+  }
+
+  await withTransaction(async (session) => {
+    const pet = await Pet.findById(petId).select('name type status currentLocation kennelNumber').session(session || null);
+    if (!pet) {
+      throw kennelError(KENNEL_ERRORS.NOT_FOUND, 'Pet not found');
+    }
+    if (pet.status === 'adopted' || pet.currentLocation === 'foster') {
+      throw kennelError(KENNEL_ERRORS.CONFLICT,
+        `${pet.name} is ${pet.status === 'adopted' ? 'adopted' : 'in foster'} and can't be moved within the shelter`);
+    }
+    if (pet.currentLocation === location && (pet.kennelNumber || undefined) === code) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `${pet.name} is already there`);
+    }
+
+    if (code) {
+      await claimKennelSpot(code, pet, { area: location, session });
+    }
+
+    // Plain update: saving would re-validate fields of older pets
+    await Pet.updateOne({ _id: pet._id }, {
+      $set: { currentLocation: location, ...(code && { kennelNumber: code }) },
+      ...(!code && { $unset: { kennelNumber: 1 } }),
+      $push: { locationHistory: locationEntry({ location, kennelNumber: code, reason: note, movedBy }) }
+    }, { session });
+  }, { operation: 'movePet' });
+
+  logger.info('Pet moved', { petId, location, kennelNumber: code, movedBy });
+
+  return Pet.findById(petId);
+};
+
+/**
+ * Where a pet has been, newest first
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} { pet, history }
+ */
+export const getLocationHistory = async (petId) => {
+  const pet = await Pet.findById(petId)
+    .select('name currentLocation kennelNumber +locationHistory')
+    .populate('locationHistory.movedBy', 'username profile.firstName profile.lastName')
+    .lean();
+
+  if (!pet) {
+    throw kennelError(KENNEL_ERRORS.NOT_FOUND, 'Pet not found');
+  }
+
+  const { locationHistory = [], ...summary } = pet;
+  return { pet: summary, history: [...locationHistory].reverse() };
+};
+
+/**
+ * Register a kennel
+ * @param {Object} data - code, area, species, capacity, notes
+ * @param {Object} createdBy - Staff user ID
+ * @returns {Promise<Object>} Kennel
+ */
+export const createKennel = async (data, createdBy) => {
+  const fields = { createdBy };
+  KENNEL_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+
+  try {
+    return await Kennel.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `Kennel ${normalizeKennelCode(data.code)} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change a kennel. Occupied kennels keep their code and area, can't shrink
+ * below their occupancy and can't be retired.
+ * @param {string} kennelId - Kennel ID
+ * @param {Object} updates - Any of code, area, species, capacity, notes, active
+ * @returns {Promise<Object>} Kennel
+ */
+export const updateKennel = async (kennelId, updates) => {
+  const kennel = await Kennel.findById(kennelId);
+  if (!kennel) {
+    throw kennelError(KENNEL_ERRORS.NOT_FOUND, 'Kennel not found');
+  }
+
+  const occupants = await Pet.countDocuments(occupantFilter(kennel));
+  if (occupants > 0) {
+    const code = updates.code !== undefined ? normalizeKennelCode(updates.code) : kennel.code;
+    if (code !== kennel.code || (updates.area !== undefined && updates.area !== kennel.area)) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `Move the ${occupants} pet(s) out of ${kennel.code} before changing its code or area`);
+    }
+    if (updates.active === false) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `Move the ${occupants} pet(s) out of ${kennel.code} before retiring it`);
+    }
+    if (updates.capacity !== undefined && Number(updates.capacity) < occupants) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `${kennel.code} houses ${occupants} pets; capacity can't be lower`);
+    }
+  }
+
+  KENNEL_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) kennel[field] = updates[field];
+  });
+
+  try {
+    return await kennel.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw kennelError(KENNEL_ERRORS.CONFLICT, `Kennel ${kennel.code} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Open spots per species across active kennels; a kennel open to any
+ * species counts for each of them
+ * @param {Array} kennels - Board kennels with `open` and `species`
+ * @returns {Object} species -> open spots
+ */
+const openBySpecies = (kennels) => Object.fromEntries(KENNEL_SPECIES.map(species => [
+  species,
+  kennels
+    .filter(kennel => kennel.active && (kennel.species.length === 0 || kennel.species.includes(species)))
+    .reduce((sum, kennel) => sum + kennel.open, 0)
+]));
+
+/**
+ * The occupancy board: every kennel with its occupants and open spots,
+ * capacity per area and species, and pets in the shelter without a
+ * (registered) kennel
+ * @param {Object} [options] - { area } to show one area
+ * @returns {Promise<Object>} { kennels, areas, openBySpecies, unassigned }
+ */
+export const getOccupancyBoard = async ({ area } = {}) => {
+  const areas = area ? [area] : KENNEL_AREAS;
+
+  const [kennels, pets] = await Promise.all([
+    Kennel.find({ area: { $in: areas } }).sort({ area: 1, code: 1 }).lean(),
+    Pet.find({ currentLocation: { $in: areas }, status: { $ne: 'adopted' } }).select(OCCUPANT_FIELDS)
+  ]);
+
+  const toOccupant = (pet) => ({
+    _id: pet._id,
+    name: pet.name,
+    type: pet.type,
+    breed: pet.breed,
+    image: pet.primaryImage?.url || pet.image,
+    status: pet.status,
+    currentLocation: pet.currentLocation,
+    kennelNumber: pet.kennelNumber,
+    intakeDate: pet.intakeDate,
+    timeInCare: pet.timeInCare
+  });
+
+  const byKennel = new Map();
+  const unassigned = [];
+  const kennelKeys = new Set(kennels.map(kennel => `${kennel.area}:${kennel.code}`));
+
+  pets.forEach(pet => {
+    const key = `${pet.currentLocation}:${pet.kennelNumber}`;
+    if (pet.kennelNumber && kennelKeys.has(key)) {
+      byKennel.set(key, [...(byKennel.get(key) || []), toOccupant(pet)]);
+    } else {
+      unassigned.push(toOccupant(pet));
+    }
+  });
+
+  const board = kennels.map(kennel => {
+    const occupants = byKennel.get(`${kennel.area}:${kennel.code}`) || [];
+    return {
+      ...kennel,
+      occupants,
+      open: kennel.active ? Math.max(0, kennel.capacity - occupants.length) : 0
+    };
+  });
+
+  const areaTotals = areas.map(name => {
+    const inArea = board.filter(kennel => kennel.area === name && kennel.active);
+    const capacity = inArea.reduce((sum, kennel) => sum + kennel.capacity, 0);
+    const occupied = inArea.reduce((sum, kennel) => sum + kennel.occupants.length, 0);
+    return {
+      area: name,
+      kennels: inArea.length,
+      capacity,
+      occupied,
+      open: inArea.reduce((sum, kennel) => sum + kennel.open, 0),
+      unassigned: unassigned.filter(pet => pet.currentLocation === name).length
+    };
+  });
+
+  return {
+    kennels: board,
+    areas: areaTotals,
+    openBySpecies: openBySpecies(board),
+    unassigned: unassigned.sort((a, b) => b.timeInCare - a.timeInCare)
+  };
+};
+
+export default {
+  KENNEL_ERRORS,
+  KENNEL_AREAS,
+  KENNEL_SPECIES,
+  normalizeKennelCode,
+  locationEntry,
+  claimKennelSpot,
+  movePet,
+  getLocationHistory,
+  createKennel,
+  updateKennel,
+  getOccupancyBoard
+};
@@ -0,0 +1,483 @@
+import MedicalEvent, { MEDICAL_EVENT_TYPES } from '../models/MedicalEvent.js';
+import Pet from '../models/Pet.js';
+import { withTransaction } from './transactionService.js';
+import logger from './logger.js';
+
+/**
+ * Medical Service
+ * Pets' medical records as dated events: vaccinations, treatments,
+ * medications, vet visits and spay/neuter surgeries. Events are scheduled
+ * with a due date and later completed or cancelled; completing one can
+ * schedule its follow-up (e.g. a booster).
+ *
+ * Pet.vaccinations and Pet.isSpayedNeutered are kept in line with the
+ * events so the existing pet pages stay accurate. A `required` event that is
+ * due and not done is an outstanding treatment: the pet cannot be listed as
+ * available until it is completed or cancelled.
+ *
+ * Errors carry a `code` (see MEDICAL_ERRORS) for the controller to map.
+ */
+
+export const MEDICAL_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  CONFLICT: 'CONFLICT'
+};
+
+export { MEDICAL_EVENT_TYPES };
+
+// Window of the staff due list
+export const DUE_SOON_DAYS = 7;
+const MAX_DUE_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields staff can change on a scheduled event
+const EDITABLE_FIELDS = ['name', 'dueDate', 'required', 'dosage', 'veterinarian', 'notes'];
+
+const PET_SUMMARY = 'name type breed image images status currentLocation kennelNumber';
+const STAFF_SUMMARY = 'username profile.firstName profile.lastName';
+
+/**
+ * Error with a medical code
+ * @param {string} code - One of MEDICAL_ERRORS
+ * @param {string} message - Message for the client
+ * @returns {Error}
+ */
+const medicalError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Trimmed string, or undefined when empty
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Date from user input
+ * @param {*} value - ISO string or Date
+ * @param {string} field - Field name for the error
+ * @returns {Date|undefined} Undefined when absent
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Filter for required events that are due and not done
+ * @param {Object} petFilter - Condition on the event's pet
+ * @param {Date} now
+ * @returns {Object} MedicalEvent filter
+ */
+const outstandingFilter = (petFilter, now) => ({
+  pet: petFilter,
+  status: 'scheduled',
+  required: true,
+  dueDate: { $lte: now }
+});
+
+/**
+ * Required treatments a pet is due and has not had
+ * @param {string} petId - Pet ID
+ * @param {Object} [options] - { now, session }
+ * @returns {Promise<Array>} Events (name, type, dueDate), oldest due first
+ */
+export const findOutstandingTreatments = (petId, { now = new Date(), session } = {}) => (
+  MedicalEvent.find(outstandingFilter(petId, now))
+    .select('name type dueDate')
+    .sort({ dueDate: 1 })
+    .session(session || null)
+    .lean()
+);
+
+/**
+ * Which of the given pets have outstanding required treatments
+ * @param {Array} petIds - Pet IDs
+ * @param {Object} [options] - { now, session }
+ * @returns {Promise<Set>} Pet IDs as strings
+ */
+export const petsWithOutstandingTreatments = async (petIds, { now = new Date(), session } = {}) => {
+  if (petIds.length === 0) return new Set();
+  const ids = await MedicalEvent.distinct('pet', outstandingFilter({ $in: petIds }, now)).session(session || null);
+  return new Set(ids.map(String));
+};
+
+/**
+ * Why a pet can't be listed yet
+ * @param {string} petName - Pet name
+ * @param {Array} events - Outstanding treatments
+ * @returns {string}
+ */
+export const outstandingTreatmentsMessage = (petName, events) => (
+  `${petName} can't be listed until these required treatments are done: ${events.map(event => event.name).join(', ')}`
+);
+
+/**
+ * Bring Pet.vaccinations and Pet.isSpayedNeutered in line with the pet's
+ * events. Vaccinations are current when one has been given and none is
+ * overdue; pets without vaccination events keep the values staff entered.
+ * @param {Object} petId - Pet ObjectId
+ * @param {Object} [options] - { now }
+ */
+export const syncPetMedicalSummary = async (petId, { now = new Date() } = {}) => {
+  const [lastVaccination, overdueVaccination, spayNeuter] = await Promise.all([
+    MedicalEvent.findOne({ pet: petId, type: 'vaccination', status: 'completed' })
+      .select('performedAt')
+      .sort({ performedAt: -1 })
+      .lean(),
+    MedicalEvent.exists({ pet: petId, type: 'vaccination', status: 'scheduled', dueDate: { $lt: now } }),
+    MedicalEvent.exists({ pet: petId, type: 'spay_neuter', status: 'completed' })
+  ]);
+
+  const update = {};
+  if (lastVaccination) {
+    update['vaccinations.lastUpdated'] = lastVaccination.performedAt;
+  }
+  if (lastVaccination || overdueVaccination) {
+    update['vaccinations.current'] = !!lastVaccination && !overdueVaccination;
+  }
+  // Never cleared: the surgery may predate the pet's records here
+  if (spayNeuter) {
+    update.isSpayedNeutered = true;
+  }
+
+  if (Object.keys(update).length > 0) {
+    // Plain update: saving would re-validate fields of older pets
+    await Pet.updateOne({ _id: petId }, { $set: update });
+  }
+};
+
+/**
+ * Mark vaccinations as not current for pets with an overdue vaccination
+ * @param {Object} [context] - { now }
+ * @returns {Promise<number>} Pets changed
+ */
+export const lapseOverdueVaccinations = async ({ now = new Date() } = {}) => {
+  const petIds = await MedicalEvent.distinct('pet', {
+    type: 'vaccination',
+    status: 'scheduled',
+    dueDate: { $lt: now }
+  });
+  if (petIds.length === 0) return 0;
+
+  const result = await Pet.updateMany(
+    { _id: { $in: petIds }, 'vaccinations.current': true },
+    { $set: { 'vaccinations.current': false } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Scheduled event that follows up a completed one
+ * @param {Object} event - Completed event
+ * @param {Date} dueDate - When the follow-up is due
+ * @param {Object} staff - User ID of the staff member
+ * @returns {Object} MedicalEvent data
+ */
+const followUpOf = (event, dueDate, staff) => ({
+  pet: event.pet,
+  type: event.type,
+  name: event.name,
+  required: event.required,
+  dosage: event.dosage,
+  veterinarian: event.veterinarian,
+  dueDate,
+  recordedBy: staff
+});
+
+/**
+ * Check a follow-up due date against the date the event was done
+ * @param {*} value - Raw nextDueDate
+ * @param {Date} performedAt
+ * @returns {Date|undefined}
+ */
+const parseNextDueDate = (value, performedAt) => {
+  const nextDueDate = parseDate(value, 'Next due date');
+  if (nextDueDate && nextDueDate <= performedAt) {
+    throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, 'Next due date must be after the date performed');
+  }
+  return nextDueDate;
+};
+
+/**
+ * Record a medical event for a pet: scheduled when it has a due date, or
+ * completed when it has the date it was done (optionally scheduling the
+ * follow-up)
+ * @param {string} petId - Pet ID
+ * @param {Object} input - { type, name, dueDate, performedAt, nextDueDate, required, dosage, veterinarian, notes }
+ * @param {Object} staff - User ID of the staff member
+ * @returns {Promise<Object>} { event, followUp }
+ */
+export const recordMedicalEvent = async (petId, input = {}, staff) => {
+  const pet = await Pet.findById(petId).select('name status').lean();
+  if (!pet) {
+    throw medicalError(MEDICAL_ERRORS.NOT_FOUND, 'Pet not found');
+  }
+  if (pet.status === 'adopted') {
+    throw medicalError(MEDICAL_ERRORS.CONFLICT, `${pet.name} has been adopted; medical records are kept by the adopter's vet`);
+  }
+
+  if (!MEDICAL_EVENT_TYPES.includes(input.type)) {
+    throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, `Type must be one of: ${MEDICAL_EVENT_TYPES.join(', ')}`);
+  }
+
+  const performedAt = parseDate(input.performedAt, 'Date performed');
+  const dueDate = parseDate(input.dueDate, 'Due date');
+  if (!performedAt && !dueDate) {
+    throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, 'Give the date it was done or the date it is due');
+  }
+  const nextDueDate = performedAt ? parseNextDueDate(input.nextDueDate, performedAt) : undefined;
+
+  const data = {
+    pet: pet._id,
+    type: input.type,
+    name: cleanString(input.name),
+    status: performedAt ? 'completed' : 'scheduled',
+    required: input.required === true || input.required === 'true',
+    dueDate,
+    performedAt,
+    dosage: cleanString(input.dosage),
+    veterinarian: cleanString(input.veterinarian),
+    notes: cleanString(input.notes),
+    recordedBy: staff,
+    ...(performedAt && { completedBy: staff })
+  };
+
+  // Check the event before opening a transaction
+  await new MedicalEvent(data).validate();
+
+  const result = await withTransaction(async (session) => {
+    // Fresh documents on each attempt: the transaction may be retried
+    const event = new MedicalEvent(data);
+    const followUp = nextDueDate ? new MedicalEvent(followUpOf(event, nextDueDate, staff)) : null;
+    if (followUp) {
+      event.followUp = followUp._id;
+      await followUp.save({ session });
+    }
+    await event.save({ session });
+    return { event, followUp };
+  }, { operation: 'recordMedicalEvent' });
+
+  await syncPetMedicalSummary(pet._id);
+
+  logger.info('Medical event recorded', {
+    eventId: result.event._id,
+    petId: pet._id,
+    type: result.event.type,
+    status: result.event.status,
+    recordedBy: staff
+  });
+
+  return result;
+};
+
+/**
+ * Load a scheduled event for a change
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} [session] - Transaction session
+ * @returns {Promise<Object>} Event document
+ */
+const findScheduledEvent = async (eventId, session) => {
+  const event = await MedicalEvent.findById(eventId).session(session || null);
+  if (!event) {
+    throw medicalError(MEDICAL_ERRORS.NOT_FOUND, 'Medical event not found');
+  }
+  if (event.status !== 'scheduled') {
+    throw medicalError(MEDICAL_ERRORS.CONFLICT, `This ${event.name} event is already ${event.status}`);
+  }
+  return event;
+};
+
+/**
+ * Change a scheduled event, e.g. move its due date
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} updates - Any of name, dueDate, required, dosage, veterinarian, notes
+ * @returns {Promise<Object>} Updated event
+ */
+export const updateMedicalEvent = async (eventId, updates = {}) => {
+  const event = await findScheduledEvent(eventId);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] === undefined) return;
+    if (field === 'dueDate') {
+      const dueDate = parseDate(updates.dueDate, 'Due date');
+      if (!dueDate) {
+        throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, 'Due date is required for scheduled events');
+      }
+      if (dueDate.getTime() !== event.dueDate.getTime()) {
+        event.dueDate = dueDate;
+        event.reminderSentAt = undefined;
+      }
+    } else if (field === 'required') {
+      event.required = updates.required === true || updates.required === 'true';
+    } else {
+      event[field] = cleanString(updates[field]);
+    }
+  });
+
+  await event.save();
+  await syncPetMedicalSummary(event.pet);
+
+  return event;
+};
+
+/**
+ * Mark a scheduled event as done, optionally scheduling its follow-up
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} options - { performedAt, nextDueDate, dosage, veterinarian, notes, staff }
+ * @returns {Promise<Object>} { event, followUp }
+ */
+export const completeMedicalEvent = async (eventId, { performedAt, nextDueDate, dosage, veterinarian, notes, staff } = {}) => {
+  const doneAt = parseDate(performedAt, 'Date performed') || new Date();
+  const followUpDue = parseNextDueDate(nextDueDate, doneAt);
+
+  const result = await withTransaction(async (session) => {
+    const event = await findScheduledEvent(eventId, session);
+
+    event.status = 'completed';
+    event.performedAt = doneAt;
+    event.completedBy = staff;
+    if (cleanString(dosage)) event.dosage = cleanString(dosage);
+    if (cleanString(veterinarian)) event.veterinarian = cleanString(veterinarian);
+    if (cleanString(notes)) event.notes = cleanString(notes);
+
+    const followUp = followUpDue ? new MedicalEvent(followUpOf(event, followUpDue, staff)) : null;
+    if (followUp) {
+      event.followUp = followUp._id;
+      await followUp.save({ session });
+    }
+    await event.save({ session });
+    return { event, followUp };
+  }, { operation: 'completeMedicalEvent' });
+
+  await syncPetMedicalSummary(result.event.pet);
+
+  logger.info('Medical event completed', {
+    eventId: result.event._id,
+    petId: result.event.pet,
+    followUpId: result.followUp?._id,
+    completedBy: staff
+  });
+
+  return result;
+};
+
+/**
+ * Cancel a scheduled event that is no longer needed
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} options - { reason, staff }
+ * @returns {Promise<Object>} Cancelled event
+ */
+export const cancelMedicalEvent = async (eventId, { reason, staff } = {}) => {
+  const note = cleanString(reason);
+  if (!note) {
+    throw medicalError(MEDICAL_ERRORS.INVALID_INPUT, 'Please give a reason for cancelling');
+  }
+
+  const event = await findScheduledEvent(eventId);
+  event.status = 'cancelled';
+  event.cancelReason = note;
+  event.cancelledBy = staff;
+  await event.save();
+
+  await syncPetMedicalSummary(event.pet);
+
+  logger.info('Medical event cancelled', { eventId: event._id, petId: event.pet, cancelledBy: staff });
+
+  return event;
+};
+
+/**
+ * Lean event with its overdue flag
+ * @param {Object} event - Lean MedicalEvent
+ * @param {Date} now
+ * @returns {Object}
+ */
+const withOverdue = (event, now) => ({
+  ...event,
+  overdue: event.status === 'scheduled' && event.dueDate < now
+});
+
+/**
+ * A pet's medical timeline: scheduled events by due date, then everything
+ * done or cancelled, newest first
+ * @param {string} petId - Pet ID
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { pet, upcoming, history, outstanding }
+ */
+export const getMedicalTimeline = async (petId, { now = new Date() } = {}) => {
+  const pet = await Pet.findById(petId)
+    .select('name type status healthStatus isSpayedNeutered vaccinations medicalNotes')
+    .lean();
+  if (!pet) {
+    throw medicalError(MEDICAL_ERRORS.NOT_FOUND, 'Pet not found');
+  }
+
+  const events = await MedicalEvent.find({ pet: pet._id })
+    .populate('recordedBy completedBy cancelledBy', STAFF_SUMMARY)
+    .lean();
+
+  const upcoming = events
+    .filter(event => event.status === 'scheduled')
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map(event => withOverdue(event, now));
+
+  // Cancelled events sit at the date they were cancelled
+  const eventDate = event => event.performedAt || event.updatedAt;
+  const history = events
+    .filter(event => event.status !== 'scheduled')
+    .sort((a, b) => eventDate(b) - eventDate(a))
+    .map(event => withOverdue(event, now));
+
+  const outstanding = upcoming.filter(event => event.required && event.dueDate <= now);
+
+  return { pet, upcoming, history, outstanding };
+};
+
+/**
+ * Scheduled events due within the next few days, and those overdue, for
+ * pets still in the shelter's care
+ * @param {Object} [options] - { days, type, now }
+ * @returns {Promise<Array>} Events with their pet, soonest due first
+ */
+export const getDueMedicalEvents = async ({ days = DUE_SOON_DAYS, type, now = new Date() } = {}) => {
+  const windowDays = Math.min(Math.max(parseInt(days, 10) || DUE_SOON_DAYS, 1), MAX_DUE_DAYS);
+
+  const filter = { status: 'scheduled', dueDate: { $lte: new Date(now.getTime() + windowDays * DAY) } };
+  if (MEDICAL_EVENT_TYPES.includes(type)) filter.type = type;
+
+  const events = await MedicalEvent.find(filter)
+    .populate('pet', PET_SUMMARY)
+    .sort({ dueDate: 1 })
+    .lean();
+
+  return events
+    .filter(event => event.pet && event.pet.status !== 'adopted')
+    .map(event => withOverdue(event, now));
+};
+
+export default {
+  MEDICAL_ERRORS,
+  MEDICAL_EVENT_TYPES,
+  DUE_SOON_DAYS,
+  findOutstandingTreatments,
+  petsWithOutstandingTreatments,
+  outstandingTreatmentsMessage,
+  syncPetMedicalSummary,
+  lapseOverdueVaccinations,
+  recordMedicalEvent,
+  updateMedicalEvent,
+  completeMedicalEvent,
+  cancelMedicalEvent,
+  getMedicalTimeline,
+  getDueMedicalEvents
+};
@@ -0,0 +1,153 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import { STATUS_LABELS } from './emailTemplates.js';
+import logger from './logger.js';
+
+/**
+ * Notification Service
+ * Delivers in-app notifications and preference-aware emails to users
+ */
+
+// Adoption request statuses the applicant is told about
+export const NOTIFIABLE_ADOPTION_STATUSES = ['interview_scheduled', 'waitlisted', 'approved', 'rejected', 'completed'];
+
+const ADOPTION_STATUS_MESSAGES = {
+  interview_scheduled: (petName) => `We'd like to meet you! An interview has been scheduled for your application to adopt ${petName}.`,
+  waitlisted: (petName) => `Another applicant has been approved to adopt ${petName}. Your application is on the wait list and we will let you know if ${petName} becomes available again.`,
+  approved: (petName) => `Great news! Your application to adopt ${petName} has been approved.`,
+  rejected: (petName) => `Your application to adopt ${petName} was not approved.`,
+  completed: (petName) => `Congratulations! Your adoption of ${petName} is complete.`
+};
+
+/**
+ * Create an in-app notification
+ * @param {Object} data - { user, type, title, message, link, relatedPet, relatedAdoptionRequest, data }
+ * @returns {Promise<Object|null>} Created notification, or null on failure
+ */
+export const createNotification = async (data) => {
+  try {
+    const notification = await Notification.create(data);
+    logger.dbLog('create', 'notifications', { userId: data.user, type: data.type });
+    return notification;
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'createNotification',
+      userId: data.user,
+      type: data.type
+    });
+    return null;
+  }
+};
+
+/**
+ * Check a user's email preference
+ * @param {Object} user - User document
+ * @param {string} preference - Key under notifications.email
+ * @returns {boolean} Whether the user accepts this kind of email
+ */
+export const wantsEmail = (user, preference) => {
+  const value = user?.notifications?.email?.[preference];
+  // Unset preferences fall back to the schema defaults, which opt users in
+  return value !== false;
+};
+
+/**
+ * Notify an applicant that their adoption request changed status.
+ * Sends an email (if the user allows adoption update emails) and an in-app
+ * notification, and records the email in the request's communication log.
+ * @param {Object} adoptionRequest - AdoptionRequest document with pet populated
+ * @param {Object} options - { status, rejectionReason, note, adminId }
+ * @returns {Promise<Object>} { emailed, notified }
+ */
+export const notifyAdoptionStatusChange = async (adoptionRequest, { status, rejectionReason, note, adminId }) => {
+  const result = { emailed: false, notified: false };
+
+  if (!NOTIFIABLE_ADOPTION_STATUSES.includes(status)) {
+    return result;
+  }
+
+  try {
+    const user = adoptionRequest.user?._id
+      ? adoptionRequest.user
+      : await User.findById(adoptionRequest.user);
+    const pet = adoptionRequest.pet;
+    const petName = pet?.name || 'your pet';
+    const petLink = pet?._id ? `/pets/${pet._id}` : undefined;
+    const statusLabel = STATUS_LABELS[status] || status;
+
+    let message = ADOPTION_STATUS_MESSAGES[status](petName);
+    if (rejectionReason) {
+      message += ` Reason: ${rejectionReason}`;
+    }
+    if (note) {
+      message += ` ${note}`;
+    }
+
+    const notification = await createNotification({
+      user: user?._id || adoptionRequest.user,
+      type: 'adoption_update',
+      title: `Adoption request ${statusLabel.toLowerCase()}`,
+      message: message.slice(0, 2000),
+      link: petLink,
+      relatedPet: pet?._id,
+      relatedAdoptionRequest: adoptionRequest._id,
+      data: { status }
+    });
+    result.notified = !!notification;
+
+    const recipient = adoptionRequest.applicantEmail || user?.email;
+
+    if (!recipient) {
+      logger.warn('No email address for adoption status notification', {
+        requestId: adoptionRequest._id,
+        status
+      });
+      return result;
+    }
+
+    if (user && !wantsEmail(user, 'adoptionUpdates')) {
+      logger.info('Adoption status email skipped by user preference', {
+        requestId: adoptionRequest._id,
+        userId: user._id,
+        status
+      });
+      return result;
+    }
+
+    const delivery = await emailService.sendTemplate('adoptionStatusUpdate', recipient, {
+      firstName: user?.profile?.firstName,
+      username: adoptionRequest.applicantName || user?.username,
+      petName,
+      status,
+      rejectionReason,
+      note,
+      requestUrl: petLink ? `${emailService.getFrontendUrl()}${petLink}` : undefined
+    });
+
+    result.emailed = delivery.sent || !!delivery.queued;
+
+    if (result.emailed) {
+      await adoptionRequest.addCommunicationLog(
+        'email_sent',
+        `Status update email (${statusLabel}) sent to ${recipient}${delivery.sent ? '' : ' (queued for retry)'}`,
+        adminId
+      );
+    }
+  } catch (error) {
+    logger.errorLog(error, {
+      operation: 'notifyAdoptionStatusChange',
+      requestId: adoptionRequest._id,
+      status
+    });
+  }
+
+  return result;
+};
+
+export default {
+  createNotification,
+  wantsEmail,
+  notifyAdoptionStatusChange,
+  NOTIFIABLE_ADOPTION_STATUSES
+};
@@ -0,0 +1,173 @@
+/**
+ * PDF Service
+ * Renders simple text documents (forms, summaries) as PDF without a layout
+ * engine: one column of headings, label/value rows and paragraphs in the
+ * standard Helvetica fonts, wrapped and paginated on US Letter pages.
+ *
+ * Only Latin-1 text can be shown with the standard fonts; other characters
+ * are printed as "?".
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LABEL_WIDTH = 160;
+
+const STYLES = {
+  title: { font: 'F2', size: 18, leading: 28 },
+  heading: { font: 'F2', size: 12, leading: 24 },
+  text: { font: 'F1', size: 10, leading: 14 },
+  small: { font: 'F1', size: 8, leading: 12 }
+};
+
+// Average Helvetica glyph width as a share of the font size, for wrapping
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+/**
+ * Text as WinAnsi bytes, escaped for a PDF string literal
+ * @param {string} text - Any text
+ * @returns {string} Latin-1 string safe inside ( )
+ */
+const toPdfString = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, char => `\\${char}`);
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text, may contain newlines
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @returns {string[]} Lines
+ */
+const wrapText = (text, width, size) => {
+  const maxChars = Math.max(10, Math.floor(width / (size * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      // Break words longer than a whole line
+      while (word.length > maxChars) {
+        if (line) lines.push(line);
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+        line = '';
+      }
+      if (!line) line = word;
+      else if (line.length + 1 + word.length <= maxChars) line = `${line} ${word}`;
+      else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+/**
+ * Lay blocks out into pages of positioned text runs
+ * @param {Object[]} blocks - See renderTextPdf
+ * @returns {Array<Array<Object>>} Pages of { x, y, font, size, text }
+ */
+const layout = (blocks) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+  const place = (x, style, text) => pages[pages.length - 1].push({ x, y, font: style.font, size: style.size, text });
+
+  blocks.forEach(block => {
+    if (block.title || block.heading) {
+      const style = block.title ? STYLES.title : STYLES.heading;
+      // Keep a heading on the same page as at least one row after it
+      ensureSpace(style.leading + STYLES.text.leading);
+      y -= style.leading - style.size;
+      place(MARGIN, style, block.title || block.heading);
+      y -= style.size;
+      return;
+    }
+
+    if (block.label !== undefined) {
+      const style = STYLES.text;
+      const valueLines = wrapText(block.value === undefined || block.value === null || block.value === '' ? '-' : block.value,
+        PAGE_WIDTH - 2 * MARGIN - LABEL_WIDTH, style.size);
+      valueLines.forEach((line, index) => {
+        ensureSpace(style.leading);
+        y -= style.leading;
+        if (index === 0) place(MARGIN, { ...style, font: 'F2' }, block.label);
+        place(MARGIN + LABEL_WIDTH, style, line);
+      });
+      return;
+    }
+
+    const style = block.small ? STYLES.small : STYLES.text;
+    wrapText(block.text, PAGE_WIDTH - 2 * MARGIN, style.size).forEach(line => {
+      ensureSpace(style.leading);
+      y -= style.leading;
+      place(MARGIN, style, line);
+    });
+  });
+
+  return pages;
+};
+
+/**
+ * Render a text document as PDF
+ * @param {Object[]} blocks - In order: { title }, { heading }, { label, value } or { text, small }
+ * @param {Object} [options]
+ * @param {string} [options.footer] - Printed at the bottom of every page with the page number
+ * @returns {Buffer} PDF file
+ */
+export const renderTextPdf = (blocks, { footer } = {}) => {
+  const pages = layout(blocks);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((runs, index) => {
+    const footerText = [footer, `Page ${index + 1} of ${pages.length}`].filter(Boolean).join('  |  ');
+    const content = [
+      ...runs.map(run => `BT /${run.font} ${run.size} Tf ${run.x} ${run.y} Td (${toPdfString(run.text)}) Tj ET`),
+      `BT /F1 ${STYLES.small.size} Tf ${MARGIN} ${MARGIN / 2} Td (${toPdfString(footerText)}) Tj ET`
+    ].join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+export default {
+  renderTextPdf
+};
@@ -0,0 +1,544 @@
+import RateLimitEntry from '../models/RateLimitEntry.js';
+import logger from './logger.js';
+
+/**
+ * Rate Limit Store
+ * Pluggable hit counters and lockouts for every rate limiter (login, failed
+ * authentication, contact form, chatbot, pet inquiries, user management, ...).
+ *
+ * Counters use fixed windows: the first hit starts a window of windowMs and the
+ * count resets when it ends. A lockout blocks a client until lockedUntil,
+ * independently of the window.
+ *
+ * Stores:
+ *   - mongo:  RateLimitEntry collection, shared by all instances and kept across
+ *             restarts (default)
+ *   - redis:  any Redis server at REDIS_URL; needs the redis package
+ *   - memory: in-process Map, for tests and single-instance development
+ *
+ * Selection: RATE_LIMIT_STORE, otherwise mongo.
+ *
+ * If the store fails, limits fail open (the request is allowed) and the error
+ * is logged, so a database hiccup cannot lock everyone out.
+ */
+
+const REDIS_KEY_PREFIX = 'ratelimit:';
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether an entry identifier refers to a client. Identifiers can combine
+ * values, e.g. "<userId>:<ip>", so both parts match.
+ * @param {string} identifier - Entry identifier
+ * @param {string} value - IP address or user ID
+ * @returns {boolean}
+ */
+const matchesIdentifier = (identifier, value) =>
+  identifier === value || identifier.startsWith(`${value}:`) || identifier.endsWith(`:${value}`);
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toDate = (value) => (value ? new Date(Number(value)) : null);
+
+/**
+ * Driver factories. A driver exposes:
+ *   increment(key, { limiter, identifier, windowMs, max }) -> Promise<entry>
+ *   decrement(key) -> Promise<void>
+ *   lock(key, lockedUntil) -> Promise<void>
+ *   get(key) -> Promise<entry|null>
+ *   list({ limiter, identifier }) -> Promise<entry[]>
+ *   remove({ key } | { limiter, identifier }) -> Promise<number>
+ * where entry is { key, limiter, identifier, count, max, resetAt, lockedUntil }.
+ * Register additional drivers with registerStore.
+ */
+const storeFactories = {
+  memory: () => {
+    const entries = new Map();
+
+    const isLive = (entry, now = Date.now()) =>
+      entry.resetAt.getTime() > now || (entry.lockedUntil && entry.lockedUntil.getTime() > now);
+
+    const filterEntries = ({ key, limiter, identifier } = {}) => [...entries.values()].filter(entry =>
+      (!key || entry.key === key)
+      && (!limiter || entry.limiter === limiter)
+      && (!identifier || matchesIdentifier(entry.identifier, identifier)));
+
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of entries) {
+        if (!isLive(entry, now)) entries.delete(key);
+      }
+    }, MEMORY_SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+      name: 'memory',
+      localKeys: true,
+
+      async increment(key, { limiter, identifier, windowMs, max }) {
+        const now = Date.now();
+        const entry = entries.get(key);
+
+        if (!entry || entry.resetAt.getTime() <= now) {
+          const fresh = {
+            key,
+            limiter,
+            identifier,
+            count: 1,
+            max,
+            resetAt: new Date(now + windowMs),
+            lockedUntil: entry?.lockedUntil || null
+          };
+          entries.set(key, fresh);
+          return { ...fresh };
+        }
+
+        entry.count += 1;
+        entry.max = max;
+        return { ...entry };
+      },
+
+      async decrement(key) {
+        const entry = entries.get(key);
+        if (entry && entry.count > 0) entry.count -= 1;
+      },
+
+      async lock(key, lockedUntil) {
+        const entry = entries.get(key);
+        if (entry) entry.lockedUntil = lockedUntil;
+      },
+
+      async get(key) {
+        const entry = entries.get(key);
+        return entry && isLive(entry) ? { ...entry } : null;
+      },
+
+      async list(filter) {
+        return filterEntries(filter).filter(entry => isLive(entry)).map(entry => ({ ...entry }));
+      },
+
+      async remove(filter) {
+        const matches = filterEntries(filter);
+        matches.forEach(entry => entries.delete(entry.key));
+        return matches.length;
+      }
+    };
+  },
+
+  mongo: () => {
+    const toEntry = (doc) => doc && {
+      key: doc.key,
+      limiter: doc.limiter,
+      identifier: doc.identifier,
+      count: doc.count,
+      max: doc.max,
+      resetAt: doc.resetAt,
+      lockedUntil: doc.lockedUntil || null
+    };
+
+    const toQuery = ({ key, limiter, identifier } = {}) => {
+      const query = {};
+      if (key) query.key = key;
+      if (limiter) query.limiter = limiter;
+      if (identifier) {
+        const escaped = escapeRegex(identifier);
+        query.identifier = { $regex: `^(?:${escaped}|${escaped}:.*|.*:${escaped})$` };
+      }
+      return query;
+    };
+
+    return {
+      name: 'mongo',
+      localKeys: false,
+
+      async increment(key, { limiter, identifier, windowMs, max }) {
+        const now = new Date();
+        const windowOpen = { $gt: ['$resetAt', now] };
+
+        // One atomic update: count up within the window, otherwise start a new one
+        const doc = await RateLimitEntry.findOneAndUpdate(
+          { key },
+          [
+            {
+              $set: {
+                limiter,
+                identifier,
+                max,
+                count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+              }
+            },
+            { $set: { expiresAt: { $max: ['$resetAt', { $ifNull: ['$lockedUntil', '$resetAt'] }] } } }
+          ],
+          { upsert: true, new: true, lean: true }
+        );
+
+        return toEntry(doc);
+      },
+
+      async decrement(key) {
+        await RateLimitEntry.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+      },
+
+      async lock(key, lockedUntil) {
+        await RateLimitEntry.updateOne({ key }, [
+          { $set: { lockedUntil, expiresAt: { $max: ['$resetAt', lockedUntil] } } }
+        ]);
+      },
+
+      async get(key) {
+        const doc = await RateLimitEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return toEntry(doc);
+      },
+
+      async list(filter) {
+        const docs = await RateLimitEntry.find({ ...toQuery(filter), expiresAt: { $gt: new Date() } })
+          .sort({ updatedAt: -1 })
+          .limit(500)
+          .lean();
+        return docs.map(toEntry);
+      },
+
+      async remove(filter) {
+        const result = await RateLimitEntry.deleteMany(toQuery(filter));
+        return result.deletedCount || 0;
+      }
+    };
+  },
+
+  redis: () => {
+    const url = process.env.REDIS_URL;
+    if (!url) {
+      throw new Error('REDIS_URL is required for the redis rate limit store');
+    }
+
+    // The client is only loaded when this store is first used
+    let clientPromise = null;
+    const getClient = () => clientPromise || (clientPromise = import('redis')
+      .then(async ({ createClient }) => {
+        const client = createClient({ url });
+        client.on('error', error => logger.errorLog(error, { operation: 'rateLimitRedis' }));
+        await client.connect();
+        return client;
+      })
+      .catch(error => {
+        clientPromise = null;
+        throw new Error(`The redis rate limit store requires the redis package and a reachable server (${error.message})`);
+      }));
+
+    // Hash per key; the whole hash expires at the later of resetAt and lockedUntil
+    const INCREMENT_SCRIPT = `
+      local now = tonumber(ARGV[1])
+      local resetAt = tonumber(redis.call('HGET', KEYS[1], 'resetAt') or '0')
+      local count
+      if resetAt <= now then
+        resetAt = now + tonumber(ARGV[2])
+        redis.call('HSET', KEYS[1], 'count', 1, 'resetAt', resetAt)
+        count = 1
+      else
+        count = redis.call('HINCRBY', KEYS[1], 'count', 1)
+      end
+      redis.call('HSET', KEYS[1], 'limiter', ARGV[3], 'identifier', ARGV[4], 'max', ARGV[5])
+      local lockedUntil = tonumber(redis.call('HGET', KEYS[1], 'lockedUntil') or '0')
+      redis.call('PEXPIREAT', KEYS[1], math.max(resetAt, lockedUntil))
+      return { count, resetAt, lockedUntil }
+    `;
+
+    const DECREMENT_SCRIPT = `
+      if tonumber(redis.call('HGET', KEYS[1], 'count') or '0') > 0 then
+        redis.call('HINCRBY', KEYS[1], 'count', -1)
+      end
+      return 0
+    `;
+
+    const LOCK_SCRIPT = `
+      if redis.call('EXISTS', KEYS[1]) == 1 then
+        local resetAt = tonumber(redis.call('HGET', KEYS[1], 'resetAt') or '0')
+        redis.call('HSET', KEYS[1], 'lockedUntil', ARGV[1])
+        redis.call('PEXPIREAT', KEYS[1], math.max(resetAt, tonumber(ARGV[1])))
+      end
+      return 0
+    `;
+
+    const toEntry = (key, hash) => (hash && hash.count !== undefined ? {
+      key,
+      limiter: hash.limiter,
+      identifier: hash.identifier,
+      count: Number(hash.count),
+      max: hash.max ? Number(hash.max) : undefined,
+      resetAt: toDate(hash.resetAt),
+      lockedUntil: toDate(hash.lockedUntil)
+    } : null);
+
+    const scanEntries = async ({ key, limiter, identifier } = {}) => {
+      const client = await getClient();
+      const pattern = key ? `${REDIS_KEY_PREFIX}${key}` : `${REDIS_KEY_PREFIX}${limiter ? `${limiter}:` : ''}*`;
+      const entries = [];
+
+      for await (const batch of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        // redis v4 yields single keys, v5 yields arrays
+        for (const redisKey of [].concat(batch)) {
+          const entry = toEntry(redisKey.slice(REDIS_KEY_PREFIX.length), await client.hGetAll(redisKey));
+          if (entry && (!identifier || matchesIdentifier(entry.identifier, identifier))) {
+            entries.push(entry);
+          }
+        }
+      }
+      return entries;
+    };
+
+    return {
+      name: 'redis',
+      localKeys: false,
+
+      async increment(key, { limiter, identifier, windowMs, max }) {
+        const client = await getClient();
+        const [count, resetAt, lockedUntil] = await client.eval(INCREMENT_SCRIPT, {
+          keys: [`${REDIS_KEY_PREFIX}${key}`],
+          arguments: [String(Date.now()), String(windowMs), limiter, identifier, String(max ?? '')]
+        });
+        return { key, limiter, identifier, count: Number(count), max, resetAt: toDate(resetAt), lockedUntil: toDate(lockedUntil) };
+      },
+
+      async decrement(key) {
+        const client = await getClient();
+        await client.eval(DECREMENT_SCRIPT, { keys: [`${REDIS_KEY_PREFIX}${key}`], arguments: [] });
+      },
+
+      async lock(key, lockedUntil) {
+        const client = await getClient();
+        await client.eval(LOCK_SCRIPT, { keys: [`${REDIS_KEY_PREFIX}${key}`], arguments: [String(lockedUntil.getTime())] });
+      },
+
+      async get(key) {
+        const client = await getClient();
+        return toEntry(key, await client.hGetAll(`${REDIS_KEY_PREFIX}${key}`));
+      },
+
+      list: scanEntries,
+
+      async remove(filter) {
+        const client = await getClient();
+        const entries = await scanEntries(filter);
+        if (entries.length === 0) return 0;
+        await client.del(entries.map(entry => `${REDIS_KEY_PREFIX}${entry.key}`));
+        return entries.length;
+      }
+    };
+  }
+};
+
+let activeStore = null;
+
+/**
+ * Get (and lazily create) the active store
+ * @returns {Object} Store driver
+ */
+const getStore = () => {
+  if (!activeStore) {
+    const name = (process.env.RATE_LIMIT_STORE || 'mongo').toLowerCase();
+    const factory = storeFactories[name];
+
+    if (!factory) {
+      logger.warn('Unknown rate limit store, falling back to mongo', { store: name });
+      activeStore = storeFactories.mongo();
+    } else {
+      activeStore = factory();
+    }
+  }
+  return activeStore;
+};
+
+/**
+ * Register a custom store factory
+ * @param {string} name - Store name (selected with RATE_LIMIT_STORE)
+ * @param {Function} factory - Returns an object implementing the driver interface
+ */
+const registerStore = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error('Rate limit store factory must be a function');
+  }
+  storeFactories[name] = factory;
+};
+
+/**
+ * Replace the active store
+ * @param {Object|string} store - Store instance or registered name
+ */
+const setStore = (store) => {
+  if (typeof store === 'string') {
+    const factory = storeFactories[store];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${store}`);
+    }
+    activeStore = factory();
+    return;
+  }
+  if (!store || typeof store.increment !== 'function' || typeof store.get !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, options) and get(key)');
+  }
+  activeStore = store;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Count a hit and check it against a limit
+ * @param {string} limiter - Limiter name, e.g. 'login'
+ * @param {string} identifier - Client, e.g. an IP address or user ID
+ * @param {Object} options - { windowMs, max, lockoutMs } (lockoutMs blocks the client once the limit is exceeded)
+ * @returns {Promise<Object>} { limited, count, remaining, retryAfter } (retryAfter in seconds when limited)
+ */
+export const consume = async (limiter, identifier, { windowMs, max, lockoutMs } = {}) => {
+  const key = `${limiter}:${identifier}`;
+
+  try {
+    const store = getStore();
+    const entry = await store.increment(key, { limiter, identifier: String(identifier), windowMs, max });
+
+    if (entry.lockedUntil && entry.lockedUntil.getTime() > Date.now()) {
+      return { limited: true, count: entry.count, remaining: 0, retryAfter: secondsUntil(entry.lockedUntil), reason: 'lockout' };
+    }
+
+    if (entry.count > max) {
+      if (lockoutMs) {
+        const lockedUntil = new Date(Date.now() + lockoutMs);
+        await store.lock(key, lockedUntil);
+        return { limited: true, count: entry.count, remaining: 0, retryAfter: secondsUntil(lockedUntil), reason: 'lockout' };
+      }
+      return { limited: true, count: entry.count, remaining: 0, retryAfter: secondsUntil(entry.resetAt), reason: 'rate_limit' };
+    }
+
+    return { limited: false, count: entry.count, remaining: max - entry.count };
+  } catch (error) {
+    logger.errorLog(error, { operation: 'rateLimitConsume', limiter, identifier });
+    return { limited: false, count: 0, remaining: max };
+  }
+};
+
+/**
+ * Check a client against a limit without counting a hit
+ * (e.g. failed logins, which are only counted when they fail)
+ * @param {string} limiter - Limiter name
+ * @param {string} identifier - Client
+ * @param {Object} options - { max, lockoutMs } (lockoutMs blocks the client once max is reached)
+ * @returns {Promise<Object>} { limited, remaining, retryAfter, reason }
+ */
+export const check = async (limiter, identifier, { max, lockoutMs } = {}) => {
+  const key = `${limiter}:${identifier}`;
+
+  try {
+    const store = getStore();
+    const entry = await store.get(key);
+    const now = Date.now();
+
+    if (!entry) {
+      return { limited: false, remaining: max };
+    }
+
+    if (entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+      return { limited: true, remaining: 0, retryAfter: secondsUntil(entry.lockedUntil), reason: 'lockout' };
+    }
+
+    if (entry.resetAt.getTime() > now && entry.count >= max) {
+      if (lockoutMs) {
+        const lockedUntil = new Date(now + lockoutMs);
+        await store.lock(key, lockedUntil);
+        return { limited: true, remaining: 0, retryAfter: secondsUntil(lockedUntil), reason: 'rate_limit' };
+      }
+      return { limited: true, remaining: 0, retryAfter: secondsUntil(entry.resetAt), reason: 'rate_limit' };
+    }
+
+    return { limited: false, remaining: entry.resetAt.getTime() > now ? max - entry.count : max };
+  } catch (error) {
+    logger.errorLog(error, { operation: 'rateLimitCheck', limiter, identifier });
+    return { limited: false, remaining: max };
+  }
+};
+
+/**
+ * Current counters, optionally for one limiter and/or client
+ * @param {Object} filter - { limiter, identifier, limitedOnly }
+ * @returns {Promise<Array>} Entries with a limited flag
+ */
+export const listEntries = async ({ limiter, identifier, limitedOnly = false } = {}) => {
+  const now = Date.now();
+  const entries = await getStore().list({ limiter, identifier });
+
+  return entries
+    .map(entry => {
+      const locked = !!(entry.lockedUntil && entry.lockedUntil.getTime() > now);
+      const windowOpen = entry.resetAt && entry.resetAt.getTime() > now;
+      return {
+        ...entry,
+        locked,
+        limited: locked || !!(windowOpen && entry.max !== undefined && entry.count >= entry.max)
+      };
+    })
+    .filter(entry => !limitedOnly || entry.limited);
+};
+
+/**
+ * Remove counters and lockouts, optionally for one limiter and/or client
+ * @param {Object} filter - { limiter, identifier } (at least one is required)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export const clearEntries = async ({ limiter, identifier } = {}) => {
+  if (!limiter && !identifier) {
+    throw new Error('A limiter or identifier is required to clear rate limits');
+  }
+  return getStore().remove({ limiter, identifier });
+};
+
+/**
+ * express-rate-limit store backed by the active rate limit store, so limiters
+ * built with express-rate-limit share counters across instances.
+ * Create one per limiter.
+ * @param {string} limiter - Limiter name
+ * @returns {Object} express-rate-limit Store
+ */
+export const createExpressStore = (limiter) => {
+  let windowMs = 60 * 1000;
+  let max;
+
+  return {
+    prefix: `${limiter}:`,
+
+    get localKeys() {
+      return getStore().localKeys === true;
+    },
+
+    init(options) {
+      windowMs = options.windowMs;
+      max = typeof options.limit === 'number' ? options.limit : undefined;
+    },
+
+    async get(key) {
+      const entry = await getStore().get(`${limiter}:${key}`);
+      return entry ? { totalHits: entry.count, resetTime: entry.resetAt } : undefined;
+    },
+
+    async increment(key) {
+      const entry = await getStore().increment(`${limiter}:${key}`, { limiter, identifier: String(key), windowMs, max });
+      return { totalHits: entry.count, resetTime: entry.resetAt };
+    },
+
+    async decrement(key) {
+      await getStore().decrement(`${limiter}:${key}`);
+    },
+
+    async resetKey(key) {
+      await getStore().remove({ key: `${limiter}:${key}` });
+    }
+  };
+};
+
+export default {
+  consume,
+  check,
+  listEntries,
+  clearEntries,
+  createExpressStore,
+  registerStore,
+  setStore,
+  getStoreName: () => getStore().name
+};
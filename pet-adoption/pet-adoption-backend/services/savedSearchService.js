@@ -0,0 +1,186 @@
+import SavedSearch from '../models/SavedSearch.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import { createNotification, wantsEmail } from './notificationService.js';
+import logger from './logger.js';
+
+/**
+ * Saved Search Service
+ * Matches newly available pets against users' saved searches and alerts the
+ * owners. In-app notifications are always immediate; emails follow the
+ * user's notifications.savedSearchFrequency preference (instant or a daily
+ * digest sent at SAVED_SEARCH_DIGEST_HOUR, UTC).
+ */
+
+const ALERTABLE_USER_STATUSES = ['active', 'pending_verification'];
+export const DIGEST_HOUR = parseInt(process.env.SAVED_SEARCH_DIGEST_HOUR, 10) || 8;
+
+/**
+ * Link to the saved searches page, used in emails
+ * @returns {string} Absolute URL
+ */
+const manageUrl = () => `${emailService.getFrontendUrl()}/saved-searches`;
+
+/**
+ * Alert the owners of saved searches that match a newly available pet.
+ * Never throws; failures are logged so pet writes are not affected.
+ * @param {Object} pet - Pet document
+ * @returns {Promise<Object>} { matchedSearches, notifiedUsers, emailed, queuedForDigest }
+ */
+export const notifyMatchingSearches = async (pet) => {
+  const result = { matchedSearches: 0, notifiedUsers: 0, emailed: 0, queuedForDigest: 0 };
+
+  if (!pet || pet.status !== 'available') {
+    return result;
+  }
+
+  try {
+    const candidates = await SavedSearch.findCandidatesForPet(pet);
+    const matches = candidates.filter(search => search.matchesPet(pet));
+    if (matches.length === 0) {
+      return result;
+    }
+
+    const searchesByUser = new Map();
+    matches.forEach(search => {
+      const key = search.user.toString();
+      searchesByUser.set(key, [...(searchesByUser.get(key) || []), search]);
+    });
+
+    const users = await User.find({
+      _id: { $in: [...searchesByUser.keys()] },
+      status: { $in: ALERTABLE_USER_STATUSES }
+    }).select('email username profile.firstName notifications');
+
+    const petPath = `/pets/${pet._id}`;
+    const now = new Date();
+
+    for (const user of users) {
+      const searches = searchesByUser.get(user._id.toString());
+      const searchNames = searches.map(search => search.name);
+      const digest = user.notifications?.savedSearchFrequency === 'daily';
+      const sendEmail = wantsEmail(user, 'savedSearchAlerts');
+
+      searches.forEach(search => {
+        search.rememberPet(pet._id);
+        search.lastAlertedAt = now;
+        if (sendEmail && digest) {
+          search.pendingMatches.push({ pet: pet._id, matchedAt: now });
+        }
+      });
+      await Promise.all(searches.map(search => search.save()));
+
+      result.matchedSearches += searches.length;
+
+      const notification = await createNotification({
+        user: user._id,
+        type: 'saved_search_match',
+        title: `New match: ${pet.name}`,
+        message: `${pet.name} is now available and matches your saved search "${searchNames.join('", "')}".`.slice(0, 2000),
+        link: petPath,
+        relatedPet: pet._id,
+        data: { savedSearchIds: searches.map(search => search._id) }
+      });
+      if (notification) result.notifiedUsers++;
+
+      if (!sendEmail || !user.email) continue;
+
+      if (digest) {
+        result.queuedForDigest++;
+        continue;
+      }
+
+      const delivery = await emailService.sendTemplate('savedSearchAlert', user.email, {
+        firstName: user.profile?.firstName,
+        username: user.username,
+        petName: pet.name,
+        petType: pet.type,
+        petBreed: pet.breed,
+        petUrl: `${emailService.getFrontendUrl()}${petPath}`,
+        searchNames,
+        manageUrl: manageUrl()
+      });
+      if (delivery.sent || delivery.queued) result.emailed++;
+    }
+
+    logger.info('Saved search alerts processed', { petId: pet._id, ...result });
+  } catch (error) {
+    logger.errorLog(error, { operation: 'notifyMatchingSearches', petId: pet._id });
+  }
+
+  return result;
+};
+
+/**
+ * Send one digest email per user for matches queued since the last run.
+ * Pets that are no longer available are dropped from the digest.
+ * @returns {Promise<Object>} { users, emailed }
+ */
+export const sendDailyDigests = async () => {
+  const startedAt = new Date();
+  const result = { users: 0, emailed: 0 };
+
+  const searches = await SavedSearch.find({ 'pendingMatches.0': { $exists: true } })
+    .populate('pendingMatches.pet', 'name type breed status');
+
+  const searchesByUser = new Map();
+  searches.forEach(search => {
+    const key = search.user.toString();
+    searchesByUser.set(key, [...(searchesByUser.get(key) || []), search]);
+  });
+
+  const users = await User.find({
+    _id: { $in: [...searchesByUser.keys()] },
+    status: { $in: ALERTABLE_USER_STATUSES }
+  }).select('email username profile.firstName notifications');
+
+  const frontendUrl = emailService.getFrontendUrl();
+
+  for (const user of users) {
+    result.users++;
+
+    const sections = searchesByUser.get(user._id.toString())
+      .map(search => ({
+        name: search.name,
+        pets: search.pendingMatches
+          .filter(match => match.pet?.status === 'available' && match.matchedAt <= startedAt)
+          .map(match => ({
+            name: match.pet.name,
+            type: match.pet.type,
+            breed: match.pet.breed,
+            url: `${frontendUrl}/pets/${match.pet._id}`
+          }))
+      }))
+      .filter(section => section.pets.length > 0);
+
+    if (sections.length === 0 || !user.email || !wantsEmail(user, 'savedSearchAlerts')) {
+      continue;
+    }
+
+    try {
+      const delivery = await emailService.sendTemplate('savedSearchDigest', user.email, {
+        firstName: user.profile?.firstName,
+        username: user.username,
+        searches: sections,
+        manageUrl: manageUrl()
+      });
+      if (delivery.sent || delivery.queued) result.emailed++;
+    } catch (error) {
+      logger.errorLog(error, { operation: 'sendDailyDigests', userId: user._id });
+    }
+  }
+
+  // Only clear what this run looked at; matches queued meanwhile wait for tomorrow
+  await SavedSearch.updateMany(
+    { _id: { $in: searches.map(search => search._id) } },
+    { $pull: { pendingMatches: { matchedAt: { $lte: startedAt } } } }
+  );
+
+  logger.info('Saved search digests sent', result);
+  return result;
+};
+
+export default {
+  notifyMatchingSearches,
+  sendDailyDigests
+};
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+
+/**
+ * Session Service
+ * Server-side refresh tokens with rotation and reuse detection.
+ *
+ * A session is one login on one device. Its refresh token is an opaque random
+ * string; only the hash is stored. Each refresh revokes the presented token and
+ * issues a new one in the same session. If a token that was already rotated is
+ * presented again, someone holds a copy of it, so the whole session is revoked.
+ *
+ * Access tokens carry the session ID (sid claim) and stay valid until they
+ * expire; "log out everywhere" also sets User.sessionsRevokedAt, which
+ * authenticate checks, to cut those off immediately.
+ */
+
+export const REFRESH_TOKEN_TTL_SECONDS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60;
+
+const REFRESH_TOKEN_BYTES = 48;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Error with a code the controller maps to a response
+ * @param {string} code - INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REVOKED or REFRESH_TOKEN_REUSED
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const sessionError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Store a new refresh token
+ * @param {Object} userId - User ObjectId
+ * @param {string} sessionId - Session the token belongs to
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { refreshToken, tokenHash, expiresAt }
+ */
+const issueRefreshToken = async (userId, sessionId, { ipAddress, userAgent } = {}) => {
+  const refreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const tokenHash = hashToken(refreshToken);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash,
+    sessionId,
+    expiresAt,
+    ipAddress,
+    userAgent
+  });
+
+  return { refreshToken, tokenHash, expiresAt };
+};
+
+/**
+ * Start a session for a user who just logged in
+ * @param {Object} user - User document
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { sessionId, refreshToken, expiresAt }
+ */
+export const createSession = async (user, client = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, expiresAt } = await issueRefreshToken(user._id, sessionId, client);
+
+  logger.dbLog('create', 'refreshtokens', { userId: user._id, sessionId });
+  return { sessionId, refreshToken, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same session.
+ * The presented token is revoked atomically, so it can only be used once.
+ * @param {string} token - Refresh token
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { userId, sessionId, refreshToken, expiresAt }
+ * @throws {Error} With a code (see sessionError) if the token cannot be used
+ */
+export const rotateRefreshToken = async (token, client = {}) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (!existing) {
+      throw sessionError('INVALID_REFRESH_TOKEN', 'Refresh token not recognized');
+    }
+
+    if (existing.revokedReason === 'rotated') {
+      const revoked = await RefreshToken.revokeWhere({ user: existing.user, sessionId: existing.sessionId }, 'reuse_detected');
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: existing.user,
+        sessionId: existing.sessionId,
+        revokedTokens: revoked,
+        ip: client.ipAddress,
+        userAgent: client.userAgent
+      });
+      throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token was already used');
+    }
+
+    if (existing.revokedAt) {
+      throw sessionError('REFRESH_TOKEN_REVOKED', 'Session has been signed out');
+    }
+
+    throw sessionError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+  }
+
+  const next = await issueRefreshToken(current.user, current.sessionId, client);
+  await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedByHash: next.tokenHash } });
+
+  return {
+    userId: current.user,
+    sessionId: current.sessionId,
+    refreshToken: next.refreshToken,
+    expiresAt: next.expiresAt
+  };
+};
+
+/**
+ * Sign out the session a refresh token belongs to
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object|null>} { userId, sessionId } or null if the token is unknown
+ */
+export const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) {
+    return null;
+  }
+
+  await RefreshToken.revokeWhere({ user: existing.user, sessionId: existing.sessionId }, 'logout');
+  return { userId: existing.user, sessionId: existing.sessionId };
+};
+
+/**
+ * Sign out one session of a user
+ * @param {Object} userId - User ObjectId
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (userId, sessionId, reason = 'revoked_by_user') => {
+  const revoked = await RefreshToken.revokeWhere({ user: userId, sessionId }, reason);
+  return revoked > 0;
+};
+
+/**
+ * Sign out every session of a user and invalidate their outstanding access tokens
+ * @param {Object} userId - User ObjectId
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const sessionIds = await RefreshToken.distinct('sessionId', {
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+
+  await RefreshToken.revokeWhere({ user: userId }, reason);
+  await User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: new Date() } });
+
+  logger.info('All sessions revoked', { userId, reason, sessions: sessionIds.length });
+  return sessionIds.length;
+};
+
+/**
+ * Active sessions of a user, built from their login history.
+ * Sessions whose login has dropped out of the history fall back to the
+ * details stored with the refresh token.
+ * @param {Object} user - User document (with loginHistory)
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Promise<Array>} Sessions, most recently active first
+ */
+export const listSessions = async (user, currentSessionId) => {
+  const activeTokens = await RefreshToken.find({
+    user: user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 }).lean();
+
+  const logins = new Map(
+    (user.loginHistory || [])
+      .filter(entry => entry.successful && entry.sessionId)
+      .map(entry => [entry.sessionId, entry])
+  );
+
+  const seen = new Set();
+  const sessions = [];
+
+  for (const token of activeTokens) {
+    if (seen.has(token.sessionId)) continue;
+    seen.add(token.sessionId);
+
+    const login = logins.get(token.sessionId);
+    sessions.push({
+      sessionId: token.sessionId,
+      loggedInAt: login?.timestamp || null,
+      lastActiveAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      ipAddress: token.ipAddress || login?.ipAddress,
+      userAgent: token.userAgent || login?.userAgent,
+      location: login?.location,
+      current: token.sessionId === currentSessionId
+    });
+  }
+
+  return sessions;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,263 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Storage Service
+ * Pluggable file storage for uploads. Files are addressed by a relative key
+ * such as "pets/<petId>/<name>.webp".
+ *
+ * Files are either public (served directly, e.g. pet photos) or private
+ * (only readable through the API, e.g. medical records).
+ *
+ * Drivers:
+ *   - local: public files under UPLOAD_DIR (default ../uploads), served at /uploads;
+ *            private files under PRIVATE_UPLOAD_DIR (default ../storage/private)
+ *   - s3:    any S3-compatible bucket (AWS, MinIO, R2, ...); needs @aws-sdk/client-s3.
+ *            Private files are stored under the "private/" prefix, which the
+ *            bucket policy must not expose.
+ *
+ * Selection: STORAGE_DRIVER, otherwise local.
+ */
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'));
+export const PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '../storage/private'));
+export const UPLOAD_URL_PREFIX = '/uploads';
+
+/**
+ * Validate a storage key and reject anything that could escape the storage root
+ * @param {string} key - Relative key
+ * @returns {string} Normalized key
+ */
+const normalizeKey = (key) => {
+  const normalized = path.posix.normalize(String(key || '')).replace(/^\/+/, '');
+  if (!normalized || normalized.startsWith('..') || normalized.includes('\0')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+/**
+ * Driver factories. A driver exposes:
+ *   put(key, buffer, { contentType, visibility }) -> Promise<{ key, url }>
+ *   delete(key, { visibility }) -> Promise<void>
+ *   getStream(key, { visibility }) -> Promise<Readable>
+ *   getUrl(key) -> string (public files only)
+ * Register additional drivers with registerDriver.
+ */
+const driverFactories = {
+  local: () => {
+    const resolvePath = (key, visibility) => path.join(visibility === 'private' ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, key);
+
+    return {
+      name: 'local',
+
+      async put(key, buffer, { visibility } = {}) {
+        const filePath = resolvePath(key, visibility);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return { key, url: visibility === 'private' ? null : this.getUrl(key) };
+      },
+
+      async delete(key, { visibility } = {}) {
+        await fs.rm(resolvePath(key, visibility), { force: true });
+      },
+
+      async getStream(key, { visibility } = {}) {
+        const filePath = resolvePath(key, visibility);
+        await fs.access(filePath);
+        return createReadStream(filePath);
+      },
+
+      getUrl(key) {
+        return `${UPLOAD_URL_PREFIX}/${key}`;
+      }
+    };
+  },
+
+  s3: () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    // The SDK is only loaded when this driver is first used
+    let clientPromise = null;
+    const getClient = () => clientPromise || (clientPromise = import('@aws-sdk/client-s3')
+      .then(sdk => ({
+        sdk,
+        client: new sdk.S3Client({
+          region: process.env.S3_REGION || 'us-east-1',
+          endpoint: process.env.S3_ENDPOINT || undefined,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+          credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+          } : undefined
+        })
+      }))
+      .catch(error => {
+        clientPromise = null;
+        throw new Error(`The s3 storage driver requires @aws-sdk/client-s3 (${error.message})`);
+      }));
+
+    const objectKey = (key, visibility) => (visibility === 'private' ? `private/${key}` : key);
+
+    const publicUrl = (process.env.S3_PUBLIC_URL
+      || (process.env.S3_ENDPOINT ? `${process.env.S3_ENDPOINT}/${bucket}` : `https://${bucket}.s3.amazonaws.com`))
+      .replace(/\/+$/, '');
+
+    return {
+      name: 's3',
+
+      async put(key, buffer, { contentType, visibility } = {}) {
+        const { sdk, client } = await getClient();
+        await client.send(new sdk.PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key, visibility),
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: visibility === 'private' ? 'private, no-store' : 'public, max-age=31536000, immutable'
+        }));
+        return { key, url: visibility === 'private' ? null : this.getUrl(key) };
+      },
+
+      async delete(key, { visibility } = {}) {
+        const { sdk, client } = await getClient();
+        await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key, visibility) }));
+      },
+
+      async getStream(key, { visibility } = {}) {
+        const { sdk, client } = await getClient();
+        const object = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: objectKey(key, visibility) }));
+        return object.Body;
+      },
+
+      getUrl(key) {
+        return `${publicUrl}/${key}`;
+      }
+    };
+  }
+};
+
+let activeDriver = null;
+
+/**
+ * Get (and lazily create) the active driver
+ * @returns {Object} Driver instance
+ */
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    const factory = driverFactories[name];
+
+    if (!factory) {
+      logger.warn('Unknown storage driver, falling back to local', { driver: name });
+      activeDriver = driverFactories.local();
+    } else {
+      activeDriver = factory();
+    }
+  }
+  return activeDriver;
+};
+
+/**
+ * Register a custom storage driver factory
+ * @param {string} name - Driver name (selected with STORAGE_DRIVER)
+ * @param {Function} factory - Returns an object with put, delete and getUrl
+ */
+const registerDriver = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error('Storage driver factory must be a function');
+  }
+  driverFactories[name] = factory;
+};
+
+/**
+ * Replace the active driver
+ * @param {Object|string} driver - Driver instance or registered name
+ */
+const setDriver = (driver) => {
+  if (typeof driver === 'string') {
+    const factory = driverFactories[driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    activeDriver = factory();
+    return;
+  }
+  if (!driver || typeof driver.put !== 'function' || typeof driver.delete !== 'function') {
+    throw new Error('Storage driver must implement put(key, buffer) and delete(key)');
+  }
+  activeDriver = driver;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Relative key
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { contentType, visibility: 'public' | 'private' }
+ * @returns {Promise<Object>} { key, url } (url is null for private files)
+ */
+const putFile = async (key, buffer, options = {}) => {
+  const normalized = normalizeKey(key);
+  const driver = getDriver();
+  const result = await driver.put(normalized, buffer, options);
+
+  logger.info('File stored', { driver: driver.name, key: normalized, size: buffer.length, visibility: options.visibility || 'public' });
+  return result;
+};
+
+/**
+ * Open a stored file for reading (used to serve private files through the API)
+ * @param {string} key - Relative key
+ * @param {Object} options - { visibility }
+ * @returns {Promise<Object>} Readable stream
+ */
+const getFileStream = async (key, options = {}) => {
+  const driver = getDriver();
+  if (typeof driver.getStream !== 'function') {
+    throw new Error(`Storage driver ${driver.name} does not support reading files`);
+  }
+  return driver.getStream(normalizeKey(key), options);
+};
+
+/**
+ * Delete files, ignoring ones that are already gone
+ * @param {string[]} keys - Relative keys
+ * @param {Object} options - { visibility }
+ * @returns {Promise<void>}
+ */
+const deleteFiles = async (keys = [], options = {}) => {
+  const driver = getDriver();
+
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await driver.delete(normalizeKey(key), options);
+    } catch (error) {
+      logger.errorLog(error, { operation: 'deleteFile', driver: driver.name, key });
+    }
+  }));
+};
+
+/**
+ * Public URL for a key
+ * @param {string} key - Relative key
+ * @returns {string} URL
+ */
+const getFileUrl = (key) => getDriver().getUrl(normalizeKey(key));
+
+export default {
+  putFile,
+  getFileStream,
+  deleteFiles,
+  getFileUrl,
+  registerDriver,
+  setDriver,
+  getDriverName: () => getDriver().name
+};
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import logger from './logger.js';
+
+/**
+ * Transaction Service
+ * Runs multi-document changes in a MongoDB transaction. Standalone MongoDB
+ * servers (local development) do not support transactions; there the work
+ * runs without one, so it must not depend on a rollback for correctness.
+ */
+
+/**
+ * Whether an error means the server does not support transactions
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (error) => (
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message)
+);
+
+/**
+ * Run work in a transaction
+ * @param {Function} work - (session) => Promise; session is undefined without transaction support
+ * @param {Object} [options] - { operation } name for the log
+ * @returns {Promise<*>} Result of work
+ */
+export const withTransaction = async (work, { operation } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      logger.warn('MongoDB transactions unavailable; running without one', { operation });
+      return work(undefined);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default {
+  withTransaction
+};
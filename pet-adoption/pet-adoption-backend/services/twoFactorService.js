@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+
+/**
+ * Two-Factor Authentication Service
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps, compatible with common
+ * authenticator apps) and single-use backup codes.
+ *
+ * Secrets are stored encrypted with AES-256-GCM. The key is derived from
+ * TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET.
+ */
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step before/after for clock drift
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ENCRYPTION_PREFIX = 'v1';
+
+export const BACKUP_CODE_COUNT = 10;
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Pawsome Homes';
+
+// Roles that must have 2FA enabled before they get a session
+export const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'staff,admin,super_admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encryption key for stored secrets
+ * @returns {Buffer} 32-byte key
+ */
+const getEncryptionKey = () => {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET is required for two-factor authentication');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [ENCRYPTION_PREFIX, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (stored) => {
+  const [prefix, iv, tag, ciphertext] = String(stored || '').split(':');
+  if (prefix !== ENCRYPTION_PREFIX || !iv || !tag || !ciphertext) {
+    throw new Error('Stored two-factor secret has an unknown format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Current TOTP time step
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code, rejecting codes from steps that were already used
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { lastUsedStep, timestamp }
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, { lastUsedStep, timestamp } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (typeof lastUsedStep === 'number' && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Provisioning URI for authenticator apps (rendered as a QR code by the client)
+ * @param {Object} options - { secret, accountName }
+ * @returns {string} otpauth:// URI
+ */
+export const getOtpAuthUri = ({ secret, accountName }) => {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Normalize and hash a backup code for storage or lookup
+ * @param {string} code - Backup code as entered
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a fresh set of backup codes
+ * @param {number} [count] - Number of codes
+ * @returns {Object} { codes: plain codes to show once, hashed: [{ code, used }] to store }
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ code: hashBackupCode(code), used: false }))
+  };
+};
+
+/**
+ * Whether a user's role requires two-factor authentication
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user?.role);
+
+export default {
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  getOtpAuthUri,
+  hashBackupCode,
+  generateBackupCodes,
+  isTwoFactorRequired
+};
@@ -0,0 +1,624 @@
+import VolunteerShift from '../models/VolunteerShift.js';
+import VolunteerShiftSignup from '../models/VolunteerShiftSignup.js';
+import User from '../models/User.js';
+import { createNotification } from './notificationService.js';
+import logger from './logger.js';
+
+/**
+ * Volunteer Service
+ * Shift scheduling and hour tracking. Volunteers sign up for shifts that fit
+ * the weekly availability in User.volunteerInfo, as long as their background
+ * check is current through the end of the shift. Checking out credits the
+ * hours worked to User.stats.volunteerHours.
+ *
+ * Availability slots are wall-clock times ("09:00"-"12:30") in the shelter's
+ * time zone (SHELTER_TIMEZONE, default: the server's).
+ *
+ * Errors carry a `code` (see VOLUNTEER_ERRORS) for the controller to map.
+ */
+
+export const VOLUNTEER_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  CONFLICT: 'CONFLICT',
+  NOT_ELIGIBLE: 'NOT_ELIGIBLE'
+};
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+export const VOLUNTEER_TYPES = ['general', 'dog_walker', 'cat_socializer', 'events', 'transport', 'admin', 'other'];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const SHELTER_TIMEZONE = process.env.SHELTER_TIMEZONE || undefined;
+
+// How long a background check counts as current
+export const BACKGROUND_CHECK_VALID_DAYS = parseInt(process.env.VOLUNTEER_BACKGROUND_CHECK_VALID_DAYS, 10) || 365;
+
+// Check-in opens this long before the shift starts
+const CHECK_IN_OPENS_BEFORE = 30 * MINUTE;
+
+// Hours credited for a shift are capped at its length plus this
+const MAX_OVERTIME = HOUR;
+
+// Past shifts are closed this long after they end (see closePastShifts)
+const CLOSE_SHIFTS_AFTER = 2 * HOUR;
+
+const MAX_AVAILABILITY_SLOTS = 21;
+const MAX_SKILLS = 20;
+
+/**
+ * Error with a volunteer code
+ * @param {string} code - One of VOLUNTEER_ERRORS
+ * @param {string} message - Message for the client
+ * @returns {Error}
+ */
+const volunteerError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Hours rounded to two decimals
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number}
+ */
+const toHours = (ms) => Math.round((Math.max(0, ms) / HOUR) * 100) / 100;
+
+/**
+ * "9:05" / "09:05" -> "09:05"; anything else -> null
+ * @param {string} value - Time of day
+ * @returns {string|null}
+ */
+const normalizeTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+/**
+ * Weekday, calendar date and time of day of an instant in the shelter's time zone
+ * @param {Date} date
+ * @returns {Object} { day: 'monday', date: '2024-05-06', time: '09:30' }
+ */
+const toShelterTime = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: SHELTER_TIMEZONE,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * When a volunteer's background check stops being current
+ * @param {Object} user - User with volunteerInfo
+ * @returns {Date|null}
+ */
+export const getBackgroundCheckExpiry = (user) => {
+  const checkedAt = user?.volunteerInfo?.backgroundCheckDate;
+  if (!checkedAt) return null;
+  return new Date(new Date(checkedAt).getTime() + BACKGROUND_CHECK_VALID_DAYS * DAY);
+};
+
+/**
+ * Whether a shift falls inside one of the volunteer's weekly availability slots
+ * @param {Array} availability - User.volunteerInfo.availability
+ * @param {Object} shift - { startTime, endTime }
+ * @returns {boolean}
+ */
+export const fitsAvailability = (availability = [], shift) => {
+  const start = toShelterTime(new Date(shift.startTime));
+  const end = toShelterTime(new Date(shift.endTime));
+  // A shift running past midnight only fits if it ends exactly at midnight
+  const endTime = end.date === start.date ? end.time : (end.time === '00:00' ? '24:00' : null);
+  if (!endTime) return false;
+
+  return availability.some(slot => {
+    const slotStart = normalizeTime(slot.startTime);
+    const slotEnd = slot.endTime === '24:00' ? '24:00' : normalizeTime(slot.endTime);
+    return slot.day === start.day && slotStart && slotEnd &&
+      slotStart <= start.time && endTime <= slotEnd;
+  });
+};
+
+/**
+ * Whether a volunteer may sign up for a shift, and why not
+ * @param {Object} user - User with volunteerInfo
+ * @param {Object} shift - VolunteerShift
+ * @returns {Object} { eligible, reasons }
+ */
+export const getEligibility = (user, shift) => {
+  const reasons = [];
+  const backgroundCheckExpiry = getBackgroundCheckExpiry(user);
+
+  if (!user?.volunteerInfo?.isVolunteer) {
+    reasons.push('Set up your volunteer profile first');
+  }
+  if (!backgroundCheckExpiry) {
+    reasons.push('A background check is required before signing up for shifts');
+  } else if (backgroundCheckExpiry < new Date(shift.endTime)) {
+    reasons.push('Your background check needs renewing before this shift');
+  }
+  if (!fitsAvailability(user?.volunteerInfo?.availability, shift)) {
+    reasons.push('This shift is outside your availability');
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+/**
+ * Validate and store a volunteer's own profile: type, availability, skills
+ * and emergency contact. Saving it makes the user a volunteer.
+ * @param {string} userId - User ID
+ * @param {Object} profile - { volunteerType, availability, skills, emergencyContact }
+ * @returns {Promise<Object>} Updated volunteerInfo
+ */
+export const updateVolunteerProfile = async (userId, { volunteerType, availability, skills, emergencyContact }) => {
+  const updates = { 'volunteerInfo.isVolunteer': true };
+
+  if (volunteerType !== undefined) {
+    if (!VOLUNTEER_TYPES.includes(volunteerType)) {
+      throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, `Volunteer type must be one of: ${VOLUNTEER_TYPES.join(', ')}`);
+    }
+    updates['volunteerInfo.volunteerType'] = volunteerType;
+  }
+
+  if (availability !== undefined) {
+    if (!Array.isArray(availability) || availability.length > MAX_AVAILABILITY_SLOTS) {
+      throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, `Availability must be a list of at most ${MAX_AVAILABILITY_SLOTS} slots`);
+    }
+    updates['volunteerInfo.availability'] = availability.map(slot => {
+      const startTime = normalizeTime(slot?.startTime);
+      const endTime = slot?.endTime === '24:00' ? '24:00' : normalizeTime(slot?.endTime);
+      if (!WEEKDAYS.includes(slot?.day) || !startTime || !endTime || startTime >= endTime) {
+        throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT,
+          'Each availability slot needs a weekday and a start time before its end time (HH:MM)');
+      }
+      return { day: slot.day, startTime, endTime };
+    });
+  }
+
+  if (skills !== undefined) {
+    if (!Array.isArray(skills) || skills.length > MAX_SKILLS) {
+      throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, `Skills must be a list of at most ${MAX_SKILLS} entries`);
+    }
+    updates['volunteerInfo.skills'] = [...new Set(skills.map(skill => String(skill).trim().slice(0, 50)).filter(Boolean))];
+  }
+
+  if (emergencyContact !== undefined) {
+    updates['volunteerInfo.emergencyContact'] = {
+      name: String(emergencyContact?.name ?? '').trim().slice(0, 100),
+      phone: String(emergencyContact?.phone ?? '').trim().slice(0, 30),
+      relationship: String(emergencyContact?.relationship ?? '').trim().slice(0, 50)
+    };
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $set: updates }, { new: true }).select('volunteerInfo');
+  if (!user) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'User account not found');
+
+  return user.volunteerInfo;
+};
+
+/**
+ * Record when a volunteer's background check was completed
+ * @param {string} userId - User ID
+ * @param {Date|string} checkedAt - Completion date, not in the future
+ * @returns {Promise<Object>} { backgroundCheckDate, backgroundCheckExpiresAt }
+ */
+export const recordBackgroundCheck = async (userId, checkedAt) => {
+  const date = new Date(checkedAt);
+  if (!checkedAt || Number.isNaN(date.getTime()) || date > new Date()) {
+    throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, 'Background check date must be a valid date that is not in the future');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { 'volunteerInfo.backgroundCheckDate': date } },
+    { new: true }
+  ).select('volunteerInfo');
+  if (!user) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested volunteer does not exist');
+
+  return {
+    backgroundCheckDate: user.volunteerInfo.backgroundCheckDate,
+    backgroundCheckExpiresAt: getBackgroundCheckExpiry(user)
+  };
+};
+
+/**
+ * Give a seat back to a shift
+ * @param {Object} shiftId - VolunteerShift ObjectId
+ * @param {number} [count=1]
+ */
+const releaseSeats = (shiftId, count = 1) => VolunteerShift.updateOne(
+  { _id: shiftId, signedUpCount: { $gte: count } },
+  { $inc: { signedUpCount: -count } }
+);
+
+/**
+ * Add (or with a negative delta, remove) credited hours on a volunteer
+ * @param {Object} userId - User ObjectId
+ * @param {number} delta - Hours
+ */
+const creditHours = async (userId, delta) => {
+  if (!delta) return;
+  await User.updateOne({ _id: userId }, { $inc: { 'stats.volunteerHours': delta } });
+};
+
+/**
+ * Notify a volunteer about a shift; failures are logged, not thrown
+ * @param {Object} userId - User ObjectId
+ * @param {Object} data - { title, message }
+ */
+const notifyVolunteer = (userId, { title, message }) => createNotification({
+  user: userId,
+  type: 'volunteer_update',
+  title,
+  message,
+  link: '/volunteer'
+});
+
+/**
+ * Sign a volunteer up for a shift. The seat is taken with a conditional
+ * increment of signedUpCount, so two volunteers cannot take the last one.
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} user - User document of the volunteer
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} Sign-up
+ */
+export const signUpForShift = async (shiftId, user, { now = new Date() } = {}) => {
+  const shift = await VolunteerShift.findById(shiftId);
+  if (!shift) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+  if (shift.status !== 'scheduled' || shift.startTime <= now) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'This shift is no longer open for sign-ups');
+  }
+
+  const existing = await VolunteerShiftSignup.findOne({ shift: shift._id, volunteer: user._id }).select('status').lean();
+  if (existing && existing.status !== 'cancelled') {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You are already signed up for this shift');
+  }
+
+  const { eligible, reasons } = getEligibility(user, shift);
+  if (!eligible) throw volunteerError(VOLUNTEER_ERRORS.NOT_ELIGIBLE, reasons.join('. '));
+
+  const activeSignups = await VolunteerShiftSignup.find({
+    volunteer: user._id,
+    status: { $in: ['signed_up', 'checked_in'] }
+  }).select('shift').lean();
+  const overlapping = activeSignups.length > 0 && await VolunteerShift.exists({
+    _id: { $in: activeSignups.map(signup => signup.shift) },
+    status: 'scheduled',
+    startTime: { $lt: shift.endTime },
+    endTime: { $gt: shift.startTime }
+  });
+  if (overlapping) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You are already signed up for a shift at this time');
+  }
+
+  const seat = await VolunteerShift.updateOne(
+    { _id: shift._id, status: 'scheduled', $expr: { $lt: ['$signedUpCount', '$capacity'] } },
+    { $inc: { signedUpCount: 1 } }
+  );
+  if (seat.modifiedCount === 0) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'This shift is full');
+  }
+
+  try {
+    // Reuses a cancelled sign-up; the unique index stops a second active one
+    const signup = await VolunteerShiftSignup.findOneAndUpdate(
+      { shift: shift._id, volunteer: user._id, status: 'cancelled' },
+      { $set: { status: 'signed_up', signedUpAt: now }, $unset: { cancelledAt: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Volunteer signed up for shift', { shiftId: shift._id, userId: user._id });
+    return signup;
+  } catch (error) {
+    await releaseSeats(shift._id);
+    if (error.code === 11000) {
+      throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You are already signed up for this shift');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a volunteer's sign-up before the shift starts
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} volunteerId - User ObjectId
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} Cancelled sign-up
+ */
+export const cancelSignup = async (shiftId, volunteerId, { now = new Date() } = {}) => {
+  const shift = await VolunteerShift.findById(shiftId).select('startTime status');
+  if (!shift) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+  if (shift.startTime <= now) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'This shift has already started');
+  }
+
+  const signup = await VolunteerShiftSignup.findOneAndUpdate(
+    { shift: shift._id, volunteer: volunteerId, status: 'signed_up' },
+    { $set: { status: 'cancelled', cancelledAt: now } },
+    { new: true }
+  );
+  if (!signup) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'You are not signed up for this shift');
+
+  await releaseSeats(shift._id);
+  logger.info('Volunteer cancelled shift sign-up', { shiftId: shift._id, userId: volunteerId });
+
+  return signup;
+};
+
+/**
+ * Check a volunteer in, from half an hour before the shift until it ends
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} volunteerId - User ObjectId
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} Sign-up
+ */
+export const checkIn = async (shiftId, volunteerId, { now = new Date() } = {}) => {
+  const shift = await VolunteerShift.findById(shiftId).select('startTime endTime status');
+  if (!shift) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+  if (shift.status !== 'scheduled') {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, `This shift is ${shift.status}`);
+  }
+  if (now < new Date(shift.startTime.getTime() - CHECK_IN_OPENS_BEFORE) || now >= shift.endTime) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'Check-in opens 30 minutes before the shift and closes when it ends');
+  }
+
+  const signup = await VolunteerShiftSignup.findOneAndUpdate(
+    { shift: shift._id, volunteer: volunteerId, status: 'signed_up' },
+    { $set: { status: 'checked_in', checkedInAt: now } },
+    { new: true }
+  );
+  if (!signup) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You are not signed up for this shift or have already checked in');
+  }
+
+  return signup;
+};
+
+/**
+ * Hours to credit for a stretch of a shift, capped at the shift's length plus an hour
+ * @param {Object} shift - { startTime, endTime }
+ * @param {Date} from - Check-in
+ * @param {Date} to - Check-out
+ * @returns {number}
+ */
+const creditableHours = (shift, from, to) => Math.min(
+  toHours(to - from),
+  toHours(shift.endTime - shift.startTime + MAX_OVERTIME)
+);
+
+/**
+ * Check a volunteer out and credit the hours worked
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} volunteerId - User ObjectId
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} Completed sign-up
+ */
+export const checkOut = async (shiftId, volunteerId, { now = new Date() } = {}) => {
+  const shift = await VolunteerShift.findById(shiftId).select('startTime endTime');
+  if (!shift) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+
+  const current = await VolunteerShiftSignup.findOne({ shift: shift._id, volunteer: volunteerId, status: 'checked_in' })
+    .select('checkedInAt')
+    .lean();
+  if (!current) throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You have not checked in to this shift');
+
+  const hours = creditableHours(shift, current.checkedInAt, now);
+  const signup = await VolunteerShiftSignup.findOneAndUpdate(
+    { _id: current._id, status: 'checked_in' },
+    { $set: { status: 'completed', checkedOutAt: now, hours } },
+    { new: true }
+  );
+  if (!signup) throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'You have already checked out of this shift');
+
+  await creditHours(volunteerId, hours);
+  logger.info('Volunteer checked out of shift', { shiftId: shift._id, userId: volunteerId, hours });
+
+  return signup;
+};
+
+/**
+ * Fields staff can change on a scheduled shift
+ */
+const EDITABLE_SHIFT_FIELDS = ['title', 'type', 'description', 'location', 'startTime', 'endTime', 'capacity'];
+
+/**
+ * Edit a scheduled shift. Signed-up volunteers hear about a time change.
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} updates - Any of EDITABLE_SHIFT_FIELDS
+ * @returns {Promise<Object>} Updated shift
+ */
+export const updateShift = async (shiftId, updates) => {
+  const shift = await VolunteerShift.findById(shiftId);
+  if (!shift) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+  if (shift.status !== 'scheduled') {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, `A ${shift.status} shift cannot be changed`);
+  }
+
+  const previousStart = shift.startTime.getTime();
+  const previousEnd = shift.endTime.getTime();
+  EDITABLE_SHIFT_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) shift[field] = updates[field];
+  });
+
+  if (shift.capacity < shift.signedUpCount) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT,
+      `${shift.signedUpCount} volunteers are signed up; capacity cannot be lower`);
+  }
+
+  await shift.save();
+
+  if (shift.startTime.getTime() !== previousStart || shift.endTime.getTime() !== previousEnd) {
+    const signups = await VolunteerShiftSignup.find({ shift: shift._id, status: 'signed_up' }).select('volunteer').lean();
+    for (const signup of signups) {
+      await notifyVolunteer(signup.volunteer, {
+        title: 'Shift time changed',
+        message: `"${shift.title}" now runs ${shift.startTime.toLocaleString()} - ${shift.endTime.toLocaleString()}. Cancel your sign-up if you can no longer make it.`
+      });
+    }
+  }
+
+  return shift;
+};
+
+/**
+ * Cancel a scheduled shift and the sign-ups on it, and tell the volunteers
+ * @param {string} shiftId - VolunteerShift ID
+ * @param {Object} options - { reason, now }
+ * @returns {Promise<Object>} { shift, cancelledSignups }
+ */
+export const cancelShift = async (shiftId, { reason, now = new Date() } = {}) => {
+  const shift = await VolunteerShift.findOneAndUpdate(
+    { _id: shiftId, status: 'scheduled' },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelReason: reason } },
+    { new: true, runValidators: true }
+  );
+  if (!shift) {
+    const exists = await VolunteerShift.exists({ _id: shiftId });
+    throw exists
+      ? volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'Only scheduled shifts can be cancelled')
+      : volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested shift does not exist');
+  }
+
+  const signups = await VolunteerShiftSignup.find({ shift: shift._id, status: 'signed_up' }).select('volunteer').lean();
+  if (signups.length > 0) {
+    await VolunteerShiftSignup.updateMany(
+      { _id: { $in: signups.map(signup => signup._id) }, status: 'signed_up' },
+      { $set: { status: 'cancelled', cancelledAt: now } }
+    );
+    await releaseSeats(shift._id, signups.length);
+  }
+
+  for (const signup of signups) {
+    await notifyVolunteer(signup.volunteer, {
+      title: 'Shift cancelled',
+      message: `"${shift.title}" on ${shift.startTime.toLocaleString()} has been cancelled.${reason ? ` ${reason}` : ''}`.slice(0, 2000)
+    });
+  }
+
+  logger.info('Volunteer shift cancelled', { shiftId: shift._id, signups: signups.length });
+
+  return { shift, cancelledSignups: signups.length };
+};
+
+/**
+ * Staff record of a volunteer's attendance after the shift started: completed
+ * with the hours worked, or a no-show. The volunteer's hour total follows.
+ * @param {string} signupId - VolunteerShiftSignup ID
+ * @param {Object} options - { status: 'completed' | 'no_show', hours, recordedBy, now }
+ * @returns {Promise<Object>} Updated sign-up
+ */
+export const recordAttendance = async (signupId, { status, hours, recordedBy, now = new Date() }) => {
+  if (!['completed', 'no_show'].includes(status)) {
+    throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, 'Status must be completed or no_show');
+  }
+  const newHours = status === 'completed' ? Number(hours) : 0;
+  if (status === 'completed' && (hours === undefined || hours === '' || Number.isNaN(newHours) || newHours < 0 || newHours > 24)) {
+    throw volunteerError(VOLUNTEER_ERRORS.INVALID_INPUT, 'Hours must be between 0 and 24');
+  }
+
+  const signup = await VolunteerShiftSignup.findById(signupId);
+  if (!signup) throw volunteerError(VOLUNTEER_ERRORS.NOT_FOUND, 'The requested sign-up does not exist');
+  if (signup.status === 'cancelled') {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'This sign-up was cancelled');
+  }
+
+  const shift = await VolunteerShift.findById(signup.shift).select('startTime');
+  if (shift && shift.startTime > now) {
+    throw volunteerError(VOLUNTEER_ERRORS.CONFLICT, 'Attendance can be recorded once the shift has started');
+  }
+
+  const delta = Math.round((newHours - (signup.hours || 0)) * 100) / 100;
+  signup.status = status;
+  signup.hours = Math.round(newHours * 100) / 100;
+  signup.attendanceRecordedBy = recordedBy;
+  await signup.save();
+
+  await creditHours(signup.volunteer, delta);
+  logger.info('Volunteer attendance recorded', { signupId: signup._id, status, hours: signup.hours, recordedBy });
+
+  return signup;
+};
+
+/**
+ * Close shifts that ended a while ago: volunteers still checked in are
+ * checked out at the end of the shift and credited, those who never checked
+ * in are marked no-show.
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} { shifts, checkedOut, noShows }
+ */
+export const closePastShifts = async ({ now = new Date() } = {}) => {
+  const shifts = await VolunteerShift.find({
+    status: 'scheduled',
+    endTime: { $lte: new Date(now.getTime() - CLOSE_SHIFTS_AFTER) }
+  }).select('startTime endTime').lean();
+
+  let checkedOut = 0;
+  let noShows = 0;
+
+  for (const shift of shifts) {
+    const stillCheckedIn = await VolunteerShiftSignup.find({ shift: shift._id, status: 'checked_in' })
+      .select('volunteer checkedInAt')
+      .lean();
+
+    for (const signup of stillCheckedIn) {
+      const hours = creditableHours(shift, signup.checkedInAt, shift.endTime);
+      const result = await VolunteerShiftSignup.updateOne(
+        { _id: signup._id, status: 'checked_in' },
+        { $set: { status: 'completed', checkedOutAt: shift.endTime, hours } }
+      );
+      if (result.modifiedCount > 0) {
+        await creditHours(signup.volunteer, hours);
+        checkedOut += 1;
+      }
+    }
+
+    const missed = await VolunteerShiftSignup.updateMany(
+      { shift: shift._id, status: 'signed_up' },
+      { $set: { status: 'no_show' } }
+    );
+    noShows += missed.modifiedCount;
+
+    await VolunteerShift.updateOne(
+      { _id: shift._id, status: 'scheduled' },
+      { $set: { status: 'completed', completedAt: now } }
+    );
+  }
+
+  return { shifts: shifts.length, checkedOut, noShows };
+};
+
+export default {
+  VOLUNTEER_ERRORS,
+  getEligibility,
+  fitsAvailability,
+  getBackgroundCheckExpiry,
+  updateVolunteerProfile,
+  recordBackgroundCheck,
+  signUpForShift,
+  cancelSignup,
+  checkIn,
+  checkOut,
+  updateShift,
+  cancelShift,
+  recordAttendance,
+  closePastShifts
+};
@@ -7,17 +7,26 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import PetDetails from './components/PetDetails';
 import QuizPage from './pages/QuizPage';
-// import ForgotPassword from './pages/ForgotPassword';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import ContactUs from './pages/ContactUs';
 import FoodRecommendation from './pages/FoodRecommendation';
 import AdoptionRequestForm from './components/AdoptionRequestForm';
 import AuthProvider from './context/AuthProvider';
+import FavoritesProvider from './context/FavoritesProvider';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import AdminDashboard from './components/AdminDashboard';
 import TierheimDetails from './pages/TierheimDetails';
 import ChatbotComponent from "./Chatbot/Chatbot";
 import SuggestedItems from './components/SuggestedItems';
+import MyFavorites from './pages/MyFavorites';
+import SavedSearches from './pages/SavedSearches';
+import FosterPortal from './pages/FosterPortal';
+import VolunteerShifts from './pages/VolunteerShifts';
+import SecuritySettings from './pages/SecuritySettings';
+import CancelDeletion from './pages/CancelDeletion';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminRoute from './components/AdminRoute';
 import { HelmetProvider } from 'react-helmet-async';
@@ -26,6 +35,7 @@ function App() {
   return (
     <HelmetProvider>
     <AuthProvider>
+    <FavoritesProvider>
       <Router>
         <Navbar />
 
@@ -45,8 +55,11 @@ function App() {
           <Route path="/" element={<HomePage />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
-          {/* <Route path="/ForgotPassword" element={<ForgotPassword />} /> */}
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           <Route path="/pets/:id" element={<PetDetails />} />
+          <Route path="/cancel-deletion" element={<CancelDeletion />} />
 
           {/* Protected Route: Logged-in users only */}
           <Route
@@ -58,6 +71,51 @@ function App() {
             }
           />
 
+          <Route
+            path="/favorites"
+            element={
+              <ProtectedRoute>
+                <MyFavorites />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/saved-searches"
+            element={
+              <ProtectedRoute>
+                <SavedSearches />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/foster"
+            element={
+              <ProtectedRoute>
+                <FosterPortal />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/volunteer"
+            element={
+              <ProtectedRoute>
+                <VolunteerShifts />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/security"
+            element={
+              <ProtectedRoute>
+                <SecuritySettings />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Admin-only Route */}
           <Route
             path="/admin"
@@ -79,6 +137,7 @@ function App() {
 
         <ChatbotComponent />
       </Router>
+    </FavoritesProvider>
     </AuthProvider>
     </HelmetProvider>
   );
@@ -1,38 +1,79 @@
-import axios from 'axios';
+import { sendChatMessage } from './chatbotApi';
+
+// Widget registered in config.js for each typed message from the backend
+const WIDGETS_BY_TYPE = {
+  pet_carousel: 'petCarousel',
+  quick_replies: 'quickReplies',
+  shelter_links: 'shelterLinks',
+  links: 'shelterLinks',
+  adoption_link: 'adoptionLink',
+};
 
 class ActionProvider {
-  constructor(createChatBotMessage, setStateFunc) {
+  constructor(createChatBotMessage, setStateFunc, createClientMessage) {
     this.createChatBotMessage = createChatBotMessage;
     this.setState = setStateFunc;
+    this.createClientMessage = createClientMessage;
   }
 
-  handleAdoptionInquiry = () => {
-    const message = this.createChatBotMessage("Sure! I can help with that.");
+  addMessages = (messages) => {
     this.setState((prev) => ({
       ...prev,
-      messages: [...prev.messages, message],
+      messages: [...prev.messages, ...messages],
     }));
   };
 
-  handleSendMessage = async (userMessage, chatId) => {
-    if (userMessage.trim() !== "") {
-      try {
-        await axios.post('https://pawsome-homes.onrender.com/chatbot/message', {
-          message: {
-            chat: {
-              id: chatId,
-            },
-            text: userMessage,
-          },
-        });
-      } catch (error) {
-        console.error("Error sending message:", error);
+  /**
+   * Turn typed backend messages into chatbot messages with widgets
+   */
+  renderBotMessages = (messages) => {
+    const chatMessages = [];
+
+    messages.forEach((message) => {
+      if (message.type === 'text') {
+        chatMessages.push(this.createChatBotMessage(message.text));
+        return;
+      }
+
+      const widget = WIDGETS_BY_TYPE[message.type];
+      if (!widget) return;
+
+      // Widgets hang off a chat bubble; attach to the previous text when possible
+      const previous = chatMessages[chatMessages.length - 1];
+      if (previous && !previous.widget) {
+        previous.widget = widget;
+        previous.payload = message;
+      } else {
+        chatMessages.push(this.createChatBotMessage(message.label || '', { widget, payload: message }));
       }
+    });
+
+    this.addMessages(chatMessages);
+  };
+
+  handleUserMessage = async (text) => {
+    try {
+      const messages = await sendChatMessage(text);
+      this.renderBotMessages(messages);
+    } catch (error) {
+      console.error("Error sending message to backend:", error);
+      const status = error.response?.status;
+      this.addMessages([
+        this.createChatBotMessage(
+          status === 429
+            ? "You're sending messages a little fast. Please wait a moment and try again."
+            : "Sorry, I'm having trouble connecting right now. Please try again in a moment."
+        ),
+      ]);
     }
   };
 
-  handleButtonClick = (userMessage, chatId) => {
-    this.handleSendMessage(userMessage, chatId);
+  /**
+   * Quick reply buttons send their label as if the user typed it
+   */
+  handleQuickReply = (text) => {
+    this.addMessages([this.createClientMessage(text)]);
+    this.handleUserMessage(text);
   };
 }
 
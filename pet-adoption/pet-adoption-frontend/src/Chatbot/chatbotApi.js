@@ -0,0 +1,43 @@
+import apiClient from '../services/apiClient';
+
+const CONVERSATION_KEY = 'chatbotConversationId';
+
+/**
+ * Conversation ID issued by the backend, kept for the browser session so
+ * follow-up messages ("small", "good with kids") refine the same search.
+ */
+export const getConversationId = () => sessionStorage.getItem(CONVERSATION_KEY);
+
+export const resetConversation = () => sessionStorage.removeItem(CONVERSATION_KEY);
+
+/**
+ * Send a user message to the chatbot
+ * @param {string} text - Message text
+ * @returns {Promise<Array<Object>>} Typed messages to render
+ */
+export const sendChatMessage = async (text) => {
+  const conversationId = getConversationId();
+  const token = localStorage.getItem('authToken');
+
+  const response = await apiClient.post(
+    '/chatbot/message',
+    {
+      message: text,
+      ...(conversationId && { conversationId }),
+    },
+    token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+  );
+
+  const { messages, response: botResponse, metadata } = response.data?.data || {};
+
+  if (metadata?.conversationId) {
+    sessionStorage.setItem(CONVERSATION_KEY, metadata.conversationId);
+  }
+
+  if (Array.isArray(messages) && messages.length > 0) {
+    return messages;
+  }
+
+  // Older backends only return the contextual response
+  return botResponse?.message ? [{ type: 'text', text: botResponse.message }] : [];
+};
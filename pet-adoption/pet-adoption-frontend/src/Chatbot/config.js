@@ -1,4 +1,9 @@
+import { createElement } from "react";
 import { createChatBotMessage } from "react-chatbot-kit";
+import PetCarousel from "./widgets/PetCarousel";
+import QuickReplies from "./widgets/QuickReplies";
+import ShelterLinks from "./widgets/ShelterLinks";
+import AdoptionLink from "./widgets/AdoptionLink";
 
 const initialMessages = [
   createChatBotMessage("Hello! How can I help you today?"),
@@ -11,9 +16,18 @@ const getRandomMessage = () => {
   return initialMessages[randomIndex];
 };
 
+// One widget per typed message from the backend (see actionProvider.js)
+const widgets = [
+  { widgetName: "petCarousel", widgetFunc: (props) => createElement(PetCarousel, props) },
+  { widgetName: "quickReplies", widgetFunc: (props) => createElement(QuickReplies, props) },
+  { widgetName: "shelterLinks", widgetFunc: (props) => createElement(ShelterLinks, props) },
+  { widgetName: "adoptionLink", widgetFunc: (props) => createElement(AdoptionLink, props) },
+];
+
 const config = {
   initialMessages: [getRandomMessage()],
   botName: "PetBot",
+  widgets,
 };
 
 export default config;
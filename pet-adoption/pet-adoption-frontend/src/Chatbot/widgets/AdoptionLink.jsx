@@ -0,0 +1,17 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+const AdoptionLink = ({ payload }) => {
+  if (!payload?.href) return null;
+
+  return (
+    <Link
+      to={payload.href}
+      className="inline-block bg-green-500 hover:bg-green-600 text-white text-sm font-medium rounded-lg px-4 py-2"
+    >
+      {payload.label || "Start adoption application"}
+    </Link>
+  );
+};
+
+export default AdoptionLink;
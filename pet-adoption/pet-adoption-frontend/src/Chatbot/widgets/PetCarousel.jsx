@@ -0,0 +1,46 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { getPetImageUrl } from "../../utils/petImages";
+
+const PetCarousel = ({ payload }) => {
+  const pets = payload?.pets || [];
+
+  if (pets.length === 0) return null;
+
+  return (
+    <div className="flex gap-3 overflow-x-auto pb-2 w-full">
+      {pets.map((pet) => (
+        <div
+          key={pet.id}
+          className="flex-shrink-0 w-40 bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden"
+        >
+          {pet.image ? (
+            <img src={getPetImageUrl(pet, "thumbnail")} alt={pet.name} className="w-full h-24 object-cover" />
+          ) : (
+            <div className="w-full h-24 bg-gray-100 flex items-center justify-center text-3xl">🐾</div>
+          )}
+          <div className="p-2 text-xs text-gray-700">
+            <p className="font-semibold text-sm text-gray-900 truncate">{pet.name}</p>
+            <p className="truncate">{[pet.breed || pet.type, pet.age].filter(Boolean).join(" · ")}</p>
+            <div className="flex gap-1 mt-2">
+              <Link
+                to={pet.link || `/pets/${pet.id}`}
+                className="flex-1 text-center bg-gray-100 hover:bg-gray-200 rounded px-1 py-1"
+              >
+                Details
+              </Link>
+              <Link
+                to={pet.adoptLink || `/adopt/${pet.id}`}
+                className="flex-1 text-center bg-green-500 hover:bg-green-600 text-white rounded px-1 py-1"
+              >
+                Adopt
+              </Link>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PetCarousel;
@@ -0,0 +1,24 @@
+import React from "react";
+
+const QuickReplies = ({ payload, actionProvider }) => {
+  const options = payload?.options || [];
+
+  if (options.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 w-full">
+      {options.map((option) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => actionProvider.handleQuickReply(option)}
+          className="text-xs border border-green-500 text-green-600 hover:bg-green-500 hover:text-white rounded-full px-3 py-1"
+        >
+          {option}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default QuickReplies;
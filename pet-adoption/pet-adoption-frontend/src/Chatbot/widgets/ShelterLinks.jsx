@@ -0,0 +1,37 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+// In-page anchors and external URLs bypass the router so the browser scrolls/navigates
+const isRouterPath = (href) => href.startsWith("/") && !href.includes("#");
+
+const ShelterLinks = ({ payload }) => {
+  const links = payload?.links || [];
+
+  if (links.length === 0) return null;
+
+  const className = "block text-sm text-green-600 hover:text-green-700 hover:underline";
+
+  return (
+    <ul className="space-y-1 w-full">
+      {links.map((link) => (
+        <li key={`${link.label}-${link.href}`}>
+          {isRouterPath(link.href) ? (
+            <Link to={link.href} className={className}>
+              {link.label} →
+            </Link>
+          ) : (
+            <a
+              href={link.href}
+              className={className}
+              {...(!link.href.startsWith("/") && { target: "_blank", rel: "noopener noreferrer" })}
+            >
+              {link.label} →
+            </a>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ShelterLinks;
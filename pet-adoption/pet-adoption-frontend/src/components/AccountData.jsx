@@ -0,0 +1,129 @@
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Download, Trash2 } from 'lucide-react';
+import { AuthContext } from '../context/AuthProvider';
+import { exportMyData, requestAccountDeletion } from '../services/PostServicesAccount';
+
+/**
+ * "Your Data": download everything stored about the account, and schedule
+ * the account for deletion (cancellable from the emailed link)
+ */
+const AccountData = () => {
+  const { logout } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [exporting, setExporting] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const blob = await exportMyData(format);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `my-data-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setSubmitting(true);
+    try {
+      const result = await requestAccountDeletion(password);
+      toast.info(result.message);
+      // Every session was signed out on the server
+      await logout();
+      navigate('/');
+    } catch (err) {
+      toast.error(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+        <Download className="h-5 w-5 mr-2 text-green-600" />
+        Your Data
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Download your profile, adoption applications, messages, favorites and login history.
+      </p>
+      <div className="flex flex-wrap gap-3">
+        {['json', 'zip'].map(format => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            disabled={exporting !== null}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-semibold hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            {exporting === format ? 'Preparing...' : `Download ${format.toUpperCase()}`}
+          </button>
+        ))}
+      </div>
+
+      <div className="border-t border-gray-200 mt-6 pt-6">
+        <h3 className="flex items-center font-semibold text-red-700 mb-2">
+          <Trash2 className="h-4 w-4 mr-2" />
+          Delete Account
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Your account is deleted after a grace period, together with your open applications, messages and
+          favorites. Until then you can cancel with the link we email you. Records of completed adoptions are
+          kept without your personal details.
+        </p>
+        {confirmingDelete ? (
+          <form onSubmit={handleDelete} className="flex flex-wrap items-center gap-3">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm with your password"
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-red-500"
+            />
+            <button
+              type="submit"
+              disabled={submitting || !password}
+              className="bg-red-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              Delete My Account
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setConfirmingDelete(false);
+                setPassword('');
+              }}
+              className="text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => setConfirmingDelete(true)}
+            className="text-sm text-red-600 hover:text-red-700 font-medium"
+          >
+            Delete my account...
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { AuthContext } from '../context/AuthProvider';
+import { getSessions, revokeSession, logoutAllSessions } from '../services/PostServicesSessions';
+
+/**
+ * Short "Browser on OS" label from a User-Agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device label
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+          : null;
+  const os = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+      : /Windows/.test(userAgent) ? 'Windows'
+        : /Mac OS/.test(userAgent) ? 'macOS'
+          : /Linux/.test(userAgent) ? 'Linux'
+            : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+/**
+ * Devices the user is logged in on, with per-session and "everywhere" sign-out
+ */
+const ActiveSessions = () => {
+  const { logout } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSessions(await getSessions());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const endLocalSession = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('Sign out of this device?')) return;
+    try {
+      await revokeSession(session.sessionId);
+      if (session.current) {
+        await endLocalSession();
+        return;
+      }
+      setSessions(prev => prev.filter(item => item.sessionId !== session.sessionId));
+      toast.success('Session signed out');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    try {
+      const result = await logoutAllSessions();
+      toast.success(`Signed out of ${result.revokedSessions} ${result.revokedSessions === 1 ? 'session' : 'sessions'}`);
+      await endLocalSession();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800">
+          <Monitor className="h-5 w-5 mr-2 text-green-600" />
+          Active Sessions
+        </h2>
+        {sessions.length > 0 && (
+          <button
+            onClick={handleLogoutAll}
+            className="flex items-center text-sm text-red-600 hover:text-red-700 font-medium"
+          >
+            <LogOut className="h-4 w-4 mr-1" />
+            Sign out everywhere
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading sessions...</p>
+      ) : error ? (
+        <div className="flex items-center justify-between bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-800">{error}</p>
+          <button onClick={fetchSessions} className="text-sm text-red-700 font-medium hover:text-red-800">
+            Retry
+          </button>
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session.sessionId} className="flex items-center justify-between py-3">
+              <div className="flex items-center min-w-0">
+                {isMobile(session.userAgent)
+                  ? <Smartphone className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+                  : <Monitor className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />}
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-800">
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ipAddress || 'Unknown IP'}
+                    {session.loggedInAt ? ` · Signed in ${new Date(session.loggedInAt).toLocaleDateString()}` : ''}
+                    {` · Active ${new Date(session.lastActiveAt).toLocaleString()}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="ml-3 text-sm text-gray-600 hover:text-red-600 font-medium"
+              >
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -1,10 +1,25 @@
-import React, { useState, useEffect } from 'react';
-import { Users, Heart, PlusCircle, Activity, TrendingUp, AlertTriangle, Calendar, BarChart3, Eye, Clock, CheckCircle } from 'lucide-react';
+import React, { useState, useEffect, useContext } from 'react';
+import { Users, Heart, PlusCircle, Activity, TrendingUp, AlertTriangle, Calendar, BarChart3, Eye, Clock, CheckCircle, History, Timer, HandHeart, CalendarClock, LayoutGrid, Syringe } from 'lucide-react';
 import ManagePets from './ManagePets';
 import ManageAdoptionRequests from './ManageAdoptionRequests';
 import ManageUsers from './ManageUsers';
+import AuditLog from './AuditLog';
+import BackgroundJobs from './BackgroundJobs';
+import ManageFosters from './ManageFosters';
+import ManageVolunteers from './ManageVolunteers';
+import ManageKennels from './ManageKennels';
+import ManageMedical from './ManageMedical';
+import { AuthContext } from '../context/AuthProvider';
 
 const AdminDashboard = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canManagePets = hasPermission('manage_pets');
+  const canManageAdoptions = hasPermission('manage_adoption_requests');
+  const canViewUsers = hasPermission('view_users');
+  const canViewAuditLog = hasPermission('view_audit_log');
+  const canManageJobs = hasPermission('manage_jobs');
+  const canManageFosters = hasPermission('manage_fosters');
+  const canManageVolunteers = hasPermission('manage_volunteers');
   const [activeTab, setActiveTab] = useState('overview');
   const [stats, setStats] = useState({
     totalPets: 0,
@@ -401,15 +416,17 @@ const AdminDashboard = () => {
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Admin Dashboard</h1>
           <p className="text-gray-600">Manage your pet adoption platform</p>
         </div>
-        <div className="mt-4 lg:mt-0">
-          <button 
-            onClick={() => setActiveTab('pets')}
-            className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
-          >
-            <PlusCircle className="h-5 w-5" />
-            <span>Quick Add Pet</span>
-          </button>
-        </div>
+        {canManagePets && (
+          <div className="mt-4 lg:mt-0">
+            <button 
+              onClick={() => setActiveTab('pets')}
+              className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
+            >
+              <PlusCircle className="h-5 w-5" />
+              <span>Quick Add Pet</span>
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Navigation Tabs */}
@@ -421,27 +438,87 @@ const AdminDashboard = () => {
           isActive={activeTab === 'overview'}
           onClick={setActiveTab}
         />
-        <TabButton
-          id="pets"
-          label="Manage Pets"
-          icon={Heart}
-          isActive={activeTab === 'pets'}
-          onClick={setActiveTab}
-        />
-        <TabButton
-          id="adoptions"
-          label="Adoption Requests"
-          icon={Activity}
-          isActive={activeTab === 'adoptions'}
-          onClick={setActiveTab}
-        />
-        <TabButton
-          id="users"
-          label="Manage Users"
-          icon={Users}
-          isActive={activeTab === 'users'}
-          onClick={setActiveTab}
-        />
+        {canManagePets && (
+          <TabButton
+            id="pets"
+            label="Manage Pets"
+            icon={Heart}
+            isActive={activeTab === 'pets'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManagePets && (
+          <TabButton
+            id="kennels"
+            label="Kennels"
+            icon={LayoutGrid}
+            isActive={activeTab === 'kennels'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManagePets && (
+          <TabButton
+            id="medical"
+            label="Medical Due"
+            icon={Syringe}
+            isActive={activeTab === 'medical'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManageAdoptions && (
+          <TabButton
+            id="adoptions"
+            label="Adoption Requests"
+            icon={Activity}
+            isActive={activeTab === 'adoptions'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManageFosters && (
+          <TabButton
+            id="fosters"
+            label="Foster Program"
+            icon={HandHeart}
+            isActive={activeTab === 'fosters'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManageVolunteers && (
+          <TabButton
+            id="volunteers"
+            label="Volunteers"
+            icon={CalendarClock}
+            isActive={activeTab === 'volunteers'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canViewUsers && (
+          <TabButton
+            id="users"
+            label="Manage Users"
+            icon={Users}
+            isActive={activeTab === 'users'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canViewAuditLog && (
+          <TabButton
+            id="audit"
+            label="Audit Log"
+            icon={History}
+            isActive={activeTab === 'audit'}
+            onClick={setActiveTab}
+          />
+        )}
+        {canManageJobs && (
+          <TabButton
+            id="jobs"
+            label="Background Jobs"
+            icon={Timer}
+            isActive={activeTab === 'jobs'}
+            onClick={setActiveTab}
+          />
+        )}
       </div>
 
       {/* Content */}
@@ -551,9 +628,15 @@ const AdminDashboard = () => {
       )}
 
       {/* Modular Component Integration */}
-      {activeTab === 'pets' && <ManagePets />}
-      {activeTab === 'adoptions' && <ManageAdoptionRequests />}
-      {activeTab === 'users' && <ManageUsers />}
+      {activeTab === 'pets' && canManagePets && <ManagePets />}
+      {activeTab === 'kennels' && canManagePets && <ManageKennels />}
+      {activeTab === 'medical' && canManagePets && <ManageMedical />}
+      {activeTab === 'adoptions' && canManageAdoptions && <ManageAdoptionRequests />}
+      {activeTab === 'fosters' && canManageFosters && <ManageFosters />}
+      {activeTab === 'volunteers' && canManageVolunteers && <ManageVolunteers />}
+      {activeTab === 'users' && canViewUsers && <ManageUsers />}
+      {activeTab === 'audit' && canViewAuditLog && <AuditLog />}
+      {activeTab === 'jobs' && canManageJobs && <BackgroundJobs />}
     </div>
   );
 };
@@ -1,8 +1,13 @@
 import { useContext } from 'react';
 import { Navigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthProvider';
+import { ADMIN_AREA_PERMISSIONS, userHasAnyPermission } from '../utils/permissions';
 
-const AdminRoute = ({ children }) => {
+/**
+ * Route for the admin area. Open to users with any of the given permissions
+ * (by default any permission that unlocks a dashboard section).
+ */
+const AdminRoute = ({ children, permissions = ADMIN_AREA_PERMISSIONS }) => {
   const { user, loading } = useContext(AuthContext);
   
   // Show loading while user data is being fetched
@@ -14,10 +19,9 @@ const AdminRoute = ({ children }) => {
     );
   }
   
-  // Check both 'admin' and 'Admin' to handle case variations
-  const isAdmin = ['admin', 'super_admin'].includes(user?.role?.toLowerCase());
+  const hasAccess = userHasAnyPermission(user, permissions);
   
-  return isAdmin ? children : <Navigate to="/" replace />;
+  return hasAccess ? children : <Navigate to="/" replace />;
 };
 
 export default AdminRoute;
\ No newline at end of file
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { getAuditEvents, exportAuditEvents } from '../services/PostServicesAudit';
+import { AuthContext } from '../context/AuthProvider';
+
+const EMPTY_FILTERS = {
+  search: '',
+  action: '',
+  targetType: '',
+  targetId: '',
+  success: '',
+  from: '',
+  to: ''
+};
+
+const PAGE_SIZE = 25;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const AuditLog = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canExport = hasPermission('export_data');
+
+  const [events, setEvents] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [options, setOptions] = useState({ actions: [], targetTypes: [] });
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 0, totalItems: 0 });
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  // Date inputs give days; "to" should include the whole day
+  const toQuery = (values) => ({
+    ...values,
+    from: values.from ? new Date(`${values.from}T00:00:00`).toISOString() : '',
+    to: values.to ? new Date(`${values.to}T23:59:59.999`).toISOString() : ''
+  });
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getAuditEvents({ ...toQuery(appliedFilters), page, limit: PAGE_SIZE });
+      setEvents(response.data || []);
+      setOptions(response.filters || { actions: [], targetTypes: [] });
+      setPagination(response.pagination || { currentPage: 1, totalPages: 0, totalItems: 0 });
+    } catch (err) {
+      setError(`Failed to load audit log: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [appliedFilters, page]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const applyFilters = (next) => {
+    setFilters(next);
+    setAppliedFilters(next);
+    setPage(1);
+  };
+
+  const showHistory = (event) => {
+    applyFilters({ ...EMPTY_FILTERS, targetType: event.targetType, targetId: event.targetId });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const blob = await exportAuditEvents(format, toQuery(appliedFilters));
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Error exporting audit log: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600">Who changed what, and when</p>
+        </div>
+        {canExport && (
+          <div className="flex items-center space-x-2">
+            {['csv', 'xlsx', 'json'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={exporting !== null}
+                className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          applyFilters(filters);
+        }}
+        className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4"
+      >
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search actor, target or field"
+          className="px-3 py-2 border border-gray-300 rounded-lg md:col-span-2"
+        />
+        <select
+          name="action"
+          value={filters.action}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All actions</option>
+          {options.actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          name="targetType"
+          value={filters.targetType}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All targets</option>
+          {options.targetTypes.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <select
+          name="success"
+          value={filters.success}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Succeeded and failed</option>
+          <option value="true">Succeeded</option>
+          <option value="false">Failed</option>
+        </select>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <span>From</span>
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <span>To</span>
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={() => applyFilters(EMPTY_FILTERS)}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Clear
+          </button>
+        </div>
+        {appliedFilters.targetId && (
+          <p className="md:col-span-4 text-sm text-gray-600">
+            Showing the history of {appliedFilters.targetType} {appliedFilters.targetId}
+          </p>
+        )}
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Events */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : events.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No audit events found</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Time', 'Actor', 'Action', 'Target', 'Changes', 'Origin'].map(header => (
+                  <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map(event => (
+                <React.Fragment key={event._id}>
+                  <tr className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(event.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{event.actorUsername || event.actor}</div>
+                      <div className="text-xs text-gray-500">{event.actorRole}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        event.success ? 'bg-blue-100 text-blue-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {event.action}
+                      </span>
+                      {!event.success && (
+                        <div className="text-xs text-red-600 mt-1">Failed ({event.statusCode})</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">{event.targetLabel || event.targetId || '—'}</div>
+                      <div className="text-xs text-gray-500">{event.targetType}</div>
+                      {event.targetId && (
+                        <button
+                          onClick={() => showHistory(event)}
+                          className="text-xs text-blue-600 hover:text-blue-900"
+                        >
+                          History
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {event.changes?.length > 0 ? (
+                        <button
+                          onClick={() => setExpandedId(expandedId === event._id ? null : event._id)}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          {event.changes.length} {event.changes.length === 1 ? 'field' : 'fields'}
+                          {expandedId === event._id ? ' ▲' : ' ▼'}
+                        </button>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-500">
+                      <div>{event.ipAddress}</div>
+                      <div className="max-w-xs truncate" title={event.userAgent}>{event.userAgent}</div>
+                    </td>
+                  </tr>
+                  {expandedId === event._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-4 py-3">
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs text-gray-500 uppercase">
+                              <th className="py-1 pr-4">Field</th>
+                              <th className="py-1 pr-4">Before</th>
+                              <th className="py-1">After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {event.changes.map(change => (
+                              <tr key={change.field}>
+                                <td className="py-1 pr-4 font-mono text-gray-700">{change.field}</td>
+                                <td className="py-1 pr-4 text-red-700 break-all">{formatValue(change.before)}</td>
+                                <td className="py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {event.metadata && Object.keys(event.metadata).length > 0 && (
+                          <p className="mt-2 text-xs text-gray-500 break-all">
+                            Details: {JSON.stringify(event.metadata)}
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <p className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalItems} events)
+          </p>
+          <div className="space-x-2">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= pagination.totalPages || loading}
+              className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Play, Pause, RefreshCw } from 'lucide-react';
+import { getJobs, getJobRuns, runJob, setJobEnabled } from '../services/PostServicesJobs';
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  running: 'bg-blue-100 text-blue-800'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// { expired: 3, notified: 1 } -> "expired 3, notified 1"
+const formatResult = (result) => {
+  if (!result || typeof result !== 'object') return '—';
+  const entries = Object.entries(result);
+  if (entries.length === 0) return '—';
+  return entries
+    .map(([key, value]) => `${key} ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-600'}`}>
+    {status || 'never run'}
+  </span>
+);
+
+/**
+ * Admin view of the server's background jobs: schedule, last run and its
+ * result, run history, "run now" and pausing the schedule
+ */
+const BackgroundJobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyJob, setBusyJob] = useState(null);
+  const [historyJob, setHistoryJob] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [runsLoading, setRunsLoading] = useState(false);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setJobs(await getJobs());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchRuns = useCallback(async (name) => {
+    try {
+      setRunsLoading(true);
+      const response = await getJobRuns(name, { limit: 20 });
+      setRuns(response.data || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setRunsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  useEffect(() => {
+    if (historyJob) fetchRuns(historyJob);
+  }, [historyJob, fetchRuns]);
+
+  const handleRun = async (job) => {
+    try {
+      setBusyJob(job.name);
+      const result = await runJob(job.name);
+      if (result.data?.status === 'failed') {
+        toast.error(`${job.name} failed: ${result.data.error}`);
+      } else {
+        toast.success(`${job.name} finished`);
+      }
+      await fetchJobs();
+      if (historyJob === job.name) fetchRuns(job.name);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyJob(null);
+    }
+  };
+
+  const handleToggle = async (job) => {
+    try {
+      setBusyJob(job.name);
+      await setJobEnabled(job.name, !job.enabled);
+      toast.success(job.enabled ? `${job.name} paused` : `${job.name} resumed`);
+      await fetchJobs();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyJob(null);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Background Jobs</h1>
+          <p className="text-gray-600">Scheduled housekeeping and when it last ran</p>
+        </div>
+        <button
+          onClick={fetchJobs}
+          disabled={loading}
+          className="flex items-center border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Jobs */}
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+        {loading && jobs.length === 0 ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Job', 'Schedule', 'Last Run', 'Result', 'Next Run', 'Actions'].map(header => (
+                  <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {jobs.map(job => (
+                <tr key={job.name} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3">
+                    <div className="text-sm font-medium text-gray-900 font-mono">{job.name}</div>
+                    <div className="text-xs text-gray-500">{job.description}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {job.schedule}
+                    {!job.enabled && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Paused
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">
+                    <StatusBadge status={job.running ? 'running' : job.lastStatus} />
+                    <div className="text-xs text-gray-500 mt-1">{formatDate(job.lastRunAt)}</div>
+                    {job.lastDurationMs !== undefined && (
+                      <div className="text-xs text-gray-400">{job.lastDurationMs} ms</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-600 max-w-xs">
+                    {job.lastStatus === 'failed'
+                      ? <span className="text-red-700 break-words">{job.lastError}</span>
+                      : formatResult(job.lastResult)}
+                    {job.failureCount > 0 && (
+                      <div className="text-gray-400 mt-1">{job.failureCount} of {job.runCount} runs failed</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                    {job.enabled ? formatDate(job.nextRunAt) : '—'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm space-x-3">
+                    <button
+                      onClick={() => handleRun(job)}
+                      disabled={busyJob !== null || job.running}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                    >
+                      <Play className="h-4 w-4 mr-1" />
+                      {busyJob === job.name ? 'Running...' : 'Run now'}
+                    </button>
+                    <button
+                      onClick={() => handleToggle(job)}
+                      disabled={busyJob !== null}
+                      className="inline-flex items-center text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                    >
+                      {job.enabled ? <Pause className="h-4 w-4 mr-1" /> : <Play className="h-4 w-4 mr-1" />}
+                      {job.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => setHistoryJob(historyJob === job.name ? null : job.name)}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      {historyJob === job.name ? 'Hide history' : 'History'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Run history */}
+      {historyJob && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            Recent runs of <span className="font-mono">{historyJob}</span>
+          </h2>
+          {runsLoading ? (
+            <p className="text-sm text-gray-500">Loading history...</p>
+          ) : runs.length === 0 ? (
+            <p className="text-sm text-gray-500">This job has not run yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2 pr-4">Started</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Trigger</th>
+                  <th className="py-2 pr-4">Duration</th>
+                  <th className="py-2 pr-4">Result</th>
+                  <th className="py-2">Instance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {runs.map(run => (
+                  <tr key={run._id} className="align-top">
+                    <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(run.startedAt)}</td>
+                    <td className="py-2 pr-4"><StatusBadge status={run.status} /></td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {run.trigger === 'manual' ? `Manual (${run.triggeredBy?.username || 'unknown'})` : 'Schedule'}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">{run.durationMs !== undefined ? `${run.durationMs} ms` : '—'}</td>
+                    <td className="py-2 pr-4 text-xs text-gray-600">
+                      {run.status === 'failed' ? <span className="text-red-700">{run.error}</span> : formatResult(run.result)}
+                    </td>
+                    <td className="py-2 text-xs text-gray-500">{run.instance}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackgroundJobs;
@@ -32,7 +32,9 @@ const ManageAdoptionRequests = () => {
   const [updateForm, setUpdateForm] = useState({
     status: '',
     adminNotes: '',
-    rejectionReason: ''
+    rejectionReason: '',
+    publicNote: '',
+    competingRequests: 'waitlist'
   });
 
   const [communicationForm, setCommunicationForm] = useState({
@@ -46,6 +48,7 @@ const ManageAdoptionRequests = () => {
     { value: 'pending', label: 'Pending Review' },
     { value: 'under_review', label: 'Under Review' },
     { value: 'interview_scheduled', label: 'Interview Scheduled' },
+    { value: 'waitlisted', label: 'Wait-listed' },
     { value: 'approved', label: 'Approved' },
     { value: 'rejected', label: 'Rejected' },
     { value: 'completed', label: 'Completed' },
@@ -62,11 +65,13 @@ const ManageAdoptionRequests = () => {
 
   // Get available status transitions (matching backend validation)
   const getAvailableStatusOptions = (currentStatus) => {
+    // Mirrors TRANSITIONS in the backend adoption workflow
     const validTransitions = {
-      pending: ['under_review', 'approved', 'rejected'],
-      under_review: ['interview_scheduled', 'approved', 'rejected'],
-      interview_scheduled: ['approved', 'rejected'],
-      approved: ['completed'],
+      pending: ['under_review', 'approved', 'rejected', 'waitlisted', 'withdrawn'],
+      under_review: ['interview_scheduled', 'approved', 'rejected', 'waitlisted', 'withdrawn'],
+      interview_scheduled: ['approved', 'rejected', 'waitlisted', 'withdrawn'],
+      waitlisted: ['pending', 'under_review', 'rejected', 'withdrawn'],
+      approved: ['completed', 'rejected', 'withdrawn'],
       rejected: ['under_review', 'pending'], // Allow re-review
       completed: [],
       withdrawn: []
@@ -136,7 +141,9 @@ const ManageAdoptionRequests = () => {
       setUpdateForm({
         status: '',
         adminNotes: '',
-        rejectionReason: ''
+        rejectionReason: '',
+        publicNote: '',
+        competingRequests: 'waitlist'
       });
       setModalMode('view');
       setIsModalOpen(true);
@@ -170,17 +177,20 @@ const ManageAdoptionRequests = () => {
       const updatePayload = {
         status: backendStatus,
         ...(updateForm.adminNotes && { adminNotes: updateForm.adminNotes }),
-        ...(updateForm.rejectionReason && { rejectionReason: updateForm.rejectionReason })
+        ...(updateForm.rejectionReason && { rejectionReason: updateForm.rejectionReason }),
+        ...(updateForm.publicNote && { publicNote: updateForm.publicNote }),
+        ...(backendStatus === 'approved' && { competingRequests: updateForm.competingRequests })
       };
 
       console.log('Sending status update:', updatePayload);
 
-      await updateAdoptionRequestStatus(selectedRequest._id, updatePayload);
-      
-      setSuccess(`Adoption request status updated to ${updateForm.status}`);
+      const response = await updateAdoptionRequestStatus(selectedRequest._id, updatePayload);
+      const affectedCount = response?.data?.affectedRequests?.length || 0;
+
+      setSuccess(`Adoption request status updated to ${updateForm.status}${affectedCount > 0 ? ` (${affectedCount} other request${affectedCount === 1 ? '' : 's'} for this pet updated)` : ''}`);
       setIsModalOpen(false);
       setSelectedRequest(null);
-      setUpdateForm({ status: '', adminNotes: '', rejectionReason: '' });
+      setUpdateForm({ status: '', adminNotes: '', rejectionReason: '', publicNote: '', competingRequests: 'waitlist' });
       fetchRequests();
     } catch (err) {
       console.error('Status update failed:', err);
@@ -218,6 +228,7 @@ const ManageAdoptionRequests = () => {
       pending: 'bg-blue-100 text-blue-800',
       under_review: 'bg-yellow-100 text-yellow-800',
       interview_scheduled: 'bg-purple-100 text-purple-800',
+      waitlisted: 'bg-orange-100 text-orange-800',
       approved: 'bg-green-100 text-green-800',
       rejected: 'bg-red-100 text-red-800',
       completed: 'bg-emerald-100 text-emerald-800',
@@ -546,6 +557,35 @@ const ManageAdoptionRequests = () => {
                     />
                   </div>
 
+                  {['interview_scheduled', 'waitlisted', 'approved', 'rejected', 'completed'].includes(updateForm.status) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Message to Applicant</label>
+                      <textarea
+                        value={updateForm.publicNote}
+                        onChange={(e) => setUpdateForm(prev => ({ ...prev, publicNote: e.target.value }))}
+                        placeholder="Optional message included in the applicant's email and notification..."
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">The applicant is notified of this status change.</p>
+                    </div>
+                  )}
+
+                  {updateForm.status === 'approved' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Other Open Requests for This Pet</label>
+                      <select
+                        value={updateForm.competingRequests}
+                        onChange={(e) => setUpdateForm(prev => ({ ...prev, competingRequests: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="waitlist">Move to the wait list</option>
+                        <option value="reject">Reject</option>
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">Wait-listed applicants are reopened if this adoption falls through.</p>
+                    </div>
+                  )}
+
                   {updateForm.status === 'rejected' && (
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Rejection Reason *</label>
@@ -0,0 +1,582 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { RefreshCw, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import {
+  getFosterApplications, reviewFosterApplication, getFosterParents, getPlacements,
+  createPlacement, endPlacement, getCheckIns, reviewCheckIn, FOSTER_END_REASONS
+} from '../services/PostServicesFoster';
+import { getAllPets } from '../services/PostServicesPets';
+import { resolveImageUrl } from '../utils/petImages';
+
+// Mirrors the statuses the server lets a pet go into foster from
+const PLACEABLE_PET_STATUSES = ['available', 'on_hold', 'returned', 'unavailable'];
+
+const APPLICATION_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-600'
+};
+
+const CHECK_IN_STATUS_STYLES = {
+  submitted: 'bg-blue-100 text-blue-800',
+  reviewed: 'bg-green-100 text-green-800',
+  needs_follow_up: 'bg-orange-100 text-orange-800'
+};
+
+const WELLBEING_STYLES = {
+  great: 'text-green-700',
+  good: 'text-green-600',
+  fair: 'text-yellow-700',
+  concerning: 'text-red-700'
+};
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '—');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const displayName = (user) => {
+  if (!user) return 'Unknown user';
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName ? `${fullName} (${user.username})` : user.username;
+};
+
+const Badge = ({ styles, status }) => (
+  <span className={`px-2 py-1 rounded-full text-xs font-medium ${styles[status] || 'bg-gray-100 text-gray-600'}`}>
+    {labelize(status)}
+  </span>
+);
+
+const SubTab = ({ id, label, activeView, onClick }) => (
+  <button
+    type="button"
+    onClick={() => onClick(id)}
+    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+      activeView === id ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+    }`}
+  >
+    {label}
+  </button>
+);
+
+/**
+ * Foster applications: filter by status, approve or reject with notes
+ */
+const FosterApplications = () => {
+  const [applications, setApplications] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [reviewNotes, setReviewNotes] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchApplications = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getFosterApplications({ status: status || undefined, limit: 50 });
+      setApplications(response.data || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  const handleReview = async (application, decision) => {
+    try {
+      setBusyId(application._id);
+      await reviewFosterApplication(application._id, { decision, reviewNotes: reviewNotes[application._id] || undefined });
+      toast.success(`Application from ${application.user?.username || 'applicant'} ${decision}`);
+      fetchApplications();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">All applications</option>
+          {Object.keys(APPLICATION_STATUS_STYLES).map(value => <option key={value} value={value}>{labelize(value)}</option>)}
+        </select>
+        <button type="button" onClick={fetchApplications} className="flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <RefreshCw className="h-4 w-4 mr-1" /> Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading applications...</p>
+      ) : applications.length === 0 ? (
+        <p className="text-gray-500">No foster applications to show.</p>
+      ) : applications.map(application => (
+        <div key={application._id} className="bg-white rounded-lg shadow p-5">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <h4 className="font-semibold text-gray-800">{displayName(application.user)}</h4>
+              <p className="text-sm text-gray-500">
+                {application.user?.email}{application.user?.profile?.phone ? ` · ${application.user.profile.phone}` : ''} · applied {formatDate(application.createdAt)}
+              </p>
+            </div>
+            <Badge styles={APPLICATION_STATUS_STYLES} status={application.status} />
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm text-gray-700 mt-4">
+            <div><span className="text-gray-500">Housing:</span> {labelize(application.housingType)}</div>
+            <div><span className="text-gray-500">Yard:</span> {application.hasYard ? 'Yes' : 'No'}</div>
+            <div><span className="text-gray-500">Children:</span> {application.hasChildren ? 'Yes' : 'No'}</div>
+            <div><span className="text-gray-500">Up to:</span> {application.maxPets} pet(s)</div>
+            <div><span className="text-gray-500">Medical needs:</span> {application.canHandleMedicalNeeds ? 'Yes' : 'No'}</div>
+            <div><span className="text-gray-500">Available:</span> {formatDate(application.availableFrom)}</div>
+            <div className="col-span-2"><span className="text-gray-500">Other pets:</span> {application.otherPets || '—'}</div>
+            <div className="col-span-2 md:col-span-4">
+              <span className="text-gray-500">Pet types:</span> {application.preferredPetTypes?.length ? application.preferredPetTypes.map(labelize).join(', ') : 'Any'}
+            </div>
+          </div>
+
+          {application.experience && <p className="text-sm text-gray-700 mt-3"><span className="text-gray-500">Experience:</span> {application.experience}</p>}
+          <p className="text-sm text-gray-700 mt-2"><span className="text-gray-500">Motivation:</span> {application.motivation}</p>
+
+          {application.status === 'pending' ? (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={reviewNotes[application._id] || ''}
+                onChange={(e) => setReviewNotes(prev => ({ ...prev, [application._id]: e.target.value }))}
+                placeholder="Notes for the applicant (optional)"
+                maxLength={1000}
+                className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                disabled={busyId === application._id}
+                onClick={() => handleReview(application, 'approved')}
+                className="flex items-center px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4 mr-1" /> Approve
+              </button>
+              <button
+                type="button"
+                disabled={busyId === application._id}
+                onClick={() => handleReview(application, 'rejected')}
+                className="flex items-center px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 disabled:opacity-50"
+              >
+                <XCircle className="h-4 w-4 mr-1" /> Reject
+              </button>
+            </div>
+          ) : application.reviewedAt && (
+            <p className="text-xs text-gray-500 mt-3">
+              Reviewed {formatDate(application.reviewedAt)}{application.reviewedBy ? ` by ${application.reviewedBy.username}` : ''}
+              {application.reviewNotes ? ` · ${application.reviewNotes}` : ''}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const EMPTY_PLACEMENT = { petId: '', fosterId: '', checkInIntervalDays: 7, expectedEndDate: '', notes: '' };
+
+/**
+ * Placements: place a pet with a foster parent and end active placements
+ */
+const FosterPlacements = () => {
+  const [placements, setPlacements] = useState([]);
+  const [parents, setParents] = useState([]);
+  const [pets, setPets] = useState([]);
+  const [status, setStatus] = useState('active');
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_PLACEMENT);
+  const [placing, setPlacing] = useState(false);
+  const [ending, setEnding] = useState(null);
+  const [endDetails, setEndDetails] = useState({ reason: 'returned_to_shelter', notes: '' });
+
+  const fetchPlacements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getPlacements({ status: status || undefined, limit: 50 });
+      setPlacements(response.data || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  const fetchOptions = useCallback(async () => {
+    try {
+      const [fosterParents, allPets] = await Promise.all([
+        getFosterParents(),
+        getAllPets({ status: 'all', limit: 100, sortBy: 'name', sortOrder: 'asc' })
+      ]);
+      setParents(fosterParents);
+      setPets(allPets.filter(pet => PLACEABLE_PET_STATUSES.includes(pet.status)));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPlacements();
+  }, [fetchPlacements]);
+
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handlePlace = async (e) => {
+    e.preventDefault();
+    if (!form.petId || !form.fosterId) {
+      toast.error('Choose a pet and a foster parent');
+      return;
+    }
+
+    try {
+      setPlacing(true);
+      await createPlacement({
+        petId: form.petId,
+        fosterId: form.fosterId,
+        checkInIntervalDays: Number(form.checkInIntervalDays),
+        expectedEndDate: form.expectedEndDate || undefined,
+        notes: form.notes || undefined
+      });
+      toast.success('Pet placed in foster');
+      setForm(EMPTY_PLACEMENT);
+      fetchPlacements();
+      fetchOptions();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  const handleEnd = async (placement) => {
+    try {
+      await endPlacement(placement._id, { reason: endDetails.reason, notes: endDetails.notes || undefined });
+      toast.success(`${placement.pet?.name || 'Pet'}'s placement ended`);
+      setEnding(null);
+      setEndDetails({ reason: 'returned_to_shelter', notes: '' });
+      fetchPlacements();
+      fetchOptions();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePlace} className="bg-white rounded-lg shadow p-5 space-y-4">
+        <h4 className="font-semibold text-gray-800">Place a Pet in Foster</h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <select value={form.petId} onChange={(e) => update('petId', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+            <option value="">Select a pet...</option>
+            {pets.map(pet => (
+              <option key={pet._id} value={pet._id}>{pet.name} · {labelize(pet.type)} · {labelize(pet.status)}</option>
+            ))}
+          </select>
+          <select value={form.fosterId} onChange={(e) => update('fosterId', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+            <option value="">Select a foster parent...</option>
+            {parents.map(parent => (
+              <option key={parent._id} value={parent._id}>
+                {displayName(parent)} · {parent.activePlacements}{parent.maxPets ? `/${parent.maxPets}` : ''} pets
+                {parent.canHandleMedicalNeeds ? ' · medical OK' : ''}
+              </option>
+            ))}
+          </select>
+          <label className="text-sm text-gray-700">
+            Check-in every
+            <input
+              type="number"
+              min="1"
+              max="90"
+              value={form.checkInIntervalDays}
+              onChange={(e) => update('checkInIntervalDays', e.target.value)}
+              className="mx-2 w-20 px-2 py-1 border border-gray-300 rounded-lg"
+            />
+            days
+          </label>
+          <label className="text-sm text-gray-700">
+            Expected end
+            <input
+              type="date"
+              value={form.expectedEndDate}
+              onChange={(e) => update('expectedEndDate', e.target.value)}
+              className="ml-2 px-2 py-1 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+        <textarea
+          value={form.notes}
+          onChange={(e) => update('notes', e.target.value)}
+          rows={2}
+          maxLength={1000}
+          placeholder="Care notes for the foster parent (optional)"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <button
+          type="submit"
+          disabled={placing}
+          className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+        >
+          {placing ? 'Placing...' : 'Place Pet'}
+        </button>
+      </form>
+
+      <div className="flex items-center justify-between">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="active">Active placements</option>
+          <option value="ended">Ended placements</option>
+          <option value="">All placements</option>
+        </select>
+        <button type="button" onClick={fetchPlacements} className="flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <RefreshCw className="h-4 w-4 mr-1" /> Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading placements...</p>
+      ) : placements.length === 0 ? (
+        <p className="text-gray-500">No placements to show.</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Pet', 'Foster Parent', 'Since', 'Next Check-in', 'Status', ''].map(header => (
+                  <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {placements.map(placement => (
+                <React.Fragment key={placement._id}>
+                  <tr>
+                    <td className="px-4 py-3 font-medium text-gray-800">{placement.pet?.name || '—'}</td>
+                    <td className="px-4 py-3 text-gray-700">{displayName(placement.foster)}</td>
+                    <td className="px-4 py-3 text-gray-700">{formatDate(placement.startDate)}</td>
+                    <td className="px-4 py-3">
+                      {placement.status === 'active' ? (
+                        <span className={`flex items-center ${placement.isCheckInOverdue ? 'text-orange-700 font-medium' : 'text-gray-700'}`}>
+                          {placement.isCheckInOverdue && <AlertTriangle className="h-4 w-4 mr-1" />}
+                          {formatDate(placement.nextCheckInDue)}
+                        </span>
+                      ) : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {placement.status === 'active' ? 'Active' : `Ended ${formatDate(placement.endDate)} · ${labelize(placement.endReason)}`}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {placement.status === 'active' && (
+                        <button
+                          type="button"
+                          onClick={() => setEnding(ending === placement._id ? null : placement._id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          End
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {ending === placement._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-4 py-3">
+                        <div className="flex flex-wrap items-center gap-3">
+                          <select
+                            value={endDetails.reason}
+                            onChange={(e) => setEndDetails(prev => ({ ...prev, reason: e.target.value }))}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          >
+                            {FOSTER_END_REASONS.map(reason => <option key={reason} value={reason}>{labelize(reason)}</option>)}
+                          </select>
+                          <input
+                            type="text"
+                            value={endDetails.notes}
+                            onChange={(e) => setEndDetails(prev => ({ ...prev, notes: e.target.value }))}
+                            placeholder="Notes (optional)"
+                            maxLength={1000}
+                            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleEnd(placement)}
+                            className="px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700"
+                          >
+                            End Placement
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Check-in review queue: mark reports reviewed or ask the foster parent to follow up
+ */
+const FosterCheckIns = () => {
+  const [checkIns, setCheckIns] = useState([]);
+  const [status, setStatus] = useState('submitted');
+  const [loading, setLoading] = useState(true);
+  const [staffNotes, setStaffNotes] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchCheckIns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getCheckIns({ status: status || undefined, limit: 50 });
+      setCheckIns(response.data || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchCheckIns();
+  }, [fetchCheckIns]);
+
+  const handleReview = async (checkIn, reviewStatus) => {
+    const notes = staffNotes[checkIn._id];
+    if (reviewStatus === 'needs_follow_up' && !notes) {
+      toast.error('Tell the foster parent what to follow up on');
+      return;
+    }
+
+    try {
+      setBusyId(checkIn._id);
+      await reviewCheckIn(checkIn._id, { status: reviewStatus, staffNotes: notes || undefined });
+      toast.success(reviewStatus === 'reviewed' ? 'Check-in marked as reviewed' : 'Follow-up requested');
+      fetchCheckIns();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="">All check-ins</option>
+          {Object.keys(CHECK_IN_STATUS_STYLES).map(value => <option key={value} value={value}>{labelize(value)}</option>)}
+        </select>
+        <button type="button" onClick={fetchCheckIns} className="flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <RefreshCw className="h-4 w-4 mr-1" /> Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading check-ins...</p>
+      ) : checkIns.length === 0 ? (
+        <p className="text-gray-500">No check-ins to show.</p>
+      ) : checkIns.map(checkIn => (
+        <div key={checkIn._id} className="bg-white rounded-lg shadow p-5">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <h4 className="font-semibold text-gray-800">
+                {checkIn.pet?.name || 'Pet'} · <span className={WELLBEING_STYLES[checkIn.wellbeing]}>{labelize(checkIn.wellbeing)}</span>
+              </h4>
+              <p className="text-sm text-gray-500">{displayName(checkIn.foster)} · {formatDate(checkIn.createdAt)}</p>
+            </div>
+            <Badge styles={CHECK_IN_STATUS_STYLES} status={checkIn.status} />
+          </div>
+
+          <p className="text-sm text-gray-700 mt-3">{checkIn.notes}</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm text-gray-700 mt-2">
+            {checkIn.eating && <div><span className="text-gray-500">Eating:</span> {checkIn.eating}</div>}
+            {checkIn.behavior && <div><span className="text-gray-500">Behavior:</span> {checkIn.behavior}</div>}
+            {checkIn.health && <div><span className="text-gray-500">Health:</span> {checkIn.health}</div>}
+          </div>
+
+          {checkIn.photos?.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              {checkIn.photos.map(photo => (
+                <a key={photo._id || photo.url} href={resolveImageUrl(photo.url)} target="_blank" rel="noopener noreferrer">
+                  <img src={resolveImageUrl(photo.thumbnailUrl || photo.url)} alt="Check-in" className="w-20 h-20 rounded object-cover" />
+                </a>
+              ))}
+            </div>
+          )}
+
+          {checkIn.status === 'submitted' ? (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={staffNotes[checkIn._id] || ''}
+                onChange={(e) => setStaffNotes(prev => ({ ...prev, [checkIn._id]: e.target.value }))}
+                placeholder="Notes for the foster parent"
+                maxLength={1000}
+                className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                disabled={busyId === checkIn._id}
+                onClick={() => handleReview(checkIn, 'reviewed')}
+                className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+              >
+                Mark Reviewed
+              </button>
+              <button
+                type="button"
+                disabled={busyId === checkIn._id}
+                onClick={() => handleReview(checkIn, 'needs_follow_up')}
+                className="px-3 py-2 bg-orange-500 text-white rounded-lg text-sm hover:bg-orange-600 disabled:opacity-50"
+              >
+                Needs Follow-up
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 mt-3">
+              Reviewed {formatDate(checkIn.reviewedAt)}{checkIn.reviewedBy ? ` by ${checkIn.reviewedBy.username}` : ''}
+              {checkIn.staffNotes ? ` · ${checkIn.staffNotes}` : ''}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Staff view of the foster program: applications, placements and check-ins
+ */
+const ManageFosters = () => {
+  const [activeView, setActiveView] = useState('applications');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        <SubTab id="applications" label="Applications" activeView={activeView} onClick={setActiveView} />
+        <SubTab id="placements" label="Placements" activeView={activeView} onClick={setActiveView} />
+        <SubTab id="check-ins" label="Check-ins" activeView={activeView} onClick={setActiveView} />
+      </div>
+
+      {activeView === 'applications' && <FosterApplications />}
+      {activeView === 'placements' && <FosterPlacements />}
+      {activeView === 'check-ins' && <FosterCheckIns />}
+    </div>
+  );
+};
+
+export default ManageFosters;
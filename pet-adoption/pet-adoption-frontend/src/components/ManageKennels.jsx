@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { RefreshCw, Plus, ArrowRightLeft, History, AlertTriangle } from 'lucide-react';
+import {
+  getKennelBoard, getKennels, createKennel, updateKennel, movePet, getPetLocationHistory,
+  KENNEL_AREAS, KENNEL_SPECIES
+} from '../services/PostServicesKennels';
+
+const AREA_STYLES = {
+  shelter: 'bg-green-100 text-green-800',
+  medical: 'bg-red-100 text-red-800',
+  quarantine: 'bg-yellow-100 text-yellow-800'
+};
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+const daysLabel = (days) => `${days} ${days === 1 ? 'day' : 'days'} in care`;
+
+const displayName = (user) => {
+  if (!user) return 'Unknown';
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user.username;
+};
+
+const SubTab = ({ id, label, activeView, onClick }) => (
+  <button
+    type="button"
+    onClick={() => onClick(id)}
+    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+      activeView === id ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+    }`}
+  >
+    {label}
+  </button>
+);
+
+/**
+ * Move form and location history of one pet
+ */
+const PetMovePanel = ({ pet, kennels, onMoved }) => {
+  const [location, setLocation] = useState(pet.currentLocation);
+  const [kennelNumber, setKennelNumber] = useState(pet.kennelNumber || '');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    getPetLocationHistory(pet._id)
+      .then(data => setHistory(data.history))
+      .catch(err => toast.error(err.message));
+  }, [pet._id]);
+
+  // Kennels in the chosen area that suit the pet and have room (or hold it already)
+  const choices = kennels.filter(kennel => kennel.area === location && kennel.active
+    && (kennel.species.length === 0 || kennel.species.includes(pet.type))
+    && (kennel.open > 0 || kennel.occupants.some(occupant => occupant._id === pet._id)));
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const result = await movePet(pet._id, { location, kennelNumber: kennelNumber || undefined, reason });
+      toast.success(result.message);
+      onMoved();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-gray-50 rounded-lg space-y-3">
+      <form onSubmit={handleMove} className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+        <select
+          value={location}
+          onChange={(e) => { setLocation(e.target.value); setKennelNumber(''); }}
+          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+        >
+          {KENNEL_AREAS.map(area => <option key={area} value={area}>{labelize(area)}</option>)}
+        </select>
+        <select
+          value={kennelNumber}
+          onChange={(e) => setKennelNumber(e.target.value)}
+          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">No kennel</option>
+          {choices.map(kennel => (
+            <option key={kennel._id} value={kennel.code}>{kennel.code} ({kennel.open} open)</option>
+          ))}
+        </select>
+        <input
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={300}
+          placeholder="Reason (optional)"
+          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+        >
+          {saving ? 'Moving...' : 'Move'}
+        </button>
+      </form>
+
+      <div>
+        <p className="text-xs font-medium text-gray-700 flex items-center mb-1">
+          <History className="h-3 w-3 mr-1" /> Location history
+        </p>
+        {history === null ? (
+          <p className="text-xs text-gray-500">Loading...</p>
+        ) : history.length === 0 ? (
+          <p className="text-xs text-gray-500">No moves recorded yet.</p>
+        ) : (
+          <ul className="text-xs text-gray-600 space-y-0.5 max-h-32 overflow-y-auto">
+            {history.map(entry => (
+              <li key={entry._id}>
+                {formatDateTime(entry.movedAt)}: {labelize(entry.location)}
+                {entry.kennelNumber && `, kennel ${entry.kennelNumber}`}
+                {entry.reason && ` (${entry.reason})`}
+                {entry.movedBy && ` by ${displayName(entry.movedBy)}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * One pet on the board, with its move panel when open
+ */
+const OccupantRow = ({ pet, kennels, isOpen, onToggle, onMoved }) => (
+  <li className="py-1.5">
+    <div className="flex items-center justify-between gap-2">
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">{pet.name}</p>
+        <p className="text-xs text-gray-500">
+          {labelize(pet.type)} · {daysLabel(pet.timeInCare)} · {labelize(pet.status)}
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={onToggle}
+        className="flex items-center text-xs text-blue-600 hover:text-blue-800 flex-shrink-0"
+      >
+        <ArrowRightLeft className="h-3 w-3 mr-1" /> {isOpen ? 'Close' : 'Move'}
+      </button>
+    </div>
+    {isOpen && <PetMovePanel pet={pet} kennels={kennels} onMoved={onMoved} />}
+  </li>
+);
+
+/**
+ * Every kennel with its occupants, capacity per area and species, and pets
+ * that still need a kennel
+ */
+const OccupancyBoard = () => {
+  const [board, setBoard] = useState(null);
+  const [area, setArea] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [openPetId, setOpenPetId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setBoard(await getKennelBoard(area ? { area } : {}));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [area]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleMoved = () => {
+    setOpenPetId(null);
+    load();
+  };
+
+  const toggle = (petId) => setOpenPetId(prev => (prev === petId ? null : petId));
+
+  const openSpecies = board
+    ? Object.entries(board.openBySpecies).filter(([, open]) => open > 0)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={area} onChange={(e) => setArea(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="">All areas</option>
+          {KENNEL_AREAS.map(name => <option key={name} value={name}>{labelize(name)}</option>)}
+        </select>
+        <button
+          onClick={load}
+          className="flex items-center space-x-2 bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors text-sm"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {board && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {board.areas.map(total => (
+              <div key={total.area} className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+                <div className="flex items-center justify-between">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${AREA_STYLES[total.area]}`}>{labelize(total.area)}</span>
+                  <span className="text-sm text-gray-500">{total.kennels} kennels</span>
+                </div>
+                <p className="text-2xl font-bold text-gray-900 mt-2">{total.occupied} / {total.capacity}</p>
+                <p className="text-sm text-gray-600">
+                  {total.open} open{total.unassigned > 0 && ` · ${total.unassigned} without a kennel`}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Open spots by species</h3>
+            {openSpecies.length === 0 ? (
+              <p className="text-sm text-gray-500">No open spots.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {openSpecies.map(([species, open]) => (
+                  <span key={species} className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs">
+                    {labelize(species)}: {open}
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-2">Kennels open to any species count towards each of them.</p>
+          </div>
+
+          {board.unassigned.length > 0 && (
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-orange-900 flex items-center mb-2">
+                <AlertTriangle className="h-4 w-4 mr-1" /> Without a registered kennel ({board.unassigned.length})
+              </h3>
+              <ul className="divide-y divide-orange-100">
+                {board.unassigned.map(pet => (
+                  <OccupantRow
+                    key={pet._id}
+                    pet={pet}
+                    kennels={board.kennels}
+                    isOpen={openPetId === pet._id}
+                    onToggle={() => toggle(pet._id)}
+                    onMoved={handleMoved}
+                  />
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {board.kennels.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No kennels registered yet. Add them under Kennel Registry.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {board.kennels.map(kennel => (
+                <div
+                  key={kennel._id}
+                  className={`bg-white rounded-lg shadow-sm border p-4 ${kennel.active ? 'border-gray-100' : 'border-dashed border-gray-300 opacity-75'}`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <h4 className="font-semibold text-gray-900">{kennel.code}</h4>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${AREA_STYLES[kennel.area]}`}>{labelize(kennel.area)}</span>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {kennel.occupants.length} / {kennel.capacity} · {kennel.active ? `${kennel.open} open` : 'Retired'}
+                    {kennel.species.length > 0 && ` · ${kennel.species.map(labelize).join(', ')}`}
+                  </p>
+                  {kennel.occupants.length === 0 ? (
+                    <p className="text-sm text-gray-400 mt-2">Empty</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100 mt-1">
+                      {kennel.occupants.map(pet => (
+                        <OccupantRow
+                          key={pet._id}
+                          pet={pet}
+                          kennels={board.kennels}
+                          isOpen={openPetId === pet._id}
+                          onToggle={() => toggle(pet._id)}
+                          onMoved={handleMoved}
+                        />
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const emptyKennel = { code: '', area: 'shelter', capacity: 1, species: [], notes: '' };
+
+/**
+ * Registered kennels: add new ones, change capacity, retire or reactivate
+ */
+const KennelRegistry = () => {
+  const [kennels, setKennels] = useState([]);
+  const [form, setForm] = useState(emptyKennel);
+  const [capacities, setCapacities] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setKennels(await getKennels({ active: 'all' }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggleSpecies = (species) => setForm(prev => ({
+    ...prev,
+    species: prev.species.includes(species)
+      ? prev.species.filter(value => value !== species)
+      : [...prev.species, species]
+  }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const kennel = await createKennel({ ...form, capacity: Number(form.capacity) });
+      toast.success(`Kennel ${kennel.code} added`);
+      setForm(emptyKennel);
+      load();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (kennel, updates) => {
+    try {
+      await updateKennel(kennel._id, updates);
+      toast.success(`Kennel ${kennel.code} updated`);
+      setCapacities(prev => ({ ...prev, [kennel._id]: undefined }));
+      load();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-sm border border-gray-100 p-4 space-y-3">
+        <h3 className="text-sm font-semibold text-gray-900">Add kennel</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+          <input
+            value={form.code}
+            onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value }))}
+            maxLength={20}
+            required
+            placeholder="Code, e.g. D-12"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={form.area}
+            onChange={(e) => setForm(prev => ({ ...prev, area: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {KENNEL_AREAS.map(area => <option key={area} value={area}>{labelize(area)}</option>)}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={form.capacity}
+            onChange={(e) => setForm(prev => ({ ...prev, capacity: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            title="Capacity"
+          />
+          <input
+            value={form.notes}
+            onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+            maxLength={500}
+            placeholder="Notes"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <p className="text-xs text-gray-600 mb-1">Suitable for (none selected means any species)</p>
+          <div className="flex flex-wrap gap-2">
+            {KENNEL_SPECIES.map(species => (
+              <label key={species} className="flex items-center text-xs text-gray-700 space-x-1">
+                <input type="checkbox" checked={form.species.includes(species)} onChange={() => toggleSpecies(species)} />
+                <span>{labelize(species)}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add kennel</span>
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium text-gray-700">Code</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700">Area</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700">Species</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700">Capacity</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {kennels.map(kennel => (
+              <tr key={kennel._id}>
+                <td className="px-4 py-2 font-medium text-gray-900">
+                  {kennel.code}
+                  {kennel.notes && <p className="text-xs text-gray-500 font-normal">{kennel.notes}</p>}
+                </td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${AREA_STYLES[kennel.area]}`}>{labelize(kennel.area)}</span>
+                </td>
+                <td className="px-4 py-2 text-gray-600">
+                  {kennel.species.length > 0 ? kennel.species.map(labelize).join(', ') : 'Any'}
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={capacities[kennel._id] ?? kennel.capacity}
+                      onChange={(e) => setCapacities(prev => ({ ...prev, [kennel._id]: e.target.value }))}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+                    />
+                    {capacities[kennel._id] !== undefined && Number(capacities[kennel._id]) !== kennel.capacity && (
+                      <button
+                        onClick={() => handleUpdate(kennel, { capacity: Number(capacities[kennel._id]) })}
+                        className="text-xs text-blue-600 hover:text-blue-800"
+                      >
+                        Save
+                      </button>
+                    )}
+                  </div>
+                </td>
+                <td className="px-4 py-2">
+                  <button
+                    onClick={() => handleUpdate(kennel, { active: !kennel.active })}
+                    className={`text-xs px-2 py-1 rounded-lg border ${
+                      kennel.active ? 'border-gray-300 text-gray-700 hover:bg-gray-50' : 'border-green-300 text-green-700 hover:bg-green-50'
+                    }`}
+                  >
+                    {kennel.active ? 'Retire' : 'Reactivate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {kennels.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">No kennels registered yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Staff view of animal housing: the occupancy board and the kennel registry
+ */
+const ManageKennels = () => {
+  const [activeView, setActiveView] = useState('board');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        <SubTab id="board" label="Occupancy Board" activeView={activeView} onClick={setActiveView} />
+        <SubTab id="registry" label="Kennel Registry" activeView={activeView} onClick={setActiveView} />
+      </div>
+
+      {activeView === 'board' && <OccupancyBoard />}
+      {activeView === 'registry' && <KennelRegistry />}
+    </div>
+  );
+};
+
+export default ManageKennels;
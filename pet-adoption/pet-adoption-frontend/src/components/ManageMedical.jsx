@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { RefreshCw, CheckCircle, XCircle } from 'lucide-react';
+import { getDueMedicalEvents, cancelMedicalEvent, MEDICAL_EVENT_TYPES } from '../services/PostServicesMedical';
+import { TypeBadge, CompleteEventForm } from './MedicalTimeline';
+
+const WINDOWS = [
+  { value: 1, label: 'Today and tomorrow' },
+  { value: 7, label: 'This week' },
+  { value: 14, label: 'Next two weeks' },
+  { value: 30, label: 'Next 30 days' }
+];
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '—');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+/**
+ * Staff list of vaccinations, treatments and other medical events that are
+ * overdue or due soon, for pets still in care
+ */
+const ManageMedical = () => {
+  const [events, setEvents] = useState([]);
+  const [days, setDays] = useState(7);
+  const [type, setType] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [completingId, setCompletingId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEvents(await getDueMedicalEvents({ days, ...(type && { type }) }));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [days, type]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleDone = () => {
+    setCompletingId(null);
+    load();
+  };
+
+  const handleCancel = async (event) => {
+    const reason = window.prompt(`Why is ${event.name} for ${event.pet.name} no longer needed?`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await cancelMedicalEvent(event._id, reason.trim());
+      toast.success(`${event.name} cancelled`);
+      load();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const overdue = events.filter(event => event.overdue);
+  const dueSoon = events.filter(event => !event.overdue);
+
+  const renderEvent = (event) => (
+    <li key={event._id} className="py-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium text-gray-900">{event.pet.name}</span>
+            <TypeBadge type={event.type} />
+            <span className="text-sm text-gray-800">{event.name}</span>
+            {event.required && <span className="bg-orange-100 text-orange-800 px-2 py-0.5 rounded-full text-xs">Required</span>}
+          </div>
+          <p className="text-xs text-gray-500">
+            Due {formatDate(event.dueDate)} · {labelize(event.pet.type)} · {labelize(event.pet.currentLocation)}
+            {event.pet.kennelNumber && `, kennel ${event.pet.kennelNumber}`}
+            {event.dosage && ` · ${event.dosage}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3 text-sm">
+          <button onClick={() => setCompletingId(event._id)} className="flex items-center text-green-700 hover:text-green-900">
+            <CheckCircle className="h-4 w-4 mr-1" /> Done
+          </button>
+          <button onClick={() => handleCancel(event)} className="flex items-center text-gray-600 hover:text-gray-800">
+            <XCircle className="h-4 w-4 mr-1" /> Cancel
+          </button>
+        </div>
+      </div>
+      {completingId === event._id && (
+        <CompleteEventForm event={event} onDone={handleDone} onCancel={() => setCompletingId(null)} />
+      )}
+    </li>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          {WINDOWS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={type} onChange={(e) => setType(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="">All types</option>
+          {MEDICAL_EVENT_TYPES.map(value => <option key={value} value={value}>{labelize(value)}</option>)}
+        </select>
+        <button
+          onClick={load}
+          className="flex items-center space-x-2 bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors text-sm"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {overdue.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-red-200 p-4">
+          <h3 className="text-sm font-semibold text-red-800 mb-1">Overdue ({overdue.length})</h3>
+          <ul className="divide-y divide-gray-100">{overdue.map(renderEvent)}</ul>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+        <h3 className="text-sm font-semibold text-gray-900 mb-1">Due ({dueSoon.length})</h3>
+        {dueSoon.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4">{loading ? 'Loading...' : 'Nothing else is due in this period.'}</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">{dueSoon.map(renderEvent)}</ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageMedical;
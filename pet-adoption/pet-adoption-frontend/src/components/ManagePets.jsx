@@ -1,9 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { 
   Heart, Plus, Search, Edit3, Trash2, Eye, AlertTriangle, CheckCircle, Clock, RefreshCw, Save, X,
-  Camera, User, MapPin, Calendar, Stethoscope, Shield, Activity, FileText, Star, Home, Settings, Users
+  Camera, User, MapPin, Calendar, Stethoscope, Shield, Activity, FileText, Star, Home, Settings, Users, Paperclip,
+  ClipboardList
 } from 'lucide-react';
-import { getAllPets, addPet, updatePet, deletePet } from '../services/PostServicesPets';
+import { getAllPets, addPet, updatePet, deletePet, releaseStrayHold } from '../services/PostServicesPets';
+import PetImageGallery from './PetImageGallery';
+import PetDocuments from './PetDocuments';
+import PetIntakeWizard from './PetIntakeWizard';
+import MedicalTimeline from './MedicalTimeline';
+import { getPetImageUrl, PLACEHOLDER_IMAGE } from '../utils/petImages';
 
 const ManagePets = () => {
   const [pets, setPets] = useState([]);
@@ -16,6 +22,7 @@ const ManagePets = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [activeTab, setActiveTab] = useState('basic');
+  const [isIntakeOpen, setIsIntakeOpen] = useState(false);
 
   // Comprehensive form state matching your Pet schema
   const [formData, setFormData] = useState({
@@ -383,6 +390,30 @@ const ManagePets = () => {
     }
   };
 
+  // Keep the list, the open pet and the legacy image field in sync with gallery edits
+  const handleReleaseStrayHold = async () => {
+    const reason = window.prompt(`Why is the stray hold for ${selectedPet.name} ending early? (e.g. owner reclaimed)`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const updated = await releaseStrayHold(selectedPet._id, reason.trim());
+      setSelectedPet(updated);
+      await fetchPets();
+    } catch (error) {
+      console.error('Release stray hold error:', error);
+      alert(`Error ending stray hold: ${error.message}`);
+    }
+  };
+
+  const handleImagesChange = (images) => {
+    const primaryUrl = images.find(image => image.isPrimary)?.url || images[0]?.url || '';
+    const update = (pet) => ({ ...pet, images, image: primaryUrl || pet.image });
+
+    setSelectedPet(prev => (prev ? update(prev) : prev));
+    setPets(prev => prev.map(pet => (pet._id === selectedPet?._id ? update(pet) : pet)));
+    setFormData(prev => ({ ...prev, image: primaryUrl || prev.image }));
+  };
+
   const openModal = (mode, pet = null) => {
     setModalMode(mode);
     setSelectedPet(pet);
@@ -441,6 +472,10 @@ const ManagePets = () => {
     setIsModalOpen(true);
   };
 
+  const isStrayHoldActive = (pet) => !!(
+    pet?.strayHold?.until && !pet.strayHold.releasedAt && new Date(pet.strayHold.until) > new Date()
+  );
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Not specified';
     return new Date(dateString).toLocaleDateString();
@@ -648,18 +683,6 @@ const ManagePets = () => {
               />
               {formErrors.description && <p className="text-red-500 text-xs mt-1">{formErrors.description}</p>}
             </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Image URL</label>
-              <input
-                type="url"
-                name="image"
-                value={formData.image}
-                onChange={handleInputChange}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
-                placeholder="https://example.com/pet-image.jpg"
-              />
-            </div>
           </div>
         );
 
@@ -1200,6 +1223,31 @@ const ManagePets = () => {
           </div>
         );
 
+      case 'photos':
+        return modalMode === 'edit' && selectedPet?._id ? (
+          <PetImageGallery
+            petId={selectedPet._id}
+            petName={selectedPet.name}
+            images={selectedPet.images || []}
+            onChange={handleImagesChange}
+          />
+        ) : (
+          <div className="flex flex-col items-center justify-center py-12 text-center">
+            <Camera className="h-10 w-10 text-gray-300 mb-3" />
+            <p className="text-sm text-gray-600">Save the pet first, then edit it to add photos.</p>
+          </div>
+        );
+
+      case 'documents':
+        return modalMode === 'edit' && selectedPet?._id ? (
+          <PetDocuments petId={selectedPet._id} />
+        ) : (
+          <div className="flex flex-col items-center justify-center py-12 text-center">
+            <Paperclip className="h-10 w-10 text-gray-300 mb-3" />
+            <p className="text-sm text-gray-600">Save the pet first, then edit it to add documents.</p>
+          </div>
+        );
+
       case 'notes':
         return (
           <div className="space-y-6">
@@ -1269,6 +1317,13 @@ const ManagePets = () => {
             <RefreshCw className="h-4 w-4" />
             <span>Refresh</span>
           </button>
+          <button
+            onClick={() => setIsIntakeOpen(true)}
+            className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <ClipboardList className="h-4 w-4" />
+            <span>Intake Animal</span>
+          </button>
           <button
             onClick={() => openModal('create')}
             className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
@@ -1396,11 +1451,11 @@ const ManagePets = () => {
           <div key={pet._id} className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-shadow">
             <div className="aspect-w-16 aspect-h-9 relative">
               <img
-                src={pet.image || 'https://via.placeholder.com/300x200/e5e7eb/6b7280?text=No+Image'}
+                src={getPetImageUrl(pet, 'thumbnail')}
                 alt={pet.name}
                 className="w-full h-48 object-cover"
                 onError={(e) => {
-                  e.target.src = 'https://via.placeholder.com/300x200/f3f4f6/9ca3af?text=Image+Not+Found';
+                  e.target.src = PLACEHOLDER_IMAGE;
                 }}
               />
               {pet.urgentAdoption && (
@@ -1470,6 +1525,10 @@ const ManagePets = () => {
         </div>
       )}
 
+      {isIntakeOpen && (
+        <PetIntakeWizard onClose={() => setIsIntakeOpen(false)} onCompleted={fetchPets} />
+      )}
+
       {/* Enhanced Modal */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -1498,11 +1557,11 @@ const ManagePets = () => {
                     <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                       <div>
                         <img
-                          src={selectedPet?.image || 'https://via.placeholder.com/400x300/e5e7eb/6b7280?text=No+Image'}
+                          src={getPetImageUrl(selectedPet)}
                           alt={selectedPet?.name}
                           className="w-full h-64 object-cover rounded-lg"
                           onError={(e) => {
-                            e.target.src = 'https://via.placeholder.com/400x300/f3f4f6/9ca3af?text=Image+Not+Found';
+                            e.target.src = PLACEHOLDER_IMAGE;
                           }}
                         />
                       </div>
@@ -1555,7 +1614,24 @@ const ManagePets = () => {
                         </div>
                       </div>
                     </div>
-                    
+
+                    {isStrayHoldActive(selectedPet) && (
+                      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                        <div className="flex items-center space-x-2 text-yellow-800">
+                          <Clock className="h-5 w-5" />
+                          <span className="text-sm">
+                            On stray hold until {formatDate(selectedPet.strayHold.until)}; it can&apos;t be listed for adoption before then.
+                          </span>
+                        </div>
+                        <button
+                          onClick={handleReleaseStrayHold}
+                          className="text-sm px-3 py-1.5 border border-yellow-300 text-yellow-800 rounded-lg hover:bg-yellow-100"
+                        >
+                          End hold early
+                        </button>
+                      </div>
+                    )}
+
                     <div>
                       <h5 className="font-medium text-gray-900 mb-2">Description</h5>
                       <p className="text-gray-600">{selectedPet?.description}</p>
@@ -1586,6 +1662,11 @@ const ManagePets = () => {
                         </span>
                       </div>
                     )}
+
+                    <div>
+                      <h5 className="font-medium text-gray-900 mb-2">Medical Timeline</h5>
+                      <MedicalTimeline petId={selectedPet._id} onChanged={fetchPets} />
+                    </div>
                     
                     <div className="flex justify-end space-x-3">
                       <button
@@ -1604,11 +1685,13 @@ const ManagePets = () => {
                     <div className="flex overflow-x-auto border-b border-gray-200 px-6 py-2">
                       <div className="flex space-x-2 min-w-max">
                         <TabButton id="basic" label="Basic Info" icon={Heart} isActive={activeTab === 'basic'} onClick={setActiveTab} />
+                        <TabButton id="photos" label="Photos" icon={Camera} isActive={activeTab === 'photos'} onClick={setActiveTab} />
                         <TabButton id="health" label="Health" icon={Stethoscope} isActive={activeTab === 'health'} onClick={setActiveTab} />
                         <TabButton id="status" label="Status" icon={Activity} isActive={activeTab === 'status'} onClick={setActiveTab} />
                         <TabButton id="behavior" label="Behavior" icon={Users} isActive={activeTab === 'behavior'} onClick={setActiveTab} />
                         <TabButton id="intake" label="Intake" icon={Calendar} isActive={activeTab === 'intake'} onClick={setActiveTab} />
                         <TabButton id="adoption" label="Adoption" icon={Home} isActive={activeTab === 'adoption'} onClick={setActiveTab} />
+                        <TabButton id="documents" label="Documents" icon={Paperclip} isActive={activeTab === 'documents'} onClick={setActiveTab} />
                         <TabButton id="notes" label="Notes" icon={FileText} isActive={activeTab === 'notes'} onClick={setActiveTab} />
                       </div>
                     </div>
@@ -1,15 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { getAllUsers, createUser, updateUser, deleteUser } from '../services/PostServicesUsers';
+import React, { useState, useEffect, useContext } from 'react';
+import { getAllUsers, createUser, updateUser, deleteUser, resetUserTwoFactor, revokeUserSessions, updateUserPermissions, resetUserPermissions, exportUsers, bulkUpdateUsers, getUserStats } from '../services/PostServicesUsers';
+import { getPermissionCatalog } from '../services/PostServicesPermissions';
+import { AuthContext } from '../context/AuthProvider';
+import RolePermissionPresets from './RolePermissionPresets';
 
 const ManageUsers = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const canManageUsers = hasPermission('manage_users');
+  const canExport = hasPermission('export_data');
+  const canBulkManage = hasPermission('bulk_manage_users');
+  const canEditPresets = hasPermission('system_admin');
+
   // State
   const [users, setUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [modalMode, setModalMode] = useState('view'); // 'view', 'create', 'edit'
+  const [modalMode, setModalMode] = useState('view'); // 'view', 'create', 'edit', 'permissions'
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [exporting, setExporting] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  const [permissionDraft, setPermissionDraft] = useState([]);
+  const [savingPermissions, setSavingPermissions] = useState(false);
 
   // Form data
   const [formData, setFormData] = useState({
@@ -56,8 +71,28 @@ const ManageUsers = () => {
     }
   };
 
+  // Server-side totals; falls back to counting the loaded page if unavailable
+  const fetchStats = async () => {
+    try {
+      const response = await getUserStats(30);
+      setStats(response.stats || null);
+    } catch (err) {
+      console.error('Failed to load user stats:', err.message);
+    }
+  };
+
+  const fetchCatalog = async () => {
+    try {
+      setCatalog(await getPermissionCatalog());
+    } catch (err) {
+      console.error('Failed to load permissions:', err.message);
+    }
+  };
+
   useEffect(() => {
     fetchUsers();
+    fetchStats();
+    fetchCatalog();
   }, []);
 
   // Clear messages after 5 seconds
@@ -170,6 +205,121 @@ const handleUpdateUser = async () => {
     }
   };
 
+  const handleResetTwoFactor = async (userId, username) => {
+    if (!window.confirm(`Reset two-factor authentication for "${username}"? They will have to set it up again.`)) return;
+
+    try {
+      await resetUserTwoFactor(userId);
+      setSuccess(`Two-factor authentication reset for ${username}`);
+      fetchUsers();
+    } catch (err) {
+      setError(`Error resetting two-factor authentication: ${err.message}`);
+    }
+  };
+
+  const handleRevokeSessions = async (userId, username) => {
+    if (!window.confirm(`Sign "${username}" out of every device?`)) return;
+
+    try {
+      const result = await revokeUserSessions(userId);
+      setSuccess(`${username} was signed out of ${result.revokedSessions} ${result.revokedSessions === 1 ? 'session' : 'sessions'}`);
+    } catch (err) {
+      setError(`Error signing out user: ${err.message}`);
+    }
+  };
+
+  // Permissions
+  const handleSavePermissions = async () => {
+    try {
+      setSavingPermissions(true);
+      await updateUserPermissions(selectedUser._id, permissionDraft);
+      setSuccess(`Permissions of ${selectedUser.username} updated`);
+      setIsModalOpen(false);
+      fetchUsers();
+    } catch (err) {
+      setError(`Error updating permissions: ${err.message}`);
+    } finally {
+      setSavingPermissions(false);
+    }
+  };
+
+  const handleResetPermissions = async () => {
+    if (!window.confirm(`Reset the permissions of "${selectedUser.username}" to the ${selectedUser.role} role defaults?`)) return;
+
+    try {
+      setSavingPermissions(true);
+      await resetUserPermissions(selectedUser._id);
+      setSuccess(`Permissions of ${selectedUser.username} reset to the role defaults`);
+      setIsModalOpen(false);
+      fetchUsers();
+    } catch (err) {
+      setError(`Error resetting permissions: ${err.message}`);
+    } finally {
+      setSavingPermissions(false);
+    }
+  };
+
+  const togglePermission = (permission) => {
+    setPermissionDraft(prev => (
+      prev.includes(permission) ? prev.filter(p => p !== permission) : [...prev, permission]
+    ));
+  };
+
+  // Where a permission comes from: the role preset, or a grant/revocation on the user
+  const getPermissionSource = (permission) => {
+    const fromRole = (catalog?.presets?.[selectedUser?.role] || []).includes(permission);
+    const checked = permissionDraft.includes(permission);
+    if (fromRole && checked) return { label: 'role', className: 'bg-gray-100 text-gray-700' };
+    if (checked) return { label: 'granted', className: 'bg-green-100 text-green-800' };
+    if (fromRole) return { label: 'revoked', className: 'bg-red-100 text-red-800' };
+    return null;
+  };
+
+  // Export and bulk operations
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const blob = await exportUsers(format);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Error exporting users: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelectedIds(prev => (
+      prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+    ));
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(prev => (prev.length === users.length ? [] : users.map(user => user._id)));
+  };
+
+  const handleBulkStatus = async (status) => {
+    if (!window.confirm(`Set status to "${status}" for ${selectedIds.length} selected user(s)?`)) return;
+
+    try {
+      const result = await bulkUpdateUsers(selectedIds, { status });
+      const skipped = result.skipped?.length ? ` (${result.skipped.length} skipped)` : '';
+      setSuccess(`${result.message || 'Users updated'}${skipped}`);
+      setSelectedIds([]);
+      fetchUsers();
+      fetchStats();
+    } catch (err) {
+      setError(`Error updating users: ${err.message}`);
+    }
+  };
+
   // Modal management
   const openModal = (mode, user = null) => {
     setModalMode(mode);
@@ -177,6 +327,8 @@ const handleUpdateUser = async () => {
     
     if (mode === 'create') {
       resetForm();
+    } else if (mode === 'permissions') {
+      setPermissionDraft(user.permissions || []);
     } else if (user) {
       setFormData({
         username: user.username || '',
@@ -254,12 +406,26 @@ const handleUpdateUser = async () => {
           <h1 className="text-2xl font-bold text-gray-900">Manage Users</h1>
           <p className="text-gray-600">Add, edit, and manage all users in your system</p>
         </div>
-        <button
-          onClick={() => openModal('create')}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-        >
-          Add User
-        </button>
+        <div className="flex items-center space-x-2">
+          {canExport && ['csv', 'xlsx', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={exporting !== null}
+              className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+            </button>
+          ))}
+          {canManageUsers && (
+            <button
+              onClick={() => openModal('create')}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Add User
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Messages */}
@@ -279,33 +445,76 @@ const handleUpdateUser = async () => {
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
         <div className="bg-white rounded-lg shadow p-4">
           <h3 className="text-sm font-medium text-gray-500">Total Users</h3>
-          <p className="text-2xl font-bold text-gray-900">{users.length}</p>
+          <p className="text-2xl font-bold text-gray-900">{stats?.totalUsers ?? users.length}</p>
         </div>
         <div className="bg-white rounded-lg shadow p-4">
           <h3 className="text-sm font-medium text-gray-500">Active</h3>
           <p className="text-2xl font-bold text-green-600">
-            {users.filter(u => u.status === 'active').length}
+            {stats?.byStatus?.active ?? users.filter(u => u.status === 'active').length}
           </p>
         </div>
         <div className="bg-white rounded-lg shadow p-4">
           <h3 className="text-sm font-medium text-gray-500">Admins</h3>
           <p className="text-2xl font-bold text-red-600">
-            {users.filter(u => u.role === 'admin').length}
+            {stats?.byRole?.admin ?? users.filter(u => u.role === 'admin').length}
           </p>
         </div>
         <div className="bg-white rounded-lg shadow p-4">
           <h3 className="text-sm font-medium text-gray-500">Pending</h3>
           <p className="text-2xl font-bold text-yellow-600">
-            {users.filter(u => u.status === 'pending_verification').length}
+            {stats?.byStatus?.pending_verification ?? users.filter(u => u.status === 'pending_verification').length}
           </p>
         </div>
       </div>
 
+      {/* Bulk Actions */}
+      {canBulkManage && selectedIds.length > 0 && (
+        <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+          <span className="text-sm text-blue-800">{selectedIds.length} selected</span>
+          <div className="space-x-2">
+            <button
+              onClick={() => handleBulkStatus('active')}
+              className="text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+            >
+              Activate
+            </button>
+            <button
+              onClick={() => handleBulkStatus('suspended')}
+              className="text-sm bg-yellow-500 text-white px-3 py-1 rounded hover:bg-yellow-600"
+            >
+              Suspend
+            </button>
+            <button
+              onClick={() => handleBulkStatus('inactive')}
+              className="text-sm bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700"
+            >
+              Deactivate
+            </button>
+            <button
+              onClick={() => setSelectedIds([])}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Users Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
+              {canBulkManage && (
+                <th className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    aria-label="Select all users"
+                    checked={users.length > 0 && selectedIds.length === users.length}
+                    onChange={toggleSelectAll}
+                  />
+                </th>
+              )}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 User
               </th>
@@ -326,6 +535,16 @@ const handleUpdateUser = async () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {users.map((user) => (
               <tr key={user._id} className="hover:bg-gray-50">
+                {canBulkManage && (
+                  <td className="px-4 py-4">
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${user.username}`}
+                      checked={selectedIds.includes(user._id)}
+                      onChange={() => toggleSelected(user._id)}
+                    />
+                  </td>
+                )}
                 <td className="px-6 py-4 whitespace-nowrap">
                   <div>
                     <div className="text-sm font-medium text-gray-900">{user.username}</div>
@@ -348,18 +567,44 @@ const handleUpdateUser = async () => {
                   >
                     View
                   </button>
-                  <button
-                    onClick={() => openModal('edit', user)}
-                    className="text-green-600 hover:text-green-900"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDeleteUser(user._id, user.username)}
-                    className="text-red-600 hover:text-red-900"
-                  >
-                    Delete
-                  </button>
+                  {canManageUsers && (
+                    <>
+                      <button
+                        onClick={() => openModal('edit', user)}
+                        className="text-green-600 hover:text-green-900"
+                      >
+                        Edit
+                      </button>
+                      {catalog && (
+                        <button
+                          onClick={() => openModal('permissions', user)}
+                          className="text-purple-600 hover:text-purple-900"
+                        >
+                          Permissions
+                        </button>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <button
+                          onClick={() => handleResetTwoFactor(user._id, user.username)}
+                          className="text-yellow-600 hover:text-yellow-900"
+                        >
+                          Reset 2FA
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleRevokeSessions(user._id, user.username)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Sign Out
+                      </button>
+                      <button
+                        onClick={() => handleDeleteUser(user._id, user.username)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
                 </td>
               </tr>
             ))}
@@ -369,24 +614,40 @@ const handleUpdateUser = async () => {
         {users.length === 0 && (
           <div className="text-center py-8">
             <p className="text-gray-500 mb-4">No users found</p>
-            <button
-              onClick={() => openModal('create')}
-              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
-            >
-              Add First User
-            </button>
+            {canManageUsers && (
+              <button
+                onClick={() => openModal('create')}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Add First User
+              </button>
+            )}
           </div>
         )}
       </div>
 
+      {/* Role permission presets */}
+      {canEditPresets && catalog && (
+        <RolePermissionPresets
+          catalog={catalog}
+          onChange={() => {
+            fetchCatalog();
+            fetchUsers();
+          }}
+          onSuccess={setSuccess}
+          onError={setError}
+        />
+      )}
+
       {/* Modal */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white rounded-lg max-w-md w-full p-6">
+          <div className={`bg-white rounded-lg w-full p-6 ${modalMode === 'permissions' ? 'max-w-lg' : 'max-w-md'}`}>
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-lg font-semibold">
                 {modalMode === 'create' ? 'Add New User' : 
                  modalMode === 'edit' ? `Edit ${selectedUser?.username}` : 
+                 modalMode === 'permissions' ? `Permissions - ${selectedUser?.username}` : 
                  `User Details - ${selectedUser?.username}`}
               </h3>
               <button
@@ -416,13 +677,75 @@ const handleUpdateUser = async () => {
                   <label className="block text-sm font-medium text-gray-700">Status</label>
                   <p className="text-sm text-gray-900">{selectedUser?.status}</p>
                 </div>
-                <div className="flex justify-end space-x-2">
+                {canManageUsers && (
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => openModal('edit', selectedUser)}
+                      className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+                    >
+                      Edit User
+                    </button>
+                  </div>
+                )}
+              </div>
+            ) : modalMode === 'permissions' ? (
+              /* Permissions Mode */
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Role <span className="font-medium">{selectedUser?.role}</span> presets are marked
+                  &quot;role&quot;. Changes are stored as grants or revocations on this user.
+                </p>
+                <div className="max-h-96 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {catalog.permissions.map(({ key, description }) => {
+                    const source = getPermissionSource(key);
+                    return (
+                      <label key={key} className="flex items-start p-3 hover:bg-gray-50 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          className="mt-1 mr-3"
+                          checked={permissionDraft.includes(key)}
+                          disabled={savingPermissions}
+                          onChange={() => togglePermission(key)}
+                        />
+                        <span className="flex-1">
+                          <span className="block text-sm font-medium text-gray-900">{key}</span>
+                          <span className="block text-xs text-gray-500">{description}</span>
+                        </span>
+                        {source && (
+                          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${source.className}`}>
+                            {source.label}
+                          </span>
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
+                <div className="flex justify-between pt-2">
                   <button
-                    onClick={() => openModal('edit', selectedUser)}
-                    className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+                    type="button"
+                    onClick={handleResetPermissions}
+                    disabled={savingPermissions}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
                   >
-                    Edit User
+                    Reset to role defaults
                   </button>
+                  <div className="space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => setIsModalOpen(false)}
+                      className="px-4 py-2 text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleSavePermissions}
+                      disabled={savingPermissions}
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {savingPermissions ? 'Saving...' : 'Save Permissions'}
+                    </button>
+                  </div>
                 </div>
               </div>
             ) : (
@@ -0,0 +1,506 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { RefreshCw, Users, ShieldCheck, AlertTriangle } from 'lucide-react';
+import {
+  getShifts, createShift, updateShift, cancelShift, getShiftRoster, recordAttendance,
+  getVolunteers, recordBackgroundCheck, SHIFT_TYPES
+} from '../services/PostServicesVolunteer';
+
+const SIGNUP_STATUS_STYLES = {
+  signed_up: 'bg-blue-100 text-blue-800',
+  checked_in: 'bg-green-100 text-green-800',
+  completed: 'bg-gray-100 text-gray-700',
+  no_show: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '—');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+const displayName = (user) => {
+  if (!user) return 'Deleted user';
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName ? `${fullName} (${user.username})` : user.username;
+};
+
+const BackgroundCheckBadge = ({ backgroundCheck }) => (
+  backgroundCheck?.isCurrent ? (
+    <span className="flex items-center text-xs text-green-700">
+      <ShieldCheck className="h-4 w-4 mr-1" /> Until {formatDate(backgroundCheck.expiresAt)}
+    </span>
+  ) : (
+    <span className="flex items-center text-xs text-orange-700">
+      <AlertTriangle className="h-4 w-4 mr-1" /> {backgroundCheck?.date ? 'Expired' : 'None on file'}
+    </span>
+  )
+);
+
+const SubTab = ({ id, label, activeView, onClick }) => (
+  <button
+    type="button"
+    onClick={() => onClick(id)}
+    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+      activeView === id ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+    }`}
+  >
+    {label}
+  </button>
+);
+
+/**
+ * Roster of one shift: volunteers, contact details, background checks and attendance
+ */
+const ShiftRoster = ({ shiftId, onChanged }) => {
+  const [roster, setRoster] = useState(null);
+  const [hours, setHours] = useState({});
+  const [capacity, setCapacity] = useState('');
+
+  const fetchRoster = useCallback(async () => {
+    try {
+      const data = await getShiftRoster(shiftId);
+      setRoster(data);
+      setCapacity(String(data.shift.capacity));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [shiftId]);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [fetchRoster]);
+
+  const handleAttendance = async (signup, status) => {
+    try {
+      await recordAttendance(signup._id, { status, hours: status === 'completed' ? hours[signup._id] ?? signup.hours : undefined });
+      toast.success('Attendance recorded');
+      fetchRoster();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCapacity = async () => {
+    try {
+      await updateShift(shiftId, { capacity: Number(capacity) });
+      toast.success('Capacity updated');
+      fetchRoster();
+      onChanged();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (!roster) return <p className="text-sm text-gray-500 px-4 py-3">Loading roster...</p>;
+
+  const hasStarted = new Date(roster.shift.startTime) <= new Date();
+  const signups = roster.signups.filter(signup => signup.status !== 'cancelled');
+
+  return (
+    <div className="px-4 py-4 space-y-4">
+      {roster.shift.status === 'scheduled' && (
+        <div className="flex items-center gap-2 text-sm">
+          <label className="text-gray-600">Capacity</label>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={capacity}
+            onChange={(e) => setCapacity(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+          />
+          <button type="button" onClick={handleCapacity} className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-white">
+            Save
+          </button>
+        </div>
+      )}
+
+      {signups.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody has signed up yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2 pr-4">Volunteer</th>
+              <th className="py-2 pr-4">Contact</th>
+              <th className="py-2 pr-4">Background Check</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2 pr-4">Attendance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {signups.map(signup => (
+              <tr key={signup._id}>
+                <td className="py-2 pr-4 text-gray-800">{displayName(signup.volunteer)}</td>
+                <td className="py-2 pr-4 text-gray-600">
+                  <div>{signup.volunteer?.email}</div>
+                  {signup.volunteer?.profile?.phone && <div>{signup.volunteer.profile.phone}</div>}
+                  {signup.volunteer?.volunteerInfo?.emergencyContact?.name && (
+                    <div className="text-xs text-gray-500">
+                      Emergency: {signup.volunteer.volunteerInfo.emergencyContact.name} {signup.volunteer.volunteerInfo.emergencyContact.phone}
+                    </div>
+                  )}
+                </td>
+                <td className="py-2 pr-4"><BackgroundCheckBadge backgroundCheck={signup.backgroundCheck} /></td>
+                <td className="py-2 pr-4">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${SIGNUP_STATUS_STYLES[signup.status]}`}>
+                    {labelize(signup.status)}
+                  </span>
+                  {signup.checkedInAt && <div className="text-xs text-gray-500 mt-1">In {formatDateTime(signup.checkedInAt)}</div>}
+                  {signup.checkedOutAt && <div className="text-xs text-gray-500">Out {formatDateTime(signup.checkedOutAt)}</div>}
+                </td>
+                <td className="py-2 pr-4">
+                  {hasStarted ? (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="24"
+                        step="0.25"
+                        value={hours[signup._id] ?? signup.hours}
+                        onChange={(e) => setHours(prev => ({ ...prev, [signup._id]: e.target.value }))}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+                        aria-label="Hours"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleAttendance(signup, 'completed')}
+                        className="px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700"
+                      >
+                        Completed
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleAttendance(signup, 'no_show')}
+                        className="px-2 py-1 text-xs border border-red-200 text-red-700 rounded hover:bg-red-50"
+                      >
+                        No-show
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="text-xs text-gray-500">After the shift starts</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_SHIFT = { title: '', type: 'dog_walking', date: '', startTime: '09:00', endTime: '12:00', capacity: 4, location: '', description: '' };
+
+/**
+ * Shift schedule: create shifts, cancel them and open their rosters
+ */
+const ShiftSchedule = () => {
+  const [shifts, setShifts] = useState([]);
+  const [status, setStatus] = useState('scheduled');
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_SHIFT);
+  const [saving, setSaving] = useState(false);
+  const [openRoster, setOpenRoster] = useState(null);
+
+  const fetchShifts = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Scheduled shifts from yesterday on (so today's rosters stay open); past ones from the last month
+      const from = new Date(Date.now() - (status === 'scheduled' ? 1 : 30) * DAY_MS);
+      const to = new Date(Date.now() + 60 * DAY_MS);
+      setShifts(await getShifts({ status, from: from.toISOString(), to: to.toISOString() }));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || !form.date) {
+      toast.error('A shift needs a title and a date');
+      return;
+    }
+    const startTime = new Date(`${form.date}T${form.startTime}`);
+    const endTime = new Date(`${form.date}T${form.endTime}`);
+    if (endTime <= startTime) {
+      toast.error('The shift must end after it starts');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await createShift({
+        title: form.title.trim(),
+        type: form.type,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        capacity: Number(form.capacity),
+        location: form.location || undefined,
+        description: form.description || undefined
+      });
+      toast.success('Shift scheduled');
+      setForm(EMPTY_SHIFT);
+      fetchShifts();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (shift) => {
+    const reason = window.prompt(`Cancel "${shift.title}"? Optionally add a reason for the volunteers:`, '');
+    if (reason === null) return;
+    try {
+      const result = await cancelShift(shift._id, reason || undefined);
+      toast.success(result.message || 'Shift cancelled');
+      fetchShifts();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-5 space-y-4">
+        <h4 className="font-semibold text-gray-800">Schedule a Shift</h4>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => update('title', e.target.value)}
+            placeholder="Title, e.g. Morning dog walks"
+            maxLength={120}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm md:col-span-2"
+          />
+          <select value={form.type} onChange={(e) => update('type', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+            {SHIFT_TYPES.map(type => <option key={type} value={type}>{labelize(type)}</option>)}
+          </select>
+          <input type="date" value={form.date} onChange={(e) => update('date', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+          <div className="flex items-center gap-2 text-sm">
+            <input type="time" value={form.startTime} onChange={(e) => update('startTime', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg" />
+            <span className="text-gray-500">to</span>
+            <input type="time" value={form.endTime} onChange={(e) => update('endTime', e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg" />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Volunteers needed
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={form.capacity}
+              onChange={(e) => update('capacity', e.target.value)}
+              className="w-20 px-2 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <input
+            type="text"
+            value={form.location}
+            onChange={(e) => update('location', e.target.value)}
+            placeholder="Location (optional)"
+            maxLength={200}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => update('description', e.target.value)}
+            placeholder="What volunteers will do (optional)"
+            maxLength={2000}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm md:col-span-2"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+        >
+          {saving ? 'Scheduling...' : 'Schedule Shift'}
+        </button>
+      </form>
+
+      <div className="flex items-center justify-between">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="scheduled">Scheduled</option>
+          <option value="completed">Completed</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <button type="button" onClick={fetchShifts} className="flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <RefreshCw className="h-4 w-4 mr-1" /> Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading shifts...</p>
+      ) : shifts.length === 0 ? (
+        <p className="text-gray-500">No {status} shifts.</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+          {shifts.map(shift => (
+            <div key={shift._id}>
+              <div className="px-4 py-3 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <div className="font-medium text-gray-800">{shift.title} <span className="text-xs text-gray-500">· {labelize(shift.type)}</span></div>
+                  <div className="text-sm text-gray-600">
+                    {formatDateTime(shift.startTime)} - {new Date(shift.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {shift.location ? ` · ${shift.location}` : ''}
+                  </div>
+                  {shift.cancelReason && <div className="text-xs text-gray-500">Cancelled: {shift.cancelReason}</div>}
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <span className="flex items-center text-gray-700">
+                    <Users className="h-4 w-4 mr-1" /> {shift.signedUpCount}/{shift.capacity}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setOpenRoster(openRoster === shift._id ? null : shift._id)}
+                    className="text-green-700 hover:text-green-900"
+                  >
+                    {openRoster === shift._id ? 'Hide Roster' : 'Roster'}
+                  </button>
+                  {shift.status === 'scheduled' && (
+                    <button type="button" onClick={() => handleCancel(shift)} className="text-red-600 hover:text-red-800">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+              {openRoster === shift._id && (
+                <div className="bg-gray-50 border-t border-gray-200">
+                  <ShiftRoster shiftId={shift._id} onChanged={fetchShifts} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Volunteers: availability, hours and background checks
+ */
+const VolunteerDirectory = () => {
+  const [volunteers, setVolunteers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checkDates, setCheckDates] = useState({});
+
+  const fetchVolunteers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setVolunteers(await getVolunteers());
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVolunteers();
+  }, [fetchVolunteers]);
+
+  const handleRecordCheck = async (volunteer) => {
+    const checkedAt = checkDates[volunteer._id];
+    if (!checkedAt) {
+      toast.error('Pick the date the background check was completed');
+      return;
+    }
+    try {
+      await recordBackgroundCheck(volunteer._id, checkedAt);
+      toast.success(`Background check recorded for ${volunteer.username}`);
+      fetchVolunteers();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (loading) return <p className="text-gray-500">Loading volunteers...</p>;
+  if (volunteers.length === 0) return <p className="text-gray-500">No volunteers have set up a volunteer profile yet.</p>;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            {['Volunteer', 'Type & Skills', 'Availability', 'Hours', 'Background Check'].map(header => (
+              <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{header}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {volunteers.map(volunteer => (
+            <tr key={volunteer._id}>
+              <td className="px-4 py-3">
+                <div className="text-gray-800">{displayName(volunteer)}</div>
+                <div className="text-xs text-gray-500">{volunteer.email}</div>
+              </td>
+              <td className="px-4 py-3 text-gray-700">
+                <div>{labelize(volunteer.volunteerInfo?.volunteerType)}</div>
+                <div className="text-xs text-gray-500">{(volunteer.volunteerInfo?.skills || []).join(', ')}</div>
+              </td>
+              <td className="px-4 py-3 text-xs text-gray-600">
+                {(volunteer.volunteerInfo?.availability || []).map(slot => (
+                  <div key={`${slot.day}-${slot.startTime}`}>{labelize(slot.day).slice(0, 3)} {slot.startTime}-{slot.endTime}</div>
+                ))}
+              </td>
+              <td className="px-4 py-3 text-gray-700">{volunteer.stats?.volunteerHours || 0}</td>
+              <td className="px-4 py-3">
+                <BackgroundCheckBadge backgroundCheck={volunteer.backgroundCheck} />
+                <div className="flex items-center gap-2 mt-2">
+                  <input
+                    type="date"
+                    value={checkDates[volunteer._id] || ''}
+                    max={new Date().toISOString().slice(0, 10)}
+                    onChange={(e) => setCheckDates(prev => ({ ...prev, [volunteer._id]: e.target.value }))}
+                    className="px-2 py-1 border border-gray-300 rounded text-xs"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleRecordCheck(volunteer)}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+                  >
+                    Record
+                  </button>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Staff view of volunteer scheduling: shifts with rosters, and the volunteers
+ */
+const ManageVolunteers = () => {
+  const [activeView, setActiveView] = useState('shifts');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        <SubTab id="shifts" label="Shifts" activeView={activeView} onClick={setActiveView} />
+        <SubTab id="volunteers" label="Volunteers" activeView={activeView} onClick={setActiveView} />
+      </div>
+
+      {activeView === 'shifts' && <ShiftSchedule />}
+      {activeView === 'volunteers' && <VolunteerDirectory />}
+    </div>
+  );
+};
+
+export default ManageVolunteers;
@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { Plus, CheckCircle, XCircle, CalendarClock, AlertTriangle } from 'lucide-react';
+import {
+  getMedicalTimeline, recordMedicalEvent, updateMedicalEvent, completeMedicalEvent, cancelMedicalEvent,
+  MEDICAL_EVENT_TYPES
+} from '../services/PostServicesMedical';
+
+const TYPE_STYLES = {
+  vaccination: 'bg-blue-100 text-blue-800',
+  treatment: 'bg-purple-100 text-purple-800',
+  medication: 'bg-indigo-100 text-indigo-800',
+  vet_visit: 'bg-green-100 text-green-800',
+  spay_neuter: 'bg-pink-100 text-pink-800'
+};
+
+const TYPE_LABELS = {
+  vaccination: 'Vaccination',
+  treatment: 'Treatment',
+  medication: 'Medication',
+  vet_visit: 'Vet visit',
+  spay_neuter: 'Spay/neuter'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Local calendar date as YYYY-MM-DD
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const displayName = (user) => {
+  if (!user) return null;
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user.username;
+};
+
+const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm';
+
+export const TypeBadge = ({ type }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${TYPE_STYLES[type] || 'bg-gray-100 text-gray-800'}`}>
+    {TYPE_LABELS[type] || type}
+  </span>
+);
+
+/**
+ * Mark a scheduled event as done, optionally scheduling the next one
+ */
+export const CompleteEventForm = ({ event, onDone, onCancel }) => {
+  const [performedAt, setPerformedAt] = useState(today());
+  const [nextDueDate, setNextDueDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const result = await completeMedicalEvent(event._id, {
+        performedAt,
+        nextDueDate: nextDueDate || undefined,
+        notes: notes || undefined
+      });
+      toast.success(result.message);
+      onDone(result);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-3 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+      <label className="text-xs text-gray-600">
+        Done on
+        <input type="date" value={performedAt} max={today()} onChange={(e) => setPerformedAt(e.target.value)} required className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-600">
+        Next due (optional)
+        <input type="date" value={nextDueDate} min={performedAt} onChange={(e) => setNextDueDate(e.target.value)} className={inputClass} />
+      </label>
+      <label className="text-xs text-gray-600">
+        Notes
+        <input value={notes} onChange={(e) => setNotes(e.target.value)} maxLength={1000} className={inputClass} />
+      </label>
+      <div className="flex space-x-2">
+        <button type="submit" disabled={saving} className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50">
+          {saving ? 'Saving...' : 'Done'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+          Close
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const emptyEvent = () => ({
+  type: 'vaccination',
+  name: '',
+  done: false,
+  dueDate: today(),
+  performedAt: today(),
+  nextDueDate: '',
+  required: false,
+  dosage: '',
+  veterinarian: '',
+  notes: ''
+});
+
+/**
+ * Record a new event: either already done or scheduled for a due date
+ */
+const AddEventForm = ({ petId, onAdded, onCancel }) => {
+  const [form, setForm] = useState(emptyEvent);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { done, dueDate, performedAt, nextDueDate, ...event } = form;
+    try {
+      setSaving(true);
+      const result = await recordMedicalEvent(petId, {
+        ...event,
+        ...(done
+          ? { performedAt, nextDueDate: nextDueDate || undefined }
+          : { dueDate })
+      });
+      toast.success(result.message);
+      onAdded();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-gray-50 rounded-lg space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <label className="text-xs text-gray-600">
+          Type
+          <select value={form.type} onChange={setField('type')} className={inputClass}>
+            {MEDICAL_EVENT_TYPES.map(type => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600 sm:col-span-2">
+          Name *
+          <input value={form.name} onChange={setField('name')} maxLength={100} required placeholder="e.g. Rabies, Deworming, Annual check-up" className={inputClass} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={!form.done} onChange={() => setForm(prev => ({ ...prev, done: false }))} />
+          <span>Schedule</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={form.done} onChange={() => setForm(prev => ({ ...prev, done: true }))} />
+          <span>Already done</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        {form.done ? (
+          <>
+            <label className="text-xs text-gray-600">
+              Done on *
+              <input type="date" value={form.performedAt} max={today()} onChange={setField('performedAt')} required className={inputClass} />
+            </label>
+            <label className="text-xs text-gray-600">
+              Next due (optional)
+              <input type="date" value={form.nextDueDate} min={form.performedAt} onChange={setField('nextDueDate')} className={inputClass} />
+            </label>
+          </>
+        ) : (
+          <label className="text-xs text-gray-600">
+            Due on *
+            <input type="date" value={form.dueDate} onChange={setField('dueDate')} required className={inputClass} />
+          </label>
+        )}
+        <label className="flex items-center space-x-2 text-sm text-gray-700 sm:pt-4">
+          <input type="checkbox" checked={form.required} onChange={setField('required')} />
+          <span>Required before listing</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <label className="text-xs text-gray-600">
+          Dosage
+          <input value={form.dosage} onChange={setField('dosage')} maxLength={200} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Veterinarian
+          <input value={form.veterinarian} onChange={setField('veterinarian')} maxLength={200} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Notes
+          <input value={form.notes} onChange={setField('notes')} maxLength={1000} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * A pet's medical timeline: required treatments that keep it from being
+ * listed, what is scheduled and what has been done
+ */
+const MedicalTimeline = ({ petId, onChanged }) => {
+  const [timeline, setTimeline] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [completingId, setCompletingId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setTimeline(await getMedicalTimeline(petId));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [petId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const refresh = () => {
+    setIsAdding(false);
+    setCompletingId(null);
+    load();
+    if (onChanged) onChanged();
+  };
+
+  const handleReschedule = async (event) => {
+    const dueDate = window.prompt(`New due date for ${event.name} (YYYY-MM-DD)`, event.dueDate.slice(0, 10));
+    if (!dueDate || !dueDate.trim()) return;
+
+    try {
+      await updateMedicalEvent(event._id, { dueDate: dueDate.trim() });
+      toast.success(`${event.name} rescheduled`);
+      refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCancel = async (event) => {
+    const reason = window.prompt(`Why is ${event.name} no longer needed?`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await cancelMedicalEvent(event._id, reason.trim());
+      toast.success(`${event.name} cancelled`);
+      refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (!timeline) {
+    return <p className="text-sm text-gray-500">Loading medical timeline...</p>;
+  }
+
+  const { pet, upcoming, history, outstanding } = timeline;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-gray-600 space-x-3">
+          <span>Vaccinations {pet.vaccinations?.current ? 'current' : 'not current'}{pet.vaccinations?.lastUpdated && ` (last ${formatDate(pet.vaccinations.lastUpdated)})`}</span>
+          <span>· {pet.isSpayedNeutered ? 'Spayed/neutered' : 'Not spayed/neutered'}</span>
+        </div>
+        {!isAdding && (
+          <button
+            onClick={() => setIsAdding(true)}
+            className="flex items-center space-x-1 text-sm px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add event</span>
+          </button>
+        )}
+      </div>
+
+      {outstanding.length > 0 && (
+        <div className="flex items-start space-x-2 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+          <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+          <span>
+            Can&apos;t be listed as available until these required treatments are done:{' '}
+            {outstanding.map(event => `${event.name} (due ${formatDate(event.dueDate)})`).join(', ')}
+          </span>
+        </div>
+      )}
+
+      {isAdding && <AddEventForm petId={petId} onAdded={refresh} onCancel={() => setIsAdding(false)} />}
+
+      <div>
+        <h6 className="text-sm font-semibold text-gray-900 mb-2">Scheduled</h6>
+        {upcoming.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing scheduled.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {upcoming.map(event => (
+              <li key={event._id} className="py-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <TypeBadge type={event.type} />
+                    <span className="text-sm font-medium text-gray-900">{event.name}</span>
+                    <span className={`text-xs ${event.overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                      {event.overdue ? 'Overdue since' : 'Due'} {formatDate(event.dueDate)}
+                    </span>
+                    {event.required && <span className="bg-orange-100 text-orange-800 px-2 py-0.5 rounded-full text-xs">Required</span>}
+                    {event.dosage && <span className="text-xs text-gray-500">{event.dosage}</span>}
+                  </div>
+                  <div className="flex items-center space-x-3 text-xs">
+                    <button onClick={() => setCompletingId(event._id)} className="flex items-center text-green-700 hover:text-green-900">
+                      <CheckCircle className="h-3 w-3 mr-1" /> Done
+                    </button>
+                    <button onClick={() => handleReschedule(event)} className="flex items-center text-blue-600 hover:text-blue-800">
+                      <CalendarClock className="h-3 w-3 mr-1" /> Reschedule
+                    </button>
+                    <button onClick={() => handleCancel(event)} className="flex items-center text-gray-600 hover:text-gray-800">
+                      <XCircle className="h-3 w-3 mr-1" /> Cancel
+                    </button>
+                  </div>
+                </div>
+                {completingId === event._id && (
+                  <CompleteEventForm event={event} onDone={refresh} onCancel={() => setCompletingId(null)} />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h6 className="text-sm font-semibold text-gray-900 mb-2">History</h6>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">No medical events recorded yet.</p>
+        ) : (
+          <ul className="border-l-2 border-gray-200 ml-1 space-y-3">
+            {history.map(event => (
+              <li key={event._id} className="pl-4 relative">
+                <span className={`absolute -left-1.5 top-1.5 h-2.5 w-2.5 rounded-full ${event.status === 'completed' ? 'bg-green-500' : 'bg-gray-400'}`} />
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-gray-500">{formatDate(event.performedAt || event.updatedAt)}</span>
+                  <TypeBadge type={event.type} />
+                  <span className={`text-sm font-medium ${event.status === 'cancelled' ? 'text-gray-500 line-through' : 'text-gray-900'}`}>{event.name}</span>
+                  {event.dosage && <span className="text-xs text-gray-500">{event.dosage}</span>}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {event.status === 'cancelled'
+                    ? `Cancelled${displayName(event.cancelledBy) ? ` by ${displayName(event.cancelledBy)}` : ''}: ${event.cancelReason}`
+                    : [
+                      event.veterinarian && `Vet: ${event.veterinarian}`,
+                      displayName(event.completedBy) && `Recorded by ${displayName(event.completedBy)}`
+                    ].filter(Boolean).join(' · ')}
+                </p>
+                {event.notes && <p className="text-xs text-gray-600">{event.notes}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MedicalTimeline;
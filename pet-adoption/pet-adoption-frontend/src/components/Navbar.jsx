@@ -1,6 +1,7 @@
 import { useState, useContext, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthProvider';
+import { ADMIN_AREA_PERMISSIONS, VOLUNTEER_ROLES, userHasAnyPermission } from '../utils/permissions';
 import { toast } from 'react-toastify';
 import { 
   Menu, 
@@ -13,6 +14,11 @@ import {
   Info, 
   Mail,
   Heart,
+  Star,
+  Bell,
+  KeyRound,
+  HandHeart,
+  CalendarClock,
   ChevronDown
 } from 'lucide-react';
 import logo from '/logo.svg';
@@ -27,6 +33,8 @@ const Navbar = () => {
   const [loading, setLoading] = useState(false);
   
   const { user, logout, isAuthenticated } = useContext(AuthContext);
+  const canOpenAdmin = userHasAnyPermission(user, ADMIN_AREA_PERMISSIONS);
+  const canVolunteer = VOLUNTEER_ROLES.includes(user?.role);
   const navigate = useNavigate();
   const location = useLocation();
   const userMenuRef = useRef(null);
@@ -158,7 +166,7 @@ const Navbar = () => {
             {isAuthenticated && user ? (
               <>
                 {/* Admin Dashboard Link */}
-                {['admin', 'super_admin'].includes(user.role) && (
+                {canOpenAdmin && (
                   <Link
                     to="/admin"
                     className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
@@ -225,6 +233,53 @@ const Navbar = () => {
                         <Heart className="w-4 h-4 mr-3" />
                         My Applications
                       </Link>
+
+                      <Link
+                        to="/favorites"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        onClick={() => setUserMenuOpen(false)}
+                      >
+                        <Star className="w-4 h-4 mr-3" />
+                        My Favorites
+                      </Link>
+
+                      <Link
+                        to="/saved-searches"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        onClick={() => setUserMenuOpen(false)}
+                      >
+                        <Bell className="w-4 h-4 mr-3" />
+                        Saved Searches
+                      </Link>
+
+                      <Link
+                        to="/foster"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        onClick={() => setUserMenuOpen(false)}
+                      >
+                        <HandHeart className="w-4 h-4 mr-3" />
+                        Foster Portal
+                      </Link>
+
+                      {canVolunteer && (
+                        <Link
+                          to="/volunteer"
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                          onClick={() => setUserMenuOpen(false)}
+                        >
+                          <CalendarClock className="w-4 h-4 mr-3" />
+                          Volunteer Shifts
+                        </Link>
+                      )}
+
+                      <Link
+                        to="/security"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        onClick={() => setUserMenuOpen(false)}
+                      >
+                        <KeyRound className="w-4 h-4 mr-3" />
+                        Security
+                      </Link>
                       
                       <button
                         onClick={handleLogout}
@@ -315,7 +370,7 @@ const Navbar = () => {
                   </div>
 
                   {/* Admin Dashboard */}
-                  {(user.role === 'admin' || user.role === 'Admin') && (
+                  {canOpenAdmin && (
                     <Link
                       to="/admin"
                       className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
@@ -336,6 +391,58 @@ const Navbar = () => {
                     <span>Profile</span>
                   </Link>
 
+                  {/* Favorites */}
+                  <Link
+                    to="/favorites"
+                    className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <Star className="w-5 h-5" />
+                    <span>My Favorites</span>
+                  </Link>
+
+                  {/* Saved searches */}
+                  <Link
+                    to="/saved-searches"
+                    className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <Bell className="w-5 h-5" />
+                    <span>Saved Searches</span>
+                  </Link>
+
+                  {/* Foster portal */}
+                  <Link
+                    to="/foster"
+                    className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <HandHeart className="w-5 h-5" />
+                    <span>Foster Portal</span>
+                  </Link>
+
+                  {/* Volunteer shifts */}
+                  {canVolunteer && (
+                    <Link
+                      to="/volunteer"
+                      className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
+                      onClick={() => setMobileMenuOpen(false)}
+                    >
+                      <CalendarClock className="w-5 h-5" />
+                      <span>Volunteer Shifts</span>
+                    </Link>
+                  )}
+
+                  {/* Security */}
+                  <Link
+                    to="/security"
+                    className="flex items-center space-x-3 px-4 py-3 rounded-lg text-sm font-medium text-green-100 hover:bg-white hover:bg-opacity-10 hover:text-white transition-colors"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <KeyRound className="w-5 h-5" />
+                    <span>Security</span>
+                  </Link>
+
                   {/* Logout */}
                   <button
                     onClick={handleLogout}
@@ -374,4 +481,4 @@ const Navbar = () => {
   );
 };
 
-export default Navbar;
\ No newline at end of file
+export default Navbar;
\ No newline at end of file
@@ -1,15 +1,13 @@
-import React, { useState, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useCallback, useContext } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { getPetImageUrl, PLACEHOLDER_IMAGE } from '../utils/petImages';
+import { FavoritesContext } from '../context/FavoritesProvider';
 
 const PetCard = ({ pet, viewMode = 'grid', showQuickActions = true, className = '' }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
-  const [isFavorited, setIsFavorited] = useState(false);
-
-  // Early return for invalid pet data
-  if (!pet || !pet._id) {
-    return null;
-  }
+  const { isFavorite, toggleFavorite, canFavorite } = useContext(FavoritesContext);
+  const navigate = useNavigate();
 
   // Handle image loading states
   const handleImageLoad = useCallback(() => {
@@ -18,16 +16,27 @@ const PetCard = ({ pet, viewMode = 'grid', showQuickActions = true, className =
 
   const handleImageError = useCallback((e) => {
     setImageError(true);
-    e.target.src = 'https://via.placeholder.com/400x300/f3f4f6/9ca3af?text=Photo+Unavailable';
+    e.target.src = PLACEHOLDER_IMAGE;
   }, []);
 
-  // Handle favorite toggle
+  // Handle favorite toggle; guests are sent to sign in first
+  const petId = pet?._id;
   const handleFavoriteClick = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
-    setIsFavorited(!isFavorited);
-    // TODO: Implement actual favorite functionality with backend
-  }, [isFavorited]);
+    if (!canFavorite) {
+      navigate('/login', { state: { from: `/pets/${petId}` } });
+      return;
+    }
+    toggleFavorite(petId);
+  }, [canFavorite, navigate, petId, toggleFavorite]);
+
+  // Early return for invalid pet data, after every hook so their order never changes
+  if (!pet || !pet._id) {
+    return null;
+  }
+
+  const isFavorited = isFavorite(pet._id);
 
   // Get status styling
   const getStatusColor = (status) => {
@@ -79,7 +88,7 @@ const PetCard = ({ pet, viewMode = 'grid', showQuickActions = true, className =
                 </div>
               )}
               <img
-                src={pet.image}
+                src={getPetImageUrl(pet, 'thumbnail')}
                 alt={`${pet.name} - ${pet.breed}`}
                 className={`w-full h-full object-cover transition-all duration-300 ${
                   imageLoaded ? 'opacity-100' : 'opacity-0'
@@ -183,7 +192,7 @@ const PetCard = ({ pet, viewMode = 'grid', showQuickActions = true, className =
           )}
           
           <img
-            src={pet.image}
+            src={getPetImageUrl(pet)}
             alt={`${pet.name} - ${pet.breed}`}
             className={`w-full h-full object-cover transition-all duration-500 group-hover:scale-110 ${
               imageLoaded ? 'opacity-100' : 'opacity-0'
@@ -2,18 +2,22 @@ import React, { useEffect, useState, useContext, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { getPetById } from '../services/PostServicesPets';
 import { AuthContext } from '../context/AuthProvider';
+import { FavoritesContext } from '../context/FavoritesProvider';
+import { getPetGallery, PLACEHOLDER_IMAGE } from '../utils/petImages';
+import PetDocuments from './PetDocuments';
 
 const PetDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user, isAuthenticated } = useContext(AuthContext);
+  const { isFavorite, toggleFavorite } = useContext(FavoritesContext);
+  const isFavorited = isFavorite(id);
   
   const [pet, setPet] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [showContactModal, setShowContactModal] = useState(false);
-  const [isFavorited, setIsFavorited] = useState(false);
   const [shareUrl, setShareUrl] = useState('');
 
   // Fetch pet data
@@ -30,10 +34,6 @@ const PetDetails = () => {
       console.log('Pet images field:', petData.images);
       
       setShareUrl(window.location.href);
-      
-      // Check if pet is favorited (you'd implement this with your backend)
-      // const favorites = JSON.parse(localStorage.getItem('favorites') || '[]');
-      // setIsFavorited(favorites.includes(id));
     } catch (error) {
       console.error('Error fetching pet data:', error);
       setError('Unable to load pet details. Please try again.');
@@ -80,10 +80,12 @@ const PetDetails = () => {
     }
   };
 
-  const toggleFavorite = () => {
-    // Implement favorite functionality
-    setIsFavorited(!isFavorited);
-    // You'd save this to backend/localStorage
+  const handleToggleFavorite = () => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: `/pets/${id}` } });
+      return;
+    }
+    toggleFavorite(pet._id);
   };
 
   const getStatusColor = (status) => {
@@ -141,20 +143,8 @@ const PetDetails = () => {
     );
   }
 
-  // Handle different image data structures - simplified to match working PetCard
-  const getImages = () => {
-    // First try the images array if it exists
-    if (pet.images && Array.isArray(pet.images) && pet.images.length > 0) {
-      return pet.images.filter(Boolean);
-    }
-    // Otherwise use the single image field that works in PetCard
-    if (pet.image) {
-      return [pet.image];
-    }
-    return [];
-  };
-  
-  const images = getImages();
+  // Uploaded gallery images (primary first), falling back to the single image field
+  const images = getPetGallery(pet);
   const ageGroup = getAgeGroup(pet.age);
 
   return (
@@ -181,12 +171,12 @@ const PetDetails = () => {
               {/* Main Image */}
               <div className="relative">
                 <img
-                  src={images.length > 0 ? images[currentImageIndex] : pet.image}
-                  alt={`${pet.name} - Photo ${currentImageIndex + 1}`}
+                  src={images.length > 0 ? images[currentImageIndex]?.src : PLACEHOLDER_IMAGE}
+                  alt={images[currentImageIndex]?.alt || `${pet.name} - Photo ${currentImageIndex + 1}`}
                   className="w-full h-96 object-cover"
                   onError={(e) => {
                     console.log('Image failed to load:', e.target.src);
-                    e.target.src = 'https://via.placeholder.com/600x400/f3f4f6/9ca3af?text=Photo+Unavailable';
+                    e.target.src = PLACEHOLDER_IMAGE;
                   }}
                 />
                 
@@ -201,7 +191,8 @@ const PetDetails = () => {
 
                 {/* Favorite Button */}
                 <button
-                  onClick={toggleFavorite}
+                  onClick={handleToggleFavorite}
+                  title={isFavorited ? 'Remove from favorites' : 'Add to favorites'}
                   className="absolute top-4 right-4 w-12 h-12 bg-white bg-opacity-90 rounded-full flex items-center justify-center hover:bg-opacity-100 transition-all"
                 >
                   <span className={`text-2xl ${isFavorited ? 'text-red-500' : 'text-gray-400'}`}>
@@ -233,14 +224,14 @@ const PetDetails = () => {
                 <div className="p-4 flex space-x-2 overflow-x-auto">
                   {images.map((image, index) => (
                     <button
-                      key={index}
+                      key={image.id}
                       onClick={() => setCurrentImageIndex(index)}
                       className={`flex-shrink-0 w-20 h-20 rounded-lg overflow-hidden border-2 transition-all ${
                         index === currentImageIndex ? 'border-green-500' : 'border-gray-200'
                       }`}
                     >
                       <img
-                        src={image}
+                        src={image.thumbnail}
                         alt={`${pet.name} thumbnail ${index + 1}`}
                         className="w-full h-full object-cover"
                       />
@@ -386,6 +377,16 @@ const PetDetails = () => {
               )}
             </div>
 
+            {/* Records for the adopter; the API only allows this after a completed adoption */}
+            {isAuthenticated && pet.status === 'adopted' && (
+              <PetDocuments
+                petId={pet._id}
+                readOnly
+                title={`📄 ${pet.name}'s Records`}
+                className="bg-white rounded-2xl shadow-xl p-8"
+              />
+            )}
+
             {/* Additional Links */}
             {pet.link && (
               <div className="bg-white rounded-2xl shadow-xl p-8">
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { FileText, Download, Trash2, Upload, Lock, Share2, RefreshCw } from 'lucide-react';
+import {
+  getPetDocuments, uploadPetDocuments, updatePetDocument, downloadPetDocument, deletePetDocument
+} from '../services/PostServicesPets';
+
+const DOCUMENT_TYPE_LABELS = {
+  medical_record: 'Medical Record',
+  vaccination_record: 'Vaccination Record',
+  behavioral_assessment: 'Behavioral Assessment',
+  intake_form: 'Intake Form',
+  other: 'Other'
+};
+
+// Shared with the adopter by default, matching the backend
+const ADOPTER_SHARED_TYPES = ['medical_record', 'vaccination_record'];
+
+const ACCEPTED_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_FILE_MB = 10;
+const MAX_FILES_PER_UPLOAD = 5;
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Pet documents (medical and vaccination records, forms).
+ * Staff get the full editor; with readOnly the list only offers downloads and
+ * renders nothing when the user has no access (e.g. adoption not completed)
+ * or there is nothing to download.
+ */
+const PetDocuments = ({ petId, readOnly = false, title, className = '' }) => {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hasAccess, setHasAccess] = useState(true);
+  const [error, setError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [documentType, setDocumentType] = useState('medical_record');
+  const [shareWithAdopter, setShareWithAdopter] = useState(true);
+  const fileInputRef = useRef(null);
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setDocuments(await getPetDocuments(petId));
+      setHasAccess(true);
+    } catch (err) {
+      if (readOnly) {
+        setHasAccess(false);
+      } else {
+        setError(`Could not load documents: ${err.message}`);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [petId, readOnly]);
+
+  useEffect(() => {
+    if (petId) loadDocuments();
+  }, [petId, loadDocuments]);
+
+  const handleTypeChange = (type) => {
+    setDocumentType(type);
+    setShareWithAdopter(ADOPTER_SHARED_TYPES.includes(type));
+  };
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const invalid = files.filter(file => !ACCEPTED_TYPES.includes(file.type) || file.size > MAX_FILE_MB * 1024 * 1024);
+    if (invalid.length > 0) {
+      setError(`Only PDF, JPEG, PNG or WebP files up to ${MAX_FILE_MB} MB: ${invalid.map(file => file.name).join(', ')}`);
+      return;
+    }
+    if (files.length > MAX_FILES_PER_UPLOAD) {
+      setError(`You can upload at most ${MAX_FILES_PER_UPLOAD} documents at once`);
+      return;
+    }
+
+    try {
+      setError(null);
+      setUploading(true);
+      setProgress(0);
+      setDocuments(await uploadPetDocuments(petId, files, {
+        type: documentType,
+        sharedWithAdopter: shareWithAdopter,
+        onProgress: setProgress
+      }));
+    } catch (err) {
+      setError(`Upload failed: ${err.message}`);
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      setError(null);
+      const blob = await downloadPetDocument(petId, doc._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${doc.name}.${EXTENSIONS[doc.mimeType] || 'pdf'}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Could not download document: ${err.message}`);
+    }
+  };
+
+  const handleToggleShared = async (doc) => {
+    try {
+      setError(null);
+      setDocuments(await updatePetDocument(petId, doc._id, { sharedWithAdopter: !doc.sharedWithAdopter }));
+    } catch (err) {
+      setError(`Could not update document: ${err.message}`);
+    }
+  };
+
+  const handleRename = async (doc, name) => {
+    if (!name || name === doc.name) return;
+    try {
+      setDocuments(await updatePetDocument(petId, doc._id, { name }));
+    } catch (err) {
+      setError(`Could not rename document: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.name}"? This cannot be undone.`)) return;
+    try {
+      setError(null);
+      setDocuments(await deletePetDocument(petId, doc._id));
+    } catch (err) {
+      setError(`Could not delete document: ${err.message}`);
+    }
+  };
+
+  if (readOnly && (!hasAccess || (!loading && documents.length === 0))) {
+    return null;
+  }
+
+  const errorBanner = error && (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+      <p className="text-sm text-red-800">{error}</p>
+    </div>
+  );
+
+  if (readOnly) {
+    return (
+      <div className={className}>
+        {title && <h3 className="text-xl font-bold text-gray-800 mb-4">{title}</h3>}
+        <div className="space-y-3">
+          {errorBanner}
+          {documents.map(doc => (
+            <button
+              key={doc._id}
+              type="button"
+              onClick={() => handleDownload(doc)}
+              className="w-full flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors text-left"
+            >
+              <span className="flex items-center min-w-0">
+                <FileText className="h-5 w-5 text-blue-600 mr-3 flex-shrink-0" />
+                <span className="min-w-0">
+                  <span className="block font-medium text-gray-800 truncate">{doc.name}</span>
+                  <span className="block text-xs text-gray-500">{DOCUMENT_TYPE_LABELS[doc.type] || doc.type}</span>
+                </span>
+              </span>
+              <Download className="h-4 w-4 text-gray-500 flex-shrink-0 ml-3" />
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Upload */}
+      <div className="border-2 border-dashed border-gray-300 rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Document Type</label>
+            <select
+              value={documentType}
+              onChange={(e) => handleTypeChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              {Object.entries(DOCUMENT_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 md:pb-2">
+            <input
+              type="checkbox"
+              checked={shareWithAdopter}
+              onChange={(e) => setShareWithAdopter(e.target.checked)}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            <span>Share with adopter</span>
+          </label>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+            className="flex items-center justify-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" />
+            <span>{uploading ? `Uploading... ${progress}%` : 'Upload Files'}</span>
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          PDF, JPEG, PNG or WebP, up to {MAX_FILE_MB} MB each. Shared documents can be downloaded by the adopter once the adoption is completed.
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          multiple
+          className="hidden"
+          onChange={(e) => handleFiles(e.target.files)}
+        />
+      </div>
+
+      {errorBanner}
+
+      {/* List */}
+      {loading ? (
+        <div className="flex items-center justify-center text-sm text-gray-500 py-6">
+          <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+          Loading documents...
+        </div>
+      ) : documents.length === 0 ? (
+        <div className="flex items-center justify-center text-sm text-gray-500 py-6">
+          <FileText className="h-4 w-4 mr-2" />
+          No documents yet
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {documents.map(doc => (
+            <li key={doc._id} className="flex items-center justify-between p-3">
+              <div className="flex items-center min-w-0 flex-1">
+                <FileText className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+                <div className="min-w-0 flex-1">
+                  <input
+                    type="text"
+                    defaultValue={doc.name}
+                    maxLength={100}
+                    onBlur={(e) => handleRename(doc, e.target.value.trim())}
+                    className="w-full text-sm font-medium text-gray-900 border-0 p-0 focus:outline-none focus:ring-0"
+                  />
+                  <p className="text-xs text-gray-500">
+                    {DOCUMENT_TYPE_LABELS[doc.type] || doc.type}
+                    {doc.size ? ` · ${formatSize(doc.size)}` : ''}
+                    {doc.uploadedAt ? ` · ${new Date(doc.uploadedAt).toLocaleDateString()}` : ''}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 ml-3">
+                <button
+                  type="button"
+                  onClick={() => handleToggleShared(doc)}
+                  title={doc.sharedWithAdopter ? 'Shared with adopter (click to make staff-only)' : 'Staff only (click to share with adopter)'}
+                  className={`p-1 rounded ${doc.sharedWithAdopter ? 'text-green-600 hover:bg-green-50' : 'text-gray-500 hover:bg-gray-100'}`}
+                >
+                  {doc.sharedWithAdopter ? <Share2 className="h-4 w-4" /> : <Lock className="h-4 w-4" />}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDownload(doc)}
+                  title="Download"
+                  className="p-1 rounded text-blue-600 hover:bg-blue-50"
+                >
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(doc)}
+                  title="Delete document"
+                  className="p-1 rounded text-red-600 hover:bg-red-50"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PetDocuments;
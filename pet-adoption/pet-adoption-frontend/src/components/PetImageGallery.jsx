@@ -0,0 +1,220 @@
+import React, { useState, useRef } from 'react';
+import { Camera, Star, Trash2, Upload, GripVertical } from 'lucide-react';
+import { uploadPetImages, updatePetImage, reorderPetImages, deletePetImage } from '../services/PostServicesPets';
+import { resolveImageUrl } from '../utils/petImages';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_FILE_MB = 8;
+const MAX_FILES_PER_UPLOAD = 10;
+
+/**
+ * Drag-and-drop gallery editor for a saved pet.
+ * Drop files to upload, drag thumbnails to reorder, star to make primary.
+ */
+const PetImageGallery = ({ petId, petName, images = [], onChange }) => {
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const applyImages = (updated) => {
+    if (Array.isArray(updated)) {
+      onChange(updated);
+    }
+  };
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const invalid = files.filter(file => !ACCEPTED_TYPES.includes(file.type) || file.size > MAX_FILE_MB * 1024 * 1024);
+    if (invalid.length > 0) {
+      setError(`Only JPEG, PNG, WebP or GIF images up to ${MAX_FILE_MB} MB: ${invalid.map(file => file.name).join(', ')}`);
+      return;
+    }
+    if (files.length > MAX_FILES_PER_UPLOAD) {
+      setError(`You can upload at most ${MAX_FILES_PER_UPLOAD} images at once`);
+      return;
+    }
+
+    try {
+      setError(null);
+      setUploading(true);
+      setProgress(0);
+      applyImages(await uploadPetImages(petId, files, { alt: petName ? `${petName} photo` : undefined, onProgress: setProgress }));
+    } catch (err) {
+      setError(`Upload failed: ${err.message}`);
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleMakePrimary = async (imageId) => {
+    try {
+      setError(null);
+      applyImages(await updatePetImage(petId, imageId, { isPrimary: true }));
+    } catch (err) {
+      setError(`Could not update image: ${err.message}`);
+    }
+  };
+
+  const handleAltBlur = async (image, alt) => {
+    if (alt === (image.alt || '')) return;
+    try {
+      applyImages(await updatePetImage(petId, image._id, { alt }));
+    } catch (err) {
+      setError(`Could not update alt text: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (imageId) => {
+    if (!window.confirm('Delete this image?')) return;
+    try {
+      setError(null);
+      applyImages(await deletePetImage(petId, imageId));
+    } catch (err) {
+      setError(`Could not delete image: ${err.message}`);
+    }
+  };
+
+  const handleReorder = async (fromIndex, toIndex) => {
+    if (fromIndex === null || fromIndex === toIndex) return;
+
+    const previous = images;
+    const reordered = [...images];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+
+    // Optimistic update, rolled back if the server rejects the new order
+    onChange(reordered);
+    try {
+      applyImages(await reorderPetImages(petId, reordered.map(image => image._id)));
+    } catch (err) {
+      onChange(previous);
+      setError(`Could not reorder images: ${err.message}`);
+    }
+  };
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  return (
+    <div className="space-y-4">
+      {/* Drop zone */}
+      <div
+        onDragOver={(e) => {
+          if (!isFileDrag(e)) return;
+          e.preventDefault();
+          setIsDraggingFiles(true);
+        }}
+        onDragLeave={() => setIsDraggingFiles(false)}
+        onDrop={(e) => {
+          if (!isFileDrag(e)) return;
+          e.preventDefault();
+          setIsDraggingFiles(false);
+          handleFiles(e.dataTransfer.files);
+        }}
+        onClick={() => !uploading && fileInputRef.current?.click()}
+        className={`flex flex-col items-center justify-center border-2 border-dashed rounded-lg p-6 cursor-pointer transition-colors ${
+          isDraggingFiles ? 'border-green-500 bg-green-50' : 'border-gray-300 hover:border-green-400'
+        }`}
+      >
+        <Upload className="h-8 w-8 text-gray-400 mb-2" />
+        <p className="text-sm text-gray-700 font-medium">
+          {uploading ? `Uploading... ${progress}%` : 'Drop photos here or click to browse'}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">JPEG, PNG, WebP or GIF, up to {MAX_FILE_MB} MB each</p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          multiple
+          className="hidden"
+          onChange={(e) => handleFiles(e.target.files)}
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Gallery */}
+      {images.length === 0 ? (
+        <div className="flex items-center justify-center text-sm text-gray-500 py-6">
+          <Camera className="h-4 w-4 mr-2" />
+          No photos yet
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          {images.map((image, index) => (
+            <div
+              key={image._id}
+              draggable
+              onDragStart={(e) => {
+                setDragIndex(index);
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+              }}
+              onDragOver={(e) => {
+                if (isFileDrag(e)) return;
+                e.preventDefault();
+              }}
+              onDrop={(e) => {
+                if (isFileDrag(e)) return;
+                e.preventDefault();
+                handleReorder(dragIndex, index);
+                setDragIndex(null);
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              className={`relative border rounded-lg overflow-hidden bg-white ${
+                image.isPrimary ? 'border-green-500 ring-2 ring-green-200' : 'border-gray-200'
+              } ${dragIndex === index ? 'opacity-50' : ''}`}
+            >
+              <img
+                src={resolveImageUrl(image.thumbnailUrl || image.webpUrl || image.url)}
+                alt={image.alt || `${petName} photo ${index + 1}`}
+                className="w-full h-32 object-cover"
+              />
+              <div className="absolute top-2 left-2 bg-white bg-opacity-80 rounded p-1 cursor-move" title="Drag to reorder">
+                <GripVertical className="h-4 w-4 text-gray-600" />
+              </div>
+              <div className="absolute top-2 right-2 flex space-x-1">
+                <button
+                  type="button"
+                  onClick={() => handleMakePrimary(image._id)}
+                  disabled={image.isPrimary}
+                  title={image.isPrimary ? 'Primary photo' : 'Make primary'}
+                  className="bg-white bg-opacity-80 rounded p-1 hover:bg-opacity-100"
+                >
+                  <Star className={`h-4 w-4 ${image.isPrimary ? 'text-yellow-500 fill-current' : 'text-gray-600'}`} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(image._id)}
+                  title="Delete photo"
+                  className="bg-white bg-opacity-80 rounded p-1 hover:bg-opacity-100"
+                >
+                  <Trash2 className="h-4 w-4 text-red-600" />
+                </button>
+              </div>
+              <input
+                type="text"
+                defaultValue={image.alt || ''}
+                maxLength={200}
+                onBlur={(e) => handleAltBlur(image, e.target.value.trim())}
+                placeholder="Alt text"
+                className="w-full px-2 py-1 text-xs border-t border-gray-200 focus:outline-none focus:ring-1 focus:ring-green-500"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PetImageGallery;
@@ -0,0 +1,480 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { X, ChevronLeft, ChevronRight, CheckCircle, Download, ClipboardList } from 'lucide-react';
+import { getIntakeOptions, intakePet, downloadPetDocument } from '../services/PostServicesPets';
+import { getKennelBoard } from '../services/PostServicesKennels';
+
+const SOURCE_OPTIONS = [
+  { value: 'stray', label: 'Stray', hint: 'Found without an owner; held so the owner can reclaim it' },
+  { value: 'surrender', label: 'Owner surrender', hint: 'Given up by the owner' },
+  { value: 'transfer', label: 'Transfer', hint: 'From another shelter or rescue' },
+  { value: 'confiscation', label: 'Confiscation', hint: 'Seized by animal control or the police' },
+  { value: 'born_in_care', label: 'Born in care', hint: 'Born at the shelter or in foster' },
+  { value: 'other', label: 'Other', hint: 'Anything else; describe the reason' }
+];
+
+const PET_TYPES = ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'];
+const SIZES = ['extra_small', 'small', 'medium', 'large', 'extra_large'];
+const HEALTH_STATUSES = ['excellent', 'good', 'fair', 'needs_attention', 'special_needs'];
+
+const STEPS = ['Source', 'Details', 'Animal', 'Housing'];
+
+// Used until the server's options have loaded
+const DEFAULT_OPTIONS = { strayHoldDays: 5, maxStrayHoldDays: 60 };
+
+const MIN_DESCRIPTION_LENGTH = 20;
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '—');
+
+// Local calendar date as YYYY-MM-DD
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500';
+
+const Field = ({ label, required, children, hint }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-1">
+      {label}{required && ' *'}
+    </label>
+    {children}
+    {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+  </div>
+);
+
+const initialForm = () => ({
+  intakeSource: 'stray',
+  intakeDate: today(),
+  intakeReason: '',
+  previousOwner: { name: '', contact: '', reason: '' },
+  details: {
+    foundLocation: '', foundAt: '', finderName: '', finderContact: '',
+    transferOrganization: '', transferReference: '', authority: '', caseNumber: '', notes: ''
+  },
+  animal: {
+    name: '', type: '', breed: '', age: '', ageUnit: 'years', gender: 'unknown', size: 'medium',
+    color: '', description: '', healthStatus: 'good', medicalNotes: ''
+  },
+  kennelNumber: '',
+  strayHoldDays: ''
+});
+
+/**
+ * Step-by-step intake of a new animal: where it came from, the paperwork
+ * for that source, the animal itself and where it is housed. The pet starts
+ * out unavailable in quarantine and the intake form is filed with its
+ * documents.
+ */
+const PetIntakeWizard = ({ onClose, onCompleted }) => {
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(initialForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [kennels, setKennels] = useState([]);
+
+  useEffect(() => {
+    getIntakeOptions()
+      .then(setOptions)
+      .catch(err => toast.error(`Could not load intake settings: ${err.message}`));
+    getKennelBoard({ area: 'quarantine' })
+      .then(board => setKennels(board.kennels.filter(kennel => kennel.active)))
+      .catch(err => toast.error(`Could not load quarantine kennels: ${err.message}`));
+  }, []);
+
+  const source = form.intakeSource;
+  const speciesKennels = kennels.filter(kennel => kennel.open > 0
+    && (kennel.species.length === 0 || kennel.species.includes(form.animal.type)));
+  const holdDays = form.strayHoldDays === '' ? options.strayHoldDays : Number(form.strayHoldDays);
+
+  const setField = (section, field) => (e) => {
+    const { value } = e.target;
+    setForm(prev => (section
+      ? { ...prev, [section]: { ...prev[section], [field]: value } }
+      : { ...prev, [field]: value }));
+  };
+
+  // What's missing before the wizard can move past a step
+  const stepProblems = (index) => {
+    const problems = [];
+    if (index === 0) {
+      if (!form.intakeDate) problems.push('Intake date is required');
+      else if (form.intakeDate > today()) problems.push('Intake date cannot be in the future');
+    }
+    if (index === 1) {
+      const { details, previousOwner } = form;
+      if (source === 'stray' && !details.foundLocation.trim()) problems.push('Where the animal was found is required');
+      if (source === 'surrender') {
+        if (!previousOwner.name.trim()) problems.push('Previous owner name is required');
+        if (!previousOwner.contact.trim()) problems.push('Previous owner contact is required');
+        if (!previousOwner.reason.trim()) problems.push('Reason for surrender is required');
+      }
+      if (source === 'transfer' && !details.transferOrganization.trim()) problems.push('Transferring organization is required');
+      if (source === 'confiscation') {
+        if (!details.authority.trim()) problems.push('Confiscating authority is required');
+        if (!details.caseNumber.trim()) problems.push('Case number is required');
+      }
+      if (source === 'other' && !form.intakeReason.trim()) problems.push('Intake reason is required');
+    }
+    if (index === 2) {
+      const { animal } = form;
+      if (!animal.name.trim()) problems.push('Name is required');
+      if (!animal.type) problems.push('Type is required');
+      if (!animal.breed.trim()) problems.push('Breed is required');
+      if (animal.age === '' || Number(animal.age) < 0) problems.push('Age is required');
+      if (animal.description.trim().length < MIN_DESCRIPTION_LENGTH) {
+        problems.push(`Description must be at least ${MIN_DESCRIPTION_LENGTH} characters`);
+      }
+    }
+    if (index === 3 && source === 'stray') {
+      if (!Number.isInteger(holdDays) || holdDays < 1 || holdDays > options.maxStrayHoldDays) {
+        problems.push(`Stray hold must be between 1 and ${options.maxStrayHoldDays} days`);
+      }
+    }
+    return problems;
+  };
+
+  const problems = stepProblems(step);
+
+  const handleNext = () => {
+    if (problems.length === 0) setStep(prev => prev + 1);
+  };
+
+  const handleSubmit = async () => {
+    if (problems.length > 0) return;
+
+    try {
+      setSubmitting(true);
+      const response = await intakePet({
+        ...form,
+        intakeDate: new Date(`${form.intakeDate}T${new Date().toTimeString().slice(0, 8)}`).toISOString(),
+        details: {
+          ...form.details,
+          foundAt: form.details.foundAt ? new Date(form.details.foundAt).toISOString() : undefined
+        },
+        animal: { ...form.animal, age: Number(form.animal.age) },
+        strayHoldDays: source === 'stray' ? holdDays : undefined
+      });
+      setResult(response);
+      toast.success(response.message);
+      onCompleted?.(response.data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownloadForm = async () => {
+    try {
+      const blob = await downloadPetDocument(result.data._id, result.intakeForm._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${result.intakeForm.name}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(`Could not download the intake form: ${err.message}`);
+    }
+  };
+
+  const renderSourceStep = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {SOURCE_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, intakeSource: option.value }))}
+            className={`text-left p-3 rounded-lg border-2 transition-colors ${
+              source === option.value ? 'border-green-600 bg-green-50' : 'border-gray-200 hover:border-gray-300'
+            }`}
+          >
+            <span className="block font-medium text-gray-900">{option.label}</span>
+            <span className="block text-xs text-gray-500 mt-1">{option.hint}</span>
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Field label="Intake date" required>
+          <input type="date" max={today()} value={form.intakeDate} onChange={setField(null, 'intakeDate')} className={inputClass} />
+        </Field>
+      </div>
+      <Field label="Intake reason" required={source === 'other'}>
+        <textarea
+          value={form.intakeReason}
+          onChange={setField(null, 'intakeReason')}
+          rows={2}
+          maxLength={500}
+          className={inputClass}
+          placeholder="Why is the animal coming in?"
+        />
+      </Field>
+    </div>
+  );
+
+  const renderDetailsStep = () => (
+    <div className="space-y-4">
+      {source === 'stray' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Found at" required>
+            <input value={form.details.foundLocation} onChange={setField('details', 'foundLocation')} maxLength={200} className={inputClass} placeholder="Street, park or area" />
+          </Field>
+          <Field label="Found on">
+            <input type="datetime-local" value={form.details.foundAt} onChange={setField('details', 'foundAt')} className={inputClass} />
+          </Field>
+          <Field label="Finder name">
+            <input value={form.details.finderName} onChange={setField('details', 'finderName')} maxLength={100} className={inputClass} />
+          </Field>
+          <Field label="Finder contact">
+            <input value={form.details.finderContact} onChange={setField('details', 'finderContact')} maxLength={200} className={inputClass} placeholder="Phone or email" />
+          </Field>
+        </div>
+      )}
+
+      {source === 'surrender' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Previous owner name" required>
+            <input value={form.previousOwner.name} onChange={setField('previousOwner', 'name')} maxLength={100} className={inputClass} />
+          </Field>
+          <Field label="Previous owner contact" required>
+            <input value={form.previousOwner.contact} onChange={setField('previousOwner', 'contact')} maxLength={200} className={inputClass} placeholder="Phone or email" />
+          </Field>
+          <div className="sm:col-span-2">
+            <Field label="Reason for surrender" required>
+              <textarea value={form.previousOwner.reason} onChange={setField('previousOwner', 'reason')} rows={2} maxLength={500} className={inputClass} />
+            </Field>
+          </div>
+        </div>
+      )}
+
+      {source === 'transfer' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Transferring organization" required>
+            <input value={form.details.transferOrganization} onChange={setField('details', 'transferOrganization')} maxLength={100} className={inputClass} />
+          </Field>
+          <Field label="Transfer reference">
+            <input value={form.details.transferReference} onChange={setField('details', 'transferReference')} maxLength={50} className={inputClass} />
+          </Field>
+        </div>
+      )}
+
+      {source === 'confiscation' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Confiscating authority" required>
+            <input value={form.details.authority} onChange={setField('details', 'authority')} maxLength={100} className={inputClass} placeholder="e.g. County Animal Control" />
+          </Field>
+          <Field label="Case number" required>
+            <input value={form.details.caseNumber} onChange={setField('details', 'caseNumber')} maxLength={50} className={inputClass} />
+          </Field>
+        </div>
+      )}
+
+      {['born_in_care', 'other'].includes(source) && (
+        <p className="text-sm text-gray-600">No extra paperwork is needed for this source.</p>
+      )}
+
+      <Field label="Intake notes" hint="Printed on the intake form; staff only">
+        <textarea value={form.details.notes} onChange={setField('details', 'notes')} rows={3} maxLength={1000} className={inputClass} />
+      </Field>
+    </div>
+  );
+
+  const renderAnimalStep = () => (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <Field label="Name" required>
+        <input value={form.animal.name} onChange={setField('animal', 'name')} maxLength={50} className={inputClass} />
+      </Field>
+      <Field label="Type" required>
+        <select value={form.animal.type} onChange={setField('animal', 'type')} className={inputClass}>
+          <option value="">Select Type</option>
+          {PET_TYPES.map(type => <option key={type} value={type}>{labelize(type)}</option>)}
+        </select>
+      </Field>
+      <Field label="Breed" required>
+        <input value={form.animal.breed} onChange={setField('animal', 'breed')} maxLength={100} className={inputClass} placeholder="Best guess is fine" />
+      </Field>
+      <div className="grid grid-cols-2 gap-2">
+        <Field label="Age" required>
+          <input type="number" min="0" max="50" step="0.5" value={form.animal.age} onChange={setField('animal', 'age')} className={inputClass} />
+        </Field>
+        <Field label="Unit">
+          <select value={form.animal.ageUnit} onChange={setField('animal', 'ageUnit')} className={inputClass}>
+            <option value="years">Years</option>
+            <option value="months">Months</option>
+            <option value="weeks">Weeks</option>
+          </select>
+        </Field>
+      </div>
+      <Field label="Sex">
+        <select value={form.animal.gender} onChange={setField('animal', 'gender')} className={inputClass}>
+          <option value="unknown">Unknown</option>
+          <option value="male">Male</option>
+          <option value="female">Female</option>
+        </select>
+      </Field>
+      <Field label="Size">
+        <select value={form.animal.size} onChange={setField('animal', 'size')} className={inputClass}>
+          {SIZES.map(size => <option key={size} value={size}>{labelize(size)}</option>)}
+        </select>
+      </Field>
+      <Field label="Color">
+        <input value={form.animal.color} onChange={setField('animal', 'color')} className={inputClass} />
+      </Field>
+      <Field label="Health on arrival">
+        <select value={form.animal.healthStatus} onChange={setField('animal', 'healthStatus')} className={inputClass}>
+          {HEALTH_STATUSES.map(status => <option key={status} value={status}>{labelize(status)}</option>)}
+        </select>
+      </Field>
+      <div className="sm:col-span-2">
+        <Field label="Description" required hint={`At least ${MIN_DESCRIPTION_LENGTH} characters`}>
+          <textarea value={form.animal.description} onChange={setField('animal', 'description')} rows={3} maxLength={2000} className={inputClass} />
+        </Field>
+      </div>
+      <div className="sm:col-span-2">
+        <Field label="Medical notes">
+          <textarea value={form.animal.medicalNotes} onChange={setField('animal', 'medicalNotes')} rows={2} className={inputClass} placeholder="Injuries, visible conditions, medication" />
+        </Field>
+      </div>
+    </div>
+  );
+
+  const renderHousingStep = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Field label="Kennel" hint="The animal starts out in quarantine; only kennels with room for its species are listed">
+          <select value={form.kennelNumber} onChange={setField(null, 'kennelNumber')} className={inputClass}>
+            <option value="">Assign later</option>
+            {speciesKennels.map(kennel => (
+              <option key={kennel._id} value={kennel.code}>{kennel.code} ({kennel.open} open)</option>
+            ))}
+          </select>
+        </Field>
+        {source === 'stray' && (
+          <Field label="Stray hold (days)" hint={`Not listed for adoption until the hold ends (default ${options.strayHoldDays})`}>
+            <input
+              type="number"
+              min="1"
+              max={options.maxStrayHoldDays}
+              value={form.strayHoldDays}
+              onChange={setField(null, 'strayHoldDays')}
+              placeholder={String(options.strayHoldDays)}
+              className={inputClass}
+            />
+          </Field>
+        )}
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700 space-y-1">
+        <p><span className="font-medium">{form.animal.name || 'Unnamed'}</span> ({labelize(form.animal.type)}, {form.animal.breed || 'unknown breed'})</p>
+        <p>Source: {SOURCE_OPTIONS.find(option => option.value === source)?.label} on {form.intakeDate}</p>
+        <p>Status: unavailable, in quarantine{form.kennelNumber && `, kennel ${form.kennelNumber}`}</p>
+        {source === 'stray' && Number.isInteger(holdDays) && (
+          <p>Stray hold: {holdDays} {holdDays === 1 ? 'day' : 'days'} from the intake date</p>
+        )}
+        <p>An intake form will be added to the pet&apos;s documents.</p>
+      </div>
+    </div>
+  );
+
+  const STEP_RENDERERS = [renderSourceStep, renderDetailsStep, renderAnimalStep, renderHousingStep];
+  const isLastStep = step === STEPS.length - 1;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-screen flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ClipboardList className="h-5 w-5 mr-2 text-green-600" />
+            Animal Intake
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {result ? (
+          <div className="p-6 text-center space-y-4">
+            <CheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+            <p className="text-gray-800">{result.message}</p>
+            <div className="flex justify-center space-x-3">
+              <button
+                onClick={handleDownloadForm}
+                className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Download className="h-4 w-4" />
+                <span>Intake form</span>
+              </button>
+              <button
+                onClick={() => { setResult(null); setForm(initialForm()); setStep(0); }}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Next intake
+              </button>
+              <button onClick={onClose} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="flex px-6 pt-4 space-x-2">
+              {STEPS.map((label, index) => (
+                <div key={label} className="flex-1">
+                  <div className={`h-1 rounded ${index <= step ? 'bg-green-600' : 'bg-gray-200'}`} />
+                  <p className={`text-xs mt-1 ${index === step ? 'text-green-700 font-medium' : 'text-gray-500'}`}>{label}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-6">
+              {STEP_RENDERERS[step]()}
+            </div>
+
+            <div className="px-6 py-4 border-t border-gray-200">
+              {problems.length > 0 && (
+                <p className="text-xs text-red-600 mb-2">{problems[0]}</p>
+              )}
+              <div className="flex justify-between">
+                <button
+                  onClick={() => setStep(prev => prev - 1)}
+                  disabled={step === 0}
+                  className="flex items-center space-x-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                  <span>Back</span>
+                </button>
+                {isLastStep ? (
+                  <button
+                    onClick={handleSubmit}
+                    disabled={submitting || problems.length > 0}
+                    className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <CheckCircle className="h-4 w-4" />
+                    <span>{submitting ? 'Recording...' : 'Complete intake'}</span>
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleNext}
+                    disabled={problems.length > 0}
+                    className="flex items-center space-x-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <span>Next</span>
+                    <ChevronRight className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PetIntakeWizard;
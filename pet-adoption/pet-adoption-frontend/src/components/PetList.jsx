@@ -1,8 +1,56 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useContext } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
+import { toast } from 'react-toastify';
 import PetCard from '../components/PetCard';
+import { AuthContext } from '../context/AuthProvider';
+import { createSavedSearch } from '../services/PostServicesSavedSearches';
+
+// Age buckets of the age filter as year ranges for saved searches
+const AGE_RANGES = {
+  young: { ageMax: 2 },
+  adult: { ageMin: 3, ageMax: 7 },
+  senior: { ageMin: 8 }
+};
+
+const AGE_LABELS = { young: 'Young', adult: 'Adult', senior: 'Senior' };
+
+// Filters that can be saved as a search (free-text search and status are not)
+const SAVEABLE_FILTERS = ['type', 'breed', 'age', 'size', 'gender', 'location'];
+
+/**
+ * Turn the current PetList filters into a saved search payload
+ * @param {Object} filters - PetList filters
+ * @returns {Object} { type, breed, size, gender, location, ageMin, ageMax }
+ */
+const toSavedSearchFilters = ({ type, breed, age, size, gender, location }) => ({
+  type: type || undefined,
+  breed: breed.trim() || undefined,
+  size: size || undefined,
+  gender: gender || undefined,
+  location: location.trim() || undefined,
+  ...(AGE_RANGES[age] || {})
+});
+
+/**
+ * Default name for a saved search, e.g. "Young Dog, Labrador in Berlin"
+ * @param {Object} filters - PetList filters
+ * @returns {string}
+ */
+const suggestSearchName = ({ type, breed, age, size, gender, location }) => {
+  const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+  const parts = [AGE_LABELS[age], size && capitalize(size), gender && capitalize(gender), type ? capitalize(type) : 'Pet']
+    .filter(Boolean)
+    .join(' ');
+  const details = [breed.trim() && `, ${breed.trim()}`, location.trim() && ` in ${location.trim()}`]
+    .filter(Boolean)
+    .join('');
+  return `${parts}${details}`.slice(0, 100);
+};
 
 const PetList = () => {
+  const { isAuthenticated } = useContext(AuthContext);
+
   // State management
   const [pets, setPets] = useState([]);
   const [filteredPets, setFilteredPets] = useState([]);
@@ -35,6 +83,11 @@ const PetList = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [activeFiltersCount, setActiveFiltersCount] = useState(0);
 
+  // Saved search form
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
+  const [searchName, setSearchName] = useState('');
+  const [savingSearch, setSavingSearch] = useState(false);
+
   const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
   // Fetch pets data
@@ -212,6 +265,30 @@ const PetList = () => {
     });
   }, []);
 
+  const canSaveSearch = SAVEABLE_FILTERS.some(name => filters[name].trim() !== '');
+
+  const openSaveSearch = useCallback(() => {
+    setSearchName(suggestSearchName(filters));
+    setShowSaveSearch(true);
+  }, [filters]);
+
+  const handleSaveSearch = useCallback(async (e) => {
+    e.preventDefault();
+    const name = searchName.trim();
+    if (!name) return;
+
+    try {
+      setSavingSearch(true);
+      await createSavedSearch({ name, filters: toSavedSearchFilters(filters) });
+      toast.success(`Saved "${name}". We'll let you know when new pets match.`);
+      setShowSaveSearch(false);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingSearch(false);
+    }
+  }, [filters, searchName]);
+
   const toggleSortOrder = useCallback(() => {
     setSortOrder(prev => prev === 'asc' ? 'desc' : 'asc');
   }, []);
@@ -322,6 +399,16 @@ const PetList = () => {
                   Clear All
                 </button>
               )}
+
+              {isAuthenticated && canSaveSearch && (
+                <button
+                  onClick={openSaveSearch}
+                  className="flex items-center px-4 py-2 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors"
+                >
+                  <span className="mr-2">🔔</span>
+                  Save Search
+                </button>
+              )}
             </div>
 
             <div className="flex items-center gap-4">
@@ -370,6 +457,43 @@ const PetList = () => {
             </div>
           </div>
 
+          {/* Save Search */}
+          {showSaveSearch && isAuthenticated && canSaveSearch && (
+            <form
+              onSubmit={handleSaveSearch}
+              className="flex flex-wrap items-center gap-3 p-4 mb-4 bg-green-50 border border-green-200 rounded-xl"
+            >
+              <input
+                type="text"
+                value={searchName}
+                onChange={(e) => setSearchName(e.target.value)}
+                maxLength={100}
+                placeholder="Name this search"
+                className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+              />
+              <button
+                type="submit"
+                disabled={savingSearch || !searchName.trim()}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {savingSearch ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowSaveSearch(false)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <Link to="/saved-searches" className="text-sm text-green-700 hover:underline">
+                Manage saved searches
+              </Link>
+              <p className="w-full text-xs text-gray-600">
+                Get alerts when newly available pets match these filters. Free-text search is not saved.
+              </p>
+            </form>
+          )}
+
           {/* Advanced Filters */}
           {showFilters && (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 pt-4 border-t border-gray-200">
@@ -552,4 +676,4 @@ const PetList = () => {
   );
 };
 
-export default PetList;
\ No newline at end of file
+export default PetList;
\ No newline at end of file
@@ -2,10 +2,12 @@ import React, { useState, useEffect, useContext } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthProvider';
 import { FaSpinner, FaExclamationTriangle, FaLock } from 'react-icons/fa';
+import { userHasPermission, userHasAnyPermission } from '../utils/permissions';
 
 const ProtectedRoute = ({ 
   children, 
   requiredRoles = [], 
+  requiredPermissions = [],
   fallbackPath = '/login',
   showUnauthorized = true 
 }) => {
@@ -153,8 +155,10 @@ const ProtectedRoute = ({
     return <Navigate to={fallbackPath} replace state={{ from }} />;
   }
 
-  // Check role-based authorization
-  if (requiredRoles.length > 0 && !hasRequiredRole(user?.role || [], requiredRoles)) {
+  // Check role- and permission-based authorization
+  const missingRole = requiredRoles.length > 0 && !hasRequiredRole(user?.role || [], requiredRoles);
+  const missingPermission = requiredPermissions.length > 0 && !userHasAnyPermission(user, requiredPermissions);
+  if (missingRole || missingPermission) {
     if (!showUnauthorized) {
       return <Navigate to="/" replace />;
     }
@@ -178,6 +182,13 @@ const ProtectedRoute = ({
                 </p>
               </div>
             )}
+            {requiredPermissions.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                <p className="text-sm text-red-700">
+                  <strong>Requires one of:</strong> {requiredPermissions.join(', ')}
+                </p>
+              </div>
+            )}
             <button
               onClick={() => window.history.back()}
               className="w-full bg-gray-600 text-white py-3 rounded-xl font-semibold hover:bg-gray-700 transition-colors"
@@ -262,8 +273,11 @@ export const usePermissions = () => {
   const isSuperAdmin = () => hasRole(['super_admin']);
   const isStaff = () => hasRole(['staff', 'admin', 'super_admin']);
 
+  const hasPermission = (permission) => isAuthenticated && userHasPermission(user, permission);
+
   return {
     hasRole,
+    hasPermission,
     isAdmin,
     isSuperAdmin,
     isStaff,
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { updateRolePreset, resetRolePreset } from '../services/PostServicesPermissions';
+
+/**
+ * Roles × permissions matrix for editing the permission preset of each role.
+ * Saving a role applies the preset to every user with that role, keeping
+ * their individual grants and revocations.
+ */
+const RolePermissionPresets = ({ catalog, onChange, onSuccess, onError }) => {
+  const [drafts, setDrafts] = useState(catalog.presets);
+  const [savingRole, setSavingRole] = useState(null);
+
+  useEffect(() => {
+    setDrafts(catalog.presets);
+  }, [catalog]);
+
+  const isDirty = (role) => {
+    const saved = catalog.presets[role] || [];
+    const draft = drafts[role] || [];
+    return saved.length !== draft.length || draft.some(permission => !saved.includes(permission));
+  };
+
+  const togglePermission = (role, permission) => {
+    setDrafts(prev => {
+      const current = prev[role] || [];
+      return {
+        ...prev,
+        [role]: current.includes(permission)
+          ? current.filter(p => p !== permission)
+          : [...current, permission]
+      };
+    });
+  };
+
+  const handleSave = async (role) => {
+    try {
+      setSavingRole(role);
+      const result = await updateRolePreset(role, drafts[role] || []);
+      onSuccess(`Permissions of the ${role} role saved (${result.usersUpdated} users updated)`);
+      onChange();
+    } catch (err) {
+      onError(`Error saving role permissions: ${err.message}`);
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const handleRestore = async (role) => {
+    if (!window.confirm(`Restore the default permissions of the ${role} role?`)) return;
+
+    try {
+      setSavingRole(role);
+      const result = await resetRolePreset(role);
+      onSuccess(`Default permissions of the ${role} role restored (${result.usersUpdated} users updated)`);
+      onChange();
+    } catch (err) {
+      onError(`Error restoring role permissions: ${err.message}`);
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto mt-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Role Permissions</h2>
+        <p className="text-sm text-gray-600">
+          Permissions each role grants. Individual grants and revocations are kept when a role changes.
+        </p>
+      </div>
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              Permission
+            </th>
+            {catalog.roles.map(role => (
+              <th key={role} className="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                {role.replace('_', ' ')}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {catalog.permissions.map(({ key, description }) => (
+            <tr key={key} className="hover:bg-gray-50">
+              <td className="px-4 py-2">
+                <div className="text-sm font-medium text-gray-900">{key}</div>
+                <div className="text-xs text-gray-500">{description}</div>
+              </td>
+              {catalog.roles.map(role => (
+                <td key={role} className="px-3 py-2 text-center">
+                  <input
+                    type="checkbox"
+                    aria-label={`${key} for ${role}`}
+                    checked={(drafts[role] || []).includes(key)}
+                    disabled={savingRole !== null || (role === 'super_admin' && key === 'system_admin')}
+                    onChange={() => togglePermission(role, key)}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr className="bg-gray-50">
+            <td className="px-4 py-3"></td>
+            {catalog.roles.map(role => (
+              <td key={role} className="px-3 py-3 text-center space-y-1">
+                <button
+                  onClick={() => handleSave(role)}
+                  disabled={savingRole !== null || !isDirty(role)}
+                  className="block w-full text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {savingRole === role ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => handleRestore(role)}
+                  disabled={savingRole !== null}
+                  className="block w-full text-xs text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                >
+                  Restore default
+                </button>
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RolePermissionPresets;
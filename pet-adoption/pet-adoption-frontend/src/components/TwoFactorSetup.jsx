@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Smartphone, Copy, Download, KeyRound, RefreshCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { setupTwoFactor, enableTwoFactor } from '../services/PostServicesTwoFactor';
+
+/**
+ * One-time list of backup codes with copy and download actions
+ */
+export const BackupCodesList = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Backup codes copied');
+    } catch {
+      toast.error('Could not copy backup codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = window.URL.createObjectURL(new Blob([`Pawsome Homes backup codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pawsome-homes-backup-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Each code works once if you lose access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-800">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex space-x-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Authenticator app enrollment: shows the secret and provisioning link,
+ * confirms a code, then shows the backup codes once.
+ * `token` is the setup token from login for roles that require 2FA;
+ * without it the stored session is used.
+ * onComplete receives the enable response (with user and tokens when a setup token was used).
+ */
+const TwoFactorSetup = ({ token, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const startSetup = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSetup(await setupTwoFactor(token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    startSetup();
+  }, [startSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      setResult(await enableTwoFactor(code.trim(), token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <h3 className="flex items-center text-lg font-semibold text-gray-800">
+          <KeyRound className="h-5 w-5 mr-2 text-green-600" />
+          Save your backup codes
+        </h3>
+        <BackupCodesList codes={result.backupCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 transition-colors"
+        >
+          I saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center text-sm text-gray-500 py-6">
+        <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+        Preparing two-factor setup...
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="space-y-4">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+        <button
+          type="button"
+          onClick={startSetup}
+          className="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 transition-colors"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <h3 className="flex items-center text-lg font-semibold text-gray-800">
+        <Smartphone className="h-5 w-5 mr-2 text-green-600" />
+        Set up your authenticator app
+      </h3>
+      <ol className="list-decimal list-inside space-y-2 text-sm text-gray-600">
+        <li>
+          Open an authenticator app (Google Authenticator, Authy, 1Password, ...) and add an account.
+        </li>
+        <li>
+          On this device,{' '}
+          <a href={setup.otpauthUrl} className="text-green-600 hover:underline">open the setup link</a>
+          , or enter this key manually:
+        </li>
+      </ol>
+      <p className="p-3 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-800 break-all select-all">
+        {setup.secret.match(/.{1,4}/g).join(' ')}
+      </p>
+      <p className="text-xs text-gray-500">
+        Account: {setup.accountName} · Issuer: {setup.issuer} · Time-based, 6 digits
+      </p>
+
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+          Enter the 6-digit code from the app
+        </label>
+        <input
+          id="twoFactorCode"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          className="block w-full px-3 py-3 border border-gray-300 rounded-lg tracking-widest text-center font-mono focus:outline-none focus:ring-2 focus:ring-green-500"
+          placeholder="123456"
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 bg-gray-100 text-gray-700 py-3 rounded-lg font-semibold hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || code.length !== 6}
+          className="flex-1 bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {submitting ? 'Verifying...' : 'Verify and Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,5 +1,8 @@
 import React, { createContext, useEffect, useState, useCallback } from 'react';
 import { toast } from 'react-toastify';
+import apiClient from '../services/apiClient';
+import { refreshAccessToken } from '../services/tokenRefresh';
+import { userHasPermission } from '../utils/permissions';
 
 export const AuthContext = createContext();
 
@@ -88,6 +91,8 @@ export const AuthProvider = ({ children }) => {
    */
   const logout = useCallback(async () => {
     try {
+      const refreshToken = localStorage.getItem('refreshToken');
+
       // Clear all stored auth data
       localStorage.removeItem('authToken');
       localStorage.removeItem('refreshToken');
@@ -99,12 +104,14 @@ export const AuthProvider = ({ children }) => {
       
       console.log('User logged out successfully');
       
-      // Optional: Call backend logout endpoint
-      // try {
-      //   await apiClient.post('/auth/logout');
-      // } catch (error) {
-      //   console.error('Backend logout failed:', error);
-      // }
+      // End the session on the server so the refresh token cannot be used again
+      if (refreshToken) {
+        try {
+          await apiClient.post('/auth/logout', { refreshToken });
+        } catch (error) {
+          console.error('Backend logout failed:', error);
+        }
+      }
       
     } catch (error) {
       console.error('Logout error:', error);
@@ -125,8 +132,16 @@ export const AuthProvider = ({ children }) => {
         return;
       }
 
-      // Decode and validate token
-      const decoded = decodeToken(token);
+      // Decode and validate token; an expired one is renewed with the refresh token
+      let decoded = decodeToken(token);
+      if (!decoded && localStorage.getItem('refreshToken')) {
+        try {
+          decoded = decodeToken(await refreshAccessToken());
+        } catch (error) {
+          console.error('Token refresh failed:', error);
+        }
+      }
+
       if (!decoded) {
         // Token is invalid or expired
         await logout();
@@ -176,6 +191,13 @@ export const AuthProvider = ({ children }) => {
     return hasRole('admin') || hasRole('super_admin');
   }, [hasRole]);
 
+  /**
+   * Check if user has a permission (from the role preset and individual grants)
+   */
+  const hasPermission = useCallback((permission) => {
+    return userHasPermission(user, permission);
+  }, [user]);
+
   // Initialize auth state on mount
   useEffect(() => {
     checkAuth();
@@ -194,6 +216,7 @@ export const AuthProvider = ({ children }) => {
     getToken,
     hasRole,
     isAdmin,
+    hasPermission,
     checkAuth,
     
     // Computed values
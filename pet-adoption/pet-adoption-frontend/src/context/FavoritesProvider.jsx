@@ -0,0 +1,91 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import { AuthContext } from './AuthProvider';
+import { getFavoriteIds, addFavorite, removeFavorite } from '../services/PostServicesFavorites';
+
+export const FavoritesContext = createContext({
+  favoriteIds: new Set(),
+  isFavorite: () => false,
+  toggleFavorite: async () => false,
+  canFavorite: false,
+  loaded: false
+});
+
+/**
+ * Keeps the signed-in user's favorite pet IDs so every heart toggle
+ * (cards, details page, favorites page) shows the same state.
+ */
+export const FavoritesProvider = ({ children }) => {
+  const { isAuthenticated } = useContext(AuthContext);
+  const [favoriteIds, setFavoriteIds] = useState(new Set());
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    setFavoriteIds(new Set());
+    setLoaded(false);
+    if (!isAuthenticated) {
+      return;
+    }
+
+    let cancelled = false;
+    getFavoriteIds()
+      .then(ids => {
+        if (!cancelled) setFavoriteIds(new Set(ids.map(String)));
+      })
+      .catch(error => console.error('Could not load favorites:', error.message))
+      .finally(() => {
+        if (!cancelled) setLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  const isFavorite = useCallback((petId) => favoriteIds.has(String(petId)), [favoriteIds]);
+
+  /**
+   * Optimistically toggle a favorite, rolling back if the request fails
+   * @returns {Promise<boolean>} New favorite state
+   */
+  const toggleFavorite = useCallback(async (petId) => {
+    const id = String(petId);
+    const wasFavorite = favoriteIds.has(id);
+
+    const update = (favorite) => setFavoriteIds(previous => {
+      const next = new Set(previous);
+      if (favorite) next.add(id); else next.delete(id);
+      return next;
+    });
+
+    update(!wasFavorite);
+    try {
+      if (wasFavorite) {
+        await removeFavorite(id);
+      } else {
+        await addFavorite(id);
+      }
+      return !wasFavorite;
+    } catch (error) {
+      update(wasFavorite);
+      toast.error(error.message);
+      return wasFavorite;
+    }
+  }, [favoriteIds]);
+
+  const value = useMemo(() => ({
+    favoriteIds,
+    isFavorite,
+    toggleFavorite,
+    canFavorite: isAuthenticated,
+    loaded
+  }), [favoriteIds, isFavorite, toggleFavorite, isAuthenticated, loaded]);
+
+  return (
+    <FavoritesContext.Provider value={value}>
+      {children}
+    </FavoritesContext.Provider>
+  );
+};
+
+export default FavoritesProvider;
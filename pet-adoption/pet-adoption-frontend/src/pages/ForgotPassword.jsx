@@ -1,36 +1,23 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../services/PostServicesAuth';
 
 const ForgotPassword = () => {
-  const [formData, setFormData] = useState({ email: '', newPassword: '', confirmPassword: '' });
+  const [email, setEmail] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
 
-    if (formData.newPassword !== formData.confirmPassword) {
-      setError("Passwords do not match");
-      setLoading(false);
-      return;
-    }
-
     try {
-      const response = await axios.patch('/api/forgot-password', {
-        email: formData.email,
-        newPassword: formData.newPassword, // Use newPassword here
-      });
-
-      if (response.data.success) {
-        alert('Password reset successful');
-      } else {
-        alert('Password reset failed');
-      }
+      const result = await requestPasswordReset(email.trim());
+      setSent(result.message);
     } catch (err) {
-      console.error(err);
-      setError('Error resetting password');
+      setError(err.message);
     } finally {
       setLoading(false);
     }
@@ -40,57 +27,42 @@ const ForgotPassword = () => {
     <div className="max-w-3xl mx-auto p-8 bg-white shadow-lg rounded-lg mt-10">
       <h1 className="text-3xl font-bold text-center mb-6 text-green-700">Forgot Password</h1>
 
-      <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Email Field */}
-        <div>
-          <label className="block text-lg font-semibold text-gray-700">Email:</label>
-          <input
-            type="email"
-            placeholder="Enter your email"
-            className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 transition"
-            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-            required
-          />
+      {sent ? (
+        <div className="text-center space-y-4">
+          <p className="text-gray-700">{sent}</p>
+          <Link to="/login" className="text-green-700 font-semibold hover:underline">Back to login</Link>
         </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Email Field */}
+          <div>
+            <label className="block text-lg font-semibold text-gray-700">Email:</label>
+            <input
+              type="email"
+              placeholder="Enter your email"
+              className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 transition"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+            <p className="text-sm text-gray-500 mt-2">We will email you a link to choose a new password.</p>
+          </div>
 
-        {/* New Password Field */}
-        <div>
-          <label className="block text-lg font-semibold text-gray-700">New Password:</label>
-          <input
-            type="password"
-            placeholder="Enter new password"
-            className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 transition"
-            onChange={(e) => setFormData({ ...formData, newPassword: e.target.value })}
-            required
-          />
-        </div>
+          {/* Error Message */}
+          {error && <p className="text-red-500 text-center">{error}</p>}
 
-        {/* Confirm Password Field */}
-        <div>
-          <label className="block text-lg font-semibold text-gray-700">Confirm Password:</label>
-          <input
-            type="password"
-            placeholder="Confirm new password"
-            className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 transition"
-            onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
-            required
-          />
-        </div>
-
-        {/* Error Message */}
-        {error && <p className="text-red-500 text-center">{error}</p>}
-
-        {/* Submit Button */}
-        <div className="text-center">
-          <button
-            type="submit"
-            className="px-6 py-3 bg-green-600 text-white rounded-lg font-semibold shadow-lg hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 transition duration-300"
-            disabled={loading}
-          >
-            {loading ? 'Resetting...' : 'Reset Password'}
-          </button>
-        </div>
-      </form>
+          {/* Submit Button */}
+          <div className="text-center">
+            <button
+              type="submit"
+              className="px-6 py-3 bg-green-600 text-white rounded-lg font-semibold shadow-lg hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 transition duration-300"
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </div>
+        </form>
+      )}
     </div>
   );
 };
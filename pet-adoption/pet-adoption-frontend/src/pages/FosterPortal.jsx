@@ -0,0 +1,561 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import { HandHeart, Camera, Clock, AlertTriangle, CheckCircle, Send } from 'lucide-react';
+import {
+  applyToFoster, getMyFosterApplications, withdrawFosterApplication,
+  getMyPlacements, submitCheckIn, FOSTER_WELLBEING_LEVELS
+} from '../services/PostServicesFoster';
+import { getPetImageUrl, resolveImageUrl } from '../utils/petImages';
+
+const HOUSING_TYPES = ['house', 'apartment', 'condo', 'townhouse', 'farm', 'other'];
+const PET_TYPES = ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'];
+const MAX_PHOTOS = 5;
+
+const CHECK_IN_STATUS_STYLES = {
+  submitted: { label: 'Waiting for review', className: 'bg-blue-100 text-blue-800' },
+  reviewed: { label: 'Reviewed', className: 'bg-green-100 text-green-800' },
+  needs_follow_up: { label: 'Follow-up needed', className: 'bg-orange-100 text-orange-800' }
+};
+
+const labelize = (value) => value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const EMPTY_APPLICATION = {
+  housingType: '',
+  hasYard: false,
+  hasChildren: false,
+  otherPets: '',
+  preferredPetTypes: [],
+  maxPets: 1,
+  canHandleMedicalNeeds: false,
+  availableFrom: '',
+  experience: '',
+  motivation: ''
+};
+
+/**
+ * Application form for users who are not foster parents yet
+ */
+const FosterApplicationForm = ({ onSubmitted }) => {
+  const [form, setForm] = useState(EMPTY_APPLICATION);
+  const [submitting, setSubmitting] = useState(false);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const togglePetType = (type) => {
+    update('preferredPetTypes', form.preferredPetTypes.includes(type)
+      ? form.preferredPetTypes.filter(item => item !== type)
+      : [...form.preferredPetTypes, type]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.housingType) {
+      toast.error('Please choose your housing type');
+      return;
+    }
+    if (form.motivation.trim().length < 20) {
+      toast.error('Please write at least 20 characters about why you would like to foster');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await applyToFoster({
+        ...form,
+        maxPets: Number(form.maxPets),
+        availableFrom: form.availableFrom || undefined
+      });
+      toast.success('Thank you! Your foster application has been submitted.');
+      onSubmitted();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-8 space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Become a Foster Parent</h2>
+        <p className="text-gray-600">
+          Foster parents give pets a temporary home while they wait for adoption or recover.
+          We cover food and vet care; you share your home and send us regular updates.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Housing Type *</label>
+          <select
+            value={form.housingType}
+            onChange={(e) => update('housingType', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          >
+            <option value="">Select...</option>
+            {HOUSING_TYPES.map(type => <option key={type} value={type}>{labelize(type)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Pets at Once</label>
+          <input
+            type="number"
+            min="1"
+            max="10"
+            value={form.maxPets}
+            onChange={(e) => update('maxPets', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Available From</label>
+          <input
+            type="date"
+            value={form.availableFrom}
+            onChange={(e) => update('availableFrom', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Other Pets at Home</label>
+          <input
+            type="text"
+            value={form.otherPets}
+            onChange={(e) => update('otherPets', e.target.value)}
+            placeholder="e.g. one friendly cat"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-6">
+        {[
+          ['hasYard', 'I have a yard'],
+          ['hasChildren', 'Children live with me'],
+          ['canHandleMedicalNeeds', 'I can care for pets with medical needs']
+        ].map(([field, label]) => (
+          <label key={field} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form[field]}
+              onChange={(e) => update(field, e.target.checked)}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Pets I Can Foster</span>
+        <div className="flex flex-wrap gap-2">
+          {PET_TYPES.map(type => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => togglePetType(type)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                form.preferredPetTypes.includes(type)
+                  ? 'bg-green-600 text-white border-green-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:border-green-500'
+              }`}
+            >
+              {labelize(type)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Experience with Animals</label>
+        <textarea
+          value={form.experience}
+          onChange={(e) => update('experience', e.target.value)}
+          rows={3}
+          maxLength={2000}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Why Would You Like to Foster? *</label>
+        <textarea
+          value={form.motivation}
+          onChange={(e) => update('motivation', e.target.value)}
+          rows={4}
+          maxLength={2000}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+      >
+        {submitting ? 'Submitting...' : 'Submit Application'}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Check-in report form for one foster pet
+ */
+const CheckInForm = ({ placement, onSubmitted }) => {
+  const [report, setReport] = useState({ wellbeing: 'good', notes: '', eating: '', behavior: '', health: '' });
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const update = (field, value) => setReport(prev => ({ ...prev, [field]: value }));
+
+  const handlePhotos = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > MAX_PHOTOS) {
+      toast.error(`You can attach at most ${MAX_PHOTOS} photos`);
+      e.target.value = '';
+      return;
+    }
+    setPhotos(files);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!report.notes.trim()) {
+      toast.error('Please add a few words about how things are going');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await submitCheckIn(placement._id, report, photos);
+      toast.success('Check-in sent. Thank you for the update!');
+      setReport({ wellbeing: 'good', notes: '', eating: '', behavior: '', health: '' });
+      setPhotos([]);
+      e.target.reset();
+      onSubmitted();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">How is {placement.pet?.name || 'your foster pet'} doing? *</label>
+          <select
+            value={report.wellbeing}
+            onChange={(e) => update('wellbeing', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          >
+            {FOSTER_WELLBEING_LEVELS.map(level => <option key={level} value={level}>{labelize(level)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Eating</label>
+          <input
+            type="text"
+            value={report.eating}
+            onChange={(e) => update('eating', e.target.value)}
+            maxLength={300}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Behavior</label>
+          <textarea
+            value={report.behavior}
+            onChange={(e) => update('behavior', e.target.value)}
+            rows={2}
+            maxLength={1000}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Health</label>
+          <textarea
+            value={report.health}
+            onChange={(e) => update('health', e.target.value)}
+            rows={2}
+            maxLength={1000}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Notes *</label>
+        <textarea
+          value={report.notes}
+          onChange={(e) => update('notes', e.target.value)}
+          rows={3}
+          maxLength={2000}
+          placeholder="Anything our team should know..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+          <Camera className="h-5 w-5 mr-2 text-green-600" />
+          <span className="mr-3">Photos (up to {MAX_PHOTOS})</span>
+          <input type="file" accept="image/jpeg,image/png,image/webp,image/gif" multiple onChange={handlePhotos} className="text-sm" />
+        </label>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="flex items-center px-5 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          <Send className="h-4 w-4 mr-2" />
+          {submitting ? 'Sending...' : 'Send Check-in'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * One foster pet: placement details, the check-in form and recent reports
+ */
+const PlacementCard = ({ placement, onCheckIn }) => {
+  const isActive = placement.status === 'active';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <div className="flex flex-wrap items-start gap-6">
+        <img
+          src={getPetImageUrl(placement.pet, 'thumbnail')}
+          alt={placement.pet?.name || 'Foster pet'}
+          className="w-28 h-28 rounded-xl object-cover"
+        />
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-3">
+            <h3 className="text-xl font-semibold text-gray-800">
+              {placement.pet ? <Link to={`/pets/${placement.pet._id}`} className="hover:text-green-700">{placement.pet.name}</Link> : 'Foster pet'}
+            </h3>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+              {isActive ? 'With you' : `Ended ${formatDate(placement.endDate)}`}
+            </span>
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            {[placement.pet?.breed, placement.pet?.type && labelize(placement.pet.type)].filter(Boolean).join(' · ')}
+          </p>
+          <p className="text-sm text-gray-600 mt-1">
+            Since {formatDate(placement.startDate)}
+            {placement.expectedEndDate ? ` · planned until ${formatDate(placement.expectedEndDate)}` : ''}
+          </p>
+          {isActive && placement.nextCheckInDue && (
+            <p className={`flex items-center text-sm mt-2 ${placement.isCheckInOverdue ? 'text-orange-700 font-medium' : 'text-gray-600'}`}>
+              {placement.isCheckInOverdue ? <AlertTriangle className="h-4 w-4 mr-1" /> : <Clock className="h-4 w-4 mr-1" />}
+              {placement.isCheckInOverdue ? 'Check-in overdue since' : 'Next check-in due'} {formatDate(placement.nextCheckInDue)}
+            </p>
+          )}
+          {placement.notes && (
+            <p className="text-sm text-gray-700 mt-3 bg-gray-50 rounded-lg p-3">{placement.notes}</p>
+          )}
+        </div>
+      </div>
+
+      {isActive && (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <CheckInForm placement={placement} onSubmitted={onCheckIn} />
+        </div>
+      )}
+
+      {placement.recentCheckIns?.length > 0 && (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <h4 className="text-sm font-semibold text-gray-700 mb-3">Recent Check-ins</h4>
+          <div className="space-y-3">
+            {placement.recentCheckIns.map(checkIn => {
+              const status = CHECK_IN_STATUS_STYLES[checkIn.status] || CHECK_IN_STATUS_STYLES.submitted;
+              return (
+                <div key={checkIn._id} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="text-sm text-gray-800">
+                      {formatDate(checkIn.createdAt)} · {labelize(checkIn.wellbeing)}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">{checkIn.notes}</p>
+                  {checkIn.status === 'needs_follow_up' && checkIn.staffNotes && (
+                    <p className="text-sm text-orange-800 bg-orange-50 rounded p-2 mt-2">{checkIn.staffNotes}</p>
+                  )}
+                  {checkIn.photos?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {checkIn.photos.map(photo => (
+                        <a key={photo._id || photo.url} href={resolveImageUrl(photo.url)} target="_blank" rel="noopener noreferrer">
+                          <img src={resolveImageUrl(photo.thumbnailUrl || photo.url)} alt="Check-in" className="w-16 h-16 rounded object-cover" />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * "Foster Portal" page: apply to foster, or see current foster pets and send
+ * the check-in reports staff review.
+ */
+const FosterPortal = () => {
+  const [applications, setApplications] = useState([]);
+  const [placements, setPlacements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPortal = useCallback(async () => {
+    try {
+      setError(null);
+      const [myApplications, myPlacements] = await Promise.all([getMyFosterApplications(), getMyPlacements()]);
+      setApplications(myApplications);
+      setPlacements(myPlacements);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPortal();
+  }, [fetchPortal]);
+
+  const handleWithdraw = async (application) => {
+    if (!window.confirm('Withdraw your foster application?')) return;
+    try {
+      await withdrawFosterApplication(application._id);
+      toast.success('Your foster application has been withdrawn');
+      fetchPortal();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-2">Loading Your Foster Portal</h2>
+        </div>
+      </div>
+    );
+  }
+
+  const latestApplication = applications[0];
+  const isApproved = applications.some(application => application.status === 'approved');
+  const activePlacements = placements.filter(placement => placement.status === 'active');
+  const pastPlacements = placements.filter(placement => placement.status !== 'active');
+  const canApply = !isApproved && placements.length === 0 && latestApplication?.status !== 'pending';
+
+  return (
+    <>
+      <Helmet>
+        <title>Foster Portal - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-16">
+        <div className="max-w-5xl mx-auto px-6">
+
+          {/* Header */}
+          <div className="text-center mb-12">
+            <h1 className="flex items-center justify-center text-4xl font-bold text-gray-800 mb-4">
+              <HandHeart className="h-10 w-10 mr-3 text-green-600" />
+              Foster Portal
+            </h1>
+            <p className="text-xl text-gray-600">
+              {isApproved || placements.length > 0
+                ? `${activePlacements.length} ${activePlacements.length === 1 ? 'pet' : 'pets'} in your care`
+                : 'Open your home to a pet in need'}
+            </p>
+          </div>
+
+          {error ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-4xl text-red-500 mb-4">⚠️</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Unable to Load Your Foster Portal</h2>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <button
+                onClick={fetchPortal}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                🔄 Try Again
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-8">
+
+              {/* Application status */}
+              {latestApplication?.status === 'pending' && (
+                <div className="bg-white rounded-2xl shadow-xl p-6 flex flex-wrap items-center justify-between gap-4">
+                  <div className="flex items-center">
+                    <Clock className="h-6 w-6 mr-3 text-blue-600" />
+                    <div>
+                      <h2 className="text-lg font-semibold text-gray-800">Application under review</h2>
+                      <p className="text-sm text-gray-600">Submitted {formatDate(latestApplication.createdAt)}. We will let you know once our team has reviewed it.</p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleWithdraw(latestApplication)}
+                    className="px-4 py-2 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50"
+                  >
+                    Withdraw
+                  </button>
+                </div>
+              )}
+
+              {latestApplication?.status === 'rejected' && canApply && (
+                <div className="bg-white rounded-2xl shadow-xl p-6">
+                  <h2 className="text-lg font-semibold text-gray-800">Your previous application was not approved</h2>
+                  {latestApplication.reviewNotes && <p className="text-sm text-gray-600 mt-1">{latestApplication.reviewNotes}</p>}
+                  <p className="text-sm text-gray-600 mt-1">You are welcome to apply again below.</p>
+                </div>
+              )}
+
+              {canApply && <FosterApplicationForm onSubmitted={fetchPortal} />}
+
+              {/* Foster pets */}
+              {isApproved && activePlacements.length === 0 && (
+                <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+                  <CheckCircle className="h-12 w-12 text-green-600 mx-auto mb-4" />
+                  <h2 className="text-2xl font-bold text-gray-800 mb-4">You&apos;re an approved foster parent</h2>
+                  <p className="text-gray-600">No pets are staying with you right now. We will reach out when a pet needs a foster home.</p>
+                </div>
+              )}
+
+              {activePlacements.map(placement => (
+                <PlacementCard key={placement._id} placement={placement} onCheckIn={fetchPortal} />
+              ))}
+
+              {pastPlacements.length > 0 && (
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">Past Foster Pets</h2>
+                  <div className="space-y-6">
+                    {pastPlacements.map(placement => (
+                      <PlacementCard key={placement._id} placement={placement} onCheckIn={fetchPortal} />
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default FosterPortal;
@@ -391,13 +391,15 @@ const HomePage = () => {
       </section>
 
       {/* Map Section - Updated with new unified component */}
-      <LocationServicesMap 
-        initialType="tierheim"
-        height="h-72"
-        showTypeSelector={false}
-        showStats={true}
-        className="bg-gray-700"
-      />
+      <div id="shelter-map">
+        <LocationServicesMap 
+          initialType="tierheim"
+          height="h-72"
+          showTypeSelector={false}
+          showStats={true}
+          className="bg-gray-700"
+        />
+      </div>
 
       {/* Enhanced Nutrition Section */}
       <section className="py-16 text-white text-center">
@@ -4,7 +4,9 @@ import { Helmet } from 'react-helmet-async';
 import { toast } from 'react-toastify';
 import { AuthContext } from '../context/AuthProvider';
 import apiClient from '../services/apiClient';
-import { Eye, EyeOff, Mail, Lock, LogIn } from 'lucide-react';
+import { verifyTwoFactorLogin } from '../services/PostServicesTwoFactor';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import { Eye, EyeOff, Mail, Lock, LogIn, ShieldCheck } from 'lucide-react';
 
 /**
  * Enterprise-grade Login Component
@@ -19,6 +21,12 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
 
+  // Two-factor second step
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [setupToken, setSetupToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+
   const { login } = useContext(AuthContext);
   const navigate = useNavigate();
 
@@ -63,6 +71,59 @@ const Login = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Store the session and redirect based on user role
+   */
+  const finishLogin = ({ user, tokens }) => {
+    login(user, tokens);
+
+    toast.success(`Welcome back, ${user.username || user.email}!`);
+
+    if (user.role === 'admin' || user.role === 'Admin') {
+      navigate('/admin');
+    } else {
+      navigate('/');
+    }
+  };
+
+  /**
+   * Back to the email and password form
+   */
+  const resetTwoFactor = () => {
+    setChallengeToken(null);
+    setSetupToken(null);
+    setTwoFactorCode('');
+    setUseBackupCode(false);
+  };
+
+  /**
+   * Handle the authenticator or backup code step
+   */
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    if (!twoFactorCode.trim()) return;
+
+    setLoading(true);
+    try {
+      const data = await verifyTwoFactorLogin(challengeToken, useBackupCode
+        ? { backupCode: twoFactorCode.trim() }
+        : { code: twoFactorCode.trim() });
+
+      if (data.backupCodesRemaining !== undefined) {
+        toast.info(`Backup code used. ${data.backupCodesRemaining} left.`);
+      }
+      finishLogin(data);
+    } catch (error) {
+      toast.error(error.message);
+      setTwoFactorCode('');
+      if (/expired/i.test(error.message)) {
+        resetTwoFactor();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Handle form submission
    */
@@ -85,20 +146,13 @@ const Login = () => {
       });
 
       // Handle successful login (matching your backend response format)
-      if (response.data.success) {
-        const { user, tokens } = response.data;
-        
-        // Use your AuthContext login function
-        login(user, tokens);
-        
-        toast.success(`Welcome back, ${user.username || user.email}!`);
-        
-        // Redirect based on user role
-        if (user.role === 'admin' || user.role === 'Admin') {
-          navigate('/admin');
-        } else {
-          navigate('/');
-        }
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+      } else if (response.data.twoFactorSetupRequired) {
+        toast.info(response.data.message);
+        setSetupToken(response.data.setupToken);
+      } else if (response.data.success) {
+        finishLogin(response.data);
       } else {
         throw new Error(response.data.message || 'Login failed');
       }
@@ -145,139 +199,202 @@ const Login = () => {
             </p>
           </div>
 
-          {/* Login Form */}
-          <div className="bg-white shadow-xl rounded-lg p-8">
-            <form onSubmit={handleSubmit} noValidate className="space-y-6">
-              {/* Email Field */}
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                  Email Address *
-                </label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Mail className="h-5 w-5 text-gray-400" />
-                  </div>
-                  <input
-                    id="email"
-                    name="email"
-                    type="email"
-                    autoComplete="email"
-                    required
-                    value={formData.email}
-                    onChange={handleChange}
-                    className={`block w-full pl-10 pr-3 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-colors ${
-                      errors.email ? 'border-red-300 bg-red-50' : 'border-gray-300'
-                    }`}
-                    placeholder="your@email.com"
-                    aria-describedby={errors.email ? 'email-error' : undefined}
-                  />
-                </div>
-                {errors.email && (
-                  <p id="email-error" className="mt-1 text-sm text-red-600" role="alert">
-                    {errors.email}
+          {/* Two-factor enrollment required by the user's role */}
+          {setupToken ? (
+            <div className="bg-white shadow-xl rounded-lg p-8">
+              <p className="text-sm text-gray-600 mb-6">
+                Your account can manage pets and users, so it must be protected with two-factor authentication.
+              </p>
+              <TwoFactorSetup token={setupToken} onComplete={finishLogin} onCancel={resetTwoFactor} />
+            </div>
+          ) : challengeToken ? (
+            <div className="bg-white shadow-xl rounded-lg p-8">
+              <form onSubmit={handleTwoFactorSubmit} noValidate className="space-y-6">
+                <div className="text-center">
+                  <ShieldCheck className="h-10 w-10 text-green-600 mx-auto mb-2" />
+                  <h2 className="text-lg font-semibold text-gray-800">Two-Factor Verification</h2>
+                  <p className="text-sm text-gray-600">
+                    {useBackupCode
+                      ? 'Enter one of your backup codes'
+                      : 'Enter the 6-digit code from your authenticator app'}
                   </p>
-                )}
-              </div>
-
-              {/* Password Field */}
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                  Password *
-                </label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Lock className="h-5 w-5 text-gray-400" />
-                  </div>
-                  <input
-                    id="password"
-                    name="password"
-                    type={showPassword ? 'text' : 'password'}
-                    autoComplete="current-password"
-                    required
-                    value={formData.password}
-                    onChange={handleChange}
-                    className={`block w-full pl-10 pr-10 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-colors ${
-                      errors.password ? 'border-red-300 bg-red-50' : 'border-gray-300'
-                    }`}
-                    placeholder="Enter your password"
-                    aria-describedby={errors.password ? 'password-error' : undefined}
-                  />
+                </div>
+
+                <input
+                  type="text"
+                  inputMode={useBackupCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  maxLength={useBackupCode ? 20 : 6}
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(useBackupCode ? e.target.value : e.target.value.replace(/\D/g, ''))}
+                  className="block w-full px-3 py-3 border border-gray-300 rounded-lg tracking-widest text-center font-mono focus:outline-none focus:ring-2 focus:ring-green-500"
+                  placeholder={useBackupCode ? 'xxxxx-xxxxx' : '123456'}
+                  aria-label={useBackupCode ? 'Backup code' : 'Authenticator code'}
+                />
+
+                <button
+                  type="submit"
+                  disabled={loading || !twoFactorCode.trim()}
+                  className="w-full flex justify-center items-center py-3 px-4 rounded-lg shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </button>
+
+                <div className="flex justify-between text-sm">
                   <button
                     type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowPassword(!showPassword)}
-                    aria-label={showPassword ? 'Hide password' : 'Show password'}
+                    onClick={() => {
+                      setUseBackupCode(!useBackupCode);
+                      setTwoFactorCode('');
+                    }}
+                    className="text-green-600 hover:text-green-500"
                   >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                    ) : (
-                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                    )}
+                    {useBackupCode ? 'Use authenticator code' : 'Use a backup code'}
+                  </button>
+                  <button type="button" onClick={resetTwoFactor} className="text-gray-500 hover:text-gray-700">
+                    Back to sign in
                   </button>
                 </div>
-                {errors.password && (
-                  <p id="password-error" className="mt-1 text-sm text-red-600" role="alert">
-                    {errors.password}
-                  </p>
-                )}
-              </div>
-
-              {/* Forgot Password Link */}
-              <div className="text-right">
-                <Link 
-                  to="/forgot-password" 
-                  className="text-sm text-green-600 hover:text-green-500 transition-colors"
-                >
-                  Forgot your password?
-                </Link>
-              </div>
-
-              {/* Submit Button */}
-              <button
-                type="submit"
-                disabled={loading}
-                className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white transition-colors duration-200 ${
-                  loading
-                    ? 'bg-gray-400 cursor-not-allowed'
-                    : 'bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500'
-                }`}
-              >
-                {loading ? (
-                  <>
-                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Signing In...
-                  </>
-                ) : (
-                  <>
-                    <LogIn className="w-5 h-5 mr-2" />
-                    Sign In
-                  </>
-                )}
-              </button>
-
-              {/* Register Link */}
-              <div className="text-center">
-                <p className="text-sm text-gray-600">
-                  Don't have an account?{' '}
-                  <Link to="/register" className="font-medium text-green-600 hover:text-green-500 transition-colors">
-                    Create one here
+              </form>
+            </div>
+          ) : (
+          <>
+            {/* Login Form */}
+            <div className="bg-white shadow-xl rounded-lg p-8">
+              <form onSubmit={handleSubmit} noValidate className="space-y-6">
+                {/* Email Field */}
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                    Email Address *
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={formData.email}
+                      onChange={handleChange}
+                      className={`block w-full pl-10 pr-3 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-colors ${
+                        errors.email ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                      }`}
+                      placeholder="your@email.com"
+                      aria-describedby={errors.email ? 'email-error' : undefined}
+                    />
+                  </div>
+                  {errors.email && (
+                    <p id="email-error" className="mt-1 text-sm text-red-600" role="alert">
+                      {errors.email}
+                    </p>
+                  )}
+                </div>
+
+                {/* Password Field */}
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                    Password *
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      value={formData.password}
+                      onChange={handleChange}
+                      className={`block w-full pl-10 pr-10 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-colors ${
+                        errors.password ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                      }`}
+                      placeholder="Enter your password"
+                      aria-describedby={errors.password ? 'password-error' : undefined}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                      aria-label={showPassword ? 'Hide password' : 'Show password'}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p id="password-error" className="mt-1 text-sm text-red-600" role="alert">
+                      {errors.password}
+                    </p>
+                  )}
+                </div>
+
+                {/* Forgot Password Link */}
+                <div className="text-right">
+                  <Link 
+                    to="/forgot-password" 
+                    className="text-sm text-green-600 hover:text-green-500 transition-colors"
+                  >
+                    Forgot your password?
                   </Link>
-                </p>
-              </div>
-            </form>
-          </div>
+                </div>
 
-          {/* Demo Credentials (remove in production) */}
-          <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-            <h3 className="text-sm font-medium text-blue-800 mb-2">Demo Credentials</h3>
-            <p className="text-xs text-blue-600">
-              <strong>Admin:</strong> admin@example.com / Admin123!<br />
-              <strong>User:</strong> user@example.com / User123!
-            </p>
-          </div>
+                {/* Submit Button */}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white transition-colors duration-200 ${
+                    loading
+                      ? 'bg-gray-400 cursor-not-allowed'
+                      : 'bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500'
+                  }`}
+                >
+                  {loading ? (
+                    <>
+                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Signing In...
+                    </>
+                  ) : (
+                    <>
+                      <LogIn className="w-5 h-5 mr-2" />
+                      Sign In
+                    </>
+                  )}
+                </button>
+
+                {/* Register Link */}
+                <div className="text-center">
+                  <p className="text-sm text-gray-600">
+                    Don't have an account?{' '}
+                    <Link to="/register" className="font-medium text-green-600 hover:text-green-500 transition-colors">
+                      Create one here
+                    </Link>
+                  </p>
+                </div>
+              </form>
+            </div>
+
+            {/* Demo Credentials (remove in production) */}
+            <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
+              <h3 className="text-sm font-medium text-blue-800 mb-2">Demo Credentials</h3>
+              <p className="text-xs text-blue-600">
+                <strong>Admin:</strong> admin@example.com / Admin123!<br />
+                <strong>User:</strong> user@example.com / User123!
+              </p>
+            </div>
+          </>
+          )}
         </div>
       </div>
     </>
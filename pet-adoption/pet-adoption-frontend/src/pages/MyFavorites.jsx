@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import PetCard from '../components/PetCard';
+import { FavoritesContext } from '../context/FavoritesProvider';
+import { getFavorites } from '../services/PostServicesFavorites';
+
+/**
+ * "My Favorites" page: the signed-in user's saved pets, newest first.
+ * Un-hearting a card removes it from the list right away.
+ */
+const MyFavorites = () => {
+  const { isFavorite, loaded } = useContext(FavoritesContext);
+  const [favorites, setFavorites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [hideAdopted, setHideAdopted] = useState(false);
+
+  const fetchFavorites = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setFavorites(await getFavorites());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFavorites();
+  }, [fetchFavorites]);
+
+  const visibleFavorites = favorites
+    .filter(({ pet }) => !loaded || isFavorite(pet._id))
+    .filter(({ pet }) => !hideAdopted || pet.status !== 'adopted');
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-2">Loading Your Favorites</h2>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>My Favorites - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-16">
+        <div className="max-w-7xl mx-auto px-6">
+
+          {/* Header */}
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-800 mb-4">❤️ My Favorites</h1>
+            <p className="text-xl text-gray-600">
+              {visibleFavorites.length} saved {visibleFavorites.length === 1 ? 'pet' : 'pets'}
+            </p>
+          </div>
+
+          {error ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-4xl text-red-500 mb-4">⚠️</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Unable to Load Favorites</h2>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <button
+                onClick={fetchFavorites}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                🔄 Try Again
+              </button>
+            </div>
+          ) : favorites.length === 0 ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-5xl mb-4">🤍</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">No favorites yet</h2>
+              <p className="text-gray-600 mb-6">Tap the heart on any pet to save it here.</p>
+              <Link
+                to="/pet-list"
+                className="inline-block bg-green-600 text-white px-6 py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                Browse Pets
+              </Link>
+            </div>
+          ) : (
+            <>
+              <div className="flex justify-end mb-6">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={hideAdopted}
+                    onChange={(e) => setHideAdopted(e.target.checked)}
+                    className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                  />
+                  <span>Hide adopted pets</span>
+                </label>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                {visibleFavorites.map(({ pet }) => (
+                  <PetCard key={pet._id} pet={pet} />
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default MyFavorites;
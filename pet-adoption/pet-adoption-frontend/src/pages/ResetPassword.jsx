@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { resetPassword } from '../services/PostServicesAuth';
+
+// Same rule as the server
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/;
+
+/**
+ * Landing page of the link in the password reset email
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This link is missing its token. Please request a new one.');
+  const [done, setDone] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newPassword.length < 8 || !PASSWORD_PATTERN.test(formData.newPassword)) {
+      setError('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character');
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const result = await resetPassword(token, formData.newPassword);
+      setDone(result.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Reset Password - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center px-6">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+          <h1 className="text-2xl font-bold text-gray-800 mb-6 text-center">Choose a new password</h1>
+
+          {done ? (
+            <div className="text-center">
+              <p className="text-gray-600 mb-6">{done}</p>
+              <Link
+                to="/login"
+                className="inline-block w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                Log In
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <input
+                type="password"
+                placeholder="New password"
+                autoComplete="new-password"
+                value={formData.newPassword}
+                onChange={(e) => setFormData({ ...formData, newPassword: e.target.value })}
+                disabled={!token}
+                required
+                className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+              <input
+                type="password"
+                placeholder="Confirm new password"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
+                onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                disabled={!token}
+                required
+                className="w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+
+              {error && <p className="text-red-500 text-sm text-center">{error}</p>}
+
+              <button
+                type="submit"
+                disabled={loading || !token}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : 'Reset Password'}
+              </button>
+              {!token && (
+                <Link to="/forgot-password" className="block text-center text-sm text-green-700 hover:underline">
+                  Request a new reset link
+                </Link>
+              )}
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import { Bell, BellOff, Trash2, Search, Mail } from 'lucide-react';
+import PetCard from '../components/PetCard';
+import {
+  getSavedSearches, updateSavedSearch, deleteSavedSearch, getSavedSearchMatches,
+  getAlertPreferences, updateAlertPreferences
+} from '../services/PostServicesSavedSearches';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Human readable summary of a saved search's filters
+ * @param {Object} filters - { type, breed, size, gender, location, ageMin, ageMax }
+ * @returns {string[]} Filter labels
+ */
+const describeFilters = (filters = {}) => {
+  const labels = [];
+  if (filters.type) labels.push(capitalize(filters.type));
+  if (filters.breed) labels.push(`Breed: ${filters.breed}`);
+  if (filters.size) labels.push(capitalize(filters.size));
+  if (filters.gender) labels.push(capitalize(filters.gender));
+  if (filters.location) labels.push(`📍 ${filters.location}`);
+
+  const hasMin = filters.ageMin !== undefined && filters.ageMin !== null;
+  const hasMax = filters.ageMax !== undefined && filters.ageMax !== null;
+  if (hasMin && hasMax) labels.push(`${filters.ageMin}-${filters.ageMax} years`);
+  else if (hasMin) labels.push(`${filters.ageMin}+ years`);
+  else if (hasMax) labels.push(`Up to ${filters.ageMax} years`);
+
+  return labels;
+};
+
+/**
+ * "Saved Searches" page: the signed-in user's saved PetList filters,
+ * their alert switches and how match emails are delivered.
+ */
+const SavedSearches = () => {
+  const [searches, setSearches] = useState([]);
+  const [limit, setLimit] = useState(null);
+  const [preferences, setPreferences] = useState({ emailAlerts: true, frequency: 'instant' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openSearchId, setOpenSearchId] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [matchesLoading, setMatchesLoading] = useState(false);
+
+  const fetchSearches = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [result, alertPreferences] = await Promise.all([getSavedSearches(), getAlertPreferences()]);
+      setSearches(result.searches);
+      setLimit(result.limit);
+      setPreferences(alertPreferences);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSearches();
+  }, [fetchSearches]);
+
+  const handleToggleAlerts = async (search) => {
+    try {
+      const updated = await updateSavedSearch(search._id, { alertsEnabled: !search.alertsEnabled });
+      setSearches(prev => prev.map(item => (item._id === search._id ? { ...item, ...updated } : item)));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    try {
+      await deleteSavedSearch(search._id);
+      setSearches(prev => prev.filter(item => item._id !== search._id));
+      if (openSearchId === search._id) setOpenSearchId(null);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleShowMatches = async (search) => {
+    if (openSearchId === search._id) {
+      setOpenSearchId(null);
+      return;
+    }
+
+    try {
+      setOpenSearchId(search._id);
+      setMatchesLoading(true);
+      setMatches(await getSavedSearchMatches(search._id));
+    } catch (err) {
+      setOpenSearchId(null);
+      toast.error(err.message);
+    } finally {
+      setMatchesLoading(false);
+    }
+  };
+
+  const handlePreferenceChange = async (changes) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, ...changes });
+    try {
+      setPreferences(await updateAlertPreferences(changes));
+    } catch (err) {
+      setPreferences(previous);
+      toast.error(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-2">Loading Your Saved Searches</h2>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Saved Searches - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-16">
+        <div className="max-w-5xl mx-auto px-6">
+
+          {/* Header */}
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-800 mb-4">🔔 Saved Searches</h1>
+            <p className="text-xl text-gray-600">
+              {searches.length} saved {searches.length === 1 ? 'search' : 'searches'}
+              {limit ? ` of ${limit}` : ''}
+            </p>
+          </div>
+
+          {error ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-4xl text-red-500 mb-4">⚠️</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Unable to Load Saved Searches</h2>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <button
+                onClick={fetchSearches}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                🔄 Try Again
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-8">
+
+              {/* Alert preferences */}
+              <div className="bg-white rounded-2xl shadow-xl p-6">
+                <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+                  <Mail className="h-5 w-5 mr-2 text-green-600" />
+                  Email Alerts
+                </h2>
+                <div className="flex flex-wrap items-center gap-6">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={preferences.emailAlerts}
+                      onChange={(e) => handlePreferenceChange({ emailAlerts: e.target.checked })}
+                      className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                    />
+                    <span>Email me when new pets match</span>
+                  </label>
+                  <select
+                    value={preferences.frequency}
+                    onChange={(e) => handlePreferenceChange({ frequency: e.target.value })}
+                    disabled={!preferences.emailAlerts}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500 disabled:opacity-50"
+                  >
+                    <option value="instant">Right away</option>
+                    <option value="daily">Once a day (digest)</option>
+                  </select>
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                  In-app notifications are always sent as soon as a match is found.
+                </p>
+              </div>
+
+              {/* Searches */}
+              {searches.length === 0 ? (
+                <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+                  <div className="text-5xl mb-4">🔍</div>
+                  <h2 className="text-2xl font-bold text-gray-800 mb-4">No saved searches yet</h2>
+                  <p className="text-gray-600 mb-6">Set some filters on the pet list and choose &quot;Save Search&quot;.</p>
+                  <Link
+                    to="/pet-list"
+                    className="inline-block bg-green-600 text-white px-6 py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+                  >
+                    Browse Pets
+                  </Link>
+                </div>
+              ) : (
+                searches.map(search => (
+                  <div key={search._id} className="bg-white rounded-2xl shadow-xl p-6">
+                    <div className="flex flex-wrap items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <h3 className="text-lg font-semibold text-gray-800 truncate">{search.name}</h3>
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {describeFilters(search.filters).map(label => (
+                            <span key={label} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs">
+                              {label}
+                            </span>
+                          ))}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">
+                          {search.matchCount || 0} {search.matchCount === 1 ? 'match' : 'matches'} alerted
+                          {search.lastAlertedAt ? ` · last on ${new Date(search.lastAlertedAt).toLocaleDateString()}` : ''}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => handleShowMatches(search)}
+                          className="flex items-center px-3 py-2 text-sm bg-green-50 text-green-700 rounded-lg hover:bg-green-100 transition-colors"
+                        >
+                          <Search className="h-4 w-4 mr-1" />
+                          {openSearchId === search._id ? 'Hide Matches' : 'View Matches'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleToggleAlerts(search)}
+                          title={search.alertsEnabled ? 'Alerts on (click to pause)' : 'Alerts paused (click to resume)'}
+                          className={`p-2 rounded-lg ${search.alertsEnabled ? 'text-green-600 hover:bg-green-50' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                          {search.alertsEnabled ? <Bell className="h-5 w-5" /> : <BellOff className="h-5 w-5" />}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(search)}
+                          title="Delete saved search"
+                          className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </div>
+
+                    {openSearchId === search._id && (
+                      <div className="mt-6 pt-6 border-t border-gray-200">
+                        {matchesLoading ? (
+                          <p className="text-sm text-gray-500 text-center">Finding matching pets...</p>
+                        ) : matches.length === 0 ? (
+                          <p className="text-sm text-gray-500 text-center">No available pets match right now.</p>
+                        ) : (
+                          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                            {matches.map(pet => (
+                              <PetCard key={pet._id} pet={pet} />
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SavedSearches;
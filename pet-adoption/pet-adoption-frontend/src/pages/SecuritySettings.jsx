@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import TwoFactorSetup, { BackupCodesList } from '../components/TwoFactorSetup';
+import ActiveSessions from '../components/ActiveSessions';
+import AccountData from '../components/AccountData';
+import {
+  getTwoFactorStatus, disableTwoFactor, regenerateBackupCodes
+} from '../services/PostServicesTwoFactor';
+
+/**
+ * "Security" page: two-factor status, enrollment, backup codes and
+ * turning 2FA off (not offered when the user's role requires it),
+ * plus the devices the user is signed in on and their account data.
+ */
+const SecuritySettings = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setStatus(await getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleSetupComplete = () => {
+    setEnrolling(false);
+    toast.success('Two-factor authentication is on');
+    fetchStatus();
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    if (!regenerateCode.trim()) return;
+
+    setSubmitting(true);
+    try {
+      setNewBackupCodes(await regenerateBackupCodes(regenerateCode.trim()));
+      setRegenerateCode('');
+      fetchStatus();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!disableForm.password || !disableForm.code.trim()) return;
+
+    // Authenticator codes are digits only; anything else is treated as a backup code
+    const code = disableForm.code.trim();
+    const credentials = /^\d{6}$/.test(code)
+      ? { password: disableForm.password, code }
+      : { password: disableForm.password, backupCode: code };
+
+    setSubmitting(true);
+    try {
+      await disableTwoFactor(credentials);
+      setDisableForm({ password: '', code: '' });
+      setNewBackupCodes(null);
+      toast.success('Two-factor authentication is off');
+      fetchStatus();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-2">Loading Security Settings</h2>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Security - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-16">
+        <div className="max-w-3xl mx-auto px-6">
+
+          {/* Header */}
+          <div className="text-center mb-12">
+            <h1 className="text-4xl font-bold text-gray-800 mb-4">🔐 Security</h1>
+            <p className="text-xl text-gray-600">Two-factor authentication, your devices and your data</p>
+          </div>
+
+          {error ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-4xl text-red-500 mb-4">⚠️</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Unable to Load Security Settings</h2>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <button
+                onClick={fetchStatus}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                🔄 Try Again
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-8">
+
+              {/* Status */}
+              <div className="bg-white rounded-2xl shadow-xl p-6">
+                <div className="flex items-center justify-between">
+                  <h2 className="flex items-center text-lg font-semibold text-gray-800">
+                    {status.enabled
+                      ? <ShieldCheck className="h-5 w-5 mr-2 text-green-600" />
+                      : <ShieldOff className="h-5 w-5 mr-2 text-gray-400" />}
+                    Two-Factor Authentication
+                  </h2>
+                  <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                    status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    {status.enabled ? 'On' : 'Off'}
+                  </span>
+                </div>
+
+                {status.enabled ? (
+                  <p className="text-sm text-gray-600 mt-3">
+                    Turned on {status.enabledAt ? new Date(status.enabledAt).toLocaleDateString() : ''}.
+                    {' '}{status.backupCodesRemaining} backup {status.backupCodesRemaining === 1 ? 'code' : 'codes'} left.
+                    {status.required && ' Your role requires two-factor authentication.'}
+                  </p>
+                ) : enrolling ? (
+                  <div className="mt-6">
+                    <TwoFactorSetup onComplete={handleSetupComplete} onCancel={() => setEnrolling(false)} />
+                  </div>
+                ) : (
+                  <div className="mt-3">
+                    <p className="text-sm text-gray-600 mb-4">
+                      After your password you will be asked for a code from your authenticator app.
+                    </p>
+                    <button
+                      onClick={() => setEnrolling(true)}
+                      className="bg-green-600 text-white px-6 py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+                    >
+                      Set Up Authenticator
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {status.enabled && (
+                <>
+                  {/* Backup codes */}
+                  <div className="bg-white rounded-2xl shadow-xl p-6">
+                    <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+                      <KeyRound className="h-5 w-5 mr-2 text-green-600" />
+                      Backup Codes
+                    </h2>
+                    {newBackupCodes ? (
+                      <div className="space-y-4">
+                        <BackupCodesList codes={newBackupCodes} />
+                        <button
+                          onClick={() => setNewBackupCodes(null)}
+                          className="text-sm text-green-700 hover:text-green-800 font-medium"
+                        >
+                          I saved my backup codes
+                        </button>
+                      </div>
+                    ) : (
+                      <form onSubmit={handleRegenerate} className="flex flex-wrap items-center gap-3">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          autoComplete="one-time-code"
+                          value={regenerateCode}
+                          onChange={(e) => setRegenerateCode(e.target.value)}
+                          placeholder="Authenticator code"
+                          maxLength={6}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+                        />
+                        <button
+                          type="submit"
+                          disabled={submitting || !regenerateCode.trim()}
+                          className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+                        >
+                          Generate New Codes
+                        </button>
+                        <p className="w-full text-xs text-gray-500">Your old backup codes stop working.</p>
+                      </form>
+                    )}
+                  </div>
+
+                  {/* Disable */}
+                  {!status.required && (
+                    <div className="bg-white rounded-2xl shadow-xl p-6">
+                      <h2 className="text-lg font-semibold text-gray-800 mb-4">Turn Off Two-Factor Authentication</h2>
+                      <form onSubmit={handleDisable} className="space-y-3">
+                        <input
+                          type="password"
+                          autoComplete="current-password"
+                          value={disableForm.password}
+                          onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                          placeholder="Password"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+                        />
+                        <input
+                          type="text"
+                          autoComplete="one-time-code"
+                          value={disableForm.code}
+                          onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                          placeholder="Authenticator or backup code"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+                        />
+                        <button
+                          type="submit"
+                          disabled={submitting || !disableForm.password || !disableForm.code.trim()}
+                          className="bg-red-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-700 transition-colors disabled:opacity-50"
+                        >
+                          Turn Off
+                        </button>
+                      </form>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <ActiveSessions />
+              <AccountData />
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SecuritySettings;
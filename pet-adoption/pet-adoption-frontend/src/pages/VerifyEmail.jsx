@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { verifyEmail } from '../services/PostServicesAuth';
+
+/**
+ * Landing page of the link in the verification email
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its token.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    verifyEmail(token)
+      .then(result => {
+        setStatus('success');
+        setMessage(result.message);
+      })
+      .catch(err => {
+        setStatus('error');
+        setMessage(err.message);
+      });
+  }, [token]);
+
+  return (
+    <>
+      <Helmet>
+        <title>Verify Email - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center px-6">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          {status === 'loading' ? (
+            <>
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto mb-4"></div>
+              <h1 className="text-2xl font-semibold text-gray-700">Verifying your email...</h1>
+            </>
+          ) : (
+            <>
+              <div className={`text-4xl mb-4 ${status === 'success' ? 'text-green-600' : 'text-red-500'}`}>
+                {status === 'success' ? '✅' : '⚠️'}
+              </div>
+              <h1 className="text-2xl font-bold text-gray-800 mb-4">
+                {status === 'success' ? 'Email verified' : 'Unable to verify email'}
+              </h1>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link
+                to={status === 'success' ? '/login' : '/contact'}
+                className="inline-block w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                {status === 'success' ? 'Log In' : 'Contact Us'}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,499 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { toast } from 'react-toastify';
+import { CalendarClock, Clock, MapPin, ShieldCheck, AlertTriangle, Plus, Trash2 } from 'lucide-react';
+import { AuthContext } from '../context/AuthProvider';
+import { VOLUNTEER_ROLES } from '../utils/permissions';
+import {
+  getMyVolunteerProfile, saveVolunteerProfile, getShifts, signUpForShift, cancelShiftSignup,
+  checkInToShift, checkOutOfShift, SHIFT_TYPES, WEEKDAYS, VOLUNTEER_TYPES
+} from '../services/PostServicesVolunteer';
+
+const SIGNUP_STATUS_STYLES = {
+  signed_up: 'bg-blue-100 text-blue-800',
+  checked_in: 'bg-green-100 text-green-800',
+  completed: 'bg-gray-100 text-gray-700',
+  no_show: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+// Check-in opens this long before a shift (the server decides)
+const CHECK_IN_OPENS_BEFORE_MS = 30 * 60 * 1000;
+
+const labelize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// "Sat, May 4, 09:00 - 12:00"
+const formatShiftTime = (shift) => {
+  const start = new Date(shift.startTime);
+  const end = new Date(shift.endTime);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  return `${start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}, ${start.toLocaleTimeString([], time)} - ${end.toLocaleTimeString([], time)}`;
+};
+
+const EMPTY_SLOT = { day: 'saturday', startTime: '09:00', endTime: '12:00' };
+
+/**
+ * Volunteer profile: type, weekly availability, skills and emergency contact
+ */
+const VolunteerProfileForm = ({ volunteerInfo, onSaved }) => {
+  const [form, setForm] = useState(() => ({
+    volunteerType: volunteerInfo?.volunteerType || 'general',
+    availability: volunteerInfo?.availability?.length
+      ? volunteerInfo.availability.map(({ day, startTime, endTime }) => ({ day, startTime, endTime }))
+      : [EMPTY_SLOT],
+    skills: (volunteerInfo?.skills || []).join(', '),
+    emergencyContact: {
+      name: volunteerInfo?.emergencyContact?.name || '',
+      phone: volunteerInfo?.emergencyContact?.phone || '',
+      relationship: volunteerInfo?.emergencyContact?.relationship || ''
+    }
+  }));
+  const [saving, setSaving] = useState(false);
+
+  const updateSlot = (index, field, value) => setForm(prev => ({
+    ...prev,
+    availability: prev.availability.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot))
+  }));
+
+  const updateContact = (field, value) => setForm(prev => ({
+    ...prev,
+    emergencyContact: { ...prev.emergencyContact, [field]: value }
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.availability.some(slot => !slot.startTime || !slot.endTime || slot.startTime >= slot.endTime)) {
+      toast.error('Each availability slot needs a start time before its end time');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await saveVolunteerProfile({
+        volunteerType: form.volunteerType,
+        availability: form.availability,
+        skills: form.skills.split(',').map(skill => skill.trim()).filter(Boolean),
+        emergencyContact: form.emergencyContact
+      });
+      toast.success('Volunteer profile saved');
+      onSaved();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-6 space-y-5">
+      <h2 className="text-xl font-semibold text-gray-800">Volunteer Profile</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">I usually help with</label>
+          <select
+            value={form.volunteerType}
+            onChange={(e) => setForm(prev => ({ ...prev, volunteerType: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          >
+            {VOLUNTEER_TYPES.map(type => <option key={type} value={type}>{labelize(type)}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Skills (comma separated)</label>
+          <input
+            type="text"
+            value={form.skills}
+            onChange={(e) => setForm(prev => ({ ...prev, skills: e.target.value }))}
+            placeholder="e.g. dog handling, photography, driving"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+          />
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Weekly Availability</span>
+        <div className="space-y-2">
+          {form.availability.map((slot, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                value={slot.day}
+                onChange={(e) => updateSlot(index, 'day', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {WEEKDAYS.map(day => <option key={day} value={day}>{labelize(day)}</option>)}
+              </select>
+              <input
+                type="time"
+                value={slot.startTime}
+                onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="time"
+                value={slot.endTime}
+                onChange={(e) => updateSlot(index, 'endTime', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, availability: prev.availability.filter((_, i) => i !== index) }))}
+                className="p-2 text-gray-400 hover:text-red-600"
+                aria-label="Remove slot"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setForm(prev => ({ ...prev, availability: [...prev.availability, EMPTY_SLOT] }))}
+          className="flex items-center mt-2 text-sm text-green-700 hover:text-green-800"
+        >
+          <Plus className="h-4 w-4 mr-1" /> Add a time slot
+        </button>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Emergency Contact</span>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {[['name', 'Name'], ['phone', 'Phone'], ['relationship', 'Relationship']].map(([field, label]) => (
+            <input
+              key={field}
+              type="text"
+              value={form.emergencyContact[field]}
+              onChange={(e) => updateContact(field, e.target.value)}
+              placeholder={label}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-green-500"
+            />
+          ))}
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-6 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition-colors disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * "Volunteer Shifts" page: the volunteer's profile and hours, their upcoming
+ * shifts with check-in/out, and open shifts to sign up for.
+ */
+const VolunteerShifts = () => {
+  const { user } = useContext(AuthContext);
+  const canVolunteer = VOLUNTEER_ROLES.includes(user?.role);
+
+  const [profile, setProfile] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyShift, setBusyShift] = useState(null);
+  const [editingProfile, setEditingProfile] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    if (!canVolunteer) {
+      setLoading(false);
+      return;
+    }
+    try {
+      setError(null);
+      const [myProfile, openShifts] = await Promise.all([
+        getMyVolunteerProfile(),
+        getShifts({ type: typeFilter || undefined })
+      ]);
+      setProfile(myProfile);
+      setShifts(openShifts);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [canVolunteer, typeFilter]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const runAction = async (shiftId, action, successMessage) => {
+    try {
+      setBusyShift(shiftId);
+      const result = await action(shiftId);
+      toast.success(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      fetchAll();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyShift(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-2">Loading Volunteer Shifts</h2>
+        </div>
+      </div>
+    );
+  }
+
+  if (!canVolunteer) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center px-6">
+        <div className="max-w-md bg-white rounded-2xl shadow-xl p-8 text-center">
+          <CalendarClock className="h-12 w-12 text-green-600 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Volunteer With Us</h2>
+          <p className="text-gray-600">
+            Volunteer shifts are open to registered volunteers. Get in touch with our team to join the volunteer program.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const now = Date.now();
+  const backgroundCheck = profile?.backgroundCheck;
+  const isSetUp = !!profile?.volunteerInfo?.isVolunteer;
+
+  return (
+    <>
+      <Helmet>
+        <title>Volunteer Shifts - Pawsome Homes</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-16">
+        <div className="max-w-5xl mx-auto px-6">
+
+          {/* Header */}
+          <div className="text-center mb-12">
+            <h1 className="flex items-center justify-center text-4xl font-bold text-gray-800 mb-4">
+              <CalendarClock className="h-10 w-10 mr-3 text-green-600" />
+              Volunteer Shifts
+            </h1>
+            <p className="text-xl text-gray-600">
+              {profile ? `${profile.volunteerHours} hours volunteered — thank you!` : 'Lend a hand at the shelter'}
+            </p>
+          </div>
+
+          {error ? (
+            <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center">
+              <div className="text-4xl text-red-500 mb-4">⚠️</div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Unable to Load Volunteer Shifts</h2>
+              <p className="text-gray-600 mb-6">{error}</p>
+              <button
+                onClick={fetchAll}
+                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition-colors"
+              >
+                🔄 Try Again
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-8">
+
+              {/* Background check and profile */}
+              <div className="bg-white rounded-2xl shadow-xl p-6 flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-center">
+                  {backgroundCheck?.isCurrent
+                    ? <ShieldCheck className="h-8 w-8 mr-3 text-green-600" />
+                    : <AlertTriangle className="h-8 w-8 mr-3 text-orange-500" />}
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-800">
+                      {backgroundCheck?.isCurrent ? 'Background check current' : 'Background check needed'}
+                    </h2>
+                    <p className="text-sm text-gray-600">
+                      {backgroundCheck?.date
+                        ? `Completed ${formatDate(backgroundCheck.date)}, valid until ${formatDate(backgroundCheck.expiresAt)}`
+                        : 'Our team records your background check; shifts open up once it is on file.'}
+                    </p>
+                  </div>
+                </div>
+                {isSetUp && (
+                  <button
+                    type="button"
+                    onClick={() => setEditingProfile(value => !value)}
+                    className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    {editingProfile ? 'Close Profile' : 'Edit Profile & Availability'}
+                  </button>
+                )}
+              </div>
+
+              {(!isSetUp || editingProfile) && (
+                <VolunteerProfileForm
+                  volunteerInfo={profile?.volunteerInfo}
+                  onSaved={() => {
+                    setEditingProfile(false);
+                    fetchAll();
+                  }}
+                />
+              )}
+
+              {/* My upcoming shifts */}
+              {profile?.upcoming?.length > 0 && (
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">My Upcoming Shifts</h2>
+                  <div className="space-y-3">
+                    {profile.upcoming.map(signup => {
+                      const shift = signup.shift;
+                      const checkInOpen = now >= new Date(shift.startTime).getTime() - CHECK_IN_OPENS_BEFORE_MS &&
+                        now < new Date(shift.endTime).getTime();
+                      const hasStarted = now >= new Date(shift.startTime).getTime();
+                      return (
+                        <div key={signup._id} className="bg-white rounded-xl shadow p-5 flex flex-wrap items-center justify-between gap-4">
+                          <div>
+                            <h3 className="font-semibold text-gray-800">{shift.title}</h3>
+                            <p className="flex items-center text-sm text-gray-600 mt-1">
+                              <Clock className="h-4 w-4 mr-1" /> {formatShiftTime(shift)}
+                              {shift.location && <><MapPin className="h-4 w-4 ml-3 mr-1" /> {shift.location}</>}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${SIGNUP_STATUS_STYLES[signup.status]}`}>
+                              {labelize(signup.status)}
+                            </span>
+                            {signup.status === 'signed_up' && checkInOpen && (
+                              <button
+                                type="button"
+                                disabled={busyShift === shift._id}
+                                onClick={() => runAction(shift._id, checkInToShift, 'Checked in. Thank you for volunteering!')}
+                                className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                              >
+                                Check In
+                              </button>
+                            )}
+                            {signup.status === 'checked_in' && (
+                              <button
+                                type="button"
+                                disabled={busyShift === shift._id}
+                                onClick={() => runAction(shift._id, checkOutOfShift, result => `Checked out. ${result.hours} hours logged.`)}
+                                className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                              >
+                                Check Out
+                              </button>
+                            )}
+                            {signup.status === 'signed_up' && !hasStarted && (
+                              <button
+                                type="button"
+                                disabled={busyShift === shift._id}
+                                onClick={() => runAction(shift._id, cancelShiftSignup, 'Your sign-up has been cancelled')}
+                                className="px-3 py-2 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                              >
+                                Cancel
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {/* Open shifts */}
+              <div>
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                  <h2 className="text-xl font-semibold text-gray-800">Open Shifts</h2>
+                  <select
+                    value={typeFilter}
+                    onChange={(e) => setTypeFilter(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="">All shift types</option>
+                    {SHIFT_TYPES.map(type => <option key={type} value={type}>{labelize(type)}</option>)}
+                  </select>
+                </div>
+
+                {shifts.length === 0 ? (
+                  <p className="text-gray-500">No shifts scheduled in the next 30 days.</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {shifts.map(shift => {
+                      const signedUp = shift.mySignupStatus && shift.mySignupStatus !== 'cancelled';
+                      const eligible = shift.eligibility?.eligible;
+                      return (
+                        <div key={shift._id} className="bg-white rounded-xl shadow p-5 flex flex-col">
+                          <div className="flex items-start justify-between gap-2">
+                            <h3 className="font-semibold text-gray-800">{shift.title}</h3>
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-50 text-green-800 whitespace-nowrap">
+                              {labelize(shift.type)}
+                            </span>
+                          </div>
+                          <p className="flex items-center text-sm text-gray-600 mt-2">
+                            <Clock className="h-4 w-4 mr-1" /> {formatShiftTime(shift)}
+                          </p>
+                          {shift.location && (
+                            <p className="flex items-center text-sm text-gray-600 mt-1">
+                              <MapPin className="h-4 w-4 mr-1" /> {shift.location}
+                            </p>
+                          )}
+                          {shift.description && <p className="text-sm text-gray-700 mt-2">{shift.description}</p>}
+                          <p className="text-sm text-gray-500 mt-2">
+                            {shift.spotsLeft} of {shift.capacity} spots left
+                          </p>
+
+                          <div className="mt-auto pt-4">
+                            {signedUp ? (
+                              <span className="text-sm font-medium text-green-700">You are {labelize(shift.mySignupStatus).toLowerCase()}</span>
+                            ) : shift.spotsLeft === 0 ? (
+                              <span className="text-sm text-gray-500">This shift is full</span>
+                            ) : eligible ? (
+                              <button
+                                type="button"
+                                disabled={busyShift === shift._id}
+                                onClick={() => runAction(shift._id, signUpForShift, 'You are signed up for this shift')}
+                                className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                              >
+                                Sign Up
+                              </button>
+                            ) : (
+                              <ul className="text-xs text-orange-700 space-y-1">
+                                {(shift.eligibility?.reasons || []).map(reason => <li key={reason}>• {reason}</li>)}
+                              </ul>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              {/* History */}
+              {profile?.history?.length > 0 && (
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">Past Shifts</h2>
+                  <div className="bg-white rounded-xl shadow divide-y divide-gray-100">
+                    {profile.history.map(signup => (
+                      <div key={signup._id} className="px-5 py-3 flex flex-wrap items-center justify-between gap-2 text-sm">
+                        <span className="text-gray-800">{signup.shift.title} · {formatShiftTime(signup.shift)}</span>
+                        <span className="flex items-center gap-3">
+                          {signup.status === 'completed' && <span className="text-gray-600">{signup.hours} h</span>}
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${SIGNUP_STATUS_STYLES[signup.status]}`}>
+                            {labelize(signup.status)}
+                          </span>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VolunteerShifts;
@@ -0,0 +1,79 @@
+import apiClient from './apiClient';
+
+/**
+ * Account Data API
+ * "Download my data", scheduling the account for deletion and cancelling it
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+// Blob responses carry the error JSON as a Blob
+const getErrorMessage = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return data?.message || error.message || fallback;
+};
+
+/**
+ * Everything stored about the current user
+ * @param {string} format - json or zip
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportMyData = async (format = 'json') => {
+  try {
+    const response = await apiClient.get('/auth/me/export', {
+      ...authHeaders(),
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('[Account] Failed to export data:', error.message);
+    throw new Error(await getErrorMessage(error, 'Failed to download your data'));
+  }
+};
+
+/**
+ * Schedule the current account for deletion; signs out every session
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} { message, deletionScheduledFor }
+ */
+export const requestAccountDeletion = async (password) => {
+  try {
+    const response = await apiClient.post('/auth/me/deletion', { password }, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Account] Failed to request deletion:', error.message);
+    throw new Error(await getErrorMessage(error, 'Failed to delete your account'));
+  }
+};
+
+/**
+ * Cancel a scheduled deletion with the token from the deletion email
+ * @param {string} token - Cancel token
+ * @returns {Promise<Object>} { message }
+ */
+export const cancelAccountDeletion = async (token) => {
+  try {
+    const response = await apiClient.post('/auth/deletion/cancel', { token });
+    return response.data;
+  } catch (error) {
+    console.error('[Account] Failed to cancel deletion:', error.message);
+    throw new Error(await getErrorMessage(error, 'Failed to cancel the deletion'));
+  }
+};
+
+export default {
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+};
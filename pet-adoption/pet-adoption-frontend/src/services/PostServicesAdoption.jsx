@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { refreshAccessToken } from './tokenRefresh';
 
 /**
  * Enterprise-Grade Adoption Request API Service
@@ -107,12 +108,7 @@ apiClient.interceptors.response.use(
         if (refreshToken) {
           console.log('🔄 Attempting token refresh for adoption service...');
           
-          const response = await axios.post(`${API_CONFIG.baseURL}/api/refresh-token`, {
-            refreshToken
-          });
-          
-          const { accessToken } = response.data;
-          localStorage.setItem('accessToken', accessToken);
+          const accessToken = await refreshAccessToken();
           
           // Update the failed request with new token
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -124,7 +120,7 @@ apiClient.interceptors.response.use(
         console.error('❌ Token refresh failed for adoption service:', refreshError);
         
         // Clear tokens and redirect to login
-        localStorage.removeItem('accessToken');
+        localStorage.removeItem('authToken');
         localStorage.removeItem('refreshToken');
         
         // Dispatch custom event for app to handle
@@ -374,7 +370,7 @@ const validateStatusUpdate = (data) => {
     throw new AdoptionAPIError('Status is required for update', 400, 'MISSING_STATUS');
   }
 
-  const validStatuses = ['pending', 'under_review', 'interview_scheduled', 'approved', 'rejected', 'completed', 'withdrawn'];
+  const validStatuses = ['pending', 'under_review', 'interview_scheduled', 'waitlisted', 'approved', 'rejected', 'completed', 'withdrawn'];
   if (!validStatuses.includes(data.status.toLowerCase())) {
     throw new AdoptionAPIError(
       `Status must be one of: ${validStatuses.join(', ')}`, 
@@ -672,6 +668,7 @@ export const formatAdoptionRequest = (request) => {
       pending: { color: 'blue', text: 'Pending Review' },
       under_review: { color: 'yellow', text: 'Under Review' },
       interview_scheduled: { color: 'purple', text: 'Interview Scheduled' },
+      waitlisted: { color: 'orange', text: 'Wait-listed' },
       approved: { color: 'green', text: 'Approved' },
       rejected: { color: 'red', text: 'Rejected' },
       completed: { color: 'emerald', text: 'Completed' },
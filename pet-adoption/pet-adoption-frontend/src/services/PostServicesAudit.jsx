@@ -0,0 +1,62 @@
+import apiClient from './apiClient';
+
+/**
+ * Audit Log API
+ * History of admin changes (who changed what, when and from where) and its export
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+// Drop empty filter values so they are not sent as ""
+const toParams = (filters = {}) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+);
+
+/**
+ * Audit events, newest first
+ * @param {Object} filters - { action, targetType, targetId, actor, success, from, to, search, page, limit }
+ * @returns {Promise<Object>} { data, filters: { actions, targetTypes }, pagination }
+ */
+export const getAuditEvents = async (filters = {}) => {
+  try {
+    const response = await apiClient.get('/audit-events', {
+      ...authHeaders(),
+      params: toParams(filters)
+    });
+    return response.data;
+  } catch (error) {
+    console.error('[Audit] Failed to fetch audit log:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the audit log'));
+  }
+};
+
+/**
+ * Export audit events matching the filters
+ * @param {string} format - csv, json or xlsx
+ * @param {Object} filters - Same filters as getAuditEvents
+ * @returns {Promise<Blob>} File contents
+ */
+export const exportAuditEvents = async (format = 'csv', filters = {}) => {
+  try {
+    const response = await apiClient.get('/audit-events/export', {
+      ...authHeaders(),
+      params: { ...toParams(filters), format },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('[Audit] Failed to export audit log:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to export the audit log'));
+  }
+};
+
+export default {
+  getAuditEvents,
+  exportAuditEvents
+};
@@ -0,0 +1,62 @@
+import apiClient from './apiClient';
+
+/**
+ * Auth Email API
+ * Requesting a password reset and redeeming the tokens from the
+ * verification and password reset emails
+ */
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Email a password reset link; succeeds whether or not the account exists
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { message }
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    const response = await apiClient.post('/auth/forgot-password', { email });
+    return response.data;
+  } catch (error) {
+    console.error('[Auth] Failed to request password reset:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to send the reset link'));
+  }
+};
+
+/**
+ * Set a new password with the token from the reset email
+ * @param {string} token - Reset token
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} { message }
+ */
+export const resetPassword = async (token, newPassword) => {
+  try {
+    const response = await apiClient.post('/auth/reset-password', { token, newPassword });
+    return response.data;
+  } catch (error) {
+    console.error('[Auth] Failed to reset password:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to reset your password'));
+  }
+};
+
+/**
+ * Verify an email address with the token from the verification email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} { message }
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const response = await apiClient.post('/auth/verify-email', { token });
+    return response.data;
+  } catch (error) {
+    console.error('[Auth] Failed to verify email:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to verify your email'));
+  }
+};
+
+export default {
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail
+};
@@ -0,0 +1,83 @@
+import apiClient from './apiClient';
+
+/**
+ * Favorites API
+ * Saved pets of the signed-in user
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Get the current user's favorites with pet summaries
+ * @param {Object} options - { active: only pets that are not adopted yet }
+ * @returns {Promise<Array>} [{ pet, addedAt }]
+ */
+export const getFavorites = async ({ active = false } = {}) => {
+  try {
+    const response = await apiClient.get('/favorites', {
+      ...authHeaders(),
+      params: active ? { active: 'true' } : undefined
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('[Favorites] Failed to fetch favorites:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load favorites'));
+  }
+};
+
+/**
+ * Get the IDs of the current user's favorite pets
+ * @returns {Promise<Array<string>>} Pet IDs
+ */
+export const getFavoriteIds = async () => {
+  try {
+    const response = await apiClient.get('/favorites/ids', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Favorites] Failed to fetch favorite IDs:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load favorites'));
+  }
+};
+
+/**
+ * Add a pet to favorites
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} { petId, isFavorite }
+ */
+export const addFavorite = async (petId) => {
+  try {
+    const response = await apiClient.post(`/favorites/${petId}`, null, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error(`[Favorites] Failed to add pet ${petId}:`, error.message);
+    throw new Error(getErrorMessage(error, 'Failed to save pet'));
+  }
+};
+
+/**
+ * Remove a pet from favorites
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} { petId, isFavorite }
+ */
+export const removeFavorite = async (petId) => {
+  try {
+    const response = await apiClient.delete(`/favorites/${petId}`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error(`[Favorites] Failed to remove pet ${petId}:`, error.message);
+    throw new Error(getErrorMessage(error, 'Failed to remove pet'));
+  }
+};
+
+export default {
+  getFavorites,
+  getFavoriteIds,
+  addFavorite,
+  removeFavorite
+};
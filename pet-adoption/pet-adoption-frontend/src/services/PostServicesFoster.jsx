@@ -0,0 +1,265 @@
+import apiClient from './apiClient';
+
+/**
+ * Foster Program API
+ * Foster applications, the foster parent's placements and check-in reports,
+ * and the staff side: reviewing applications, placing pets and reviewing check-ins
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+export const FOSTER_WELLBEING_LEVELS = ['great', 'good', 'fair', 'concerning'];
+export const FOSTER_END_REASONS = ['returned_to_shelter', 'adopted', 'medical', 'foster_request', 'other'];
+
+// ================================================================
+// FOSTER PARENTS
+// ================================================================
+
+/**
+ * Apply to become a foster parent
+ * @param {Object} application - { housingType, motivation, hasYard, hasChildren, otherPets, experience,
+ *   preferredPetTypes, maxPets, canHandleMedicalNeeds, availableFrom }
+ * @returns {Promise<Object>} Created application
+ */
+export const applyToFoster = async (application) => {
+  try {
+    const response = await apiClient.post('/foster/applications', application, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to submit application:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to submit your foster application'));
+  }
+};
+
+/**
+ * The current user's foster applications, newest first
+ * @returns {Promise<Array>}
+ */
+export const getMyFosterApplications = async () => {
+  try {
+    const response = await apiClient.get('/foster/applications/me', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch applications:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load your foster applications'));
+  }
+};
+
+/**
+ * Withdraw a pending foster application
+ * @param {string} id - Application ID
+ * @returns {Promise<Object>} Updated application
+ */
+export const withdrawFosterApplication = async (id) => {
+  try {
+    const response = await apiClient.delete(`/foster/applications/${id}`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to withdraw application:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to withdraw your foster application'));
+  }
+};
+
+/**
+ * The current user's foster pets with their latest check-ins
+ * @returns {Promise<Array>} Placements with pet and recentCheckIns
+ */
+export const getMyPlacements = async () => {
+  try {
+    const response = await apiClient.get('/foster/me/placements', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch placements:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load your foster pets'));
+  }
+};
+
+/**
+ * Send a check-in report with optional photos
+ * @param {string} placementId - Placement ID
+ * @param {Object} report - { wellbeing, notes, eating, behavior, health }
+ * @param {FileList|File[]} [photos] - Up to 5 images
+ * @returns {Promise<Object>} { data: checkIn, nextCheckInDue }
+ */
+export const submitCheckIn = async (placementId, report, photos = []) => {
+  try {
+    const formData = new FormData();
+    Object.entries(report).forEach(([field, value]) => {
+      if (value !== undefined && value !== '') formData.append(field, value);
+    });
+    Array.from(photos).forEach(photo => formData.append('photos', photo));
+
+    const response = await apiClient.post(`/foster/placements/${placementId}/check-ins`, formData, {
+      headers: { ...authHeaders()?.headers, 'Content-Type': 'multipart/form-data' },
+      timeout: 120000
+    });
+    return response.data;
+  } catch (error) {
+    console.error('[Foster] Failed to send check-in:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to send your check-in'));
+  }
+};
+
+/**
+ * Check-ins of a placement, newest first
+ * @param {string} placementId - Placement ID
+ * @returns {Promise<Array>}
+ */
+export const getPlacementCheckIns = async (placementId) => {
+  try {
+    const response = await apiClient.get(`/foster/placements/${placementId}/check-ins`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch check-ins:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the check-ins'));
+  }
+};
+
+// ================================================================
+// STAFF
+// ================================================================
+
+/**
+ * Foster applications for review
+ * @param {Object} params - { status, page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getFosterApplications = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/foster/applications', { ...authHeaders(), params });
+    return response.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch applications:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load foster applications'));
+  }
+};
+
+/**
+ * Approve or reject a foster application
+ * @param {string} id - Application ID
+ * @param {Object} review - { decision: 'approved' | 'rejected', reviewNotes }
+ * @returns {Promise<Object>} Updated application
+ */
+export const reviewFosterApplication = async (id, review) => {
+  try {
+    const response = await apiClient.patch(`/foster/applications/${id}`, review, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to review application:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to review the application'));
+  }
+};
+
+/**
+ * Approved foster parents with their number of foster pets
+ * @returns {Promise<Array>}
+ */
+export const getFosterParents = async () => {
+  try {
+    const response = await apiClient.get('/foster/parents', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch foster parents:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load foster parents'));
+  }
+};
+
+/**
+ * Foster placements, active first
+ * @param {Object} params - { status, page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getPlacements = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/foster/placements', { ...authHeaders(), params });
+    return response.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch placements:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load foster placements'));
+  }
+};
+
+/**
+ * Place a pet with a foster parent
+ * @param {Object} placement - { petId, fosterId, expectedEndDate, checkInIntervalDays, notes }
+ * @returns {Promise<Object>} Created placement
+ */
+export const createPlacement = async (placement) => {
+  try {
+    const response = await apiClient.post('/foster/placements', placement, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to place pet:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to place the pet in foster'));
+  }
+};
+
+/**
+ * End a placement
+ * @param {string} id - Placement ID
+ * @param {Object} details - { reason, notes }
+ * @returns {Promise<Object>} Ended placement
+ */
+export const endPlacement = async (id, details) => {
+  try {
+    const response = await apiClient.post(`/foster/placements/${id}/end`, details, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to end placement:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to end the placement'));
+  }
+};
+
+/**
+ * Check-in reports for review
+ * @param {Object} params - { status, page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getCheckIns = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/foster/check-ins', { ...authHeaders(), params });
+    return response.data;
+  } catch (error) {
+    console.error('[Foster] Failed to fetch check-ins:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load check-ins'));
+  }
+};
+
+/**
+ * Mark a check-in as reviewed or as needing a follow-up
+ * @param {string} id - Check-in ID
+ * @param {Object} review - { status: 'reviewed' | 'needs_follow_up', staffNotes }
+ * @returns {Promise<Object>} Updated check-in
+ */
+export const reviewCheckIn = async (id, review) => {
+  try {
+    const response = await apiClient.patch(`/foster/check-ins/${id}`, review, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Foster] Failed to review check-in:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to review the check-in'));
+  }
+};
+
+export default {
+  applyToFoster,
+  getMyFosterApplications,
+  withdrawFosterApplication,
+  getMyPlacements,
+  submitCheckIn,
+  getPlacementCheckIns,
+  getFosterApplications,
+  reviewFosterApplication,
+  getFosterParents,
+  getPlacements,
+  createPlacement,
+  endPlacement,
+  getCheckIns,
+  reviewCheckIn
+};
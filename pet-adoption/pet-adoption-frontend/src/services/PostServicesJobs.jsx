@@ -0,0 +1,85 @@
+import apiClient from './apiClient';
+
+/**
+ * Background Jobs API
+ * Schedule, state and run history of the server's housekeeping jobs
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Every background job with its schedule and last run
+ * @returns {Promise<Array>} [{ name, description, schedule, enabled, running, nextRunAt, lastStatus, ... }]
+ */
+export const getJobs = async () => {
+  try {
+    const response = await apiClient.get('/jobs', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Jobs] Failed to fetch jobs:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load background jobs'));
+  }
+};
+
+/**
+ * Run history of a job, newest first
+ * @param {string} name - Job name
+ * @param {Object} params - { page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getJobRuns = async (name, params = {}) => {
+  try {
+    const response = await apiClient.get(`/jobs/${encodeURIComponent(name)}/runs`, {
+      ...authHeaders(),
+      params
+    });
+    return response.data;
+  } catch (error) {
+    console.error('[Jobs] Failed to fetch job runs:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the job history'));
+  }
+};
+
+/**
+ * Run a job now; resolves when it has finished
+ * @param {string} name - Job name
+ * @returns {Promise<Object>} { message, data: run }
+ */
+export const runJob = async (name) => {
+  try {
+    const response = await apiClient.post(`/jobs/${encodeURIComponent(name)}/run`, {}, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Jobs] Failed to run job:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to run the job'));
+  }
+};
+
+/**
+ * Pause or resume a job's schedule
+ * @param {string} name - Job name
+ * @param {boolean} enabled - Whether the job runs on schedule
+ * @returns {Promise<Object>} Updated job state
+ */
+export const setJobEnabled = async (name, enabled) => {
+  try {
+    const response = await apiClient.patch(`/jobs/${encodeURIComponent(name)}`, { enabled }, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Jobs] Failed to update job:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update the job'));
+  }
+};
+
+export default {
+  getJobs,
+  getJobRuns,
+  runJob,
+  setJobEnabled
+};
@@ -0,0 +1,119 @@
+import apiClient from './apiClient';
+
+/**
+ * Kennels API
+ * The kennel registry, the occupancy board and moving pets between areas
+ * and kennels
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+export const KENNEL_AREAS = ['shelter', 'medical', 'quarantine'];
+export const KENNEL_SPECIES = ['dog', 'cat', 'bird', 'rabbit', 'guinea_pig', 'hamster', 'fish', 'turtle', 'reptile', 'other'];
+
+/**
+ * Occupancy board
+ * @param {Object} params - { area }
+ * @returns {Promise<Object>} { kennels, areas, openBySpecies, unassigned }
+ */
+export const getKennelBoard = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/kennels/board', { ...authHeaders(), params });
+    return response.data.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to fetch board:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the occupancy board'));
+  }
+};
+
+/**
+ * Registered kennels
+ * @param {Object} params - { area, active: 'all' }
+ * @returns {Promise<Array>}
+ */
+export const getKennels = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/kennels', { ...authHeaders(), params });
+    return response.data.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to fetch kennels:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load kennels'));
+  }
+};
+
+/**
+ * Register a kennel
+ * @param {Object} kennel - { code, area, capacity, species, notes }
+ * @returns {Promise<Object>} Created kennel
+ */
+export const createKennel = async (kennel) => {
+  try {
+    const response = await apiClient.post('/kennels', kennel, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to create kennel:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to add the kennel'));
+  }
+};
+
+/**
+ * Change or retire a kennel
+ * @param {string} id - Kennel ID
+ * @param {Object} updates - Any of code, area, capacity, species, notes, active
+ * @returns {Promise<Object>} Updated kennel
+ */
+export const updateKennel = async (id, updates) => {
+  try {
+    const response = await apiClient.patch(`/kennels/${id}`, updates, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to update kennel:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update the kennel'));
+  }
+};
+
+/**
+ * Move a pet to another area and/or kennel
+ * @param {string} petId - Pet ID
+ * @param {Object} move - { location, kennelNumber, reason }
+ * @returns {Promise<Object>} { data: pet, message }
+ */
+export const movePet = async (petId, move) => {
+  try {
+    const response = await apiClient.post(`/pets/${petId}/move`, move, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to move pet:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to move the pet'));
+  }
+};
+
+/**
+ * Where a pet has been housed, newest first
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} { pet, history }
+ */
+export const getPetLocationHistory = async (petId) => {
+  try {
+    const response = await apiClient.get(`/pets/${petId}/location-history`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Kennels] Failed to fetch location history:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the location history'));
+  }
+};
+
+export default {
+  getKennelBoard,
+  getKennels,
+  createKennel,
+  updateKennel,
+  movePet,
+  getPetLocationHistory
+};
@@ -0,0 +1,120 @@
+import apiClient from './apiClient';
+
+/**
+ * Medical API
+ * Pets' medical timelines, recording and completing medical events, and the
+ * staff list of what is due
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+export const MEDICAL_EVENT_TYPES = ['vaccination', 'treatment', 'medication', 'vet_visit', 'spay_neuter'];
+
+/**
+ * A pet's medical timeline
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} { pet, upcoming, history, outstanding }
+ */
+export const getMedicalTimeline = async (petId) => {
+  try {
+    const response = await apiClient.get(`/pets/${petId}/medical`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Medical] Failed to fetch timeline:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the medical timeline'));
+  }
+};
+
+/**
+ * Record a medical event for a pet
+ * @param {string} petId - Pet ID
+ * @param {Object} event - { type, name, dueDate | performedAt, nextDueDate, required, dosage, veterinarian, notes }
+ * @returns {Promise<Object>} { data: event, followUp, message }
+ */
+export const recordMedicalEvent = async (petId, event) => {
+  try {
+    const response = await apiClient.post(`/pets/${petId}/medical`, event, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Medical] Failed to record event:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to record the medical event'));
+  }
+};
+
+/**
+ * Change a scheduled event
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} updates - Any of name, dueDate, required, dosage, veterinarian, notes
+ * @returns {Promise<Object>} Updated event
+ */
+export const updateMedicalEvent = async (eventId, updates) => {
+  try {
+    const response = await apiClient.patch(`/medical/events/${eventId}`, updates, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Medical] Failed to update event:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update the medical event'));
+  }
+};
+
+/**
+ * Mark a scheduled event as done
+ * @param {string} eventId - MedicalEvent ID
+ * @param {Object} completion - { performedAt, nextDueDate, dosage, veterinarian, notes }
+ * @returns {Promise<Object>} { data: event, followUp, message }
+ */
+export const completeMedicalEvent = async (eventId, completion) => {
+  try {
+    const response = await apiClient.post(`/medical/events/${eventId}/complete`, completion, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Medical] Failed to complete event:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to complete the medical event'));
+  }
+};
+
+/**
+ * Cancel a scheduled event
+ * @param {string} eventId - MedicalEvent ID
+ * @param {string} reason - Why it is no longer needed
+ * @returns {Promise<Object>} Cancelled event
+ */
+export const cancelMedicalEvent = async (eventId, reason) => {
+  try {
+    const response = await apiClient.post(`/medical/events/${eventId}/cancel`, { reason }, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Medical] Failed to cancel event:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to cancel the medical event'));
+  }
+};
+
+/**
+ * Scheduled events due soon or overdue
+ * @param {Object} params - { days, type }
+ * @returns {Promise<Array>} Events with their pet
+ */
+export const getDueMedicalEvents = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/medical/due', { ...authHeaders(), params });
+    return response.data.data;
+  } catch (error) {
+    console.error('[Medical] Failed to fetch due events:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load due medical events'));
+  }
+};
+
+export default {
+  getMedicalTimeline,
+  recordMedicalEvent,
+  updateMedicalEvent,
+  completeMedicalEvent,
+  cancelMedicalEvent,
+  getDueMedicalEvents
+};
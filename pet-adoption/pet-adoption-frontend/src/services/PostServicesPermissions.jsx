@@ -0,0 +1,72 @@
+import apiClient from './apiClient';
+
+/**
+ * Permissions API
+ * Permission catalog and the editable permission presets of each role
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Permission catalog with the current and default preset of each role
+ * @returns {Promise<Object>} { permissions: [{ key, description }], roles, presets, defaults }
+ */
+export const getPermissionCatalog = async () => {
+  try {
+    const response = await apiClient.get('/permissions', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Permissions] Failed to fetch permissions:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load permissions'));
+  }
+};
+
+/**
+ * Replace the permission preset of a role
+ * @param {string} role - Role name
+ * @param {string[]} permissions - Permissions the role grants
+ * @returns {Promise<Object>} { role, permissions, usersUpdated }
+ */
+export const updateRolePreset = async (role, permissions) => {
+  try {
+    const response = await apiClient.put(
+      `/permissions/presets/${encodeURIComponent(role)}`,
+      { permissions },
+      authHeaders()
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[Permissions] Failed to update role preset:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update role permissions'));
+  }
+};
+
+/**
+ * Restore the default permission preset of a role
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} { role, permissions, usersUpdated }
+ */
+export const resetRolePreset = async (role) => {
+  try {
+    const response = await apiClient.delete(
+      `/permissions/presets/${encodeURIComponent(role)}`,
+      authHeaders()
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[Permissions] Failed to reset role preset:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to restore role permissions'));
+  }
+};
+
+export default {
+  getPermissionCatalog,
+  updateRolePreset,
+  resetRolePreset
+};
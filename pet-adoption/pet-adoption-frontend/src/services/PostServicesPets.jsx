@@ -475,6 +475,265 @@ export const searchPets = async (searchParams) => {
   }
 };
 
+/**
+ * Upload images for a pet
+ * @param {string} petId - Pet ID
+ * @param {File[]} files - Image files
+ * @param {Object} options - { alt, makePrimary, onProgress }
+ * @returns {Promise<Array>} Updated pet images
+ */
+export const uploadPetImages = async (petId, files, { alt, makePrimary = false, onProgress } = {}) => {
+  try {
+    if (!petId) {
+      throw new Error('Pet ID is required');
+    }
+    if (!files || files.length === 0) {
+      throw new Error('Please select at least one image');
+    }
+
+    console.log(`[Pet Service] Uploading ${files.length} image(s) for pet ${petId}`);
+
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('images', file));
+    if (alt) formData.append('alt', alt);
+    if (makePrimary) formData.append('makePrimary', 'true');
+
+    const response = await petApi.post(`/${petId}/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+
+    console.log(`[Pet Service] Successfully uploaded images for pet ${petId}`);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to upload images for pet ${petId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update an image's alt text or make it the primary image
+ * @param {string} petId - Pet ID
+ * @param {string} imageId - Image ID
+ * @param {Object} updates - { alt, isPrimary }
+ * @returns {Promise<Array>} Updated pet images
+ */
+export const updatePetImage = async (petId, imageId, updates) => {
+  try {
+    const response = await petApi.patch(`/${petId}/images/${imageId}`, updates);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to update image ${imageId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Reorder a pet's images
+ * @param {string} petId - Pet ID
+ * @param {string[]} imageIds - All image IDs in the new order
+ * @returns {Promise<Array>} Updated pet images
+ */
+export const reorderPetImages = async (petId, imageIds) => {
+  try {
+    const response = await petApi.put(`/${petId}/images/order`, { imageIds });
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to reorder images for pet ${petId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete a pet image
+ * @param {string} petId - Pet ID
+ * @param {string} imageId - Image ID
+ * @returns {Promise<Array>} Remaining pet images
+ */
+export const deletePetImage = async (petId, imageId) => {
+  try {
+    const response = await petApi.delete(`/${petId}/images/${imageId}`);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to delete image ${imageId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the documents of a pet the current user may access
+ * (staff see all of them, adopters only shared ones after a completed adoption)
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Array>} Documents
+ */
+export const getPetDocuments = async (petId) => {
+  try {
+    const response = await petApi.get(`/${petId}/documents`);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to fetch documents for pet ${petId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Upload documents for a pet
+ * @param {string} petId - Pet ID
+ * @param {FileList|File[]} files - PDF, JPEG, PNG or WebP files
+ * @param {Object} options - { type, name, sharedWithAdopter, onProgress }
+ * @returns {Promise<Array>} Updated document list
+ */
+export const uploadPetDocuments = async (petId, files, { type, name, sharedWithAdopter, onProgress } = {}) => {
+  try {
+    if (!petId) {
+      throw new Error('Pet ID is required');
+    }
+    if (!files || files.length === 0) {
+      throw new Error('Please select at least one document');
+    }
+    if (!type) {
+      throw new Error('Please select a document type');
+    }
+
+    console.log(`[Pet Service] Uploading ${files.length} document(s) for pet ${petId}`);
+
+    const formData = new FormData();
+    formData.append('type', type);
+    if (name) formData.append('name', name);
+    if (sharedWithAdopter !== undefined) formData.append('sharedWithAdopter', String(sharedWithAdopter));
+    Array.from(files).forEach(file => formData.append('documents', file));
+
+    const response = await petApi.post(`/${petId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to upload documents for pet ${petId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update a document's name, type or adopter sharing
+ * @param {string} petId - Pet ID
+ * @param {string} documentId - Document ID
+ * @param {Object} updates - { name, type, sharedWithAdopter }
+ * @returns {Promise<Array>} Updated document list
+ */
+export const updatePetDocument = async (petId, documentId, updates) => {
+  try {
+    const response = await petApi.patch(`/${petId}/documents/${documentId}`, updates);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to update document ${documentId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Download a document file
+ * @param {string} petId - Pet ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Blob>} File contents
+ */
+export const downloadPetDocument = async (petId, documentId) => {
+  try {
+    const response = await petApi.get(`/${petId}/documents/${documentId}/download`, {
+      responseType: 'blob',
+      timeout: 120000
+    });
+    return response.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to download document ${documentId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete a document
+ * @param {string} petId - Pet ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Array>} Updated document list
+ */
+export const deletePetDocument = async (petId, documentId) => {
+  try {
+    const response = await petApi.delete(`/${petId}/documents/${documentId}`);
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to delete document ${documentId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Intake sources, the fields each one requires and the stray hold settings
+ * @returns {Promise<Object>} { sources, requiredFields, strayHoldDays, maxStrayHoldDays }
+ */
+export const getIntakeOptions = async () => {
+  try {
+    const response = await petApi.get('/intake/options');
+    return response.data.data;
+
+  } catch (error) {
+    console.error('[Pet Service] Failed to fetch intake options:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Take an animal in; strays go on hold and an intake form is filed
+ * @param {Object} intake - { animal, intakeSource, intakeDate, intakeReason, previousOwner, details, kennelNumber, strayHoldDays }
+ * @returns {Promise<Object>} { data: pet, intakeForm, message }
+ */
+export const intakePet = async (intake) => {
+  try {
+    const response = await petApi.post('/intake', intake);
+    return response.data;
+
+  } catch (error) {
+    console.error('[Pet Service] Failed to record intake:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * End a pet's stray hold early
+ * @param {string} petId - Pet ID
+ * @param {string} reason - Kept as an internal note
+ * @returns {Promise<Object>} Updated pet
+ */
+export const releaseStrayHold = async (petId, reason) => {
+  try {
+    const response = await petApi.post(`/${petId}/stray-hold/release`, { reason });
+    return response.data.data;
+
+  } catch (error) {
+    console.error(`[Pet Service] Failed to release stray hold for pet ${petId}:`, error.message);
+    throw error;
+  }
+};
+
 // Export API instance for advanced usage
 export { petApi };
 
@@ -490,5 +749,17 @@ export default {
   deletePet,
   submitPetInquiry,
   getPetStatistics,
-  searchPets
+  searchPets,
+  uploadPetImages,
+  updatePetImage,
+  reorderPetImages,
+  deletePetImage,
+  getPetDocuments,
+  uploadPetDocuments,
+  updatePetDocument,
+  downloadPetDocument,
+  deletePetDocument,
+  getIntakeOptions,
+  intakePet,
+  releaseStrayHold
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+import apiClient from './apiClient';
+
+/**
+ * Saved Searches API
+ * Named PetList filter sets of the signed-in user and their alert preferences
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Get the current user's saved searches
+ * @returns {Promise<Object>} { searches, limit }
+ */
+export const getSavedSearches = async () => {
+  try {
+    const response = await apiClient.get('/saved-searches', authHeaders());
+    return { searches: response.data.data, limit: response.data.limit };
+  } catch (error) {
+    console.error('[SavedSearches] Failed to fetch saved searches:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load saved searches'));
+  }
+};
+
+/**
+ * Save a named search
+ * @param {Object} search - { name, filters: { type, breed, size, gender, location, ageMin, ageMax }, alertsEnabled }
+ * @returns {Promise<Object>} Created saved search
+ */
+export const createSavedSearch = async (search) => {
+  try {
+    const response = await apiClient.post('/saved-searches', search, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[SavedSearches] Failed to save search:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to save search'));
+  }
+};
+
+/**
+ * Update a saved search
+ * @param {string} searchId - Saved search ID
+ * @param {Object} updates - { name, filters, alertsEnabled }
+ * @returns {Promise<Object>} Updated saved search
+ */
+export const updateSavedSearch = async (searchId, updates) => {
+  try {
+    const response = await apiClient.patch(`/saved-searches/${searchId}`, updates, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error(`[SavedSearches] Failed to update search ${searchId}:`, error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update saved search'));
+  }
+};
+
+/**
+ * Delete a saved search
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = async (searchId) => {
+  try {
+    await apiClient.delete(`/saved-searches/${searchId}`, authHeaders());
+  } catch (error) {
+    console.error(`[SavedSearches] Failed to delete search ${searchId}:`, error.message);
+    throw new Error(getErrorMessage(error, 'Failed to delete saved search'));
+  }
+};
+
+/**
+ * Currently available pets matching a saved search
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Array>} Pets
+ */
+export const getSavedSearchMatches = async (searchId) => {
+  try {
+    const response = await apiClient.get(`/saved-searches/${searchId}/matches`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error(`[SavedSearches] Failed to run search ${searchId}:`, error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load matching pets'));
+  }
+};
+
+/**
+ * Get saved search alert preferences
+ * @returns {Promise<Object>} { emailAlerts, frequency }
+ */
+export const getAlertPreferences = async () => {
+  try {
+    const response = await apiClient.get('/saved-searches/preferences', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[SavedSearches] Failed to fetch alert preferences:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load alert preferences'));
+  }
+};
+
+/**
+ * Update saved search alert preferences
+ * @param {Object} preferences - { emailAlerts, frequency: 'instant' | 'daily' }
+ * @returns {Promise<Object>} { emailAlerts, frequency }
+ */
+export const updateAlertPreferences = async (preferences) => {
+  try {
+    const response = await apiClient.patch('/saved-searches/preferences', preferences, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[SavedSearches] Failed to update alert preferences:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update alert preferences'));
+  }
+};
+
+export default {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches,
+  getAlertPreferences,
+  updateAlertPreferences
+};
@@ -0,0 +1,63 @@
+import apiClient from './apiClient';
+
+/**
+ * Sessions API
+ * Devices the signed-in user is logged in on, and signing them out
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Active sessions of the current user
+ * @returns {Promise<Array>} [{ sessionId, loggedInAt, lastActiveAt, expiresAt, ipAddress, userAgent, current }]
+ */
+export const getSessions = async () => {
+  try {
+    const response = await apiClient.get('/auth/sessions', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Sessions] Failed to fetch sessions:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load sessions'));
+  }
+};
+
+/**
+ * Sign out one session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Result
+ */
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await apiClient.delete(`/auth/sessions/${encodeURIComponent(sessionId)}`, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Sessions] Failed to sign out session:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to sign out session'));
+  }
+};
+
+/**
+ * Sign out every session, including this one
+ * @returns {Promise<Object>} { revokedSessions }
+ */
+export const logoutAllSessions = async () => {
+  try {
+    const response = await apiClient.post('/auth/logout-all', null, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Sessions] Failed to sign out everywhere:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to sign out of all sessions'));
+  }
+};
+
+export default {
+  getSessions,
+  revokeSession,
+  logoutAllSessions
+};
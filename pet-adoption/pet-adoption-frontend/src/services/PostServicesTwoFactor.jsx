@@ -0,0 +1,116 @@
+import apiClient from './apiClient';
+
+/**
+ * Two-Factor Authentication API
+ * Second login step, authenticator enrollment and backup codes
+ */
+
+/**
+ * Authorization header for a token, defaulting to the stored session token.
+ * Enrollment during login uses the short-lived setup token instead.
+ */
+const authHeaders = (token = localStorage.getItem('authToken')) =>
+  (token ? { headers: { Authorization: `Bearer ${token}` } } : undefined);
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+/**
+ * Second login step
+ * @param {string} challengeToken - Token from the first login step
+ * @param {Object} credentials - { code } or { backupCode }
+ * @returns {Promise<Object>} Login response with user and tokens
+ */
+export const verifyTwoFactorLogin = async (challengeToken, { code, backupCode }) => {
+  try {
+    const response = await apiClient.post('/auth/login/2fa', { challengeToken, code, backupCode });
+    return response.data;
+  } catch (error) {
+    console.error('[TwoFactor] Verification failed:', error.message);
+    throw new Error(getErrorMessage(error, 'Verification failed'));
+  }
+};
+
+/**
+ * Two-factor status of the current user
+ * @returns {Promise<Object>} { enabled, required, enabledAt, backupCodesRemaining }
+ */
+export const getTwoFactorStatus = async () => {
+  try {
+    const response = await apiClient.get('/auth/2fa', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[TwoFactor] Failed to fetch status:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load two-factor settings'));
+  }
+};
+
+/**
+ * Start enrollment
+ * @param {string} [token] - Setup token from login (defaults to the session token)
+ * @returns {Promise<Object>} { secret, otpauthUrl, issuer, accountName }
+ */
+export const setupTwoFactor = async (token) => {
+  try {
+    const response = await apiClient.post('/auth/2fa/setup', null, authHeaders(token));
+    return response.data.data;
+  } catch (error) {
+    console.error('[TwoFactor] Setup failed:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to start two-factor setup'));
+  }
+};
+
+/**
+ * Confirm enrollment
+ * @param {string} code - Authenticator code
+ * @param {string} [token] - Setup token from login (defaults to the session token)
+ * @returns {Promise<Object>} { backupCodes, user?, tokens? } (user and tokens when using a setup token)
+ */
+export const enableTwoFactor = async (code, token) => {
+  try {
+    const response = await apiClient.post('/auth/2fa/enable', { code }, authHeaders(token));
+    return response.data;
+  } catch (error) {
+    console.error('[TwoFactor] Enable failed:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to enable two-factor authentication'));
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {Object} credentials - { password, code } or { password, backupCode }
+ * @returns {Promise<Object>} Result
+ */
+export const disableTwoFactor = async (credentials) => {
+  try {
+    const response = await apiClient.post('/auth/2fa/disable', credentials, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[TwoFactor] Disable failed:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to disable two-factor authentication'));
+  }
+};
+
+/**
+ * Replace all backup codes
+ * @param {string} code - Authenticator code
+ * @returns {Promise<Array<string>>} New backup codes
+ */
+export const regenerateBackupCodes = async (code) => {
+  try {
+    const response = await apiClient.post('/auth/2fa/backup-codes', { code }, authHeaders());
+    return response.data.backupCodes;
+  } catch (error) {
+    console.error('[TwoFactor] Backup code generation failed:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to generate backup codes'));
+  }
+};
+
+export default {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { refreshAccessToken } from './tokenRefresh';
 
 /**
  * Enterprise-Grade User API Service
@@ -107,12 +108,7 @@ apiClient.interceptors.response.use(
         if (refreshToken) {
           console.log('🔄 Attempting token refresh...');
           
-          const response = await axios.post(`${API_CONFIG.baseURL}/api/refresh-token`, {
-            refreshToken
-          });
-          
-          const { accessToken } = response.data;
-          localStorage.setItem('accessToken', accessToken);
+          const accessToken = await refreshAccessToken();
           
           // Update the failed request with new token
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -124,7 +120,7 @@ apiClient.interceptors.response.use(
         console.error('❌ Token refresh failed:', refreshError);
         
         // Clear tokens and redirect to login
-        localStorage.removeItem('accessToken');
+        localStorage.removeItem('authToken');
         localStorage.removeItem('refreshToken');
         
         // Dispatch custom event for app to handle
@@ -503,6 +499,76 @@ export const deleteUser = async (id, options = {}) => {
   }, 'deleteUser');
 };
 
+/**
+ * Reset a user's two-factor authentication (lost device)
+ * @param {string} id - User ID
+ * @returns {Promise<Object>} Reset result
+ */
+export const resetUserTwoFactor = async (id) => {
+  validateUserId(id);
+
+  try {
+    const response = await apiClient.delete(`/api/users/${id}/two-factor`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, 'resetUserTwoFactor');
+  }
+};
+
+/**
+ * Sign a user out of every session (admin)
+ * @param {string} id - User ID
+ * @returns {Promise<Object>} { revokedSessions }
+ */
+export const revokeUserSessions = async (id) => {
+  validateUserId(id);
+
+  try {
+    const response = await apiClient.delete(`/api/users/${id}/sessions`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, 'revokeUserSessions');
+  }
+};
+
+/**
+ * Set the permissions of a user (admin). Differences from the role preset
+ * are stored as grants and revocations.
+ * @param {string} id - User ID
+ * @param {string[]} permissions - Permissions the user should have
+ * @returns {Promise<Object>} { permissions, permissionOverrides, rolePermissions }
+ */
+export const updateUserPermissions = async (id, permissions) => {
+  validateUserId(id);
+
+  if (!Array.isArray(permissions)) {
+    throw new APIError('Permissions must be an array', 400, 'INVALID_PERMISSIONS');
+  }
+
+  try {
+    const response = await apiClient.put(`/api/users/${id}/permissions`, { permissions });
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, 'updateUserPermissions');
+  }
+};
+
+/**
+ * Reset a user's permissions to their role preset (admin)
+ * @param {string} id - User ID
+ * @returns {Promise<Object>} { permissions, permissionOverrides, rolePermissions }
+ */
+export const resetUserPermissions = async (id) => {
+  validateUserId(id);
+
+  try {
+    const response = await apiClient.delete(`/api/users/${id}/permissions`);
+    return response.data;
+  } catch (error) {
+    handleAPIError(error, 'resetUserPermissions');
+  }
+};
+
 /**
  * Bulk update multiple users
  * @param {string[]} userIds - Array of user IDs
@@ -551,13 +617,13 @@ export const bulkUpdateUsers = async (userIds, updateData) => {
 
 /**
  * Export users data
- * @param {string} format - Export format (csv, json)
+ * @param {string} format - Export format (csv, json, xlsx)
  * @param {Object} filters - Filter options
  * @returns {Promise<Blob>} Export data
  */
 export const exportUsers = async (format = 'csv', filters = {}) => {
-  if (!['csv', 'json'].includes(format)) {
-    throw new APIError('Export format must be either "csv" or "json"', 400, 'INVALID_EXPORT_FORMAT');
+  if (!['csv', 'json', 'xlsx'].includes(format)) {
+    throw new APIError('Export format must be "csv", "json" or "xlsx"', 400, 'INVALID_EXPORT_FORMAT');
   }
 
   return retryRequest(async () => {
@@ -649,6 +715,10 @@ export default {
   createUser,
   updateUser,
   deleteUser,
+  resetUserTwoFactor,
+  revokeUserSessions,
+  updateUserPermissions,
+  resetUserPermissions,
   bulkUpdateUsers,
   exportUsers,
   getUserStats,
@@ -0,0 +1,256 @@
+import apiClient from './apiClient';
+
+/**
+ * Volunteer Shifts API
+ * The volunteer's profile, shift sign-ups and check-in/out, and the staff
+ * side: scheduling shifts, rosters, attendance and background checks
+ */
+
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+export const SHIFT_TYPES = ['dog_walking', 'cat_socializing', 'events', 'transport', 'other'];
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+export const VOLUNTEER_TYPES = ['general', 'dog_walker', 'cat_socializer', 'events', 'transport', 'admin', 'other'];
+
+// ================================================================
+// VOLUNTEERS
+// ================================================================
+
+/**
+ * The current user's volunteer profile, background check, hours and shifts
+ * @returns {Promise<Object>} { volunteerInfo, backgroundCheck, volunteerHours, upcoming, history }
+ */
+export const getMyVolunteerProfile = async () => {
+  try {
+    const response = await apiClient.get('/volunteer/me', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to fetch profile:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load your volunteer profile'));
+  }
+};
+
+/**
+ * Save the current user's volunteer profile
+ * @param {Object} profile - { volunteerType, availability, skills, emergencyContact }
+ * @returns {Promise<Object>} Saved volunteerInfo
+ */
+export const saveVolunteerProfile = async (profile) => {
+  try {
+    const response = await apiClient.put('/volunteer/me', profile, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to save profile:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to save your volunteer profile'));
+  }
+};
+
+/**
+ * Shifts in a date range with the current user's sign-up and eligibility
+ * @param {Object} params - { from, to, type, status }
+ * @returns {Promise<Array>}
+ */
+export const getShifts = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/volunteer/shifts', { ...authHeaders(), params });
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to fetch shifts:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load volunteer shifts'));
+  }
+};
+
+/**
+ * Sign up for a shift
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Sign-up
+ */
+export const signUpForShift = async (shiftId) => {
+  try {
+    const response = await apiClient.post(`/volunteer/shifts/${shiftId}/signup`, {}, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to sign up:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to sign up for the shift'));
+  }
+};
+
+/**
+ * Cancel the current user's sign-up
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Cancelled sign-up
+ */
+export const cancelShiftSignup = async (shiftId) => {
+  try {
+    const response = await apiClient.delete(`/volunteer/shifts/${shiftId}/signup`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to cancel sign-up:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to cancel your sign-up'));
+  }
+};
+
+/**
+ * Check in to a shift
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Sign-up
+ */
+export const checkInToShift = async (shiftId) => {
+  try {
+    const response = await apiClient.post(`/volunteer/shifts/${shiftId}/check-in`, {}, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to check in:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to check in'));
+  }
+};
+
+/**
+ * Check out of a shift
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Completed sign-up with the hours logged
+ */
+export const checkOutOfShift = async (shiftId) => {
+  try {
+    const response = await apiClient.post(`/volunteer/shifts/${shiftId}/check-out`, {}, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to check out:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to check out'));
+  }
+};
+
+// ================================================================
+// STAFF
+// ================================================================
+
+/**
+ * Schedule a shift
+ * @param {Object} shift - { title, type, startTime, endTime, capacity, description, location }
+ * @returns {Promise<Object>} Created shift
+ */
+export const createShift = async (shift) => {
+  try {
+    const response = await apiClient.post('/volunteer/shifts', shift, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to create shift:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to schedule the shift'));
+  }
+};
+
+/**
+ * Edit a scheduled shift
+ * @param {string} id - Shift ID
+ * @param {Object} updates - Shift fields
+ * @returns {Promise<Object>} Updated shift
+ */
+export const updateShift = async (id, updates) => {
+  try {
+    const response = await apiClient.patch(`/volunteer/shifts/${id}`, updates, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to update shift:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to update the shift'));
+  }
+};
+
+/**
+ * Cancel a scheduled shift
+ * @param {string} id - Shift ID
+ * @param {string} [reason] - Shared with the volunteers
+ * @returns {Promise<Object>} { data: shift, cancelledSignups }
+ */
+export const cancelShift = async (id, reason) => {
+  try {
+    const response = await apiClient.post(`/volunteer/shifts/${id}/cancel`, { reason }, authHeaders());
+    return response.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to cancel shift:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to cancel the shift'));
+  }
+};
+
+/**
+ * Roster of a shift
+ * @param {string} id - Shift ID
+ * @returns {Promise<Object>} { shift, signups }
+ */
+export const getShiftRoster = async (id) => {
+  try {
+    const response = await apiClient.get(`/volunteer/shifts/${id}/roster`, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to fetch roster:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load the roster'));
+  }
+};
+
+/**
+ * Record a volunteer's attendance
+ * @param {string} signupId - Sign-up ID
+ * @param {Object} attendance - { status: 'completed' | 'no_show', hours }
+ * @returns {Promise<Object>} Updated sign-up
+ */
+export const recordAttendance = async (signupId, attendance) => {
+  try {
+    const response = await apiClient.patch(`/volunteer/signups/${signupId}`, attendance, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to record attendance:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to record the attendance'));
+  }
+};
+
+/**
+ * Active volunteers with background check and hours
+ * @returns {Promise<Array>}
+ */
+export const getVolunteers = async () => {
+  try {
+    const response = await apiClient.get('/volunteer/volunteers', authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to fetch volunteers:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to load volunteers'));
+  }
+};
+
+/**
+ * Record the date a volunteer's background check was completed
+ * @param {string} userId - Volunteer's user ID
+ * @param {string} checkedAt - ISO date
+ * @returns {Promise<Object>} { backgroundCheckDate, backgroundCheckExpiresAt }
+ */
+export const recordBackgroundCheck = async (userId, checkedAt) => {
+  try {
+    const response = await apiClient.put(`/volunteer/volunteers/${userId}/background-check`, { checkedAt }, authHeaders());
+    return response.data.data;
+  } catch (error) {
+    console.error('[Volunteer] Failed to record background check:', error.message);
+    throw new Error(getErrorMessage(error, 'Failed to record the background check'));
+  }
+};
+
+export default {
+  getMyVolunteerProfile,
+  saveVolunteerProfile,
+  getShifts,
+  signUpForShift,
+  cancelShiftSignup,
+  checkInToShift,
+  checkOutOfShift,
+  createShift,
+  updateShift,
+  cancelShift,
+  getShiftRoster,
+  recordAttendance,
+  getVolunteers,
+  recordBackgroundCheck
+};
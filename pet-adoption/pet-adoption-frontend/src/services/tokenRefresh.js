@@ -0,0 +1,58 @@
+import axios from 'axios';
+
+const REFRESH_URL = `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/auth/refresh-token`;
+
+const REFRESH_LOCK = 'auth-token-refresh';
+
+let pendingRefresh = null;
+
+/**
+ * Run work while holding a lock shared by every tab of this origin; browsers
+ * without the Web Locks API run it directly
+ * @param {Function} work - Async callback
+ * @returns {Promise<*>} Result of work
+ */
+const withRefreshLock = (work) => (
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK, work)
+    : work()
+);
+
+/**
+ * Exchange the stored refresh token for a new access token and refresh token.
+ * Refresh tokens are single-use (the backend signs out a session whose old
+ * token is replayed), so concurrent callers share one request, and tabs take
+ * turns so one never replays a token another tab has just rotated.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    const seenRefreshToken = localStorage.getItem('refreshToken');
+
+    pendingRefresh = withRefreshLock(async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      // Another tab rotated the token while this one waited for the lock
+      if (refreshToken !== seenRefreshToken) {
+        return localStorage.getItem('authToken');
+      }
+
+      // Plain axios, so the 401 handlers of the API clients are not re-entered
+      const response = await axios.post(REFRESH_URL, { refreshToken });
+      const { accessToken, refreshToken: nextRefreshToken } = response.data;
+
+      localStorage.setItem('authToken', accessToken);
+      localStorage.setItem('refreshToken', nextRefreshToken);
+      return accessToken;
+    }).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+};
+
+export default refreshAccessToken;
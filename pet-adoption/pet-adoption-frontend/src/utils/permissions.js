@@ -0,0 +1,30 @@
+/**
+ * Permission helpers for showing or hiding UI. The server checks every
+ * request on its own; these only mirror the permissions from the user's token.
+ */
+
+// Any of these opens the admin dashboard
+export const ADMIN_AREA_PERMISSIONS = ['manage_pets', 'manage_adoption_requests', 'manage_fosters', 'manage_volunteers', 'view_users', 'view_analytics', 'view_audit_log', 'manage_jobs'];
+
+// Roles that can volunteer for shifts (the server's isVolunteer check)
+export const VOLUNTEER_ROLES = ['volunteer', 'foster', 'staff', 'admin', 'super_admin'];
+
+/**
+ * Whether a user has a permission. system_admin includes every permission.
+ * @param {Object} user - Auth context user
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+export const userHasPermission = (user, permission) => {
+  const permissions = user?.permissions || [];
+  return permissions.includes(permission) || permissions.includes('system_admin');
+};
+
+/**
+ * Whether a user has at least one of the permissions
+ * @param {Object} user - Auth context user
+ * @param {string[]} permissions - Permission keys
+ * @returns {boolean}
+ */
+export const userHasAnyPermission = (user, permissions = []) =>
+  permissions.some(permission => userHasPermission(user, permission));
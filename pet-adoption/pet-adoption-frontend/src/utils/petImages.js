@@ -0,0 +1,61 @@
+// Neutral inline placeholder so missing photos don't depend on a third-party image host
+export const PLACEHOLDER_IMAGE = `data:image/svg+xml;utf8,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">' +
+  '<rect width="400" height="300" fill="#f3f4f6"/>' +
+  '<text x="200" y="160" font-family="sans-serif" font-size="20" fill="#9ca3af" text-anchor="middle">Photo unavailable</text>' +
+  '</svg>'
+)}`;
+
+/**
+ * Resolve an image URL; uploads stored on the API server are served relative to it
+ * @param {string} url - Stored image URL
+ * @returns {string} Absolute or data URL
+ */
+export const resolveImageUrl = (url) => {
+  if (!url) return PLACEHOLDER_IMAGE;
+  if (url.startsWith('/uploads/')) {
+    return `${import.meta.env.VITE_API_URL || ''}${url}`;
+  }
+  return url;
+};
+
+/**
+ * Gallery entries for a pet, primary image first
+ * @param {Object} pet - Pet data
+ * @returns {Array<Object>} { id, src, thumbnail, alt }
+ */
+export const getPetGallery = (pet) => {
+  const images = (pet?.images || []).filter(image => image && (image.url || typeof image === 'string'));
+
+  if (images.length > 0) {
+    const sorted = [...images].sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0));
+    return sorted.map((image, index) => {
+      const url = typeof image === 'string' ? image : image.url;
+      return {
+        id: image._id || `${index}`,
+        src: resolveImageUrl(image.webpUrl || url),
+        thumbnail: resolveImageUrl(image.thumbnailUrl || image.webpUrl || url),
+        alt: image.alt || `${pet.name} photo ${index + 1}`
+      };
+    });
+  }
+
+  if (pet?.image) {
+    const src = resolveImageUrl(pet.image);
+    return [{ id: 'image', src, thumbnail: src, alt: `${pet.name} photo` }];
+  }
+
+  return [];
+};
+
+/**
+ * Main display image for a pet
+ * @param {Object} pet - Pet data
+ * @param {string} variant - "display" or "thumbnail"
+ * @returns {string} Image URL
+ */
+export const getPetImageUrl = (pet, variant = 'display') => {
+  const [primary] = getPetGallery(pet);
+  if (!primary) return PLACEHOLDER_IMAGE;
+  return variant === 'thumbnail' ? primary.thumbnail : primary.src;
+};